@@ -1,8 +1,8 @@
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const SecurityTokenIssuance = await ethers.getContractFactory("SecurityTokenIssuance");
-    const securityToken = await SecurityTokenIssuance.deploy("My Security Token", "MST", 18, 1000000);
-    await securityToken.deployed();
-    console.log("SecurityTokenIssuance deployed to:", securityToken.address);
+    const securityToken = await deployContract("SecurityTokenIssuance", ["My Security Token", "MST", 18, 1000000]);
+    console.log("SecurityTokenIssuance deployed to:", await addressOf(securityToken));
 }
 
 main()
@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const TransferRestrictions = await ethers.getContractFactory("TransferRestrictions");
-    const transferRestrictions = await TransferRestrictions.deploy("Restricted Security Token", "RST", 18, 1000000);
-    await transferRestrictions.deployed();
-    console.log("TransferRestrictions deployed to:", transferRestrictions.address);
+    const params = loadParams(__dirname);
+    const transferRestrictions = await deployContract("TransferRestrictions", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("TransferRestrictions deployed to:", await addressOf(transferRestrictions));
 }
 
 main()
@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const LockUpPeriodContract = await ethers.getContractFactory("LockUpPeriodContract");
-    const lockUpPeriodContract = await LockUpPeriodContract.deploy("LockUp Security Token", "LST", 18, 1000000);
-    await lockUpPeriodContract.deployed();
-    console.log("LockUpPeriodContract deployed to:", lockUpPeriodContract.address);
+    const params = loadParams(__dirname);
+    const lockUpPeriodContract = await deployContract("LockUpPeriodContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("LockUpPeriodContract deployed to:", await addressOf(lockUpPeriodContract));
 }
 
 main()
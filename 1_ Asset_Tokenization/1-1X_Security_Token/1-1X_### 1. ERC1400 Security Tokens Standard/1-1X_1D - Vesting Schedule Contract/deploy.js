@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const VestingScheduleContract = await ethers.getContractFactory("VestingScheduleContract");
-    const vestingScheduleContract = await VestingScheduleContract.deploy("Vesting Security Token", "VST", 18, 1000000);
-    await vestingScheduleContract.deployed();
-    console.log("VestingScheduleContract deployed to:", vestingScheduleContract.address);
+    const params = loadParams(__dirname);
+    const vestingScheduleContract = await deployContract("VestingScheduleContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("VestingScheduleContract deployed to:", await addressOf(vestingScheduleContract));
 }
 
 main()
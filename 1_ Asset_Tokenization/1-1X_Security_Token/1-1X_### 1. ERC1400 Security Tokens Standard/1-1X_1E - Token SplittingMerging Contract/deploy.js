@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const TokenSplittingMergingContract = await ethers.getContractFactory("TokenSplittingMergingContract");
-    const tokenSplittingMergingContract = await TokenSplittingMergingContract.deploy("SplitMerge Security Token", "SMST", 18, 1000000);
-    await tokenSplittingMergingContract.deployed();
-    console.log("TokenSplittingMergingContract deployed to:", tokenSplittingMergingContract.address);
+    const params = loadParams(__dirname);
+    const tokenSplittingMergingContract = await deployContract("TokenSplittingMergingContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("TokenSplittingMergingContract deployed to:", await addressOf(tokenSplittingMergingContract));
 }
 
 main()
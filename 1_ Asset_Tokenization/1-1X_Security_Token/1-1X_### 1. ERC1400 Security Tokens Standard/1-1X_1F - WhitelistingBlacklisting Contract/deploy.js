@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const WhitelistingBlacklistingContract = await ethers.getContractFactory("WhitelistingBlacklistingContract");
-    const whitelistingBlacklistingContract = await WhitelistingBlacklistingContract.deploy("WhitelistBlacklist Security Token", "WBST", 18, 1000000);
-    await whitelistingBlacklistingContract.deployed();
-    console.log("WhitelistingBlacklistingContract deployed to:", whitelistingBlacklistingContract.address);
+    const params = loadParams(__dirname);
+    const whitelistingBlacklistingContract = await deployContract("WhitelistingBlacklistingContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("WhitelistingBlacklistingContract deployed to:", await addressOf(whitelistingBlacklistingContract));
 }
 
 main()
@@ -1,9 +1,11 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const DividendDistributionContract = await ethers.getContractFactory("DividendDistributionContract");
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with your dividend token address
-    const dividendDistributionContract = await DividendDistributionContract.deploy("Dividend Security Token", "DST", 18, 1000000, dividendToken);
-    await dividendDistributionContract.deployed();
-    console.log("DividendDistributionContract deployed to:", dividendDistributionContract.address);
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const dividendDistributionContract = await deployContract("DividendDistributionContract", [params.name, params.symbol, params.decimals, params.initialSupply, dividendToken]);
+    console.log("DividendDistributionContract deployed to:", await addressOf(dividendDistributionContract));
 }
 
 main()
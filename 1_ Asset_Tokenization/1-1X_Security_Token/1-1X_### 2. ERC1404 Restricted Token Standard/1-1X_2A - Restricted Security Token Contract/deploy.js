@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const RestrictedSecurityTokenContract = await ethers.getContractFactory("RestrictedSecurityTokenContract");
-    const restrictedSecurityTokenContract = await RestrictedSecurityTokenContract.deploy("Restricted Security Token", "RST", 18, 1000000);
-    await restrictedSecurityTokenContract.deployed();
-    console.log("RestrictedSecurityTokenContract deployed to:", restrictedSecurityTokenContract.address);
+    const params = loadParams(__dirname);
+    const restrictedSecurityTokenContract = await deployContract("RestrictedSecurityTokenContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("RestrictedSecurityTokenContract deployed to:", await addressOf(restrictedSecurityTokenContract));
 }
 
 main()
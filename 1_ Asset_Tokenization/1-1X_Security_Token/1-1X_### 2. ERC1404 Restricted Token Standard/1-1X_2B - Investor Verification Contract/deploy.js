@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const InvestorVerificationContract = await ethers.getContractFactory("InvestorVerificationContract");
-    const investorVerificationContract = await InvestorVerificationContract.deploy("Investor Verification Token", "IVT", 18, 1000000);
-    await investorVerificationContract.deployed();
-    console.log("InvestorVerificationContract deployed to:", investorVerificationContract.address);
+    const params = loadParams(__dirname);
+    const investorVerificationContract = await deployContract("InvestorVerificationContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("InvestorVerificationContract deployed to:", await addressOf(investorVerificationContract));
 }
 
 main()
@@ -1,8 +1,10 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const ComplianceReportingContract = await ethers.getContractFactory("ComplianceReportingContract");
-    const complianceReportingContract = await ComplianceReportingContract.deploy("Compliance Reporting Token", "CRT", 18, 1000000);
-    await complianceReportingContract.deployed();
-    console.log("ComplianceReportingContract deployed to:", complianceReportingContract.address);
+    const params = loadParams(__dirname);
+    const complianceReportingContract = await deployContract("ComplianceReportingContract", [params.name, params.symbol, params.decimals, params.initialSupply]);
+    console.log("ComplianceReportingContract deployed to:", await addressOf(complianceReportingContract));
 }
 
 main()
@@ -1,14 +1,16 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const TaxWithholdingContract = await ethers.getContractFactory("TaxWithholdingContract");
-    const taxWithholdingContract = await TaxWithholdingContract.deploy(
-        "Tax Withholding Token",
-        "TWT",
-        18,
-        1000000,
-        5 // Initial tax rate of 5%
-    );
-    await taxWithholdingContract.deployed();
-    console.log("TaxWithholdingContract deployed to:", taxWithholdingContract.address);
+    const params = loadParams(__dirname);
+    const taxWithholdingContract = await deployContract("TaxWithholdingContract", [
+        params.name,
+        params.symbol,
+        params.decimals,
+        params.initialSupply,
+        params.initialTaxRate // Initial tax rate of 5%
+    ]);
+    console.log("TaxWithholdingContract deployed to:", await addressOf(taxWithholdingContract));
 }
 
 main()
@@ -1,12 +1,14 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const UtilityTokenContract = await ethers.getContractFactory("UtilityTokenContract");
-    const utilityTokenContract = await UtilityTokenContract.deploy(
-        "Utility Token", // Token name
-        "UTK", // Token symbol
-        1000000 // Initial supply
-    );
-    await utilityTokenContract.deployed();
-    console.log("UtilityTokenContract deployed to:", utilityTokenContract.address);
+    const params = loadParams(__dirname);
+    const utilityTokenContract = await deployContract("UtilityTokenContract", [
+        params.name, // Token name
+        params.symbol, // Token symbol
+        params.initialSupply // Initial supply
+    ]);
+    console.log("UtilityTokenContract deployed to:", await addressOf(utilityTokenContract));
 }
 
 main()
@@ -1,13 +1,15 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const TokenizedBondsContract = await ethers.getContractFactory("TokenizedBondsContract");
-    const tokenizedBondsContract = await TokenizedBondsContract.deploy(
-        "Tokenized Bond", // Token name
-        "TBOND", // Token symbol
-        1000000, // Initial supply
-        Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60 // Maturity date (1 year from now)
-    );
-    await tokenizedBondsContract.deployed();
-    console.log("TokenizedBondsContract deployed to:", tokenizedBondsContract.address);
+    const params = loadParams(__dirname);
+    const tokenizedBondsContract = await deployContract("TokenizedBondsContract", [
+        params.name, // Token name
+        params.symbol, // Token symbol
+        params.initialSupply, // Initial supply
+        Math.floor(Date.now() / 1000) + params.maturityPeriod // Maturity date
+    ]);
+    console.log("TokenizedBondsContract deployed to:", await addressOf(tokenizedBondsContract));
 }
 
 main()
@@ -1,12 +1,14 @@
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
-    const TokenMintingAndBurningContract = await ethers.getContractFactory("TokenMintingAndBurningContract");
-    const tokenContract = await TokenMintingAndBurningContract.deploy(
-        "MintBurnToken", // Token name
-        "MBT", // Token symbol
-        1000000 // Initial supply
-    );
-    await tokenContract.deployed();
-    console.log("TokenMintingAndBurningContract deployed to:", tokenContract.address);
+    const params = loadParams(__dirname);
+    const tokenContract = await deployContract("TokenMintingAndBurningContract", [
+        params.name, // Token name
+        params.symbol, // Token symbol
+        params.initialSupply // Initial supply
+    ]);
+    console.log("TokenMintingAndBurningContract deployed to:", await addressOf(tokenContract));
 }
 
 main()
@@ -1,15 +1,19 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const AdvancedSecurityTokenContract = await ethers.getContractFactory("AdvancedSecurityTokenContract");
-    const token = await AdvancedSecurityTokenContract.deploy(
-        "AdvancedSecurityToken", // Token name
-        "AST", // Token symbol
-        [] // Default operators
-    );
+    const token = await deployContract("AdvancedSecurityTokenContract", [
+        params.name, // Token name
+        params.symbol, // Token symbol
+        params.defaultOperators // Default operators
+    ]);
 
-    console.log("AdvancedSecurityTokenContract deployed to:", token.address);
+    console.log("AdvancedSecurityTokenContract deployed to:", await addressOf(token));
 }
 
 main()
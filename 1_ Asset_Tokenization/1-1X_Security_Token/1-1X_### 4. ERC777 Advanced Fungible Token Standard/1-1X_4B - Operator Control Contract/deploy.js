@@ -1,15 +1,19 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const OperatorControlContract = await ethers.getContractFactory("OperatorControlContract");
-    const token = await OperatorControlContract.deploy(
-        "OperatorControlToken", // Token name
-        "OCT", // Token symbol
-        [] // Default operators
-    );
+    const token = await deployContract("OperatorControlContract", [
+        params.name, // Token name
+        params.symbol, // Token symbol
+        params.defaultOperators // Default operators
+    ]);
 
-    console.log("OperatorControlContract deployed to:", token.address);
+    console.log("OperatorControlContract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const RealEstateTokenizationContract = await ethers.getContractFactory("RealEstateTokenizationContract");
-    const token = await RealEstateTokenizationContract.deploy(
-        "RealEstateToken", // Token name
-        "RET" // Token symbol
-    );
+    const token = await deployContract("RealEstateTokenizationContract", [
+        params.name, // Token name
+        params.symbol // Token symbol
+    ]);
 
-    console.log("RealEstateTokenizationContract deployed to:", token.address);
+    console.log("RealEstateTokenizationContract deployed to:", await addressOf(token));
 }
 
 main()
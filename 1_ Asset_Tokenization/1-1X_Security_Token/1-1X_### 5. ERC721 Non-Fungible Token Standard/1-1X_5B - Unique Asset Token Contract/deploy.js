@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const UniqueAssetToken = await ethers.getContractFactory("UniqueAssetToken");
-    const token = await UniqueAssetToken.deploy(
-        "UniqueAssetToken", // Token name
-        "UAT" // Token symbol
-    );
+    const token = await deployContract("UniqueAssetToken", [
+        params.name, // Token name
+        params.symbol // Token symbol
+    ]);
 
-    console.log("UniqueAssetToken deployed to:", token.address);
+    console.log("UniqueAssetToken deployed to:", await addressOf(token));
 }
 
 main()
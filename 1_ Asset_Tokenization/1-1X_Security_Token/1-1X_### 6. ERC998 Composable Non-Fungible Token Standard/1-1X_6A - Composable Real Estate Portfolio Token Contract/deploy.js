@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const ComposableRealEstatePortfolio = await ethers.getContractFactory("ComposableRealEstatePortfolio");
-    const portfolio = await ComposableRealEstatePortfolio.deploy(
-        "ComposableRealEstatePortfolio", // Token name
-        "CREP" // Token symbol
-    );
+    const portfolio = await deployContract("ComposableRealEstatePortfolio", [
+        params.name, // Token name
+        params.symbol // Token symbol
+    ]);
 
-    console.log("ComposableRealEstatePortfolio deployed to:", portfolio.address);
+    console.log("ComposableRealEstatePortfolio deployed to:", await addressOf(portfolio));
 }
 
 main()
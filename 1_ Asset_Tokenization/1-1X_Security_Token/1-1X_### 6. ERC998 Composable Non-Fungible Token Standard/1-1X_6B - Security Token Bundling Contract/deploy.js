@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const SecurityTokenBundling = await ethers.getContractFactory("SecurityTokenBundling");
-    const bundlingContract = await SecurityTokenBundling.deploy(
-        "SecurityTokenBundling", // Token name
-        "STBC" // Token symbol
-    );
+    const bundlingContract = await deployContract("SecurityTokenBundling", [
+        params.name, // Token name
+        params.symbol // Token symbol
+    ]);
 
-    console.log("SecurityTokenBundling deployed to:", bundlingContract.address);
+    console.log("SecurityTokenBundling deployed to:", await addressOf(bundlingContract));
 }
 
 main()
@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const MultiAssetTokenization = await ethers.getContractFactory("MultiAssetTokenization");
-    const multiAssetContract = await MultiAssetTokenization.deploy("https://api.example.com/metadata/");
+    const multiAssetContract = await deployContract("MultiAssetTokenization", [params.baseUri]);
 
-    console.log("MultiAssetTokenization deployed to:", multiAssetContract.address);
+    console.log("MultiAssetTokenization deployed to:", await addressOf(multiAssetContract));
 }
 
 main()
@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const BatchTransferContract = await ethers.getContractFactory("BatchTransferContract");
-    const batchTransferContract = await BatchTransferContract.deploy("https://api.example.com/metadata/");
+    const batchTransferContract = await deployContract("BatchTransferContract", [params.baseUri]);
 
-    console.log("BatchTransferContract deployed to:", batchTransferContract.address);
+    console.log("BatchTransferContract deployed to:", await addressOf(batchTransferContract));
 }
 
 main()
@@ -1,15 +1,19 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const TokenizedSecuritiesVault = await ethers.getContractFactory("TokenizedSecuritiesVault");
-    const vault = await TokenizedSecuritiesVault.deploy(
-        "0xYourUnderlyingAssetAddress", // Address of the underlying ERC20 token
-        "Vault Token Name",
-        "VTN"
-    );
+    const params = loadParams(__dirname);
+    const vault = await deployContract("TokenizedSecuritiesVault", [
+        params.underlyingAsset, // Address of the underlying ERC20 token
+        params.name,
+        params.symbol
+    ]);
 
-    console.log("TokenizedSecuritiesVault deployed to:", vault.address);
+    console.log("TokenizedSecuritiesVault deployed to:", await addressOf(vault));
 }
 
 main()
@@ -1,18 +1,22 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const StakingYieldVault = await ethers.getContractFactory("StakingYieldVault");
-    const asset = "0xYourUnderlyingAssetAddress"; // Address of the underlying ERC20 token (e.g., stablecoin or security token)
-    const rewardToken = "0xYourRewardTokenAddress"; // Address of the reward token (e.g., yield token)
-    const vault = await StakingYieldVault.deploy(
+    const params = loadParams(__dirname);
+    const asset = params.asset;
+    const rewardToken = params.rewardToken;
+    const vault = await deployContract("StakingYieldVault", [
         asset,
         rewardToken,
-        "Staking Vault Token",
-        "SVT"
-    );
+        params.name,
+        params.symbol
+    ]);
 
-    console.log("StakingYieldVault deployed to:", vault.address);
+    console.log("StakingYieldVault deployed to:", await addressOf(vault));
 }
 
 main()
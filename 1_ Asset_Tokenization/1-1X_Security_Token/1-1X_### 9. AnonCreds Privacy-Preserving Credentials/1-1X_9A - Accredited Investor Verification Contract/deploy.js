@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const AccreditedInvestorVerification = await ethers.getContractFactory("AccreditedInvestorVerification");
-    const contract = await AccreditedInvestorVerification.deploy();
+    const contract = await deployContract("AccreditedInvestorVerification");
 
-    console.log("AccreditedInvestorVerification deployed to:", contract.address);
+    console.log("AccreditedInvestorVerification deployed to:", await addressOf(contract));
 }
 
 main()
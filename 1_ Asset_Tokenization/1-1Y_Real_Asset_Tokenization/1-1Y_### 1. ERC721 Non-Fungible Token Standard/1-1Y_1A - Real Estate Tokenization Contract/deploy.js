@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const RealEstateTokenization = await ethers.getContractFactory("RealEstateTokenization");
-    const contract = await RealEstateTokenization.deploy();
+    const contract = await deployContract("RealEstateTokenization");
 
-    console.log("RealEstateTokenization deployed to:", contract.address);
+    console.log("RealEstateTokenization deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const PhysicalCommodityTokenization = await ethers.getContractFactory("PhysicalCommodityTokenization");
-    const contract = await PhysicalCommodityTokenization.deploy();
+    const contract = await deployContract("PhysicalCommodityTokenization");
 
-    console.log("PhysicalCommodityTokenization deployed to:", contract.address);
+    console.log("PhysicalCommodityTokenization deployed to:", await addressOf(contract));
 }
 
 main()
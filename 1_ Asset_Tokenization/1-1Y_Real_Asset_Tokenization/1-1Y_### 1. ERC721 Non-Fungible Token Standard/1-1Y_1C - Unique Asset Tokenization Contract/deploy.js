@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const UniqueAssetTokenization = await ethers.getContractFactory("UniqueAssetTokenization");
-    const contract = await UniqueAssetTokenization.deploy();
+    const contract = await deployContract("UniqueAssetTokenization");
 
-    console.log("UniqueAssetTokenization deployed to:", contract.address);
+    console.log("UniqueAssetTokenization deployed to:", await addressOf(contract));
 }
 
 main()
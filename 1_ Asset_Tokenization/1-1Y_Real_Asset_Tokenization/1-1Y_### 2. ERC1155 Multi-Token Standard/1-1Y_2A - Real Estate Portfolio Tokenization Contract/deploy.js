@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    const RealEstatePortfolioTokenization = await ethers.getContractFactory("RealEstatePortfolioTokenization");
-    const contract = await RealEstatePortfolioTokenization.deploy("https://api.example.com/metadata/{id}.json");
+    const contract = await deployContract("RealEstatePortfolioTokenization", [params.uri]);
 
-    console.log("RealEstatePortfolioTokenization deployed to:", contract.address);
+    console.log("RealEstatePortfolioTokenization deployed to:", await addressOf(contract));
 }
 
 main()
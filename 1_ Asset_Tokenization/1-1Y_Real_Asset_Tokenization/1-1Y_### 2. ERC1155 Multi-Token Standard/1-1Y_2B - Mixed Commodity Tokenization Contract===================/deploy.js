@@ -0,0 +1,20 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
+async function main() {
+    const params = loadParams(__dirname);
+    const [deployer] = await ethers.getSigners();
+    console.log("Deploying contracts with the account:", deployer.address);
+
+    const contract = await deployContract("MixedCommodityTokenization", [params.uri]);
+
+    console.log("MixedCommodityTokenization deployed to:", await addressOf(contract));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
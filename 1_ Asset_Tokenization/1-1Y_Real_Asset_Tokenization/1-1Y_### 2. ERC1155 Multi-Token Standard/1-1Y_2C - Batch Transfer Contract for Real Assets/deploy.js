@@ -1,18 +1,20 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const uri = "https://example.com/metadata/{id}.json"; // replace with your metadata URI
-  const BatchTransferRealAssets = await ethers.getContractFactory("BatchTransferRealAssets");
-  const batchTransferRealAssets = await BatchTransferRealAssets.deploy(uri);
+  const uri = params.uri;
+  const batchTransferRealAssets = await deployContract("BatchTransferRealAssets", [uri]);
 
-  console.log("Contract address:", batchTransferRealAssets.address);
+  console.log("Contract address:", await addressOf(batchTransferRealAssets));
 }
 
 main()
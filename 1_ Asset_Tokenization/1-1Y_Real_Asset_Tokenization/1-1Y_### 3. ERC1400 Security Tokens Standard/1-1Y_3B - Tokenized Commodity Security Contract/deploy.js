@@ -1,21 +1,23 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, encodeBytes32String, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const partitions = [ethers.utils.formatBytes32String("default")]; // Default partition
-  const name = "Tokenized Commodity Security";
-  const symbol = "TCS";
+  const partitions = params.partitions.map(encodeBytes32String);
+  const name = params.name;
+  const symbol = params.symbol;
 
-  const TokenizedCommoditySecurity = await ethers.getContractFactory("TokenizedCommoditySecurity");
-  const tokenizedCommoditySecurity = await TokenizedCommoditySecurity.deploy(name, symbol, partitions);
+  const tokenizedCommoditySecurity = await deployContract("TokenizedCommoditySecurity", [name, symbol, partitions]);
 
-  console.log("TokenizedCommoditySecurity deployed to:", tokenizedCommoditySecurity.address);
+  console.log("TokenizedCommoditySecurity deployed to:", await addressOf(tokenizedCommoditySecurity));
 }
 
 main()
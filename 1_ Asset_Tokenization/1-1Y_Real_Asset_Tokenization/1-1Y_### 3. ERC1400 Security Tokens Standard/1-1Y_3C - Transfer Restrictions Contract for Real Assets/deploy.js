@@ -1,21 +1,23 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance, encodeBytes32String } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const TokenizedRealAssets = await ethers.getContractFactory("TransferRestrictionsRealAssets");
-  const tokenizedRealAssets = await TokenizedRealAssets.deploy(
-    "Real Asset Security Token",
-    "RAST",
-    ["partition1", "partition2"]
-  );
+  const tokenizedRealAssets = await deployContract("TransferRestrictionsRealAssets", [
+    params.name,
+    params.symbol,
+    params.partitions.map(encodeBytes32String)
+  ]);
 
-  console.log("Tokenized Real Assets deployed to:", tokenizedRealAssets.address);
+  console.log("Tokenized Real Assets deployed to:", await addressOf(tokenizedRealAssets));
 }
 
 main()
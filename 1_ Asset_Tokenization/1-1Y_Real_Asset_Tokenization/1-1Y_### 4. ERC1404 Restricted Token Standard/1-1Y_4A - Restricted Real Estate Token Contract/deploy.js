@@ -1,17 +1,19 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const RestrictedRealEstateToken = await ethers.getContractFactory("RestrictedRealEstateToken");
-  const restrictedRealEstateToken = await RestrictedRealEstateToken.deploy("Restricted Real Estate Token", "RRET", 18);
+  const restrictedRealEstateToken = await deployContract("RestrictedRealEstateToken", [params.name, params.symbol, params.decimals]);
 
-  console.log("Restricted Real Estate Token deployed to:", restrictedRealEstateToken.address);
+  console.log("Restricted Real Estate Token deployed to:", await addressOf(restrictedRealEstateToken));
 }
 
 main()
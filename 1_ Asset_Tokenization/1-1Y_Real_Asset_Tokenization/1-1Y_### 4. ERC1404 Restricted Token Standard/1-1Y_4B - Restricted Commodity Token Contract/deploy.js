@@ -1,17 +1,19 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const RestrictedCommodityToken = await ethers.getContractFactory("RestrictedCommodityToken");
-  const restrictedCommodityToken = await RestrictedCommodityToken.deploy("Restricted Commodity Token", "RCT", 18);
+  const restrictedCommodityToken = await deployContract("RestrictedCommodityToken", [params.name, params.symbol, params.decimals]);
 
-  console.log("Restricted Commodity Token deployed to:", restrictedCommodityToken.address);
+  console.log("Restricted Commodity Token deployed to:", await addressOf(restrictedCommodityToken));
 }
 
 main()
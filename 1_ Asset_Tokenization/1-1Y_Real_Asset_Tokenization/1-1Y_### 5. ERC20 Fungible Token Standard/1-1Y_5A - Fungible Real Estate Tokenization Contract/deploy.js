@@ -1,17 +1,19 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const FungibleRealEstateToken = await ethers.getContractFactory("FungibleRealEstateToken");
-  const fungibleRealEstateToken = await FungibleRealEstateToken.deploy("Real Estate Token", "RET", ethers.utils.parseUnits("1000000", 18));
+  const fungibleRealEstateToken = await deployContract("FungibleRealEstateToken", [params.name, params.symbol, parseUnits(params.initialSupply, 18)]);
 
-  console.log("Fungible Real Estate Token deployed to:", fungibleRealEstateToken.address);
+  console.log("Fungible Real Estate Token deployed to:", await addressOf(fungibleRealEstateToken));
 }
 
 main()
@@ -1,17 +1,19 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const CommodityTokenizationContract = await ethers.getContractFactory("CommodityTokenizationContract");
-  const commodityToken = await CommodityTokenizationContract.deploy("Commodity Token", "COMT", ethers.utils.parseUnits("1000000", 18));
+  const commodityToken = await deployContract("CommodityTokenizationContract", [params.name, params.symbol, parseUnits(params.initialSupply, 18)]);
 
-  console.log("Commodity Tokenization Contract deployed to:", commodityToken.address);
+  console.log("Commodity Tokenization Contract deployed to:", await addressOf(commodityToken));
 }
 
 main()
@@ -1,21 +1,23 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const initialSupply = ethers.utils.parseUnits("1000000", 18); // 1,000,000 tokens
-  const apyRate = 5; // 5% APY
-  const rewardDuration = 31536000; // 1 year in seconds
+  const initialSupply = parseUnits(params.initialSupply, 18);
+  const apyRate = params.apyRate;
+  const rewardDuration = params.rewardDuration;
 
-  const StakingAndYieldRealAssetToken = await ethers.getContractFactory("StakingAndYieldRealAssetToken");
-  const stakingToken = await StakingAndYieldRealAssetToken.deploy("Real Asset Token", "RAT", initialSupply, apyRate, rewardDuration);
+  const stakingToken = await deployContract("StakingAndYieldRealAssetToken", [params.name, params.symbol, initialSupply, apyRate, rewardDuration]);
 
-  console.log("Staking and Yield Contract deployed to:", stakingToken.address);
+  console.log("Staking and Yield Contract deployed to:", await addressOf(stakingToken));
 }
 
 main()
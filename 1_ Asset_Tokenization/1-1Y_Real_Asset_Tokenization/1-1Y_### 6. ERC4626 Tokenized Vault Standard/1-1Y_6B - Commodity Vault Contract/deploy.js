@@ -1,22 +1,24 @@
 // deployment script using Hardhat
 
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
   // Parameters for deployment
-  const vaultTokenAddress = "0xYourVaultTokenAddress"; // ERC20 token address representing shares
-  const minInvestment = ethers.utils.parseUnits("500", 18); // Minimum investment
+  const params = loadParams(__dirname);
+  const vaultTokenAddress = params.vaultTokenAddress;
+  const minInvestment = parseUnits(params.minInvestment, 18);
 
   // Deploy the contract
-  const CommodityVaultContract = await ethers.getContractFactory("CommodityVaultContract");
-  const vaultContract = await CommodityVaultContract.deploy(vaultTokenAddress, minInvestment);
+  const vaultContract = await deployContract("CommodityVaultContract", [vaultTokenAddress, minInvestment]);
 
-  console.log("Commodity Vault Contract deployed to:", vaultContract.address);
+  console.log("Commodity Vault Contract deployed to:", await addressOf(vaultContract));
 }
 
 main()
@@ -1,16 +1,16 @@
 const { ethers } = require("hardhat");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
   // Deploy the contract
-  const ComposableRealEstateToken = await ethers.getContractFactory("ComposableRealEstateToken");
-  const composableRealEstateToken = await ComposableRealEstateToken.deploy();
+  const composableRealEstateToken = await deployContract("ComposableRealEstateToken");
 
-  console.log("Composable Real Estate Token Contract deployed to:", composableRealEstateToken.address);
+  console.log("Composable Real Estate Token Contract deployed to:", await addressOf(composableRealEstateToken));
 }
 
 main()
@@ -1,16 +1,16 @@
 const { ethers } = require("hardhat");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
   // Deploy the contract
-  const ComposableCommodityToken = await ethers.getContractFactory("ComposableCommodityToken");
-  const composableCommodityToken = await ComposableCommodityToken.deploy();
+  const composableCommodityToken = await deployContract("ComposableCommodityToken");
 
-  console.log("Composable Commodity Token Contract deployed to:", composableCommodityToken.address);
+  console.log("Composable Commodity Token Contract deployed to:", await addressOf(composableCommodityToken));
 }
 
 main()
@@ -1,16 +1,16 @@
 const { ethers } = require("hardhat");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
   // Deploy the contract
-  const AccreditedInvestorVerification = await ethers.getContractFactory("AccreditedInvestorVerification");
-  const accreditedInvestorVerification = await AccreditedInvestorVerification.deploy();
+  const accreditedInvestorVerification = await deployContract("AccreditedInvestorVerification");
 
-  console.log("Accredited Investor Verification Contract deployed to:", accreditedInvestorVerification.address);
+  console.log("Accredited Investor Verification Contract deployed to:", await addressOf(accreditedInvestorVerification));
 }
 
 main()
@@ -1,28 +1,25 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityToken = await ethers.getContractFactory("EquityToken");
-  const equityToken = await EquityToken.deploy();
-  await equityToken.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Equity Token at:", params.equityToken);
 
-  console.log("Equity Token deployed to:", equityToken.address);
+  const equityTokenIssuance = await deployContract("EquityTokenIssuance", [
+    params.equityToken, // Address of the equity token contract
+    parseEther(params.minimumInvestment), // Minimum investment in wei
+    parseEther(params.maximumInvestment), // Maximum investment in wei
+    parseEther(params.totalTokensForSale), // Total tokens for sale
+    parseEther(params.tokenPrice) // Token price in wei
+  ]);
 
-  const EquityTokenIssuance = await ethers.getContractFactory("EquityTokenIssuance");
-  const equityTokenIssuance = await EquityTokenIssuance.deploy(
-    equityToken.address, // Address of the equity token contract
-    ethers.utils.parseEther("0.1"), // Minimum investment in wei
-    ethers.utils.parseEther("10"), // Maximum investment in wei
-    ethers.utils.parseEther("1000"), // Total tokens for sale
-    ethers.utils.parseEther("0.01") // Token price in wei
-  );
-  await equityTokenIssuance.deployed();
-
-  console.log("Equity Token Issuance Contract deployed to:", equityTokenIssuance.address);
+  console.log("Equity Token Issuance Contract deployed to:", await addressOf(equityTokenIssuance));
 }
 
 main()
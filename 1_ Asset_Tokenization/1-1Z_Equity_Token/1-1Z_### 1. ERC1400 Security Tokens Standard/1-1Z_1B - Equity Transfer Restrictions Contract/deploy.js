@@ -1,22 +1,19 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityToken = await ethers.getContractFactory("EquityToken");
-  const equityToken = await EquityToken.deploy();
-  await equityToken.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Equity Token at:", params.equityToken);
 
-  console.log("Equity Token deployed to:", equityToken.address);
+  const equityTransferRestrictions = await deployContract("EquityTransferRestrictions", [params.equityToken]);
 
-  const EquityTransferRestrictions = await ethers.getContractFactory("EquityTransferRestrictions");
-  const equityTransferRestrictions = await EquityTransferRestrictions.deploy(equityToken.address);
-  await equityTransferRestrictions.deployed();
-
-  console.log("Equity Transfer Restrictions Contract deployed to:", equityTransferRestrictions.address);
+  console.log("Equity Transfer Restrictions Contract deployed to:", await addressOf(equityTransferRestrictions));
 }
 
 main()
@@ -1,22 +1,19 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityToken = await ethers.getContractFactory("EquityToken");
-  const equityToken = await EquityToken.deploy();
-  await equityToken.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Equity Token at:", params.equityToken);
 
-  console.log("Equity Token deployed to:", equityToken.address);
+  const equityLockUpPeriod = await deployContract("EquityLockUpPeriod", [params.equityToken]);
 
-  const EquityLockUpPeriod = await ethers.getContractFactory("EquityLockUpPeriod");
-  const equityLockUpPeriod = await EquityLockUpPeriod.deploy(equityToken.address);
-  await equityLockUpPeriod.deployed();
-
-  console.log("Equity Lock-Up Period Contract deployed to:", equityLockUpPeriod.address);
+  console.log("Equity Lock-Up Period Contract deployed to:", await addressOf(equityLockUpPeriod));
 }
 
 main()
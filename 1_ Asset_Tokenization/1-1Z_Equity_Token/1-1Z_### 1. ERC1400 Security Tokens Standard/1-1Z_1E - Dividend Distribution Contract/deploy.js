@@ -1,27 +1,20 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityToken = await ethers.getContractFactory("EquityToken");
-  const equityToken = await EquityToken.deploy();
-  await equityToken.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Equity Token at:", params.equityToken);
+  console.log("Using Stablecoin at:", params.stablecoin);
 
-  const Stablecoin = await ethers.getContractFactory("Stablecoin");
-  const stablecoin = await Stablecoin.deploy();
-  await stablecoin.deployed();
+  const dividendDistribution = await deployContract("DividendDistribution", [params.equityToken, params.stablecoin]);
 
-  console.log("Equity Token deployed to:", equityToken.address);
-  console.log("Stablecoin deployed to:", stablecoin.address);
-
-  const DividendDistribution = await ethers.getContractFactory("DividendDistribution");
-  const dividendDistribution = await DividendDistribution.deploy(equityToken.address, stablecoin.address);
-  await dividendDistribution.deployed();
-
-  console.log("Dividend Distribution Contract deployed to:", dividendDistribution.address);
+  console.log("Dividend Distribution Contract deployed to:", await addressOf(dividendDistribution));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const CorporateActionContract = await ethers.getContractFactory("CorporateActionContract");
-  const corporateActionContract = await CorporateActionContract.deploy("YOUR_ERC1400_TOKEN_ADDRESS");
-  await corporateActionContract.deployed();
+  const params = loadParams(__dirname);
+  const corporateActionContract = await deployContract("CorporateActionContract", [params.securityToken]);
 
-  console.log("Corporate Action Contract deployed to:", corporateActionContract.address);
+  console.log("Corporate Action Contract deployed to:", await addressOf(corporateActionContract));
 }
 
 main()
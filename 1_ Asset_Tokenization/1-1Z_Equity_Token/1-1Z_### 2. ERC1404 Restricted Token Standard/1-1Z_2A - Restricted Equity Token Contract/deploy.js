@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const RestrictedEquityTokenContract = await ethers.getContractFactory("RestrictedEquityTokenContract");
-  const equityToken = await RestrictedEquityTokenContract.deploy("Restricted Equity Token", "RET", ethers.utils.parseEther("1000000"));
-  await equityToken.deployed();
+  const equityToken = await deployContract("RestrictedEquityTokenContract", [params.name, params.symbol, parseEther(params.initialSupply)]);
 
-  console.log("Restricted Equity Token Contract deployed to:", equityToken.address);
+  console.log("Restricted Equity Token Contract deployed to:", await addressOf(equityToken));
 }
 
 main()
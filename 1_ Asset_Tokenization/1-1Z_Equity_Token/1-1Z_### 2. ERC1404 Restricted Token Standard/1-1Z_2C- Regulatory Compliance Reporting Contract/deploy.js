@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const RegulatoryComplianceReporting = await ethers.getContractFactory("RegulatoryComplianceReporting");
-  const token = await RegulatoryComplianceReporting.deploy("Compliance Equity Token", "CET", ethers.utils.parseEther("1000000"));
-  await token.deployed();
+  const token = await deployContract("RegulatoryComplianceReporting", [params.name, params.symbol, parseEther(params.initialSupply)]);
 
-  console.log("Regulatory Compliance Reporting Contract deployed to:", token.address);
+  console.log("Regulatory Compliance Reporting Contract deployed to:", await addressOf(token));
 }
 
 main()
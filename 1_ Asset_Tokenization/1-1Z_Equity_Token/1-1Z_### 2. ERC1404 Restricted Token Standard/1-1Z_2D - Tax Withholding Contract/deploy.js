@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const TaxWithholding = await ethers.getContractFactory("TaxWithholding");
-  const token = await TaxWithholding.deploy("Equity Token", "ETK", ethers.utils.parseEther("1000000"));
-  await token.deployed();
+  const token = await deployContract("TaxWithholding", [params.name, params.symbol, parseEther(params.initialSupply)]);
 
-  console.log("Tax Withholding Contract deployed to:", token.address);
+  console.log("Tax Withholding Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const BasicEquityToken = await ethers.getContractFactory("BasicEquityToken");
-  const token = await BasicEquityToken.deploy("Basic Equity Token", "BET");
-  await token.deployed();
+  const token = await deployContract("BasicEquityToken", [params.name, params.symbol]);
 
-  console.log("Basic Equity Token Contract deployed to:", token.address);
+  console.log("Basic Equity Token Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const DividendDistributionERC20 = await ethers.getContractFactory("DividendDistributionERC20");
-  const token = await DividendDistributionERC20.deploy("Dividend Equity Token", "DET");
-  await token.deployed();
+  const token = await deployContract("DividendDistributionERC20", [params.name, params.symbol]);
 
-  console.log("Dividend Distribution Contract deployed to:", token.address);
+  console.log("Dividend Distribution Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityMintingAndBurning = await ethers.getContractFactory("EquityMintingAndBurning");
-  const token = await EquityMintingAndBurning.deploy("Equity Token", "EQT");
-  await token.deployed();
+  const token = await deployContract("EquityMintingAndBurning", [params.name, params.symbol]);
 
-  console.log("Equity Minting and Burning Contract deployed to:", token.address);
+  console.log("Equity Minting and Burning Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityTokenGovernance = await ethers.getContractFactory("EquityTokenGovernance");
-  const token = await EquityTokenGovernance.deploy("Equity Governance Token", "EGT", 1000, 604800);
-  await token.deployed();
+  const token = await deployContract("EquityTokenGovernance", [params.name, params.symbol, params.minimumQuorum, params.proposalDuration]);
 
-  console.log("Equity Token Governance Contract deployed to:", token.address);
+  console.log("Equity Token Governance Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const AdvancedEquityToken = await ethers.getContractFactory("AdvancedEquityToken");
-  const token = await AdvancedEquityToken.deploy("Advanced Equity Token", "AET", []);
-  await token.deployed();
+  const token = await deployContract("AdvancedEquityToken", [params.name, params.symbol, params.defaultOperators]);
 
-  console.log("Advanced Equity Token Contract deployed to:", token.address);
+  console.log("Advanced Equity Token Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const OperatorControlEquityToken = await ethers.getContractFactory("OperatorControlEquityToken");
-  const token = await OperatorControlEquityToken.deploy("Operator Equity Token", "OET", []);
-  await token.deployed();
+  const token = await deployContract("OperatorControlEquityToken", [params.name, params.symbol, params.defaultOperators]);
 
-  console.log("Operator Control Equity Token Contract deployed to:", token.address);
+  console.log("Operator Control Equity Token Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,16 +1,17 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityTokenRedemption = await ethers.getContractFactory("EquityTokenRedemption");
-  const token = await EquityTokenRedemption.deploy("Equity Redemption Token", "ERT", []);
-  await token.deployed();
+  const token = await deployContract("EquityTokenRedemption", [params.name, params.symbol, params.defaultOperators]);
 
-  console.log("Equity Token Redemption Contract deployed to:", token.address);
+  console.log("Equity Token Redemption Contract deployed to:", await addressOf(token));
 }
 
 main()
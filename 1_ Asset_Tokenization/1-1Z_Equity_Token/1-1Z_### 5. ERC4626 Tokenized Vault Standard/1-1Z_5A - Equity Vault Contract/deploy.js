@@ -1,20 +1,21 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityVaultContract = await ethers.getContractFactory("EquityVaultContract");
-  const token = await EquityVaultContract.deploy(
-    "0xYourERC20TokenAddressHere", // Replace with the underlying equity token address
-    "Equity Vault Token",
-    "EVT"
-  );
-  await token.deployed();
+  const params = loadParams(__dirname);
+  const token = await deployContract("EquityVaultContract", [
+    params.equityToken, // Underlying equity token address
+    params.name,
+    params.symbol
+  ]);
 
-  console.log("Equity Vault Contract deployed to:", token.address);
+  console.log("Equity Vault Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,22 +1,23 @@
 const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits, getBalance } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await getBalance(deployer)).toString());
 
-  const EquityVaultStaking = await ethers.getContractFactory("EquityVaultStaking");
-  const stakingVault = await EquityVaultStaking.deploy(
-    "0xYourEquityTokenAddressHere", // Replace with the underlying equity token address
-    "0xYourRewardTokenAddressHere", // Replace with the reward token address
-    ethers.utils.parseUnits("0.001", 18), // Reward rate per second, e.g., 0.001 tokens/second
-    "Staking Vault Token",
-    "SVT"
-  );
-  await stakingVault.deployed();
+  const params = loadParams(__dirname);
+  const stakingVault = await deployContract("EquityVaultStaking", [
+    params.equityToken, // Underlying equity token address
+    params.rewardToken, // Reward token address
+    parseUnits(params.rewardRatePerSecond, 18), // Reward rate per second, e.g., 0.001 tokens/second
+    params.name,
+    params.symbol
+  ]);
 
-  console.log("Equity Vault Staking Contract deployed to:", stakingVault.address);
+  console.log("Equity Vault Staking Contract deployed to:", await addressOf(stakingVault));
 }
 
 main()
@@ -1,18 +1,12 @@
 // deploy.js
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  // Compile the contract
-  const ComposableEquityToken = await hre.ethers.getContractFactory("ComposableEquityToken");
-
   // Deploy the contract
-  const composableEquityToken = await ComposableEquityToken.deploy();
-
-  // Wait for the contract to be deployed
-  await composableEquityToken.deployed();
+  const composableEquityToken = await deployContract("ComposableEquityToken");
 
   // Log the address of the deployed contract
-  console.log("ComposableEquityToken deployed to:", composableEquityToken.address);
+  console.log("ComposableEquityToken deployed to:", await addressOf(composableEquityToken));
 }
 
 // Run the deployment script
@@ -1,18 +1,12 @@
 // deploy.js
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  // Compile the contract
-  const AccreditedInvestorVerification = await hre.ethers.getContractFactory("AccreditedInvestorVerification");
-
   // Deploy the contract
-  const accreditedInvestorVerification = await AccreditedInvestorVerification.deploy();
-
-  // Wait for the contract to be deployed
-  await accreditedInvestorVerification.deployed();
+  const accreditedInvestorVerification = await deployContract("AccreditedInvestorVerification");
 
   // Log the address of the deployed contract
-  console.log("AccreditedInvestorVerification deployed to:", accreditedInvestorVerification.address);
+  console.log("AccreditedInvestorVerification deployed to:", await addressOf(accreditedInvestorVerification));
 }
 
 // Run the deployment script
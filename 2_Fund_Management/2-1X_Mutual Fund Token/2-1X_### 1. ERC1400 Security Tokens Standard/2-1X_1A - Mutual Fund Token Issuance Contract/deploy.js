@@ -1,21 +1,22 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MutualFundTokenIssuance = await hre.ethers.getContractFactory("MutualFundTokenIssuance");
-  const mutualFundToken = await MutualFundTokenIssuance.deploy(
-    "Mutual Fund Token", // Token name
-    "MFT",              // Token symbol
-    1000000 * 10 ** 18, // Initial supply (1 million tokens)
-    0.01 * 10 ** 18,    // Token price (0.01 ETH)
-    0.1 * 10 ** 18,     // Minimum investment (0.1 ETH)
-    10 * 10 ** 18       // Maximum investment (10 ETH)
-  );
+  const mutualFundToken = await deployContract("MutualFundTokenIssuance", [
+    params.name, // Token name
+    params.symbol,              // Token symbol
+    parseUnits(params.initialSupply, 18), // Initial supply (1 million tokens)
+    parseUnits(params.tokenPrice, 18),    // Token price (0.01 ETH)
+    parseUnits(params.minInvestment, 18),     // Minimum investment (0.1 ETH)
+    parseUnits(params.maxInvestment, 18)       // Maximum investment (10 ETH)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Mutual Fund Token Issuance deployed to:", mutualFundToken.address);
+  console.log("Mutual Fund Token Issuance deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const WhitelistingBlacklistingMutualFund = await hre.ethers.getContractFactory("WhitelistingBlacklistingMutualFund");
-  const mutualFundToken = await WhitelistingBlacklistingMutualFund.deploy(
-    "Mutual Fund Whitelist Blacklist Token", // Token name
-    "MFWBT",                                // Token symbol
-    1000000 * 10 ** 18                      // Initial supply (1 million tokens)
-  );
+  const mutualFundToken = await deployContract("WhitelistingBlacklistingMutualFund", [
+    params.name, // Token name
+    params.symbol,                                // Token symbol
+    parseUnits(params.initialSupply, 18)                      // Initial supply (1 million tokens)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Whitelisting and Blacklisting Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Whitelisting and Blacklisting Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const RestrictedMutualFundToken = await hre.ethers.getContractFactory("RestrictedMutualFundToken");
-  const mutualFundToken = await RestrictedMutualFundToken.deploy(
-    "Restricted Mutual Fund Token", // Token name
-    "RMFT",                        // Token symbol
-    1000000 * 10 ** 18             // Initial supply (1 million tokens)
-  );
+  const mutualFundToken = await deployContract("RestrictedMutualFundToken", [
+    params.name, // Token name
+    params.symbol,                        // Token symbol
+    parseUnits(params.initialSupply, 18)             // Initial supply (1 million tokens)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Restricted Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Restricted Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const InvestorVerificationMutualFund = await hre.ethers.getContractFactory("InvestorVerificationMutualFund");
-  const mutualFundToken = await InvestorVerificationMutualFund.deploy(
-    "Investor Verification Mutual Fund Token", // Token name
-    "IVMFT",                                    // Token symbol
-    1000000 * 10 ** 18                          // Initial supply (1 million tokens)
-  );
+  const mutualFundToken = await deployContract("InvestorVerificationMutualFund", [
+    params.name, // Token name
+    params.symbol,                                    // Token symbol
+    parseUnits(params.initialSupply, 18)                          // Initial supply (1 million tokens)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Investor Verification Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Investor Verification Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ComplianceReportingMutualFund = await hre.ethers.getContractFactory("ComplianceReportingMutualFund");
-  const mutualFundToken = await ComplianceReportingMutualFund.deploy(
-    "Compliance Reporting Mutual Fund Token", // Token name
-    "CRMFT",                                   // Token symbol
-    1000000 * 10 ** 18                         // Initial supply (1 million tokens)
-  );
+  const mutualFundToken = await deployContract("ComplianceReportingMutualFund", [
+    params.name, // Token name
+    params.symbol,                                   // Token symbol
+    parseUnits(params.initialSupply, 18)                         // Initial supply (1 million tokens)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Compliance Reporting Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Compliance Reporting Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,19 +1,20 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const TaxWithholdingMutualFund = await hre.ethers.getContractFactory("TaxWithholdingMutualFund");
-  const mutualFundToken = await TaxWithholdingMutualFund.deploy(
-    "Tax Withholding Mutual Fund Token", // Token name
-    "TWMFT",                             // Token symbol
-    1000000 * 10 ** 18,                  // Initial supply (1 million tokens)
-    500                                  // Initial tax rate (5%)
-  );
+  const mutualFundToken = await deployContract("TaxWithholdingMutualFund", [
+    params.name, // Token name
+    params.symbol,                             // Token symbol
+    parseUnits(params.initialSupply, 18),                  // Initial supply (1 million tokens)
+    params.taxRate                                  // Initial tax rate (5%)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Tax Withholding Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Tax Withholding Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,20 +1,21 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const FungibleMutualFundToken = await hre.ethers.getContractFactory("FungibleMutualFundToken");
-  const mutualFundToken = await FungibleMutualFundToken.deploy(
-    "Fungible Mutual Fund Token", // Token name
-    "FMFT",                       // Token symbol
-    1000000 * 10 ** 18,           // Initial supply (1 million tokens)
-    1000,                         // Token price in wei (1 token = 0.001 ether)
-    5000 * 10 ** 18               // Fundraising goal (5000 ether)
-  );
+  const mutualFundToken = await deployContract("FungibleMutualFundToken", [
+    params.name, // Token name
+    params.symbol,                       // Token symbol
+    parseUnits(params.initialSupply, 18),           // Initial supply (1 million tokens)
+    params.tokenPrice,                         // Token price in wei (1 token = 0.001 ether)
+    parseUnits(params.fundraisingGoal, 18)               // Fundraising goal (5000 ether)
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Fungible Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Fungible Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
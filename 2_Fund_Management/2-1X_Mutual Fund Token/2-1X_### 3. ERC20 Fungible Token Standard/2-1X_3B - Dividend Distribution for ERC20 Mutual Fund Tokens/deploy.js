@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const DividendDistribution = await hre.ethers.getContractFactory("DividendDistribution");
-  const dividendToken = await DividendDistribution.deploy(
-    "Dividend Mutual Fund Token", // Token name
-    "DMFT",                       // Token symbol
-    1000000 * 10 ** 18            // Initial supply (1 million tokens)
-  );
+  const dividendToken = await deployContract("DividendDistribution", [
+    params.name, // Token name
+    params.symbol,                       // Token symbol
+    parseUnits(params.initialSupply, 18)            // Initial supply (1 million tokens)
+  ]);
 
-  await dividendToken.deployed();
-  console.log("Dividend Mutual Fund Token deployed to:", dividendToken.address);
+  console.log("Dividend Mutual Fund Token deployed to:", await addressOf(dividendToken));
 }
 
 main()
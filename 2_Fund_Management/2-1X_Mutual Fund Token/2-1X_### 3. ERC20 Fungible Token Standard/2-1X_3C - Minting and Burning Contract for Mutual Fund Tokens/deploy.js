@@ -1,18 +1,19 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MintingAndBurning = await hre.ethers.getContractFactory("MintingAndBurning");
-  const mintingAndBurning = await MintingAndBurning.deploy(
-    "Mutual Fund Token", // Token name
-    "MFT",               // Token symbol
-    1000000 * 10 ** 18   // Initial supply (1 million tokens)
-  );
+  const mintingAndBurning = await deployContract("MintingAndBurning", [
+    params.name, // Token name
+    params.symbol,               // Token symbol
+    parseUnits(params.initialSupply, 18)   // Initial supply (1 million tokens)
+  ]);
 
-  await mintingAndBurning.deployed();
-  console.log("Mutual Fund Token deployed to:", mintingAndBurning.address);
+  console.log("Mutual Fund Token deployed to:", await addressOf(mintingAndBurning));
 }
 
 main()
@@ -1,22 +1,23 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const FundGovernance = await hre.ethers.getContractFactory("FundGovernance");
-  const fundGovernance = await FundGovernance.deploy(
-    "Mutual Fund Token", // Token name
-    "MFT",               // Token symbol
-    1000000 * 10 ** 18,  // Initial supply (1 million tokens)
-    1,                   // Voting delay (1 block)
-    45818,               // Voting period (~1 week in blocks)
-    10000 * 10 ** 18,    // Proposal threshold (10,000 tokens)
-    4                    // Quorum percentage (4%)
-  );
+  const fundGovernance = await deployContract("FundGovernance", [
+    params.name, // Token name
+    params.symbol,               // Token symbol
+    parseUnits(params.initialSupply, 18),  // Initial supply (1 million tokens)
+    params.votingDelay,                   // Voting delay (1 block)
+    params.votingPeriod,               // Voting period (~1 week in blocks)
+    parseUnits(params.proposalThreshold, 18),    // Proposal threshold (10,000 tokens)
+    params.quorumPercentage                    // Quorum percentage (4%)
+  ]);
 
-  await fundGovernance.deployed();
-  console.log("Fund Governance Token deployed to:", fundGovernance.address);
+  console.log("Fund Governance Token deployed to:", await addressOf(fundGovernance));
 }
 
 main()
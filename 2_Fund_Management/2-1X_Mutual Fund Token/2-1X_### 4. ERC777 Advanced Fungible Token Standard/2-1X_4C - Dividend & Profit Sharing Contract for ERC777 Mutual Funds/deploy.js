@@ -1,20 +1,21 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
   const defaultOperators = [deployer.address]; // List of initial operators
 
-  const DividendAndProfitSharing = await hre.ethers.getContractFactory("DividendAndProfitSharing");
-  const mutualFundToken = await DividendAndProfitSharing.deploy(
-    "Advanced Mutual Fund Token", // Token name
-    "AMFT",                       // Token symbol
+  const mutualFundToken = await deployContract("DividendAndProfitSharing", [
+    params.name, // Token name
+    params.symbol,                       // Token symbol
     defaultOperators              // Default operators
-  );
+  ]);
 
-  await mutualFundToken.deployed();
-  console.log("Dividend and Profit Sharing Token deployed to:", mutualFundToken.address);
+  console.log("Dividend and Profit Sharing Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const uri = "https://example.com/api/metadata/{id}.json"; // Set your metadata URI
+  const uri = params.uri;
 
-  const MultiAssetMutualFund = await hre.ethers.getContractFactory("MultiAssetMutualFund");
-  const mutualFundToken = await MultiAssetMutualFund.deploy(uri);
+  const mutualFundToken = await deployContract("MultiAssetMutualFund", [uri]);
 
-  await mutualFundToken.deployed();
-  console.log("Multi-Asset Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Multi-Asset Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
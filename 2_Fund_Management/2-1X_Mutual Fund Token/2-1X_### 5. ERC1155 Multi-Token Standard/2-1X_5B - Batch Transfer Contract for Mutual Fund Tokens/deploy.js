@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const uri = "https://example.com/api/metadata/{id}.json"; // Set your metadata URI
+  const uri = params.uri;
 
-  const BatchTransferMutualFund = await hre.ethers.getContractFactory("BatchTransferMutualFund");
-  const mutualFundToken = await BatchTransferMutualFund.deploy(uri);
+  const mutualFundToken = await deployContract("BatchTransferMutualFund", [uri]);
 
-  await mutualFundToken.deployed();
-  console.log("Batch Transfer Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Batch Transfer Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const assetTokenAddress = "0xYourAssetTokenAddressHere"; // Set the underlying asset token address
+  const params = loadParams(__dirname);
+  const assetTokenAddress = params.assetTokenAddress;
 
-  const MutualFundVault = await hre.ethers.getContractFactory("MutualFundVault");
-  const mutualFundVault = await MutualFundVault.deploy(assetTokenAddress, "Mutual Fund Vault", "MFVT");
+  const mutualFundVault = await deployContract("MutualFundVault", [assetTokenAddress, params.name, params.symbol]);
 
-  await mutualFundVault.deployed();
-  console.log("Mutual Fund Vault Token deployed to:", mutualFundVault.address);
+  console.log("Mutual Fund Vault Token deployed to:", await addressOf(mutualFundVault));
 }
 
 main()
@@ -1,22 +1,23 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const assetTokenAddress = "0xYourAssetTokenAddressHere"; // Set the underlying asset token address
-  const rewardTokenAddress = "0xYourRewardTokenAddressHere"; // Set the reward token address
+  const params = loadParams(__dirname);
+  const assetTokenAddress = params.assetTokenAddress;
+  const rewardTokenAddress = params.rewardTokenAddress;
 
-  const StakingYieldVault = await hre.ethers.getContractFactory("StakingYieldVault");
-  const stakingYieldVault = await StakingYieldVault.deploy(
+  const stakingYieldVault = await deployContract("StakingYieldVault", [
     assetTokenAddress,
     rewardTokenAddress,
-    "Staking Mutual Fund Vault",
-    "SMFV"
-  );
+    params.name,
+    params.symbol
+  ]);
 
-  await stakingYieldVault.deployed();
-  console.log("Staking Mutual Fund Vault deployed to:", stakingYieldVault.address);
+  console.log("Staking Mutual Fund Vault deployed to:", await addressOf(stakingYieldVault));
 }
 
 main()
@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ComposableMutualFundToken = await hre.ethers.getContractFactory("ComposableMutualFundToken");
-  const mutualFundToken = await ComposableMutualFundToken.deploy();
+  const mutualFundToken = await deployContract("ComposableMutualFundToken");
 
-  await mutualFundToken.deployed();
-  console.log("Composable Mutual Fund Token deployed to:", mutualFundToken.address);
+  console.log("Composable Mutual Fund Token deployed to:", await addressOf(mutualFundToken));
 }
 
 main()
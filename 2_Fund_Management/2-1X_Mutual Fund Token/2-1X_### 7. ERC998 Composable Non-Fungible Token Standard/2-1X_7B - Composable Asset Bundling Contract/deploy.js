@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ComposableAssetBundling = await hre.ethers.getContractFactory("ComposableAssetBundling");
-  const composableAssetBundling = await ComposableAssetBundling.deploy();
+  const composableAssetBundling = await deployContract("ComposableAssetBundling");
 
-  await composableAssetBundling.deployed();
-  console.log("Composable Asset Bundling deployed to:", composableAssetBundling.address);
+  console.log("Composable Asset Bundling deployed to:", await addressOf(composableAssetBundling));
 }
 
 main()
@@ -1,20 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MutualFundToken = await hre.ethers.getContractFactory("ERC20Token");
-  const mutualFundToken = await MutualFundToken.deploy("Mutual Fund Token", "MFT", 18, 1000000);
-  await mutualFundToken.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Mutual Fund Token at:", params.mutualFundToken);
 
-  console.log("Mutual Fund Token deployed to:", mutualFundToken.address);
+  const accreditedInvestorVerification = await deployContract("AccreditedInvestorVerification", [params.mutualFundToken, deployer.address]);
 
-  const AccreditedInvestorVerification = await hre.ethers.getContractFactory("AccreditedInvestorVerification");
-  const accreditedInvestorVerification = await AccreditedInvestorVerification.deploy(mutualFundToken.address, deployer.address);
-
-  await accreditedInvestorVerification.deployed();
-  console.log("Accredited Investor Verification deployed to:", accreditedInvestorVerification.address);
+  console.log("Accredited Investor Verification deployed to:", await addressOf(accreditedInvestorVerification));
 }
 
 main()
@@ -1,20 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-  const underlyingAsset = await MockERC20.deploy("Hedge Fund Token", "HFT", 18, 1000000);
-  await underlyingAsset.deployed();
+  const params = loadParams(__dirname);
+  console.log("Using Underlying Asset at:", params.underlyingAsset);
 
-  console.log("Underlying Asset deployed to:", underlyingAsset.address);
+  const hedgeFundTokenIssuance = await deployContract("HedgeFundTokenIssuance", [params.underlyingAsset]);
 
-  const HedgeFundTokenIssuance = await hre.ethers.getContractFactory("HedgeFundTokenIssuance");
-  const hedgeFundTokenIssuance = await HedgeFundTokenIssuance.deploy(underlyingAsset.address);
-
-  await hedgeFundTokenIssuance.deployed();
-  console.log("Hedge Fund Token Issuance deployed to:", hedgeFundTokenIssuance.address);
+  console.log("Hedge Fund Token Issuance deployed to:", await addressOf(hedgeFundTokenIssuance));
 }
 
 main()
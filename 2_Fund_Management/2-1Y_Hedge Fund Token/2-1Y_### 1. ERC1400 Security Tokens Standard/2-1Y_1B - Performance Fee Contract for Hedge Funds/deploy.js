@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const PerformanceFeeContract = await hre.ethers.getContractFactory("PerformanceFeeContract");
-  const performanceFeeContract = await PerformanceFeeContract.deploy(20, 1000); // 20% fee and 1000 threshold
+  const performanceFeeContract = await deployContract("PerformanceFeeContract", [params.performanceFeePercentage, params.profitThreshold]); // 20% fee and 1000 threshold
 
-  await performanceFeeContract.deployed();
-  console.log("Performance Fee Contract deployed to:", performanceFeeContract.address);
+  console.log("Performance Fee Contract deployed to:", await addressOf(performanceFeeContract));
 }
 
 main()
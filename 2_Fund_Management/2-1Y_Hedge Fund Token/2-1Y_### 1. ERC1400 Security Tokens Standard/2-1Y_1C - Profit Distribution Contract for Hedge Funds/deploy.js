@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ProfitDistributionContract = await hre.ethers.getContractFactory("ProfitDistributionContract");
-  const profitDistributionContract = await ProfitDistributionContract.deploy();
+  const profitDistributionContract = await deployContract("ProfitDistributionContract");
 
-  await profitDistributionContract.deployed();
-  console.log("Profit Distribution Contract deployed to:", profitDistributionContract.address);
+  console.log("Profit Distribution Contract deployed to:", await addressOf(profitDistributionContract));
 }
 
 main()
@@ -1,15 +1,14 @@
 
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const TransferRestrictionsContract = await hre.ethers.getContractFactory("TransferRestrictionsContract");
-  const transferRestrictionsContract = await TransferRestrictionsContract.deploy();
+  const transferRestrictionsContract = await deployContract("TransferRestrictionsContract");
 
-  await transferRestrictionsContract.deployed();
-  console.log("Transfer Restrictions Contract deployed to:", transferRestrictionsContract.address);
+  console.log("Transfer Restrictions Contract deployed to:", await addressOf(transferRestrictionsContract));
 }
 
 main()
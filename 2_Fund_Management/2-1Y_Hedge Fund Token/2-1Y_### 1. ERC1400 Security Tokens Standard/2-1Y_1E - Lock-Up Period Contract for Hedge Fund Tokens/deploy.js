@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const LockUpPeriodContract = await hre.ethers.getContractFactory("LockUpPeriodContract");
-  const lockUpPeriodContract = await LockUpPeriodContract.deploy();
+  const lockUpPeriodContract = await deployContract("LockUpPeriodContract");
 
-  await lockUpPeriodContract.deployed();
-  console.log("Lock-Up Period Contract deployed to:", lockUpPeriodContract.address);
+  console.log("Lock-Up Period Contract deployed to:", await addressOf(lockUpPeriodContract));
 }
 
 main()
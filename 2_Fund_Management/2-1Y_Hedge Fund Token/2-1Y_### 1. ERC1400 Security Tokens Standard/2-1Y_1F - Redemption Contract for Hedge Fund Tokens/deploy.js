@@ -1,15 +1,16 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const tokenAddress = "YOUR_ERC1400_TOKEN_ADDRESS"; // Replace with your ERC1400 token contract address
-  const RedemptionContract = await hre.ethers.getContractFactory("RedemptionContract");
-  const redemptionContract = await RedemptionContract.deploy(tokenAddress);
+  const params = loadParams(__dirname);
+  const tokenAddress = params.tokenAddress;
+  const redemptionContract = await deployContract("RedemptionContract", [tokenAddress]);
 
-  await redemptionContract.deployed();
-  console.log("Redemption Contract deployed to:", redemptionContract.address);
+  console.log("Redemption Contract deployed to:", await addressOf(redemptionContract));
 }
 
 main()
@@ -1,15 +1,16 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const tokenAddress = "YOUR_ERC1400_TOKEN_ADDRESS"; // Replace with your ERC1400 token contract address
-  const WhitelistingBlacklistingContract = await hre.ethers.getContractFactory("WhitelistingBlacklistingContract");
-  const whitelistingContract = await WhitelistingBlacklistingContract.deploy(tokenAddress);
+  const params = loadParams(__dirname);
+  const tokenAddress = params.tokenAddress;
+  const whitelistingContract = await deployContract("WhitelistingBlacklistingContract", [tokenAddress]);
 
-  await whitelistingContract.deployed();
-  console.log("Whitelisting/Blacklisting Contract deployed to:", whitelistingContract.address);
+  console.log("Whitelisting/Blacklisting Contract deployed to:", await addressOf(whitelistingContract));
 }
 
 main()
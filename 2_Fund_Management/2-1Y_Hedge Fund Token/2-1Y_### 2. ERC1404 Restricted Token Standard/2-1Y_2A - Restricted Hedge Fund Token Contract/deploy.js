@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const RestrictedHedgeFundToken = await hre.ethers.getContractFactory("RestrictedHedgeFundToken");
-  const token = await RestrictedHedgeFundToken.deploy("HedgeFundToken", "HFT", 18);
+  const token = await deployContract("RestrictedHedgeFundToken", [params.name, params.symbol, params.decimals]);
 
-  await token.deployed();
-  console.log("Restricted Hedge Fund Token deployed to:", token.address);
+  console.log("Restricted Hedge Fund Token deployed to:", await addressOf(token));
 }
 
 main()
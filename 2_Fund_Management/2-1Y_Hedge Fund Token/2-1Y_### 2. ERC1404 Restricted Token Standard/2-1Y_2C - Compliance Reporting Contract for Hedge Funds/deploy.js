@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ComplianceReporting = await hre.ethers.getContractFactory("ComplianceReporting");
-  const token = await ComplianceReporting.deploy("HedgeFundToken", "HFT", 18);
+  const token = await deployContract("ComplianceReporting", [params.name, params.symbol, params.decimals]);
 
-  await token.deployed();
-  console.log("Compliance Reporting Contract deployed to:", token.address);
+  console.log("Compliance Reporting Contract deployed to:", await addressOf(token));
 }
 
 main()
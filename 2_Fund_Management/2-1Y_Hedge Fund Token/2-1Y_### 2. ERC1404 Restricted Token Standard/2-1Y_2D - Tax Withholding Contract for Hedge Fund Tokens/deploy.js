@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const TaxWithholding = await hre.ethers.getContractFactory("TaxWithholding");
-  const token = await TaxWithholding.deploy("HedgeFundToken", "HFT", 18, 200); // 2% tax rate
+  const token = await deployContract("TaxWithholding", [params.name, params.symbol, params.decimals, params.taxRate]); // 2% tax rate
 
-  await token.deployed();
-  console.log("Tax Withholding Contract deployed to:", token.address);
+  console.log("Tax Withholding Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const HedgeFundToken = await hre.ethers.getContractFactory("BasicHedgeFundToken");
-  const token = await HedgeFundToken.deploy("Hedge Fund Token", "HFT", 1000000); // 1 million max supply
+  const token = await deployContract("BasicHedgeFundToken", [params.name, params.symbol, params.maxSupply]); // 1 million max supply
 
-  await token.deployed();
-  console.log("Basic Hedge Fund Token deployed to:", token.address);
+  console.log("Basic Hedge Fund Token deployed to:", await addressOf(token));
 }
 
 main()
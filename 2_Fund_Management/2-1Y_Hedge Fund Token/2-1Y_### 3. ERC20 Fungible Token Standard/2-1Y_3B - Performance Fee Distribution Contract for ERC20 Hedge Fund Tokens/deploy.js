@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const PerformanceFeeDistribution = await hre.ethers.getContractFactory("PerformanceFeeDistribution");
-  const token = await PerformanceFeeDistribution.deploy("Hedge Fund Token", "HFT", 20); // 20% performance fee
+  const token = await deployContract("PerformanceFeeDistribution", [params.name, params.symbol, params.performanceFeePercentage]); // 20% performance fee
 
-  await token.deployed();
-  console.log("Performance Fee Distribution Contract deployed to:", token.address);
+  console.log("Performance Fee Distribution Contract deployed to:", await addressOf(token));
 }
 
 main()
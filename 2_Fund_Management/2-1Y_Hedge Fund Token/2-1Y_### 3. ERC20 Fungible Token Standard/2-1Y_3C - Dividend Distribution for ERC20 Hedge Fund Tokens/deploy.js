@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const DividendDistribution = await hre.ethers.getContractFactory("DividendDistribution");
-  const token = await DividendDistribution.deploy("Hedge Fund Token", "HFT");
+  const token = await deployContract("DividendDistribution", [params.name, params.symbol]);
 
-  await token.deployed();
-  console.log("Dividend Distribution Contract deployed to:", token.address);
+  console.log("Dividend Distribution Contract deployed to:", await addressOf(token));
 }
 
 main()
@@ -1,15 +1,16 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const defaultOperators = []; // Add any default operators if needed
-  const AdvancedHedgeFundToken = await hre.ethers.getContractFactory("AdvancedHedgeFundToken");
-  const token = await AdvancedHedgeFundToken.deploy("Hedge Fund Token", "HFT", defaultOperators);
+  const defaultOperators = params.defaultOperators;
+  const token = await deployContract("AdvancedHedgeFundToken", [params.name, params.symbol, defaultOperators]);
 
-  await token.deployed();
-  console.log("Advanced Hedge Fund Token Contract deployed to:", token.address);
+  console.log("Advanced Hedge Fund Token Contract deployed to:", await addressOf(token));
 }
 
 main()
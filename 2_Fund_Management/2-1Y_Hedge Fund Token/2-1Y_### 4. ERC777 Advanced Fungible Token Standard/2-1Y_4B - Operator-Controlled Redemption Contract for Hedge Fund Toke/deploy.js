@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const defaultOperators = []; // Add any default operators if needed
+  const defaultOperators = params.defaultOperators;
   const operator = deployer.address; // Set deployer as the initial operator
-  const AdvancedHedgeFundToken = await hre.ethers.getContractFactory("OperatorControlledRedemption");
-  const token = await AdvancedHedgeFundToken.deploy("Hedge Fund Token", "HFT", defaultOperators, operator);
+  const token = await deployContract("OperatorControlledRedemption", [params.name, params.symbol, defaultOperators, operator]);
 
-  await token.deployed();
-  console.log("Operator-Controlled Redemption Contract deployed to:", token.address);
+  console.log("Operator-Controlled Redemption Contract deployed to:", await addressOf(token));
 }
 
 main()
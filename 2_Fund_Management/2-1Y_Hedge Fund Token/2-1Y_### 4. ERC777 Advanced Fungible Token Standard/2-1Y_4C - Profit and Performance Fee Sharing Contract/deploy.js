@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+  const params = loadParams(__dirname);
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const defaultOperators = []; // Add any default operators if needed
-  const performanceFeePercentage = 20; // Set initial performance fee percentage to 20%
-  const ProfitAndPerformanceFeeSharing = await hre.ethers.getContractFactory("ProfitAndPerformanceFeeSharing");
-  const token = await ProfitAndPerformanceFeeSharing.deploy("Hedge Fund Token", "HFT", defaultOperators, performanceFeePercentage);
+  const defaultOperators = params.defaultOperators;
+  const performanceFeePercentage = params.performanceFeePercentage;
+  const token = await deployContract("ProfitAndPerformanceFeeSharing", [params.name, params.symbol, defaultOperators, performanceFeePercentage]);
 
-  await token.deployed();
-  console.log("Profit and Performance Fee Sharing Contract deployed to:", token.address);
+  console.log("Profit and Performance Fee Sharing Contract deployed to:", await addressOf(token));
 }
 
 main()
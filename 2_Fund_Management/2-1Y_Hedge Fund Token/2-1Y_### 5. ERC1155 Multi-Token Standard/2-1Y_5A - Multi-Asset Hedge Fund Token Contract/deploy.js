@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MultiAssetHedgeFundToken = await hre.ethers.getContractFactory("MultiAssetHedgeFundToken");
-  const token = await MultiAssetHedgeFundToken.deploy();
+  const token = await deployContract("MultiAssetHedgeFundToken");
 
-  await token.deployed();
-  console.log("Multi-Asset Hedge Fund Token Contract deployed to:", token.address);
+  console.log("Multi-Asset Hedge Fund Token Contract deployed to:", await addressOf(token));
 }
 
 main()
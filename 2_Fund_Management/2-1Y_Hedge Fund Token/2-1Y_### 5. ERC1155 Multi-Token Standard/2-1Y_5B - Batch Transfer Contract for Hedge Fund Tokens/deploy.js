@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const BatchTransferHedgeFundToken = await hre.ethers.getContractFactory("BatchTransferHedgeFundToken");
-  const token = await BatchTransferHedgeFundToken.deploy();
+  const token = await deployContract("BatchTransferHedgeFundToken");
 
-  await token.deployed();
-  console.log("Batch Transfer Hedge Fund Token Contract deployed to:", token.address);
+  console.log("Batch Transfer Hedge Fund Token Contract deployed to:", await addressOf(token));
 }
 
 main()
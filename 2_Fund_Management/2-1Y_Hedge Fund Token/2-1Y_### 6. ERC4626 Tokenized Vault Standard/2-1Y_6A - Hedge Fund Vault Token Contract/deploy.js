@@ -1,18 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const Asset = await hre.ethers.getContractFactory("YourERC20Token"); // Replace with your ERC20 token
-  const asset = await Asset.deploy(/* constructor args */);
-  await asset.deployed();
+  const params = loadParams(__dirname);
+  const asset = params.asset;
 
-  const HedgeFundVaultToken = await hre.ethers.getContractFactory("HedgeFundVaultToken");
-  const vaultToken = await HedgeFundVaultToken.deploy(asset.address);
+  const vaultToken = await deployContract("HedgeFundVaultToken", [asset]);
 
-  await vaultToken.deployed();
-  console.log("Hedge Fund Vault Token Contract deployed to:", vaultToken.address);
+  console.log("Hedge Fund Vault Token Contract deployed to:", await addressOf(vaultToken));
 }
 
 main()
@@ -1,19 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const Asset = await hre.ethers.getContractFactory("YourERC20Token"); // Replace with your ERC20 token
-  const asset = await Asset.deploy(/* constructor args */);
-  await asset.deployed();
+  const params = loadParams(__dirname);
+  const asset = params.asset;
 
-  const initialYieldBPS = 500; // Example yield of 5%
-  const YieldAndStakingContract = await hre.ethers.getContractFactory("YieldAndStakingContract");
-  const vaultContract = await YieldAndStakingContract.deploy(asset.address, initialYieldBPS);
+  const initialYieldBPS = params.initialYieldBPS;
+  const vaultContract = await deployContract("YieldAndStakingContract", [asset, initialYieldBPS]);
 
-  await vaultContract.deployed();
-  console.log("Yield and Staking Contract deployed to:", vaultContract.address);
+  console.log("Yield and Staking Contract deployed to:", await addressOf(vaultContract));
 }
 
 main()
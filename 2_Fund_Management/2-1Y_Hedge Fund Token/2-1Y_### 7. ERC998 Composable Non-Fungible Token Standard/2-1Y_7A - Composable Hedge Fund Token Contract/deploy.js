@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const ComposableHedgeFundToken = await hre.ethers.getContractFactory("ComposableHedgeFundToken");
-  const tokenContract = await ComposableHedgeFundToken.deploy();
-  await tokenContract.deployed();
-  console.log("Composable Hedge Fund Token deployed to:", tokenContract.address);
+  const tokenContract = await deployContract("ComposableHedgeFundToken");
+  console.log("Composable Hedge Fund Token deployed to:", await addressOf(tokenContract));
 }
 
 main()
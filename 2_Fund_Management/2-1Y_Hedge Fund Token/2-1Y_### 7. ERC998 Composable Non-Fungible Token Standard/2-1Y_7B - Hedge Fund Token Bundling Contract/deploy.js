@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const HedgeFundTokenBundling = await hre.ethers.getContractFactory("HedgeFundTokenBundling");
-  const tokenContract = await HedgeFundTokenBundling.deploy();
-  await tokenContract.deployed();
-  console.log("Hedge Fund Token Bundling deployed to:", tokenContract.address);
+  const tokenContract = await deployContract("HedgeFundTokenBundling");
+  console.log("Hedge Fund Token Bundling deployed to:", await addressOf(tokenContract));
 }
 
 main()
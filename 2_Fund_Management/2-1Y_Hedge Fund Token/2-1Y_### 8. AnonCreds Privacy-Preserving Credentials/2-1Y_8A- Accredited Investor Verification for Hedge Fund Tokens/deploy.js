@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const AccreditedInvestorVerification = await hre.ethers.getContractFactory("AccreditedInvestorVerification");
-  const verificationContract = await AccreditedInvestorVerification.deploy();
-  await verificationContract.deployed();
-  console.log("Accredited Investor Verification deployed to:", verificationContract.address);
+  const verificationContract = await deployContract("AccreditedInvestorVerification");
+  console.log("Accredited Investor Verification deployed to:", await addressOf(verificationContract));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const ETFTokenIssuance = await hre.ethers.getContractFactory("ETFTokenIssuance");
-  const issuanceContract = await ETFTokenIssuance.deploy();
-  await issuanceContract.deployed();
-  console.log("ETF Token Issuance Contract deployed to:", issuanceContract.address);
+  const issuanceContract = await deployContract("ETFTokenIssuance");
+  console.log("ETF Token Issuance Contract deployed to:", await addressOf(issuanceContract));
 }
 
 main()
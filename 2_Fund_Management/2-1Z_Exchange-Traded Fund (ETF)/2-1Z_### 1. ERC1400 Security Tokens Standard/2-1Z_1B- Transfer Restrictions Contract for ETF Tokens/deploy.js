@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const TransferRestrictionsETF = await hre.ethers.getContractFactory("TransferRestrictionsETF");
-  const transferRestrictionsContract = await TransferRestrictionsETF.deploy();
-  await transferRestrictionsContract.deployed();
-  console.log("Transfer Restrictions Contract deployed to:", transferRestrictionsContract.address);
+  const transferRestrictionsContract = await deployContract("TransferRestrictionsETF");
+  console.log("Transfer Restrictions Contract deployed to:", await addressOf(transferRestrictionsContract));
 }
 
 main()
@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const SecurityTokenAddress = "0x..."; // Replace with your deployed ERC1400 token address
-  const DividendDistributionETF = await hre.ethers.getContractFactory("DividendDistributionETF");
-  const dividendDistributionContract = await DividendDistributionETF.deploy(SecurityTokenAddress);
-  await dividendDistributionContract.deployed();
-  console.log("Dividend Distribution Contract deployed to:", dividendDistributionContract.address);
+  const params = loadParams(__dirname);
+  const SecurityTokenAddress = params.SecurityTokenAddress;
+  const dividendDistributionContract = await deployContract("DividendDistributionETF", [SecurityTokenAddress]);
+  console.log("Dividend Distribution Contract deployed to:", await addressOf(dividendDistributionContract));
 }
 
 main()
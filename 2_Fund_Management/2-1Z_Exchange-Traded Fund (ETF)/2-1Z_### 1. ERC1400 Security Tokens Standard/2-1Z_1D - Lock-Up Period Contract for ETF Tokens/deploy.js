@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const SecurityTokenAddress = "0x..."; // Replace with your deployed ERC1400 token address
-  const LockUpPeriodETF = await hre.ethers.getContractFactory("LockUpPeriodETF");
-  const lockUpPeriodContract = await LockUpPeriodETF.deploy(SecurityTokenAddress);
-  await lockUpPeriodContract.deployed();
-  console.log("Lock-Up Period Contract deployed to:", lockUpPeriodContract.address);
+  const params = loadParams(__dirname);
+  const SecurityTokenAddress = params.SecurityTokenAddress;
+  const lockUpPeriodContract = await deployContract("LockUpPeriodETF", [SecurityTokenAddress]);
+  console.log("Lock-Up Period Contract deployed to:", await addressOf(lockUpPeriodContract));
 }
 
 main()
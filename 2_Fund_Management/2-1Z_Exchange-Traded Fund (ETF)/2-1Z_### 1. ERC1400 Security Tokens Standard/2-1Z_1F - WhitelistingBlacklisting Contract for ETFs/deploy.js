@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const SecurityTokenAddress = "0x..."; // Replace with your deployed ERC1400 token address
-  const WhitelistingBlacklistingETF = await hre.ethers.getContractFactory("WhitelistingBlacklistingETF");
-  const whitelistingBlacklistingContract = await WhitelistingBlacklistingETF.deploy(SecurityTokenAddress);
-  await whitelistingBlacklistingContract.deployed();
-  console.log("Whitelisting/Blacklisting Contract deployed to:", whitelistingBlacklistingContract.address);
+  const params = loadParams(__dirname);
+  const SecurityTokenAddress = params.SecurityTokenAddress;
+  const whitelistingBlacklistingContract = await deployContract("WhitelistingBlacklistingETF", [SecurityTokenAddress]);
+  console.log("Whitelisting/Blacklisting Contract deployed to:", await addressOf(whitelistingBlacklistingContract));
 }
 
 main()
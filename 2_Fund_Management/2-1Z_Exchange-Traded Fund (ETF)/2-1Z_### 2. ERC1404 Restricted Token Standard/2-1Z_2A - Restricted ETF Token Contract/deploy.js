@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const initialSupply = 1000000; // Set initial supply as needed
-  const RestrictedETFToken = await hre.ethers.getContractFactory("RestrictedETFToken");
-  const restrictedETFToken = await RestrictedETFToken.deploy(initialSupply);
-  await restrictedETFToken.deployed();
-  console.log("Restricted ETF Token Contract deployed to:", restrictedETFToken.address);
+  const params = loadParams(__dirname);
+  const initialSupply = params.initialSupply;
+  const restrictedETFToken = await deployContract("RestrictedETFToken", [initialSupply]);
+  console.log("Restricted ETF Token Contract deployed to:", await addressOf(restrictedETFToken));
 }
 
 main()
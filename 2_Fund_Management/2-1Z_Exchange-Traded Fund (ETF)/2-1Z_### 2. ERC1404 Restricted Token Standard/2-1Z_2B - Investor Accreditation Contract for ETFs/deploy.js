@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const initialSupply = 1000000; // Set initial supply as needed
-  const InvestorAccreditation = await hre.ethers.getContractFactory("InvestorAccreditation");
-  const investorAccreditation = await InvestorAccreditation.deploy(initialSupply);
-  await investorAccreditation.deployed();
-  console.log("Investor Accreditation Contract deployed to:", investorAccreditation.address);
+  const params = loadParams(__dirname);
+  const initialSupply = params.initialSupply;
+  const investorAccreditation = await deployContract("InvestorAccreditation", [initialSupply]);
+  console.log("Investor Accreditation Contract deployed to:", await addressOf(investorAccreditation));
 }
 
 main()
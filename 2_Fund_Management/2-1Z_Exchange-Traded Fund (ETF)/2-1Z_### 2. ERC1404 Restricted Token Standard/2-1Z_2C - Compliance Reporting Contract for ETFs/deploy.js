@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const initialSupply = 1000000; // Set initial supply as needed
-  const ComplianceReporting = await hre.ethers.getContractFactory("ComplianceReporting");
-  const complianceReporting = await ComplianceReporting.deploy(initialSupply);
-  await complianceReporting.deployed();
-  console.log("Compliance Reporting Contract deployed to:", complianceReporting.address);
+  const params = loadParams(__dirname);
+  const initialSupply = params.initialSupply;
+  const complianceReporting = await deployContract("ComplianceReporting", [initialSupply]);
+  console.log("Compliance Reporting Contract deployed to:", await addressOf(complianceReporting));
 }
 
 main()
@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const initialSupply = 1000000; // Set initial supply as needed
-  const TaxWithholding = await hre.ethers.getContractFactory("TaxWithholding");
-  const taxWithholding = await TaxWithholding.deploy(initialSupply);
-  await taxWithholding.deployed();
-  console.log("Tax Withholding Contract deployed to:", taxWithholding.address);
+  const params = loadParams(__dirname);
+  const initialSupply = params.initialSupply;
+  const taxWithholding = await deployContract("TaxWithholding", [initialSupply]);
+  console.log("Tax Withholding Contract deployed to:", await addressOf(taxWithholding));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const FungibleETFToken = await hre.ethers.getContractFactory("FungibleETFToken");
-  const fungibleETFToken = await FungibleETFToken.deploy();
-  await fungibleETFToken.deployed();
-  console.log("Fungible ETF Token deployed to:", fungibleETFToken.address);
+  const fungibleETFToken = await deployContract("FungibleETFToken");
+  console.log("Fungible ETF Token deployed to:", await addressOf(fungibleETFToken));
 }
 
 main()
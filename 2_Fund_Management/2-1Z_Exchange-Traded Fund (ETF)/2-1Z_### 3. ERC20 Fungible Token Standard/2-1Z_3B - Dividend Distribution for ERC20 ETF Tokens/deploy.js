@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const DividendDistribution = await hre.ethers.getContractFactory("DividendDistribution");
-  const dividendDistribution = await DividendDistribution.deploy();
-  await dividendDistribution.deployed();
-  console.log("Dividend Distribution Contract deployed to:", dividendDistribution.address);
+  const dividendDistribution = await deployContract("DividendDistribution");
+  console.log("Dividend Distribution Contract deployed to:", await addressOf(dividendDistribution));
 }
 
 main()
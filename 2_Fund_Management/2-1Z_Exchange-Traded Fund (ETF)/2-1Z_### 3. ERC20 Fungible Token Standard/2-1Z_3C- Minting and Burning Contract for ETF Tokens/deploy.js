@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const MintingBurningETFToken = await hre.ethers.getContractFactory("MintingBurningETFToken");
-  const mintingBurningETFToken = await MintingBurningETFToken.deploy();
-  await mintingBurningETFToken.deployed();
-  console.log("Minting and Burning Contract deployed to:", mintingBurningETFToken.address);
+  const mintingBurningETFToken = await deployContract("MintingBurningETFToken");
+  console.log("Minting and Burning Contract deployed to:", await addressOf(mintingBurningETFToken));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const GovernanceETFToken = await hre.ethers.getContractFactory("GovernanceETFToken");
-  const governanceETFToken = await GovernanceETFToken.deploy();
-  await governanceETFToken.deployed();
-  console.log("Governance Contract deployed to:", governanceETFToken.address);
+  const governanceETFToken = await deployContract("GovernanceETFToken");
+  console.log("Governance Contract deployed to:", await addressOf(governanceETFToken));
 }
 
 main()
@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const defaultOperators = []; // Add default operators if necessary
-  const AdvancedETFToken = await hre.ethers.getContractFactory("AdvancedETFToken");
-  const advancedETFToken = await AdvancedETFToken.deploy("Advanced ETF Token", "AET", defaultOperators);
-  await advancedETFToken.deployed();
-  console.log("Advanced ETF Token deployed to:", advancedETFToken.address);
+  const params = loadParams(__dirname);
+  const defaultOperators = params.defaultOperators;
+  const advancedETFToken = await deployContract("AdvancedETFToken", [params.name, params.symbol, defaultOperators]);
+  console.log("Advanced ETF Token deployed to:", await addressOf(advancedETFToken));
 }
 
 main()
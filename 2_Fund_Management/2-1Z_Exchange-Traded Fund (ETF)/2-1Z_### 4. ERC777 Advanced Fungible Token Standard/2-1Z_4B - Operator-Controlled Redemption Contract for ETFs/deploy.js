@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const defaultOperators = []; // Add default operators if necessary
-  const OperatorControlledRedemption = await hre.ethers.getContractFactory("OperatorControlledRedemption");
-  const operatorControlledRedemption = await OperatorControlledRedemption.deploy("ETF Token", "ETFT", defaultOperators);
-  await operatorControlledRedemption.deployed();
-  console.log("Operator Controlled Redemption Contract deployed to:", operatorControlledRedemption.address);
+  const params = loadParams(__dirname);
+  const defaultOperators = params.defaultOperators;
+  const operatorControlledRedemption = await deployContract("OperatorControlledRedemption", [params.name, params.symbol, defaultOperators]);
+  console.log("Operator Controlled Redemption Contract deployed to:", await addressOf(operatorControlledRedemption));
 }
 
 main()
@@ -1,11 +1,11 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const defaultOperators = []; // Add default operators if necessary
-  const ProfitSharingAndDividendDistribution = await hre.ethers.getContractFactory("ProfitSharingAndDividendDistribution");
-  const profitSharingAndDividendDistribution = await ProfitSharingAndDividendDistribution.deploy("ETF Token", "ETFT", defaultOperators);
-  await profitSharingAndDividendDistribution.deployed();
-  console.log("Profit Sharing and Dividend Distribution Contract deployed to:", profitSharingAndDividendDistribution.address);
+  const params = loadParams(__dirname);
+  const defaultOperators = params.defaultOperators;
+  const profitSharingAndDividendDistribution = await deployContract("ProfitSharingAndDividendDistribution", [params.name, params.symbol, defaultOperators]);
+  console.log("Profit Sharing and Dividend Distribution Contract deployed to:", await addressOf(profitSharingAndDividendDistribution));
 }
 
 main()
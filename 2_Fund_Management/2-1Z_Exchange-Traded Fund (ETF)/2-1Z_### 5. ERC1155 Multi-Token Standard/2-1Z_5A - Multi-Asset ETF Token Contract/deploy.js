@@ -1,10 +1,10 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const MultiAssetETFToken = await hre.ethers.getContractFactory("MultiAssetETFToken");
-  const multiAssetETFToken = await MultiAssetETFToken.deploy("https://api.example.com/metadata/{id}");
-  await multiAssetETFToken.deployed();
-  console.log("Multi-Asset ETF Token Contract deployed to:", multiAssetETFToken.address);
+  const params = loadParams(__dirname);
+  const multiAssetETFToken = await deployContract("MultiAssetETFToken", [params.uri]);
+  console.log("Multi-Asset ETF Token Contract deployed to:", await addressOf(multiAssetETFToken));
 }
 
 main()
@@ -1,10 +1,10 @@
-const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const BatchTransferETFToken = await hre.ethers.getContractFactory("BatchTransferETFToken");
-  const batchTransferETFToken = await BatchTransferETFToken.deploy("https://api.example.com/metadata/{id}");
-  await batchTransferETFToken.deployed();
-  console.log("Batch Transfer ETF Token Contract deployed to:", batchTransferETFToken.address);
+  const params = loadParams(__dirname);
+  const batchTransferETFToken = await deployContract("BatchTransferETFToken", [params.uri]);
+  console.log("Batch Transfer ETF Token Contract deployed to:", await addressOf(batchTransferETFToken));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const ETFVaultToken = await hre.ethers.getContractFactory("ETFVaultToken");
-  const etfVaultToken = await ETFVaultToken.deploy();
-  await etfVaultToken.deployed();
-  console.log("ETF Vault Token Contract deployed to:", etfVaultToken.address);
+  const etfVaultToken = await deployContract("ETFVaultToken");
+  console.log("ETF Vault Token Contract deployed to:", await addressOf(etfVaultToken));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const ComposableETFToken = await hre.ethers.getContractFactory("ComposableETFToken");
-  const composableETFToken = await ComposableETFToken.deploy();
-  await composableETFToken.deployed();
-  console.log("Composable ETF Token Contract deployed to:", composableETFToken.address);
+  const composableETFToken = await deployContract("ComposableETFToken");
+  console.log("Composable ETF Token Contract deployed to:", await addressOf(composableETFToken));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const AssetBundlingContract = await hre.ethers.getContractFactory("AssetBundlingContract");
-  const assetBundlingContract = await AssetBundlingContract.deploy();
-  await assetBundlingContract.deployed();
-  console.log("Asset Bundling Contract deployed to:", assetBundlingContract.address);
+  const assetBundlingContract = await deployContract("AssetBundlingContract");
+  console.log("Asset Bundling Contract deployed to:", await addressOf(assetBundlingContract));
 }
 
 main()
@@ -1,10 +1,8 @@
-const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-  const AccreditedInvestorVerification = await hre.ethers.getContractFactory("AccreditedInvestorVerification");
-  const contract = await AccreditedInvestorVerification.deploy();
-  await contract.deployed();
-  console.log("Accredited Investor Verification Contract deployed to:", contract.address);
+  const contract = await deployContract("AccreditedInvestorVerification");
+  console.log("Accredited Investor Verification Contract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC20 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const VotingContract = await ethers.getContractFactory("VotingContract");
-    const votingContract = await VotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const votingContract = await deployContract("VotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await votingContract.deployed();
-
-    console.log("VotingContract deployed to:", votingContract.address);
+    console.log("VotingContract deployed to:", await addressOf(votingContract));
 }
 
 // Execute the script
@@ -1,19 +1,17 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC20 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
-    const QuorumPercentage = 20; // 20% quorum
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
+    const QuorumPercentage = params.QuorumPercentage;
 
-    // Get the contract factory and deploy
-    const VotingContract = await ethers.getContractFactory("QuorumMajorityVotingContract");
-    const votingContract = await VotingContract.deploy(VotingTokenAddress, VotingDuration, QuorumPercentage);
+    // Deploy the contract
+    const votingContract = await deployContract("QuorumMajorityVotingContract", [VotingTokenAddress, VotingDuration, QuorumPercentage]);
 
-    // Wait for deployment to complete
-    await votingContract.deployed();
-
-    console.log("QuorumMajorityVotingContract deployed to:", votingContract.address);
+    console.log("QuorumMajorityVotingContract deployed to:", await addressOf(votingContract));
 }
 
 // Execute the script
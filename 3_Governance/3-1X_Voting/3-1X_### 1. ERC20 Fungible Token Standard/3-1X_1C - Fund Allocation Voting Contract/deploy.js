@@ -1,19 +1,17 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC20 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
-    const QuorumPercentage = 20; // 20% quorum
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
+    const QuorumPercentage = params.QuorumPercentage;
 
-    // Get the contract factory and deploy
-    const FundAllocationVotingContract = await ethers.getContractFactory("FundAllocationVotingContract");
-    const fundAllocationVotingContract = await FundAllocationVotingContract.deploy(VotingTokenAddress, VotingDuration, QuorumPercentage);
+    // Deploy the contract
+    const fundAllocationVotingContract = await deployContract("FundAllocationVotingContract", [VotingTokenAddress, VotingDuration, QuorumPercentage]);
 
-    // Wait for deployment to complete
-    await fundAllocationVotingContract.deployed();
-
-    console.log("FundAllocationVotingContract deployed to:", fundAllocationVotingContract.address);
+    console.log("FundAllocationVotingContract deployed to:", await addressOf(fundAllocationVotingContract));
 }
 
 // Execute the script
@@ -1,19 +1,17 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC777 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
-    const QuorumPercentage = 20; // 20% quorum
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
+    const QuorumPercentage = params.QuorumPercentage;
 
-    // Get the contract factory and deploy
-    const DelegatedVotingContract = await ethers.getContractFactory("DelegatedVotingContract");
-    const delegatedVotingContract = await DelegatedVotingContract.deploy(VotingTokenAddress, VotingDuration, QuorumPercentage);
+    // Deploy the contract
+    const delegatedVotingContract = await deployContract("DelegatedVotingContract", [VotingTokenAddress, VotingDuration, QuorumPercentage]);
 
-    // Wait for deployment to complete
-    await delegatedVotingContract.deployed();
-
-    console.log("DelegatedVotingContract deployed to:", delegatedVotingContract.address);
+    console.log("DelegatedVotingContract deployed to:", await addressOf(delegatedVotingContract));
 }
 
 // Execute the script
@@ -1,19 +1,17 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC777 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
-    const QuorumPercentage = 20; // 20% quorum
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
+    const QuorumPercentage = params.QuorumPercentage;
 
-    // Get the contract factory and deploy
-    const ProposalCreationAndVotingContract = await ethers.getContractFactory("ProposalCreationAndVotingContract");
-    const proposalCreationAndVotingContract = await ProposalCreationAndVotingContract.deploy(VotingTokenAddress, VotingDuration, QuorumPercentage);
+    // Deploy the contract
+    const proposalCreationAndVotingContract = await deployContract("ProposalCreationAndVotingContract", [VotingTokenAddress, VotingDuration, QuorumPercentage]);
 
-    // Wait for deployment to complete
-    await proposalCreationAndVotingContract.deployed();
-
-    console.log("ProposalCreationAndVotingContract deployed to:", proposalCreationAndVotingContract.address);
+    console.log("ProposalCreationAndVotingContract deployed to:", await addressOf(proposalCreationAndVotingContract));
 }
 
 // Execute the script
@@ -1,19 +1,17 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC777 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
-    const DefaultThreshold = 1000 * 10**18; // Threshold in tokens (e.g., 1000 tokens)
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
+    const DefaultThreshold = parseUnits(params.DefaultThreshold, 18);
 
-    // Get the contract factory and deploy
-    const ThresholdVotingContract = await ethers.getContractFactory("ThresholdVotingContract");
-    const thresholdVotingContract = await ThresholdVotingContract.deploy(VotingTokenAddress, VotingDuration, DefaultThreshold);
+    // Deploy the contract
+    const thresholdVotingContract = await deployContract("ThresholdVotingContract", [VotingTokenAddress, VotingDuration, DefaultThreshold]);
 
-    // Wait for deployment to complete
-    await thresholdVotingContract.deployed();
-
-    console.log("ThresholdVotingContract deployed to:", thresholdVotingContract.address);
+    console.log("ThresholdVotingContract deployed to:", await addressOf(thresholdVotingContract));
 }
 
 // Execute the script
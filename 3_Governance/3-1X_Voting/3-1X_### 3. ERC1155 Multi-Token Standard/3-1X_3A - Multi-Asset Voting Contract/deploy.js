@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1155 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const MultiAssetVotingContract = await ethers.getContractFactory("MultiAssetVotingContract");
-    const multiAssetVotingContract = await MultiAssetVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const multiAssetVotingContract = await deployContract("MultiAssetVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await multiAssetVotingContract.deployed();
-
-    console.log("MultiAssetVotingContract deployed to:", multiAssetVotingContract.address);
+    console.log("MultiAssetVotingContract deployed to:", await addressOf(multiAssetVotingContract));
 }
 
 // Execute the script
@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1155 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const BatchVotingContract = await ethers.getContractFactory("BatchVotingContract");
-    const batchVotingContract = await BatchVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const batchVotingContract = await deployContract("BatchVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await batchVotingContract.deployed();
-
-    console.log("BatchVotingContract deployed to:", batchVotingContract.address);
+    console.log("BatchVotingContract deployed to:", await addressOf(batchVotingContract));
 }
 
 // Execute the script
@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1400 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const ShareholderVotingContract = await ethers.getContractFactory("ShareholderVotingContract");
-    const shareholderVotingContract = await ShareholderVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const shareholderVotingContract = await deployContract("ShareholderVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await shareholderVotingContract.deployed();
-
-    console.log("ShareholderVotingContract deployed to:", shareholderVotingContract.address);
+    console.log("ShareholderVotingContract deployed to:", await addressOf(shareholderVotingContract));
 }
 
 // Execute the script
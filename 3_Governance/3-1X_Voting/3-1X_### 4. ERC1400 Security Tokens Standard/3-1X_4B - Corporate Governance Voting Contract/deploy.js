@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1400 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const CorporateGovernanceVotingContract = await ethers.getContractFactory("CorporateGovernanceVotingContract");
-    const corporateGovernanceVotingContract = await CorporateGovernanceVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const corporateGovernanceVotingContract = await deployContract("CorporateGovernanceVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await corporateGovernanceVotingContract.deployed();
-
-    console.log("CorporateGovernanceVotingContract deployed to:", corporateGovernanceVotingContract.address);
+    console.log("CorporateGovernanceVotingContract deployed to:", await addressOf(corporateGovernanceVotingContract));
 }
 
 // Execute the script
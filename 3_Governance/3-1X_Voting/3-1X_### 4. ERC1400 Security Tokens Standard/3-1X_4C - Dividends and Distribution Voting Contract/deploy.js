@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1400 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const DividendsAndDistributionVotingContract = await ethers.getContractFactory("DividendsAndDistributionVotingContract");
-    const dividendsAndDistributionVotingContract = await DividendsAndDistributionVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const dividendsAndDistributionVotingContract = await deployContract("DividendsAndDistributionVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await dividendsAndDistributionVotingContract.deployed();
-
-    console.log("DividendsAndDistributionVotingContract deployed to:", dividendsAndDistributionVotingContract.address);
+    console.log("DividendsAndDistributionVotingContract deployed to:", await addressOf(dividendsAndDistributionVotingContract));
 }
 
 // Execute the script
@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1404 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const RestrictedVotingContract = await ethers.getContractFactory("RestrictedVotingContract");
-    const restrictedVotingContract = await RestrictedVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const restrictedVotingContract = await deployContract("RestrictedVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await restrictedVotingContract.deployed();
-
-    console.log("RestrictedVotingContract deployed to:", restrictedVotingContract.address);
+    console.log("RestrictedVotingContract deployed to:", await addressOf(restrictedVotingContract));
 }
 
 // Execute the script
@@ -1,18 +1,16 @@
-const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define contract variables
-    const VotingTokenAddress = "<ERC1404 Token Contract Address>";
-    const VotingDuration = 604800; // 1 week in seconds
+    const params = loadParams(__dirname);
+    const VotingTokenAddress = params.VotingTokenAddress;
+    const VotingDuration = params.VotingDuration;
 
-    // Get the contract factory and deploy
-    const AccreditedInvestorVotingContract = await ethers.getContractFactory("AccreditedInvestorVotingContract");
-    const accreditedInvestorVotingContract = await AccreditedInvestorVotingContract.deploy(VotingTokenAddress, VotingDuration);
+    // Deploy the contract
+    const accreditedInvestorVotingContract = await deployContract("AccreditedInvestorVotingContract", [VotingTokenAddress, VotingDuration]);
 
-    // Wait for deployment to complete
-    await accreditedInvestorVotingContract.deployed();
-
-    console.log("AccreditedInvestorVotingContract deployed to:", accreditedInvestorVotingContract.address);
+    console.log("AccreditedInvestorVotingContract deployed to:", await addressOf(accreditedInvestorVotingContract));
 }
 
 // Execute the script
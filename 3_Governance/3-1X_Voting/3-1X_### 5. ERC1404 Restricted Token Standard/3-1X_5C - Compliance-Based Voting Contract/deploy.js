@@ -1,54 +1,32 @@
 // deploy.js
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Compile the contracts
     console.log("Compiling contracts...");
     await hre.run("compile");
 
-    // Deploy the ERC1404 token contract
-    console.log("Deploying ERC1404 voting token...");
-    const ERC1404Token = await ethers.getContractFactory("ERC1404");
-    const tokenName = "ComplianceVotingToken";
-    const tokenSymbol = "CVT";
-    const tokenDecimals = 18;
-    const votingToken = await ERC1404Token.deploy(tokenName, tokenSymbol, tokenDecimals);
-    await votingToken.deployed();
-    console.log(`ERC1404 voting token deployed at: ${votingToken.address}`);
+    // Resolve the ERC1404 voting token (deployed as the ComplianceVotingToken prerequisite)
+    const params = loadParams(__dirname);
+    const votingTokenAddress = params.votingToken;
+    const tokenName = params.tokenName;
+    const tokenSymbol = params.tokenSymbol;
+    const tokenDecimals = params.tokenDecimals;
+    console.log(`Using ERC1404 voting token at: ${votingTokenAddress}`);
 
     // Deploy the ComplianceBasedVotingContract
     console.log("Deploying ComplianceBasedVotingContract...");
-    const VotingContract = await ethers.getContractFactory("ComplianceBasedVotingContract");
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days in seconds
-    const votingContract = await VotingContract.deploy(
+    const votingDuration = params.votingDuration;
+    const votingContract = await deployContract("ComplianceBasedVotingContract", [
         tokenName,
         tokenSymbol,
         tokenDecimals,
-        votingToken.address,
+        votingTokenAddress,
         votingDuration
-    );
-    await votingContract.deployed();
-    console.log(`ComplianceBasedVotingContract deployed at: ${votingContract.address}`);
-
-    // Optional: Verify the contract on Etherscan (if using a public network and API key is configured)
-    if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
-        console.log("Verifying contracts on Etherscan...");
-        await hre.run("verify:verify", {
-            address: votingToken.address,
-            constructorArguments: [tokenName, tokenSymbol, tokenDecimals],
-        });
-
-        await hre.run("verify:verify", {
-            address: votingContract.address,
-            constructorArguments: [
-                tokenName,
-                tokenSymbol,
-                tokenDecimals,
-                votingToken.address,
-                votingDuration,
-            ],
-        });
-    }
+    ]);
+    console.log(`ComplianceBasedVotingContract deployed at: ${await addressOf(votingContract)}`);
 
     console.log("Deployment complete.");
 }
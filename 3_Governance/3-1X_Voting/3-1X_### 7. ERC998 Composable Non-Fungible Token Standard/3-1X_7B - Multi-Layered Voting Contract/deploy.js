@@ -1,18 +1,15 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const MultiLayeredVotingContract = await ethers.getContractFactory("MultiLayeredVotingContract");
-  
-    // Replace this with the deployed ERC998 contract address
-    const erc998TokenAddress = "0xYourERC998TokenAddressHere";
+    const params = loadParams(__dirname);
+    const erc998TokenAddress = params.erc998TokenAddress;
   
     // Deploy the contract with the ERC998 token address
-    const multiLayeredVoting = await MultiLayeredVotingContract.deploy(erc998TokenAddress);
-  
-    await multiLayeredVoting.deployed();
+    const multiLayeredVoting = await deployContract("MultiLayeredVotingContract", [erc998TokenAddress]);
   
-    console.log("MultiLayeredVotingContract deployed to:", multiLayeredVoting.address);
+    console.log("MultiLayeredVotingContract deployed to:", await addressOf(multiLayeredVoting));
   }
   
   main()
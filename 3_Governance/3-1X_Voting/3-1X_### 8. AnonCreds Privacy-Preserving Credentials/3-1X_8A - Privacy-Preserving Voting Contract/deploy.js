@@ -1,18 +1,15 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const PrivacyPreservingVotingContract = await ethers.getContractFactory("PrivacyPreservingVotingContract");
-  
-    // Replace this with the deployed AnonCreds verifier contract address
-    const anonCredsVerifierAddress = "0xYourAnonCredsVerifierAddressHere";
+    const params = loadParams(__dirname);
+    const anonCredsVerifierAddress = params.anonCredsVerifierAddress;
   
     // Deploy the contract with the AnonCreds verifier address
-    const privacyPreservingVoting = await PrivacyPreservingVotingContract.deploy(anonCredsVerifierAddress);
-  
-    await privacyPreservingVoting.deployed();
+    const privacyPreservingVoting = await deployContract("PrivacyPreservingVotingContract", [anonCredsVerifierAddress]);
   
-    console.log("PrivacyPreservingVotingContract deployed to:", privacyPreservingVoting.address);
+    console.log("PrivacyPreservingVotingContract deployed to:", await addressOf(privacyPreservingVoting));
   }
   
   main()
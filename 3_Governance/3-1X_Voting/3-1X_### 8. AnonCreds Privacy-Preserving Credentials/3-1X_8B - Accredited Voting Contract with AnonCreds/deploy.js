@@ -1,18 +1,15 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const AccreditedVotingContractWithAnonCreds = await ethers.getContractFactory("AccreditedVotingContractWithAnonCreds");
-  
-    // Replace this with the deployed AnonCreds verifier contract address
-    const anonCredsVerifierAddress = "0xYourAnonCredsVerifierAddressHere";
+    const params = loadParams(__dirname);
+    const anonCredsVerifierAddress = params.anonCredsVerifierAddress;
   
     // Deploy the contract with the AnonCreds verifier address
-    const accreditedVoting = await AccreditedVotingContractWithAnonCreds.deploy(anonCredsVerifierAddress);
-  
-    await accreditedVoting.deployed();
+    const accreditedVoting = await deployContract("AccreditedVotingContractWithAnonCreds", [anonCredsVerifierAddress]);
   
-    console.log("AccreditedVotingContractWithAnonCreds deployed to:", accreditedVoting.address);
+    console.log("AccreditedVotingContractWithAnonCreds deployed to:", await addressOf(accreditedVoting));
   }
   
   main()
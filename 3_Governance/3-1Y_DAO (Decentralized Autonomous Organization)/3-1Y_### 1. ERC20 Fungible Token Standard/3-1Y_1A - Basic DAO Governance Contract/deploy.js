@@ -1,18 +1,15 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const BasicDAOGovernanceContract = await ethers.getContractFactory("BasicDAOGovernanceContract");
-  
-    // Replace this with your deployed ERC20 governance token contract address
-    const governanceTokenAddress = "0xYourERC20TokenAddressHere";
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
   
     // Deploy the contract with the governance token address
-    const daoGovernance = await BasicDAOGovernanceContract.deploy(governanceTokenAddress);
-  
-    await daoGovernance.deployed();
+    const daoGovernance = await deployContract("BasicDAOGovernanceContract", [governanceTokenAddress]);
   
-    console.log("BasicDAOGovernanceContract deployed to:", daoGovernance.address);
+    console.log("BasicDAOGovernanceContract deployed to:", await addressOf(daoGovernance));
   }
   
   main()
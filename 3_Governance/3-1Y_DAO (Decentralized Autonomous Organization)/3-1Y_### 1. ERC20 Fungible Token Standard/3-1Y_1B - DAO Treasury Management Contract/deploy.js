@@ -1,18 +1,15 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOTreasuryManagementContract = await ethers.getContractFactory("DAOTreasuryManagementContract");
-  
-    // Replace this with your deployed ERC20 governance token contract address
-    const governanceTokenAddress = "0xYourERC20TokenAddressHere";
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
   
     // Deploy the contract with the governance token address
-    const daoTreasury = await DAOTreasuryManagementContract.deploy(governanceTokenAddress);
-  
-    await daoTreasury.deployed();
+    const daoTreasury = await deployContract("DAOTreasuryManagementContract", [governanceTokenAddress]);
   
-    console.log("DAOTreasuryManagementContract deployed to:", daoTreasury.address);
+    console.log("DAOTreasuryManagementContract deployed to:", await addressOf(daoTreasury));
   }
   
   main()
@@ -1,20 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOProposalVotingContract = await ethers.getContractFactory("DAOProposalVotingContract");
-  
-    // Replace this with your deployed ERC20 governance token contract address
-    const governanceTokenAddress = "0xYourERC20TokenAddressHere";
-    const proposalFee = ethers.utils.parseEther("1"); // 1 ETH proposal fee
-    const feeRecipient = "0xYourFeeRecipientAddressHere";
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const proposalFee = parseEther(params.proposalFee);
+    const feeRecipient = params.feeRecipient;
   
     // Deploy the contract with the governance token address, proposal fee, and fee recipient
-    const daoProposalVoting = await DAOProposalVotingContract.deploy(governanceTokenAddress, proposalFee, feeRecipient);
-  
-    await daoProposalVoting.deployed();
+    const daoProposalVoting = await deployContract("DAOProposalVotingContract", [governanceTokenAddress, proposalFee, feeRecipient]);
   
-    console.log("DAOProposalVotingContract deployed to:", daoProposalVoting.address);
+    console.log("DAOProposalVotingContract deployed to:", await addressOf(daoProposalVoting));
   }
   
   main()
@@ -1,20 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const AdvancedDAOGovernance = await ethers.getContractFactory("AdvancedDAOGovernance");
-  
-    // Replace these with your desired initial parameters
-    const defaultOperators = ["0xYourOperatorAddressHere"];
-    const name = "Advanced DAO Token";
-    const symbol = "ADT";
+    const params = loadParams(__dirname);
+    const defaultOperators = params.defaultOperators;
+    const name = params.name;
+    const symbol = params.symbol;
   
     // Deploy the contract with default operators, name, and symbol
-    const advancedDAOGovernance = await AdvancedDAOGovernance.deploy(defaultOperators, name, symbol);
-  
-    await advancedDAOGovernance.deployed();
+    const advancedDAOGovernance = await deployContract("AdvancedDAOGovernance", [defaultOperators, name, symbol]);
   
-    console.log("AdvancedDAOGovernance deployed to:", advancedDAOGovernance.address);
+    console.log("AdvancedDAOGovernance deployed to:", await addressOf(advancedDAOGovernance));
   }
   
   main()
@@ -1,20 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DelegatedVotingDAO = await ethers.getContractFactory("DelegatedVotingDAO");
-  
-    // Replace these with your desired initial parameters
-    const defaultOperators = ["0xYourOperatorAddressHere"];
-    const name = "Delegated Voting Token";
-    const symbol = "DVT";
+    const params = loadParams(__dirname);
+    const defaultOperators = params.defaultOperators;
+    const name = params.name;
+    const symbol = params.symbol;
   
     // Deploy the contract with default operators, name, and symbol
-    const delegatedVotingDAO = await DelegatedVotingDAO.deploy(defaultOperators, name, symbol);
-  
-    await delegatedVotingDAO.deployed();
+    const delegatedVotingDAO = await deployContract("DelegatedVotingDAO", [defaultOperators, name, symbol]);
   
-    console.log("DelegatedVotingDAO deployed to:", delegatedVotingDAO.address);
+    console.log("DelegatedVotingDAO deployed to:", await addressOf(delegatedVotingDAO));
   }
   
   main()
@@ -1,20 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOFundAllocation = await ethers.getContractFactory("DAOFundAllocation");
-  
-    // Replace these with your desired initial parameters
-    const defaultOperators = ["0xYourOperatorAddressHere"];
-    const name = "DAO Fund Allocation Token";
-    const symbol = "DFAT";
+    const params = loadParams(__dirname);
+    const defaultOperators = params.defaultOperators;
+    const name = params.name;
+    const symbol = params.symbol;
   
     // Deploy the contract with default operators, name, and symbol
-    const daoFundAllocation = await DAOFundAllocation.deploy(defaultOperators, name, symbol);
-  
-    await daoFundAllocation.deployed();
+    const daoFundAllocation = await deployContract("DAOFundAllocation", [defaultOperators, name, symbol]);
   
-    console.log("DAOFundAllocation deployed to:", daoFundAllocation.address);
+    console.log("DAOFundAllocation deployed to:", await addressOf(daoFundAllocation));
   }
   
   main()
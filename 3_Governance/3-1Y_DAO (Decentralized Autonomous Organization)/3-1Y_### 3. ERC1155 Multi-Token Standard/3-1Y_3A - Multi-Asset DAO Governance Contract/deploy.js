@@ -1,16 +1,14 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const MultiAssetDAOGovernance = await ethers.getContractFactory("MultiAssetDAOGovernance");
-  
     // Deploy the contract with the desired URI for metadata
-    const uri = "https://example.com/metadata/{id}.json";
-    const multiAssetDAOGovernance = await MultiAssetDAOGovernance.deploy(uri);
-  
-    await multiAssetDAOGovernance.deployed();
+    const params = loadParams(__dirname);
+    const uri = params.uri;
+    const multiAssetDAOGovernance = await deployContract("MultiAssetDAOGovernance", [uri]);
   
-    console.log("MultiAssetDAOGovernance deployed to:", multiAssetDAOGovernance.address);
+    console.log("MultiAssetDAOGovernance deployed to:", await addressOf(multiAssetDAOGovernance));
   }
   
   main()
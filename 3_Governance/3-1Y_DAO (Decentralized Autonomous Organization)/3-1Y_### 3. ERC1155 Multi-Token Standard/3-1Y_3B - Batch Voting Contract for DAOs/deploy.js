@@ -1,16 +1,14 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const BatchVotingDAO = await ethers.getContractFactory("BatchVotingDAO");
-  
     // Deploy the contract with the desired URI for metadata
-    const uri = "https://example.com/metadata/{id}.json";
-    const batchVotingDAO = await BatchVotingDAO.deploy(uri);
-  
-    await batchVotingDAO.deployed();
+    const params = loadParams(__dirname);
+    const uri = params.uri;
+    const batchVotingDAO = await deployContract("BatchVotingDAO", [uri]);
   
-    console.log("BatchVotingDAO deployed to:", batchVotingDAO.address);
+    console.log("BatchVotingDAO deployed to:", await addressOf(batchVotingDAO));
   }
   
   main()
@@ -1,16 +1,14 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOAssetManagement = await ethers.getContractFactory("DAOAssetManagement");
-  
     // Deploy the contract with the desired URI for metadata
-    const uri = "https://example.com/metadata/{id}.json";
-    const daoAssetManagement = await DAOAssetManagement.deploy(uri);
-  
-    await daoAssetManagement.deployed();
+    const params = loadParams(__dirname);
+    const uri = params.uri;
+    const daoAssetManagement = await deployContract("DAOAssetManagement", [uri]);
   
-    console.log("DAOAssetManagement deployed to:", daoAssetManagement.address);
+    console.log("DAOAssetManagement deployed to:", await addressOf(daoAssetManagement));
   }
   
   main()
@@ -1,22 +1,20 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, encodeBytes32String } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const SecurityTokenDAOGovernance = await ethers.getContractFactory("SecurityTokenDAOGovernance");
-  
     // Deployment parameters
-    const name = "SecurityTokenDAO";
-    const symbol = "STDAO";
-    const decimals = 18;
-    const controllers = []; // Add controllers' addresses if needed
-    const defaultPartitions = [ethers.utils.formatBytes32String("partition1")];
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const decimals = params.decimals;
+    const controllers = params.controllers;
+    const defaultPartitions = params.defaultPartitions.map(encodeBytes32String);
   
     // Deploy the contract with necessary parameters
-    const securityTokenDAOGovernance = await SecurityTokenDAOGovernance.deploy(name, symbol, decimals, controllers, defaultPartitions);
-  
-    await securityTokenDAOGovernance.deployed();
+    const securityTokenDAOGovernance = await deployContract("SecurityTokenDAOGovernance", [name, symbol, decimals, controllers, defaultPartitions]);
   
-    console.log("SecurityTokenDAOGovernance deployed to:", securityTokenDAOGovernance.address);
+    console.log("SecurityTokenDAOGovernance deployed to:", await addressOf(securityTokenDAOGovernance));
   }
   
   main()
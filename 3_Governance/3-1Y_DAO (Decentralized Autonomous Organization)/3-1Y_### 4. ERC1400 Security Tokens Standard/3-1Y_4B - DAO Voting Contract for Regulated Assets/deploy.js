@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, encodeBytes32String } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOVotingRegulatedAssets = await ethers.getContractFactory("DAOVotingRegulatedAssets");
-  
     // Deployment parameters
-    const name = "SecurityTokenDAO";
-    const symbol = "STDAO";
-    const decimals = 18;
-    const controllers = []; // Add controllers' addresses if needed
-    const defaultPartitions = [ethers.utils.formatBytes32String("partition1")];
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const decimals = params.decimals;
+    const controllers = params.controllers;
+    const defaultPartitions = params.defaultPartitions.map(encodeBytes32String);
   
     // Deploy the contract with necessary parameters
-    const daoVotingRegulatedAssets = await DAOVotingRegulatedAssets.deploy(
+    const daoVotingRegulatedAssets = await deployContract("DAOVotingRegulatedAssets", [
       name, symbol, decimals, controllers, defaultPartitions
-    );
-  
-    await daoVotingRegulatedAssets.deployed();
+    ]);
   
-    console.log("DAOVotingRegulatedAssets deployed to:", daoVotingRegulatedAssets.address);
+    console.log("DAOVotingRegulatedAssets deployed to:", await addressOf(daoVotingRegulatedAssets));
   }
   
   main()
@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, encodeBytes32String } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const CorporateGovernanceDAO = await ethers.getContractFactory("CorporateGovernanceDAO");
-  
     // Deployment parameters
-    const name = "CorporateSecurityToken";
-    const symbol = "CST";
-    const decimals = 18;
-    const controllers = []; // Add controllers' addresses if needed
-    const defaultPartitions = [ethers.utils.formatBytes32String("partition1")];
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const decimals = params.decimals;
+    const controllers = params.controllers;
+    const defaultPartitions = params.defaultPartitions.map(encodeBytes32String);
   
     // Deploy the contract with necessary parameters
-    const corporateGovernanceDAO = await CorporateGovernanceDAO.deploy(
+    const corporateGovernanceDAO = await deployContract("CorporateGovernanceDAO", [
       name, symbol, decimals, controllers, defaultPartitions
-    );
-  
-    await corporateGovernanceDAO.deployed();
+    ]);
   
-    console.log("CorporateGovernanceDAO deployed to:", corporateGovernanceDAO.address);
+    console.log("CorporateGovernanceDAO deployed to:", await addressOf(corporateGovernanceDAO));
   }
   
   main()
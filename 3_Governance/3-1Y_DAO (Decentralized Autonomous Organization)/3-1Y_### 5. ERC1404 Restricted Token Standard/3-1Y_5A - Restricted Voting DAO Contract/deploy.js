@@ -1,21 +1,19 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const RestrictedVotingDAO = await ethers.getContractFactory("RestrictedVotingDAO");
-  
     // Deployment parameters
-    const restrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with the ERC1404 token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
+    const params = loadParams(__dirname);
+    const restrictedTokenAddress = params.restrictedTokenAddress;
+    const votingDuration = params.votingDuration;
   
     // Deploy the contract with necessary parameters
-    const restrictedVotingDAO = await RestrictedVotingDAO.deploy(
+    const restrictedVotingDAO = await deployContract("RestrictedVotingDAO", [
       restrictedTokenAddress, votingDuration
-    );
-  
-    await restrictedVotingDAO.deployed();
+    ]);
   
-    console.log("RestrictedVotingDAO deployed to:", restrictedVotingDAO.address);
+    console.log("RestrictedVotingDAO deployed to:", await addressOf(restrictedVotingDAO));
   }
   
   main()
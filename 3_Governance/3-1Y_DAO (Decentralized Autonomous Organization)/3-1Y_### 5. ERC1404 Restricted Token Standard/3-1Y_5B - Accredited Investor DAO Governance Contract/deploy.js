@@ -1,21 +1,19 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const AccreditedInvestorDAO = await ethers.getContractFactory("AccreditedInvestorDAO");
-  
     // Deployment parameters
-    const accreditedTokenAddress = "0xYourAccreditedTokenAddress"; // Replace with the ERC1404 token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
+    const params = loadParams(__dirname);
+    const accreditedTokenAddress = params.accreditedTokenAddress;
+    const votingDuration = params.votingDuration;
   
     // Deploy the contract with necessary parameters
-    const accreditedInvestorDAO = await AccreditedInvestorDAO.deploy(
+    const accreditedInvestorDAO = await deployContract("AccreditedInvestorDAO", [
       accreditedTokenAddress, votingDuration
-    );
-  
-    await accreditedInvestorDAO.deployed();
+    ]);
   
-    console.log("AccreditedInvestorDAO deployed to:", accreditedInvestorDAO.address);
+    console.log("AccreditedInvestorDAO deployed to:", await addressOf(accreditedInvestorDAO));
   }
   
   main()
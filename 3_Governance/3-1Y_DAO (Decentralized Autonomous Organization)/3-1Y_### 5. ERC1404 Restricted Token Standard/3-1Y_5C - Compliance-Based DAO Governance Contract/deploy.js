@@ -1,22 +1,20 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const ComplianceBasedDAO = await ethers.getContractFactory("ComplianceBasedDAO");
-  
     // Deployment parameters
-    const complianceTokenAddress = "0xYourComplianceTokenAddress"; // Replace with the ERC1404 token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const priceFeedAddress = "0xYourChainlinkPriceFeedAddress"; // Replace with the Chainlink price feed address
+    const params = loadParams(__dirname);
+    const complianceTokenAddress = params.complianceTokenAddress;
+    const votingDuration = params.votingDuration;
+    const priceFeedAddress = params.priceFeedAddress;
   
     // Deploy the contract with necessary parameters
-    const complianceBasedDAO = await ComplianceBasedDAO.deploy(
+    const complianceBasedDAO = await deployContract("ComplianceBasedDAO", [
       complianceTokenAddress, votingDuration, priceFeedAddress
-    );
-  
-    await complianceBasedDAO.deployed();
+    ]);
   
-    console.log("ComplianceBasedDAO deployed to:", complianceBasedDAO.address);
+    console.log("ComplianceBasedDAO deployed to:", await addressOf(complianceBasedDAO));
   }
   
   main()
@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const VaultGovernanceDAO = await ethers.getContractFactory("VaultGovernanceDAO");
-  
     // Deployment parameters
-    const assetAddress = "0xYourAssetAddress"; // Replace with the tokenized asset address
-    const vaultName = "Vault Governance DAO";
-    const vaultSymbol = "VGDAO";
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with the governance token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
+    const params = loadParams(__dirname);
+    const assetAddress = params.assetAddress;
+    const vaultName = params.vaultName;
+    const vaultSymbol = params.vaultSymbol;
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const votingDuration = params.votingDuration;
   
     // Deploy the contract with necessary parameters
-    const vaultGovernanceDAO = await VaultGovernanceDAO.deploy(
+    const vaultGovernanceDAO = await deployContract("VaultGovernanceDAO", [
       assetAddress, vaultName, vaultSymbol, governanceTokenAddress, votingDuration
-    );
-  
-    await vaultGovernanceDAO.deployed();
+    ]);
   
-    console.log("VaultGovernanceDAO deployed to:", vaultGovernanceDAO.address);
+    console.log("VaultGovernanceDAO deployed to:", await addressOf(vaultGovernanceDAO));
   }
   
   main()
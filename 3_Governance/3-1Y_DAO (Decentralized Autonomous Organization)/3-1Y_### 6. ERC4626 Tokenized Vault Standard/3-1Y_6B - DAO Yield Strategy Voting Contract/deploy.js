@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const DAOYieldStrategyVoting = await ethers.getContractFactory("DAOYieldStrategyVoting");
-  
     // Deployment parameters
-    const assetAddress = "0xYourAssetAddress"; // Replace with the tokenized asset address
-    const vaultName = "DAO Yield Strategy Voting";
-    const vaultSymbol = "DYSV";
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with the governance token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
+    const params = loadParams(__dirname);
+    const assetAddress = params.assetAddress;
+    const vaultName = params.vaultName;
+    const vaultSymbol = params.vaultSymbol;
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const votingDuration = params.votingDuration;
   
     // Deploy the contract with necessary parameters
-    const daoYieldStrategyVoting = await DAOYieldStrategyVoting.deploy(
+    const daoYieldStrategyVoting = await deployContract("DAOYieldStrategyVoting", [
       assetAddress, vaultName, vaultSymbol, governanceTokenAddress, votingDuration
-    );
-  
-    await daoYieldStrategyVoting.deployed();
+    ]);
   
-    console.log("DAOYieldStrategyVoting deployed to:", daoYieldStrategyVoting.address);
+    console.log("DAOYieldStrategyVoting deployed to:", await addressOf(daoYieldStrategyVoting));
   }
   
   main()
@@ -1,25 +1,23 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const StakingAndVotingVaultDAO = await ethers.getContractFactory("StakingAndVotingVaultDAO");
-  
     // Deployment parameters
-    const assetAddress = "0xYourAssetAddress"; // Replace with the tokenized asset address
-    const vaultName = "Staking and Voting Vault DAO";
-    const vaultSymbol = "SVVD";
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with the governance token address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const minimumStakeAmount = ethers.utils.parseEther("100"); // Replace with desired minimum stake amount
+    const params = loadParams(__dirname);
+    const assetAddress = params.assetAddress;
+    const vaultName = params.vaultName;
+    const vaultSymbol = params.vaultSymbol;
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const votingDuration = params.votingDuration;
+    const minimumStakeAmount = parseEther(params.minimumStakeAmount);
   
     // Deploy the contract with necessary parameters
-    const stakingAndVotingVaultDAO = await StakingAndVotingVaultDAO.deploy(
+    const stakingAndVotingVaultDAO = await deployContract("StakingAndVotingVaultDAO", [
       assetAddress, vaultName, vaultSymbol, governanceTokenAddress, votingDuration, minimumStakeAmount
-    );
-  
-    await stakingAndVotingVaultDAO.deployed();
+    ]);
   
-    console.log("StakingAndVotingVaultDAO deployed to:", stakingAndVotingVaultDAO.address);
+    console.log("StakingAndVotingVaultDAO deployed to:", await addressOf(stakingAndVotingVaultDAO));
   }
   
   main()
@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const ComposableTokenDAOGovernance = await ethers.getContractFactory("ComposableTokenDAOGovernance");
-  
     // Deployment parameters
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with the governance token address
-    const name = "Composable Token DAO Governance";
-    const symbol = "CTDG";
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const minimumTokenThreshold = 1; // Replace with desired minimum token threshold
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const name = params.name;
+    const symbol = params.symbol;
+    const votingDuration = params.votingDuration;
+    const minimumTokenThreshold = params.minimumTokenThreshold;
   
     // Deploy the contract with necessary parameters
-    const composableTokenDAOGovernance = await ComposableTokenDAOGovernance.deploy(
+    const composableTokenDAOGovernance = await deployContract("ComposableTokenDAOGovernance", [
       name, symbol, governanceTokenAddress, votingDuration, minimumTokenThreshold
-    );
-  
-    await composableTokenDAOGovernance.deployed();
+    ]);
   
-    console.log("ComposableTokenDAOGovernance deployed to:", composableTokenDAOGovernance.address);
+    console.log("ComposableTokenDAOGovernance deployed to:", await addressOf(composableTokenDAOGovernance));
   }
   
   main()
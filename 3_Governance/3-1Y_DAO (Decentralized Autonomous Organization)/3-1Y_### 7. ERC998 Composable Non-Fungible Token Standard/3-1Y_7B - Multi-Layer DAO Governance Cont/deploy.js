@@ -1,24 +1,22 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const MultiLayerDAOGovernance = await ethers.getContractFactory("MultiLayerDAOGovernance");
-  
     // Deployment parameters
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with the governance token address
-    const name = "Multi-Layer DAO Governance";
-    const symbol = "MLDG";
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const minimumTokenThreshold = 1; // Replace with desired minimum token threshold
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const name = params.name;
+    const symbol = params.symbol;
+    const votingDuration = params.votingDuration;
+    const minimumTokenThreshold = params.minimumTokenThreshold;
   
     // Deploy the contract with necessary parameters
-    const multiLayerDAOGovernance = await MultiLayerDAOGovernance.deploy(
+    const multiLayerDAOGovernance = await deployContract("MultiLayerDAOGovernance", [
       name, symbol, governanceTokenAddress, votingDuration, minimumTokenThreshold
-    );
-  
-    await multiLayerDAOGovernance.deployed();
+    ]);
   
-    console.log("MultiLayerDAOGovernance deployed to:", multiLayerDAOGovernance.address);
+    console.log("MultiLayerDAOGovernance deployed to:", await addressOf(multiLayerDAOGovernance));
   }
   
   main()
@@ -1,28 +1,26 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const PrivacyPreservingDAOGovernance = await ethers.getContractFactory("PrivacyPreservingDAOGovernance");
-  
     // Deployment parameters
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with governance token address
-    const anonCredsAddress = "0xYourAnonCredsContractAddress"; // Replace with AnonCreds contract address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const minimumTokenThreshold = 100; // Replace with desired minimum token threshold
-    const merkleRoot = "0xYourMerkleRoot"; // Replace with the Merkle root
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const anonCredsAddress = params.anonCredsAddress;
+    const votingDuration = params.votingDuration;
+    const minimumTokenThreshold = params.minimumTokenThreshold;
+    const merkleRoot = params.merkleRoot;
   
     // Deploy the contract with necessary parameters
-    const privacyPreservingDAOGovernance = await PrivacyPreservingDAOGovernance.deploy(
+    const privacyPreservingDAOGovernance = await deployContract("PrivacyPreservingDAOGovernance", [
       governanceTokenAddress,
       anonCredsAddress,
       votingDuration,
       minimumTokenThreshold,
       merkleRoot
-    );
-  
-    await privacyPreservingDAOGovernance.deployed();
+    ]);
   
-    console.log("PrivacyPreservingDAOGovernance deployed to:", privacyPreservingDAOGovernance.address);
+    console.log("PrivacyPreservingDAOGovernance deployed to:", await addressOf(privacyPreservingDAOGovernance));
   }
   
   main()
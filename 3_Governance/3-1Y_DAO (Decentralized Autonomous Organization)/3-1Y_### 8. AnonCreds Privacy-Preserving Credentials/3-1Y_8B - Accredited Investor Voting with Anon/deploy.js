@@ -1,28 +1,26 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const AccreditedInvestorVoting = await ethers.getContractFactory("AccreditedInvestorVoting");
-  
     // Deployment parameters
-    const governanceTokenAddress = "0xYourGovernanceTokenAddress"; // Replace with governance token address
-    const anonCredsAddress = "0xYourAnonCredsContractAddress"; // Replace with AnonCreds contract address
-    const votingDuration = 7 * 24 * 60 * 60; // 7 days
-    const minimumTokenThreshold = 100; // Replace with desired minimum token threshold
-    const merkleRoot = "0xYourMerkleRoot"; // Replace with the Merkle root
+    const params = loadParams(__dirname);
+    const governanceTokenAddress = params.governanceTokenAddress;
+    const anonCredsAddress = params.anonCredsAddress;
+    const votingDuration = params.votingDuration;
+    const minimumTokenThreshold = params.minimumTokenThreshold;
+    const merkleRoot = params.merkleRoot;
   
     // Deploy the contract with necessary parameters
-    const accreditedInvestorVoting = await AccreditedInvestorVoting.deploy(
+    const accreditedInvestorVoting = await deployContract("AccreditedInvestorVoting", [
       governanceTokenAddress,
       anonCredsAddress,
       votingDuration,
       minimumTokenThreshold,
       merkleRoot
-    );
-  
-    await accreditedInvestorVoting.deployed();
+    ]);
   
-    console.log("AccreditedInvestorVoting deployed to:", accreditedInvestorVoting.address);
+    console.log("AccreditedInvestorVoting deployed to:", await addressOf(accreditedInvestorVoting));
   }
   
   main()
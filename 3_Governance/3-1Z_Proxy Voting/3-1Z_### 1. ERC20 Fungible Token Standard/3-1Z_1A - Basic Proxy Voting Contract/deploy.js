@@ -1,19 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const BasicProxyVoting = await ethers.getContractFactory("BasicProxyVoting");
-  
     // Deployment parameters
-    const name = "Basic Proxy Voting Token";
-    const symbol = "BPVT";
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
   
     // Deploy the contract with necessary parameters
-    const basicProxyVoting = await BasicProxyVoting.deploy(name, symbol);
-  
-    await basicProxyVoting.deployed();
+    const basicProxyVoting = await deployContract("BasicProxyVoting", [name, symbol]);
   
-    console.log("BasicProxyVoting deployed to:", basicProxyVoting.address);
+    console.log("BasicProxyVoting deployed to:", await addressOf(basicProxyVoting));
   }
   
   main()
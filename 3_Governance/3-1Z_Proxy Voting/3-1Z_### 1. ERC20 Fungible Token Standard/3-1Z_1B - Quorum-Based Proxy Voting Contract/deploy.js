@@ -1,20 +1,18 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const QuorumBasedProxyVoting = await ethers.getContractFactory("QuorumBasedProxyVoting");
-  
     // Deployment parameters
-    const name = "Quorum Based Voting Token";
-    const symbol = "QBVT";
-    const initialQuorum = 1000; // Example quorum value
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const initialQuorum = params.initialQuorum;
   
     // Deploy the contract with necessary parameters
-    const quorumBasedProxyVoting = await QuorumBasedProxyVoting.deploy(name, symbol, initialQuorum);
-  
-    await quorumBasedProxyVoting.deployed();
+    const quorumBasedProxyVoting = await deployContract("QuorumBasedProxyVoting", [name, symbol, initialQuorum]);
   
-    console.log("QuorumBasedProxyVoting deployed to:", quorumBasedProxyVoting.address);
+    console.log("QuorumBasedProxyVoting deployed to:", await addressOf(quorumBasedProxyVoting));
   }
   
   main()
@@ -1,19 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const ProxyVotingWithRevocation = await ethers.getContractFactory("ProxyVotingWithRevocation");
-  
     // Deployment parameters
-    const name = "Proxy Voting Token";
-    const symbol = "PVT";
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
   
     // Deploy the contract with necessary parameters
-    const proxyVotingWithRevocation = await ProxyVotingWithRevocation.deploy(name, symbol);
-  
-    await proxyVotingWithRevocation.deployed();
+    const proxyVotingWithRevocation = await deployContract("ProxyVotingWithRevocation", [name, symbol]);
   
-    console.log("ProxyVotingWithRevocation deployed to:", proxyVotingWithRevocation.address);
+    console.log("ProxyVotingWithRevocation deployed to:", await addressOf(proxyVotingWithRevocation));
   }
   
   main()
@@ -1,20 +1,18 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const AdvancedProxyVoting = await ethers.getContractFactory("AdvancedProxyVoting");
-  
     // Deployment parameters
-    const name = "Advanced Proxy Voting Token";
-    const symbol = "APVT";
-    const defaultOperators = []; // Can add default operators here if needed
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const defaultOperators = params.defaultOperators;
   
     // Deploy the contract with necessary parameters
-    const advancedProxyVoting = await AdvancedProxyVoting.deploy(name, symbol, defaultOperators);
-  
-    await advancedProxyVoting.deployed();
+    const advancedProxyVoting = await deployContract("AdvancedProxyVoting", [name, symbol, defaultOperators]);
   
-    console.log("AdvancedProxyVoting deployed to:", advancedProxyVoting.address);
+    console.log("AdvancedProxyVoting deployed to:", await addressOf(advancedProxyVoting));
   }
   
   main()
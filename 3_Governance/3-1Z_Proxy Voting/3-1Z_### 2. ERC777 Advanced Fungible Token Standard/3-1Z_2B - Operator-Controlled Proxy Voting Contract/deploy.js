@@ -1,20 +1,18 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const OperatorControlledProxyVoting = await ethers.getContractFactory("OperatorControlledProxyVoting");
-  
     // Deployment parameters
-    const name = "Operator Controlled Voting Token";
-    const symbol = "OCVT";
-    const defaultOperators = []; // Can add default operators here if needed
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const defaultOperators = params.defaultOperators;
   
     // Deploy the contract with necessary parameters
-    const operatorControlledProxyVoting = await OperatorControlledProxyVoting.deploy(name, symbol, defaultOperators);
-  
-    await operatorControlledProxyVoting.deployed();
+    const operatorControlledProxyVoting = await deployContract("OperatorControlledProxyVoting", [name, symbol, defaultOperators]);
   
-    console.log("OperatorControlledProxyVoting deployed to:", operatorControlledProxyVoting.address);
+    console.log("OperatorControlledProxyVoting deployed to:", await addressOf(operatorControlledProxyVoting));
   }
   
   main()
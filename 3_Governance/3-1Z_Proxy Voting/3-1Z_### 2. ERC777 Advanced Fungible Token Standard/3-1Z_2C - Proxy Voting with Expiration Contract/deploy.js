@@ -1,20 +1,18 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const ProxyVotingWithExpiration = await ethers.getContractFactory("ProxyVotingWithExpiration");
-  
     // Deployment parameters
-    const name = "Proxy Voting Token";
-    const symbol = "PVT";
-    const defaultOperators = []; // Can add default operators here if needed
+    const params = loadParams(__dirname);
+    const name = params.name;
+    const symbol = params.symbol;
+    const defaultOperators = params.defaultOperators;
   
     // Deploy the contract with necessary parameters
-    const proxyVotingWithExpiration = await ProxyVotingWithExpiration.deploy(name, symbol, defaultOperators);
-  
-    await proxyVotingWithExpiration.deployed();
+    const proxyVotingWithExpiration = await deployContract("ProxyVotingWithExpiration", [name, symbol, defaultOperators]);
   
-    console.log("ProxyVotingWithExpiration deployed to:", proxyVotingWithExpiration.address);
+    console.log("ProxyVotingWithExpiration deployed to:", await addressOf(proxyVotingWithExpiration));
   }
   
   main()
@@ -1,15 +1,11 @@
 // scripts/deploy.js
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const MultiTokenProxyVoting = await ethers.getContractFactory("MultiTokenProxyVoting");
-  
     // Deploy the contract
-    const multiTokenProxyVoting = await MultiTokenProxyVoting.deploy();
-  
-    await multiTokenProxyVoting.deployed();
+    const multiTokenProxyVoting = await deployContract("MultiTokenProxyVoting");
   
-    console.log("MultiTokenProxyVoting deployed to:", multiTokenProxyVoting.address);
+    console.log("MultiTokenProxyVoting deployed to:", await addressOf(multiTokenProxyVoting));
   }
   
   main()
@@ -1,15 +1,11 @@
 // scripts/deploy.js
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const BatchProxyVoting = await ethers.getContractFactory("BatchProxyVoting");
-  
     // Deploy the contract
-    const batchProxyVoting = await BatchProxyVoting.deploy();
-  
-    await batchProxyVoting.deployed();
+    const batchProxyVoting = await deployContract("BatchProxyVoting");
   
-    console.log("BatchProxyVoting deployed to:", batchProxyVoting.address);
+    console.log("BatchProxyVoting deployed to:", await addressOf(batchProxyVoting));
   }
   
   main()
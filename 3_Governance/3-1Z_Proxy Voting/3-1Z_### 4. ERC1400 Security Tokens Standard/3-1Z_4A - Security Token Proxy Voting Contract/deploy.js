@@ -1,15 +1,13 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    // Get the contract factory
-    const SecurityTokenProxyVoting = await ethers.getContractFactory("SecurityTokenProxyVoting");
-  
     // Deploy the contract
-    const securityTokenProxyVoting = await SecurityTokenProxyVoting.deploy("SecurityToken", "STK", 1000000, []);
-  
-    await securityTokenProxyVoting.deployed();
+    const params = loadParams(__dirname);
+    const securityTokenProxyVoting = await deployContract("SecurityTokenProxyVoting", [params.name, params.symbol, params.totalSupply, params.controllers]);
   
-    console.log("SecurityTokenProxyVoting deployed to:", securityTokenProxyVoting.address);
+    console.log("SecurityTokenProxyVoting deployed to:", await addressOf(securityTokenProxyVoting));
   }
   
   main()
@@ -1,18 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const CorporateGovernanceProxyVoting = await ethers.getContractFactory("CorporateGovernanceProxyVoting");
+    const params = loadParams(__dirname);
+    const corporateGovernanceProxyVoting = await deployContract("CorporateGovernanceProxyVoting", [
+      params.name,
+      params.symbol,
+      params.totalSupply,
+      params.controllers
+    ]);
   
-    const corporateGovernanceProxyVoting = await CorporateGovernanceProxyVoting.deploy(
-      "CorporateGovernanceToken",
-      "CGT",
-      1000000,
-      []
-    );
-  
-    await corporateGovernanceProxyVoting.deployed();
-  
-    console.log("CorporateGovernanceProxyVoting deployed to:", corporateGovernanceProxyVoting.address);
+    console.log("CorporateGovernanceProxyVoting deployed to:", await addressOf(corporateGovernanceProxyVoting));
   }
   
   main()
@@ -1,18 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const RegulatedProxyVotingWithCompliance = await ethers.getContractFactory("RegulatedProxyVotingWithCompliance");
+    const params = loadParams(__dirname);
+    const regulatedProxyVotingContract = await deployContract("RegulatedProxyVotingWithCompliance", [
+      params.name,
+      params.symbol,
+      params.totalSupply,
+      params.controllers
+    ]);
   
-    const regulatedProxyVotingContract = await RegulatedProxyVotingWithCompliance.deploy(
-      "RegulatedToken",
-      "RTK",
-      1000000,
-      []
-    );
-  
-    await regulatedProxyVotingContract.deployed();
-  
-    console.log("RegulatedProxyVotingWithCompliance deployed to:", regulatedProxyVotingContract.address);
+    console.log("RegulatedProxyVotingWithCompliance deployed to:", await addressOf(regulatedProxyVotingContract));
   }
   
   main()
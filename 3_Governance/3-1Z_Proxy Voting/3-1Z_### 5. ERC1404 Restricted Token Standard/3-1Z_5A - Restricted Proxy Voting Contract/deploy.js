@@ -1,18 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const RestrictedProxyVoting = await ethers.getContractFactory("RestrictedProxyVoting");
+    const params = loadParams(__dirname);
+    const restrictedProxyVotingContract = await deployContract("RestrictedProxyVoting", [
+      params.name,
+      params.symbol,
+      params.totalSupply,
+      params.controllers
+    ]);
   
-    const restrictedProxyVotingContract = await RestrictedProxyVoting.deploy(
-      "RestrictedToken",
-      "RTK",
-      1000000,
-      []
-    );
-  
-    await restrictedProxyVotingContract.deployed();
-  
-    console.log("RestrictedProxyVoting deployed to:", restrictedProxyVotingContract.address);
+    console.log("RestrictedProxyVoting deployed to:", await addressOf(restrictedProxyVotingContract));
   }
   
   main()
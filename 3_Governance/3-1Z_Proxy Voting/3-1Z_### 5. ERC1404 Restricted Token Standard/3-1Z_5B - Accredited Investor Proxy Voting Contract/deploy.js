@@ -1,18 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const AccreditedInvestorProxyVoting = await ethers.getContractFactory("AccreditedInvestorProxyVoting");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("AccreditedInvestorProxyVoting", [
+      params.name,
+      params.symbol,
+      params.totalSupply,
+      params.controllers
+    ]);
   
-    const contract = await AccreditedInvestorProxyVoting.deploy(
-      "AccreditedToken",
-      "AKT",
-      1000000,
-      []
-    );
-  
-    await contract.deployed();
-  
-    console.log("AccreditedInvestorProxyVoting deployed to:", contract.address);
+    console.log("AccreditedInvestorProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
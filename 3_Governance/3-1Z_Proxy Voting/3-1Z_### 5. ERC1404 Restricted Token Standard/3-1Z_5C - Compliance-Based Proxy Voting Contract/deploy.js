@@ -1,18 +1,17 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const ComplianceBasedProxyVoting = await ethers.getContractFactory("ComplianceBasedProxyVoting");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("ComplianceBasedProxyVoting", [
+      params.name,
+      params.symbol,
+      params.totalSupply,
+      params.controllers
+    ]);
   
-    const contract = await ComplianceBasedProxyVoting.deploy(
-      "ComplianceToken",
-      "CMT",
-      1000000,
-      []
-    );
-  
-    await contract.deployed();
-  
-    console.log("ComplianceBasedProxyVoting deployed to:", contract.address);
+    console.log("ComplianceBasedProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
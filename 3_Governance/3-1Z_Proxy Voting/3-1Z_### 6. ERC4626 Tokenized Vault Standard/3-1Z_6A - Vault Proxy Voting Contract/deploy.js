@@ -1,13 +1,13 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const VaultProxyVoting = await ethers.getContractFactory("VaultProxyVoting");
+    const params = loadParams(__dirname);
   
-    const contract = await VaultProxyVoting.deploy("VaultToken", "VLT", "0xYourAssetAddressHere");
+    const contract = await deployContract("VaultProxyVoting", [params.name, params.symbol, params.asset]);
   
-    await contract.deployed();
-  
-    console.log("VaultProxyVoting deployed to:", contract.address);
+    console.log("VaultProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,13 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const StakingProxyVoting = await ethers.getContractFactory("StakingProxyVoting");
+    const params = loadParams(__dirname);
   
-    const contract = await StakingProxyVoting.deploy("VaultToken", "VLT", "0xYourAssetAddressHere");
+    const contract = await deployContract("StakingProxyVoting", [params.name, params.symbol, params.asset]);
   
-    await contract.deployed();
-  
-    console.log("StakingProxyVoting deployed to:", contract.address);
+    console.log("StakingProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,12 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const ComposableProxyVoting = await ethers.getContractFactory("ComposableProxyVoting");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("ComposableProxyVoting", [params.name, params.symbol]);
   
-    const contract = await ComposableProxyVoting.deploy("ComposableToken", "CTK");
-  
-    await contract.deployed();
-  
-    console.log("ComposableProxyVoting deployed to:", contract.address);
+    console.log("ComposableProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
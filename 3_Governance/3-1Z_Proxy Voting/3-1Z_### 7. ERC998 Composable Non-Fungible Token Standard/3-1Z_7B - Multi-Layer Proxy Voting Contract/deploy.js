@@ -1,13 +1,12 @@
 // scripts/deploy.js
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const MultiLayerProxyVoting = await ethers.getContractFactory("MultiLayerProxyVoting");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("MultiLayerProxyVoting", [params.name, params.symbol]);
   
-    const contract = await MultiLayerProxyVoting.deploy("MultiLayerToken", "MLT");
-  
-    await contract.deployed();
-  
-    console.log("MultiLayerProxyVoting deployed to:", contract.address);
+    console.log("MultiLayerProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,10 @@
 // scripts/deploy.js
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const PrivacyPreservingProxyVoting = await ethers.getContractFactory("PrivacyPreservingProxyVoting");
+    const contract = await deployContract("PrivacyPreservingProxyVoting");
   
-    const contract = await PrivacyPreservingProxyVoting.deploy();
-  
-    await contract.deployed();
-  
-    console.log("PrivacyPreservingProxyVoting deployed to:", contract.address);
+    console.log("PrivacyPreservingProxyVoting deployed to:", await addressOf(contract));
   }
   
   main()
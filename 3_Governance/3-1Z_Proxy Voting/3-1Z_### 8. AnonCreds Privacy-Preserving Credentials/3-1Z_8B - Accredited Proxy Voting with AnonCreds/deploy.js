@@ -1,13 +1,10 @@
 // scripts/deploy.js
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
-    const AccreditedProxyVotingWithAnonCreds = await ethers.getContractFactory("AccreditedProxyVotingWithAnonCreds");
+    const contract = await deployContract("AccreditedProxyVotingWithAnonCreds");
   
-    const contract = await AccreditedProxyVotingWithAnonCreds.deploy();
-  
-    await contract.deployed();
-  
-    console.log("AccreditedProxyVotingWithAnonCreds deployed to:", contract.address);
+    console.log("AccreditedProxyVotingWithAnonCreds deployed to:", await addressOf(contract));
   }
   
   main()
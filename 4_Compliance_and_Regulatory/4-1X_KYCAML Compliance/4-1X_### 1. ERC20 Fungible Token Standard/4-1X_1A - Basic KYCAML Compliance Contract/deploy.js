@@ -1,16 +1,16 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define deployment parameters
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const BasicKYCAMLComplianceContract = await hre.ethers.getContractFactory("BasicKYCAMLComplianceContract");
-    const contract = await BasicKYCAMLComplianceContract.deploy("TokenName", "TKN", deployer.address);
+    const contract = await deployContract("BasicKYCAMLComplianceContract", [params.name, params.symbol, deployer.address]);
 
-    await contract.deployed();
-
-    console.log("BasicKYCAMLComplianceContract deployed to:", contract.address);
+    console.log("BasicKYCAMLComplianceContract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,16 +1,16 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define deployment parameters
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const WhitelistBasedKYCAMLContract = await hre.ethers.getContractFactory("WhitelistBasedKYCAMLContract");
-    const contract = await WhitelistBasedKYCAMLContract.deploy("WhitelistToken", "WLT", deployer.address);
+    const contract = await deployContract("WhitelistBasedKYCAMLContract", [params.name, params.symbol, deployer.address]);
 
-    await contract.deployed();
-
-    console.log("WhitelistBasedKYCAMLContract deployed to:", contract.address);
+    console.log("WhitelistBasedKYCAMLContract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,26 +1,26 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     // Define deployment parameters
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     // Set initial parameters
-    const transactionThreshold = hre.ethers.utils.parseUnits("1000", 18); // Example threshold: 1000 tokens
-    const dailyTransferLimit = hre.ethers.utils.parseUnits("5000", 18); // Example limit: 5000 tokens per day
+    const transactionThreshold = parseUnits(params.transactionThreshold, 18);
+    const dailyTransferLimit = parseUnits(params.dailyTransferLimit, 18);
 
-    const AMLMonitoringAndReportingContract = await hre.ethers.getContractFactory("AMLMonitoringAndReportingContract");
-    const contract = await AMLMonitoringAndReportingContract.deploy(
-        "AMLToken", 
-        "AML", 
+    const contract = await deployContract("AMLMonitoringAndReportingContract", [
+        params.name, 
+        params.symbol, 
         deployer.address,
         transactionThreshold,
         dailyTransferLimit
-    );
+    ]);
 
-    await contract.deployed();
-
-    console.log("AMLMonitoringAndReportingContract deployed to:", contract.address);
+    console.log("AMLMonitoringAndReportingContract deployed to:", await addressOf(contract));
 }
 
 main()
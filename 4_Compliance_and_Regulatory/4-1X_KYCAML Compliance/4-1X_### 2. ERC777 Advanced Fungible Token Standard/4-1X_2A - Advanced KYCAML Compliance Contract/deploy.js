@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const defaultOperators = [];
+    const defaultOperators = params.defaultOperators;
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
 
-    const AdvancedKYCAMLComplianceContract = await hre.ethers.getContractFactory("AdvancedKYCAMLComplianceContract");
-    const contract = await AdvancedKYCAMLComplianceContract.deploy(defaultOperators, complianceOfficer);
+    const contract = await deployContract("AdvancedKYCAMLComplianceContract", [defaultOperators, complianceOfficer]);
 
-    await contract.deployed();
-    console.log("AdvancedKYCAMLComplianceContract deployed to:", contract.address);
+    console.log("AdvancedKYCAMLComplianceContract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const defaultOperators = [];
+    const defaultOperators = params.defaultOperators;
     const kycOperator = deployer.address; // Use deployer as KYC operator for demo purposes
 
-    const OperatorControlledKYCContract = await hre.ethers.getContractFactory("OperatorControlledKYCContract");
-    const contract = await OperatorControlledKYCContract.deploy(defaultOperators, kycOperator);
+    const contract = await deployContract("OperatorControlledKYCContract", [defaultOperators, kycOperator]);
 
-    await contract.deployed();
-    console.log("OperatorControlledKYCContract deployed to:", contract.address);
+    console.log("OperatorControlledKYCContract deployed to:", await addressOf(contract));
 }
 
 main()
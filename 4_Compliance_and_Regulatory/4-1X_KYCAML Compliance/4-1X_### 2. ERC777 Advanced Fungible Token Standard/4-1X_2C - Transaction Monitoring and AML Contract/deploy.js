@@ -1,26 +1,27 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const defaultOperators = [];
+    const defaultOperators = params.defaultOperators;
     const amlOfficer = deployer.address; // Use deployer as AML officer for demo purposes
-    const largeTransactionThreshold = hre.ethers.utils.parseUnits("1000", 18); // Example: 1000 tokens
-    const frequentTransactionLimit = 5; // Example: 5 transactions
-    const timeWindow = 24 * 60 * 60; // Example: 24 hours
+    const largeTransactionThreshold = parseUnits(params.largeTransactionThreshold, 18);
+    const frequentTransactionLimit = params.frequentTransactionLimit;
+    const timeWindow = params.timeWindow;
 
-    const TransactionMonitoringAndAMLContract = await hre.ethers.getContractFactory("TransactionMonitoringAndAMLContract");
-    const contract = await TransactionMonitoringAndAMLContract.deploy(
+    const contract = await deployContract("TransactionMonitoringAndAMLContract", [
         defaultOperators,
         amlOfficer,
         largeTransactionThreshold,
         frequentTransactionLimit,
         timeWindow
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("TransactionMonitoringAndAMLContract deployed to:", contract.address);
+    console.log("TransactionMonitoringAndAMLContract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
-    const uri = "https://example.com/metadata/{id}.json"; // Metadata URI
+    const uri = params.uri;
 
-    const MultiAssetKYCAMLComplianceContract = await hre.ethers.getContractFactory("MultiAssetKYCAMLComplianceContract");
-    const contract = await MultiAssetKYCAMLComplianceContract.deploy(uri, complianceOfficer);
+    const contract = await deployContract("MultiAssetKYCAMLComplianceContract", [uri, complianceOfficer]);
 
-    await contract.deployed();
-    console.log("MultiAssetKYCAMLComplianceContract deployed to:", contract.address);
+    console.log("MultiAssetKYCAMLComplianceContract deployed to:", await addressOf(contract));
 }
 
 main()
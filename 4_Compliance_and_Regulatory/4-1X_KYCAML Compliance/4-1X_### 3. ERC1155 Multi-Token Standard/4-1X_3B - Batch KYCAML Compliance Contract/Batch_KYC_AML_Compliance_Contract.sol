@@ -220,6 +220,13 @@ contract BatchKYCAMLComplianceContract is ERC1155, Ownable, AccessControl, Pausa
         _unpause();
     }
 
+    /**
+     * @dev Reports the interfaces of both ERC1155 and AccessControl.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC1155, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
     /**
      * @dev Fallback function to prevent accidental Ether transfers.
      */
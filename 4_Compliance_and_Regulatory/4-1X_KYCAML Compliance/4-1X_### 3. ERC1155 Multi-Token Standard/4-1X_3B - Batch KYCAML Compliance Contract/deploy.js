@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
-    const uri = "https://example.com/metadata/{id}.json"; // Metadata URI
+    const uri = params.uri;
 
-    const BatchKYCAMLComplianceContract = await hre.ethers.getContractFactory("BatchKYCAMLComplianceContract");
-    const contract = await BatchKYCAMLComplianceContract.deploy(uri, complianceOfficer);
+    const contract = await deployContract("BatchKYCAMLComplianceContract", [uri, complianceOfficer]);
 
-    await contract.deployed();
-    console.log("BatchKYCAMLComplianceContract deployed to:", contract.address);
+    console.log("BatchKYCAMLComplianceContract deployed to:", await addressOf(contract));
 }
 
 main()
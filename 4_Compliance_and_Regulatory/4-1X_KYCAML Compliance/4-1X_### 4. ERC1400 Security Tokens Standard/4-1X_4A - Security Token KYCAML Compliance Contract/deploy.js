@@ -1,19 +1,20 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const name = "SecurityToken";
-    const symbol = "STK";
-    const controllers = []; // List of controller addresses for ERC1400 partition management
+    const name = params.name;
+    const symbol = params.symbol;
+    const controllers = params.controllers;
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
 
-    const SecurityTokenKYCAMLComplianceContract = await hre.ethers.getContractFactory("SecurityTokenKYCAMLComplianceContract");
-    const contract = await SecurityTokenKYCAMLComplianceContract.deploy(name, symbol, controllers, complianceOfficer);
+    const contract = await deployContract("SecurityTokenKYCAMLComplianceContract", [name, symbol, controllers, complianceOfficer]);
 
-    await contract.deployed();
-    console.log("SecurityTokenKYCAMLComplianceContract deployed to:", contract.address);
+    console.log("SecurityTokenKYCAMLComplianceContract deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
@@ -6,11 +7,9 @@ async function main() {
 
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
 
-    const TransferRestrictionsKYCAML = await hre.ethers.getContractFactory("TransferRestrictionsKYCAML");
-    const contract = await TransferRestrictionsKYCAML.deploy(complianceOfficer);
+    const contract = await deployContract("TransferRestrictionsKYCAML", [complianceOfficer]);
 
-    await contract.deployed();
-    console.log("TransferRestrictionsKYCAML deployed to:", contract.address);
+    console.log("TransferRestrictionsKYCAML deployed to:", await addressOf(contract));
 }
 
 main()
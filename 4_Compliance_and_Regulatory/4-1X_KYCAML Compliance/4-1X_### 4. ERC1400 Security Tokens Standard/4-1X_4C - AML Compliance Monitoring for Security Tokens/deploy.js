@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
@@ -6,11 +7,9 @@ async function main() {
 
     const complianceOfficer = deployer.address; // Use deployer as compliance officer for demo purposes
 
-    const AMLComplianceMonitoring = await hre.ethers.getContractFactory("AMLComplianceMonitoring");
-    const contract = await AMLComplianceMonitoring.deploy(complianceOfficer);
+    const contract = await deployContract("AMLComplianceMonitoring", [complianceOfficer]);
 
-    await contract.deployed();
-    console.log("AMLComplianceMonitoring deployed to:", contract.address);
+    console.log("AMLComplianceMonitoring deployed to:", await addressOf(contract));
 }
 
 main()
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
@@ -6,11 +7,9 @@ async function main() {
 
     const complianceOfficer = deployer.address; // For demo purposes
 
-    const RestrictedKYCAMLCompliance = await hre.ethers.getContractFactory("RestrictedKYCAMLCompliance");
-    const contract = await RestrictedKYCAMLCompliance.deploy(complianceOfficer);
+    const contract = await deployContract("RestrictedKYCAMLCompliance", [complianceOfficer]);
 
-    await contract.deployed();
-    console.log("RestrictedKYCAMLCompliance deployed to:", contract.address);
+    console.log("RestrictedKYCAMLCompliance deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
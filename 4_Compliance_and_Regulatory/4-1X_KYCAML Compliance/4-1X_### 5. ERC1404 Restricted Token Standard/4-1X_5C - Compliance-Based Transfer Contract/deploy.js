@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
@@ -6,11 +7,9 @@ async function main() {
 
     const complianceOfficer = deployer.address; // For demo purposes
 
-    const ComplianceBasedTransferContract = await hre.ethers.getContractFactory("ComplianceBasedTransferContract");
-    const contract = await ComplianceBasedTransferContract.deploy(complianceOfficer);
+    const contract = await deployContract("ComplianceBasedTransferContract", [complianceOfficer]);
 
-    await contract.deployed();
-    console.log("ComplianceBasedTransferContract deployed to:", contract.address);
+    console.log("ComplianceBasedTransferContract deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
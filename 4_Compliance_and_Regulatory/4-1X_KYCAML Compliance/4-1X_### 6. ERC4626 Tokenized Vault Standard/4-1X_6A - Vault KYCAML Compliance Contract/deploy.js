@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     const ComplianceOfficer = deployer.address; // For demo purposes
 
-    const VaultKYCAMLCompliance = await hre.ethers.getContractFactory("VaultKYCAMLCompliance");
-    const assetAddress = "[ERC20_TOKEN_ADDRESS]"; // Replace with the ERC20 token address used as the vault asset
-    const contract = await VaultKYCAMLCompliance.deploy(assetAddress, "Vault KYC/AML Compliance", "vKYC", ComplianceOfficer);
+    const assetAddress = params.assetAddress;
+    const contract = await deployContract("VaultKYCAMLCompliance", [assetAddress, params.name, params.symbol, ComplianceOfficer]);
 
-    await contract.deployed();
-    console.log("VaultKYCAMLCompliance deployed to:", contract.address);
+    console.log("VaultKYCAMLCompliance deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
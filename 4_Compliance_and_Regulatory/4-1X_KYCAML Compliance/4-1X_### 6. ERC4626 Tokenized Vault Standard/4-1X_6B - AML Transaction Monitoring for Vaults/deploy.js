@@ -1,26 +1,27 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     const ComplianceOfficer = deployer.address; // For demo purposes
-    const largeDepositThreshold = hre.ethers.utils.parseEther("1000"); // Example threshold
-    const largeWithdrawalThreshold = hre.ethers.utils.parseEther("1000"); // Example threshold
+    const largeDepositThreshold = parseEther(params.largeDepositThreshold);
+    const largeWithdrawalThreshold = parseEther(params.largeWithdrawalThreshold);
 
-    const AMLTransactionMonitoringVault = await hre.ethers.getContractFactory("AMLTransactionMonitoringVault");
-    const assetAddress = "[ERC20_TOKEN_ADDRESS]"; // Replace with the ERC20 token address used as the vault asset
-    const contract = await AMLTransactionMonitoringVault.deploy(
+    const assetAddress = params.assetAddress;
+    const contract = await deployContract("AMLTransactionMonitoringVault", [
         assetAddress,
-        "AML Transaction Monitoring Vault",
-        "vAML",
+        params.name,
+        params.symbol,
         ComplianceOfficer,
         largeDepositThreshold,
         largeWithdrawalThreshold
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("AMLTransactionMonitoringVault deployed to:", contract.address);
+    console.log("AMLTransactionMonitoringVault deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
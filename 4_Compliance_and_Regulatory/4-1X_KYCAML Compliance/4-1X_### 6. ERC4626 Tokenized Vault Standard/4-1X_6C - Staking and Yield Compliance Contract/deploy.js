@@ -1,24 +1,25 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
     const ComplianceOfficer = deployer.address; // For demo purposes
-    const rewardRate = hre.ethers.utils.parseUnits("0.1", 18); // Example reward rate
+    const rewardRate = parseUnits(params.rewardRate, 18);
 
-    const StakingAndYieldComplianceVault = await hre.ethers.getContractFactory("StakingAndYieldComplianceVault");
-    const assetAddress = "[ERC20_TOKEN_ADDRESS]"; // Replace with the ERC20 token address used as the vault asset
-    const contract = await StakingAndYieldComplianceVault.deploy(
+    const assetAddress = params.assetAddress;
+    const contract = await deployContract("StakingAndYieldComplianceVault", [
         assetAddress,
-        "Staking and Yield Compliance Vault",
-        "sYCV",
+        params.name,
+        params.symbol,
         ComplianceOfficer,
         rewardRate
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("StakingAndYieldComplianceVault deployed to:", contract.address);
+    console.log("StakingAndYieldComplianceVault deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
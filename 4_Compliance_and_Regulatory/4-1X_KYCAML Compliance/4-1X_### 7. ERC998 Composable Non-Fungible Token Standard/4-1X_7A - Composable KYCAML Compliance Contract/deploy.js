@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const ComposableKYCAMLCompliance = await hre.ethers.getContractFactory("ComposableKYCAMLCompliance");
-    const contract = await ComposableKYCAMLCompliance.deploy("Composable KYC/AML Compliance NFT", "cKYC");
+    const contract = await deployContract("ComposableKYCAMLCompliance", [params.name, params.symbol]);
 
-    await contract.deployed();
-    console.log("ComposableKYCAMLCompliance deployed to:", contract.address);
+    console.log("ComposableKYCAMLCompliance deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const MultiLayerKYCAMLCompliance = await hre.ethers.getContractFactory("MultiLayerKYCAMLCompliance");
-    const contract = await MultiLayerKYCAMLCompliance.deploy("Multi-Layer KYC/AML Compliance NFT", "MLKYC");
+    const contract = await deployContract("MultiLayerKYCAMLCompliance", [params.name, params.symbol]);
 
-    await contract.deployed();
-    console.log("MultiLayerKYCAMLCompliance deployed to:", contract.address);
+    console.log("MultiLayerKYCAMLCompliance deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const PrivacyPreservingKYCCompliance = await hre.ethers.getContractFactory("PrivacyPreservingKYCCompliance");
-    const contract = await PrivacyPreservingKYCCompliance.deploy();
+    const contract = await deployContract("PrivacyPreservingKYCCompliance");
 
-    await contract.deployed();
-    console.log("PrivacyPreservingKYCCompliance deployed to:", contract.address);
+    console.log("PrivacyPreservingKYCCompliance deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
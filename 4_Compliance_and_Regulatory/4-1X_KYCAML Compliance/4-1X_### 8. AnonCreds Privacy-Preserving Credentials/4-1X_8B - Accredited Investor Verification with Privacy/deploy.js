@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const AccreditedInvestorVerificationWithPrivacy = await hre.ethers.getContractFactory("AccreditedInvestorVerificationWithPrivacy");
-    const contract = await AccreditedInvestorVerificationWithPrivacy.deploy();
+    const contract = await deployContract("AccreditedInvestorVerificationWithPrivacy");
 
-    await contract.deployed();
-    console.log("AccreditedInvestorVerificationWithPrivacy deployed to:", contract.address);
+    console.log("AccreditedInvestorVerificationWithPrivacy deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const AMLComplianceOfficer = "0xYourComplianceOfficerAddress"; // Replace with actual AML compliance officer address
+    const params = loadParams(__dirname);
+    const AMLComplianceOfficer = params.AMLComplianceOfficer;
 
-    const AnonymousAMLReporting = await hre.ethers.getContractFactory("AnonymousAMLReporting");
-    const contract = await AnonymousAMLReporting.deploy(AMLComplianceOfficer);
+    const contract = await deployContract("AnonymousAMLReporting", [AMLComplianceOfficer]);
 
-    await contract.deployed();
-    console.log("AnonymousAMLReporting deployed to:", contract.address);
+    console.log("AnonymousAMLReporting deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const name = "VolumeToken";
-    const symbol = "VOL";
-    const TransactionVolumeReporting = await hre.ethers.getContractFactory("TransactionVolumeReporting");
-    const contract = await TransactionVolumeReporting.deploy(name, symbol);
+    const name = params.name;
+    const symbol = params.symbol;
+    const contract = await deployContract("TransactionVolumeReporting", [name, symbol]);
 
-    await contract.deployed();
-    console.log("TransactionVolumeReporting deployed to:", contract.address);
+    console.log("TransactionVolumeReporting deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const name = "ComplianceToken";
-    const symbol = "COMPLY";
-    const KYCAMLComplianceReporting = await hre.ethers.getContractFactory("KYCAMLComplianceReporting");
-    const contract = await KYCAMLComplianceReporting.deploy(name, symbol);
+    const name = params.name;
+    const symbol = params.symbol;
+    const contract = await deployContract("KYCAMLComplianceReporting", [name, symbol]);
 
-    await contract.deployed();
-    console.log("KYCAMLComplianceReporting deployed to:", contract.address);
+    console.log("KYCAMLComplianceReporting deployed to:", await addressOf(contract));
 }
 
 main().then(() => process.exit(0)).catch((error) => {
@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const name = "OperatorControlledToken";
-    const symbol = "OCT777";
-    const defaultOperators = []; // Default operators, can be left empty or defined as needed
-    const Contract = await hre.ethers.getContractFactory("OperatorControlledReporting");
-    const contract = await Contract.deploy(name, symbol, defaultOperators);
+    const name = params.name;
+    const symbol = params.symbol;
+    const defaultOperators = params.defaultOperators;
+    const contract = await deployContract("OperatorControlledReporting", [name, symbol, defaultOperators]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
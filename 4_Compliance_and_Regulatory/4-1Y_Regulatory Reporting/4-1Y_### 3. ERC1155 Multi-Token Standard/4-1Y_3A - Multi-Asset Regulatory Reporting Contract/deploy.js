@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const uri = "https://api.example.com/metadata/{id}.json"; // Base URI for the token metadata
+    const uri = params.uri;
 
-    const Contract = await hre.ethers.getContractFactory("MultiAssetRegulatoryReporting");
-    const contract = await Contract.deploy(uri);
+    const contract = await deployContract("MultiAssetRegulatoryReporting", [uri]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
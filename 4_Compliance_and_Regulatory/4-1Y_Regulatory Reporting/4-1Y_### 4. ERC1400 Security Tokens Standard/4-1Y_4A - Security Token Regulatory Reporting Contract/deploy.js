@@ -1,17 +1,18 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const name = "SecurityToken";
-    const symbol = "STKN";
+    const name = params.name;
+    const symbol = params.symbol;
 
-    const SecurityToken = await hre.ethers.getContractFactory("SecurityTokenRegulatoryReportingContract");
-    const contract = await SecurityToken.deploy(name, symbol);
+    const contract = await deployContract("SecurityTokenRegulatoryReportingContract", [name, symbol]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,14 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const CorporateActionReporting = await hre.ethers.getContractFactory("CorporateActionReportingContract");
-    const contract = await CorporateActionReporting.deploy();
+    const contract = await deployContract("CorporateActionReportingContract");
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
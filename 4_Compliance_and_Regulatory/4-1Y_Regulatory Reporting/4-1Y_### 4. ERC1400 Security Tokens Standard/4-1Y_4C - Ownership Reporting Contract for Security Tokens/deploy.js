@@ -1,19 +1,20 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, encodeBytes32String } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const OwnershipReporting = await hre.ethers.getContractFactory("OwnershipReportingContract");
-    const contract = await OwnershipReporting.deploy(
-        "Security Token",
-        "STK",
-        [],
-        [] // Initialize with empty controllers and partitions
-    );
+    const contract = await deployContract("OwnershipReportingContract", [
+        params.name,
+        params.symbol,
+        params.controllers,
+        params.partitions.map(encodeBytes32String)
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
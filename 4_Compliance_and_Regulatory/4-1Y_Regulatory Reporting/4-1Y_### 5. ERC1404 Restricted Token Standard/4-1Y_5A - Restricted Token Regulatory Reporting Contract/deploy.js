@@ -1,14 +1,15 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const RestrictedTokenReporting = await hre.ethers.getContractFactory("RestrictedTokenReporting");
-    const contract = await RestrictedTokenReporting.deploy("Restricted Token", "RTK");
+    const contract = await deployContract("RestrictedTokenReporting", [params.name, params.symbol]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
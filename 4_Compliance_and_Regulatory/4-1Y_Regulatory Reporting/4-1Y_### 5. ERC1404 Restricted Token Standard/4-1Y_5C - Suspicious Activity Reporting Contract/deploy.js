@@ -1,19 +1,20 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const SuspiciousActivityReporting = await hre.ethers.getContractFactory("SuspiciousActivityReporting");
-    const contract = await SuspiciousActivityReporting.deploy(
-        "Suspicious Activity Token",
-        "SAT",
-        hre.ethers.utils.parseUnits("1000", 18), // Initial threshold of 1000 tokens
-        "0xYourAuthorityAddress" // Replace with actual authority address
-    );
+    const params = loadParams(__dirname);
+    const contract = await deployContract("SuspiciousActivityReporting", [
+        params.name,
+        params.symbol,
+        parseUnits(params.largeTransactionThreshold, 18), // Initial threshold of 1000 tokens
+        params.authorityAddress // Reporting authority address
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
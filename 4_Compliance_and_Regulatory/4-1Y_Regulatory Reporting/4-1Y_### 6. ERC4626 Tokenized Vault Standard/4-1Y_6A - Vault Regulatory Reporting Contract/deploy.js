@@ -1,24 +1,25 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const VaultRegulatoryReporting = await hre.ethers.getContractFactory("VaultRegulatoryReporting");
-    const vaultToken = "0xYourERC20AssetAddress"; // Replace with the ERC20 asset address
-    const authorityAddress = "0xYourAuthorityAddress"; // Replace with actual authority address
-    const reportingThreshold = hre.ethers.utils.parseUnits("10000", 18); // Example threshold of 10,000 tokens
+    const params = loadParams(__dirname);
+    const vaultToken = params.vaultToken;
+    const authorityAddress = params.authorityAddress;
+    const reportingThreshold = parseUnits(params.reportingThreshold, 18);
 
-    const contract = await VaultRegulatoryReporting.deploy(
+    const contract = await deployContract("VaultRegulatoryReporting", [
         vaultToken, // ERC20 asset
-        "Vault Token", // Vault name
-        "VT", // Vault symbol
+        params.name, // Vault name
+        params.symbol, // Vault symbol
         authorityAddress, // Authority address
         reportingThreshold // Reporting threshold
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,22 +1,23 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const ComposableTokenReporting = await hre.ethers.getContractFactory("ComposableTokenReporting");
-    const authorityAddress = "0xYourAuthorityAddress"; // Replace with actual authority address
-    const reportingThreshold = 10; // Example threshold of 10 child components
+    const params = loadParams(__dirname);
+    const authorityAddress = params.authorityAddress;
+    const reportingThreshold = params.reportingThreshold;
 
-    const contract = await ComposableTokenReporting.deploy(
-        "Composable Token", // Token name
-        "COMPTKN", // Token symbol
+    const contract = await deployContract("ComposableTokenReporting", [
+        params.name, // Token name
+        params.symbol, // Token symbol
         authorityAddress, // Authority address
         reportingThreshold // Reporting threshold
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
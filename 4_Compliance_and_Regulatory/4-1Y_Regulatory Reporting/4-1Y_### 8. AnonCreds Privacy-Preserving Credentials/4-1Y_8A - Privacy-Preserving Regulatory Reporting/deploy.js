@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const PrivacyPreservingRegulatoryReporting = await hre.ethers.getContractFactory("PrivacyPreservingRegulatoryReporting");
-    const authorityAddress = "0xYourAuthorityAddress"; // Replace with actual authority address
+    const params = loadParams(__dirname);
+    const authorityAddress = params.authorityAddress;
 
-    const contract = await PrivacyPreservingRegulatoryReporting.deploy(authorityAddress);
+    const contract = await deployContract("PrivacyPreservingRegulatoryReporting", [authorityAddress]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
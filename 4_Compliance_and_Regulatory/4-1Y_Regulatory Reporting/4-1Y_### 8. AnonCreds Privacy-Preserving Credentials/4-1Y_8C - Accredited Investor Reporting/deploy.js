@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const AccreditedInvestorReportingWithPrivacy = await hre.ethers.getContractFactory("AccreditedInvestorReportingWithPrivacy");
-    const authorityAddress = "0xYourAuthorityAddress"; // Replace with actual authority address
+    const params = loadParams(__dirname);
+    const authorityAddress = params.authorityAddress;
 
-    const contract = await AccreditedInvestorReportingWithPrivacy.deploy(authorityAddress);
+    const contract = await deployContract("AccreditedInvestorReportingWithPrivacy", [authorityAddress]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
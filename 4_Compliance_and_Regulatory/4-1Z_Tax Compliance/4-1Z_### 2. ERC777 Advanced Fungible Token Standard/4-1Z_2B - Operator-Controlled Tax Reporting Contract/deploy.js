@@ -1,25 +1,26 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const OperatorControlledTaxReportingContract = await hre.ethers.getContractFactory("OperatorControlledTaxReportingContract");
-    const initialSupply = hre.ethers.utils.parseUnits("1000000", 18); // Initial supply of 1,000,000 tokens
-    const taxRate = 500; // Tax rate of 5%
-    const taxAuthority = "0xYourTaxAuthorityAddress"; // Replace with actual tax authority address
+    const initialSupply = parseUnits(params.initialSupply, 18);
+    const params = loadParams(__dirname);
+    const taxRate = params.taxRate;
+    const taxAuthority = params.taxAuthority;
 
-    const contract = await OperatorControlledTaxReportingContract.deploy(
-        "TaxToken777",
-        "TAX777",
-        [], // Default operators, if any
+    const contract = await deployContract("OperatorControlledTaxReportingContract", [
+        params.name,
+        params.symbol,
+        params.defaultOperators, // Default operators, if any
         initialSupply,
         taxRate,
         taxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
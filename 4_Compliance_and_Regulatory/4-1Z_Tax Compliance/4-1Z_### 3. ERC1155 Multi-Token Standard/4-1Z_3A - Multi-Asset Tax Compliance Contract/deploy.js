@@ -1,19 +1,20 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const MultiAssetTaxComplianceContract = await hre.ethers.getContractFactory("MultiAssetTaxComplianceContract");
-    const taxAuthority = "0xYourTaxAuthorityAddress"; // Replace with actual tax authority address
+    const params = loadParams(__dirname);
+    const taxAuthority = params.taxAuthority;
 
-    const contract = await MultiAssetTaxComplianceContract.deploy(
-        "https://api.example.com/metadata/{id}.json", // URI for metadata
+    const contract = await deployContract("MultiAssetTaxComplianceContract", [
+        params.uri, // URI for metadata
         taxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,22 +1,23 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const SecurityTokenTaxComplianceContract = await hre.ethers.getContractFactory("SecurityTokenTaxComplianceContract");
-    const controllers = ["0xControllerAddress1", "0xControllerAddress2"]; // Replace with actual controller addresses
-    const taxAuthority = "0xYourTaxAuthorityAddress"; // Replace with actual tax authority address
+    const params = loadParams(__dirname);
+    const controllers = params.controllers;
+    const taxAuthority = params.taxAuthority;
 
-    const contract = await SecurityTokenTaxComplianceContract.deploy(
-        "SecurityToken", // Name of the security token
-        "SEC", // Symbol of the security token
+    const contract = await deployContract("SecurityTokenTaxComplianceContract", [
+        params.name, // Name of the security token
+        params.symbol, // Symbol of the security token
         controllers,
         taxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
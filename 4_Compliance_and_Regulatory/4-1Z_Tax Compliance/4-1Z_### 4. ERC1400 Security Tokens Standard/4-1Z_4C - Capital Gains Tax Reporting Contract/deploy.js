@@ -1,24 +1,25 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const CapitalGainsTaxReportingContract = await hre.ethers.getContractFactory("CapitalGainsTaxReportingContract");
-    const controllers = ["0xControllerAddress1", "0xControllerAddress2"]; // Replace with actual controller addresses
-    const priceFeedAddress = "0xChainlinkPriceFeedAddress"; // Replace with actual Chainlink price feed address
-    const initialTaxRate = 1500; // Initial tax rate set to 15%
+    const params = loadParams(__dirname);
+    const controllers = params.controllers;
+    const priceFeedAddress = params.priceFeedAddress;
+    const initialTaxRate = params.initialTaxRate;
 
-    const contract = await CapitalGainsTaxReportingContract.deploy(
-        "SecurityToken", // Name of the security token
-        "SEC", // Symbol of the security token
+    const contract = await deployContract("CapitalGainsTaxReportingContract", [
+        params.name, // Name of the security token
+        params.symbol, // Symbol of the security token
         controllers,
         priceFeedAddress,
         initialTaxRate
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,22 +1,23 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const RestrictedTokenTaxComplianceContract = await hre.ethers.getContractFactory("RestrictedTokenTaxComplianceContract");
-    const controllers = ["0xControllerAddress1", "0xControllerAddress2"]; // Replace with actual controller addresses
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with actual tax authority address
+    const params = loadParams(__dirname);
+    const controllers = params.controllers;
+    const initialTaxAuthority = params.initialTaxAuthority;
 
-    const contract = await RestrictedTokenTaxComplianceContract.deploy(
-        "RestrictedToken", // Name of the restricted token
-        "RST", // Symbol of the restricted token
+    const contract = await deployContract("RestrictedTokenTaxComplianceContract", [
+        params.name, // Name of the restricted token
+        params.symbol, // Symbol of the restricted token
         controllers,
         initialTaxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,26 +1,27 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const VaultTaxComplianceContract = await hre.ethers.getContractFactory("VaultTaxComplianceContract");
-    const assetAddress = "0xAssetTokenAddress"; // Replace with the actual ERC20 token address used as asset in the vault
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with the actual tax authority address
-    const profitTaxRate = 500; // Set initial profit tax rate (in basis points)
-    const yieldTaxRate = 300; // Set initial yield tax rate (in basis points)
+    const params = loadParams(__dirname);
+    const assetAddress = params.assetAddress;
+    const initialTaxAuthority = params.initialTaxAuthority;
+    const profitTaxRate = params.profitTaxRate;
+    const yieldTaxRate = params.yieldTaxRate;
 
-    const contract = await VaultTaxComplianceContract.deploy(
+    const contract = await deployContract("VaultTaxComplianceContract", [
         assetAddress,
-        "VaultToken", // Name of the vault token
-        "VTK", // Symbol of the vault token
+        params.name, // Name of the vault token
+        params.symbol, // Symbol of the vault token
         profitTaxRate,
         yieldTaxRate,
         initialTaxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,24 +1,25 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const WithdrawalTaxReportingContract = await hre.ethers.getContractFactory("WithdrawalTaxReportingContract");
-    const assetAddress = "0xAssetTokenAddress"; // Replace with the actual ERC20 token address used as asset in the vault
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with the actual tax authority address
-    const withdrawalTaxRate = 500; // Set initial withdrawal tax rate (in basis points)
+    const params = loadParams(__dirname);
+    const assetAddress = params.assetAddress;
+    const initialTaxAuthority = params.initialTaxAuthority;
+    const withdrawalTaxRate = params.withdrawalTaxRate;
 
-    const contract = await WithdrawalTaxReportingContract.deploy(
+    const contract = await deployContract("WithdrawalTaxReportingContract", [
         assetAddress,
-        "VaultToken", // Name of the vault token
-        "VTK", // Symbol of the vault token
+        params.name, // Name of the vault token
+        params.symbol, // Symbol of the vault token
         withdrawalTaxRate,
         initialTaxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,20 +1,21 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const ComposableTokenTaxComplianceContract = await hre.ethers.getContractFactory("ComposableTokenTaxComplianceContract");
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with the actual tax authority address
+    const params = loadParams(__dirname);
+    const initialTaxAuthority = params.initialTaxAuthority;
 
-    const contract = await ComposableTokenTaxComplianceContract.deploy(
-        "ComposableToken", // Name of the composable token
-        "CTK", // Symbol of the composable token
+    const contract = await deployContract("ComposableTokenTaxComplianceContract", [
+        params.name, // Name of the composable token
+        params.symbol, // Symbol of the composable token
         initialTaxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
@@ -1,20 +1,21 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const MultiLayerTaxReportingContract = await hre.ethers.getContractFactory("MultiLayerTaxReportingContract");
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with the actual tax authority address
+    const params = loadParams(__dirname);
+    const initialTaxAuthority = params.initialTaxAuthority;
 
-    const contract = await MultiLayerTaxReportingContract.deploy(
-        "ComposableToken", // Name of the composable token
-        "CTK", // Symbol of the composable token
+    const contract = await deployContract("MultiLayerTaxReportingContract", [
+        params.name, // Name of the composable token
+        params.symbol, // Symbol of the composable token
         initialTaxAuthority
-    );
+    ]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
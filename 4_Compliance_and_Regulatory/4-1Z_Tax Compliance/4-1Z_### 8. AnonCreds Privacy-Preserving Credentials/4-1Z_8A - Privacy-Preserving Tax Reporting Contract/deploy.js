@@ -1,16 +1,17 @@
 const hre = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const PrivacyPreservingTaxReportingContract = await hre.ethers.getContractFactory("PrivacyPreservingTaxReportingContract");
-    const initialTaxAuthority = "0xTaxAuthorityAddress"; // Replace with the actual tax authority address
+    const params = loadParams(__dirname);
+    const initialTaxAuthority = params.initialTaxAuthority;
 
-    const contract = await PrivacyPreservingTaxReportingContract.deploy(initialTaxAuthority);
+    const contract = await deployContract("PrivacyPreservingTaxReportingContract", [initialTaxAuthority]);
 
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
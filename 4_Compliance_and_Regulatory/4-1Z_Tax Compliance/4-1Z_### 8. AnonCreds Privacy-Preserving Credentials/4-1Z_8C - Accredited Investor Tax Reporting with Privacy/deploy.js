@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contract with account:", deployer.address);
 
-    const AccreditedInvestorTaxReportingWithPrivacy = await hre.ethers.getContractFactory("AccreditedInvestorTaxReportingWithPrivacy");
+    const contract = await deployContract("AccreditedInvestorTaxReportingWithPrivacy");
 
-    const contract = await AccreditedInvestorTaxReportingWithPrivacy.deploy();
-
-    await contract.deployed();
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
 }
 
 main().catch((error) => {
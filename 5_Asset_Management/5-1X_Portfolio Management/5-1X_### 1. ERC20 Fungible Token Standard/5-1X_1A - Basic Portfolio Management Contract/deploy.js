@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BasicPortfolioManagement = await ethers.getContractFactory("BasicPortfolioManagement");
-    const contract = await BasicPortfolioManagement.deploy();
+    const contract = await deployContract("BasicPortfolioManagement");
   
-    console.log("BasicPortfolioManagement deployed to:", contract.address);
+    console.log("BasicPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
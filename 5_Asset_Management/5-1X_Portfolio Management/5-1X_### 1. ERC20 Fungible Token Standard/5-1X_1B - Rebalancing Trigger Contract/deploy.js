@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RebalancingTrigger = await ethers.getContractFactory("RebalancingTrigger");
-    const contract = await RebalancingTrigger.deploy();
+    const contract = await deployContract("RebalancingTrigger");
   
-    console.log("RebalancingTrigger deployed to:", contract.address);
+    console.log("RebalancingTrigger deployed to:", await addressOf(contract));
   }
   
   main()
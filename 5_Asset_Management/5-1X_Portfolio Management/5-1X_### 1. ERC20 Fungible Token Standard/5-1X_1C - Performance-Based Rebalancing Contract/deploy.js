@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PerformanceBasedRebalancing = await ethers.getContractFactory("PerformanceBasedRebalancing");
-    const contract = await PerformanceBasedRebalancing.deploy();
+    const contract = await deployContract("PerformanceBasedRebalancing");
   
-    console.log("PerformanceBasedRebalancing deployed to:", contract.address);
+    console.log("PerformanceBasedRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const defaultOperators = []; // List of default operators, if any
+    const defaultOperators = params.defaultOperators;
   
-    const AdvancedPortfolioManagement = await ethers.getContractFactory("AdvancedPortfolioManagement");
-    const contract = await AdvancedPortfolioManagement.deploy("Advanced Portfolio Token", "APT", defaultOperators);
+    const contract = await deployContract("AdvancedPortfolioManagement", [params.name, params.symbol, defaultOperators]);
   
-    console.log("AdvancedPortfolioManagement deployed to:", contract.address);
+    console.log("AdvancedPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const defaultOperators = []; // List of default operators, if any
+    const defaultOperators = params.defaultOperators;
   
-    const OperatorControlledRebalancing = await ethers.getContractFactory("OperatorControlledRebalancing");
-    const contract = await OperatorControlledRebalancing.deploy("Operator Controlled Portfolio Token", "OCPT", defaultOperators);
+    const contract = await deployContract("OperatorControlledRebalancing", [params.name, params.symbol, defaultOperators]);
   
-    console.log("OperatorControlledRebalancing deployed to:", contract.address);
+    console.log("OperatorControlledRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
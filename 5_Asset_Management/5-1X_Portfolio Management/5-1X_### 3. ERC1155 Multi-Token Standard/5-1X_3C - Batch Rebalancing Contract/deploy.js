@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const uri = "https://api.example.com/metadata/{id}"; // Replace with actual URI
+    const uri = params.uri;
   
-    const BatchRebalancingMixedPortfolios = await ethers.getContractFactory("BatchRebalancingMixedPortfolios");
-    const contract = await BatchRebalancingMixedPortfolios.deploy(uri);
+    const contract = await deployContract("BatchRebalancingMixedPortfolios", [uri]);
   
-    console.log("BatchRebalancingMixedPortfolios deployed to:", contract.address);
+    console.log("BatchRebalancingMixedPortfolios deployed to:", await addressOf(contract));
   }
   
   main()
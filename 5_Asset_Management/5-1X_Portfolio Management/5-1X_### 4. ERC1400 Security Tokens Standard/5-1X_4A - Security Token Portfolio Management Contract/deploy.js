@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenPortfolioManagement = await ethers.getContractFactory("SecurityTokenPortfolioManagement");
-    const contract = await SecurityTokenPortfolioManagement.deploy();
+    const contract = await deployContract("SecurityTokenPortfolioManagement");
   
-    console.log("SecurityTokenPortfolioManagement deployed to:", contract.address);
+    console.log("SecurityTokenPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const CorporateActionBasedRebalancing = await ethers.getContractFactory("CorporateActionBasedRebalancing");
-    const contract = await CorporateActionBasedRebalancing.deploy();
+    const contract = await deployContract("CorporateActionBasedRebalancing");
   
-    console.log("CorporateActionBasedRebalancing deployed to:", contract.address);
+    console.log("CorporateActionBasedRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComplianceDrivenPortfolioAdjustment = await ethers.getContractFactory("ComplianceDrivenPortfolioAdjustment");
-    const contract = await ComplianceDrivenPortfolioAdjustment.deploy();
+    const contract = await deployContract("ComplianceDrivenPortfolioAdjustment");
   
-    console.log("ComplianceDrivenPortfolioAdjustment deployed to:", contract.address);
+    console.log("ComplianceDrivenPortfolioAdjustment deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenPortfolioManagement = await ethers.getContractFactory("RestrictedTokenPortfolioManagement");
-    const contract = await RestrictedTokenPortfolioManagement.deploy();
+    const contract = await deployContract("RestrictedTokenPortfolioManagement");
   
-    console.log("RestrictedTokenPortfolioManagement deployed to:", contract.address);
+    console.log("RestrictedTokenPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorPortfolioRebalancing = await ethers.getContractFactory("AccreditedInvestorPortfolioRebalancing");
-    const contract = await AccreditedInvestorPortfolioRebalancing.deploy();
+    const contract = await deployContract("AccreditedInvestorPortfolioRebalancing");
   
-    console.log("AccreditedInvestorPortfolioRebalancing deployed to:", contract.address);
+    console.log("AccreditedInvestorPortfolioRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComplianceDrivenRebalancing = await ethers.getContractFactory("ComplianceDrivenRebalancing");
-    const contract = await ComplianceDrivenRebalancing.deploy();
+    const contract = await deployContract("ComplianceDrivenRebalancing");
   
-    console.log("ComplianceDrivenRebalancing deployed to:", contract.address);
+    console.log("ComplianceDrivenRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
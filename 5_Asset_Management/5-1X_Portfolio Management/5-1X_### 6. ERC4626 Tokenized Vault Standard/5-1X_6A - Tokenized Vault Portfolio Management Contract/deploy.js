@@ -1,13 +1,17 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const TokenizedVaultPortfolioManagement = await ethers.getContractFactory("TokenizedVaultPortfolioManagement");
-    const contract = await TokenizedVaultPortfolioManagement.deploy("0xAssetTokenAddress");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("TokenizedVaultPortfolioManagement", [params.assetToken]);
   
-    console.log("TokenizedVaultPortfolioManagement deployed to:", contract.address);
+    console.log("TokenizedVaultPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,17 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const YieldOptimizationAndRebalancing = await ethers.getContractFactory("YieldOptimizationAndRebalancing");
-    const contract = await YieldOptimizationAndRebalancing.deploy("0xAssetTokenAddress", 100, "0xOracleAddress");
+    const params = loadParams(__dirname);
+    const contract = await deployContract("YieldOptimizationAndRebalancing", [params.assetToken, params.initialThreshold, params.priceOracle]);
   
-    console.log("YieldOptimizationAndRebalancing deployed to:", contract.address);
+    console.log("YieldOptimizationAndRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
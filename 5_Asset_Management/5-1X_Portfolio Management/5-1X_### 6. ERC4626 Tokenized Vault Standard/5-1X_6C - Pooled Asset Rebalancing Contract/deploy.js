@@ -1,13 +1,17 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PooledAssetRebalancing = await ethers.getContractFactory("PooledAssetRebalancing");
-    const contract = await PooledAssetRebalancing.deploy("0xAssetTokenAddress", 100);
+    const params = loadParams(__dirname);
+    const contract = await deployContract("PooledAssetRebalancing", [params.assetToken, params.initialThreshold]);
   
-    console.log("PooledAssetRebalancing deployed to:", contract.address);
+    console.log("PooledAssetRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
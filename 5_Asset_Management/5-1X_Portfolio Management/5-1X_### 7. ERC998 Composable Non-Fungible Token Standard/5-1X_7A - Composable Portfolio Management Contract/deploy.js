@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComposablePortfolioManagement = await ethers.getContractFactory("ComposablePortfolioManagement");
-    const contract = await ComposablePortfolioManagement.deploy();
+    const contract = await deployContract("ComposablePortfolioManagement");
   
-    console.log("ComposablePortfolioManagement deployed to:", contract.address);
+    console.log("ComposablePortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
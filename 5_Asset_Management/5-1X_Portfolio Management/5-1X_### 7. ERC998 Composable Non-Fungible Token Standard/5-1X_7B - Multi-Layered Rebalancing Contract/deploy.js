@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiLayeredRebalancing = await ethers.getContractFactory("MultiLayeredRebalancing");
-    const contract = await MultiLayeredRebalancing.deploy();
+    const contract = await deployContract("MultiLayeredRebalancing");
   
-    console.log("MultiLayeredRebalancing deployed to:", contract.address);
+    console.log("MultiLayeredRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,13 +1,15 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BundledAssetRebalancing = await ethers.getContractFactory("BundledAssetRebalancing");
-    const contract = await BundledAssetRebalancing.deploy();
+    const contract = await deployContract("BundledAssetRebalancing");
   
-    console.log("BundledAssetRebalancing deployed to:", contract.address);
+    console.log("BundledAssetRebalancing deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const initialMerkleRoot = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef"; // Replace with actual Merkle root
+    const initialMerkleRoot = params.initialMerkleRoot;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PrivacyPreservingPortfolioManagement = await ethers.getContractFactory("PrivacyPreservingPortfolioManagement");
-    const contract = await PrivacyPreservingPortfolioManagement.deploy(initialMerkleRoot);
+    const contract = await deployContract("PrivacyPreservingPortfolioManagement", [initialMerkleRoot]);
   
-    console.log("PrivacyPreservingPortfolioManagement deployed to:", contract.address);
+    console.log("PrivacyPreservingPortfolioManagement deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const initialMerkleRoot = "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef"; // Replace with actual Merkle root
+    const initialMerkleRoot = params.initialMerkleRoot;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AnonymousRebalancingContract = await ethers.getContractFactory("AnonymousRebalancingContract");
-    const contract = await AnonymousRebalancingContract.deploy(initialMerkleRoot);
+    const contract = await deployContract("AnonymousRebalancingContract", [initialMerkleRoot]);
   
-    console.log("AnonymousRebalancingContract deployed to:", contract.address);
+    console.log("AnonymousRebalancingContract deployed to:", await addressOf(contract));
   }
   
   main()
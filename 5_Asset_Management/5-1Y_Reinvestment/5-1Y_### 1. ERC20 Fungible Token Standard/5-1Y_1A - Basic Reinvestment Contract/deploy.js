@@ -1,16 +1,20 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const investmentTokenAddress = "0x123..."; // Replace with actual token address
-    const dividendTokenAddress = "0xabc..."; // Replace with actual token address
-    const minimumReinvestmentAmount = ethers.utils.parseEther("10"); // Replace with desired amount
+    const investmentTokenAddress = params.investmentTokenAddress;
+    const dividendTokenAddress = params.dividendTokenAddress;
+    const minimumReinvestmentAmount = parseEther(params.minimumReinvestmentAmount);
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BasicReinvestmentContract = await ethers.getContractFactory("BasicReinvestmentContract");
-    const contract = await BasicReinvestmentContract.deploy(investmentTokenAddress, dividendTokenAddress, minimumReinvestmentAmount);
+    const contract = await deployContract("BasicReinvestmentContract", [investmentTokenAddress, dividendTokenAddress, minimumReinvestmentAmount]);
   
-    console.log("BasicReinvestmentContract deployed to:", contract.address);
+    console.log("BasicReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,16 +1,20 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const investmentTokenAddress = "0x123..."; // Replace with actual token address
-    const dividendTokenAddress = "0xabc..."; // Replace with actual token address
-    const minimumReinvestmentPercentage = 5000; // 50% minimum reinvestment
+    const investmentTokenAddress = params.investmentTokenAddress;
+    const dividendTokenAddress = params.dividendTokenAddress;
+    const minimumReinvestmentPercentage = params.minimumReinvestmentPercentage;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PercentageBasedReinvestmentContract = await ethers.getContractFactory("PercentageBasedReinvestmentContract");
-    const contract = await PercentageBasedReinvestmentContract.deploy(investmentTokenAddress, dividendTokenAddress, minimumReinvestmentPercentage);
+    const contract = await deployContract("PercentageBasedReinvestmentContract", [investmentTokenAddress, dividendTokenAddress, minimumReinvestmentPercentage]);
   
-    console.log("PercentageBasedReinvestmentContract deployed to:", contract.address);
+    console.log("PercentageBasedReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,16 +1,20 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const investmentTokenAddress = "0x123..."; // Replace with actual token address
-    const dividendTokenAddress = "0xabc..."; // Replace with actual token address
-    const profitThreshold = ethers.utils.parseEther("10"); // 10 tokens threshold
+    const investmentTokenAddress = params.investmentTokenAddress;
+    const dividendTokenAddress = params.dividendTokenAddress;
+    const profitThreshold = parseEther(params.profitThreshold);
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ProfitDrivenReinvestmentContract = await ethers.getContractFactory("ProfitDrivenReinvestmentContract");
-    const contract = await ProfitDrivenReinvestmentContract.deploy(investmentTokenAddress, dividendTokenAddress, profitThreshold);
+    const contract = await deployContract("ProfitDrivenReinvestmentContract", [investmentTokenAddress, dividendTokenAddress, profitThreshold]);
   
-    console.log("ProfitDrivenReinvestmentContract deployed to:", contract.address);
+    console.log("ProfitDrivenReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
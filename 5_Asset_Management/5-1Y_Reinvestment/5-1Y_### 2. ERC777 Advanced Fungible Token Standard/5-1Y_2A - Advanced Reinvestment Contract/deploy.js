@@ -1,17 +1,21 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseEther } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const dividendTokenAddress = "0x123..."; // Replace with actual dividend token address
-    const investmentTokenAddress = "0xabc..."; // Replace with actual investment token address
-    const profitThreshold = ethers.utils.parseEther("10"); // 10 tokens threshold
-    const reinvestmentOperator = "0xdef..."; // Replace with actual operator address
+    const dividendTokenAddress = params.dividendTokenAddress;
+    const investmentTokenAddress = params.investmentTokenAddress;
+    const profitThreshold = parseEther(params.profitThreshold);
+    const reinvestmentOperator = params.reinvestmentOperator;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AdvancedReinvestmentContract = await ethers.getContractFactory("AdvancedReinvestmentContract");
-    const contract = await AdvancedReinvestmentContract.deploy(dividendTokenAddress, investmentTokenAddress, profitThreshold, reinvestmentOperator);
+    const contract = await deployContract("AdvancedReinvestmentContract", [dividendTokenAddress, investmentTokenAddress, profitThreshold, reinvestmentOperator]);
   
-    console.log("AdvancedReinvestmentContract deployed to:", contract.address);
+    console.log("AdvancedReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
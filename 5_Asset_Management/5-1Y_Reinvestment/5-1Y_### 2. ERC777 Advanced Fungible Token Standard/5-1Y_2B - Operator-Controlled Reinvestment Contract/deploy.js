@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const dividendTokenAddress = "0x123..."; // Replace with actual dividend token address
+    const dividendTokenAddress = params.dividendTokenAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const OperatorControlledReinvestmentContract = await ethers.getContractFactory("OperatorControlledReinvestmentContract");
-    const contract = await OperatorControlledReinvestmentContract.deploy(dividendTokenAddress);
+    const contract = await deployContract("OperatorControlledReinvestmentContract", [dividendTokenAddress]);
   
-    console.log("OperatorControlledReinvestmentContract deployed to:", contract.address);
+    console.log("OperatorControlledReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,16 +1,20 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitTokenAddress = "0x123..."; // Replace with actual profit token address
-    const performanceOracleAddress = "0x456..."; // Replace with actual oracle address
-    const performanceThreshold = 100; // Initial threshold value
+    const profitTokenAddress = params.profitTokenAddress;
+    const performanceOracleAddress = params.performanceOracleAddress;
+    const performanceThreshold = params.performanceThreshold;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PerformanceDrivenReinvestmentContract = await ethers.getContractFactory("PerformanceDrivenReinvestmentContract");
-    const contract = await PerformanceDrivenReinvestmentContract.deploy(profitTokenAddress, performanceOracleAddress, performanceThreshold);
+    const contract = await deployContract("PerformanceDrivenReinvestmentContract", [profitTokenAddress, performanceOracleAddress, performanceThreshold]);
   
-    console.log("PerformanceDrivenReinvestmentContract deployed to:", contract.address);
+    console.log("PerformanceDrivenReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitTokenAddress = "0x123..."; // Replace with actual profit token address
-    const performanceOracleAddress = "0x456..."; // Replace with actual oracle address
+    const profitTokenAddress = params.profitTokenAddress;
+    const performanceOracleAddress = params.performanceOracleAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiAssetReinvestmentContract = await ethers.getContractFactory("MultiAssetReinvestmentContract");
-    const contract = await MultiAssetReinvestmentContract.deploy(profitTokenAddress, performanceOracleAddress);
+    const contract = await deployContract("MultiAssetReinvestmentContract", [profitTokenAddress, performanceOracleAddress]);
   
-    console.log("MultiAssetReinvestmentContract deployed to:", contract.address);
+    console.log("MultiAssetReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const investmentTokenAddress = "0x123..."; // Replace with actual investment token address
-    const performanceOracleAddress = "0x456..."; // Replace with actual oracle address
+    const investmentTokenAddress = params.investmentTokenAddress;
+    const performanceOracleAddress = params.performanceOracleAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const DynamicReinvestmentContract = await ethers.getContractFactory("DynamicReinvestmentContract");
-    const contract = await DynamicReinvestmentContract.deploy(investmentTokenAddress, performanceOracleAddress);
+    const contract = await deployContract("DynamicReinvestmentContract", [investmentTokenAddress, performanceOracleAddress]);
   
-    console.log("DynamicReinvestmentContract deployed to:", contract.address);
+    console.log("DynamicReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
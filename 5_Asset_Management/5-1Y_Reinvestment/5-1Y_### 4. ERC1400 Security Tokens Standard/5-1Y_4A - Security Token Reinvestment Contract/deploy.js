@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const securityTokenAddress = "0x123..."; // Replace with actual security token address
-    const performanceOracleAddress = "0x456..."; // Replace with actual oracle address
+    const securityTokenAddress = params.securityTokenAddress;
+    const performanceOracleAddress = params.performanceOracleAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenReinvestmentContract = await ethers.getContractFactory("SecurityTokenReinvestmentContract");
-    const contract = await SecurityTokenReinvestmentContract.deploy(securityTokenAddress, performanceOracleAddress);
+    const contract = await deployContract("SecurityTokenReinvestmentContract", [securityTokenAddress, performanceOracleAddress]);
   
-    console.log("SecurityTokenReinvestmentContract deployed to:", contract.address);
+    console.log("SecurityTokenReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const securityTokenAddress = "0x123..."; // Replace with actual security token address
+    const securityTokenAddress = params.securityTokenAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const DividendReinvestmentSecurityToken = await ethers.getContractFactory("DividendReinvestmentSecurityToken");
-    const contract = await DividendReinvestmentSecurityToken.deploy(securityTokenAddress);
+    const contract = await deployContract("DividendReinvestmentSecurityToken", [securityTokenAddress]);
   
-    console.log("DividendReinvestmentSecurityToken deployed to:", contract.address);
+    console.log("DividendReinvestmentSecurityToken deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const restrictedTokenAddress = "0x123..."; // Replace with actual restricted token address
+    const restrictedTokenAddress = params.restrictedTokenAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenReinvestmentContract = await ethers.getContractFactory("RestrictedTokenReinvestmentContract");
-    const contract = await RestrictedTokenReinvestmentContract.deploy(restrictedTokenAddress);
+    const contract = await deployContract("RestrictedTokenReinvestmentContract", [restrictedTokenAddress]);
   
-    console.log("RestrictedTokenReinvestmentContract deployed to:", contract.address);
+    console.log("RestrictedTokenReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const restrictedTokenAddress = "0x123..."; // Replace with actual restricted token address
+    const restrictedTokenAddress = params.restrictedTokenAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RegulationCompliantReinvestmentContract = await ethers.getContractFactory("RegulationCompliantReinvestmentContract");
-    const contract = await RegulationCompliantReinvestmentContract.deploy(restrictedTokenAddress);
+    const contract = await deployContract("RegulationCompliantReinvestmentContract", [restrictedTokenAddress]);
   
-    console.log("RegulationCompliantReinvestmentContract deployed to:", contract.address);
+    console.log("RegulationCompliantReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const vaultAddress = "0x123..."; // Replace with actual vault address
+    const vaultAddress = params.vaultAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultReinvestmentContract = await ethers.getContractFactory("VaultReinvestmentContract");
-    const contract = await VaultReinvestmentContract.deploy(vaultAddress);
+    const contract = await deployContract("VaultReinvestmentContract", [vaultAddress]);
   
-    console.log("VaultReinvestmentContract deployed to:", contract.address);
+    console.log("VaultReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
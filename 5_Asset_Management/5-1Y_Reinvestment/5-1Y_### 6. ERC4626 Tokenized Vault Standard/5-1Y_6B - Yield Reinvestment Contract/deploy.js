@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const vaultAddress = "0x123..."; // Replace with actual vault address
+    const vaultAddress = params.vaultAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const YieldReinvestmentContract = await ethers.getContractFactory("YieldReinvestmentContract");
-    const contract = await YieldReinvestmentContract.deploy(vaultAddress);
+    const contract = await deployContract("YieldReinvestmentContract", [vaultAddress]);
   
-    console.log("YieldReinvestmentContract deployed to:", contract.address);
+    console.log("YieldReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
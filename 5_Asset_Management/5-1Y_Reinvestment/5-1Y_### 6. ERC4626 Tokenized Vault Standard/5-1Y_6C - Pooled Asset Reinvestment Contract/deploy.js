@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const vaultAddress = "0x123..."; // Replace with actual vault address
+    const vaultAddress = params.vaultAddress;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PooledAssetReinvestmentContract = await ethers.getContractFactory("PooledAssetReinvestmentContract");
-    const contract = await PooledAssetReinvestmentContract.deploy(vaultAddress);
+    const contract = await deployContract("PooledAssetReinvestmentContract", [vaultAddress]);
   
-    console.log("PooledAssetReinvestmentContract deployed to:", contract.address);
+    console.log("PooledAssetReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitToken = "0x123..."; // Replace with actual profit token address
-    const assetToken = "0x456..."; // Replace with actual asset token address
+    const profitToken = params.profitToken;
+    const assetToken = params.assetToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComposableTokenReinvestmentContract = await ethers.getContractFactory("ComposableTokenReinvestmentContract");
-    const contract = await ComposableTokenReinvestmentContract.deploy("Composable Token Reinvestment", "CTR", profitToken, assetToken);
+    const contract = await deployContract("ComposableTokenReinvestmentContract", [params.name, params.symbol, profitToken, assetToken]);
   
-    console.log("ComposableTokenReinvestmentContract deployed to:", contract.address);
+    console.log("ComposableTokenReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitToken = "0x123..."; // Replace with actual profit token address
-    const reinvestToken = "0x456..."; // Replace with actual reinvestment token address
+    const profitToken = params.profitToken;
+    const reinvestToken = params.reinvestToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiLayerReinvestmentContract = await ethers.getContractFactory("MultiLayerReinvestmentContract");
-    const contract = await MultiLayerReinvestmentContract.deploy("Multi Layer Reinvestment", "MLR", profitToken, reinvestToken);
+    const contract = await deployContract("MultiLayerReinvestmentContract", [params.name, params.symbol, profitToken, reinvestToken]);
   
-    console.log("MultiLayerReinvestmentContract deployed to:", contract.address);
+    console.log("MultiLayerReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
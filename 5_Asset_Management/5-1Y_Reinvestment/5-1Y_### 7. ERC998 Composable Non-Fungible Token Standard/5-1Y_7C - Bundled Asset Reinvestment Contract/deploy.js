@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitToken = "0x123..."; // Replace with actual profit token address
+    const profitToken = params.profitToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BundledAssetReinvestmentContract = await ethers.getContractFactory("BundledAssetReinvestmentContract");
-    const contract = await BundledAssetReinvestmentContract.deploy("Bundled Asset Reinvestment", "BAR", profitToken);
+    const contract = await deployContract("BundledAssetReinvestmentContract", [params.name, params.symbol, profitToken]);
   
-    console.log("BundledAssetReinvestmentContract deployed to:", contract.address);
+    console.log("BundledAssetReinvestmentContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
-    const profitToken = "0x123..."; // Replace with actual profit token address
+    const profitToken = params.profitToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorReinvestmentWithPrivacy = await ethers.getContractFactory("AccreditedInvestorReinvestmentWithPrivacy");
-    const contract = await AccreditedInvestorReinvestmentWithPrivacy.deploy(profitToken);
+    const contract = await deployContract("AccreditedInvestorReinvestmentWithPrivacy", [profitToken]);
   
-    console.log("AccreditedInvestorReinvestmentWithPrivacy deployed to:", contract.address);
+    console.log("AccreditedInvestorReinvestmentWithPrivacy deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with actual dividend token address
-    const rewardToken = "0xYourRewardTokenAddress"; // Replace with actual reward token address
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const rewardToken = params.rewardToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BasicDividendDistributionContract = await ethers.getContractFactory("BasicDividendDistributionContract");
-    const contract = await BasicDividendDistributionContract.deploy(dividendToken, rewardToken);
+    const contract = await deployContract("BasicDividendDistributionContract", [dividendToken, rewardToken]);
   
-    console.log("BasicDividendDistributionContract deployed to:", contract.address);
+    console.log("BasicDividendDistributionContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with actual dividend token address
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PercentageBasedDividendDistributionContract = await ethers.getContractFactory("PercentageBasedDividendDistributionContract");
-    const contract = await PercentageBasedDividendDistributionContract.deploy(dividendToken);
+    const contract = await deployContract("PercentageBasedDividendDistributionContract", [dividendToken]);
   
-    console.log("PercentageBasedDividendDistributionContract deployed to:", contract.address);
+    console.log("PercentageBasedDividendDistributionContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with actual dividend token address
-    const profitThreshold = ethers.utils.parseUnits("1000", 18); // Set a threshold value
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const profitThreshold = parseUnits(params.profitThreshold, 18);
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ProfitTriggeredDividendDistributionContract = await ethers.getContractFactory("ProfitTriggeredDividendDistributionContract");
-    const contract = await ProfitTriggeredDividendDistributionContract.deploy(dividendToken, profitThreshold);
+    const contract = await deployContract("ProfitTriggeredDividendDistributionContract", [dividendToken, profitThreshold]);
   
-    console.log("ProfitTriggeredDividendDistributionContract deployed to:", contract.address);
+    console.log("ProfitTriggeredDividendDistributionContract deployed to:", await addressOf(contract));
   }
   
   main()
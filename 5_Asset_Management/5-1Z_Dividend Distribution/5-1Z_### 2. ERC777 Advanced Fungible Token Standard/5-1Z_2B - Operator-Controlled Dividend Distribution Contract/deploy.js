@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with actual dividend token address
-    const operators = ["0xOperatorAddress1", "0xOperatorAddress2"]; // Replace with actual operator addresses
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const operators = params.operators;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const OperatorControlledDividendDistribution = await ethers.getContractFactory("OperatorControlledDividendDistribution");
-    const contract = await OperatorControlledDividendDistribution.deploy(dividendToken, operators);
+    const contract = await deployContract("OperatorControlledDividendDistribution", [dividendToken, operators]);
   
-    console.log("OperatorControlledDividendDistribution deployed to:", contract.address);
+    console.log("OperatorControlledDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
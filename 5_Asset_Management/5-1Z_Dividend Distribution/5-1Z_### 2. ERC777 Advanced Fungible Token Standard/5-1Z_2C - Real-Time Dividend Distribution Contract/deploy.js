@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourDividendTokenAddress"; // Replace with actual dividend token address
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RealTimeDividendDistribution = await ethers.getContractFactory("RealTimeDividendDistribution");
-    const contract = await RealTimeDividendDistribution.deploy(dividendToken);
+    const contract = await deployContract("RealTimeDividendDistribution", [dividendToken]);
   
-    console.log("RealTimeDividendDistribution deployed to:", contract.address);
+    console.log("RealTimeDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
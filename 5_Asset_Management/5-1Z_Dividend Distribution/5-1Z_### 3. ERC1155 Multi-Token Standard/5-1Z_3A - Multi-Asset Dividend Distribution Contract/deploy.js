@@ -1,14 +1,18 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const assetToken = "0xYourERC1155TokenAddress"; // Replace with actual ERC1155 token address
+    const params = loadParams(__dirname);
+    const assetToken = params.assetToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiAssetDividendDistribution = await ethers.getContractFactory("MultiAssetDividendDistribution");
-    const contract = await MultiAssetDividendDistribution.deploy(assetToken);
+    const contract = await deployContract("MultiAssetDividendDistribution", [assetToken]);
   
-    console.log("MultiAssetDividendDistribution deployed to:", contract.address);
+    console.log("MultiAssetDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
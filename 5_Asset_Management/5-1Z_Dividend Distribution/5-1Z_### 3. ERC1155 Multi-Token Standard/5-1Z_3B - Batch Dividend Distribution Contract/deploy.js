@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const assetToken = "0xYourERC1155TokenAddress"; // Replace with actual ERC1155 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
+    const params = loadParams(__dirname);
+    const assetToken = params.assetToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BatchDividendDistribution = await ethers.getContractFactory("BatchDividendDistribution");
-    const contract = await BatchDividendDistribution.deploy(assetToken, dividendToken);
+    const contract = await deployContract("BatchDividendDistribution", [assetToken, dividendToken]);
   
-    console.log("BatchDividendDistribution deployed to:", contract.address);
+    console.log("BatchDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
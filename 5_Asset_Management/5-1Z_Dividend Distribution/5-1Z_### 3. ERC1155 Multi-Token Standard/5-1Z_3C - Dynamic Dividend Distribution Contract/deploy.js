@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const assetToken = "0xYourERC1155TokenAddress"; // Replace with actual ERC1155 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
+    const params = loadParams(__dirname);
+    const assetToken = params.assetToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const DynamicDividendDistribution = await ethers.getContractFactory("DynamicDividendDistribution");
-    const contract = await DynamicDividendDistribution.deploy(assetToken, dividendToken);
+    const contract = await deployContract("DynamicDividendDistribution", [assetToken, dividendToken]);
   
-    console.log("DynamicDividendDistribution deployed to:", contract.address);
+    console.log("DynamicDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
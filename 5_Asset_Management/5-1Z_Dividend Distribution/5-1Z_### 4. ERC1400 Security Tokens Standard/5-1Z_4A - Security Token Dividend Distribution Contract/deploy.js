@@ -1,15 +1,19 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const securityToken = "0xYourERC1400TokenAddress"; // Replace with actual ERC1400 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
+    const params = loadParams(__dirname);
+    const securityToken = params.securityToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenDividendDistribution = await ethers.getContractFactory("SecurityTokenDividendDistribution");
-    const contract = await SecurityTokenDividendDistribution.deploy(securityToken, dividendToken);
+    const contract = await deployContract("SecurityTokenDividendDistribution", [securityToken, dividendToken]);
   
-    console.log("SecurityTokenDividendDistribution deployed to:", contract.address);
+    console.log("SecurityTokenDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,16 +1,20 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const securityToken = "0xYourERC1400TokenAddress"; // Replace with actual ERC1400 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
-    const complianceContract = "0xYourComplianceContractAddress"; // Replace with actual compliance contract address
+    const params = loadParams(__dirname);
+    const securityToken = params.securityToken;
+    const dividendToken = params.dividendToken;
+    const complianceContract = params.complianceContract;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComplianceDrivenDividendDistribution = await ethers.getContractFactory("ComplianceDrivenDividendDistribution");
-    const contract = await ComplianceDrivenDividendDistribution.deploy(securityToken, dividendToken, complianceContract);
+    const contract = await deployContract("ComplianceDrivenDividendDistribution", [securityToken, dividendToken, complianceContract]);
   
-    console.log("ComplianceDrivenDividendDistribution deployed to:", contract.address);
+    console.log("ComplianceDrivenDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
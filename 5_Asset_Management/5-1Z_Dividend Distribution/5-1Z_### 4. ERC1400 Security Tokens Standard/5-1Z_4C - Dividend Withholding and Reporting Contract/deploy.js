@@ -1,22 +1,26 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const securityToken = "0xYourERC1400TokenAddress"; // Replace with actual ERC1400 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
-    const taxWithholdingContract = "0xYourTaxWithholdingContractAddress"; // Replace with actual tax withholding contract address
-    const complianceContract = "0xYourComplianceContractAddress"; // Replace with actual compliance contract address
+    const params = loadParams(__dirname);
+    const securityToken = params.securityToken;
+    const dividendToken = params.dividendToken;
+    const taxWithholdingContract = params.taxWithholdingContract;
+    const complianceContract = params.complianceContract;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const DividendWithholdingAndReporting = await ethers.getContractFactory("DividendWithholdingAndReporting");
-    const contract = await DividendWithholdingAndReporting.deploy(
+    const contract = await deployContract("DividendWithholdingAndReporting", [
       securityToken,
       dividendToken,
       taxWithholdingContract,
       complianceContract
-    );
+    ]);
   
-    console.log("DividendWithholdingAndReporting deployed to:", contract.address);
+    console.log("DividendWithholdingAndReporting deployed to:", await addressOf(contract));
   }
   
   main()
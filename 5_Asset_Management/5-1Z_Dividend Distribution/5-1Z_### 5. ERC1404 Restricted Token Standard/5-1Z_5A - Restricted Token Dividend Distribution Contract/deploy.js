@@ -1,20 +1,24 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const restrictedToken = "0xYourERC1404TokenAddress"; // Replace with actual ERC1404 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
-    const kycComplianceContract = "0xYourKYCComplianceContractAddress"; // Replace with actual KYC compliance contract address
+    const params = loadParams(__dirname);
+    const restrictedToken = params.restrictedToken;
+    const dividendToken = params.dividendToken;
+    const kycComplianceContract = params.kycComplianceContract;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenDividendDistribution = await ethers.getContractFactory("RestrictedTokenDividendDistribution");
-    const contract = await RestrictedTokenDividendDistribution.deploy(
+    const contract = await deployContract("RestrictedTokenDividendDistribution", [
       restrictedToken,
       dividendToken,
       kycComplianceContract
-    );
+    ]);
   
-    console.log("RestrictedTokenDividendDistribution deployed to:", contract.address);
+    console.log("RestrictedTokenDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
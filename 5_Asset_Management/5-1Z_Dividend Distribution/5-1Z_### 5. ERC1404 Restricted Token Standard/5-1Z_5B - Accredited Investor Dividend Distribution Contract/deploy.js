@@ -1,20 +1,24 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const restrictedToken = "0xYourERC1404TokenAddress"; // Replace with actual ERC1404 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
-    const accreditationComplianceContract = "0xYourAccreditationComplianceContractAddress"; // Replace with actual accreditation compliance contract address
+    const params = loadParams(__dirname);
+    const restrictedToken = params.restrictedToken;
+    const dividendToken = params.dividendToken;
+    const accreditationComplianceContract = params.accreditationComplianceContract;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorDividendDistribution = await ethers.getContractFactory("AccreditedInvestorDividendDistribution");
-    const contract = await AccreditedInvestorDividendDistribution.deploy(
+    const contract = await deployContract("AccreditedInvestorDividendDistribution", [
       restrictedToken,
       dividendToken,
       accreditationComplianceContract
-    );
+    ]);
   
-    console.log("AccreditedInvestorDividendDistribution deployed to:", contract.address);
+    console.log("AccreditedInvestorDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
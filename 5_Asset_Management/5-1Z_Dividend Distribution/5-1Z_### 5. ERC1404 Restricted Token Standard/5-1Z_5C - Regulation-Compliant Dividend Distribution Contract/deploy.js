@@ -1,20 +1,24 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const restrictedToken = "0xYourERC1404TokenAddress"; // Replace with actual ERC1404 token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
-    const complianceContract = "0xYourComplianceContractAddress"; // Replace with actual compliance contract address
+    const params = loadParams(__dirname);
+    const restrictedToken = params.restrictedToken;
+    const dividendToken = params.dividendToken;
+    const complianceContract = params.complianceContract;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RegulationCompliantDividendDistribution = await ethers.getContractFactory("RegulationCompliantDividendDistribution");
-    const contract = await RegulationCompliantDividendDistribution.deploy(
+    const contract = await deployContract("RegulationCompliantDividendDistribution", [
       restrictedToken,
       dividendToken,
       complianceContract
-    );
+    ]);
   
-    console.log("RegulationCompliantDividendDistribution deployed to:", contract.address);
+    console.log("RegulationCompliantDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
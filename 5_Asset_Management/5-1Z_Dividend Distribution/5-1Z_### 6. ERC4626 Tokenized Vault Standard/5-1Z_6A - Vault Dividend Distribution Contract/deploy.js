@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const vaultToken = "0xYourERC4626VaultTokenAddress"; // Replace with actual ERC4626 tokenized vault address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 token address
+    const params = loadParams(__dirname);
+    const vaultToken = params.vaultToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultDividendDistribution = await ethers.getContractFactory("VaultDividendDistribution");
-    const contract = await VaultDividendDistribution.deploy(
+    const contract = await deployContract("VaultDividendDistribution", [
       vaultToken,
       dividendToken
-    );
+    ]);
   
-    console.log("VaultDividendDistribution deployed to:", contract.address);
+    console.log("VaultDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
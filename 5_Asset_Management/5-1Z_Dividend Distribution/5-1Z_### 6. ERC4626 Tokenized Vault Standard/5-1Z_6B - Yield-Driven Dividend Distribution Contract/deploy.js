@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const vaultToken = "0xYourERC4626VaultTokenAddress"; // Replace with actual ERC4626 vault token address
-    const yieldToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 yield token address
+    const params = loadParams(__dirname);
+    const vaultToken = params.vaultToken;
+    const yieldToken = params.yieldToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const YieldDrivenDividendDistribution = await ethers.getContractFactory("YieldDrivenDividendDistribution");
-    const contract = await YieldDrivenDividendDistribution.deploy(
+    const contract = await deployContract("YieldDrivenDividendDistribution", [
       vaultToken,
       yieldToken
-    );
+    ]);
   
-    console.log("YieldDrivenDividendDistribution deployed to:", contract.address);
+    console.log("YieldDrivenDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const vaultToken = "0xYourERC4626VaultTokenAddress"; // Replace with actual ERC4626 vault token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 dividend token address
+    const params = loadParams(__dirname);
+    const vaultToken = params.vaultToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PooledAssetDividendDistribution = await ethers.getContractFactory("PooledAssetDividendDistribution");
-    const contract = await PooledAssetDividendDistribution.deploy(
+    const contract = await deployContract("PooledAssetDividendDistribution", [
       vaultToken,
       dividendToken
-    );
+    ]);
   
-    console.log("PooledAssetDividendDistribution deployed to:", contract.address);
+    console.log("PooledAssetDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
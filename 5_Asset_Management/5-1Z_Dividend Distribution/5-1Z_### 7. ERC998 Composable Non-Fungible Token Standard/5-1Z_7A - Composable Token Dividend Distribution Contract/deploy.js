@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const composableToken = "0xYourERC998ComposableTokenAddress"; // Replace with actual ERC998 composable token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 dividend token address
+    const params = loadParams(__dirname);
+    const composableToken = params.composableToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComposableTokenDividendDistribution = await ethers.getContractFactory("ComposableTokenDividendDistribution");
-    const contract = await ComposableTokenDividendDistribution.deploy(
+    const contract = await deployContract("ComposableTokenDividendDistribution", [
       composableToken,
       dividendToken
-    );
+    ]);
   
-    console.log("ComposableTokenDividendDistribution deployed to:", contract.address);
+    console.log("ComposableTokenDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
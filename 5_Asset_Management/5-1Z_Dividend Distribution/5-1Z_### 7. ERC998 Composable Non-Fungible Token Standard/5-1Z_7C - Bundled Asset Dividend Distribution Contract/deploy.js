@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const composableToken = "0xYourERC998ComposableTokenAddress"; // Replace with actual ERC998 composable token address
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 dividend token address
+    const params = loadParams(__dirname);
+    const composableToken = params.composableToken;
+    const dividendToken = params.dividendToken;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BundledAssetDividendDistribution = await ethers.getContractFactory("BundledAssetDividendDistribution");
-    const contract = await BundledAssetDividendDistribution.deploy(
+    const contract = await deployContract("BundledAssetDividendDistribution", [
       composableToken,
       dividendToken
-    );
+    ]);
   
-    console.log("BundledAssetDividendDistribution deployed to:", contract.address);
+    console.log("BundledAssetDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
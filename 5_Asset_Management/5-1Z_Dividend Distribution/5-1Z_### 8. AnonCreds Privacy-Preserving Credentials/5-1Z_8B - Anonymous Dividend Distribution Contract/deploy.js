@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 dividend token address
-    const anonCreds = "0xYourAnonCredsContractAddress"; // Replace with actual AnonCreds contract address
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const anonCreds = params.anonCreds;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AnonymousDividendDistribution = await ethers.getContractFactory("AnonymousDividendDistribution");
-    const contract = await AnonymousDividendDistribution.deploy(
+    const contract = await deployContract("AnonymousDividendDistribution", [
       dividendToken,
       anonCreds
-    );
+    ]);
   
-    console.log("AnonymousDividendDistribution deployed to:", contract.address);
+    console.log("AnonymousDividendDistribution deployed to:", await addressOf(contract));
   }
   
   main()
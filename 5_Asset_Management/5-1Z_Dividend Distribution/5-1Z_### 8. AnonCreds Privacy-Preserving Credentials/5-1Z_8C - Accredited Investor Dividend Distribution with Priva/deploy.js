@@ -1,18 +1,22 @@
 // scripts/deploy.js
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
-    const dividendToken = "0xYourERC20TokenAddress"; // Replace with actual ERC20 dividend token address
-    const anonCreds = "0xYourAnonCredsContractAddress"; // Replace with actual AnonCreds contract address
+    const params = loadParams(__dirname);
+    const dividendToken = params.dividendToken;
+    const anonCreds = params.anonCreds;
   
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorDividendDistributionWithPrivacy = await ethers.getContractFactory("AccreditedInvestorDividendDistributionWithPrivacy");
-    const contract = await AccreditedInvestorDividendDistributionWithPrivacy.deploy(
+    const contract = await deployContract("AccreditedInvestorDividendDistributionWithPrivacy", [
       dividendToken,
       anonCreds
-    );
+    ]);
   
-    console.log("AccreditedInvestorDividendDistributionWithPrivacy deployed to:", contract.address);
+    console.log("AccreditedInvestorDividendDistributionWithPrivacy deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,5 +1,16 @@
-const BasicAtomicSwap = artifacts.require("BasicAtomicSwap");
+const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
-module.exports = function (deployer) {
-  deployer.deploy(BasicAtomicSwap);
-};
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deploying contracts with the account:", deployer.address);
+
+  const basicAtomicSwap = await deployContract("BasicAtomicSwap");
+
+  console.log("BasicAtomicSwap deployed to:", await addressOf(basicAtomicSwap));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const TimeLockedAtomicSwap = await hre.ethers.getContractFactory("TimeLockedAtomicSwap");
-  const timeLockedAtomicSwap = await TimeLockedAtomicSwap.deploy();
+  const timeLockedAtomicSwap = await deployContract("TimeLockedAtomicSwap");
 
-  await timeLockedAtomicSwap.deployed();
-
-  console.log("TimeLockedAtomicSwap deployed to:", timeLockedAtomicSwap.address);
+  console.log("TimeLockedAtomicSwap deployed to:", await addressOf(timeLockedAtomicSwap));
 }
 
 main().catch((error) => {
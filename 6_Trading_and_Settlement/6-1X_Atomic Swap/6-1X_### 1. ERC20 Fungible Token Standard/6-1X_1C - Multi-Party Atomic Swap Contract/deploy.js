@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MultiPartyAtomicSwap = await hre.ethers.getContractFactory("MultiPartyAtomicSwap");
-  const multiPartyAtomicSwap = await MultiPartyAtomicSwap.deploy();
+  const multiPartyAtomicSwap = await deployContract("MultiPartyAtomicSwap");
 
-  await multiPartyAtomicSwap.deployed();
-
-  console.log("MultiPartyAtomicSwap deployed to:", multiPartyAtomicSwap.address);
+  console.log("MultiPartyAtomicSwap deployed to:", await addressOf(multiPartyAtomicSwap));
 }
 
 main().catch((error) => {
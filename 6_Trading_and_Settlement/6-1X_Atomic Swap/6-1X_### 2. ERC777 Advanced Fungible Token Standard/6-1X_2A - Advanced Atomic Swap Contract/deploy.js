@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const AdvancedAtomicSwap = await hre.ethers.getContractFactory("AdvancedAtomicSwap");
-  const advancedAtomicSwap = await AdvancedAtomicSwap.deploy();
+  const advancedAtomicSwap = await deployContract("AdvancedAtomicSwap");
 
-  await advancedAtomicSwap.deployed();
-
-  console.log("AdvancedAtomicSwap deployed to:", advancedAtomicSwap.address);
+  console.log("AdvancedAtomicSwap deployed to:", await addressOf(advancedAtomicSwap));
 }
 
 main().catch((error) => {
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const OperatorControlledAtomicSwap = await hre.ethers.getContractFactory("OperatorControlledAtomicSwap");
-  const operatorControlledAtomicSwap = await OperatorControlledAtomicSwap.deploy();
+  const operatorControlledAtomicSwap = await deployContract("OperatorControlledAtomicSwap");
 
-  await operatorControlledAtomicSwap.deployed();
-
-  console.log("OperatorControlledAtomicSwap deployed to:", operatorControlledAtomicSwap.address);
+  console.log("OperatorControlledAtomicSwap deployed to:", await addressOf(operatorControlledAtomicSwap));
 }
 
 main().catch((error) => {
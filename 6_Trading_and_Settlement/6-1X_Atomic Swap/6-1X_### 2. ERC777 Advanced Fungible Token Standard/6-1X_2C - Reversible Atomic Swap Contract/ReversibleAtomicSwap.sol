@@ -178,10 +178,11 @@ contract ReversibleAtomicSwap is AccessControl, ReentrancyGuard, Pausable, IERC7
         swap.secret = _secret;
         swap.isCompleted = true;
 
-        IERC777(swap.participantToken).sendFrom(
+        IERC777(swap.participantToken).operatorSend(
             swap.participant,
             swap.initiator,
             swap.participantAmount,
+            "",
             ""
         );
         IERC777(swap.initiatorToken).send(swap.participant, swap.initiatorAmount, "");
@@ -236,7 +237,6 @@ contract ReversibleAtomicSwap is AccessControl, ReentrancyGuard, Pausable, IERC7
      * @param to The address of the recipient (this contract).
      * @param amount The amount of tokens sent.
      * @param userData The user-defined data.
-     * @param operatorData The operator-defined data.
      */
     function tokensReceived(
         address /* operator */,
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ReversibleAtomicSwap = await hre.ethers.getContractFactory("ReversibleAtomicSwap");
-  const reversibleAtomicSwap = await ReversibleAtomicSwap.deploy();
+  const reversibleAtomicSwap = await deployContract("ReversibleAtomicSwap");
 
-  await reversibleAtomicSwap.deployed();
-
-  console.log("ReversibleAtomicSwap deployed to:", reversibleAtomicSwap.address);
+  console.log("ReversibleAtomicSwap deployed to:", await addressOf(reversibleAtomicSwap));
 }
 
 main().catch((error) => {
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const MultiAssetAtomicSwap = await hre.ethers.getContractFactory("MultiAssetAtomicSwap");
-  const multiAssetAtomicSwap = await MultiAssetAtomicSwap.deploy();
+  const multiAssetAtomicSwap = await deployContract("MultiAssetAtomicSwap");
 
-  await multiAssetAtomicSwap.deployed();
-
-  console.log("MultiAssetAtomicSwap deployed to:", multiAssetAtomicSwap.address);
+  console.log("MultiAssetAtomicSwap deployed to:", await addressOf(multiAssetAtomicSwap));
 }
 
 main().catch((error) => {
@@ -254,6 +254,14 @@ contract BatchAtomicSwap is AccessControl, ReentrancyGuard, Pausable, ERC1155Hol
         _unpause();
     }
 
+    /**
+     * @dev Reports the interfaces of both AccessControl and ERC1155Holder.
+     * @param interfaceId The interface identifier.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(AccessControl, ERC1155Receiver) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
     /**
      * @dev Implements ERC1155Receiver hook for safe transfers.
      * @param operator The address of the operator.
@@ -267,7 +275,7 @@ contract BatchAtomicSwap is AccessControl, ReentrancyGuard, Pausable, ERC1155Hol
         address from,
         uint256 id,
         uint256 value,
-        bytes calldata data
+        bytes memory data
     ) public virtual override returns (bytes4) {
         return this.onERC1155Received.selector;
     }
@@ -283,9 +291,9 @@ contract BatchAtomicSwap is AccessControl, ReentrancyGuard, Pausable, ERC1155Hol
     function onERC1155BatchReceived(
         address operator,
         address from,
-        uint256[] calldata ids,
-        uint256[] calldata values,
-        bytes calldata data
+        uint256[] memory ids,
+        uint256[] memory values,
+        bytes memory data
     ) public virtual override returns (bytes4) {
         return this.onERC1155BatchReceived.selector;
     }
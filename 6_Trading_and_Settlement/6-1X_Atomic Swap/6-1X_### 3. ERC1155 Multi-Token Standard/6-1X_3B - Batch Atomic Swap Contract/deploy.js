@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const BatchAtomicSwap = await hre.ethers.getContractFactory("BatchAtomicSwap");
-  const batchAtomicSwap = await BatchAtomicSwap.deploy();
+  const batchAtomicSwap = await deployContract("BatchAtomicSwap");
 
-  await batchAtomicSwap.deployed();
-
-  console.log("BatchAtomicSwap deployed to:", batchAtomicSwap.address);
+  console.log("BatchAtomicSwap deployed to:", await addressOf(batchAtomicSwap));
 }
 
 main().catch((error) => {
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const CrossChainNFTAtomicSwap = await hre.ethers.getContractFactory("CrossChainNFTAtomicSwap");
-  const crossChainNFTAtomicSwap = await CrossChainNFTAtomicSwap.deploy();
+  const crossChainNFTAtomicSwap = await deployContract("CrossChainNFTAtomicSwap");
 
-  await crossChainNFTAtomicSwap.deployed();
-
-  console.log("CrossChainNFTAtomicSwap deployed to:", crossChainNFTAtomicSwap.address);
+  console.log("CrossChainNFTAtomicSwap deployed to:", await addressOf(crossChainNFTAtomicSwap));
 }
 
 main().catch((error) => {
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const SecurityTokenAtomicSwap = await hre.ethers.getContractFactory("SecurityTokenAtomicSwap");
-  const securityTokenAtomicSwap = await SecurityTokenAtomicSwap.deploy();
+  const securityTokenAtomicSwap = await deployContract("SecurityTokenAtomicSwap");
 
-  await securityTokenAtomicSwap.deployed();
-
-  console.log("SecurityTokenAtomicSwap deployed to:", securityTokenAtomicSwap.address);
+  console.log("SecurityTokenAtomicSwap deployed to:", await addressOf(securityTokenAtomicSwap));
 }
 
 main().catch((error) => {
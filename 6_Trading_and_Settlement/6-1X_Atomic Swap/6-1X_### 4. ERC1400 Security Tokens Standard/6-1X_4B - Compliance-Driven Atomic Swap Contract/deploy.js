@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const ComplianceDrivenAtomicSwap = await hre.ethers.getContractFactory("ComplianceDrivenAtomicSwap");
-  const complianceDrivenAtomicSwap = await ComplianceDrivenAtomicSwap.deploy();
+  const complianceDrivenAtomicSwap = await deployContract("ComplianceDrivenAtomicSwap");
 
-  await complianceDrivenAtomicSwap.deployed();
-
-  console.log("ComplianceDrivenAtomicSwap deployed to:", complianceDrivenAtomicSwap.address);
+  console.log("ComplianceDrivenAtomicSwap deployed to:", await addressOf(complianceDrivenAtomicSwap));
 }
 
 main().catch((error) => {
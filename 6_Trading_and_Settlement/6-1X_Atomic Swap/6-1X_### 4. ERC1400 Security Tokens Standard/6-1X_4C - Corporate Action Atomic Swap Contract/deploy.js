@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const CorporateActionAtomicSwap = await hre.ethers.getContractFactory("CorporateActionAtomicSwap");
-  const corporateActionAtomicSwap = await CorporateActionAtomicSwap.deploy();
+  const corporateActionAtomicSwap = await deployContract("CorporateActionAtomicSwap");
 
-  await corporateActionAtomicSwap.deployed();
-
-  console.log("CorporateActionAtomicSwap deployed to:", corporateActionAtomicSwap.address);
+  console.log("CorporateActionAtomicSwap deployed to:", await addressOf(corporateActionAtomicSwap));
 }
 
 main().catch((error) => {
@@ -1,15 +1,13 @@
 const hre = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
-  const RestrictedTokenAtomicSwap = await hre.ethers.getContractFactory("RestrictedTokenAtomicSwap");
-  const restrictedTokenAtomicSwap = await RestrictedTokenAtomicSwap.deploy();
+  const restrictedTokenAtomicSwap = await deployContract("RestrictedTokenAtomicSwap");
 
-  await restrictedTokenAtomicSwap.deployed();
-
-  console.log("RestrictedTokenAtomicSwap deployed to:", restrictedTokenAtomicSwap.address);
+  console.log("RestrictedTokenAtomicSwap deployed to:", await addressOf(restrictedTokenAtomicSwap));
 }
 
 main().catch((error) => {
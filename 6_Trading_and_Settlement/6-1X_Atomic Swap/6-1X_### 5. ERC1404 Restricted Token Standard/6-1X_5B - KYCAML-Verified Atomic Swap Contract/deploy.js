@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const KYCAMLVerifiedAtomicSwap = await ethers.getContractFactory("KYCAMLVerifiedAtomicSwap");
-    const kycAMLVerifiedAtomicSwap = await KYCAMLVerifiedAtomicSwap.deploy();
+    const kycAMLVerifiedAtomicSwap = await deployContract("KYCAMLVerifiedAtomicSwap");
   
-    console.log("KYCAMLVerifiedAtomicSwap deployed to:", kycAMLVerifiedAtomicSwap.address);
+    console.log("KYCAMLVerifiedAtomicSwap deployed to:", await addressOf(kycAMLVerifiedAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorAtomicSwap = await ethers.getContractFactory("AccreditedInvestorAtomicSwap");
-    const accreditedInvestorAtomicSwap = await AccreditedInvestorAtomicSwap.deploy();
+    const accreditedInvestorAtomicSwap = await deployContract("AccreditedInvestorAtomicSwap");
   
-    console.log("AccreditedInvestorAtomicSwap deployed to:", accreditedInvestorAtomicSwap.address);
+    console.log("AccreditedInvestorAtomicSwap deployed to:", await addressOf(accreditedInvestorAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultTokenAtomicSwap = await ethers.getContractFactory("VaultTokenAtomicSwap");
-    const vaultTokenAtomicSwap = await VaultTokenAtomicSwap.deploy();
+    const vaultTokenAtomicSwap = await deployContract("VaultTokenAtomicSwap");
   
-    console.log("VaultTokenAtomicSwap deployed to:", vaultTokenAtomicSwap.address);
+    console.log("VaultTokenAtomicSwap deployed to:", await addressOf(vaultTokenAtomicSwap));
   }
   
   main().catch((error) => {
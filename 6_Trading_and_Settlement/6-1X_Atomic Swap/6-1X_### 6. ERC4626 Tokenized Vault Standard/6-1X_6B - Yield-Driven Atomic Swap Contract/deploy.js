@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const YieldDrivenAtomicSwap = await ethers.getContractFactory("YieldDrivenAtomicSwap");
-    const yieldDrivenAtomicSwap = await YieldDrivenAtomicSwap.deploy();
+    const yieldDrivenAtomicSwap = await deployContract("YieldDrivenAtomicSwap");
   
-    console.log("YieldDrivenAtomicSwap deployed to:", yieldDrivenAtomicSwap.address);
+    console.log("YieldDrivenAtomicSwap deployed to:", await addressOf(yieldDrivenAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PooledAssetAtomicSwap = await ethers.getContractFactory("PooledAssetAtomicSwap");
-    const pooledAssetAtomicSwap = await PooledAssetAtomicSwap.deploy();
+    const pooledAssetAtomicSwap = await deployContract("PooledAssetAtomicSwap");
   
-    console.log("PooledAssetAtomicSwap deployed to:", pooledAssetAtomicSwap.address);
+    console.log("PooledAssetAtomicSwap deployed to:", await addressOf(pooledAssetAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComposableTokenAtomicSwap = await ethers.getContractFactory("ComposableTokenAtomicSwap");
-    const composableTokenAtomicSwap = await ComposableTokenAtomicSwap.deploy();
+    const composableTokenAtomicSwap = await deployContract("ComposableTokenAtomicSwap");
   
-    console.log("ComposableTokenAtomicSwap deployed to:", composableTokenAtomicSwap.address);
+    console.log("ComposableTokenAtomicSwap deployed to:", await addressOf(composableTokenAtomicSwap));
   }
   
   main().catch((error) => {
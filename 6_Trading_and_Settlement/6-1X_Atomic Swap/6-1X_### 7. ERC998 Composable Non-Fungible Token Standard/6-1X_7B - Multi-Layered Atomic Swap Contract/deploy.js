@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiLayeredAtomicSwap = await ethers.getContractFactory("MultiLayeredAtomicSwap");
-    const multiLayeredAtomicSwap = await MultiLayeredAtomicSwap.deploy();
+    const multiLayeredAtomicSwap = await deployContract("MultiLayeredAtomicSwap");
   
-    console.log("MultiLayeredAtomicSwap deployed to:", multiLayeredAtomicSwap.address);
+    console.log("MultiLayeredAtomicSwap deployed to:", await addressOf(multiLayeredAtomicSwap));
   }
   
   main().catch((error) => {
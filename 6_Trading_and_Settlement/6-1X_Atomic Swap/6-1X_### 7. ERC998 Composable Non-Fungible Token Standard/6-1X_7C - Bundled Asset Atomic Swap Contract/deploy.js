@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BundledAssetAtomicSwap = await ethers.getContractFactory("BundledAssetAtomicSwap");
-    const bundledAssetAtomicSwap = await BundledAssetAtomicSwap.deploy();
+    const bundledAssetAtomicSwap = await deployContract("BundledAssetAtomicSwap");
   
-    console.log("BundledAssetAtomicSwap deployed to:", bundledAssetAtomicSwap.address);
+    console.log("BundledAssetAtomicSwap deployed to:", await addressOf(bundledAssetAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PrivacyPreservingAtomicSwap = await ethers.getContractFactory("PrivacyPreservingAtomicSwap");
-    const privacyPreservingAtomicSwap = await PrivacyPreservingAtomicSwap.deploy();
+    const privacyPreservingAtomicSwap = await deployContract("PrivacyPreservingAtomicSwap");
   
-    console.log("PrivacyPreservingAtomicSwap deployed to:", privacyPreservingAtomicSwap.address);
+    console.log("PrivacyPreservingAtomicSwap deployed to:", await addressOf(privacyPreservingAtomicSwap));
   }
   
   main().catch((error) => {
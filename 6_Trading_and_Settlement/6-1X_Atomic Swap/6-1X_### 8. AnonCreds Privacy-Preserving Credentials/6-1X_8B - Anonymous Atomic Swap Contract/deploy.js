@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AnonymousAtomicSwap = await ethers.getContractFactory("AnonymousAtomicSwap");
-    const anonymousAtomicSwap = await AnonymousAtomicSwap.deploy();
+    const anonymousAtomicSwap = await deployContract("AnonymousAtomicSwap");
   
-    console.log("AnonymousAtomicSwap deployed to:", anonymousAtomicSwap.address);
+    console.log("AnonymousAtomicSwap deployed to:", await addressOf(anonymousAtomicSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorAnonSwap = await ethers.getContractFactory("AccreditedInvestorAnonSwap");
-    const accreditedInvestorAnonSwap = await AccreditedInvestorAnonSwap.deploy();
+    const accreditedInvestorAnonSwap = await deployContract("AccreditedInvestorAnonSwap");
   
-    console.log("AccreditedInvestorAnonSwap deployed to:", accreditedInvestorAnonSwap.address);
+    console.log("AccreditedInvestorAnonSwap deployed to:", await addressOf(accreditedInvestorAnonSwap));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BasicSettlementContract = await ethers.getContractFactory("BasicSettlementContract");
-    const basicSettlementContract = await BasicSettlementContract.deploy();
+    const basicSettlementContract = await deployContract("BasicSettlementContract");
   
-    console.log("BasicSettlementContract deployed to:", basicSettlementContract.address);
+    console.log("BasicSettlementContract deployed to:", await addressOf(basicSettlementContract));
   }
   
   main().catch((error) => {
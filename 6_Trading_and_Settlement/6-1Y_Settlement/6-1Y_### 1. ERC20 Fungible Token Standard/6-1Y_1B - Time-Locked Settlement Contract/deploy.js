@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const TimeLockedSettlementContract = await ethers.getContractFactory("TimeLockedSettlementContract");
-    const timeLockedSettlementContract = await TimeLockedSettlementContract.deploy();
+    const timeLockedSettlementContract = await deployContract("TimeLockedSettlementContract");
   
-    console.log("TimeLockedSettlementContract deployed to:", timeLockedSettlementContract.address);
+    console.log("TimeLockedSettlementContract deployed to:", await addressOf(timeLockedSettlementContract));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiPartySettlementContract = await ethers.getContractFactory("MultiPartySettlementContract");
-    const multiPartySettlementContract = await MultiPartySettlementContract.deploy();
+    const multiPartySettlementContract = await deployContract("MultiPartySettlementContract");
   
-    console.log("MultiPartySettlementContract deployed to:", multiPartySettlementContract.address);
+    console.log("MultiPartySettlementContract deployed to:", await addressOf(multiPartySettlementContract));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AdvancedSettlementContract = await ethers.getContractFactory("AdvancedSettlementContract");
-    const advancedSettlementContract = await AdvancedSettlementContract.deploy();
+    const advancedSettlementContract = await deployContract("AdvancedSettlementContract");
   
-    console.log("AdvancedSettlementContract deployed to:", advancedSettlementContract.address);
+    console.log("AdvancedSettlementContract deployed to:", await addressOf(advancedSettlementContract));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const OperatorControlledSettlementContract = await ethers.getContractFactory("OperatorControlledSettlementContract");
-    const operatorControlledSettlementContract = await OperatorControlledSettlementContract.deploy();
+    const operatorControlledSettlementContract = await deployContract("OperatorControlledSettlementContract");
   
-    console.log("OperatorControlledSettlementContract deployed to:", operatorControlledSettlementContract.address);
+    console.log("OperatorControlledSettlementContract deployed to:", await addressOf(operatorControlledSettlementContract));
   }
   
   main().catch((error) => {
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RealTimeSettlementContract = await ethers.getContractFactory("RealTimeSettlementContract");
-    const realTimeSettlementContract = await RealTimeSettlementContract.deploy();
+    const realTimeSettlementContract = await deployContract("RealTimeSettlementContract");
   
-    console.log("RealTimeSettlementContract deployed to:", realTimeSettlementContract.address);
+    console.log("RealTimeSettlementContract deployed to:", await addressOf(realTimeSettlementContract));
   }
   
   main().catch((error) => {
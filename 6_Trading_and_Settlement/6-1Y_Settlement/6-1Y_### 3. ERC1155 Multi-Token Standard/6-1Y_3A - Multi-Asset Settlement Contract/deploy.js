@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiAssetSettlementContract = await ethers.getContractFactory("MultiAssetSettlementContract");
-    const multiAssetSettlementContract = await MultiAssetSettlementContract.deploy("https://api.example.com/metadata/{id}.json");
+    const multiAssetSettlementContract = await deployContract("MultiAssetSettlementContract", [params.uri]);
   
-    console.log("MultiAssetSettlementContract deployed to:", multiAssetSettlementContract.address);
+    console.log("MultiAssetSettlementContract deployed to:", await addressOf(multiAssetSettlementContract));
   }
   
   main().catch((error) => {
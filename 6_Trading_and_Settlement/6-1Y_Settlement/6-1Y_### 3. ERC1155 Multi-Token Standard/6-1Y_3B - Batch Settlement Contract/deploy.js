@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BatchSettlementContract = await ethers.getContractFactory("BatchSettlementContract");
-    const batchSettlementContract = await BatchSettlementContract.deploy("https://api.example.com/metadata/{id}.json");
+    const batchSettlementContract = await deployContract("BatchSettlementContract", [params.uri]);
   
-    console.log("BatchSettlementContract deployed to:", batchSettlementContract.address);
+    console.log("BatchSettlementContract deployed to:", await addressOf(batchSettlementContract));
   }
   
   main().catch((error) => {
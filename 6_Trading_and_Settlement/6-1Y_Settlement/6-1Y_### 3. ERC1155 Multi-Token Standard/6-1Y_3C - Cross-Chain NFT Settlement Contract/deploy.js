@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BridgeAddress = "0xYourBridgeAddress"; // Replace with your bridge contract address
-    const uri = "https://api.example.com/metadata/{id}.json"; // Replace with your metadata URI
+    const params = loadParams(__dirname);
+    const BridgeAddress = params.BridgeAddress;
+    const uri = params.uri;
   
-    const CrossChainNFTSettlement = await ethers.getContractFactory("CrossChainNFTSettlement");
-    const crossChainNFTSettlement = await CrossChainNFTSettlement.deploy(uri, BridgeAddress);
+    const crossChainNFTSettlement = await deployContract("CrossChainNFTSettlement", [uri, BridgeAddress]);
   
-    console.log("CrossChainNFTSettlement deployed to:", crossChainNFTSettlement.address);
+    console.log("CrossChainNFTSettlement deployed to:", await addressOf(crossChainNFTSettlement));
   }
   
   main().catch((error) => {
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenAddress = "0xYourSecurityTokenAddress"; // Replace with your ERC1400 token address
+    const params = loadParams(__dirname);
+    const SecurityTokenAddress = params.SecurityTokenAddress;
   
-    const SecurityTokenSettlement = await ethers.getContractFactory("SecurityTokenSettlement");
-    const securityTokenSettlement = await SecurityTokenSettlement.deploy(SecurityTokenAddress);
+    const securityTokenSettlement = await deployContract("SecurityTokenSettlement", [SecurityTokenAddress]);
   
-    console.log("SecurityTokenSettlement deployed to:", securityTokenSettlement.address);
+    console.log("SecurityTokenSettlement deployed to:", await addressOf(securityTokenSettlement));
   }
   
   main().catch((error) => {
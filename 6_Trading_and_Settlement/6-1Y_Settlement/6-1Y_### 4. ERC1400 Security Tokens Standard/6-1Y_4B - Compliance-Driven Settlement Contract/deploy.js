@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenAddress = "0xYourSecurityTokenAddress"; // Replace with your ERC1400 token address
+    const params = loadParams(__dirname);
+    const SecurityTokenAddress = params.SecurityTokenAddress;
   
-    const ComplianceDrivenSettlement = await ethers.getContractFactory("ComplianceDrivenSettlement");
-    const complianceDrivenSettlement = await ComplianceDrivenSettlement.deploy(SecurityTokenAddress);
+    const complianceDrivenSettlement = await deployContract("ComplianceDrivenSettlement", [SecurityTokenAddress]);
   
-    console.log("ComplianceDrivenSettlement deployed to:", complianceDrivenSettlement.address);
+    console.log("ComplianceDrivenSettlement deployed to:", await addressOf(complianceDrivenSettlement));
   }
   
   main().catch((error) => {
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const SecurityTokenAddress = "0xYourSecurityTokenAddress"; // Replace with your ERC1400 token address
+    const params = loadParams(__dirname);
+    const SecurityTokenAddress = params.SecurityTokenAddress;
   
-    const CorporateActionSettlement = await ethers.getContractFactory("CorporateActionSettlement");
-    const corporateActionSettlement = await CorporateActionSettlement.deploy(SecurityTokenAddress);
+    const corporateActionSettlement = await deployContract("CorporateActionSettlement", [SecurityTokenAddress]);
   
-    console.log("CorporateActionSettlement deployed to:", corporateActionSettlement.address);
+    console.log("CorporateActionSettlement deployed to:", await addressOf(corporateActionSettlement));
   }
   
   main().catch((error) => {
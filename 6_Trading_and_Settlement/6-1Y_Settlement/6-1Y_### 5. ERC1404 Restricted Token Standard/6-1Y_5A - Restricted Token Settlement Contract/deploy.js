@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with your ERC1404 token address
+    const params = loadParams(__dirname);
+    const RestrictedTokenAddress = params.RestrictedTokenAddress;
   
-    const RestrictedTokenSettlement = await ethers.getContractFactory("RestrictedTokenSettlement");
-    const restrictedTokenSettlement = await RestrictedTokenSettlement.deploy(RestrictedTokenAddress);
+    const restrictedTokenSettlement = await deployContract("RestrictedTokenSettlement", [RestrictedTokenAddress]);
   
-    console.log("RestrictedTokenSettlement deployed to:", restrictedTokenSettlement.address);
+    console.log("RestrictedTokenSettlement deployed to:", await addressOf(restrictedTokenSettlement));
   }
   
   main().catch((error) => {
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with your ERC1404 token address
+    const params = loadParams(__dirname);
+    const RestrictedTokenAddress = params.RestrictedTokenAddress;
   
-    const AccreditedInvestorSettlement = await ethers.getContractFactory("AccreditedInvestorSettlement");
-    const accreditedInvestorSettlement = await AccreditedInvestorSettlement.deploy(RestrictedTokenAddress);
+    const accreditedInvestorSettlement = await deployContract("AccreditedInvestorSettlement", [RestrictedTokenAddress]);
   
-    console.log("AccreditedInvestorSettlement deployed to:", accreditedInvestorSettlement.address);
+    console.log("AccreditedInvestorSettlement deployed to:", await addressOf(accreditedInvestorSettlement));
   }
   
   main().catch((error) => {
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const RestrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with your ERC1404 token address
+    const params = loadParams(__dirname);
+    const RestrictedTokenAddress = params.RestrictedTokenAddress;
   
-    const RegulationCompliantSettlement = await ethers.getContractFactory("RegulationCompliantSettlement");
-    const regulationCompliantSettlement = await RegulationCompliantSettlement.deploy(RestrictedTokenAddress);
+    const regulationCompliantSettlement = await deployContract("RegulationCompliantSettlement", [RestrictedTokenAddress]);
   
-    console.log("RegulationCompliantSettlement deployed to:", regulationCompliantSettlement.address);
+    console.log("RegulationCompliantSettlement deployed to:", await addressOf(regulationCompliantSettlement));
   }
   
   main().catch((error) => {
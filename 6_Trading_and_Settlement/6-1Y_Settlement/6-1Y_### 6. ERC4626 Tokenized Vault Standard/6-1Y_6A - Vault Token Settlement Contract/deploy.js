@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultTokenAddress = "0xYourVaultTokenAddress"; // Replace with your ERC4626 token address
+    const params = loadParams(__dirname);
+    const VaultTokenAddress = params.VaultTokenAddress;
   
-    const VaultTokenSettlement = await ethers.getContractFactory("VaultTokenSettlement");
-    const vaultTokenSettlement = await VaultTokenSettlement.deploy(VaultTokenAddress);
+    const vaultTokenSettlement = await deployContract("VaultTokenSettlement", [VaultTokenAddress]);
   
-    console.log("VaultTokenSettlement deployed to:", vaultTokenSettlement.address);
+    console.log("VaultTokenSettlement deployed to:", await addressOf(vaultTokenSettlement));
   }
   
   main().catch((error) => {
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultTokenAddress = "0xYourVaultTokenAddress"; // Replace with your ERC4626 token address
+    const params = loadParams(__dirname);
+    const VaultTokenAddress = params.VaultTokenAddress;
   
-    const YieldDrivenSettlement = await ethers.getContractFactory("YieldDrivenSettlement");
-    const yieldDrivenSettlement = await YieldDrivenSettlement.deploy(VaultTokenAddress);
+    const yieldDrivenSettlement = await deployContract("YieldDrivenSettlement", [VaultTokenAddress]);
   
-    console.log("YieldDrivenSettlement deployed to:", yieldDrivenSettlement.address);
+    console.log("YieldDrivenSettlement deployed to:", await addressOf(yieldDrivenSettlement));
   }
   
   main().catch((error) => {
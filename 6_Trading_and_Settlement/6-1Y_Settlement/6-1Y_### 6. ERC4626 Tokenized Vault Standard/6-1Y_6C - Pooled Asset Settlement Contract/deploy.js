@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const VaultTokenAddress = "0xYourVaultTokenAddress"; // Replace with your ERC4626 token address
+    const params = loadParams(__dirname);
+    const VaultTokenAddress = params.VaultTokenAddress;
   
-    const PooledAssetSettlement = await ethers.getContractFactory("PooledAssetSettlement");
-    const pooledAssetSettlement = await PooledAssetSettlement.deploy(VaultTokenAddress);
+    const pooledAssetSettlement = await deployContract("PooledAssetSettlement", [VaultTokenAddress]);
   
-    console.log("PooledAssetSettlement deployed to:", pooledAssetSettlement.address);
+    console.log("PooledAssetSettlement deployed to:", await addressOf(pooledAssetSettlement));
   }
   
   main().catch((error) => {
@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const ComposableTokenSettlement = await ethers.getContractFactory("ComposableTokenSettlement");
-    const composableTokenSettlement = await ComposableTokenSettlement.deploy("Composable Token Settlement", "CTS");
+    const composableTokenSettlement = await deployContract("ComposableTokenSettlement", [params.name, params.symbol]);
   
-    console.log("ComposableTokenSettlement deployed to:", composableTokenSettlement.address);
+    console.log("ComposableTokenSettlement deployed to:", await addressOf(composableTokenSettlement));
   }
   
   main().catch((error) => {
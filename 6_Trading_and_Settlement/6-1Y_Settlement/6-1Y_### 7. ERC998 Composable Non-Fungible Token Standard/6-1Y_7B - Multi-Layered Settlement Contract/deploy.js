@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const MultiLayeredSettlement = await ethers.getContractFactory("MultiLayeredSettlement");
-    const multiLayeredSettlement = await MultiLayeredSettlement.deploy("Multi-Layered Settlement Token", "MLST");
+    const multiLayeredSettlement = await deployContract("MultiLayeredSettlement", [params.name, params.symbol]);
   
-    console.log("MultiLayeredSettlement deployed to:", multiLayeredSettlement.address);
+    console.log("MultiLayeredSettlement deployed to:", await addressOf(multiLayeredSettlement));
   }
   
   main().catch((error) => {
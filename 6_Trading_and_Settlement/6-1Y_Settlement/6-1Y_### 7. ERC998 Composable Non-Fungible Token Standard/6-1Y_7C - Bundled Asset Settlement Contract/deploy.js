@@ -1,11 +1,15 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
+    const params = loadParams(__dirname);
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const BundledAssetSettlement = await ethers.getContractFactory("BundledAssetSettlement");
-    const bundledAssetSettlement = await BundledAssetSettlement.deploy("Bundled Asset Settlement Token", "BAST");
+    const bundledAssetSettlement = await deployContract("BundledAssetSettlement", [params.name, params.symbol]);
   
-    console.log("BundledAssetSettlement deployed to:", bundledAssetSettlement.address);
+    console.log("BundledAssetSettlement deployed to:", await addressOf(bundledAssetSettlement));
   }
   
   main().catch((error) => {
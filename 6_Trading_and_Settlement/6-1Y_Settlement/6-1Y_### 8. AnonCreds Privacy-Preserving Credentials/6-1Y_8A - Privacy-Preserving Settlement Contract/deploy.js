@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PrivacyPreservingSettlement = await ethers.getContractFactory("PrivacyPreservingSettlement");
-    const privacyPreservingSettlement = await PrivacyPreservingSettlement.deploy();
+    const privacyPreservingSettlement = await deployContract("PrivacyPreservingSettlement");
   
-    console.log("PrivacyPreservingSettlement deployed to:", privacyPreservingSettlement.address);
+    console.log("PrivacyPreservingSettlement deployed to:", await addressOf(privacyPreservingSettlement));
   }
   
   main().catch((error) => {
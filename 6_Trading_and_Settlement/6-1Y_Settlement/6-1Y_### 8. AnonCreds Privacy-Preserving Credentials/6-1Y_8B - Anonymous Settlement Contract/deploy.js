@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AnonymousSettlementContract = await ethers.getContractFactory("AnonymousSettlementContract");
-    const anonymousSettlementContract = await AnonymousSettlementContract.deploy();
+    const anonymousSettlementContract = await deployContract("AnonymousSettlementContract");
   
-    console.log("AnonymousSettlementContract deployed to:", anonymousSettlementContract.address);
+    console.log("AnonymousSettlementContract deployed to:", await addressOf(anonymousSettlementContract));
   }
   
   main().catch((error) => {
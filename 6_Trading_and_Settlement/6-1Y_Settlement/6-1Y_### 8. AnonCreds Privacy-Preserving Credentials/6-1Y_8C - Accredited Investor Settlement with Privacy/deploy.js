@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AccreditedInvestorPrivacySettlement = await ethers.getContractFactory("AccreditedInvestorPrivacySettlement");
-    const accreditedInvestorPrivacySettlement = await AccreditedInvestorPrivacySettlement.deploy();
+    const accreditedInvestorPrivacySettlement = await deployContract("AccreditedInvestorPrivacySettlement");
   
-    console.log("AccreditedInvestorPrivacySettlement deployed to:", accreditedInvestorPrivacySettlement.address);
+    console.log("AccreditedInvestorPrivacySettlement deployed to:", await addressOf(accreditedInvestorPrivacySettlement));
   }
   
   main().catch((error) => {
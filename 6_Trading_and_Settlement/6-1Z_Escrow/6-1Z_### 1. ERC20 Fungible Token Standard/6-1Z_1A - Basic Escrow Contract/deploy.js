@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const escrowTokenAddress = "0xYourERC20TokenAddress"; // Replace with the actual ERC20 token address
-    const BasicEscrowContract = await ethers.getContractFactory("BasicEscrowContract");
-    const basicEscrowContract = await BasicEscrowContract.deploy(escrowTokenAddress);
+    const params = loadParams(__dirname);
+    const escrowTokenAddress = params.escrowTokenAddress;
+    const basicEscrowContract = await deployContract("BasicEscrowContract", [escrowTokenAddress]);
   
-    console.log("BasicEscrowContract deployed to:", basicEscrowContract.address);
+    console.log("BasicEscrowContract deployed to:", await addressOf(basicEscrowContract));
   }
   
   main().catch((error) => {
@@ -1,15 +1,19 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const escrowTokenAddress = "0xYourERC20TokenAddress"; // Replace with the actual ERC20 token address
-    const depositorAddress = "0xDepositorAddress"; // Replace with depositor address
-    const beneficiaryAddress = "0xBeneficiaryAddress"; // Replace with beneficiary address
+    const params = loadParams(__dirname);
+    const escrowTokenAddress = params.escrowTokenAddress;
+    const depositorAddress = params.depositorAddress;
+    const beneficiaryAddress = params.beneficiaryAddress;
   
-    const MilestoneBasedEscrowContract = await ethers.getContractFactory("MilestoneBasedEscrowContract");
-    const milestoneEscrow = await MilestoneBasedEscrowContract.deploy(depositorAddress, beneficiaryAddress, escrowTokenAddress);
+    const milestoneEscrow = await deployContract("MilestoneBasedEscrowContract", [depositorAddress, beneficiaryAddress, escrowTokenAddress]);
   
-    console.log("MilestoneBasedEscrowContract deployed to:", milestoneEscrow.address);
+    console.log("MilestoneBasedEscrowContract deployed to:", await addressOf(milestoneEscrow));
   }
   
   main().catch((error) => {
@@ -1,21 +1,25 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const escrowTokenAddress = "0xYourERC777TokenAddress"; // Replace with actual ERC777 token address
-    const depositorAddress = "0xDepositorAddress"; // Replace with depositor address
-    const beneficiaryAddress = "0xBeneficiaryAddress"; // Replace with beneficiary address
-    const amount = ethers.utils.parseUnits("1000", 18); // Example: 1000 tokens with 18 decimals
+    const params = loadParams(__dirname);
+    const escrowTokenAddress = params.escrowTokenAddress;
+    const depositorAddress = params.depositorAddress;
+    const beneficiaryAddress = params.beneficiaryAddress;
+    const amount = parseUnits(params.amount, 18);
   
-    const AdvancedEscrowContract = await ethers.getContractFactory("AdvancedEscrowContract");
-    const escrow = await AdvancedEscrowContract.deploy(
+    const escrow = await deployContract("AdvancedEscrowContract", [
       escrowTokenAddress,
       depositorAddress,
       beneficiaryAddress,
       amount
-    );
+    ]);
   
-    console.log("AdvancedEscrowContract deployed to:", escrow.address);
+    console.log("AdvancedEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main().catch((error) => {
@@ -1,23 +1,27 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf, parseUnits } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const escrowTokenAddress = "0xYourERC777TokenAddress"; // Replace with actual ERC777 token address
-    const depositorAddress = "0xDepositorAddress"; // Replace with depositor address
-    const beneficiaryAddress = "0xBeneficiaryAddress"; // Replace with beneficiary address
-    const amount = ethers.utils.parseUnits("1000", 18); // Example: 1000 tokens with 18 decimals
-    const condition = "Escrow Condition Example"; // Replace with your escrow condition
+    const params = loadParams(__dirname);
+    const escrowTokenAddress = params.escrowTokenAddress;
+    const depositorAddress = params.depositorAddress;
+    const beneficiaryAddress = params.beneficiaryAddress;
+    const amount = parseUnits(params.amount, 18);
+    const condition = params.condition;
   
-    const ConditionalRealTimeEscrow = await ethers.getContractFactory("ConditionalRealTimeEscrow");
-    const escrow = await ConditionalRealTimeEscrow.deploy(
+    const escrow = await deployContract("ConditionalRealTimeEscrow", [
       escrowTokenAddress,
       depositorAddress,
       beneficiaryAddress,
       amount,
       condition
-    );
+    ]);
   
-    console.log("ConditionalRealTimeEscrow deployed to:", escrow.address);
+    console.log("ConditionalRealTimeEscrow deployed to:", await addressOf(escrow));
   }
   
   main().catch((error) => {
@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const tokenContractAddress = "0xYourERC1155TokenAddress"; // Replace with actual ERC1155 token contract address
+    const params = loadParams(__dirname);
+    const tokenContractAddress = params.tokenContractAddress;
   
-    const NFTEscrow = await ethers.getContractFactory("NFTEscrow");
-    const escrow = await NFTEscrow.deploy(tokenContractAddress);
-    console.log("NFTEscrow contract deployed to:", escrow.address);
+    const escrow = await deployContract("NFTEscrow", [tokenContractAddress]);
+    console.log("NFTEscrow contract deployed to:", await addressOf(escrow));
   }
   
   main()
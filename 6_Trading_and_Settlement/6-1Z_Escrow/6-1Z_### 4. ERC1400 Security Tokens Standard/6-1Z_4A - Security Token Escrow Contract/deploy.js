@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const securityTokenAddress = "0xYourSecurityTokenAddress"; // Replace with actual ERC1400 token contract address
+    const params = loadParams(__dirname);
+    const securityTokenAddress = params.securityTokenAddress;
   
-    const SecurityTokenEscrow = await ethers.getContractFactory("SecurityTokenEscrow");
-    const escrow = await SecurityTokenEscrow.deploy(securityTokenAddress);
-    console.log("SecurityTokenEscrow contract deployed to:", escrow.address);
+    const escrow = await deployContract("SecurityTokenEscrow", [securityTokenAddress]);
+    console.log("SecurityTokenEscrow contract deployed to:", await addressOf(escrow));
   }
   
   main()
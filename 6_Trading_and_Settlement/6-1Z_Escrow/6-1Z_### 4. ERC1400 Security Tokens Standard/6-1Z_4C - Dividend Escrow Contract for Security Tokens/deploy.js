@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const securityTokenAddress = "0xYourSecurityTokenAddress"; // Replace with actual ERC1400 token contract address
+    const params = loadParams(__dirname);
+    const securityTokenAddress = params.securityTokenAddress;
   
-    const DividendEscrowContract = await ethers.getContractFactory("DividendEscrowContract");
-    const escrow = await DividendEscrowContract.deploy(securityTokenAddress);
-    console.log("DividendEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("DividendEscrowContract", [securityTokenAddress]);
+    console.log("DividendEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
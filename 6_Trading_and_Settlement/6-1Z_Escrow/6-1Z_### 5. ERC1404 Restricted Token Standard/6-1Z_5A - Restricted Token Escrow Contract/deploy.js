@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const restrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with actual ERC1404 token contract address
+    const params = loadParams(__dirname);
+    const restrictedTokenAddress = params.restrictedTokenAddress;
   
-    const RestrictedTokenEscrowContract = await ethers.getContractFactory("RestrictedTokenEscrowContract");
-    const escrow = await RestrictedTokenEscrowContract.deploy(restrictedTokenAddress);
-    console.log("RestrictedTokenEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("RestrictedTokenEscrowContract", [restrictedTokenAddress]);
+    console.log("RestrictedTokenEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
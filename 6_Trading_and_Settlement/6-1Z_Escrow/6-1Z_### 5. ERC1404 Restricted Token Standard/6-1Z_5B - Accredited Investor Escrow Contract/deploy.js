@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const restrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with actual ERC1404 token contract address
+    const params = loadParams(__dirname);
+    const restrictedTokenAddress = params.restrictedTokenAddress;
   
-    const AccreditedInvestorEscrowContract = await ethers.getContractFactory("AccreditedInvestorEscrowContract");
-    const escrow = await AccreditedInvestorEscrowContract.deploy(restrictedTokenAddress);
-    console.log("AccreditedInvestorEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("AccreditedInvestorEscrowContract", [restrictedTokenAddress]);
+    console.log("AccreditedInvestorEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const restrictedTokenAddress = "0xYourRestrictedTokenAddress"; // Replace with actual ERC1404 token contract address
-    const complianceAuthorityAddress = "0xYourComplianceAuthorityAddress"; // Replace with actual compliance authority address
+    const params = loadParams(__dirname);
+    const restrictedTokenAddress = params.restrictedTokenAddress;
+    const complianceAuthorityAddress = params.complianceAuthorityAddress;
   
-    const RegulationCompliantEscrowContract = await ethers.getContractFactory("RegulationCompliantEscrowContract");
-    const escrow = await RegulationCompliantEscrowContract.deploy(restrictedTokenAddress, complianceAuthorityAddress);
-    console.log("RegulationCompliantEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("RegulationCompliantEscrowContract", [restrictedTokenAddress, complianceAuthorityAddress]);
+    console.log("RegulationCompliantEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const vaultTokenAddress = "0xYourVaultTokenAddress"; // Replace with actual ERC4626 vault token contract address
+    const params = loadParams(__dirname);
+    const vaultTokenAddress = params.vaultTokenAddress;
   
-    const VaultTokenEscrowContract = await ethers.getContractFactory("VaultTokenEscrowContract");
-    const escrow = await VaultTokenEscrowContract.deploy(vaultTokenAddress);
-    console.log("VaultTokenEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("VaultTokenEscrowContract", [vaultTokenAddress]);
+    console.log("VaultTokenEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
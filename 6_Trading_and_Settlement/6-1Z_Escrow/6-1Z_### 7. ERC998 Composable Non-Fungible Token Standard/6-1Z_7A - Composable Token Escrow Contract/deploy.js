@@ -1,12 +1,16 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const composableTokenAddress = "0xYourComposableTokenAddress"; // Replace with actual ERC998 composable token contract address
+    const params = loadParams(__dirname);
+    const composableTokenAddress = params.composableTokenAddress;
   
-    const ComposableTokenEscrowContract = await ethers.getContractFactory("ComposableTokenEscrowContract");
-    const escrow = await ComposableTokenEscrowContract.deploy(composableTokenAddress);
-    console.log("ComposableTokenEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("ComposableTokenEscrowContract", [composableTokenAddress]);
+    console.log("ComposableTokenEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
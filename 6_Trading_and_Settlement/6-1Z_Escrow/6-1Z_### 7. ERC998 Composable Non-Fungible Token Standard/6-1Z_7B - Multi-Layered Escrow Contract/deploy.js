@@ -1,13 +1,17 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const composableTokenAddress = "0xYourComposableTokenAddress"; // Replace with actual ERC998 composable token contract address
-    const underlyingAssetTokenAddress = "0xYourUnderlyingAssetTokenAddress"; // Replace with actual ERC721 token contract address
+    const params = loadParams(__dirname);
+    const composableTokenAddress = params.composableTokenAddress;
+    const underlyingAssetTokenAddress = params.underlyingAssetTokenAddress;
   
-    const MultiLayeredEscrowContract = await ethers.getContractFactory("MultiLayeredEscrowContract");
-    const escrow = await MultiLayeredEscrowContract.deploy(composableTokenAddress, underlyingAssetTokenAddress);
-    console.log("MultiLayeredEscrowContract deployed to:", escrow.address);
+    const escrow = await deployContract("MultiLayeredEscrowContract", [composableTokenAddress, underlyingAssetTokenAddress]);
+    console.log("MultiLayeredEscrowContract deployed to:", await addressOf(escrow));
   }
   
   main()
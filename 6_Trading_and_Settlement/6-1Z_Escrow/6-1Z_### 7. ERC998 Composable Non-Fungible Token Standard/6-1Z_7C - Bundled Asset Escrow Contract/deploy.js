@@ -1,14 +1,18 @@
+const { ethers } = require("hardhat");
+const { loadParams } = require("../../../../scripts/lib/params");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const composableTokenAddress = "0xYourComposableTokenAddress"; // Replace with actual ERC998 composable token contract address
-    const underlyingAssetTokenAddress = "0xYourUnderlyingAssetTokenAddress"; // Replace with actual ERC721 token contract address
+    const params = loadParams(__dirname);
+    const composableTokenAddress = params.composableTokenAddress;
+    const underlyingAssetTokenAddress = params.underlyingAssetTokenAddress;
   
-    const BundledAssetEscrowContract = await ethers.getContractFactory("BundledAssetEscrowContract");
-    const contract = await BundledAssetEscrowContract.deploy(composableTokenAddress, underlyingAssetTokenAddress);
+    const contract = await deployContract("BundledAssetEscrowContract", [composableTokenAddress, underlyingAssetTokenAddress]);
   
-    console.log("BundledAssetEscrowContract deployed to:", contract.address);
+    console.log("BundledAssetEscrowContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const PrivacyPreservingEscrowContract = await ethers.getContractFactory("PrivacyPreservingEscrowContract");
-    const contract = await PrivacyPreservingEscrowContract.deploy();
+    const contract = await deployContract("PrivacyPreservingEscrowContract");
   
-    console.log("PrivacyPreservingEscrowContract deployed to:", contract.address);
+    console.log("PrivacyPreservingEscrowContract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,11 +1,13 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const AnonymousEscrowContract = await ethers.getContractFactory("AnonymousEscrowContract");
-    const contract = await AnonymousEscrowContract.deploy();
+    const contract = await deployContract("AnonymousEscrowContract");
   
-    console.log("Contract deployed to:", contract.address);
+    console.log("Contract deployed to:", await addressOf(contract));
   }
   
   main()
@@ -1,10 +1,12 @@
+const { ethers } = require("hardhat");
+const { deployContract, addressOf } = require("../../../../scripts/lib/deploy");
+
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
   
-    const Escrow = await ethers.getContractFactory("AccreditedInvestorPrivacyEscrow");
-    const escrow = await Escrow.deploy();
-    console.log("Contract deployed to:", escrow.address);
+    const escrow = await deployContract("AccreditedInvestorPrivacyEscrow");
+    console.log("Contract deployed to:", await addressOf(escrow));
   }
   
   main()
@@ -0,0 +1,58 @@
+// Hardhat project for the catalogue and its tooling. The sources are every catalogue contract
+// under the domain folders plus the helpers in scripts/contracts, except the contracts listed
+// in scripts/uncompiled.json, which do not compile as they stand.
+const fs = require("fs");
+const path = require("path");
+const { subtask } = require("hardhat/config");
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS,
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+} = require("hardhat/builtin-tasks/task-names");
+require("@nomicfoundation/hardhat-ethers");
+
+const SOLC_VERSION = "0.8.19";
+const SOURCE_DIRS = [...fs.readdirSync(__dirname).filter((name) => /^[1-6]_/.test(name)), path.join("scripts", "contracts")];
+const UNCOMPILED = require("./scripts/uncompiled.json");
+// Swap contracts whose claim and refund paths run out of stack without the IR pipeline.
+const VIA_IR = [
+  "6_Trading_and_Settlement/6-1X_Atomic Swap/6-1X_### 1. ERC20 Fungible Token Standard/6-1X_1B - Time-Locked Atomic Swap Contract/TimeLockedAtomicSwap.sol",
+  "6_Trading_and_Settlement/6-1X_Atomic Swap/6-1X_### 2. ERC777 Advanced Fungible Token Standard/6-1X_2C - Reversible Atomic Swap Contract/ReversibleAtomicSwap.sol",
+  "6_Trading_and_Settlement/6-1X_Atomic Swap/6-1X_### 8. AnonCreds Privacy-Preserving Credentials/6-1X_8A - Privacy-Preserving Atomic Swap Contract/PrivacyPreservingAtomicSwap.sol",
+  "6_Trading_and_Settlement/6-1X_Atomic Swap/6-1X_### 8. AnonCreds Privacy-Preserving Credentials/6-1X_8B - Anonymous Atomic Swap Contract/AnonymousAtomicSwap.sol",
+  "6_Trading_and_Settlement/6-1X_Atomic Swap/6-1X_### 8. AnonCreds Privacy-Preserving Credentials/6-1X_8C - Accredited Investor Atomic Swap with Privacy/AccreditedInvestorAnonSwap.sol",
+];
+
+function solidityFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return solidityFiles(file);
+    return entry.name.endsWith(".sol") ? [file] : [];
+  });
+}
+
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS, async () => {
+  const skipped = new Set(Object.keys(UNCOMPILED).map((file) => path.join(__dirname, file)));
+  return SOURCE_DIRS.flatMap((dir) => solidityFiles(path.join(__dirname, dir))).filter((file) => !skipped.has(file));
+});
+
+// Compiles with the solc-js build from the `solc` package, so no compiler is downloaded.
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async ({ solcVersion }, hre, runSuper) => {
+  const solcjs = require("solc/package.json");
+  if (solcVersion !== solcjs.version) {
+    return runSuper();
+  }
+  return { compilerPath: require.resolve("solc/soljson.js"), isSolcJs: true, version: solcVersion, longVersion: solcjs.version };
+});
+
+const settings = { optimizer: { enabled: true, runs: 200 } };
+
+module.exports = {
+  solidity: {
+    compilers: [{ version: SOLC_VERSION, settings }],
+    overrides: Object.fromEntries(VIA_IR.map((file) => [file, { version: SOLC_VERSION, settings: { ...settings, viaIR: true } }])),
+  },
+  networks: {
+    // The local node `node scripts/cli.js estimate` starts; it passes the node's URL.
+    estimate: { url: process.env.ESTIMATE_RPC_URL || "http://127.0.0.1:8545" },
+  },
+};
@@ -0,0 +1,75 @@
+// Streams the Transfer events of AMLMonitoringAndReportingContract and
+// TransactionMonitoringAndAMLContract tokens through the configured AML rules (AML_CONFIG, see
+// scripts/README.md) and reports what they find with reportSuspiciousActivity. Run through
+// `npx hardhat run --network <name>`; `node scripts/cli.js aml <action> <config.json>` does
+// this for you.
+//
+//   AML_CONFIG      path to the AML configuration (required)
+//   AML_ACTION      watch     evaluate new transfers as they confirm and report findings (default)
+//                   backtest  replay past transfers through the rules without reporting anything
+//   AML_ONCE        set to run a single watch pass, e.g. from cron
+//   AML_FROM_BLOCK  first block of a backtest (default: the earliest token deployment)
+//   AML_TO_BLOCK    last block of a backtest (default: the latest block)
+//   AML_OFFICER     account holding COMPLIANCE_OFFICER_ROLE (default: the first account)
+const hre = require("hardhat");
+const { loadAmlConfig, amlFiles, createMonitor, runMonitor, backtest, writeBacktest } = require("./lib/aml");
+
+async function officerSigner(address) {
+  const signers = await hre.ethers.getSigners();
+  if (!address) {
+    return signers[0];
+  }
+  const signer = signers.find((account) => account.address.toLowerCase() === address.toLowerCase());
+  if (!signer) {
+    throw new Error(`${address} is not one of ${hre.network.name}'s accounts`);
+  }
+  return signer;
+}
+
+function blockOf(value, name) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a block number, not "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const network = hre.network.name;
+  if (!process.env.AML_CONFIG) {
+    throw new Error("Set AML_CONFIG to the AML configuration file");
+  }
+  const config = loadAmlConfig(process.env.AML_CONFIG);
+  const action = process.env.AML_ACTION || "watch";
+
+  if (action === "backtest") {
+    const monitor = await createMonitor({ network, config, replay: true });
+    const result = await backtest(monitor, {
+      fromBlock: blockOf(process.env.AML_FROM_BLOCK, "AML_FROM_BLOCK"),
+      toBlock: blockOf(process.env.AML_TO_BLOCK, "AML_TO_BLOCK"),
+    });
+    const { jsonFile, csvFile } = writeBacktest(result, `${result.fromBlock}-${result.toBlock}`);
+    for (const [code, count] of Object.entries(result.byCode)) {
+      console.log(`${code.padEnd(20)} ${count}`);
+    }
+    console.log(`${result.findings.length} findings in ${result.transfers} transfers, blocks ${result.fromBlock}-${result.toBlock}; written to ${jsonFile} (${csvFile})`);
+  } else if (action === "watch") {
+    const monitor = await createMonitor({ network, config, signer: await officerSigner(process.env.AML_OFFICER) });
+    const names = Object.values(monitor.tokens).map((token) => token.record.name);
+    console.log(`Watching ${names.join(", ")} on ${network}; findings log: ${amlFiles(network).audit}`);
+    process.on("SIGINT", () => {
+      console.log("Stopping after the current pass");
+      monitor.stopped = true;
+    });
+    await runMonitor(monitor, { once: Boolean(process.env.AML_ONCE) });
+  } else {
+    throw new Error(`AML_ACTION must be watch or backtest, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
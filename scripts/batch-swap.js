@@ -0,0 +1,107 @@
+// Builds and runs a MultiAssetAtomicSwap or BatchAtomicSwap swap from an order written in
+// words (BATCH_SWAP_ORDER, see scripts/README.md). Run through
+// `npx hardhat run --network <order's network>`; `node scripts/cli.js batch-swap <action>
+// <order.json>` does this for you.
+//
+//   BATCH_SWAP_ACTION  plan     print the checks and the transactions the initiator would send
+//                      initiate approve what is missing and lock the initiator's items
+//                      accept   check the locked swap against the order, approve what is
+//                               missing for the participant and, with BATCH_SWAP_SECRET,
+//                               complete it
+//   BATCH_SWAP_ID      accept: the swap to check
+//   BATCH_SWAP_SECRET  accept: the initiator's secret, to complete the swap
+//
+// The initiator's secret is stored encrypted with SWAP_VAULT_PASSPHRASE before anything is
+// locked; `batch-swap secret <swapId>` reads it back to hand to the participant.
+const hre = require("hardhat");
+const { generateSecret, swapIdOf } = require("./lib/swap");
+const {
+  loadBatchOrder,
+  connectOrder,
+  describeBasket,
+  planInitiation,
+  planAcceptance,
+  sendPlanned,
+  saveSecret,
+} = require("./lib/batchswap");
+const { vaultPassphrase } = require("./lib/vault");
+const { sameAddress } = require("./lib/common");
+
+async function signerFor(address) {
+  const signer = (await hre.ethers.getSigners()).find((account) => sameAddress(account.address, address));
+  if (!signer) {
+    throw new Error(`${address} is not one of ${hre.network.name}'s accounts`);
+  }
+  return signer;
+}
+
+function printPlan({ problems, warnings = [], transactions }) {
+  for (const transaction of transactions) {
+    console.log(`  ${transaction.method} on ${transaction.to}: ${transaction.description}`);
+  }
+  for (const warning of warnings) {
+    console.log(`warning  ${warning}`);
+  }
+  for (const problem of problems) {
+    console.log(`problem  ${problem}`);
+  }
+}
+
+async function main() {
+  const order = loadBatchOrder(process.env.BATCH_SWAP_ORDER || "");
+  if (order.network !== hre.network.name) {
+    throw new Error(`The order is for ${order.network}, not ${hre.network.name}`);
+  }
+  const action = process.env.BATCH_SWAP_ACTION;
+  console.log(`${order.initiator} gives ${describeBasket(order.give)}`);
+  console.log(`${order.participant} gives ${describeBasket(order.take)}`);
+
+  if (action === "plan") {
+    const contract = await connectOrder(order, hre.ethers.provider);
+    const plan = await planInitiation(order, contract, null, hre.ethers.provider);
+    printPlan(plan);
+    if (plan.problems.length > 0) {
+      process.exitCode = 1;
+    }
+  } else if (action === "initiate") {
+    const signer = await signerFor(order.initiator);
+    const contract = await connectOrder(order, signer);
+    const { secret, secretHash } = generateSecret();
+    const plan = await planInitiation(order, contract, secretHash, signer);
+    printPlan(plan);
+    if (plan.problems.length > 0) {
+      throw new Error("Not initiating the swap; fix the problems above first");
+    }
+    const swapId = swapIdOf(order.initiator, order.participant, secretHash);
+    const file = saveSecret(swapId, order, secret, { passphrase: vaultPassphrase() });
+    console.log(`Secret saved to ${file}`);
+    await sendPlanned(plan.transactions, { signer, contract });
+    console.log(`Swap ${swapId} locked; hand the participant the order and this swap ID to check it`);
+  } else if (action === "accept") {
+    const swapId = process.env.BATCH_SWAP_ID;
+    const signer = await signerFor(order.participant);
+    const contract = await connectOrder(order, signer);
+    const plan = await planAcceptance(order, contract, swapId, signer);
+    const now = Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+    if (plan.expiresAt <= now) plan.problems.push(`swap ${swapId} can already be refunded`);
+    printPlan(plan);
+    if (plan.problems.length > 0) {
+      throw new Error(`Not accepting swap ${swapId}; it does not match the order`);
+    }
+    await sendPlanned(plan.transactions, { signer, contract });
+    if (!process.env.BATCH_SWAP_SECRET) {
+      console.log(`Swap ${swapId} matches the order and ${order.participant} is ready; set BATCH_SWAP_SECRET to complete it`);
+      return;
+    }
+    const tx = await contract.completeSwap(swapId, process.env.BATCH_SWAP_SECRET);
+    await tx.wait();
+    console.log(`Completed swap ${swapId} (${tx.hash})`);
+  } else {
+    throw new Error(`BATCH_SWAP_ACTION must be plan, initiate or accept, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
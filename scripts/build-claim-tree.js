@@ -0,0 +1,56 @@
+// Builds the Merkle claim tree of a beneficiary list (CLAIMS_BENEFICIARIES) for
+// PrivacyPreservingEscrowContract and writes a claim package per beneficiary to
+// claims/<label>/. Run through `npx hardhat run [--network <name>]`;
+// `node scripts/cli.js claim-tree <beneficiaries.csv>` does this for you.
+//
+//   CLAIMS_BENEFICIARIES  CSV or JSON list of beneficiaries (address, optional salt and label)
+//   CLAIMS_LABEL          name of the output directory (default: the list's file name)
+//   CLAIMS_CONTRACT       deployment name or catalogue ID to look up escrows already deposited
+//                         under the root (default: the latest PrivacyPreservingEscrowContract)
+//
+// Salts missing from the list are reused from an earlier tree with the same label, so
+// rebuilding keeps every hashed identifier, or generated otherwise.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { resolveDeployment } = require("./lib/registry");
+const { CLAIMS_DIR, loadBeneficiaries, assignSalts, buildClaimTree, writeClaimPackages } = require("./lib/claimtree");
+
+async function main() {
+  const network = hre.network.name;
+  const file = process.env.CLAIMS_BENEFICIARIES || "";
+  const label = process.env.CLAIMS_LABEL || path.basename(file).replace(/\.[^.]+$/, "");
+  const previousFile = path.join(CLAIMS_DIR, label, "tree.json");
+  const previous = fs.existsSync(previousFile) ? JSON.parse(fs.readFileSync(previousFile, "utf8")).beneficiaries : [];
+  const beneficiaries = assignSalts(loadBeneficiaries(file), previous);
+  const tree = buildClaimTree(beneficiaries);
+  console.log(`Root ${tree.root} over ${tree.beneficiaries.length} beneficiar${tree.beneficiaries.length === 1 ? "y" : "ies"} (${tree.layers[0].length} leaves)`);
+
+  // Escrows already deposited for a beneficiary under this root go into their package.
+  const escrows = {};
+  const record = resolveDeployment(network, process.env.CLAIMS_CONTRACT || "PrivacyPreservingEscrowContract");
+  if (record) {
+    const contract = await hre.ethers.getContractAt("PrivacyPreservingEscrowContract", record.address);
+    for (const member of tree.beneficiaries) {
+      const ids = [];
+      for (const id of await contract.getUserEscrows(member.hashedBeneficiary)) {
+        const escrow = await contract.escrows(id);
+        if (escrow.merkleRoot.toLowerCase() === tree.root.toLowerCase()) ids.push(id.toString());
+      }
+      escrows[member.address] = ids;
+    }
+    console.log(`Looked up escrows on ${record.name} (${record.address}) on ${network}`);
+  }
+
+  const { treeFile, packages } = writeClaimPackages(tree, { label, network: record ? network : undefined, contract: record ? record.address : undefined, escrows });
+  for (const member of tree.beneficiaries) {
+    const found = escrows[member.address] ? `, escrows: ${escrows[member.address].join(", ") || "none yet"}` : "";
+    console.log(`  ${member.address} hashed ${member.hashedBeneficiary}, proof of ${member.proof.length}${found}`);
+  }
+  console.log(`Wrote ${packages.length} claim package${packages.length === 1 ? "" : "s"} and ${treeFile}; keep tree.json private, it holds every salt`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
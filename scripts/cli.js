@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+const { parseArgs } = require("util");
+const { loadCatalogue, resolveStandard } = require("./lib/catalogue");
+const { DEFAULT_GAS_PRICE } = require("./commands/common");
+
+const USAGE = `Usage: node scripts/cli.js <command> [options]
+
+Commands:
+  list                     List catalogue entries
+  show <id|contract>       Show one catalogue entry
+  deploy <id|contract>     Run the entry's deploy script through Hardhat
+  deployments [name|id]    Query the deployment registry
+  verify <name|id>         Verify the latest recorded deployment on the network's explorers
+  roles <id|contract>      Apply the entry's deploy.roles.json to its latest deployment
+  propose <batch.json>     Simulate a Safe batch on a fork and export it for the Transaction Builder
+  estimate                 Estimate the gas and cost of deploying every entry matching the filters
+  swap <role> <swap.json>  Drive one side of a cross-chain atomic swap (role: initiate or participate)
+  swap list                List the swaps in the swap vault and the stage each has reached
+  swap recover [swapId]    Resume every in-flight swap in the vault (or the given ones) after a crash
+  batch-swap <action> <order.json>
+                           Plan, initiate or accept an ERC1155 batch swap written as "give ... for ...",
+                           or print a stored secret with \`batch-swap secret <swapId>\`
+  keeper [name|id ...]     Refund expired swaps and expire settlements on the network as they lapse
+  keeper-status            Show what the keeper is tracking and its latest audit entries
+  orderbook [name|id]      Match signed orders and settle them through a RealTimeSettlementContract
+  net <trades.csv>         Net a day's ERC1155 trades into BatchSettlementContract batches
+  settle-batches <plan>    Create and settle the batches of a netting plan on the network
+  index [name|id ...]      Index settlement lifecycle events on the network into a local database
+  settlements              Query indexed settlements, trades and batches (--status, --party)
+  settlement-report        Write the end-of-day reconciliation of unsettled, failed and expired items
+  oracle <config.json>     Push escrow conditions from webhooks, attestations or file drops and release escrows
+  oracle-status            Show the escrows the oracle tracks, their conditions and its latest audit entries
+  milestones <action>      Manage a milestone escrow project: import <plan>, create, approve, release,
+                           status or statement (see scripts/README.md)
+  claim-tree <list.csv>    Build the Merkle claim tree and claim packages for PrivacyPreservingEscrowContract
+  dispute <action>         Dispute a ReversibleAtomicSwap swap: file, vote, submit, process, list or show
+                           (see scripts/README.md)
+  precheck <name|id> <party>=<address> ...
+                           Check a KYC-gated swap or settlement would accept the parties before trading
+  kyc-issuer serve <config.json>
+                           Serve EIP-712 KYC and accreditation attestations over HTTP, or issue one with
+                           \`kyc-issuer issue <config.json> <user> [name|id]\`
+  kyc-onboard <action> <roster.csv>
+                           Plan or submit a roster of KYC approvals and restrictions on a
+                           BatchKYCAMLComplianceContract, or check a signed change report with
+                           \`kyc-onboard verify <report.signed.json>\`
+  aml <watch|backtest> <config.json>
+                           Run AML rules over token transfers and report findings to the monitoring
+                           contracts, or replay past blocks through them without reporting
+
+Options:
+  --domain <n|prefix>      Filter by domain number (6) or category prefix (6-1Z)
+  --standard <name>        Filter by token standard (ERC20, ERC1404, AnonCreds, ...)
+  --variant <letter>       Filter by variant letter (A, B, C, ...)
+  --network <name>         Hardhat network to deploy to (default: hardhat)
+  --latest                 Only print the most recent matching deployment
+  --all                    Include superseded versions in deployments
+  --params <file>          Parameter file to use instead of params/<network>.json
+  --salt <salt>            Deploy with CREATE2 so the address is the same on every chain
+  --gas-price <gwei>       Gas price for cost estimates (default: ${DEFAULT_GAS_PRICE})
+  --dry-run                Print what would be deployed without running it
+  --once                   Run the keeper, indexer, oracle or AML monitor for a single pass
+  --port <port>            Port the order book (default: 8080) or KYC issuer (default: 8091) listens on
+  --memory                 Keep order book matches in memory instead of sending them
+  --mode <mode>            Netting mode: multilateral (default) or bilateral
+  --max-gas <gas>          Gas either call of a netted batch, or one onboarding call, may use (default: 3000000)
+  --status <status>        Only settlements that are open, settled, cancelled or expired, or disputes
+                           with that status
+  --party <address>        Only settlements this counterparty is part of
+  --date <YYYY-MM-DD>      Day of the reconciliation report (default: today, UTC)
+  --by <approver>          The account that signs off a milestone with \`milestones approve\`, the account that
+                           signs or sends a dispute action, or the compliance officer for \`kyc-onboard\`
+                           and \`aml watch\`
+  --reason <text>          Why a swap is disputed, or an operator's note on their vote
+  --evidence <list>        Comma-separated evidence files or hashes for \`dispute file\`
+  --signature <hex>        An approver's EIP-712 sign-off made elsewhere, for \`milestones approve\`
+  --from <block>           First block an \`aml backtest\` replays (default: the earliest token deployment)
+  --to <block>             Last block an \`aml backtest\` replays (default: the latest block)
+  --submit                 Also send an attestation from \`kyc-issuer issue\` to its contract
+  --json                   Print machine-readable output
+`;
+
+const OPTIONS = {
+  domain: { type: "string" },
+  standard: { type: "string" },
+  variant: { type: "string" },
+  network: { type: "string" },
+  params: { type: "string" },
+  salt: { type: "string" },
+  "gas-price": { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  once: { type: "boolean", default: false },
+  port: { type: "string" },
+  memory: { type: "boolean", default: false },
+  mode: { type: "string" },
+  "max-gas": { type: "string" },
+  status: { type: "string" },
+  party: { type: "string" },
+  by: { type: "string" },
+  reason: { type: "string" },
+  evidence: { type: "string" },
+  signature: { type: "string" },
+  submit: { type: "boolean", default: false },
+  from: { type: "string" },
+  to: { type: "string" },
+  date: { type: "string" },
+  latest: { type: "boolean", default: false },
+  all: { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Each module under commands/ exports its commands by name.
+const COMMANDS = {
+  ...require("./commands/catalogue"),
+  ...require("./commands/deploy"),
+  ...require("./commands/safe"),
+  ...require("./commands/estimate"),
+  ...require("./commands/swap"),
+  ...require("./commands/batch-swap"),
+  ...require("./commands/keeper"),
+  ...require("./commands/orderbook"),
+  ...require("./commands/netting"),
+  ...require("./commands/indexer"),
+  ...require("./commands/oracle"),
+  ...require("./commands/milestones"),
+  ...require("./commands/claim-tree"),
+  ...require("./commands/disputes"),
+  ...require("./commands/precheck"),
+  ...require("./commands/kyc"),
+  ...require("./commands/aml"),
+};
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+  if (values.standard) {
+    values.standard = resolveStandard(values.standard);
+  }
+
+  await COMMANDS[command](loadCatalogue(), values, ...rest);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
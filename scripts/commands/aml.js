@@ -0,0 +1,40 @@
+const path = require("path");
+const { loadAmlConfig } = require("../lib/aml");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const AML_SCRIPT = path.join(__dirname, "..", "aml-monitor.js");
+
+function aml(entries, options, action, file) {
+  if (!["watch", "backtest"].includes(action) || !file || !options.network) {
+    throw new Error("Usage: aml <watch|backtest> <config.json> --network <name> [--once] [--from <block>] [--to <block>]");
+  }
+  const config = loadAmlConfig(path.resolve(file));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const entry of config.contracts) {
+    const ruleSet = entry.ruleSet || "default";
+    const codes = config.ruleSets[ruleSet].map((rule) => rule.code).join(", ");
+    console.log(`${prefix}${action === "watch" ? "watch" : "replay"} ${entry.contract} with ${ruleSet} (${codes})${entry.reportTo ? `, reporting to ${entry.reportTo}` : ""}`);
+  }
+
+  const args = ["hardhat", "run", relative(AML_SCRIPT), "--network", options.network];
+  const env = {
+    AML_CONFIG: path.resolve(file),
+    AML_ACTION: action,
+    ...(options.once && { AML_ONCE: "1" }),
+    ...(options.from && { AML_FROM_BLOCK: options.from }),
+    ...(options.to && { AML_TO_BLOCK: options.to }),
+    ...(options.by && { AML_OFFICER: options.by }),
+  };
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`aml ${action} on ${options.network} failed`);
+  }
+}
+
+module.exports = {
+  aml,
+};
@@ -0,0 +1,35 @@
+const path = require("path");
+const { loadBatchOrder, describeBasket, readSecret: readBatchSecret } = require("../lib/batchswap");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const BATCH_SWAP_SCRIPT = path.join(__dirname, "..", "batch-swap.js");
+
+function batchSwap(entries, options, action, file, swapId) {
+  const usage = "Usage: batch-swap <plan|initiate> <order.json>, batch-swap accept <order.json> <swapId> or batch-swap secret <swapId>";
+  if (action === "secret" && file) {
+    console.log(readBatchSecret(file));
+    return;
+  }
+  if (!["plan", "initiate", "accept"].includes(action) || !file || (action === "accept" && !swapId)) {
+    throw new Error(usage);
+  }
+  const order = loadBatchOrder(path.resolve(file));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}${order.initiator} gives ${describeBasket(order.give)} in ${order.contract} on ${order.network}`);
+  console.log(`${prefix}${order.participant} gives ${describeBasket(order.take)}, refundable after ${order.timeLock}s`);
+
+  const args = ["hardhat", "run", relative(BATCH_SWAP_SCRIPT), "--network", order.network];
+  const env = { BATCH_SWAP_ORDER: path.resolve(file), BATCH_SWAP_ACTION: action, ...(swapId && { BATCH_SWAP_ID: swapId }) };
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`batch-swap ${action} ${file} failed`);
+  }
+}
+
+module.exports = {
+  "batch-swap": batchSwap,
+};
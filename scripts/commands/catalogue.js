@@ -0,0 +1,69 @@
+const { filterEntries } = require("../lib/catalogue");
+const { loadSchema } = require("../lib/params");
+const { loadRolePlan } = require("../lib/roles");
+const { relative, resolveEntry } = require("./common");
+
+function list(entries, options) {
+  const matches = filterEntries(entries, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(matches, null, 2));
+    return;
+  }
+
+  for (const entry of matches) {
+    console.log(`${entry.id.padEnd(9)} ${entry.standard.padEnd(9)} ${entry.contractName.padEnd(48)} ${entry.title}`);
+  }
+  console.log(`\n${matches.length} of ${entries.length} entries`);
+}
+
+function show(entries, options, query) {
+  const entry = resolveEntry(entries, query);
+  const params = loadSchema(entry.dir);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...entry, params, roles: loadRolePlan(entry.dir) }, null, 2));
+    return;
+  }
+
+  console.log(`ID:            ${entry.id}`);
+  console.log(`Title:         ${entry.title}`);
+  console.log(`Contract:      ${entry.contractName}`);
+  console.log(`Domain:        ${entry.domain}`);
+  console.log(`Category:      ${entry.category}`);
+  console.log(`Standard:      ${entry.standard}`);
+  console.log(`Variant:       ${entry.variant}`);
+  console.log(`Source:        ${relative(entry.source)}`);
+  console.log(`Deploy script: ${relative(entry.deployScript)}${entry.deployScriptIssue ? ` (${entry.deployScriptIssue})` : ""}`);
+
+  if (params) {
+    console.log("Parameters:");
+    for (const [name, spec] of Object.entries(params)) {
+      const fallback = spec.default !== undefined ? ` = ${JSON.stringify(spec.default)}` : " (required)";
+      const source = spec.requires ? ` <- ${spec.requires}` : "";
+      console.log(`  ${name}: ${spec.type}${fallback}${source}${spec.description ? ` - ${spec.description}` : ""}`);
+    }
+  }
+
+  const plan = loadRolePlan(entry.dir);
+  if (plan) {
+    console.log("Roles:");
+    for (const [role, holders] of Object.entries(plan.grant || {})) {
+      console.log(`  grant ${role} to ${holders.join(", ")}`);
+    }
+    for (const call of plan.calls || []) {
+      console.log(`  call ${call.function}(${(call.args || []).join(", ")})`);
+    }
+    if (plan.owner) {
+      console.log(`  transfer ownership to ${plan.owner}`);
+    }
+    for (const role of plan.renounce || []) {
+      console.log(`  renounce ${role} from deployer`);
+    }
+  }
+}
+
+module.exports = {
+  list,
+  show,
+};
@@ -0,0 +1,28 @@
+const path = require("path");
+const { loadBeneficiaries } = require("../lib/claimtree");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const CLAIM_TREE_SCRIPT = path.join(__dirname, "..", "build-claim-tree.js");
+
+function claimTree(entries, options, file) {
+  if (!file) {
+    throw new Error("Usage: claim-tree <beneficiaries.csv|beneficiaries.json> [--network <name>]");
+  }
+  const beneficiaries = loadBeneficiaries(path.resolve(file));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  const lookup = options.network ? `, looking up their escrows on ${options.network}` : "";
+  console.log(`${prefix}claim tree over ${beneficiaries.length} beneficiar${beneficiaries.length === 1 ? "y" : "ies"}${lookup}`);
+
+  const args = ["hardhat", "run", relative(CLAIM_TREE_SCRIPT), ...(options.network ? ["--network", options.network] : [])];
+  if (options["dry-run"]) {
+    console.log(`[dry-run] CLAIMS_BENEFICIARIES=${JSON.stringify(file)} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, { CLAIMS_BENEFICIARIES: path.resolve(file) }) !== 0) {
+    throw new Error(`Building the claim tree of ${file} failed`);
+  }
+}
+
+module.exports = {
+  "claim-tree": claimTree,
+};
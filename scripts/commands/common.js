@@ -0,0 +1,57 @@
+// Helpers shared by the CLI commands.
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { ROOT, findEntry } = require("../lib/catalogue");
+
+const PREREQUISITES_SCRIPT = path.join(__dirname, "..", "deploy-prerequisites.js");
+const DEFAULT_GAS_PRICE = "30";
+
+function relative(file) {
+  return file ? path.relative(ROOT, file) : "-";
+}
+
+function resolveEntry(entries, query) {
+  if (!query) {
+    throw new Error("Missing catalogue ID or contract name");
+  }
+  const entry = findEntry(entries, query);
+  if (!entry) {
+    throw new Error(`No catalogue entry matches "${query}"`);
+  }
+  return entry;
+}
+
+function formatCommand(args) {
+  return `npx ${args.map((arg) => (arg.includes(" ") ? JSON.stringify(arg) : arg)).join(" ")}`;
+}
+
+function runHardhat(args, env = {}) {
+  const result = spawnSync("npx", args, { cwd: ROOT, env: { ...process.env, ...env }, stdio: "inherit" });
+  if (result.error) {
+    throw result.error;
+  }
+  return result.status;
+}
+
+// Runs Hardhat without printing its output; returns null on success or the error it printed.
+function runHardhatQuietly(args, env = {}) {
+  const result = spawnSync("npx", args, { cwd: ROOT, env: { ...process.env, ...env }, encoding: "utf8" });
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status === 0) {
+    return null;
+  }
+  const lines = `${result.stderr}\n${result.stdout}`.split("\n").map((line) => line.trim()).filter(Boolean);
+  return lines.find((line) => /error/i.test(line)) || lines[lines.length - 1] || `exit code ${result.status}`;
+}
+
+module.exports = {
+  DEFAULT_GAS_PRICE,
+  PREREQUISITES_SCRIPT,
+  relative,
+  resolveEntry,
+  formatCommand,
+  runHardhat,
+  runHardhatQuietly,
+};
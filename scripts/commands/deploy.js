@@ -0,0 +1,139 @@
+const path = require("path");
+const { readNetworkValues } = require("../lib/params");
+const { planDeployment } = require("../lib/graph");
+const { findDeployments, updateDeployment } = require("../lib/registry");
+const { verifyDeployment } = require("../lib/verify");
+const { loadRolePlan, loadAccounts, resolvePlan, describeStep } = require("../lib/roles");
+const { PREREQUISITES_SCRIPT, relative, resolveEntry, formatCommand, runHardhat } = require("./common");
+
+const ROLES_SCRIPT = path.join(__dirname, "..", "configure-roles.js");
+
+function deploy(entries, options, query) {
+  const entry = resolveEntry(entries, query);
+  if (!entry.deployScript) {
+    throw new Error(`${entry.id} has no deploy script${entry.deployScriptIssue ? ` (${entry.deployScriptIssue})` : ""}`);
+  }
+  if (options.params) {
+    process.env.DEPLOY_PARAMS_FILE = path.resolve(options.params);
+  }
+  if (options.salt) {
+    process.env.DEPLOY_SALT = options.salt;
+  }
+
+  const network = options.network || "hardhat";
+  const plan = planDeployment(entry, network, { values: readNetworkValues(entry.dir, network) });
+  const prerequisiteArgs = ["hardhat", "run", relative(PREREQUISITES_SCRIPT), "--network", network];
+  const args = ["hardhat", "run", relative(entry.deployScript), "--network", network];
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+
+  console.log(`${prefix}${entry.id} ${entry.contractName} -> ${network}${options.salt ? ` (CREATE2 salt "${options.salt}")` : ""}`);
+  for (const [node, address] of Object.entries(plan.reuse)) {
+    console.log(`${prefix}  reuse ${node} at ${address}`);
+  }
+  for (const param of plan.provided) {
+    console.log(`${prefix}  ${param} set by parameter file`);
+  }
+  for (const node of plan.deploy) {
+    console.log(`${prefix}  deploy prerequisite ${node}`);
+  }
+
+  if (options["dry-run"]) {
+    const env = options.salt ? `DEPLOY_SALT=${JSON.stringify(options.salt)} ` : "";
+    if (plan.deploy.length > 0) {
+      console.log(`[dry-run] ${env}PREREQUISITES=${plan.deploy.join(",")} ${formatCommand(prerequisiteArgs)}`);
+    }
+    console.log(`[dry-run] ${env}${formatCommand(args)}`);
+    return;
+  }
+
+  if (plan.deploy.length > 0) {
+    // Each script runs in its own process, so the in-process network would forget them.
+    if (network === "hardhat") {
+      throw new Error(`${entry.id} needs prerequisites; deploy to a persistent network such as localhost`);
+    }
+    if (runHardhat(prerequisiteArgs, { PREREQUISITES: plan.deploy.join(",") }) !== 0) {
+      throw new Error(`Deploying prerequisites for ${entry.id} failed`);
+    }
+  }
+
+  if (runHardhat(args) !== 0) {
+    throw new Error(`Deploy script for ${entry.id} failed`);
+  }
+}
+
+function matchDeployments(options, query) {
+  const needle = query && query.toLowerCase();
+  return findDeployments({ network: options.network, standard: options.standard, all: options.all }).filter(
+    (record) =>
+      !needle || [record.name, record.contractName, record.catalogueId].some((field) => (field || "").toLowerCase() === needle)
+  );
+}
+
+function deployments(entries, options, query) {
+  let matches = matchDeployments(options, query);
+  if (options.latest) {
+    matches = matches.slice(-1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(options.latest ? matches[0] || null : matches, null, 2));
+    return;
+  }
+
+  for (const record of matches) {
+    console.log(
+      `${record.network.padEnd(12)} ${record.name.padEnd(36)} v${String(record.version).padEnd(3)} ${(record.catalogueId || "-").padEnd(9)} ${(record.standard || "-").padEnd(9)} ${record.address} ${record.deployedAt}`
+    );
+  }
+  console.log(`\n${matches.length} deployment${matches.length === 1 ? "" : "s"}`);
+}
+
+async function verify(entries, options, query) {
+  if (!query || !options.network) {
+    throw new Error("verify needs a deployment name or catalogue ID and --network");
+  }
+  const record = matchDeployments({ network: options.network }, query).pop();
+  if (!record) {
+    throw new Error(`No deployment of "${query}" is recorded on ${options.network}`);
+  }
+
+  const results = await verifyDeployment(record);
+  updateDeployment(record, { verification: results });
+  if (Object.values(results).some((result) => result.startsWith("failed"))) {
+    process.exitCode = 1;
+  }
+}
+
+function roles(entries, options, query) {
+  const entry = resolveEntry(entries, query);
+  const plan = loadRolePlan(entry.dir);
+  if (!plan) {
+    throw new Error(`${entry.id} has no deploy.roles.json`);
+  }
+
+  const network = options.network || "hardhat";
+  const accounts = loadAccounts(network);
+  if (!accounts) {
+    throw new Error(`No accounts configured for ${network} in scripts/accounts.json`);
+  }
+
+  if (options["dry-run"]) {
+    console.log(`[dry-run] ${entry.id} ${entry.contractName} roles on ${network}`);
+    for (const step of resolvePlan(plan, accounts, "<deployer>")) {
+      console.log(`[dry-run]   ${describeStep(step)}`);
+    }
+    return;
+  }
+
+  const args = ["hardhat", "run", relative(ROLES_SCRIPT), "--network", network];
+  if (runHardhat(args, { ROLES_ENTRY: entry.id }) !== 0) {
+    throw new Error(`Configuring roles for ${entry.id} failed`);
+  }
+}
+
+module.exports = {
+  deploy,
+  deployments,
+  verify,
+  roles,
+};
@@ -0,0 +1,93 @@
+const path = require("path");
+const { listDisputes, loadDispute, verifyTrail, tally } = require("../lib/disputes");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const DISPUTES_SCRIPT = path.join(__dirname, "..", "disputes.js");
+
+function printDispute(dispute) {
+  const { reverse, reject, needed } = tally(dispute);
+  const deadline = new Date(dispute.deadline * 1000).toISOString();
+  const error = dispute.lastError ? ` (last error: ${dispute.lastError})` : "";
+  console.log(`${dispute.status.padEnd(8)} ${dispute.disputeId} swap ${dispute.swapId}; ${reverse}/${needed} to reverse, ${reject} to reject; deadline ${deadline}${error}`);
+}
+
+function dispute(entries, options, action, target, decision) {
+  const usage = "Usage: dispute file <swapId> --reason <text> [--evidence <files>], dispute vote <disputeId> <reverse|reject>, " +
+    "dispute submit <signed.json>, dispute process [disputeId], dispute list [--status <status>] or dispute show <disputeId>; " +
+    "all with --network <name>";
+  if (!action || !options.network) {
+    throw new Error(usage);
+  }
+
+  if (action === "list") {
+    const found = listDisputes(options.network).filter((item) => !options.status || item.status === options.status);
+    if (options.json) {
+      console.log(JSON.stringify(found, null, 2));
+      return;
+    }
+    found.forEach(printDispute);
+    console.log(`\n${found.length} dispute${found.length === 1 ? "" : "s"} on ${options.network}`);
+    return;
+  }
+  if (action === "show") {
+    if (!target) {
+      throw new Error(usage);
+    }
+    const item = loadDispute(options.network, target);
+    const broken = verifyTrail(item);
+    if (options.json) {
+      console.log(JSON.stringify({ ...item, trailIntact: broken === -1 }, null, 2));
+      return;
+    }
+    printDispute(item);
+    console.log(`  filed by ${item.filedBy} (${item.role}): ${item.reason}`);
+    for (const hash of item.evidence) console.log(`  evidence ${hash}`);
+    for (const vote of item.votes) console.log(`  ${vote.operator} voted ${vote.decision}${vote.note ? `: ${vote.note}` : ""}`);
+    console.log("  trail:");
+    for (const { at, action: step, hash, ...details } of item.trail) {
+      console.log(`    ${at} ${step} ${JSON.stringify(details)}`);
+    }
+    if (broken !== -1) {
+      throw new Error(`The audit trail of ${target} was altered at entry ${broken + 1}`);
+    }
+    console.log("  trail intact");
+    return;
+  }
+
+  const env = { DISPUTE_ACTION: action, ...(options.by && { DISPUTE_BY: options.by }) };
+  if (action === "file") {
+    if (!target || !options.reason) {
+      throw new Error(usage);
+    }
+    const evidence = (options.evidence || "").split(",").filter(Boolean).map((item) => (/^0x[0-9a-fA-F]{64}$/.test(item) ? item : path.resolve(item)));
+    Object.assign(env, { DISPUTE_SWAP: target, DISPUTE_REASON: options.reason, DISPUTE_EVIDENCE: evidence.join(",") });
+  } else if (action === "vote") {
+    if (!target || !["reverse", "reject"].includes(decision)) {
+      throw new Error(usage);
+    }
+    Object.assign(env, { DISPUTE_ID: target, DISPUTE_DECISION: decision, ...(options.reason && { DISPUTE_REASON: options.reason }) });
+  } else if (action === "submit") {
+    if (!target) {
+      throw new Error(usage);
+    }
+    env.DISPUTE_SIGNED = path.resolve(target);
+  } else if (action === "process") {
+    if (target) env.DISPUTE_ID = target;
+  } else {
+    throw new Error(usage);
+  }
+
+  const args = ["hardhat", "run", relative(DISPUTES_SCRIPT), "--network", options.network];
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`dispute ${action} on ${options.network} failed`);
+  }
+}
+
+module.exports = {
+  dispute,
+};
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ROOT, filterEntries } = require("../lib/catalogue");
+const { readNetworkValues } = require("../lib/params");
+const { loadPrerequisites, planDeployment } = require("../lib/graph");
+const { readEstimates, gweiToWei, formatNative, nativeSymbol, buildReport } = require("../lib/estimate");
+const { DEFAULT_GAS_PRICE, PREREQUISITES_SCRIPT, relative, formatCommand, runHardhat, runHardhatQuietly } = require("./common");
+
+// The Hardhat network in hardhat.config.js that points at the node started for the run.
+const ESTIMATE_NETWORK = "estimate";
+const NODE_START_TIMEOUT = 60000;
+
+// Prerequisites to deploy on the fresh estimation chain (every one the matching entries need, in
+// dependency order) and the subset the target network is missing, which the report counts.
+function prerequisitesFor(matches, network) {
+  const deploy = [];
+  const missing = new Set();
+  for (const entry of matches) {
+    try {
+      const { deploy: nodes } = planDeployment(entry, ESTIMATE_NETWORK, { values: {}, addressBook: {} });
+      deploy.push(...nodes.filter((node) => !deploy.includes(node)));
+      for (const node of planDeployment(entry, network, { values: readNetworkValues(entry.dir, network) }).deploy) {
+        missing.add(node);
+      }
+    } catch (error) {
+      console.warn(`${entry.id}: ${error.message}; a placeholder address is used instead`);
+    }
+  }
+  return { deploy, missing };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function stopNode(child) {
+  try {
+    process.kill(-child.pid);
+  } catch (error) {
+    if (error.code !== "ESRCH") throw error;
+  }
+}
+
+/**
+ * Starts `hardhat node` on `port` for the whole run, so the contracts one deploy script
+ * deploys are still there for the next. Resolves once the node answers JSON-RPC.
+ */
+async function startNode(port, timeout = NODE_START_TIMEOUT) {
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn("npx", ["hardhat", "node", "--port", String(port)], { cwd: ROOT, stdio: "ignore", detached: true });
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`hardhat node exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }),
+      });
+      if (response.ok) {
+        return { url, stop: () => stopNode(child) };
+      }
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  stopNode(child);
+  throw new Error(`hardhat node did not answer on ${url} within ${timeout / 1000}s`);
+}
+
+// Records `error` against a deployment the failed run did not get to measure, matched on
+// `key` within its entry (prerequisites share contract names, so they match by name).
+function recordFailedEstimate(file, row, error, key = "contractName") {
+  const measured = readEstimates(file).some((estimate) => estimate.entry === row.entry && estimate[key] === row[key]);
+  if (!measured) {
+    fs.appendFileSync(file, JSON.stringify({ ...row, error }) + "\n");
+  }
+}
+
+function printEstimate(report, network) {
+  const symbol = nativeSymbol(network);
+  console.log(`Gas price: ${formatNative(BigInt(report.gasPrice) * 10n ** 9n)} gwei\n`);
+  console.log(`${"Entry".padEnd(13)} ${"Contract".padEnd(44)} ${"Deploy gas".padStart(11)} ${"Setup gas".padStart(10)} ${"Size".padStart(7)} ${`Cost (${symbol})`.padStart(14)}`);
+  for (const row of report.rows) {
+    const cost = row.cost === null ? "-" : formatNative(BigInt(row.cost));
+    console.log(
+      `${(row.entry || "-").padEnd(13)} ${row.contractName.padEnd(44)} ${(row.gasUsed || "-").padStart(11)} ${(row.setupGas || "-").padStart(10)} ${String(row.codeSize || "-").padStart(7)} ${cost.padStart(14)}`
+    );
+    for (const warning of row.warnings) {
+      console.log(`${"".padEnd(13)} ! ${warning}`);
+    }
+  }
+  console.log(`\nTotal: ${report.totalGas} gas, ${formatNative(BigInt(report.totalCost))} ${symbol}`);
+  if (report.oversized > 0 || report.failed > 0) {
+    console.log(`${report.oversized} contract(s) over the code size limit, ${report.failed} deployment(s) failed`);
+  }
+}
+
+async function estimate(entries, options) {
+  const matches = filterEntries(entries, options).filter((entry) => entry.deployScript);
+  if (matches.length === 0) {
+    throw new Error("No catalogue entries with a deploy script match the filters");
+  }
+
+  const network = options.network || "hardhat";
+  const gasPrice = gweiToWei(options["gas-price"] || DEFAULT_GAS_PRICE);
+  const prerequisites = prerequisitesFor(matches, network);
+  const prerequisiteArgs = ["hardhat", "run", relative(PREREQUISITES_SCRIPT), "--network", ESTIMATE_NETWORK];
+
+  if (options["dry-run"]) {
+    console.log(`[dry-run] npx hardhat compile`);
+    console.log(`[dry-run] npx hardhat node --port <free port>`);
+    if (prerequisites.deploy.length > 0) {
+      console.log(`[dry-run] PREREQUISITES=${prerequisites.deploy.join(",")} ${formatCommand(prerequisiteArgs)}`);
+    }
+    for (const entry of matches) {
+      console.log(`[dry-run] ${formatCommand(["hardhat", "run", relative(entry.deployScript), "--network", ESTIMATE_NETWORK])}`);
+    }
+    return;
+  }
+
+  if (runHardhat(["hardhat", "compile"]) !== 0) {
+    throw new Error("Compilation failed");
+  }
+
+  // The estimation chain's deployments are recorded in a scratch registry, which loadParams
+  // reads the prerequisites' addresses from.
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "catalogue-estimate-"));
+  const file = path.join(scratch, "estimates.jsonl");
+  const node = await startNode(await freePort());
+  const env = {
+    DEPLOY_ESTIMATE_FILE: file,
+    DEPLOY_PARAMS_NETWORK: network,
+    DEPLOYMENTS_DIR: path.join(scratch, "deployments"),
+    ESTIMATE_RPC_URL: node.url,
+  };
+
+  try {
+    if (prerequisites.deploy.length > 0) {
+      console.log(`Estimating prerequisites: ${prerequisites.deploy.join(", ")}`);
+      const error = runHardhatQuietly(prerequisiteArgs, { ...env, PREREQUISITES: prerequisites.deploy.join(","), DEPLOY_ESTIMATE_ENTRY: "prerequisite" });
+      if (error) {
+        const specs = loadPrerequisites();
+        for (const name of prerequisites.deploy) {
+          recordFailedEstimate(file, { entry: "prerequisite", name, contractName: specs[name].contract || name }, error, "name");
+        }
+      }
+    }
+    for (const entry of matches) {
+      console.log(`Estimating ${entry.id} ${entry.contractName}`);
+      const error = runHardhatQuietly(["hardhat", "run", relative(entry.deployScript), "--network", ESTIMATE_NETWORK], {
+        ...env,
+        DEPLOY_ESTIMATE_ENTRY: entry.id,
+      });
+      if (error) {
+        recordFailedEstimate(file, { entry: entry.id, name: entry.contractName, contractName: entry.contractName }, error);
+      }
+    }
+
+    // Prerequisites the target network already has were only deployed to estimate their dependents.
+    const estimates = readEstimates(file).filter((row) => row.entry !== "prerequisite" || prerequisites.missing.has(row.name));
+    const report = buildReport(estimates, gasPrice);
+    if (options.json) {
+      console.log(JSON.stringify({ network, ...report }, null, 2));
+    } else {
+      console.log("");
+      printEstimate(report, network);
+    }
+    if (report.failed > 0 || report.oversized > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    node.stop();
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  estimate,
+};
@@ -0,0 +1,77 @@
+const path = require("path");
+const { indexedDeployments, loadDatabase, lifecycles, queryLifecycles, reconciliationReport, writeReport } = require("../lib/indexer");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const INDEX_SCRIPT = path.join(__dirname, "..", "index-settlements.js");
+
+function index(entries, options, ...only) {
+  if (!options.network) {
+    throw new Error("index needs --network");
+  }
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const record of indexedDeployments(options.network, only)) {
+    console.log(`${prefix}index ${record.name} (${record.contractName}) at ${record.address}`);
+  }
+
+  const args = ["hardhat", "run", relative(INDEX_SCRIPT), "--network", options.network];
+  const env = { ...(only.length > 0 && { INDEXER_CONTRACTS: only.join(",") }), ...(options.once && { INDEXER_ONCE: "1" }) };
+  if (options["dry-run"]) {
+    const prefixEnv = Object.entries(env).map(([key, value]) => `${key}=${value} `).join("");
+    console.log(`[dry-run] ${prefixEnv}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`Indexing ${options.network} failed`);
+  }
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "-";
+}
+
+function settlements(entries, options, contract) {
+  if (!options.network) {
+    throw new Error("settlements needs --network");
+  }
+  const items = queryLifecycles(lifecycles(options.network), { status: options.status, party: options.party, contract });
+  if (options.json) {
+    console.log(JSON.stringify(items, null, 2));
+    return;
+  }
+
+  for (const item of items) {
+    const parties = item.legs.map((leg) => leg.party).join(", ");
+    console.log(`${item.status.padEnd(9)} ${item.kind.padEnd(10)} ${item.id} opened ${formatTime(item.openedAt)} closed ${formatTime(item.closedAt)}`);
+    console.log(`          ${item.contractName} ${item.contract}; parties: ${parties || "unknown"}`);
+  }
+  const { latestBlock, indexedAt } = loadDatabase(options.network);
+  console.log(`\n${items.length} item${items.length === 1 ? "" : "s"}; indexed up to block ${latestBlock ?? "-"} at ${indexedAt || "never"}`);
+}
+
+function settlementReport(entries, options) {
+  if (!options.network) {
+    throw new Error("settlement-report needs --network");
+  }
+  const date = options.date || new Date().toISOString().slice(0, 10);
+  const report = reconciliationReport(options.network, date);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const { jsonFile, csvFile } = writeReport(report);
+  console.log(`Reconciliation for ${date} on ${options.network}:`);
+  for (const [party, totals] of Object.entries(report.counterparties)) {
+    console.log(`  ${party}  unsettled ${totals.unsettled}, expired ${totals.expired}, failed ${totals.failed}`);
+  }
+  if (report.rows.length === 0) {
+    console.log("  nothing unsettled, expired or failed");
+  }
+  console.log(`Written to ${relative(csvFile)} and ${relative(jsonFile)}`);
+}
+
+module.exports = {
+  index,
+  settlements,
+  "settlement-report": settlementReport,
+};
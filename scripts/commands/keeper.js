@@ -0,0 +1,56 @@
+const path = require("path");
+const { watchedDeployments, loadState, readAudit } = require("../lib/keeper");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const KEEPER_SCRIPT = path.join(__dirname, "..", "refund-keeper.js");
+
+function keeper(entries, options, ...only) {
+  if (!options.network) {
+    throw new Error("keeper needs --network");
+  }
+  const watched = watchedDeployments(options.network, only);
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const record of watched) {
+    console.log(`${prefix}watch ${record.name} (${record.contractName}) at ${record.address}`);
+  }
+
+  const args = ["hardhat", "run", relative(KEEPER_SCRIPT), "--network", options.network];
+  const env = { ...(only.length > 0 && { KEEPER_CONTRACTS: only.join(",") }), ...(options.once && { KEEPER_ONCE: "1" }) };
+  if (options["dry-run"]) {
+    const prefixEnv = Object.entries(env).map(([key, value]) => `${key}=${value} `).join("");
+    console.log(`[dry-run] ${prefixEnv}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`The keeper on ${options.network} failed`);
+  }
+}
+
+function keeperStatus(entries, options) {
+  if (!options.network) {
+    throw new Error("keeper-status needs --network");
+  }
+  const { items } = loadState(options.network);
+  const log = readAudit(options.network).slice(-10);
+
+  if (options.json) {
+    console.log(JSON.stringify({ items, audit: log }, null, 2));
+    return;
+  }
+
+  for (const item of Object.values(items)) {
+    const expiry = new Date(item.expiresAt * 1000).toISOString();
+    const error = item.lastError ? ` (last error: ${item.lastError})` : "";
+    console.log(`${item.status.padEnd(8)} ${item.contractName.padEnd(29)} ${item.id} expires ${expiry}${error}`);
+  }
+  console.log(`\n${Object.keys(items).length} tracked item${Object.keys(items).length === 1 ? "" : "s"}; latest audit entries:`);
+  for (const entry of log) {
+    const { at, action, ...details } = entry;
+    console.log(`  ${at} ${action} ${JSON.stringify(details)}`);
+  }
+}
+
+module.exports = {
+  keeper,
+  "keeper-status": keeperStatus,
+};
@@ -0,0 +1,78 @@
+const path = require("path");
+const { loadIssuerConfig } = require("../lib/attestations");
+const { loadRoster, verifyReport } = require("../lib/onboarding");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const KYC_ISSUER_SCRIPT = path.join(__dirname, "..", "kyc-issuer.js");
+const KYC_ONBOARD_SCRIPT = path.join(__dirname, "..", "kyc-onboard.js");
+
+function kycIssuer(entries, options, action, file, user, query) {
+  const usage = "Usage: kyc-issuer serve <config.json> or kyc-issuer issue <config.json> <user> [name|id], with --network <name>";
+  if (!["serve", "issue"].includes(action) || !file || (action === "issue" && !user) || !options.network) {
+    throw new Error(usage);
+  }
+  const config = loadIssuerConfig(path.resolve(file));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}attest for ${config.contracts.join(", ")} on ${options.network} after the ${config.check.type} check`);
+
+  const args = ["hardhat", "run", relative(KYC_ISSUER_SCRIPT), "--network", options.network];
+  const env = {
+    KYC_ISSUER_CONFIG: path.resolve(file),
+    KYC_ISSUER_ACTION: action,
+    ...(options.port && { KYC_ISSUER_PORT: options.port }),
+    ...(user && { KYC_USER: user }),
+    ...(query && { KYC_CONTRACT: query }),
+    ...(options.submit && { KYC_SUBMIT: "1" }),
+  };
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`kyc-issuer ${action} on ${options.network} failed`);
+  }
+}
+
+function kycOnboard(entries, options, action, file, query) {
+  const usage = "Usage: kyc-onboard <plan|submit> <roster.csv> [name|id] --network <name> or kyc-onboard verify <report.signed.json>";
+  if (action === "verify" && file) {
+    const { ok, signer, report, problem } = verifyReport(path.resolve(file));
+    if (!ok) {
+      throw new Error(`${file} does not verify: ${problem}`);
+    }
+    const applied = report.changes.filter((change) => change.applied).length;
+    console.log(`${file} was signed by ${signer}: ${applied}/${report.changes.length} changes applied to ${report.contract} on ${report.network}` +
+      `${report.complete ? "" : " (incomplete)"}, roster ${report.roster} ${report.rosterHash}`);
+    return;
+  }
+  if (!["plan", "submit"].includes(action) || !file || !options.network) {
+    throw new Error(usage);
+  }
+  const rows = loadRoster(path.resolve(file));
+  const approved = rows.filter((row) => row.kyc === "approved").length;
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}${rows.length} wallets in ${file}: ${approved} approved, ${rows.length - approved} revoked`);
+
+  const args = ["hardhat", "run", relative(KYC_ONBOARD_SCRIPT), "--network", options.network];
+  const env = {
+    KYC_ONBOARD_ROSTER: path.resolve(file),
+    KYC_ONBOARD_ACTION: action,
+    ...(query && { KYC_ONBOARD_CONTRACT: query }),
+    ...(options["max-gas"] && { KYC_ONBOARD_MAX_GAS: options["max-gas"] }),
+    ...(options.by && { KYC_OFFICER: options.by }),
+  };
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`kyc-onboard ${action} ${file} failed`);
+  }
+}
+
+module.exports = {
+  "kyc-issuer": kycIssuer,
+  "kyc-onboard": kycOnboard,
+};
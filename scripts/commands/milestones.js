@@ -0,0 +1,91 @@
+const path = require("path");
+const { importPlan, loadProject, missingApprovals, approveMilestone, statement, writeStatement } = require("../lib/milestones");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const MILESTONES_SCRIPT = path.join(__dirname, "..", "milestones.js");
+
+function printMilestones(project) {
+  const now = Math.floor(Date.now() / 1000);
+  for (const milestone of project.milestones) {
+    const due = milestone.releaseTime <= now ? "due" : `due ${new Date(milestone.releaseTime * 1000).toISOString()}`;
+    const missing = missingApprovals(milestone);
+    const approvals = milestone.approvers.length === 0 ? "no approval needed" : missing.length === 0 ? "approved" : `awaiting ${missing.join(", ")}`;
+    const id = milestone.milestoneId === undefined ? "" : ` #${milestone.milestoneId}`;
+    console.log(`${milestone.status.padEnd(8)} ${milestone.milestone}${id} ${milestone.amount} on ${milestone.contract}; ${due}; ${approvals}`);
+    if (milestone.lastError) console.log(`         last error: ${milestone.lastError}`);
+  }
+}
+
+function milestones(entries, options, action, target, key) {
+  const usage = "Usage: milestones import <plan.json|plan.csv>, milestones <create|release> <project> --network <name>, " +
+    "milestones approve <project> <milestone> --network <name> [--by <approver> | --signature <signature>], " +
+    "or milestones <status|statement> <project>";
+  if (!action || !target) {
+    throw new Error(usage);
+  }
+
+  if (action === "import") {
+    const project = importPlan(path.resolve(target));
+    console.log(`Imported ${project.milestones.length} milestone${project.milestones.length === 1 ? "" : "s"} into ${project.project}:`);
+    printMilestones(project);
+    return;
+  }
+  const project = loadProject(target);
+  if (!project) {
+    throw new Error(`No milestone project "${target}"; run milestones import <plan> first`);
+  }
+
+  if (action === "approve" && options.signature) {
+    if (!key) {
+      throw new Error(usage);
+    }
+    const { milestone, by } = approveMilestone(target, key, options.signature, { network: options.network });
+    const missing = missingApprovals(milestone);
+    console.log(`${by} approved ${key}${missing.length > 0 ? `; still awaiting ${missing.join(", ")}` : "; fully approved"}`);
+  } else if (action === "status") {
+    if (options.json) {
+      console.log(JSON.stringify(project, null, 2));
+      return;
+    }
+    console.log(`${project.project}${project.network ? ` on ${project.network}` : ""}:`);
+    printMilestones(project);
+  } else if (action === "statement") {
+    const report = statement(target);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    for (const [beneficiary, totals] of Object.entries(report.beneficiaries)) {
+      console.log(`${beneficiary}  paid ${totals.paid}, outstanding ${totals.outstanding} of ${totals.total} (${totals.milestones} milestone${totals.milestones === 1 ? "" : "s"})`);
+    }
+    const { jsonFile, csvFile } = writeStatement(report);
+    console.log(`Written to ${relative(csvFile)} and ${relative(jsonFile)}`);
+  } else if (action === "create" || action === "release" || action === "approve") {
+    if (!options.network) {
+      throw new Error(`milestones ${action} needs --network${action === "approve" ? " or --signature" : ""}`);
+    }
+    if (action === "approve" && !key) {
+      throw new Error(usage);
+    }
+    const args = ["hardhat", "run", relative(MILESTONES_SCRIPT), "--network", options.network];
+    const env = { MILESTONES_PROJECT: target, MILESTONES_ACTION: action };
+    if (action === "approve") {
+      Object.assign(env, { MILESTONES_MILESTONE: key, ...(options.by && { MILESTONES_BY: options.by }) });
+    }
+    if (options["dry-run"]) {
+      printMilestones(project);
+      const assignments = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+      console.log(`[dry-run] ${assignments.join(" ")} ${formatCommand(args)}`);
+      return;
+    }
+    if (runHardhat(args, env) !== 0) {
+      throw new Error(`milestones ${action} ${target} on ${options.network} failed`);
+    }
+  } else {
+    throw new Error(usage);
+  }
+}
+
+module.exports = {
+  milestones,
+};
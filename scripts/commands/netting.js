@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+const { NETTING_MODES, loadTrades } = require("../lib/netting");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const NET_SCRIPT = path.join(__dirname, "..", "net-trades.js");
+const SETTLE_BATCHES_SCRIPT = path.join(__dirname, "..", "settle-batches.js");
+
+function net(entries, options, file) {
+  if (!file) {
+    throw new Error("Usage: net <trades.csv|trades.json>");
+  }
+  if (options.mode && !NETTING_MODES.includes(options.mode)) {
+    throw new Error(`--mode must be ${NETTING_MODES.join(" or ")}`);
+  }
+  const trades = loadTrades(path.resolve(file));
+  const parties = new Set(trades.flatMap((trade) => [trade.seller, trade.buyer]));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}net ${trades.length} trades between ${parties.size} parties ${options.mode || "multilateral"}ly`);
+
+  const args = ["hardhat", "run", relative(NET_SCRIPT)];
+  const env = {
+    NETTING_TRADES: path.resolve(file),
+    ...(options.mode && { NETTING_MODE: options.mode }),
+    ...(options["max-gas"] && { NETTING_MAX_GAS: options["max-gas"] }),
+  };
+  if (options["dry-run"]) {
+    const prefixEnv = Object.entries(env).map(([key, value]) => `${key}=${JSON.stringify(value)} `).join("");
+    console.log(`[dry-run] ${prefixEnv}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`Netting ${file} failed`);
+  }
+}
+
+function settleBatches(entries, options, file) {
+  if (!file || !options.network) {
+    throw new Error("Usage: settle-batches <plan.json> --network <name>");
+  }
+  const plan = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const batch of plan.batches) {
+    console.log(`${prefix}batch ${batch.batchId}: ${batch.tokenIds.length} token IDs ${batch.seller} -> ${batch.buyer}`);
+  }
+
+  const args = ["hardhat", "run", relative(SETTLE_BATCHES_SCRIPT), "--network", options.network];
+  if (options["dry-run"]) {
+    console.log(`[dry-run] NETTING_PLAN=${JSON.stringify(file)} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, { NETTING_PLAN: path.resolve(file) }) !== 0) {
+    throw new Error(`Some batches of ${file} were not settled on ${options.network}`);
+  }
+}
+
+module.exports = {
+  net,
+  "settle-batches": settleBatches,
+};
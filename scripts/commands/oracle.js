@@ -0,0 +1,63 @@
+const path = require("path");
+const { loadOracleConfig, loadState: loadOracleState, readAudit: readOracleAudit } = require("../lib/oracle");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const ORACLE_SCRIPT = path.join(__dirname, "..", "condition-oracle.js");
+
+function oracle(entries, options, file) {
+  if (!file) {
+    throw new Error("oracle needs an oracle configuration file");
+  }
+  if (!options.network) {
+    throw new Error("oracle needs --network");
+  }
+  const config = loadOracleConfig(file);
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const escrow of config.escrows) {
+    const sources = escrow.conditions.map((condition) => condition.source).join(", ");
+    console.log(`${prefix}release ${escrow.contract}${escrow.escrowId === undefined ? "" : ` #${escrow.escrowId}`} once ${sources} hold`);
+  }
+
+  const args = ["hardhat", "run", relative(ORACLE_SCRIPT), "--network", options.network];
+  const env = { ORACLE_CONFIG: path.resolve(file), ...(options.once && { ORACLE_ONCE: "1" }) };
+  if (options["dry-run"]) {
+    const prefixEnv = Object.entries(env).map(([key, value]) => `${key}=${value} `).join("");
+    console.log(`[dry-run] ${prefixEnv}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`The condition oracle on ${options.network} failed`);
+  }
+}
+
+function oracleStatus(entries, options) {
+  if (!options.network) {
+    throw new Error("oracle-status needs --network");
+  }
+  const { escrows } = loadOracleState(options.network);
+  const log = readOracleAudit(options.network).slice(-10);
+
+  if (options.json) {
+    console.log(JSON.stringify({ escrows, audit: log }, null, 2));
+    return;
+  }
+
+  for (const escrow of Object.values(escrows)) {
+    const id = escrow.escrowId === undefined ? "" : ` #${escrow.escrowId}`;
+    const error = escrow.lastError ? ` (last error: ${escrow.lastError})` : "";
+    console.log(`${escrow.status.padEnd(8)} ${escrow.name}${id} "${escrow.condition || "?"}"${error}`);
+    for (const check of escrow.checks) {
+      console.log(`         ${check.holds ? "holds  " : "pending"} ${check.source}: ${check.detail}`);
+    }
+  }
+  console.log(`\n${Object.keys(escrows).length} tracked escrow${Object.keys(escrows).length === 1 ? "" : "s"}; latest audit entries:`);
+  for (const entry of log) {
+    const { at, action, ...details } = entry;
+    console.log(`  ${at} ${action} ${JSON.stringify(details)}`);
+  }
+}
+
+module.exports = {
+  oracle,
+  "oracle-status": oracleStatus,
+};
@@ -0,0 +1,34 @@
+const path = require("path");
+const { resolveDeployment } = require("../lib/registry");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const ORDERBOOK_SCRIPT = path.join(__dirname, "..", "orderbook.js");
+
+function orderbook(entries, options, query) {
+  const network = options.network || "hardhat";
+  const record = resolveDeployment(network, query || "RealTimeSettlementContract");
+  if (!record && !options.memory) {
+    throw new Error(`No RealTimeSettlementContract is recorded on ${network}; deploy 6-1Y_2C or use --memory`);
+  }
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}${record ? `orders for ${record.name} at ${record.address}` : "orders without a contract"} on ${network}`);
+
+  const args = ["hardhat", "run", relative(ORDERBOOK_SCRIPT), "--network", network];
+  const env = {
+    ...(query && { ORDERBOOK_CONTRACT: query }),
+    ...(options.port && { ORDERBOOK_PORT: options.port }),
+    ...(options.memory && { ORDERBOOK_MEMORY: "1" }),
+  };
+  if (options["dry-run"]) {
+    const prefixEnv = Object.entries(env).map(([key, value]) => `${key}=${value} `).join("");
+    console.log(`[dry-run] ${prefixEnv}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error(`The order book on ${network} failed`);
+  }
+}
+
+module.exports = {
+  orderbook,
+};
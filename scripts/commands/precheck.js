@@ -0,0 +1,42 @@
+const path = require("path");
+const { resolveDeployment } = require("../lib/registry");
+const { partiesOf, partyType } = require("../lib/compliance");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const PRECHECK_SCRIPT = path.join(__dirname, "..", "precheck.js");
+
+function precheck(entries, options, query, ...pairs) {
+  const usage = "Usage: precheck <name|id> <party>=<address> ... --network <name>";
+  if (!query || pairs.length === 0 || !options.network) {
+    throw new Error(usage);
+  }
+  const record = resolveDeployment(options.network, query);
+  if (!record) {
+    throw new Error(`No deployment matching "${query}" is recorded on ${options.network}`);
+  }
+  const expected = partiesOf(record.contractName);
+  const parties = {};
+  for (const pair of pairs) {
+    const [party, address] = pair.split("=");
+    if (!expected.includes(party) || !address) {
+      const expectedPairs = expected.map((name) => `${name}=<${partyType(record.contractName, name)}>`);
+      throw new Error(`${record.contractName} checks ${expectedPairs.join(" ")}, not "${pair}"`);
+    }
+    parties[party] = address;
+  }
+
+  const args = ["hardhat", "run", relative(PRECHECK_SCRIPT), "--network", options.network];
+  const env = { PRECHECK_CONTRACT: query, PRECHECK_PARTIES: JSON.stringify(parties), ...(options.json && { PRECHECK_JSON: "1" }) };
+  if (options["dry-run"]) {
+    const vars = Object.entries(env).map(([name, value]) => `${name}=${JSON.stringify(value)}`);
+    console.log(`[dry-run] ${vars.join(" ")} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  precheck,
+};
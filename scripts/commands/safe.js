@@ -0,0 +1,35 @@
+const path = require("path");
+const { loadBatch, describeBatch } = require("../lib/safe");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const SAFE_SCRIPT = path.join(__dirname, "..", "propose-safe.js");
+
+function propose(entries, options, file) {
+  if (!file) {
+    throw new Error("Missing batch file");
+  }
+  const batch = loadBatch(path.resolve(file));
+  const network = options.network || batch.network;
+  if (!network) {
+    throw new Error("The batch names no network; pass --network");
+  }
+
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  console.log(`${prefix}${batch.name || path.basename(file)} for Safe ${batch.safe} on ${network}`);
+  for (const line of describeBatch(batch)) {
+    console.log(`${prefix}  ${line}`);
+  }
+
+  const args = ["hardhat", "run", relative(SAFE_SCRIPT), "--network", "hardhat"];
+  if (options["dry-run"]) {
+    console.log(`[dry-run] SAFE_BATCH=${JSON.stringify(file)} SAFE_NETWORK=${network} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, { SAFE_BATCH: path.resolve(file), SAFE_NETWORK: network }) !== 0) {
+    throw new Error(`Simulating ${file} failed`);
+  }
+}
+
+module.exports = {
+  propose,
+};
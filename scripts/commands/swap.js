@@ -0,0 +1,75 @@
+const path = require("path");
+const { loadSwapSpec } = require("../lib/swap");
+const { listRecords, isFinal } = require("../lib/vault");
+const { relative, formatCommand, runHardhat } = require("./common");
+
+const SWAP_SCRIPT = path.join(__dirname, "..", "swap.js");
+const RECOVER_SCRIPT = path.join(__dirname, "..", "recover-swaps.js");
+
+function listSwaps(options) {
+  const records = listRecords();
+  if (options.json) {
+    console.log(JSON.stringify(records.map(({ secret, ...record }) => ({ ...record, hasSecret: Boolean(secret) })), null, 2));
+    return;
+  }
+  for (const record of records) {
+    const { legA, legB } = record.spec;
+    console.log(`${record.swapIdA} ${record.role.padEnd(11)} ${record.stage.padEnd(19)} ${legA.network} -> ${legB.network}  ${record.updatedAt}`);
+  }
+  console.log(`\n${records.length} swap${records.length === 1 ? "" : "s"}, ${records.filter((record) => !isFinal(record)).length} in flight`);
+}
+
+function recoverSwaps(options, ids) {
+  const records = listRecords().filter((record) => !isFinal(record) && (ids.length === 0 || ids.includes(record.swapIdA)));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  for (const record of records) {
+    console.log(`${prefix}resume ${record.swapIdA} as ${record.role} from ${record.stage}`);
+  }
+  if (records.length === 0) {
+    console.log("No in-flight swaps to recover");
+    return;
+  }
+
+  const args = ["hardhat", "run", relative(RECOVER_SCRIPT)];
+  const env = ids.length > 0 ? { SWAP_IDS: ids.join(",") } : {};
+  if (options["dry-run"]) {
+    console.log(`[dry-run] ${ids.length > 0 ? `SWAP_IDS=${ids.join(",")} ` : ""}${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, env) !== 0) {
+    throw new Error("Some swaps could not be recovered");
+  }
+}
+
+function swap(entries, options, role, file, ...rest) {
+  if (role === "list") {
+    return listSwaps(options);
+  }
+  if (role === "recover") {
+    return recoverSwaps(options, [file, ...rest].filter(Boolean));
+  }
+  if (!["initiate", "participate"].includes(role) || !file) {
+    throw new Error("Usage: swap <initiate|participate> <swap.json>, swap list or swap recover [swapId ...]");
+  }
+  const spec = loadSwapSpec(path.resolve(file));
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+
+  for (const name of ["legA", "legB"]) {
+    const leg = spec[name];
+    const lock = leg.timeLock ? `, refundable after ${leg.timeLock}s` : "";
+    console.log(`${prefix}${name} on ${leg.network}: ${leg.initiator} locks ${leg.amount} of ${leg.token} for ${leg.participant} in ${leg.contract}${lock}`);
+  }
+
+  const args = ["hardhat", "run", relative(SWAP_SCRIPT)];
+  if (options["dry-run"]) {
+    console.log(`[dry-run] SWAP_FILE=${JSON.stringify(file)} SWAP_ROLE=${role} ${formatCommand(args)}`);
+    return;
+  }
+  if (runHardhat(args, { SWAP_FILE: path.resolve(file), SWAP_ROLE: role }) !== 0) {
+    throw new Error(`The ${role} side of ${file} failed`);
+  }
+}
+
+module.exports = {
+  swap,
+};
@@ -0,0 +1,34 @@
+// Feeds escrow conditions from webhooks, signed delivery attestations, file drops or custom
+// adapters into ConditionalRealTimeEscrow and NFTEscrow contracts, releasing each escrow once
+// all of its conditions hold. Run through `npx hardhat run --network <name>`;
+// `node scripts/cli.js oracle` does this for you.
+//
+//   ORACLE_CONFIG          path to the oracle configuration (required)
+//   ORACLE_WEBHOOK_SECRET  HMAC secret webhook reports are signed with
+//   ORACLE_ONCE            set to run a single pass, e.g. from cron
+const hre = require("hardhat");
+const { loadOracleConfig, oracleFiles, createOracle, runOracle, stopOracle } = require("./lib/oracle");
+
+async function main() {
+  const network = hre.network.name;
+  if (!process.env.ORACLE_CONFIG) {
+    throw new Error("Set ORACLE_CONFIG to the oracle configuration file");
+  }
+  const config = loadOracleConfig(process.env.ORACLE_CONFIG);
+  const [owner] = await hre.ethers.getSigners();
+  const oracle = await createOracle({ network, config, signer: owner });
+
+  const { audit } = oracleFiles(network);
+  console.log(`Watching ${Object.keys(oracle.adapters).join(", ")} for ${config.escrows.length} escrow entr${config.escrows.length === 1 ? "y" : "ies"} on ${network}; audit log: ${audit}`);
+  process.on("SIGINT", () => {
+    console.log("Stopping after the current pass");
+    stopOracle(oracle);
+  });
+
+  await runOracle(oracle, { once: Boolean(process.env.ORACLE_ONCE) });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,32 @@
+// Runs the deploy.roles.json stage for an already deployed catalogue contract (ROLES_ENTRY is its
+// catalogue ID or contract name) and records the permission matrix it reads back. Run through
+// `npx hardhat run`; `node scripts/cli.js roles <id>` does this for you.
+const hre = require("hardhat");
+const { loadCatalogue, findEntry } = require("./lib/catalogue");
+const { latestDeployment, updateDeployment } = require("./lib/registry");
+const { configureRoles } = require("./lib/roles");
+const { artifactName } = require("./lib/deploy");
+
+async function main() {
+  const network = hre.network.name;
+  const entry = findEntry(loadCatalogue(), process.env.ROLES_ENTRY || "");
+  if (!entry) {
+    throw new Error(`No catalogue entry matches "${process.env.ROLES_ENTRY}"`);
+  }
+
+  const record = latestDeployment({ network, catalogueId: entry.id });
+  if (!record) {
+    throw new Error(`${entry.id} has no recorded deployment on ${network}`);
+  }
+
+  const contract = await hre.ethers.getContractAt(await artifactName(entry.contractName, entry.dir), record.address);
+  const permissions = await configureRoles(contract, entry.dir, network);
+  if (permissions) {
+    updateDeployment(record, { permissions });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
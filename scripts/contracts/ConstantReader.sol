@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ConstantReader
+ * @dev Reads view functions of a contract that is not deployed yet. It is never deployed itself:
+ * scripts/lib/create2.js runs its creation code with eth_call, the constructor creates the
+ * target from `initCode`, makes each of `calls` against it and returns the abi-encoded
+ * `bytes[]` of results in place of runtime code. Nothing is written to the chain.
+ */
+contract ConstantReader {
+    constructor(bytes memory initCode, bytes[] memory calls) {
+        address target;
+        assembly {
+            target := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        require(target != address(0), "ConstantReader: deployment failed");
+
+        bytes[] memory results = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = target.staticcall(calls[i]);
+            require(success, "ConstantReader: call failed");
+            results[i] = result;
+        }
+
+        bytes memory encoded = abi.encode(results);
+        assembly {
+            return(add(encoded, 0x20), mload(encoded))
+        }
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title DeterministicDeployer
+ * @dev CREATE2 factory used by scripts/lib/create2.js. It is itself deployed through the keyless
+ * deterministic deployment proxy, so it has the same address on every chain, and so does every
+ * contract it creates for a given caller, salt and init code.
+ *
+ * The salt is bound to the caller, so nobody else can claim an address reserved for a deployer.
+ * Contracts that hand roles or ownership to `msg.sender` in their constructor give them to this
+ * factory; the `init` calls run right after creation to pass them on to the caller.
+ */
+contract DeterministicDeployer {
+    event Deployed(address indexed deployer, bytes32 indexed salt, address deployed);
+
+    function computeAddress(address deployer, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        bytes32 hash = keccak256(abi.encodePacked(bytes1(0xff), address(this), _guardedSalt(deployer, salt), initCodeHash));
+        return address(uint160(uint256(hash)));
+    }
+
+    function deploy(bytes32 salt, bytes memory initCode, bytes[] calldata init) external payable returns (address deployed) {
+        bytes32 guardedSalt = _guardedSalt(msg.sender, salt);
+        assembly {
+            deployed := create2(callvalue(), add(initCode, 0x20), mload(initCode), guardedSalt)
+        }
+        require(deployed != address(0), "DeterministicDeployer: deployment failed");
+
+        for (uint256 i = 0; i < init.length; i++) {
+            (bool success, bytes memory reason) = deployed.call(init[i]);
+            if (!success) {
+                assembly {
+                    revert(add(reason, 0x20), mload(reason))
+                }
+            }
+        }
+
+        emit Deployed(msg.sender, salt, deployed);
+    }
+
+    function _guardedSalt(address deployer, bytes32 salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(deployer, salt));
+    }
+}
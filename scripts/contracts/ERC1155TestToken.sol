@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title ERC1155TestToken
+ * @dev Plain ERC1155 with a batch of IDs minted to one holder, used by the tests of the ERC1155
+ * escrow and swap contracts.
+ */
+contract ERC1155TestToken is ERC1155 {
+    constructor(address holder, uint256[] memory ids, uint256[] memory amounts) ERC1155("") {
+        _mintBatch(holder, ids, amounts, "");
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ERC1820TestRegistry
+ * @dev The part of the ERC1820 registry that ERC777 tokens and their recipients use. The tests
+ * put its runtime code at the registry's canonical address with hardhat_setCode, since the
+ * real registry is deployed by a pre-signed transaction the in-process network does not have.
+ * An account can only set its own implementers; managers are not supported.
+ */
+contract ERC1820TestRegistry {
+    mapping(address => mapping(bytes32 => address)) private _implementers;
+
+    event InterfaceImplementerSet(address indexed account, bytes32 indexed interfaceHash, address indexed implementer);
+
+    function setInterfaceImplementer(address account, bytes32 interfaceHash, address implementer) external {
+        address target = account == address(0) ? msg.sender : account;
+        require(target == msg.sender, "ERC1820TestRegistry: not the account");
+        _implementers[target][interfaceHash] = implementer;
+        emit InterfaceImplementerSet(target, interfaceHash, implementer);
+    }
+
+    function getInterfaceImplementer(address account, bytes32 interfaceHash) external view returns (address) {
+        return _implementers[account == address(0) ? msg.sender : account][interfaceHash];
+    }
+}
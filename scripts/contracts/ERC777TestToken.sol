@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC777/ERC777.sol";
+
+/**
+ * @title ERC777TestToken
+ * @dev Plain ERC777 minted to one holder, used by the tests of the ERC777 settlement and escrow
+ * contracts. Needs the ERC1820 registry (see test/helpers.js installERC1820).
+ */
+contract ERC777TestToken is ERC777 {
+    constructor(address holder, uint256 supply) ERC777("Test777", "T777", new address[](0)) {
+        _mint(holder, supply, "", "");
+    }
+}
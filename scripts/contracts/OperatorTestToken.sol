@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title OperatorTestToken
+ * @dev Used by test/compliance.test.js. Only the ERC1400 operator bookkeeping the settlement
+ * contracts read before opening a trade: holders authorize and revoke operators, and
+ * `isOperator` reports it. `canTransfer` refuses everything, so executing a corporate action
+ * settles none of its trades and never needs balances.
+ */
+contract OperatorTestToken {
+    mapping(address => mapping(address => bool)) private _operators;
+
+    function authorizeOperator(address operator) external {
+        _operators[msg.sender][operator] = true;
+    }
+
+    function revokeOperator(address operator) external {
+        _operators[msg.sender][operator] = false;
+    }
+
+    function isOperator(address operator, address tokenHolder) external view returns (bool) {
+        return _operators[tokenHolder][operator];
+    }
+
+    function canTransfer(address, uint256, bytes calldata) external pure returns (bool, bytes32) {
+        return (false, bytes32(0));
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title PrerequisiteEquityToken
+ * @dev Stand-in for the ERC1400 equity token the 1-1Z contracts are built on. It is an ERC20
+ * that keeps its list of holders, which those contracts read with `holderAt` and `holderCount`
+ * to distribute dividends and corporate actions. Partitions and documents are not modelled.
+ * `supply` whole shares are issued to the deployer.
+ */
+contract PrerequisiteEquityToken is ERC20 {
+    address[] private _holders;
+    mapping(address => bool) private _isHolder;
+
+    constructor(string memory name, string memory symbol, uint256 supply) ERC20(name, symbol) {
+        _mint(msg.sender, supply * 10 ** decimals());
+    }
+
+    function holderCount() external view returns (uint256) {
+        return _holders.length;
+    }
+
+    function holderAt(uint256 index) external view returns (address) {
+        return _holders[index];
+    }
+
+    function _afterTokenTransfer(address, address to, uint256 amount) internal override {
+        if (to != address(0) && amount > 0 && !_isHolder[to]) {
+            _isHolder[to] = true;
+            _holders.push(to);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title PrerequisiteRestrictedToken
+ * @dev Stand-in for the ERC1404 restricted token the compliance-based voting contract reads
+ * balances from. The owner restricts accounts; transfers from or to them are refused with
+ * ERC1404's detectTransferRestriction codes. `supply` whole tokens are minted to the deployer.
+ */
+contract PrerequisiteRestrictedToken is ERC20, Ownable {
+    uint8 public constant SUCCESS = 0;
+    uint8 public constant RESTRICTED = 1;
+
+    uint8 private immutable _decimals;
+    mapping(address => bool) public restricted;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_, uint256 supply) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(msg.sender, supply * 10 ** decimals_);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function setRestricted(address account, bool value) external onlyOwner {
+        restricted[account] = value;
+    }
+
+    function detectTransferRestriction(address from, address to, uint256) public view returns (uint8) {
+        return restricted[from] || restricted[to] ? RESTRICTED : SUCCESS;
+    }
+
+    function messageForTransferRestriction(uint8 code) public pure returns (string memory) {
+        return code == SUCCESS ? "No restriction" : "Account is restricted";
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        uint8 code = detectTransferRestriction(from, to, amount);
+        require(code == SUCCESS, messageForTransferRestriction(code));
+    }
+}
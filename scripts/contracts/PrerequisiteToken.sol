@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title PrerequisiteToken
+ * @dev Plain ERC20 for the token prerequisites in scripts/prerequisites.json (stablecoins,
+ * fund and vault assets). `supply` whole tokens are minted to the deployer.
+ */
+contract PrerequisiteToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_, uint256 supply) ERC20(name, symbol) {
+        _decimals = decimals_;
+        _mint(msg.sender, supply * 10 ** decimals_);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
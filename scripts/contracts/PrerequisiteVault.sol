@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+
+/**
+ * @title PrerequisiteVault
+ * @dev Concrete ERC4626 vault over `asset`, for the vault prerequisite in
+ * scripts/prerequisites.json whose shares carry staking and yield voting power.
+ */
+contract PrerequisiteVault is ERC4626 {
+    constructor(IERC20 asset, string memory name, string memory symbol) ERC20(name, symbol) ERC4626(asset) {}
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title RoleHandoverTestContract
+ * @dev Used by test/create2.test.js. Its constructor gives roles to the deployer, which is the
+ * CREATE2 factory. MANAGER_ROLE is not keccak256 of the constant's name, so the handover has to
+ * read the role values from the contract. PAUSER_ROLE is never granted, and OPERATOR_ROLE is
+ * administered by GUARDIAN_ROLE, which nobody holds, so it cannot be passed on.
+ */
+contract RoleHandoverTestContract is AccessControl {
+    bytes32 public constant MANAGER_ROLE = keccak256("catalogue.roles.manager");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MANAGER_ROLE, msg.sender);
+        _grantRole(AUDITOR_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+        _setRoleAdmin(OPERATOR_ROLE, GUARDIAN_ROLE);
+    }
+}
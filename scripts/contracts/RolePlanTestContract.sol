@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title RolePlanTestContract
+ * @dev Used by test/roles.test.js and test/safe.test.js. Both role-based and Ownable, like the
+ * catalogue contracts a deploy.roles.json configures, with an `addOperator` helper that grants
+ * OPERATOR_ROLE the way their contract-specific calls do.
+ */
+contract RolePlanTestContract is AccessControl, Ownable {
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    function addOperator(address operator) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _grantRole(OPERATOR_ROLE, operator);
+    }
+}
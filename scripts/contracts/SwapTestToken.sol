@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title SwapTestToken
+ * @dev Plain ERC20 minted to one holder, used by the swap tests to give each side of a
+ * cross-chain swap something to trade.
+ */
+contract SwapTestToken is ERC20 {
+    constructor(string memory name, string memory symbol, address holder, uint256 supply) ERC20(name, symbol) {
+        _mint(holder, supply);
+    }
+}
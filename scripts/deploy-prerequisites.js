@@ -0,0 +1,51 @@
+// Deploys the prerequisites named in PREREQUISITES (comma-separated, dependency order) and
+// records them in the deployment registry. Run through `npx hardhat run`; the catalogue
+// CLI does this automatically before deploying a contract that requires them.
+const hre = require("hardhat");
+const { loadPrerequisites } = require("./lib/graph");
+const { getAddress } = require("./lib/registry");
+const { addressOf, deployContract } = require("./lib/deploy");
+
+// `deployed` holds the prerequisites deployed by this run, which the in-process network does not record.
+function resolveArgs(args, network, deployed) {
+  return args.map((arg) => {
+    if (arg && typeof arg === "object" && arg.ref) {
+      const address = deployed[arg.ref] || getAddress(network, arg.ref);
+      if (!address) {
+        throw new Error(`Prerequisite "${arg.ref}" has not been deployed on ${network}`);
+      }
+      return address;
+    }
+    return arg;
+  });
+}
+
+async function main() {
+  const network = hre.network.name;
+  const names = (process.env.PREREQUISITES || "").split(",").filter(Boolean);
+  const prerequisites = loadPrerequisites();
+  const deployed = {};
+
+  for (const name of names) {
+    const spec = prerequisites[name];
+    if (!spec) {
+      throw new Error(`Unknown prerequisite "${name}"`);
+    }
+
+    const existing = getAddress(network, name);
+    if (existing) {
+      console.log(`${name} already deployed at:`, existing);
+      continue;
+    }
+
+    const args = resolveArgs(spec.args || [], network, deployed);
+    const contract = await deployContract(spec.contract || name, args, { name, standard: spec.standard });
+    deployed[name] = await addressOf(contract);
+    console.log(`${name} deployed to:`, deployed[name]);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,122 @@
+// Files, votes on and carries out disputes over ReversibleAtomicSwap swaps. Run through
+// `npx hardhat run --network <name>`; `node scripts/cli.js dispute <action> ...` does this
+// for you.
+//
+//   DISPUTE_ACTION    file, vote, submit or process
+//   DISPUTE_CONTRACT  deployment name or catalogue ID (default: the latest ReversibleAtomicSwap)
+//   DISPUTE_BY        the local account that signs a filing or vote, or sends reverseSwap
+//   DISPUTE_SWAP      file: the swap ID in dispute
+//   DISPUTE_REASON    file: why the swap should be reversed; vote: an optional note
+//   DISPUTE_EVIDENCE  file: comma-separated evidence files (hashed locally) or 32-byte hashes
+//   DISPUTE_ID        vote: the dispute voted on; process: only this dispute
+//   DISPUTE_DECISION  vote: reverse or reject
+//   DISPUTE_SIGNED    submit: JSON file with { "kind": "dispute" | "vote", "value", "signature" }
+//                     signed elsewhere against the domain and types in lib/disputes.js
+//
+// Filings and votes are EIP-712 signatures. `file` and `vote` sign with one of the network's
+// accounts; `submit` records a signature made outside this repo, e.g. by a hardware wallet.
+const fs = require("fs");
+const hre = require("hardhat");
+const { resolveDeployment } = require("./lib/registry");
+const { signTyped, sameAddress } = require("./lib/common");
+const {
+  DISPUTE_TYPES,
+  VOTE_TYPES,
+  disputeDomain,
+  hashEvidence,
+  loadPolicy,
+  fileDispute,
+  castVote,
+  tally,
+  processDisputes,
+} = require("./lib/disputes");
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// The local account a filing or vote is signed with: DISPUTE_BY, or the first of `candidates`.
+function pickSigner(signers, candidates, what) {
+  const wanted = process.env.DISPUTE_BY ? [process.env.DISPUTE_BY] : candidates;
+  const signer = signers.find((account) => wanted.some((address) => sameAddress(account.address, address)));
+  if (!signer) {
+    throw new Error(`None of the network's accounts can ${what}; expected ${wanted.join(" or ")}`);
+  }
+  return signer;
+}
+
+function printDispute(dispute) {
+  const { reverse, reject, needed } = tally(dispute);
+  const deadline = new Date(dispute.deadline * 1000).toISOString();
+  console.log(`${dispute.status} dispute ${dispute.disputeId} on swap ${dispute.swapId}: ${reverse}/${needed} to reverse, ${reject} to reject, deadline ${deadline}`);
+}
+
+async function main() {
+  const network = hre.network.name;
+  const action = process.env.DISPUTE_ACTION;
+  const record = resolveDeployment(network, process.env.DISPUTE_CONTRACT || "ReversibleAtomicSwap");
+  if (!record) {
+    throw new Error(`No ${process.env.DISPUTE_CONTRACT || "ReversibleAtomicSwap"} deployment recorded on ${network}`);
+  }
+  const contract = await hre.ethers.getContractAt("ReversibleAtomicSwap", record.address);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const domain = disputeDomain(chainId, record.address);
+  const now = Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+  const signers = await hre.ethers.getSigners();
+  const policy = loadPolicy(network);
+  const context = { network, contract, domain, now };
+
+  if (action === "file") {
+    const swapId = process.env.DISPUTE_SWAP || "";
+    if (!HASH_PATTERN.test(swapId)) {
+      throw new Error("Set DISPUTE_SWAP to the 32-byte ID of the swap in dispute");
+    }
+    const swap = await contract.swaps(swapId);
+    const signer = pickSigner(signers, [swap.initiator, swap.participant], `file a dispute on swap ${swapId}`);
+    const evidence = (process.env.DISPUTE_EVIDENCE || "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => (HASH_PATTERN.test(item) ? item : hashEvidence(item)));
+    const filing = { swapId, reason: process.env.DISPUTE_REASON || "", evidence, filedAt: now };
+    const signature = await signTyped(signer, domain, DISPUTE_TYPES, filing);
+    printDispute(await fileDispute({ ...context, policy, filing, signature }));
+  } else if (action === "vote") {
+    const vote = { disputeId: process.env.DISPUTE_ID, decision: process.env.DISPUTE_DECISION, note: process.env.DISPUTE_REASON || "" };
+    const signer = pickSigner(signers, policy.operators, `vote on dispute ${vote.disputeId}`);
+    const signature = await signTyped(signer, domain, VOTE_TYPES, vote);
+    printDispute(await castVote({ ...context, vote, signature }));
+  } else if (action === "submit") {
+    const { kind, value, signature } = JSON.parse(fs.readFileSync(process.env.DISPUTE_SIGNED || "", "utf8"));
+    if (kind === "dispute") {
+      printDispute(await fileDispute({ ...context, policy, filing: value, signature }));
+    } else if (kind === "vote") {
+      printDispute(await castVote({ ...context, vote: value, signature }));
+    } else {
+      throw new Error(`"kind" must be dispute or vote, not "${kind}"`);
+    }
+  } else if (action === "process") {
+    // reverseSwap is sent by an operator: DISPUTE_BY, or the first account holding OPERATOR_ROLE.
+    const role = await contract.OPERATOR_ROLE();
+    let signer = process.env.DISPUTE_BY && pickSigner(signers, [], "send reverseSwap");
+    for (const account of signer ? [] : signers) {
+      if (await contract.hasRole(role, account.address)) {
+        signer = account;
+        break;
+      }
+    }
+    if (!signer) {
+      throw new Error(`None of the network's accounts holds OPERATOR_ROLE on ${record.address}`);
+    }
+    const processed = await processDisputes({ ...context, signer, only: process.env.DISPUTE_ID });
+    for (const dispute of processed) {
+      printDispute(dispute);
+    }
+    console.log(`${processed.length} dispute${processed.length === 1 ? "" : "s"} moved on ${network}`);
+  } else {
+    throw new Error(`DISPUTE_ACTION must be file, vote, submit or process, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
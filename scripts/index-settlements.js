@@ -0,0 +1,44 @@
+// Indexes the lifecycle events of the network's settlement contracts into
+// indexer/<network>/settlements.json, rolling back events orphaned by reorgs. Run through
+// `npx hardhat run --network <name>`; `node scripts/cli.js index` does this for you.
+//
+//   INDEXER_CONTRACTS      comma-separated deployment names or catalogue IDs (default: all recorded)
+//   INDEXER_POLL_INTERVAL  milliseconds between passes (default 15000)
+//   INDEXER_ONCE           set to index up to the latest block and exit
+const hre = require("hardhat");
+const { indexedDeployments, indexSettlements, databaseFile } = require("./lib/indexer");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const network = hre.network.name;
+  const only = (process.env.INDEXER_CONTRACTS || "").split(",").filter(Boolean);
+  const deployments = indexedDeployments(network, only);
+  if (deployments.length === 0) {
+    throw new Error(`No settlement contracts are recorded on ${network}`);
+  }
+  console.log(`Indexing ${deployments.map((record) => record.name).join(", ")} on ${network} into ${databaseFile(network)}`);
+
+  let stopped = false;
+  process.on("SIGINT", () => {
+    console.log("Stopping after the current pass");
+    stopped = true;
+  });
+
+  const pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || 15000);
+  while (!stopped) {
+    const { added } = await indexSettlements(network, deployments);
+    if (added > 0) {
+      console.log(`Indexed ${added} event${added === 1 ? "" : "s"}`);
+    }
+    if (process.env.INDEXER_ONCE) break;
+    await sleep(pollInterval);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,69 @@
+// Issues EIP-712 Verify(user, nonce) attestations for PrivacyPreservingKYCCompliance and
+// AccreditedInvestorVerificationWithPrivacy, signed by a compliance officer once an identity
+// check approves the user. Run through `npx hardhat run --network <name>`;
+// `node scripts/cli.js kyc-issuer <action> <config.json>` does this for you.
+//
+//   KYC_ISSUER_CONFIG  path to the issuer configuration (required, see scripts/README.md)
+//   KYC_ISSUER_ACTION  serve  answer POST /attestations over HTTP until interrupted
+//                      issue  issue one attestation and print it as JSON
+//   KYC_ISSUER_TOKEN   serve: bearer token requests must carry
+//   KYC_ISSUER_PORT    serve: port to listen on (default: the config's, then 8091)
+//   KYC_USER           issue: the wallet to attest for
+//   KYC_CONTRACT       issue: the deployment to attest for, when the config lists several
+//   KYC_EVIDENCE       issue: JSON handed to the identity check
+//   KYC_SUBMIT         issue: also send the attestation from the officer's account
+const hre = require("hardhat");
+const { loadIssuerConfig, createIssuer, submitAttestation } = require("./lib/attestations");
+const { startIssuerServer } = require("./lib/attestation-server");
+
+async function officerSigner(address) {
+  const signers = await hre.ethers.getSigners();
+  if (!address) {
+    return signers[0];
+  }
+  const signer = signers.find((account) => account.address.toLowerCase() === address.toLowerCase());
+  if (!signer) {
+    throw new Error(`${address} is not one of ${hre.network.name}'s accounts`);
+  }
+  return signer;
+}
+
+async function main() {
+  const network = hre.network.name;
+  const config = loadIssuerConfig(process.env.KYC_ISSUER_CONFIG);
+  const signer = await officerSigner(config.officer);
+  const issuer = await createIssuer({ network, contracts: config.contracts, check: config.check, signer });
+  const action = process.env.KYC_ISSUER_ACTION;
+
+  if (action === "serve") {
+    const server = await startIssuerServer(issuer, {
+      token: process.env.KYC_ISSUER_TOKEN,
+      port: Number(process.env.KYC_ISSUER_PORT || config.port || 8091),
+      host: config.host || "127.0.0.1",
+    });
+    const { address, port } = server.address();
+    const names = issuer.contracts().map((contract) => contract.name).join(", ");
+    console.log(`${issuer.officer} attesting for ${names} on ${network} after ${issuer.describe()}; listening on http://${address}:${port}`);
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    server.close();
+    process.exit();
+  } else if (action === "issue") {
+    const evidence = process.env.KYC_EVIDENCE ? JSON.parse(process.env.KYC_EVIDENCE) : undefined;
+    const result = await issuer.issue({ user: process.env.KYC_USER, contract: process.env.KYC_CONTRACT, evidence });
+    if (!result.approved) {
+      throw new Error(`Not attesting for ${process.env.KYC_USER}: ${result.reason}`);
+    }
+    console.log(JSON.stringify(result.attestation, null, 2));
+    if (process.env.KYC_SUBMIT) {
+      const hash = await submitAttestation(result.attestation, signer);
+      console.log(`Submitted with ${result.attestation.method} (${hash})`);
+    }
+  } else {
+    throw new Error(`KYC_ISSUER_ACTION must be serve or issue, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+// Brings a BatchKYCAMLComplianceContract in line with a compliance team's roster of investor
+// wallets (KYC_ONBOARD_ROSTER, see scripts/README.md). Run through
+// `npx hardhat run --network <name>`; `node scripts/cli.js kyc-onboard <action> <roster.csv>`
+// does this for you.
+//
+//   KYC_ONBOARD_ACTION    plan    diff the roster against the contract and save the batches
+//                         submit  send what is left of the saved plan, then write the signed
+//                                 change report
+//   KYC_ONBOARD_ROSTER    CSV or JSON roster (required)
+//   KYC_ONBOARD_CONTRACT  deployment name or catalogue ID (default: the latest BatchKYCAMLComplianceContract)
+//   KYC_ONBOARD_LABEL     name of the onboarding run (default: the roster's file name)
+//   KYC_ONBOARD_MAX_GAS   gas one call may use (default: 3000000)
+//   KYC_OFFICER           account holding COMPLIANCE_OFFICER_ROLE (default: the first account)
+const path = require("path");
+const hre = require("hardhat");
+const { resolveDeployment } = require("./lib/registry");
+const { DEFAULT_MAX_GAS } = require("./lib/common");
+const { onboardingDir, planOnboarding, savePlan, submitOnboarding, writeReport } = require("./lib/onboarding");
+
+async function officerSigner(address) {
+  const signers = await hre.ethers.getSigners();
+  if (!address) {
+    return signers[0];
+  }
+  const signer = signers.find((account) => account.address.toLowerCase() === address.toLowerCase());
+  if (!signer) {
+    throw new Error(`${address} is not one of ${hre.network.name}'s accounts`);
+  }
+  return signer;
+}
+
+async function main() {
+  const network = hre.network.name;
+  const roster = process.env.KYC_ONBOARD_ROSTER;
+  if (!roster) {
+    throw new Error("Set KYC_ONBOARD_ROSTER to the roster file");
+  }
+  const label = process.env.KYC_ONBOARD_LABEL || path.basename(roster).replace(/\.[^.]+$/, "");
+  const action = process.env.KYC_ONBOARD_ACTION;
+
+  if (action === "plan") {
+    const query = process.env.KYC_ONBOARD_CONTRACT || "BatchKYCAMLComplianceContract";
+    const record = resolveDeployment(network, query);
+    if (!record || record.contractName !== "BatchKYCAMLComplianceContract") {
+      throw new Error(`No BatchKYCAMLComplianceContract "${query}" is recorded on ${network}`);
+    }
+    const maxGas = Number(process.env.KYC_ONBOARD_MAX_GAS || DEFAULT_MAX_GAS);
+    const plan = await planOnboarding(roster, { network, record, label, maxGas });
+    const file = savePlan(plan);
+    for (const step of plan.steps) {
+      console.log(`step ${step.step}  ${step.method} for ${step.users.length} wallet${step.users.length === 1 ? "" : "s"} (~${step.estimatedGas} gas)`);
+    }
+    console.log(`${plan.changes.length} wallets to change, ${plan.unchanged} already match ${record.name}; plan saved to ${file}`);
+  } else if (action === "submit") {
+    const signer = await officerSigner(process.env.KYC_OFFICER);
+    const plan = await submitOnboarding(network, label, { signer });
+    const { reportFile, csvFile, report } = await writeReport(network, label, { signer });
+    console.log(`Signed change report: ${reportFile} (${csvFile})`);
+    if (!report.complete) {
+      const left = plan.steps.filter((step) => step.status !== "done").length;
+      throw new Error(`${left} step${left === 1 ? "" : "s"} of ${label} did not go through; run submit again to resume from ${onboardingDir(network, label)}`);
+    }
+  } else {
+    throw new Error(`KYC_ONBOARD_ACTION must be plan or submit, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,227 @@
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { TYPES } = require("./params");
+
+// Fractions such as a structuring margin are applied to token amounts in basis points.
+const BASIS = 10000n;
+
+function fraction(value, name) {
+  if (typeof value !== "number" || value < 0 || value >= 1) {
+    throw new Error(`"${name}" must be a fraction from 0 up to 1, e.g. 0.1`);
+  }
+  return BigInt(Math.round(value * Number(BASIS)));
+}
+
+function positive(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`"${name}" must be a whole number of at least 1`);
+  }
+  return value;
+}
+
+// Transfers are ordered by block and log index; `before` is true when a precedes b.
+function before(a, b) {
+  return a.blockNumber < b.blockNumber || (a.blockNumber === b.blockNumber && a.logIndex < b.logIndex);
+}
+
+function recent(history, transfer, window) {
+  return history.filter((entry) => entry.timestamp > transfer.timestamp - window);
+}
+
+function sum(transfers) {
+  return transfers.reduce((total, entry) => total + BigInt(entry.amount), 0n);
+}
+
+/**
+ * Amounts kept just under a reporting threshold: `count` transfers by one sender within
+ * `window`, each at least `threshold` less `margin` (a fraction) but below `threshold`.
+ */
+function structuring({ threshold, margin = 0.1, count = 3, window = "24h" }, { units }) {
+  if (threshold === undefined) {
+    throw new Error('structuring needs a "threshold"');
+  }
+  const limit = units(threshold);
+  const floor = (limit * (BASIS - fraction(margin, "margin"))) / BASIS;
+  const seconds = TYPES.duration(window);
+  positive(count, "count");
+  const under = (entry) => BigInt(entry.amount) >= floor && BigInt(entry.amount) < limit;
+  return {
+    window: seconds,
+    evaluate(transfer, history) {
+      if (!under(transfer)) return [];
+      const hits = recent(history, transfer, seconds).filter((entry) => entry.from === transfer.from && under(entry));
+      if (hits.length < count) return [];
+      return [{ user: transfer.from, amount: sum(hits), detail: `${hits.length} transfers just under ${threshold} within ${window}` }];
+    },
+  };
+}
+
+/**
+ * Too much moved too fast: one sender making more than `count` transfers, or sending at
+ * least `amount` in total, within `window`. Either limit may be left out, not both.
+ */
+function velocity({ count, amount, window = "1h" }, { units }) {
+  if (count === undefined && amount === undefined) {
+    throw new Error('velocity needs "count", "amount" or both');
+  }
+  if (count !== undefined) positive(count, "count");
+  const total = amount === undefined ? null : units(amount);
+  const seconds = TYPES.duration(window);
+  return {
+    window: seconds,
+    evaluate(transfer, history) {
+      const sent = recent(history, transfer, seconds).filter((entry) => entry.from === transfer.from);
+      const moved = sum(sent);
+      if (count !== undefined && sent.length > count) {
+        return [{ user: transfer.from, amount: moved, detail: `${sent.length} transfers within ${window}` }];
+      }
+      if (total !== null && moved >= total) {
+        return [{ user: transfer.from, amount: moved, detail: `${amount} or more sent within ${window}` }];
+      }
+      return [];
+    },
+  };
+}
+
+/**
+ * One sender paying at least `counterparties` different recipients within `window`.
+ */
+function fanOut({ counterparties, window = "24h" }) {
+  positive(counterparties, "counterparties");
+  const seconds = TYPES.duration(window);
+  return {
+    window: seconds,
+    evaluate(transfer, history) {
+      const sent = recent(history, transfer, seconds).filter((entry) => entry.from === transfer.from);
+      const recipients = new Set(sent.map((entry) => entry.to));
+      if (recipients.size < counterparties) return [];
+      return [{ user: transfer.from, amount: sum(sent), detail: `paid ${recipients.size} recipients within ${window}` }];
+    },
+  };
+}
+
+/**
+ * One recipient paid by at least `counterparties` different senders within `window`.
+ */
+function fanIn({ counterparties, window = "24h" }) {
+  positive(counterparties, "counterparties");
+  const seconds = TYPES.duration(window);
+  return {
+    window: seconds,
+    evaluate(transfer, history) {
+      const received = recent(history, transfer, seconds).filter((entry) => entry.to === transfer.to);
+      const senders = new Set(received.map((entry) => entry.from));
+      if (senders.size < counterparties) return [];
+      return [{ user: transfer.to, amount: sum(received), detail: `paid by ${senders.size} senders within ${window}` }];
+    },
+  };
+}
+
+/**
+ * Funds coming back to where they started: a chain of at most `hops` transfers, each after
+ * the one before, leaving a wallet and returning to it within `window`, with the amount
+ * returned no more than `tolerance` (a fraction) below the amount that left.
+ */
+function roundTrip({ hops = 3, window = "72h", tolerance = 0.1 }) {
+  positive(hops, "hops");
+  if (hops < 2) {
+    throw new Error('"hops" must be at least 2');
+  }
+  const keep = BASIS - fraction(tolerance, "tolerance");
+  const seconds = TYPES.duration(window);
+
+  // Depth-first search for a chain from `origin` to `target` through transfers in order, at
+  // most `depth` long, following `outgoing` (transfers by sender). `visited` keeps, per wallet
+  // already searched without success, the transfer it was reached by and the hops left; a
+  // wallet reached no earlier and with no more hops left is not searched again. Returns the
+  // chain or null.
+  function chain(outgoing, origin, target, after, depth, visited = new Map()) {
+    if (depth === 0) return null;
+    const tried = visited.get(origin) || [];
+    if (tried.some((attempt) => attempt.depth >= depth && (!attempt.after || (after && !before(after, attempt.after))))) {
+      return null;
+    }
+    for (const entry of outgoing.get(origin) || []) {
+      if (after && !before(after, entry)) continue;
+      if (entry.to === target) return [entry];
+      const rest = chain(outgoing, entry.to, target, entry, depth - 1, visited);
+      if (rest) return [entry, ...rest];
+    }
+    visited.set(origin, [...tried, { after, depth }]);
+    return null;
+  }
+
+  return {
+    window: seconds,
+    evaluate(transfer, history) {
+      const start = transfer.to;
+      if (start === transfer.from) return [];
+      const outgoing = new Map();
+      for (const entry of recent(history, transfer, seconds)) {
+        if (!before(entry, transfer)) continue;
+        if (!outgoing.has(entry.from)) outgoing.set(entry.from, []);
+        outgoing.get(entry.from).push(entry);
+      }
+      const found = chain(outgoing, start, transfer.from, null, hops - 1);
+      if (!found || BigInt(transfer.amount) * BASIS < BigInt(found[0].amount) * keep) return [];
+      return [{ user: start, amount: BigInt(found[0].amount), detail: `funds returned through ${found.length + 1} transfers (first ${found[0].tx})` }];
+    },
+  };
+}
+
+/**
+ * A rule written in JS: `module` is a path (relative to the repository root) to a module
+ * exporting `evaluate(transfer, history, options)` that returns findings
+ * ([{ user, amount, detail }]), and optionally `window` in seconds, the history it needs.
+ */
+function moduleRule({ module: file, ...options }) {
+  if (!file) {
+    throw new Error('A module rule needs a "module"');
+  }
+  const plugin = require(path.resolve(ROOT, file));
+  if (typeof plugin.evaluate !== "function") {
+    throw new Error(`${file} does not export an evaluate function`);
+  }
+  return {
+    window: plugin.window || 0,
+    evaluate: (transfer, history) => plugin.evaluate(transfer, history, options),
+  };
+}
+
+const RULES = {
+  structuring,
+  velocity,
+  "fan-out": fanOut,
+  "fan-in": fanIn,
+  "round-trip": roundTrip,
+  module: moduleRule,
+};
+
+/**
+ * Builds one configured rule, { type, code, ...options }, for a token. `units` turns a
+ * whole-token amount from the config into the token's smallest unit. The rule's `evaluate`
+ * sees each transfer with the token's transfers up to and including it, at least the rule's
+ * `window` (seconds) back, and returns what it finds, each with the rule's reason `code`.
+ */
+function createRule(config, { units }) {
+  const factory = RULES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown rule type "${config.type}" (${Object.keys(RULES).join(", ")})`);
+  }
+  if (!/^[A-Z0-9_-]+$/.test(config.code || "")) {
+    throw new Error(`Rule ${config.type} needs a "code" of capitals, digits, "-" or "_", e.g. AML-STRUCTURING`);
+  }
+  const { type, code, ...options } = config;
+  const rule = factory(options, { units });
+  return {
+    type,
+    code,
+    window: rule.window,
+    evaluate: (transfer, history) => rule.evaluate(transfer, history).map((finding) => ({ ...finding, code, rule: type })),
+  };
+}
+
+module.exports = {
+  RULES,
+  createRule,
+};
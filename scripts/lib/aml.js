@@ -0,0 +1,466 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { resolveDeployment } = require("./registry");
+const { TYPES } = require("./params");
+const { createRule } = require("./aml-rules");
+const { runtime, csvField } = require("./common");
+
+const AML_DIR = process.env.AML_DIR || path.join(ROOT, "aml");
+const BLOCK_RANGE = 2000;
+const CONFIG_KEYS = ["ruleSets", "contracts", "exempt", "cooldown", "confirmations", "pollInterval", "maxAttempts"];
+const CONTRACT_KEYS = ["contract", "ruleSet", "reportTo"];
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+// A report that fails is retried after 30s, then twice as long after each failure up to an
+// hour; after `maxAttempts` (default MAX_ATTEMPTS) it is set aside in `failed`.
+const RETRY_DELAY = 30;
+const MAX_RETRY_DELAY = 3600;
+const MAX_ATTEMPTS = 8;
+
+const TOKEN_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+const REPORTER_ABI = [
+  "function reportSuspiciousActivity(address user, uint256 amount, string reason)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function COMPLIANCE_OFFICER_ROLE() view returns (bytes32)",
+];
+
+// The monitoring tokens the engine watches. Only AMLMonitoringAndReportingContract has
+// reportSuspiciousActivity; findings on a TransactionMonitoringAndAMLContract are reported to
+// the AMLMonitoringAndReportingContract named in `reportTo`, or only logged.
+const MONITORED = {
+  AMLMonitoringAndReportingContract: { reports: true },
+  TransactionMonitoringAndAMLContract: { reports: false },
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function amlFiles(network, dir = AML_DIR) {
+  return {
+    state: path.join(dir, network, "state.json"),
+    audit: path.join(dir, network, "findings.log"),
+    backtests: path.join(dir, network, "backtests"),
+  };
+}
+
+/**
+ * Reads what the engine has seen on a network: { contracts: { address: { nextBlock } },
+ * history: { token: [transfer...] }, flagged: { "code:token:user": timestamp },
+ * pending: [finding...], failed: [finding...] }. `history` only goes back as far as the
+ * longest rule window; `failed` holds findings whose report was given up on.
+ */
+function loadState(network, dir) {
+  const { state } = amlFiles(network, dir);
+  const loaded = fs.existsSync(state) ? JSON.parse(fs.readFileSync(state, "utf8")) : { contracts: {}, history: {}, flagged: {}, pending: [] };
+  loaded.failed ||= [];
+  return loaded;
+}
+
+function saveState(network, state, dir) {
+  const file = amlFiles(network, dir).state;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Appends one entry to the network's findings log (one JSON object per line).
+ */
+function audit(network, entry, dir) {
+  const file = amlFiles(network, dir).audit;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), network, ...entry }) + "\n");
+}
+
+/**
+ * Converts a whole-token amount such as "10000" or "2.5" to the token's smallest unit.
+ */
+function toUnits(value, decimals) {
+  const match = String(value).trim().match(/^(\d+)(?:\.(\d+))?$/);
+  if (!match || (match[2] || "").length > decimals) {
+    throw new Error(`"${value}" is not an amount with at most ${decimals} decimals`);
+  }
+  return BigInt(match[1] + (match[2] || "").padEnd(decimals, "0"));
+}
+
+/**
+ * Checks an AML configuration:
+ *
+ *   ruleSets       named lists of rules, e.g. { "default": [{ type, code, ... }] }
+ *   contracts      [{ contract, ruleSet?, reportTo? }]; `contract` is a deployment name,
+ *                  catalogue ID or contract name, `ruleSet` defaults to "default" and
+ *                  `reportTo` names the AMLMonitoringAndReportingContract findings go to
+ *   exempt         addresses never reported, such as treasury or exchange wallets
+ *   cooldown       how long before a rule reports the same wallet on the same token again
+ *                  (default: the rule's window)
+ *   confirmations  blocks a transfer needs before it is evaluated (default 1)
+ *   pollInterval   milliseconds between passes (default 15000)
+ *   maxAttempts    times a report is sent before it is given up on (default 8)
+ *
+ * Rules are checked against an 18-decimal token here and built again per token later.
+ */
+function validateAmlConfig(config, source = "AML configuration") {
+  const problems = [];
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  const ruleSets = config.ruleSets || {};
+  if (Object.keys(ruleSets).length === 0) problems.push('"ruleSets" must name at least one rule set');
+  for (const [name, rules] of Object.entries(ruleSets)) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      problems.push(`ruleSets.${name}: must list at least one rule`);
+      continue;
+    }
+    rules.forEach((rule, index) => {
+      try {
+        createRule(rule, { units: (value) => toUnits(value, 18) });
+      } catch (error) {
+        problems.push(`ruleSets.${name}[${index}]: ${error.message}`);
+      }
+    });
+    const codes = rules.map((rule) => rule.code);
+    if (new Set(codes).size !== codes.length) problems.push(`ruleSets.${name}: two rules share a code`);
+  }
+  if (!Array.isArray(config.contracts) || config.contracts.length === 0) {
+    problems.push('"contracts" must list at least one contract');
+  }
+  (config.contracts || []).forEach((entry, index) => {
+    const where = `contracts[${index}]`;
+    for (const key of Object.keys(entry)) {
+      if (!CONTRACT_KEYS.includes(key)) problems.push(`${where}: unknown key "${key}"`);
+    }
+    if (!entry.contract) problems.push(`${where}: "contract" is missing`);
+    if (!ruleSets[entry.ruleSet || "default"]) problems.push(`${where}: no rule set "${entry.ruleSet || "default"}"`);
+  });
+  for (const address of config.exempt || []) {
+    if (!ADDRESS_PATTERN.test(address)) problems.push(`exempt: ${address} is not an address`);
+  }
+  if (config.maxAttempts !== undefined && (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1)) {
+    problems.push('"maxAttempts" must be a whole number of at least 1');
+  }
+  let cooldown = null;
+  try {
+    cooldown = config.cooldown === undefined ? null : TYPES.duration(config.cooldown);
+  } catch (error) {
+    problems.push(`"cooldown": ${error.message}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return {
+    ...config,
+    exempt: (config.exempt || []).map((address) => address.toLowerCase()),
+    cooldown,
+    confirmations: config.confirmations || 1,
+    pollInterval: config.pollInterval || 15000,
+    maxAttempts: config.maxAttempts || MAX_ATTEMPTS,
+  };
+}
+
+function loadAmlConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  return validateAmlConfig(config, file);
+}
+
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+function resolveMonitored(network, query, allowed) {
+  const record = resolveDeployment(network, query);
+  if (!record) {
+    throw new Error(`No deployment of "${query}" is recorded on ${network}`);
+  }
+  if (!allowed.includes(record.contractName)) {
+    throw new Error(`${record.name} is a ${record.contractName}, not a ${allowed.join(" or ")}`);
+  }
+  return record;
+}
+
+/**
+ * Connects to the configured tokens and builds their rules. Options: network, config (as
+ * returned by loadAmlConfig), signer (a compliance officer on every reporting contract),
+ * replay (evaluate without saving state or reporting, for backtests), dir, log and now
+ * (unix seconds, for report backoff).
+ */
+async function createMonitor({ network, config, signer, replay = false, dir, log = console.log, now = () => Math.floor(Date.now() / 1000) }) {
+  const { ethers } = runtime();
+  const monitor = { network, config, signer, replay, dir, log, now, tokens: {}, stopped: false };
+  monitor.state = replay ? { contracts: {}, history: {}, flagged: {}, pending: [], failed: [] } : loadState(network, dir);
+
+  for (const entry of config.contracts) {
+    const record = resolveMonitored(network, entry.contract, Object.keys(MONITORED));
+    const contract = new ethers.Contract(record.address, TOKEN_ABI, ethers.provider);
+    const decimals = Number(await contract.decimals());
+    const rules = config.ruleSets[entry.ruleSet || "default"].map((rule) => createRule(rule, { units: (value) => toUnits(value, decimals) }));
+    let reporter = null;
+    if (entry.reportTo || MONITORED[record.contractName].reports) {
+      const target = entry.reportTo ? resolveMonitored(network, entry.reportTo, ["AMLMonitoringAndReportingContract"]) : record;
+      reporter = { name: target.name, contract: new ethers.Contract(target.address, REPORTER_ABI, signer || ethers.provider) };
+    }
+    monitor.tokens[record.address.toLowerCase()] = {
+      record,
+      contract,
+      symbol: await contract.symbol(),
+      rules,
+      window: Math.max(...rules.map((rule) => rule.window)),
+      reporter,
+    };
+    monitor.state.contracts[record.address.toLowerCase()] ||= { nextBlock: record.blockNumber || 0 };
+  }
+
+  if (!replay) {
+    const officer = await signer.getAddress();
+    for (const { record, reporter } of Object.values(monitor.tokens)) {
+      if (!reporter) {
+        log(`${record.name} has no reportSuspiciousActivity and no "reportTo"; its findings are only logged`);
+        continue;
+      }
+      if (!(await reporter.contract.hasRole(await reporter.contract.COMPLIANCE_OFFICER_ROLE(), officer))) {
+        throw new Error(`${officer} does not hold COMPLIANCE_OFFICER_ROLE on ${reporter.name}, so it cannot report findings`);
+      }
+    }
+  }
+  return monitor;
+}
+
+/**
+ * Evaluates one transfer against its token's rules and returns the new findings. Wallets in
+ * `exempt`, and a wallet a rule already reported on the token within the cooldown, are left
+ * out. Mints and burns are not evaluated.
+ */
+function observe(monitor, transfer) {
+  const token = monitor.tokens[transfer.token];
+  const { state, config } = monitor;
+  if (transfer.from === ZERO_ADDRESS || transfer.to === ZERO_ADDRESS) {
+    return [];
+  }
+  const history = (state.history[transfer.token] ||= []);
+  history.push(transfer);
+  const kept = history.filter((entry) => entry.timestamp > transfer.timestamp - token.window);
+  state.history[transfer.token] = kept;
+
+  const findings = [];
+  for (const rule of token.rules) {
+    for (const finding of rule.evaluate(transfer, kept)) {
+      const user = String(finding.user).toLowerCase();
+      const key = `${finding.code}:${transfer.token}:${user}`;
+      const cooldown = config.cooldown ?? rule.window;
+      if (config.exempt.includes(user) || transfer.timestamp - (state.flagged[key] ?? -Infinity) < cooldown) continue;
+      state.flagged[key] = transfer.timestamp;
+      findings.push({
+        key: `${key}:${transfer.tx}:${transfer.logIndex}`,
+        code: finding.code,
+        rule: finding.rule,
+        token: transfer.token,
+        symbol: token.symbol,
+        user,
+        amount: BigInt(finding.amount).toString(),
+        detail: finding.detail,
+        tx: transfer.tx,
+        blockNumber: transfer.blockNumber,
+        timestamp: transfer.timestamp,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Reads the Transfer events of every watched token in [fromBlock, toBlock], in chain order.
+ */
+async function readTransfers(monitor, fromBlock, toBlock) {
+  const { ethers } = runtime();
+  const timestamps = {};
+  const transfers = [];
+  for (const [address, token] of Object.entries(monitor.tokens)) {
+    for (const event of await token.contract.queryFilter(token.contract.filters.Transfer(), fromBlock, toBlock)) {
+      if (timestamps[event.blockNumber] === undefined) {
+        timestamps[event.blockNumber] = Number((await ethers.provider.getBlock(event.blockNumber)).timestamp);
+      }
+      transfers.push({
+        token: address,
+        from: String(event.args.from).toLowerCase(),
+        to: String(event.args.to).toLowerCase(),
+        amount: event.args.value.toString(),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex ?? event.index,
+        tx: event.transactionHash,
+        timestamp: timestamps[event.blockNumber],
+      });
+    }
+  }
+  return transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * The reason string sent with reportSuspiciousActivity: the rule's code first, so reports can
+ * be filtered by it, then what the rule saw.
+ */
+function reasonOf(finding) {
+  return `${finding.code}: ${finding.detail} on ${finding.symbol} (tx ${finding.tx})`;
+}
+
+/**
+ * Reports pending findings. One that fails stays pending until its `retryAt` (exponential
+ * backoff); after `config.maxAttempts` failures it moves to `state.failed` for an operator.
+ */
+async function reportPending(monitor) {
+  const { network, state, dir, config } = monitor;
+  const now = monitor.now();
+  for (const finding of [...state.pending]) {
+    const { reporter } = monitor.tokens[finding.token] || {};
+    if (!reporter) {
+      state.pending = state.pending.filter((entry) => entry !== finding);
+      audit(network, { action: "logged", ...finding }, dir);
+      continue;
+    }
+    if (finding.retryAt > now) continue;
+    finding.attempts = (finding.attempts || 0) + 1;
+    try {
+      const tx = await reporter.contract.reportSuspiciousActivity(finding.user, finding.amount, reasonOf(finding));
+      const receipt = await tx.wait();
+      state.pending = state.pending.filter((entry) => entry !== finding);
+      audit(network, { action: "reported", reporter: reporter.name, reportTx: receipt.transactionHash || receipt.hash, ...finding }, dir);
+      monitor.log(`${finding.code} ${finding.user} on ${finding.symbol}: reported to ${reporter.name}`);
+    } catch (error) {
+      finding.lastError = errorMessage(error);
+      if (finding.attempts >= config.maxAttempts) {
+        delete finding.retryAt;
+        state.pending = state.pending.filter((entry) => entry !== finding);
+        state.failed.push(finding);
+      } else {
+        finding.retryAt = now + Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** (finding.attempts - 1));
+      }
+      audit(network, { action: "report-failed", error: finding.lastError, ...finding }, dir);
+      monitor.log(
+        `${finding.code} ${finding.user} on ${finding.symbol}: report failed: ${finding.lastError}` +
+          (finding.retryAt ? `; retrying at ${new Date(finding.retryAt * 1000).toISOString()}` : `; giving up after ${finding.attempts} attempts`)
+      );
+    }
+    saveState(network, state, dir);
+  }
+}
+
+/**
+ * Evaluates transfers up to the latest confirmed block, queueing findings and reporting them.
+ * The state is saved after every block range, so a restart neither skips nor repeats a
+ * transfer. Returns the number of new findings.
+ */
+async function monitorPass(monitor) {
+  const { ethers } = runtime();
+  const { network, state, dir, config } = monitor;
+  const safeBlock = (await ethers.provider.getBlockNumber()) - (config.confirmations - 1);
+  const nextBlock = Math.min(...Object.keys(monitor.tokens).map((address) => state.contracts[address].nextBlock));
+
+  let found = 0;
+  for (let from = nextBlock; from <= safeBlock; from += BLOCK_RANGE) {
+    const to = Math.min(from + BLOCK_RANGE - 1, safeBlock);
+    for (const transfer of await readTransfers(monitor, from, to)) {
+      // A token added to the config later starts at its own deployment block.
+      if (transfer.blockNumber < state.contracts[transfer.token].nextBlock) continue;
+      const findings = observe(monitor, transfer);
+      state.pending.push(...findings);
+      found += findings.length;
+      for (const finding of findings) {
+        audit(network, { action: "found", ...finding }, dir);
+      }
+    }
+    for (const address of Object.keys(monitor.tokens)) {
+      state.contracts[address].nextBlock = Math.max(state.contracts[address].nextBlock, to + 1);
+    }
+    saveState(network, state, dir);
+    await reportPending(monitor);
+  }
+  await reportPending(monitor);
+  return found;
+}
+
+/**
+ * Runs passes until `monitor.stopped` is set, or a single pass with `once`.
+ */
+async function runMonitor(monitor, { once = false } = {}) {
+  const { network, dir } = monitor;
+  audit(network, { action: "started", tokens: Object.keys(monitor.tokens) }, dir);
+  while (!monitor.stopped) {
+    try {
+      const found = await monitorPass(monitor);
+      if (found > 0) monitor.log(`${found} new finding${found === 1 ? "" : "s"}`);
+    } catch (error) {
+      audit(network, { action: "error", error: errorMessage(error) }, dir);
+      monitor.log(`AML pass failed: ${errorMessage(error)}`);
+    }
+    if (once) break;
+    await sleep(monitor.config.pollInterval);
+  }
+  audit(network, { action: "stopped" }, dir);
+}
+
+/**
+ * Replays the transfers in [fromBlock, toBlock] through a monitor created with `replay` and
+ * returns what the rules would have reported: { network, fromBlock, toBlock, transfers,
+ * byCode, findings }. Nothing is sent. History starts empty at `fromBlock`, so rules with
+ * long windows only see the full picture some way into the range.
+ */
+async function backtest(monitor, { fromBlock, toBlock }) {
+  const { ethers } = runtime();
+  const last = toBlock ?? (await ethers.provider.getBlockNumber());
+  const first = fromBlock ?? Math.min(...Object.values(monitor.tokens).map((token) => token.record.blockNumber || 0));
+  const findings = [];
+  let transfers = 0;
+  for (let from = first; from <= last; from += BLOCK_RANGE) {
+    for (const transfer of await readTransfers(monitor, from, Math.min(from + BLOCK_RANGE - 1, last))) {
+      transfers += 1;
+      findings.push(...observe(monitor, transfer));
+    }
+  }
+  const byCode = {};
+  for (const finding of findings) {
+    byCode[finding.code] = (byCode[finding.code] || 0) + 1;
+  }
+  return { network: monitor.network, fromBlock: first, toBlock: last, transfers, byCode, findings };
+}
+
+/**
+ * Writes a backtest to aml/<network>/backtests/<label>.json and .csv and returns their paths.
+ */
+function writeBacktest(result, label, dir) {
+  const base = amlFiles(result.network, dir).backtests;
+  fs.mkdirSync(base, { recursive: true });
+  const jsonFile = path.join(base, `${label}.json`);
+  const csvFile = path.join(base, `${label}.csv`);
+  fs.writeFileSync(jsonFile, JSON.stringify({ ...result, ranAt: new Date().toISOString() }, null, 2) + "\n");
+  const columns = ["blockNumber", "tx", "code", "symbol", "user", "amount", "detail"];
+  const lines = result.findings.map((finding) => columns.map((column) => csvField(finding[column])).join(","));
+  fs.writeFileSync(csvFile, [columns.join(","), ...lines].join("\n") + "\n");
+  return { jsonFile, csvFile };
+}
+
+module.exports = {
+  AML_DIR,
+  MONITORED,
+  amlFiles,
+  loadState,
+  toUnits,
+  validateAmlConfig,
+  loadAmlConfig,
+  createMonitor,
+  observe,
+  reasonOf,
+  reportPending,
+  runMonitor,
+  backtest,
+  writeBacktest,
+};
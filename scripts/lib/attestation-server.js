@@ -0,0 +1,46 @@
+const http = require("http");
+const { readJson, send, secretMatches } = require("./common");
+
+async function route(issuer, token, request, response) {
+  const url = new URL(request.url, "http://localhost");
+
+  if (request.method === "GET" && url.pathname === "/contracts") {
+    return send(response, 200, { officer: issuer.officer, contracts: issuer.contracts() });
+  }
+  if (request.method === "POST" && url.pathname === "/attestations") {
+    if (!secretMatches(`Bearer ${token}`, request.headers.authorization)) {
+      return send(response, 401, { error: "Missing or wrong bearer token" });
+    }
+    const { user, contract, evidence } = await readJson(request);
+    const result = await issuer.issue({ user, contract, evidence });
+    return result.approved ? send(response, 201, result.attestation) : send(response, 403, { error: result.reason });
+  }
+  return send(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+}
+
+/**
+ * Serves an issuer (see createIssuer) over HTTP:
+ *
+ *   GET  /contracts     the officer, and each contract's address, method, EIP-712 domain and types
+ *   POST /attestations  { user, contract?, evidence? } -> 201 attestation, or 403 { error } when
+ *                       the identity check rejects the user
+ *
+ * POST requests must carry `Authorization: Bearer <token>`. Resolves with the listening
+ * server once it accepts connections.
+ */
+function startIssuerServer(issuer, { token, port = 8091, host = "127.0.0.1" } = {}) {
+  if (!token) {
+    throw new Error("The issuer server needs a bearer token; set KYC_ISSUER_TOKEN");
+  }
+  const server = http.createServer((request, response) => {
+    route(issuer, token, request, response).catch((error) => send(response, 400, { error: error.message }));
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  startIssuerServer,
+};
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { resolveDeployment } = require("./registry");
+const { signTyped, recoverTyped, hashDomain, runtime, sameAddress } = require("./common");
+const { createIdentityCheck } = require("./kyc-checks");
+
+const KYC_DIR = process.env.KYC_DIR || path.join(ROOT, "kyc");
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// What the compliance officer signs; the contracts hash exactly this struct.
+const VERIFY_TYPES = {
+  Verify: [
+    { name: "user", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// The contracts that accept Verify signatures: the call that takes one and the view that
+// shows it took effect. Both sign under the same domain name and version, so an attestation
+// differs between them only by verifyingContract.
+const ATTESTATION_CONTRACTS = {
+  PrivacyPreservingKYCCompliance: { verify: "verifyUserCompliance", status: "isUserCompliant" },
+  AccreditedInvestorVerificationWithPrivacy: { verify: "verifyInvestorAccreditation", status: "isInvestorAccredited" },
+};
+
+const ISSUER_ABI = [
+  "function domainSeparator() view returns (bytes32)",
+  "function getUserNonce(address user) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function COMPLIANCE_OFFICER_ROLE() view returns (bytes32)",
+];
+
+/**
+ * The EIP-712 domain PrivacyPreservingKYCCompliance and
+ * AccreditedInvestorVerificationWithPrivacy at `verifyingContract` check signatures under.
+ */
+function kycDomain(chainId, verifyingContract) {
+  return { name: "KYCCompliance", version: "1", chainId: Number(chainId), verifyingContract };
+}
+
+function contractAbi(contractName) {
+  const { verify, status } = ATTESTATION_CONTRACTS[contractName];
+  return [
+    ...ISSUER_ABI,
+    `function ${verify}(address user, uint256 nonce, bytes signature)`,
+    `function ${status}(address user) view returns (bool)`,
+  ];
+}
+
+/**
+ * Reads an issuer config: { contracts: [name|id...], officer?, check: { type, ... }, port?,
+ * host? }. `contracts` are deployments in the registry the issuer signs for,
+ * `officer` the account that signs (default: the network's first account) and `check` the
+ * identity check every request must pass (see lib/kyc-checks.js).
+ */
+function loadIssuerConfig(file) {
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`No issuer config at ${file || "(none given)"}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const problems = [];
+  if (!Array.isArray(config.contracts) || config.contracts.length === 0) problems.push('"contracts" must list at least one deployment');
+  if (config.officer && !ADDRESS_PATTERN.test(config.officer)) problems.push(`"officer" ${config.officer} is not an address`);
+  if (!config.check || !config.check.type) problems.push('"check" must name an identity check type');
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return config;
+}
+
+function auditFile(network, dir = KYC_DIR) {
+  return path.join(dir, network, "attestations.jsonl");
+}
+
+// One line per decision. Evidence is recorded by hash only; it may hold personal data.
+function audit(network, entry, dir) {
+  const file = auditFile(network, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n");
+}
+
+function evidenceHash(evidence) {
+  return evidence === undefined ? null : "0x" + crypto.createHash("sha256").update(JSON.stringify(evidence)).digest("hex");
+}
+
+/**
+ * Resolves the config's deployments and checks each is one of ATTESTATION_CONTRACTS.
+ */
+function resolveContracts(network, queries) {
+  return queries.map((query) => {
+    const record = resolveDeployment(network, query);
+    if (!record) {
+      throw new Error(`No deployment matching "${query}" is recorded on ${network}`);
+    }
+    if (!ATTESTATION_CONTRACTS[record.contractName]) {
+      throw new Error(`${record.name} is a ${record.contractName}, which does not take Verify signatures (${Object.keys(ATTESTATION_CONTRACTS).join(", ")})`);
+    }
+    return record;
+  });
+}
+
+/**
+ * Builds an issuer that signs Verify(user, nonce) attestations with `signer` for the
+ * recorded deployments `contracts`, once `check` (an identity check config) approves the
+ * user. Call `issue({ user, contract, evidence })`, where `contract` is a deployment name,
+ * catalogue ID, contract name or address and may be left out when the issuer serves one
+ * contract. It resolves to { approved: false, reason } or { approved: true, attestation }
+ * where `attestation` is { contract, contractName, method, user, nonce, signature, domain };
+ * anyone can submit it with `method(user, nonce, signature)`.
+ *
+ * Before signing, the issuer checks that the contract's domainSeparator() matches the domain
+ * it signs under, that `signer` holds COMPLIANCE_OFFICER_ROLE and that the contract is not
+ * paused. The nonce is getUserNonce(user) + 1, so issuing twice before either is submitted
+ * yields the same nonce and only one of them can be used. Every decision is appended to
+ * kyc/<network>/attestations.jsonl.
+ */
+async function createIssuer({ network, contracts, check, signer, provider, dir }) {
+  const { ethers } = runtime();
+  const records = resolveContracts(network, contracts);
+  const identity = createIdentityCheck(check);
+  const officer = await signer.getAddress();
+  const { chainId } = await (provider || ethers.provider).getNetwork();
+  const domainsChecked = new Set();
+
+  function select(query) {
+    if (!query) {
+      if (records.length > 1) {
+        throw new Error(`Name the contract to attest for (${records.map((record) => record.name).join(", ")})`);
+      }
+      return records[0];
+    }
+    const record = records.find((candidate) =>
+      [candidate.name, candidate.contractName, candidate.catalogueId, candidate.address].some((value) => value && value.toLowerCase() === query.toLowerCase()),
+    );
+    if (!record) {
+      throw new Error(`This issuer does not attest for "${query}"`);
+    }
+    return record;
+  }
+
+  async function readiness(record, contract, domain) {
+    if (!domainsChecked.has(record.address.toLowerCase())) {
+      const onChain = await contract.domainSeparator();
+      if (onChain !== hashDomain(domain)) {
+        throw new Error(`${record.name}'s domainSeparator() ${onChain} does not match ${JSON.stringify(domain)}; refusing to sign`);
+      }
+      domainsChecked.add(record.address.toLowerCase());
+    }
+    if (!(await contract.hasRole(await contract.COMPLIANCE_OFFICER_ROLE(), officer))) {
+      throw new Error(`${officer} does not hold COMPLIANCE_OFFICER_ROLE on ${record.name}; its signatures would be rejected`);
+    }
+    if (await contract.paused()) {
+      throw new Error(`${record.name} is paused; attestations cannot be submitted`);
+    }
+  }
+
+  async function issue({ user, contract: query, evidence }) {
+    const record = select(query);
+    const { contractName, address } = record;
+    const contract = new ethers.Contract(address, contractAbi(contractName), provider || ethers.provider);
+    const domain = kycDomain(chainId, address);
+    await readiness(record, contract, domain);
+
+    const base = { contract: record.name, address, user, officer, evidence: evidenceHash(evidence) };
+    const decision = await identity.check({ user, contract: contractName, evidence });
+    if (!decision.approved) {
+      audit(network, { ...base, action: "rejected", reason: decision.reason }, dir);
+      return { approved: false, reason: decision.reason };
+    }
+
+    const nonce = (BigInt(String(await contract.getUserNonce(user))) + 1n).toString();
+    const value = { user, nonce };
+    const signature = await signTyped(signer, domain, VERIFY_TYPES, value);
+    if (!sameAddress(recoverTyped(domain, VERIFY_TYPES, value, signature), officer)) {
+      throw new Error(`The signature for ${user} does not recover to ${officer}`);
+    }
+    audit(network, { ...base, action: "issued", nonce, reference: decision.reference || null }, dir);
+    return {
+      approved: true,
+      attestation: { contract: address, contractName, method: ATTESTATION_CONTRACTS[contractName].verify, user, nonce, signature, domain },
+    };
+  }
+
+  return {
+    officer,
+    describe: identity.describe,
+    contracts: () =>
+      records.map((record) => ({
+        name: record.name,
+        contractName: record.contractName,
+        address: record.address,
+        method: ATTESTATION_CONTRACTS[record.contractName].verify,
+        domain: kycDomain(chainId, record.address),
+        types: VERIFY_TYPES,
+      })),
+    issue,
+  };
+}
+
+/**
+ * Sends an attestation to its contract from `sender` and returns the transaction hash. The
+ * status view (isUserCompliant or isInvestorAccredited) must read true afterwards.
+ */
+async function submitAttestation(attestation, sender) {
+  const { ethers } = runtime();
+  const { verify, status } = ATTESTATION_CONTRACTS[attestation.contractName];
+  const contract = new ethers.Contract(attestation.contract, contractAbi(attestation.contractName), sender);
+  const tx = await contract[verify](attestation.user, attestation.nonce, attestation.signature);
+  await tx.wait();
+  if (!(await contract[status](attestation.user))) {
+    throw new Error(`${verify} went through but ${status}(${attestation.user}) is still false`);
+  }
+  return tx.hash;
+}
+
+module.exports = {
+  KYC_DIR,
+  VERIFY_TYPES,
+  ATTESTATION_CONTRACTS,
+  kycDomain,
+  loadIssuerConfig,
+  createIssuer,
+  submitAttestation,
+};
@@ -0,0 +1,410 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { TYPES } = require("./params");
+const { resolveDeployment } = require("./registry");
+const { vaultPassphrase, encryptSecret, decryptSecret } = require("./vault");
+const { runtime, sameAddress } = require("./common");
+
+const BATCH_SWAPS_DIR = process.env.BATCH_SWAPS_DIR || path.join(ROOT, "swaps", "batch");
+const BATCH_SWAP_CONTRACTS = ["MultiAssetAtomicSwap", "BatchAtomicSwap"];
+const ZERO_HASH = "0x" + "00".repeat(32);
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ORDER_KEYS = ["network", "contract", "address", "initiator", "participant", "operator", "timeLock", "tokens", "collection", "trade", "fromBlock"];
+const ERC1155_INTERFACE = "0xd9b67a26";
+const TOKEN_ABI = [
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+  "function isApprovedForAll(address account, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+];
+
+// "10×id 5", "2 x id 9 of GAME", "1000 USDC": an amount, then a token ID (of the order's
+// collection, or the token named after "of") or a token whose ID the order's tokens fix.
+const ITEM_PATTERN = /^(\d[\d_,]*)\s*(?:(?:×|\*|x(?=\s|id))\s*)?(?:id\s*#?(\d+)(?:\s+of\s+(\S+))?|(\S+))$/i;
+
+function compareItems(a, b) {
+  const byToken = a.token.toLowerCase().localeCompare(b.token.toLowerCase());
+  if (byToken !== 0) return byToken;
+  return BigInt(a.id) < BigInt(b.id) ? -1 : BigInt(a.id) > BigInt(b.id) ? 1 : 0;
+}
+
+// The address and, when fixed, the token ID a symbol or address in a trade stands for.
+function tokenOf(name, tokens) {
+  if (ADDRESS_PATTERN.test(name)) {
+    return { address: name };
+  }
+  const known = Object.entries(tokens).find(([symbol]) => symbol.toLowerCase() === name.toLowerCase());
+  if (!known) {
+    throw new Error(`unknown token "${name}"; add it to "tokens"`);
+  }
+  const [symbol, token] = known;
+  return typeof token === "string" ? { symbol, address: token } : { symbol, ...token };
+}
+
+/**
+ * Parses one side of a trade, "10×id 5 + 2×id 9" or "1000 USDC", into a basket: one
+ * { token, symbol, id, amount } per distinct token and ID, amounts of repeated items added
+ * up, sorted by token address and ID. Amounts are whole units of the ERC1155 token.
+ */
+function parseBasket(text, { tokens = {}, collection } = {}) {
+  const merged = new Map();
+  for (const part of text.split("+").map((item) => item.trim())) {
+    const match = ITEM_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`cannot read "${part}"; write items as "10×id 5", "2×id 9 of GAME" or "1000 USDC"`);
+    }
+    const [, amount, id, of, name] = match;
+    let token;
+    if (id !== undefined) {
+      if (!of && !collection) {
+        throw new Error(`"${part}" names no token; add "of <token>" or set "collection"`);
+      }
+      token = { ...tokenOf(of || collection, tokens), id };
+    } else {
+      token = tokenOf(name, tokens);
+      if (token.id === undefined) {
+        throw new Error(`"${part}" needs a token ID ("${amount}×id <n> of ${name}"), or give ${name} an "id" in "tokens"`);
+      }
+    }
+    const item = { token: token.address, ...(token.symbol && { symbol: token.symbol }), id: String(token.id), amount: BigInt(amount.replace(/[_,]/g, "")) };
+    if (item.amount === 0n) {
+      throw new Error(`"${part}" has an amount of 0`);
+    }
+    const key = `${item.token.toLowerCase()}:${item.id}`;
+    const previous = merged.get(key);
+    merged.set(key, previous ? { ...previous, amount: previous.amount + item.amount } : item);
+  }
+
+  return [...merged.values()]
+    .sort(compareItems)
+    .map((item) => ({ ...item, amount: item.amount.toString() }));
+}
+
+/**
+ * Parses "give <basket> for <basket>", written from the initiator's side, into
+ * { give, take }: what the initiator locks and what completing the swap takes from the
+ * participant.
+ */
+function parseTrade(text, options) {
+  const match = /^\s*give\s+(.+?)\s+for\s+(.+?)\s*$/i.exec(text || "");
+  if (!match) {
+    throw new Error(`write it as "give <items> for <items>", e.g. "give 10×id 5 + 2×id 9 for 1000 USDC"`);
+  }
+  return { give: parseBasket(match[1], options), take: parseBasket(match[2], options) };
+}
+
+/**
+ * Describes a basket for people: "10×id 5 + 2×id 9 of GAME".
+ */
+function describeBasket(basket) {
+  return basket.map((item) => `${item.amount}×id ${item.id} of ${item.symbol || item.token}`).join(" + ");
+}
+
+/**
+ * Checks a batch swap order and returns it with `timeLock` in seconds and the parsed
+ * { give, take } baskets. The order names the swap contract (`contract` is a deployment name,
+ * catalogue ID or contract name in the registry, or a contract name with `address`), the
+ * `initiator`, `participant` and `operator` (who must hold OPERATOR_ROLE), the `timeLock`,
+ * the `trade` in words, the `tokens` it mentions by symbol (an address, or { address, id }
+ * for a token that always trades under one ID) and the `collection` bare IDs belong to.
+ */
+function validateBatchOrder(order, source = "order") {
+  const problems = [];
+  for (const key of Object.keys(order)) {
+    if (!ORDER_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  for (const key of ["network", "contract", "timeLock", "trade"]) {
+    if (order[key] === undefined) problems.push(`"${key}" is missing`);
+  }
+  for (const key of ["initiator", "participant", "operator"]) {
+    if (!ADDRESS_PATTERN.test(order[key] || "")) problems.push(`"${key}" must be an address`);
+  }
+  for (const [symbol, token] of Object.entries(order.tokens || {})) {
+    const address = typeof token === "string" ? token : token.address;
+    if (!ADDRESS_PATTERN.test(address || "")) problems.push(`tokens.${symbol} must be an address or { "address", "id" }`);
+  }
+
+  let baskets = {};
+  let timeLock;
+  try {
+    baskets = parseTrade(order.trade, { tokens: order.tokens, collection: order.collection });
+  } catch (error) {
+    problems.push(`"trade": ${error.message}`);
+  }
+  try {
+    timeLock = TYPES.duration(order.timeLock);
+  } catch (error) {
+    problems.push(`"timeLock": ${error.message}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { ...order, timeLock, ...baskets };
+}
+
+function loadBatchOrder(file) {
+  let order;
+  try {
+    order = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  return validateBatchOrder(order, file);
+}
+
+/**
+ * The arguments of initiateSwap for an order, with each basket split into the parallel
+ * token, ID and amount arrays the contract pairs up by index.
+ */
+function initiateArgs(order, secretHash) {
+  const columns = (basket) => [basket.map((item) => item.token), basket.map((item) => item.id), basket.map((item) => item.amount)];
+  const [giveTokens, giveIds, giveAmounts] = columns(order.give);
+  const [takeTokens, takeIds, takeAmounts] = columns(order.take);
+  return [order.participant, giveTokens, takeTokens, giveIds, takeIds, giveAmounts, takeAmounts, secretHash, order.timeLock, order.operator];
+}
+
+/**
+ * Connects to an order's swap contract with `runner` (a signer or provider).
+ */
+async function connectOrder(order, runner) {
+  const { ethers } = runtime();
+  const record = order.address ? null : resolveDeployment(order.network, order.contract);
+  if (!order.address && !record) {
+    throw new Error(`No deployment of "${order.contract}" is recorded on ${order.network}; give its "address"`);
+  }
+  const contractName = record ? record.contractName : order.contract;
+  if (!BATCH_SWAP_CONTRACTS.includes(contractName)) {
+    throw new Error(`${contractName} is not a batch swap contract (${BATCH_SWAP_CONTRACTS.join(", ")})`);
+  }
+  return ethers.getContractAt(contractName, order.address || record.address, runner);
+}
+
+/**
+ * Checks that `owner` can hand over `basket` to the swap contract at `spender`: every token
+ * is ERC1155 and `owner` holds every amount. Returns { problems, shortfalls, approvals }:
+ * tokens that can never be swapped, amounts `owner` does not hold, and the tokens that
+ * still need setApprovalForAll(spender, true).
+ */
+async function inspectBasket(basket, owner, spender, runner) {
+  const { ethers } = runtime();
+  const problems = [];
+  const shortfalls = [];
+  const approvals = [];
+  const byToken = new Map();
+  for (const item of basket) {
+    byToken.set(item.token.toLowerCase(), [...(byToken.get(item.token.toLowerCase()) || []), item]);
+  }
+
+  for (const items of byToken.values()) {
+    const { token, symbol } = items[0];
+    const name = symbol ? `${symbol} (${token})` : token;
+    const asset = new ethers.Contract(token, TOKEN_ABI, runner);
+    let isErc1155 = false;
+    try {
+      isErc1155 = await asset.supportsInterface(ERC1155_INTERFACE);
+    } catch {
+      // Not ERC165 at all, e.g. a plain ERC20.
+    }
+    if (!isErc1155) {
+      problems.push(`${name} is not an ERC1155 token; batch swaps move every item with IERC1155.safeTransferFrom, so trade an ERC1155 form of it`);
+      continue;
+    }
+    const balances = await asset.balanceOfBatch(items.map(() => owner), items.map((item) => item.id));
+    items.forEach((item, index) => {
+      if (BigInt(balances[index]) < BigInt(item.amount)) {
+        shortfalls.push(`${owner} holds ${balances[index]} of id ${item.id} of ${name}, needs ${item.amount}`);
+      }
+    });
+    if (!(await asset.isApprovedForAll(owner, spender))) {
+      approvals.push(token);
+    }
+  }
+  return { problems, shortfalls, approvals };
+}
+
+/**
+ * Everything the initiator has to send for an order: the missing approvals, then
+ * initiateSwap. Returns { problems, warnings, transactions }, where each transaction is
+ * { to, method, args, description }. Problems would make the swap revert or never complete;
+ * warnings are about what the participant still has to hold and approve for completeSwap.
+ */
+async function planInitiation(order, contract, secretHash, runner) {
+  const spender = contract.address || (await contract.getAddress());
+  const problems = [];
+  if (await contract.paused()) problems.push(`${spender} is paused`);
+  if (!(await contract.hasRole(await contract.OPERATOR_ROLE(), order.operator))) {
+    problems.push(`operator ${order.operator} does not hold OPERATOR_ROLE on ${spender}`);
+  }
+  const mine = await inspectBasket(order.give, order.initiator, spender, runner);
+  const theirs = await inspectBasket(order.take, order.participant, spender, runner);
+
+  const transactions = mine.approvals.map((token) => ({
+    to: token,
+    method: "setApprovalForAll",
+    args: [spender, true],
+    description: `let ${spender} move ${order.initiator}'s tokens of ${token}`,
+  }));
+  transactions.push({
+    to: spender,
+    method: "initiateSwap",
+    args: initiateArgs(order, secretHash || ZERO_HASH),
+    description: `lock ${describeBasket(order.give)} for ${describeBasket(order.take)}`,
+  });
+  const warnings = [
+    ...theirs.shortfalls.map((problem) => `participant: ${problem}`),
+    ...theirs.approvals.map((token) => `participant: ${order.participant} has not approved ${spender} for ${token} yet; completeSwap needs it`),
+  ];
+  return { problems: [...problems, ...mine.problems, ...mine.shortfalls, ...theirs.problems], warnings, transactions };
+}
+
+/**
+ * What was locked under `swapId`, from its SwapInitiated event (the contract's `swaps`
+ * getter leaves out the arrays): { initiator, participant, operator, timeLock, give, take },
+ * or null when no such swap was initiated since `fromBlock`.
+ */
+async function lockedTerms(contract, swapId, fromBlock = 0) {
+  const [event] = await contract.queryFilter(contract.filters.SwapInitiated(swapId), fromBlock);
+  if (!event) {
+    return null;
+  }
+  const { args } = event;
+  const basket = (tokens, ids, amounts) => tokens.map((token, index) => ({ token, id: ids[index].toString(), amount: amounts[index].toString() }));
+  return {
+    initiator: args.initiator,
+    participant: args.participant,
+    operator: args.operator,
+    timeLock: Number(args.timeLockDuration),
+    give: basket(args.initiatorTokens, args.initiatorIds, args.initiatorAmounts),
+    take: basket(args.participantTokens, args.participantIds, args.participantAmounts),
+  };
+}
+
+// Adds up a basket per token and ID so baskets compare regardless of order and repeats.
+function totals(basket) {
+  const sums = {};
+  for (const item of basket) {
+    const key = `${item.token.toLowerCase()}:${item.id}`;
+    sums[key] = (sums[key] || 0n) + BigInt(item.amount);
+  }
+  return sums;
+}
+
+/**
+ * Compares a locked swap with what the order says should have been locked and returns the
+ * differences. The item order on chain does not matter, only the totals per token and ID.
+ */
+function termMismatches(terms, order) {
+  const problems = [];
+  for (const key of ["initiator", "participant", "operator"]) {
+    if (!sameAddress(terms[key], order[key])) problems.push(`${key} is ${terms[key]}, expected ${order[key]}`);
+  }
+  if (terms.timeLock !== order.timeLock) problems.push(`timeLock is ${terms.timeLock}s, expected ${order.timeLock}s`);
+  for (const side of ["give", "take"]) {
+    const locked = totals(terms[side]);
+    const expected = totals(order[side]);
+    for (const key of new Set([...Object.keys(locked), ...Object.keys(expected)])) {
+      if ((locked[key] || 0n) !== (expected[key] || 0n)) {
+        const [token, id] = key.split(":");
+        problems.push(`${side === "give" ? "initiator" : "participant"} side has ${locked[key] || 0n} of id ${id} of ${token}, expected ${expected[key] || 0n}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Everything the participant has to check and send before committing to a locked swap:
+ * that `swapId` is open and locks exactly what the order says, that the participant holds
+ * the items completeSwap will take, and the approvals still missing. Returns
+ * { problems, transactions } like planInitiation; completeSwap itself needs the secret.
+ */
+async function planAcceptance(order, contract, swapId, runner) {
+  const spender = contract.address || (await contract.getAddress());
+  const terms = await lockedTerms(contract, swapId, order.fromBlock || 0);
+  if (!terms) {
+    return { problems: [`no swap ${swapId} was initiated on ${spender}`], transactions: [] };
+  }
+  const problems = termMismatches(terms, order);
+  const swap = await contract.swaps(swapId);
+  if (swap.isCompleted || swap.isRefunded) problems.push(`swap ${swapId} is already ${swap.isCompleted ? "completed" : "refunded"}`);
+
+  const mine = await inspectBasket(order.take, order.participant, spender, runner);
+  const transactions = mine.approvals.map((token) => ({
+    to: token,
+    method: "setApprovalForAll",
+    args: [spender, true],
+    description: `let ${spender} move ${order.participant}'s tokens of ${token}`,
+  }));
+  return { problems: [...problems, ...mine.problems, ...mine.shortfalls], transactions, expiresAt: Number(swap.startTime) + Number(swap.timeLockDuration) };
+}
+
+/**
+ * Sends planned transactions from `signer` in order, waiting for each. Approvals go to their
+ * token, everything else to the swap `contract`.
+ */
+async function sendPlanned(transactions, { signer, contract, log = console.log }) {
+  const { ethers } = runtime();
+  const hashes = [];
+  for (const transaction of transactions) {
+    const target = transaction.method === "setApprovalForAll" ? new ethers.Contract(transaction.to, TOKEN_ABI, signer) : contract.connect(signer);
+    const tx = await target[transaction.method](...transaction.args);
+    await tx.wait();
+    log(`${transaction.description} (${tx.hash})`);
+    hashes.push(tx.hash);
+  }
+  return hashes;
+}
+
+function secretFile(swapId, dir = BATCH_SWAPS_DIR) {
+  return path.join(dir, `${swapId}.json`);
+}
+
+/**
+ * Stores the secret of a batch swap about to be initiated, encrypted like the swap vault's
+ * (SWAP_VAULT_PASSPHRASE), in swaps/batch/<swapId>.json next to a copy of the order.
+ */
+function saveSecret(swapId, order, secret, { passphrase = vaultPassphrase(), dir } = {}) {
+  const file = secretFile(swapId, dir);
+  if (fs.existsSync(file)) {
+    throw new Error(`Swap ${swapId} already has a secret at ${file}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const record = { swapId, order, secret: encryptSecret(secret, passphrase), savedAt: new Date().toISOString() };
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * The decrypted secret of a batch swap this side initiated, to hand to the participant
+ * (or operator) that completes it.
+ */
+function readSecret(swapId, { passphrase = vaultPassphrase(), dir } = {}) {
+  const file = secretFile(swapId, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No secret stored for batch swap ${swapId}`);
+  }
+  return decryptSecret(JSON.parse(fs.readFileSync(file, "utf8")).secret, passphrase);
+}
+
+module.exports = {
+  BATCH_SWAPS_DIR,
+  BATCH_SWAP_CONTRACTS,
+  parseBasket,
+  parseTrade,
+  describeBasket,
+  validateBatchOrder,
+  loadBatchOrder,
+  initiateArgs,
+  connectOrder,
+  inspectBasket,
+  planInitiation,
+  lockedTerms,
+  termMismatches,
+  planAcceptance,
+  sendPlanned,
+  saveSecret,
+  readSecret,
+};
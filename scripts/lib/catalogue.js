@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+
+// Domain folders sit at the repository root as "<n>_<Name>" (e.g. "6_Trading_and_Settlement").
+const DOMAIN_PATTERN = /^([1-6])_\s*(.+)$/;
+// Category folders look like "6-1X_Atomic Swap".
+const CATEGORY_PATTERN = /^(\d-1[XYZ])_(.+)$/;
+// Standard folders look like "6-1X_### 1. ERC20 Fungible Token Standard".
+const STANDARD_PATTERN = /^\d-1[XYZ]_###\s*(\d+)\.\s*(ERC\d+|AnonCreds)\b/;
+// Entry folders look like "6-1X_1B - Time-Locked Atomic Swap Contract" (the space before the dash is optional).
+const ENTRY_PATTERN = /^(\d-1[XYZ])_(\d+)([A-Z])\s*-\s*(.+)$/;
+// A handful of folders ship their deploy script as "deploy,js" or "deployjs".
+const DEPLOY_SCRIPT_PATTERN = /^deploy[.,]?js$/;
+// A few "deploy.js" files are mocha test suites; running them would run tests, not deploy.
+const TEST_SUITE_PATTERN = /^\s*describe\s*\(/m;
+
+const STANDARDS = ["ERC20", "ERC721", "ERC777", "ERC1155", "ERC1400", "ERC1404", "ERC4626", "ERC998", "AnonCreds"];
+
+function listDirectories(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// "AML_Monitoring_and_Reporting_Contract" and "AMLMonitoringAndReportingContract" compare equal.
+function looseName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// The entry's contract is the one named like its source file. Failing that it is the last one
+// declared, since helper contracts come before the contract that uses them.
+function readContractName(dir, files) {
+  const source = files.find((file) => file.endsWith(".sol"));
+  if (!source) {
+    return { source: null, contractName: null };
+  }
+
+  const code = fs.readFileSync(path.join(dir, source), "utf8");
+  const declared = [...code.matchAll(/^\s*contract\s+(\w+)/gm)].map((match) => match[1]);
+  const fileName = path.basename(source, ".sol");
+  const named = declared.find((name) => looseName(name) === looseName(fileName));
+
+  return {
+    source: path.join(dir, source),
+    contractName: named || declared[declared.length - 1] || fileName,
+  };
+}
+
+function buildEntry(domain, category, standard, name, dir) {
+  const match = name.match(ENTRY_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, group, variant, title] = match;
+  const files = fs.readdirSync(dir);
+  const { source, contractName } = readContractName(dir, files);
+  let deployScript = files.find((file) => DEPLOY_SCRIPT_PATTERN.test(file));
+  let deployScriptIssue = null;
+  if (deployScript && TEST_SUITE_PATTERN.test(fs.readFileSync(path.join(dir, deployScript), "utf8"))) {
+    deployScriptIssue = `${deployScript} is a mocha test suite, not a deploy script`;
+    deployScript = null;
+  }
+
+  return {
+    id: `${prefix}_${group}${variant}`,
+    domain: domain.name,
+    domainNumber: domain.number,
+    category: category.name,
+    standard: standard.name,
+    group: Number(group),
+    variant,
+    title: title.trim(),
+    contractName,
+    dir,
+    source,
+    deployScript: deployScript ? path.join(dir, deployScript) : null,
+    deployScriptIssue,
+  };
+}
+
+/**
+ * Walks the six domain trees and returns one entry per catalogue folder, ordered by catalogue ID.
+ */
+function loadCatalogue(root = ROOT) {
+  const entries = [];
+
+  for (const domainName of listDirectories(root)) {
+    const domainMatch = domainName.match(DOMAIN_PATTERN);
+    if (!domainMatch) continue;
+    const domain = { name: domainName, number: Number(domainMatch[1]) };
+    const domainDir = path.join(root, domainName);
+
+    for (const categoryName of listDirectories(domainDir)) {
+      if (!CATEGORY_PATTERN.test(categoryName)) continue;
+      const category = { name: categoryName };
+      const categoryDir = path.join(domainDir, categoryName);
+
+      for (const standardName of listDirectories(categoryDir)) {
+        const standardMatch = standardName.match(STANDARD_PATTERN);
+        if (!standardMatch) continue;
+        const standard = { name: standardMatch[2] };
+        const standardDir = path.join(categoryDir, standardName);
+
+        for (const entryName of listDirectories(standardDir)) {
+          const entry = buildEntry(domain, category, standard, entryName, path.join(standardDir, entryName));
+          if (entry) entries.push(entry);
+        }
+      }
+    }
+  }
+
+  return entries.sort((a, b) => a.id.localeCompare(b.id, "en", { numeric: true }));
+}
+
+/**
+ * Resolves a catalogue ID ("4-1Z_4C") or a contract name ("CapitalGainsTaxReportingContract").
+ * Matching is case-insensitive. Returns undefined when nothing matches, and throws when a
+ * contract name is shared by several entries, listing their IDs.
+ */
+function findEntry(entries, query) {
+  const needle = String(query).trim().toLowerCase();
+  const byId = entries.find((entry) => entry.id.toLowerCase() === needle);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = entries.filter((entry) => entry.contractName && entry.contractName.toLowerCase() === needle);
+  if (byName.length > 1) {
+    throw new Error(`"${query}" is the contract of ${byName.length} entries (${byName.map((entry) => entry.id).join(", ")}); use a catalogue ID`);
+  }
+  return byName[0];
+}
+
+/**
+ * Returns the catalogue's spelling of a token standard ("erc1404" -> "ERC1404"), or throws
+ * for a standard the catalogue does not use.
+ */
+function resolveStandard(standard) {
+  const match = STANDARDS.find((name) => name.toLowerCase() === String(standard).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`Unknown standard "${standard}" (${STANDARDS.join(", ")})`);
+  }
+  return match;
+}
+
+/**
+ * Filters entries by domain (number, folder name or category prefix such as "6-1Z"), token standard and variant letter.
+ */
+function filterEntries(entries, { domain, standard, variant } = {}) {
+  return entries.filter((entry) => {
+    if (domain !== undefined && domain !== null) {
+      const wanted = String(domain).toLowerCase();
+      const matches =
+        String(entry.domainNumber) === wanted ||
+        entry.domain.toLowerCase().includes(wanted) ||
+        entry.category.toLowerCase().startsWith(wanted);
+      if (!matches) {
+        return false;
+      }
+    }
+    if (standard && entry.standard.toLowerCase() !== String(standard).toLowerCase()) {
+      return false;
+    }
+    if (variant && entry.variant !== String(variant).toUpperCase()) {
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  ROOT,
+  STANDARDS,
+  loadCatalogue,
+  findEntry,
+  resolveStandard,
+  filterEntries,
+};
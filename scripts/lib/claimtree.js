@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { runtime, readRows } = require("./common");
+
+const CLAIMS_DIR = process.env.CLAIMS_DIR || path.join(ROOT, "claims");
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+    concat: utils.concat,
+    getAddress: utils.getAddress,
+    solidityKeccak256: utils.solidityKeccak256 || ethers.solidityPackedKeccak256,
+  };
+}
+
+function randomBytes32() {
+  return "0x" + crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * The leaf PrivacyPreservingEscrowContract checks a claim against:
+ * keccak256(abi.encodePacked(msg.sender)).
+ */
+function hashLeaf(address) {
+  return lib().solidityKeccak256(["address"], [address]);
+}
+
+/**
+ * The identifier an escrow is deposited for and getUserEscrows looks up:
+ * keccak256(abi.encodePacked(address, salt)). The contract never checks it against the
+ * claimant; the salt only keeps the beneficiary's address from being guessed.
+ */
+function hashBeneficiary(address, salt) {
+  return lib().solidityKeccak256(["address", "bytes32"], [address, salt]);
+}
+
+// OpenZeppelin's MerkleProof hashes each pair in sorted order, so proofs carry no directions.
+function hashPair(a, b) {
+  const { keccak256, concat } = lib();
+  return a.toLowerCase() < b.toLowerCase() ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Recomputes the root from a leaf and its proof the way MerkleProof.verify does.
+ */
+function verifyProof(proof, root, leaf) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf).toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Reads beneficiaries from a CSV file (with a header row) or a JSON array: `address`, and
+ * optionally the `salt` (32 bytes, hex) for their hashed identifier and a `label`.
+ */
+function loadBeneficiaries(file) {
+  const problems = [];
+  const seen = new Set();
+  const beneficiaries = readRows(file).map((raw, index) => {
+    const label = `row ${index + 1}`;
+    if (!ADDRESS_PATTERN.test(raw.address || "")) problems.push(`${label}: "address" must be an address`);
+    if (raw.salt && !BYTES32_PATTERN.test(raw.salt)) problems.push(`${label}: "salt" must be 32 bytes of hex`);
+    const address = String(raw.address).toLowerCase();
+    if (seen.has(address)) problems.push(`${label}: ${raw.address} is listed twice`);
+    seen.add(address);
+    return { address: raw.address, ...(raw.salt && { salt: raw.salt }), ...(raw.label && { label: raw.label }) };
+  });
+
+  if (beneficiaries.length === 0) problems.push("there are no beneficiaries");
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return beneficiaries;
+}
+
+/**
+ * Gives every beneficiary without a salt the one they had in `previous` (the beneficiaries
+ * of an earlier tree), so their hashed identifiers stay the same, or a new random one.
+ */
+function assignSalts(beneficiaries, previous = []) {
+  const kept = Object.fromEntries(previous.map((member) => [member.address.toLowerCase(), member.salt]));
+  return beneficiaries.map((beneficiary) => ({ ...beneficiary, salt: beneficiary.salt || kept[beneficiary.address.toLowerCase()] || randomBytes32() }));
+}
+
+/**
+ * Builds the Merkle tree of a beneficiary list: { root, layers, beneficiaries }, where each
+ * beneficiary gains a checksummed address, hashedBeneficiary, leaf and proof. Leaves are
+ * sorted so the same list and salts always give the same root, and a node without a sibling
+ * moves up unchanged. A lone beneficiary is paired with a decoy leaf derived from their salt,
+ * as the root of a one-leaf tree would be keccak256 of their address.
+ */
+function buildClaimTree(beneficiaries) {
+  const { getAddress } = lib();
+  const members = beneficiaries.map((beneficiary) => {
+    const address = getAddress(beneficiary.address);
+    return { ...beneficiary, address, hashedBeneficiary: hashBeneficiary(address, beneficiary.salt), leaf: hashLeaf(address) };
+  });
+
+  const leaves = members.map((member) => member.leaf);
+  if (leaves.length === 1) leaves.push(lib().solidityKeccak256(["string", "bytes32"], ["decoy", members[0].salt]));
+  leaves.sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const below = layers[layers.length - 1];
+    const layer = [];
+    for (let index = 0; index < below.length; index += 2) {
+      layer.push(index + 1 < below.length ? hashPair(below[index], below[index + 1]) : below[index]);
+    }
+    layers.push(layer);
+  }
+  const root = layers[layers.length - 1][0];
+
+  for (const member of members) {
+    const proof = [];
+    let index = leaves.indexOf(member.leaf);
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    if (!verifyProof(proof, root, member.leaf)) {
+      throw new Error(`The proof built for ${member.address} does not verify`);
+    }
+    member.proof = proof;
+  }
+  return { root, layers, beneficiaries: members };
+}
+
+/**
+ * Writes claims/<label>/tree.json (root, layers and every beneficiary, salts included; keep
+ * it private) and one claim package per beneficiary, claims/<label>/<address>.json, with
+ * what they need to find and claim their escrows. `escrows` maps addresses to escrow IDs
+ * already deposited under the root. Returns the paths written.
+ */
+function writeClaimPackages(tree, { label, contract, network, escrows = {}, dir = CLAIMS_DIR }) {
+  const base = path.join(dir, label);
+  fs.mkdirSync(base, { recursive: true });
+  const treeFile = path.join(base, "tree.json");
+  const summary = { label, root: tree.root, network, contract, builtAt: new Date().toISOString(), layers: tree.layers, beneficiaries: tree.beneficiaries };
+  fs.writeFileSync(treeFile, JSON.stringify(summary, null, 2) + "\n", { mode: 0o600 });
+
+  const packages = tree.beneficiaries.map((member) => {
+    const file = path.join(base, `${member.address}.json`);
+    const claim = {
+      address: member.address,
+      ...(member.label && { label: member.label }),
+      network,
+      contract,
+      merkleRoot: tree.root,
+      leaf: member.leaf,
+      proof: member.proof,
+      salt: member.salt,
+      hashedBeneficiary: member.hashedBeneficiary,
+      escrowIds: escrows[member.address] || [],
+      howToClaim: "Call claimFunds(escrowId, proof) from this address once the escrow is approved and its release time has passed.",
+    };
+    fs.writeFileSync(file, JSON.stringify(claim, null, 2) + "\n", { mode: 0o600 });
+    return file;
+  });
+  return { treeFile, packages };
+}
+
+module.exports = {
+  CLAIMS_DIR,
+  hashLeaf,
+  hashBeneficiary,
+  hashPair,
+  verifyProof,
+  loadBeneficiaries,
+  assignSalts,
+  buildClaimTree,
+  writeClaimPackages,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Request bodies the HTTP servers (issuer, order book, webhook oracle) accept at most.
+const MAX_BODY = 64 * 1024;
+
+// Gas limit a batched call (a netting batch, an onboarding step) is planned under by default.
+const DEFAULT_MAX_GAS = 3000000;
+
+// Loaded on first use so callers can be required before Hardhat is.
+function runtime() {
+  return require("hardhat");
+}
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Quotes a value for a CSV field when it holds a quote, comma or line break.
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Splits CSV text into rows of fields, honouring double-quoted fields.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Reads the rows of a CSV file with a header row, or of a JSON array, as objects.
+ */
+function readRows(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  if (file.endsWith(".json")) {
+    return JSON.parse(text);
+  }
+  const [header, ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+  return rows.map((fields) => Object.fromEntries(columns.map((name, index) => [name, (fields[index] || "").trim()])));
+}
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function typedData() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return { verifyTypedData: utils.verifyTypedData, encoder: utils._TypedDataEncoder || ethers.TypedDataEncoder };
+}
+
+/**
+ * Signs EIP-712 typed data with an ethers v5 (`_signTypedData`) or v6 (`signTypedData`) signer.
+ */
+function signTyped(signer, domain, types, value) {
+  return signer.signTypedData ? signer.signTypedData(domain, types, value) : signer._signTypedData(domain, types, value);
+}
+
+/**
+ * The address that signed `value` under `domain`. Throws if the signature is malformed.
+ */
+function recoverTyped(domain, types, value, signature) {
+  return typedData().verifyTypedData(domain, types, value, signature);
+}
+
+/**
+ * The EIP-712 digest of `value` under `domain`, as a contract's _hashTypedDataV4 computes it.
+ */
+function hashTyped(domain, types, value) {
+  return typedData().encoder.hash(domain, types, value);
+}
+
+/**
+ * The EIP-712 domain separator of `domain`, to compare with a contract's domainSeparator().
+ */
+function hashDomain(domain) {
+  return typedData().encoder.hashDomain(domain);
+}
+
+/**
+ * Reads a request body as a string, refusing bodies over MAX_BODY.
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new Error("Request body is too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Reads a JSON request body; an empty body reads as {}.
+ */
+async function readJson(request) {
+  const body = await readBody(request);
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw new Error("Request body is not valid JSON");
+  }
+}
+
+/**
+ * Answers with `body` as JSON, plus any extra `headers`.
+ */
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(JSON.stringify(body) + "\n");
+}
+
+/**
+ * Compares a secret value from a request with the expected one in constant time.
+ */
+function secretMatches(expected, given) {
+  const wanted = Buffer.from(String(expected));
+  const actual = Buffer.from(String(given || ""));
+  return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+}
+
+module.exports = {
+  MAX_BODY,
+  DEFAULT_MAX_GAS,
+  runtime,
+  sameAddress,
+  csvField,
+  parseCsv,
+  readRows,
+  signTyped,
+  recoverTyped,
+  hashTyped,
+  hashDomain,
+  readBody,
+  readJson,
+  send,
+  secretMatches,
+};
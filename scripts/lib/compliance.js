@@ -0,0 +1,268 @@
+const { resolveDeployment } = require("./registry");
+const { runtime } = require("./common");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+function mapping(party, getter, code, message) {
+  return { party, getter, code, message };
+}
+
+function role(party, name, code, message) {
+  return { party, role: name, code, message };
+}
+
+// The contract must be an ERC1400 operator of the party on the token it reads from `token`.
+function operatorOf(party, token, code, message) {
+  return { party, operatorOf: token, code, message };
+}
+
+// The corporate action the trade belongs to must exist ("exists") or not be executed yet ("open").
+function corporateAction(party, state, code, message) {
+  return { party, corporateAction: state, type: "bytes32", code, message };
+}
+
+function checkName(check) {
+  if (check.operatorOf) return "isOperator";
+  if (check.corporateAction) return check.corporateAction === "exists" ? "corporateActions.initiator" : "corporateActions.isExecuted";
+  return check.getter || check.role;
+}
+
+/**
+ * What each KYC-gated swap and settlement contract requires of the parties to the call that
+ * opens a trade, in the order the contract checks it. `initiator` and `caller` are the
+ * account sending the call. Parties are addresses, except `actionId`, which is a bytes32.
+ * Every contract here is also Pausable, and the call reverts while it is paused. `message`
+ * is the contract's revert reason.
+ */
+const COMPLIANCE_RULES = {
+  KYCAMLVerifiedAtomicSwap: {
+    action: "initiateSwap",
+    checks: [
+      mapping("initiator", "verifiedParticipants", "NOT_VERIFIED", "Initiator not verified"),
+      mapping("participant", "verifiedParticipants", "NOT_VERIFIED", "Participant not verified"),
+    ],
+  },
+  RestrictedTokenAtomicSwap: {
+    action: "initiateSwap",
+    checks: [
+      mapping("initiator", "authorizedParticipants", "NOT_AUTHORIZED", "Initiator not authorized"),
+      mapping("participant", "authorizedParticipants", "NOT_AUTHORIZED", "Participant not authorized"),
+    ],
+  },
+  AccreditedInvestorAtomicSwap: {
+    action: "initiateSwap",
+    checks: [
+      role("initiator", "ACCREDITED_INVESTOR_ROLE", "NOT_ACCREDITED", "Initiator not accredited"),
+      role("participant", "ACCREDITED_INVESTOR_ROLE", "NOT_ACCREDITED", "Participant not accredited"),
+    ],
+  },
+  SecurityTokenAtomicSwap: {
+    action: "initiateSwap",
+    checks: [role("operator", "OPERATOR_ROLE", "OPERATOR_NOT_AUTHORIZED", "Operator is not authorized")],
+  },
+  ComplianceDrivenAtomicSwap: {
+    action: "initiateSwap",
+    checks: [
+      role("operator", "OPERATOR_ROLE", "OPERATOR_NOT_AUTHORIZED", "Operator is not authorized"),
+      mapping("initiator", "verifiedInvestors", "NOT_VERIFIED", "Initiator is not a verified investor"),
+      mapping("participant", "verifiedInvestors", "NOT_VERIFIED", "Participant is not a verified investor"),
+    ],
+  },
+  CorporateActionAtomicSwap: {
+    action: "initiateSwap",
+    checks: [
+      role("operator", "OPERATOR_ROLE", "OPERATOR_NOT_AUTHORIZED", "Operator is not authorized"),
+      mapping("initiator", "verifiedEntities", "NOT_VERIFIED", "Initiator is not a verified entity"),
+      mapping("participant", "verifiedEntities", "NOT_VERIFIED", "Participant is not a verified entity"),
+    ],
+  },
+  RestrictedTokenSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "whitelist", "NOT_WHITELISTED", "Caller is not whitelisted"),
+      mapping("seller", "compliantParticipants", "NOT_COMPLIANT", "Participants are not compliant"),
+      mapping("buyer", "compliantParticipants", "NOT_COMPLIANT", "Participants are not compliant"),
+    ],
+  },
+  AccreditedInvestorSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "accreditedInvestors", "NOT_ACCREDITED", "Caller is not accredited"),
+      mapping("seller", "accreditedInvestors", "NOT_ACCREDITED", "Participants are not accredited"),
+      mapping("buyer", "accreditedInvestors", "NOT_ACCREDITED", "Participants are not accredited"),
+    ],
+  },
+  RegulationCompliantSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "verifiedParticipants", "NOT_VERIFIED", "Caller is not verified"),
+      mapping("seller", "verifiedParticipants", "NOT_VERIFIED", "Participants are not verified"),
+      mapping("buyer", "verifiedParticipants", "NOT_VERIFIED", "Participants are not verified"),
+    ],
+  },
+  SecurityTokenSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "whitelist", "NOT_WHITELISTED", "Caller is not whitelisted"),
+      mapping("seller", "kycedInvestors", "NOT_KYCED", "KYC not completed for seller or buyer"),
+      mapping("buyer", "kycedInvestors", "NOT_KYCED", "KYC not completed for seller or buyer"),
+      operatorOf("seller", "securityToken", "SELLER_NOT_APPROVED", "Contract not approved to transfer seller's tokens"),
+    ],
+  },
+  ComplianceDrivenSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "whitelist", "NOT_WHITELISTED", "Caller is not whitelisted"),
+      mapping("seller", "compliantInvestors", "NOT_COMPLIANT", "Compliance not met for seller or buyer"),
+      mapping("buyer", "compliantInvestors", "NOT_COMPLIANT", "Compliance not met for seller or buyer"),
+      operatorOf("seller", "securityToken", "SELLER_NOT_APPROVED", "Contract not approved to transfer seller's tokens"),
+    ],
+  },
+  CorporateActionSettlement: {
+    action: "createTrade",
+    checks: [
+      mapping("caller", "whitelist", "NOT_WHITELISTED", "Caller is not whitelisted"),
+      corporateAction("actionId", "exists", "ACTION_NOT_FOUND", "Action ID does not exist"),
+      corporateAction("actionId", "open", "ACTION_EXECUTED", "Corporate action already executed"),
+      mapping("seller", "compliantInvestors", "NOT_COMPLIANT", "Compliance not met for seller or buyer"),
+      mapping("buyer", "compliantInvestors", "NOT_COMPLIANT", "Compliance not met for seller or buyer"),
+      operatorOf("seller", "securityToken", "SELLER_NOT_APPROVED", "Contract not approved to transfer seller's tokens"),
+    ],
+  },
+};
+
+function rulesFor(contractName) {
+  const rules = COMPLIANCE_RULES[contractName];
+  if (!rules) {
+    throw new Error(`${contractName} has no compliance rules (${Object.keys(COMPLIANCE_RULES).join(", ")})`);
+  }
+  return rules;
+}
+
+/**
+ * The parties a contract's pre-check needs values for, e.g. ["initiator", "participant"].
+ */
+function partiesOf(contractName) {
+  return [...new Set(rulesFor(contractName).checks.map((check) => check.party))];
+}
+
+/**
+ * What a party's value is: "bytes32" for a corporate action ID, otherwise "address".
+ */
+function partyType(contractName, party) {
+  const check = rulesFor(contractName).checks.find((candidate) => candidate.party === party);
+  return (check && check.type) || "address";
+}
+
+// Only the view functions the rules read, so no compiled artifact is needed.
+function rulesAbi(rules) {
+  const getters = new Set(rules.checks.filter((check) => check.getter).map((check) => check.getter));
+  const roles = new Set(rules.checks.filter((check) => check.role).map((check) => check.role));
+  const tokens = new Set(rules.checks.filter((check) => check.operatorOf).map((check) => check.operatorOf));
+  return [
+    "function paused() view returns (bool)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function corporateActions(bytes32) view returns (string actionType, address initiator, uint256 totalValue, bool isExecuted)",
+    ...[...getters].map((getter) => `function ${getter}(address) view returns (bool)`),
+    ...[...roles].map((name) => `function ${name}() view returns (bytes32)`),
+    ...[...tokens].map((name) => `function ${name}() view returns (address)`),
+  ];
+}
+
+const OPERATOR_ABI = ["function isOperator(address operator, address tokenHolder) view returns (bool)"];
+
+/**
+ * Reads everything `contractName` at `address` checks before opening a trade between
+ * `parties` (an object of party name to address, see partiesOf) and returns
+ * { ok, contractName, address, action, checks, reasons }. `checks` lists every read with
+ * whether it passed; `reasons` holds one { code, party, address, check, message } per
+ * failure, with codes such as CONTRACT_PAUSED, PARTY_MISSING, NOT_VERIFIED, NOT_WHITELISTED,
+ * NOT_COMPLIANT, NOT_KYCED, NOT_ACCREDITED, NOT_AUTHORIZED, OPERATOR_NOT_AUTHORIZED,
+ * SELLER_NOT_APPROVED, ACTION_NOT_FOUND and ACTION_EXECUTED.
+ * Unlike the contract, which stops at the first failed require, every check is run.
+ */
+async function checkCompliance(contractName, address, parties, { provider } = {}) {
+  const { ethers } = runtime();
+  const rules = rulesFor(contractName);
+  const contract = new ethers.Contract(address, rulesAbi(rules), provider || ethers.provider);
+  const checks = [];
+  const reasons = [];
+
+  const paused = await contract.paused();
+  checks.push({ check: "paused", ok: !paused });
+  if (paused) {
+    reasons.push({ code: "CONTRACT_PAUSED", check: "paused", message: "Pausable: paused" });
+  }
+
+  const roleIds = {};
+  const tokens = {};
+  const actions = {};
+  for (const check of rules.checks) {
+    const who = parties[check.party];
+    const name = checkName(check);
+    const bytes32 = check.type === "bytes32";
+    if (!(bytes32 ? BYTES32_PATTERN : ADDRESS_PATTERN).test(who || "")) {
+      checks.push({ check: name, party: check.party, ok: false });
+      const message = `No ${bytes32 ? "bytes32 ID" : "address"} given for the ${check.party}`;
+      reasons.push({ code: "PARTY_MISSING", party: check.party, check: name, message });
+      continue;
+    }
+    let ok;
+    if (check.getter) {
+      ok = await contract[check.getter](who);
+    } else if (check.operatorOf) {
+      if (!tokens[check.operatorOf]) {
+        tokens[check.operatorOf] = new ethers.Contract(await contract[check.operatorOf](), OPERATOR_ABI, provider || ethers.provider);
+      }
+      ok = await tokens[check.operatorOf].isOperator(address, who);
+    } else if (check.corporateAction) {
+      actions[who] = actions[who] || (await contract.corporateActions(who));
+      ok = check.corporateAction === "exists" ? !/^0x0{40}$/.test(actions[who].initiator) : !actions[who].isExecuted;
+    } else {
+      roleIds[check.role] = roleIds[check.role] || (await contract[check.role]());
+      ok = await contract.hasRole(roleIds[check.role], who);
+    }
+    checks.push({ check: name, party: check.party, address: who, ok });
+    if (!ok) {
+      reasons.push({ code: check.code, party: check.party, address: who, check: name, message: check.message });
+    }
+  }
+  return { ok: reasons.length === 0, contractName, address, action: rules.action, checks, reasons };
+}
+
+/**
+ * Runs checkCompliance against a recorded deployment (name, catalogue ID or contract name)
+ * on `network`, through Hardhat's provider unless another is given.
+ */
+async function precheck(network, query, parties, options = {}) {
+  const record = resolveDeployment(network, query);
+  if (!record) {
+    throw new Error(`No deployment matching "${query}" is recorded on ${network}`);
+  }
+  return { network, deployment: record.name, ...(await checkCompliance(record.contractName, record.address, parties, options)) };
+}
+
+/**
+ * Throws with every rejection reason when a pre-check did not pass, so callers can run it
+ * just before building a transaction.
+ */
+function assertCompliant(result) {
+  if (!result.ok) {
+    const lines = result.reasons.map((reason) => {
+      const who = [reason.party, reason.address].filter(Boolean).join(" ");
+      return `${reason.code}${who ? ` (${who})` : ""}: ${reason.message}`;
+    });
+    throw new Error(`${result.action} on ${result.contractName} ${result.address} would revert:\n  - ${lines.join("\n  - ")}`);
+  }
+  return result;
+}
+
+module.exports = {
+  COMPLIANCE_RULES,
+  partiesOf,
+  partyType,
+  checkCompliance,
+  precheck,
+  assertCompliant,
+};
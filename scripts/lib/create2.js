@@ -0,0 +1,288 @@
+const { runtime } = require("./common");
+
+// Keyless deterministic deployment proxy (github.com/Arachnid/deterministic-deployment-proxy). It
+// is deployed by a pre-signed transaction, so it sits at the same address on every EVM chain.
+// Calldata is a 32-byte salt followed by the init code.
+const PROXY = {
+  address: "0x4e59b44847b379578588920cA78FbF26c0B4956C",
+  signer: "0x3fab184622dc19b6109349b94811493bf2a45362",
+  fundingWei: 10000000000000000n,
+  transaction:
+    "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222",
+};
+
+const FACTORY_CONTRACT = "DeterministicDeployer";
+const READER_CONTRACT = "ConstantReader";
+const FACTORY_SALT = "0x" + "00".repeat(32);
+const DEFAULT_ADMIN_ROLE = "0x" + "00".repeat(32);
+// Sender of the ConstantReader eth_call. Any account works; a fixed one lets the reader's
+// address, which the contract it creates sees as msg.sender, be computed up front.
+const READER_CALLER = "0x000000000000000000000000000000000000c0DE";
+const RECEIPT_ATTEMPTS = 120;
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+    toUtf8Bytes: utils.toUtf8Bytes,
+    isHexString: utils.isHexString,
+    getCreate2Address: utils.getCreate2Address,
+    getCreateAddress: utils.getContractAddress || utils.getCreateAddress,
+    concat: utils.hexConcat || utils.concat,
+    abiCoder: utils.defaultAbiCoder || ethers.AbiCoder.defaultAbiCoder(),
+  };
+}
+
+function runnerOf(factory) {
+  return factory.signer || factory.runner;
+}
+
+function functionNames(iface) {
+  return iface.fragments.filter((fragment) => fragment.type === "function").map((fragment) => fragment.name);
+}
+
+// The provider `signer` is connected to, so one script can deploy to several chains.
+function providerOf(signer) {
+  return (signer && signer.provider) || runtime().ethers.provider;
+}
+
+// After a deployment, pass the block it was mined in: ethers v6 providers briefly reuse the
+// answer to an identical "latest" query, which would still be the empty code from before.
+async function hasCode(address, provider = providerOf(), blockTag = "latest") {
+  return (await provider.getCode(address, blockTag)) !== "0x";
+}
+
+/**
+ * Accepts a 32-byte hex salt as is and hashes anything else ("swap-v1") into one.
+ */
+function toSalt(value) {
+  const { keccak256, toUtf8Bytes, isHexString } = lib();
+  const salt = String(value);
+  return isHexString(salt, 32) ? salt : keccak256(toUtf8Bytes(salt));
+}
+
+/**
+ * Makes sure the deployment proxy exists, broadcasting its pre-signed transaction if needed
+ * (anvil ships with it; a Hardhat node does not). Chains that reject transactions without
+ * replay protection need it deployed by other means.
+ */
+async function ensureProxy(signer) {
+  const provider = providerOf(signer);
+  if (await hasCode(PROXY.address, provider)) {
+    return;
+  }
+
+  const balance = BigInt((await provider.getBalance(PROXY.signer)).toString());
+  if (balance < PROXY.fundingWei) {
+    const funding = await signer.sendTransaction({ to: PROXY.signer, value: (PROXY.fundingWei - balance).toString() });
+    await funding.wait();
+  }
+  const hash = await provider.send("eth_sendRawTransaction", [PROXY.transaction]);
+  // hardhat-ethers' provider has no waitForTransaction, so poll for the receipt instead.
+  let receipt = await provider.getTransactionReceipt(hash);
+  for (let attempt = 1; !receipt; attempt++) {
+    if (attempt >= RECEIPT_ATTEMPTS) {
+      throw new Error(`The deployment proxy transaction ${hash} was not mined after ${RECEIPT_ATTEMPTS} seconds`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    receipt = await provider.getTransactionReceipt(hash);
+  }
+
+  if (!(await hasCode(PROXY.address, provider, receipt.blockNumber))) {
+    throw new Error(`Could not deploy the deterministic deployment proxy at ${PROXY.address}`);
+  }
+}
+
+/**
+ * Returns the address the DeterministicDeployer factory has (or will have) on every chain.
+ */
+async function factoryAddress(signer) {
+  const { ethers } = runtime();
+  const { keccak256, getCreate2Address } = lib();
+
+  const Factory = await ethers.getContractFactory(FACTORY_CONTRACT, ...(signer ? [signer] : []));
+  const { data: initCode } = await Factory.getDeployTransaction();
+  return { Factory, initCode, address: getCreate2Address(PROXY.address, FACTORY_SALT, keccak256(initCode)) };
+}
+
+/**
+ * Returns the DeterministicDeployer factory, deploying it through the proxy on first use.
+ */
+async function ensureFactory(signer) {
+  const { concat } = lib();
+  const { Factory, initCode, address } = await factoryAddress(signer);
+  const provider = providerOf(signer);
+
+  if (!(await hasCode(address, provider))) {
+    await ensureProxy(signer);
+    const tx = await signer.sendTransaction({ to: PROXY.address, data: concat([FACTORY_SALT, initCode]) });
+    const receipt = await tx.wait();
+    if (!(await hasCode(address, provider, receipt.blockNumber))) {
+      throw new Error(`${FACTORY_CONTRACT} was not created at ${address}`);
+    }
+  }
+  return Factory.attach(address);
+}
+
+/**
+ * Computes where `deployer` will create `initCode` with `salt` through the factory at `factoryAddress`.
+ */
+function predictAddress(factoryAddress, deployer, salt, initCode) {
+  const { keccak256, getCreate2Address, abiCoder } = lib();
+  const guardedSalt = keccak256(abiCoder.encode(["address", "bytes32"], [deployer, salt]));
+  return getCreate2Address(factoryAddress, guardedSalt, keccak256(initCode));
+}
+
+/**
+ * Calls view functions of the contract `initCode` creates, before it exists: ConstantReader's
+ * creation code runs with eth_call, so nothing is sent. `reads` are [name, args] pairs; returns
+ * the first value each call returns.
+ */
+async function readBeforeDeployment(iface, initCode, reads, provider = providerOf()) {
+  const { ethers } = runtime();
+  const { abiCoder } = lib();
+  if (reads.length === 0) {
+    return [];
+  }
+
+  const Reader = await ethers.getContractFactory(READER_CONTRACT);
+  const calls = reads.map(([name, args]) => iface.encodeFunctionData(name, args));
+  const { data } = await Reader.getDeployTransaction(initCode, calls);
+  const [results] = abiCoder.decode(["bytes[]"], await provider.call({ from: READER_CALLER, data }));
+  return reads.map(([name], index) => iface.decodeFunctionResult(name, results[index])[0]);
+}
+
+/**
+ * Reads argument-less view functions (`names`) of the contract `initCode` creates (see
+ * readBeforeDeployment). Returns { name: value }.
+ */
+async function readConstants(iface, initCode, names, provider = providerOf()) {
+  const values = await readBeforeDeployment(iface, initCode, names.map((name) => [name, []]), provider);
+  return Object.fromEntries(names.map((name, index) => [name, values[index]]));
+}
+
+// The ConstantReader's address inside the eth_call. It creates the contract, so it stands in
+// for the factory as the constructor's msg.sender.
+async function readerAddress(provider) {
+  const { getCreateAddress } = lib();
+  return getCreateAddress({ from: READER_CALLER, nonce: await provider.getTransactionCount(READER_CALLER) });
+}
+
+/**
+ * Calls that hand constructor-assigned ownership and roles from `factoryAddress` to `owner`:
+ * `transferOwnership` for Ownable contracts, and for AccessControl contracts a grant of each
+ * role the factory ends up holding, followed by the factory renouncing them. The roles are
+ * DEFAULT_ADMIN_ROLE and the `*_ROLE` constants in the ABI. Which of them the factory holds,
+ * and their admin roles, are read from the contract `initCode` creates (see
+ * readBeforeDeployment). A held role whose admin role the factory lacks cannot be granted; it
+ * stays with the factory and `log` says so. `log` also warns when the constructor mints
+ * tokens to msg.sender, since they stay in the factory.
+ */
+async function handoverCalls(iface, initCode, owner, factoryAddress, provider = providerOf(), { log = console.warn } = {}) {
+  const names = functionNames(iface);
+  const has = (name) => names.includes(name);
+  const calls = [];
+  const holder = await readerAddress(provider);
+
+  if (has("owner") && has("transferOwnership")) {
+    calls.push(iface.encodeFunctionData("transferOwnership", [owner]));
+  }
+
+  const balanceOf = iface.fragments.find(
+    (fragment) => fragment.type === "function" && fragment.name === "balanceOf" && fragment.inputs.length === 1 && fragment.inputs[0].type === "address"
+  );
+  if (balanceOf) {
+    const [balance] = await readBeforeDeployment(iface, initCode, [[balanceOf.format(), [holder]]], provider);
+    if (BigInt(balance.toString()) > 0n) {
+      log(`The constructor mints ${balance} tokens to msg.sender; they stay in the factory at ${factoryAddress}`);
+    }
+  }
+
+  if (["grantRole", "renounceRole", "hasRole", "getRoleAdmin"].every(has)) {
+    const constants = iface.fragments
+      .filter((fragment) => fragment.type === "function" && /_ROLE$/.test(fragment.name) && fragment.inputs.length === 0)
+      .filter((fragment) => fragment.name !== "DEFAULT_ADMIN_ROLE")
+      .map((fragment) => fragment.name);
+    const values = await readConstants(iface, initCode, constants, provider);
+    const labels = new Map([[DEFAULT_ADMIN_ROLE, "DEFAULT_ADMIN_ROLE"]]);
+    for (const name of constants) {
+      if (!labels.has(values[name])) labels.set(values[name], name);
+    }
+    const roles = [...labels.keys()];
+
+    const reads = roles.flatMap((role) => [["hasRole", [role, holder]], ["getRoleAdmin", [role]]]);
+    const results = await readBeforeDeployment(iface, initCode, reads, provider);
+    const held = new Set(roles.filter((role, index) => results[2 * index]));
+    const adminOf = new Map(roles.map((role, index) => [role, results[2 * index + 1]]));
+
+    // Every grant is sent before the factory renounces anything, so it still holds the admin roles.
+    const handed = [];
+    for (const role of roles.filter((role) => held.has(role))) {
+      if (held.has(adminOf.get(role))) {
+        handed.push(role);
+      } else {
+        log(`${labels.get(role)} stays with the factory at ${factoryAddress}: it does not hold its admin role`);
+      }
+    }
+
+    for (const role of handed) {
+      calls.push(iface.encodeFunctionData("grantRole", [role, owner]));
+    }
+    for (const role of handed) {
+      calls.push(iface.encodeFunctionData("renounceRole", [role, factoryAddress]));
+    }
+  }
+  return calls;
+}
+
+/**
+ * Deploys `factory`'s contract with CREATE2 so it lands at the same address on every chain.
+ *
+ * Returns { contract, address, factory, receipt }. When code already exists at the predicted address
+ * the existing contract is returned with `receipt: null` and nothing is sent. `log` receives the
+ * handover warnings (see handoverCalls).
+ */
+async function deployDeterministic(factory, args, { salt, overrides = {}, log }) {
+  const signer = runnerOf(factory);
+  const provider = providerOf(signer);
+  const owner = await signer.getAddress();
+  const deployer = await ensureFactory(signer);
+  const deployerAddress = deployer.address || deployer.target;
+
+  const { data: initCode } = await factory.getDeployTransaction(...args);
+  const address = predictAddress(deployerAddress, owner, salt, initCode);
+  const contract = factory.attach(address);
+
+  if (await hasCode(address, provider)) {
+    return { contract, address, factory: deployerAddress, receipt: null };
+  }
+
+  const calls = await handoverCalls(factory.interface, initCode, owner, deployerAddress, provider, { log });
+  // Called by signature: `deploy` clashes with a ContractFactory-style member on ethers v6.
+  const tx = await deployer["deploy(bytes32,bytes,bytes[])"](salt, initCode, calls, overrides);
+  const receipt = await tx.wait();
+  if (!(await hasCode(address, provider, receipt.blockNumber))) {
+    throw new Error(`CREATE2 deployment did not produce code at ${address}`);
+  }
+
+  // Ownable2Step only completes the transfer once the new owner accepts it.
+  if (functionNames(factory.interface).includes("acceptOwnership")) {
+    await (await contract.acceptOwnership()).wait();
+  }
+  return { contract, address, factory: deployerAddress, receipt };
+}
+
+module.exports = {
+  PROXY,
+  toSalt,
+  ensureProxy,
+  factoryAddress,
+  ensureFactory,
+  predictAddress,
+  readBeforeDeployment,
+  readConstants,
+  handoverCalls,
+  deployDeterministic,
+};
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const path = require("path");
+const { loadCatalogue } = require("./catalogue");
+const { getAddress, recordAddress, registryKey, saveDeployment, updateDeployment } = require("./registry");
+const { toSalt, deployDeterministic } = require("./create2");
+const { loadExplorers, verifyDeployment } = require("./verify");
+const { configureRoles } = require("./roles");
+const { recordEstimate, gasUsedSince } = require("./estimate");
+const { runtime } = require("./common");
+
+function isEthersV5(ethers = runtime().ethers) {
+  return Boolean(ethers.utils);
+}
+
+function sha256(value) {
+  return "0x" + crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// BigNumber (ethers v5) and bigint (ethers v6) values are stored as decimal strings.
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value && value._isBigNumber) return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  return value;
+}
+
+/**
+ * Returns the address of a contract or signer: `.target` on ethers v6, `.address` on v5.
+ */
+async function addressOf(contractOrSigner) {
+  if (typeof contractOrSigner === "string") return contractOrSigner;
+  if (typeof contractOrSigner.target === "string") return contractOrSigner.target;
+  if (typeof contractOrSigner.address === "string") return contractOrSigner.address;
+  return contractOrSigner.getAddress();
+}
+
+/**
+ * Returns the transaction that created a contract (`deployTransaction` on v5,
+ * `deploymentTransaction()` on v6).
+ */
+function deploymentTransactionOf(contract) {
+  return contract.deployTransaction || contract.deploymentTransaction();
+}
+
+/**
+ * Waits until a contract's creation transaction is mined and returns its receipt.
+ */
+async function waitForDeployment(contract, confirmations = 1) {
+  if (typeof contract.waitForDeployment === "function") {
+    await contract.waitForDeployment();
+  } else {
+    await contract.deployed();
+  }
+  return deploymentTransactionOf(contract).wait(confirmations);
+}
+
+function parseUnits(value, decimals = 18) {
+  const { ethers } = runtime();
+  return isEthersV5(ethers) ? ethers.utils.parseUnits(String(value), decimals) : ethers.parseUnits(String(value), decimals);
+}
+
+function parseEther(value) {
+  return parseUnits(value, 18);
+}
+
+function encodeBytes32String(text) {
+  const { ethers } = runtime();
+  return isEthersV5(ethers) ? ethers.utils.formatBytes32String(text) : ethers.encodeBytes32String(text);
+}
+
+async function getBalance(signerOrAddress) {
+  const { ethers } = runtime();
+  return ethers.provider.getBalance(await addressOf(signerOrAddress));
+}
+
+// The catalogue entry whose folder is `dir` and whose contract is the one being deployed, so
+// helper contracts deployed by the same script are not tagged with the entry's ID.
+function catalogueEntryFor(dir, contractName) {
+  if (!dir) {
+    return null;
+  }
+  const resolved = path.resolve(dir);
+  return loadCatalogue().find((entry) => entry.dir === resolved && entry.contractName === contractName) || null;
+}
+
+/**
+ * Returns the name to load `contractName`'s artifact by: the fully qualified name of the one
+ * compiled from `dir` when several catalogue sources declare a contract with that name, else
+ * the plain name.
+ */
+async function artifactName(contractName, dir) {
+  const { artifacts, config } = runtime();
+  const candidates = (await artifacts.getAllFullyQualifiedNames()).filter((name) => name.endsWith(`:${contractName}`));
+  if (candidates.length < 2 || !dir) {
+    return contractName;
+  }
+  const prefix = path.relative(config.paths.root, path.resolve(dir)).split(path.sep).join("/") + "/";
+  const match = candidates.find((name) => name.startsWith(prefix));
+  if (!match) {
+    throw new Error(`${contractName} in ${dir} is not compiled; see scripts/uncompiled.json`);
+  }
+  return match;
+}
+
+async function compilerInfo(contractName, dir) {
+  const { artifacts } = runtime();
+  const artifact = await artifacts.readArtifact(await artifactName(contractName, dir));
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const settings = buildInfo ? buildInfo.input.settings : {};
+
+  return {
+    sourceName: artifact.sourceName,
+    abiHash: sha256(JSON.stringify(artifact.abi)),
+    bytecodeHash: sha256(artifact.bytecode),
+    compiler: buildInfo
+      ? { version: buildInfo.solcLongVersion, optimizer: settings.optimizer || null, evmVersion: settings.evmVersion || null }
+      : null,
+  };
+}
+
+/**
+ * Builds the registry record for a contract deployed with `receipt`.
+ */
+async function deploymentRecord(contract, receipt, { contractName, name = contractName, args = [], dir, standard, create2, permissions }) {
+  const { ethers, network } = runtime();
+  const { chainId } = await ethers.provider.getNetwork();
+  const entry = catalogueEntryFor(dir, contractName);
+
+  return {
+    name,
+    network: network.name,
+    chainId: Number(chainId),
+    contractName,
+    catalogueId: entry ? entry.id : null,
+    standard: standard || (entry ? entry.standard : null),
+    address: await addressOf(contract),
+    constructorArgs: serialize(args),
+    encodedConstructorArgs: contract.interface.encodeDeploy(args),
+    transactionHash: receipt.transactionHash || receipt.hash,
+    blockNumber: Number(receipt.blockNumber),
+    deployer: receipt.from,
+    ...(create2 && { create2 }),
+    ...(permissions && { permissions }),
+    ...(await compilerInfo(contractName, dir)),
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Deploys `contractName` with `args`, waits for it to be mined and records it in the registry.
+ *
+ * Works the same on ethers v5 and v6. Options:
+ *   name          record name (defaults to the contract name); the address book key
+ *                 unless the contract is a catalogue entry, which is filed under its ID
+ *   dir           catalogue entry folder (defaults to the folder of the running script)
+ *   standard      token standard to record when the contract is not a catalogue entry
+ *   salt          deploy with CREATE2 through the deterministic deployer (see create2.js);
+ *                 DEPLOY_SALT sets it for every contract a script deploys
+ *   signer, libraries, overrides, confirmations
+ *   roles         set to false to skip the deploy.roles.json stage
+ *   record        set to false to skip the registry
+ *   verify        set to false to skip source verification
+ *
+ * When the catalogue entry has a deploy.roles.json, its roles and ownership are configured
+ * and read back before the deployment is recorded (see roles.js).
+ *
+ * Deployments to the in-process `hardhat` network are not recorded, since that chain is
+ * discarded when the script exits. With DEPLOY_ESTIMATE_FILE set, the gas used by the
+ * deployment and its role stage is appended to that file (see estimate.js). Recorded deployments are then verified on the explorers
+ * configured for the network in scripts/explorers.json; a failed verification is reported
+ * but does not fail the deployment.
+ */
+async function deployContract(contractName, args = [], options = {}) {
+  const { ethers, network } = runtime();
+  const { signer, libraries, overrides, confirmations = 1, record = true, verify = true, roles = true } = options;
+  const dir = options.dir || (require.main ? path.dirname(require.main.filename) : undefined);
+  const salt = options.salt || process.env.DEPLOY_SALT;
+  const name = options.name || contractName;
+  const entry = catalogueEntryFor(dir, contractName);
+
+  const factory = await ethers.getContractFactory(await artifactName(contractName, dir), { ...(signer && { signer }), ...(libraries && { libraries }) });
+  let contract;
+  let receipt;
+  let create2;
+
+  if (salt) {
+    const deployment = await deployDeterministic(factory, args, { salt: toSalt(salt), overrides });
+    ({ contract, receipt } = deployment);
+    create2 = { factory: deployment.factory, salt: toSalt(salt) };
+
+    if (!receipt) {
+      console.log(`${contractName} already deployed at ${deployment.address}`);
+      const key = registryKey({ catalogueId: entry && entry.id, name });
+      if (record && network.name !== "hardhat" && getAddress(network.name, key) !== deployment.address) {
+        recordAddress(network.name, key, deployment.address);
+      }
+      return contract;
+    }
+  } else {
+    contract = await factory.deploy(...args, ...(overrides ? [overrides] : []));
+    receipt = await waitForDeployment(contract, confirmations);
+  }
+
+  // A failed role stage is reported after the deployment is recorded, so the address is not lost.
+  const setupFrom = await ethers.provider.getBlockNumber();
+  let permissions = null;
+  let roleError = null;
+  try {
+    permissions = roles && entry ? await configureRoles(contract, entry.dir, network.name) : null;
+  } catch (error) {
+    roleError = error;
+  }
+
+  if (process.env.DEPLOY_ESTIMATE_FILE) {
+    recordEstimate(process.env.DEPLOY_ESTIMATE_FILE, {
+      entry: process.env.DEPLOY_ESTIMATE_ENTRY || null,
+      name,
+      contractName,
+      gasUsed: receipt.gasUsed.toString(),
+      setupGas: (await gasUsedSince(ethers.provider, setupFrom)).toString(),
+    });
+  }
+
+  if (!record || network.name === "hardhat") {
+    if (roleError) throw roleError;
+    return contract;
+  }
+
+  const saved = saveDeployment(
+    await deploymentRecord(contract, receipt, { ...options, contractName, args, dir, create2, permissions })
+  );
+  if (verify && loadExplorers()[network.name]) {
+    try {
+      updateDeployment(saved, { verification: await verifyDeployment(saved) });
+    } catch (error) {
+      console.warn(`Skipping verification of ${saved.name}: ${error.message}`);
+    }
+  }
+  if (roleError) throw roleError;
+  return contract;
+}
+
+module.exports = {
+  isEthersV5,
+  addressOf,
+  deploymentTransactionOf,
+  waitForDeployment,
+  parseUnits,
+  parseEther,
+  encodeBytes32String,
+  getBalance,
+  artifactName,
+  deploymentRecord,
+  deployContract,
+};
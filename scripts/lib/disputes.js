@@ -0,0 +1,358 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { TYPES } = require("./params");
+const { recoverTyped, hashTyped, runtime, sameAddress } = require("./common");
+
+const DISPUTES_DIR = process.env.DISPUTES_DIR || path.join(ROOT, "disputes");
+const DECISIONS = ["reverse", "reject"];
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BALANCE_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+// What a party signs to file a dispute and what an operator signs to vote on one.
+const DISPUTE_TYPES = {
+  Dispute: [
+    { name: "swapId", type: "bytes32" },
+    { name: "reason", type: "string" },
+    { name: "evidence", type: "bytes32[]" },
+    { name: "filedAt", type: "uint64" },
+  ],
+};
+const VOTE_TYPES = {
+  Vote: [
+    { name: "disputeId", type: "bytes32" },
+    { name: "decision", type: "string" },
+    { name: "note", type: "string" },
+  ],
+};
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+  };
+}
+
+/**
+ * The EIP-712 domain disputes about swaps on one ReversibleAtomicSwap are signed under.
+ */
+function disputeDomain(chainId, verifyingContract) {
+  return { name: "ReversibleSwapDisputes", version: "1", chainId: Number(chainId), verifyingContract };
+}
+
+/**
+ * keccak256 of a file's bytes, to cite it as evidence without publishing it.
+ */
+function hashEvidence(file) {
+  return lib().keccak256(fs.readFileSync(file));
+}
+
+function disputesDir(network, dir = DISPUTES_DIR) {
+  return path.join(dir, network);
+}
+
+function disputeFile(network, disputeId, dir) {
+  return path.join(disputesDir(network, dir), `${disputeId}.json`);
+}
+
+/**
+ * Reads disputes/<network>/policy.json: { operators: [address...], threshold, window }.
+ * `threshold` operators out of `operators` must vote to reverse, and a dispute must be
+ * decided within `window` (default "24h") of being filed, and before the swap's timelock
+ * runs out, whichever comes first.
+ */
+function loadPolicy(network, dir) {
+  const file = path.join(disputesDir(network, dir), "policy.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No dispute policy for ${network}; create ${file} with { "operators": [...], "threshold": M }`);
+  }
+  const policy = JSON.parse(fs.readFileSync(file, "utf8"));
+  const problems = [];
+  const operators = policy.operators || [];
+  if (!Array.isArray(operators) || operators.length === 0) problems.push('"operators" must list at least one address');
+  for (const operator of operators) {
+    if (!ADDRESS_PATTERN.test(operator)) problems.push(`operator ${operator} is not an address`);
+  }
+  if (new Set(operators.map((operator) => operator.toLowerCase())).size !== operators.length) problems.push("an operator is listed twice");
+  if (!Number.isInteger(policy.threshold) || policy.threshold < 1 || policy.threshold > operators.length) {
+    problems.push(`"threshold" must be a whole number from 1 to ${operators.length}`);
+  }
+  let window = null;
+  try {
+    window = TYPES.duration(policy.window || "24h");
+  } catch (error) {
+    problems.push(`"window": ${error.message}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { operators, threshold: policy.threshold, window };
+}
+
+function loadDispute(network, disputeId, dir) {
+  const file = disputeFile(network, disputeId, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No dispute ${disputeId} on ${network}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveDispute(dispute, dir) {
+  const file = disputeFile(dispute.network, dispute.disputeId, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(dispute, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Every dispute recorded on a network, oldest first.
+ */
+function listDisputes(network, dir) {
+  const base = disputesDir(network, dir);
+  if (!fs.existsSync(base)) {
+    return [];
+  }
+  return fs
+    .readdirSync(base)
+    .filter((name) => BYTES32_PATTERN.test(name.replace(/\.json$/, "")))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(base, name), "utf8")))
+    .sort((a, b) => a.filedAt - b.filedAt);
+}
+
+function entryHash(previous, entry) {
+  return "0x" + crypto.createHash("sha256").update(previous + JSON.stringify(entry)).digest("hex");
+}
+
+// Appends to a dispute's audit trail. Each entry carries the hash of the previous one, so
+// editing or dropping an entry breaks every hash after it.
+function record(dispute, action, details = {}) {
+  const previous = dispute.trail.length > 0 ? dispute.trail[dispute.trail.length - 1].hash : "0x";
+  const entry = { at: new Date().toISOString(), action, ...details };
+  dispute.trail.push({ ...entry, hash: entryHash(previous, entry) });
+}
+
+/**
+ * Recomputes the hash chain of a dispute's trail. Returns the index of the first entry that
+ * does not match, or -1 when the trail is intact.
+ */
+function verifyTrail(dispute) {
+  let previous = "0x";
+  for (const [index, { hash, ...entry }] of dispute.trail.entries()) {
+    if (entryHash(previous, entry) !== hash) return index;
+    previous = hash;
+  }
+  return -1;
+}
+
+function swapOpen(swap) {
+  return swap.isInitiated && !swap.isCompleted && !swap.isRefunded;
+}
+
+/**
+ * Files a dispute signed by the swap's initiator or participant. `filing` is
+ * { swapId, reason, evidence: [bytes32...], filedAt } as signed with DISPUTE_TYPES; its
+ * EIP-712 hash is the dispute ID. The swap must still be open and its timelock running.
+ */
+async function fileDispute({ network, contract, domain, policy, filing, signature, now, dir }) {
+  const problems = [];
+  if (!BYTES32_PATTERN.test(filing.swapId || "")) problems.push('"swapId" must be 32 bytes of hex');
+  if (!filing.reason) problems.push('"reason" is missing');
+  if (!Array.isArray(filing.evidence) || filing.evidence.some((hash) => !BYTES32_PATTERN.test(hash))) {
+    problems.push('"evidence" must be a list of 32-byte hashes');
+  }
+  if (!Number.isInteger(Number(filing.filedAt))) problems.push('"filedAt" must be unix seconds');
+  if (problems.length > 0) {
+    throw new Error(`Invalid dispute:\n  - ${problems.join("\n  - ")}`);
+  }
+  const value = { swapId: filing.swapId, reason: filing.reason, evidence: filing.evidence, filedAt: Number(filing.filedAt) };
+
+  let signer;
+  try {
+    signer = recoverTyped(domain, DISPUTE_TYPES, value, signature);
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.message}`);
+  }
+  const swap = await contract.swaps(value.swapId);
+  if (!swap.isInitiated) {
+    throw new Error(`Swap ${value.swapId} does not exist on ${domain.verifyingContract}`);
+  }
+  if (!sameAddress(signer, swap.initiator) && !sameAddress(signer, swap.participant)) {
+    throw new Error(`Only the swap's initiator or participant can file a dispute, not ${signer}`);
+  }
+  if (!swapOpen(swap)) {
+    throw new Error(`Swap ${value.swapId} is already ${swap.isCompleted ? "completed" : "refunded or reversed"}`);
+  }
+  const expiresAt = Number(swap.startTime) + Number(swap.timeLockDuration);
+  if (now >= expiresAt) {
+    throw new Error(`The timelock of swap ${value.swapId} has run out; it can only be refunded`);
+  }
+  if (Math.abs(now - value.filedAt) > 15 * 60) {
+    throw new Error(`"filedAt" ${value.filedAt} is more than 15 minutes away from the chain's time ${now}`);
+  }
+
+  const disputeId = hashTyped(domain, DISPUTE_TYPES, value);
+  if (fs.existsSync(disputeFile(network, disputeId, dir))) {
+    throw new Error(`Dispute ${disputeId} was already filed`);
+  }
+  const open = listDisputes(network, dir).find((other) => other.swapId === value.swapId && ["open", "approved"].includes(other.status));
+  if (open) {
+    throw new Error(`Swap ${value.swapId} already has ${open.status} dispute ${open.disputeId}`);
+  }
+
+  const dispute = {
+    disputeId,
+    network,
+    contract: domain.verifyingContract,
+    swapId: value.swapId,
+    filedBy: signer,
+    role: sameAddress(signer, swap.initiator) ? "initiator" : "participant",
+    reason: value.reason,
+    evidence: value.evidence,
+    filedAt: value.filedAt,
+    deadline: Math.min(value.filedAt + policy.window, expiresAt),
+    policy: { operators: policy.operators, threshold: policy.threshold },
+    status: "open",
+    votes: [],
+    trail: [],
+  };
+  record(dispute, "filed", { by: signer, filing: value, signature });
+  saveDispute(dispute, dir);
+  return dispute;
+}
+
+/**
+ * Tallies the votes of a dispute: { reverse, reject, needed, decided } where `decided` is
+ * "reverse" once the threshold is met, "reject" once it no longer can be, or null.
+ */
+function tally(dispute) {
+  const count = (decision) => dispute.votes.filter((vote) => vote.decision === decision).length;
+  const reverse = count("reverse");
+  const reject = count("reject");
+  const { operators, threshold } = dispute.policy;
+  let decided = null;
+  if (reverse >= threshold) decided = "reverse";
+  else if (operators.length - reject < threshold) decided = "reject";
+  return { reverse, reject, needed: threshold, decided };
+}
+
+/**
+ * Records an operator's signed vote ({ disputeId, decision: "reverse" | "reject", note })
+ * on an open dispute. The signer must be one of the policy's operators and still hold
+ * OPERATOR_ROLE on the contract; each operator votes once. Returns the dispute.
+ */
+async function castVote({ network, contract, domain, vote, signature, now, dir }) {
+  const dispute = loadDispute(network, vote.disputeId, dir);
+  if (!DECISIONS.includes(vote.decision)) {
+    throw new Error(`"decision" must be ${DECISIONS.join(" or ")}`);
+  }
+  const value = { disputeId: vote.disputeId, decision: vote.decision, note: vote.note || "" };
+  let signer;
+  try {
+    signer = recoverTyped(domain, VOTE_TYPES, value, signature);
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.message}`);
+  }
+  if (!dispute.policy.operators.some((operator) => sameAddress(operator, signer))) {
+    throw new Error(`${signer} is not one of the dispute's operators`);
+  }
+  if (!(await contract.hasRole(await contract.OPERATOR_ROLE(), signer))) {
+    throw new Error(`${signer} no longer holds OPERATOR_ROLE on ${dispute.contract}`);
+  }
+  if (dispute.votes.some((other) => sameAddress(other.operator, signer))) {
+    throw new Error(`${signer} has already voted on ${dispute.disputeId}`);
+  }
+  if (dispute.status !== "open") {
+    throw new Error(`Dispute ${dispute.disputeId} is ${dispute.status}`);
+  }
+  if (now > dispute.deadline) {
+    throw new Error(`Dispute ${dispute.disputeId} passed its deadline ${new Date(dispute.deadline * 1000).toISOString()}`);
+  }
+
+  dispute.votes.push({ operator: signer, decision: value.decision, note: value.note, at: new Date().toISOString() });
+  record(dispute, "voted", { by: signer, vote: value, signature });
+  const { decided, reverse, reject } = tally(dispute);
+  if (decided === "reverse") {
+    dispute.status = "approved";
+    record(dispute, "approved", { reverse, reject });
+  } else if (decided === "reject") {
+    dispute.status = "rejected";
+    record(dispute, "rejected", { reverse, reject, reason: "the threshold can no longer be met" });
+  }
+  saveDispute(dispute, dir);
+  return dispute;
+}
+
+/**
+ * Moves disputes on: submits reverseSwap for approved ones from `signer` (an operator of the
+ * contract), rejects open ones past their deadline and closes any whose swap was completed
+ * or refunded meanwhile. An approved dispute past its deadline is rejected instead of sent.
+ * Failed submissions stay approved and are retried on the next run while the window is open.
+ */
+async function processDisputes({ network, contract, signer, now, dir, only, log = console.log }) {
+  const { ethers } = runtime();
+  const processed = [];
+  for (const dispute of listDisputes(network, dir)) {
+    if (!["open", "approved"].includes(dispute.status) || (only && dispute.disputeId !== only)) continue;
+    const swap = await contract.swaps(dispute.swapId);
+
+    if (!swapOpen(swap)) {
+      dispute.status = "closed";
+      record(dispute, "closed", { reason: `the swap was ${swap.isCompleted ? "completed" : "refunded or reversed"} outside the dispute` });
+    } else if (now > dispute.deadline) {
+      dispute.status = "rejected";
+      record(dispute, "rejected", { ...tally(dispute), reason: "the deadline passed without a decision being carried out" });
+    } else if (dispute.status === "approved") {
+      // reverseSwap returns the participant's tokens from the contract's own balance, which
+      // completeSwap never fills, so it reverts unless the contract holds enough of them.
+      const token = await ethers.getContractAt(BALANCE_ABI, swap.participantToken);
+      const held = BigInt(await token.balanceOf(dispute.contract));
+      if (held < BigInt(swap.participantAmount)) {
+        const reason = `the contract holds ${held} of the participant token but reverseSwap returns ${swap.participantAmount}`;
+        if (dispute.lastError === reason) continue;
+        dispute.lastError = reason;
+        record(dispute, "blocked", { reason });
+        log(`dispute ${dispute.disputeId} is blocked: ${reason}`);
+      } else {
+        try {
+          const tx = await contract.connect(signer).reverseSwap(dispute.swapId);
+          await tx.wait();
+          dispute.status = "reversed";
+          dispute.tx = tx.hash;
+          delete dispute.lastError;
+          record(dispute, "reversed", { by: signer.address, tx: tx.hash });
+          log(`reversed swap ${dispute.swapId} for dispute ${dispute.disputeId} (${tx.hash})`);
+        } catch (error) {
+          dispute.lastError = error.reason || error.shortMessage || error.message;
+          record(dispute, "failed", { by: signer.address, error: dispute.lastError });
+          log(`reverseSwap for dispute ${dispute.disputeId} failed: ${dispute.lastError}`);
+        }
+      }
+    } else {
+      continue;
+    }
+    saveDispute(dispute, dir);
+    processed.push(dispute);
+  }
+  return processed;
+}
+
+module.exports = {
+  DISPUTES_DIR,
+  DECISIONS,
+  DISPUTE_TYPES,
+  VOTE_TYPES,
+  disputeDomain,
+  hashEvidence,
+  loadPolicy,
+  loadDispute,
+  listDisputes,
+  verifyTrail,
+  fileDispute,
+  tally,
+  castVote,
+  processDisputes,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const { ARTIFACTS_DIR } = require("./verify");
+
+// EIP-170 limit on deployed bytecode and EIP-3860 limit on init code.
+const CODE_SIZE_LIMIT = 24576;
+const INIT_CODE_SIZE_LIMIT = 49152;
+
+const NATIVE_SYMBOLS = { polygon: "POL", polygonAmoy: "POL", gnosis: "xDAI" };
+
+/**
+ * Appends one deployment measured in estimate mode to `file` (one JSON object per line).
+ */
+function recordEstimate(file, row) {
+  fs.appendFileSync(file, JSON.stringify(row) + "\n");
+}
+
+function readEstimates(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Sums the gas used by every block mined after `blockNumber`. On the in-process Hardhat
+ * network each transaction is mined in its own block.
+ */
+async function gasUsedSince(provider, blockNumber) {
+  const latest = await provider.getBlockNumber();
+  let total = 0n;
+  for (let number = blockNumber + 1; number <= latest; number++) {
+    const block = await provider.getBlock(number);
+    total += BigInt(block.gasUsed.toString());
+  }
+  return total;
+}
+
+function findArtifact(dir, contractName) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== "build-info") {
+      const found = findArtifact(file, contractName);
+      if (found) return found;
+    } else if (entry.name === `${contractName}.json`) {
+      return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the deployed and init code sizes in bytes of a compiled contract, or null when it
+ * has no artifact.
+ */
+function codeSizes(contractName, artifactsDir = ARTIFACTS_DIR) {
+  const file = findArtifact(artifactsDir, contractName);
+  if (!file) {
+    return null;
+  }
+  const { bytecode, deployedBytecode } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { codeSize: (deployedBytecode.length - 2) / 2, initCodeSize: (bytecode.length - 2) / 2 };
+}
+
+/**
+ * Converts a gas price in gwei ("30", "0.5") to wei.
+ */
+function gweiToWei(gwei) {
+  const match = String(gwei).match(/^(\d+)(?:\.(\d{1,9}))?$/);
+  if (!match) {
+    throw new Error(`Invalid gas price "${gwei}"; expected gwei such as 30 or 0.5`);
+  }
+  return BigInt(match[1]) * 10n ** 9n + BigInt((match[2] || "").padEnd(9, "0"));
+}
+
+/**
+ * Formats a wei amount in whole native tokens with up to 6 decimals.
+ */
+function formatNative(wei) {
+  const whole = wei / 10n ** 18n;
+  const fraction = ((wei % 10n ** 18n) / 10n ** 12n).toString().padStart(6, "0").replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : String(whole);
+}
+
+function nativeSymbol(network) {
+  return NATIVE_SYMBOLS[network] || "ETH";
+}
+
+/**
+ * Turns the measured deployments into report rows with their cost at `gasPrice` (wei) and
+ * size warnings, plus totals.
+ */
+function buildReport(estimates, gasPrice, artifactsDir) {
+  const rows = estimates.map((estimate) => {
+    const gas = estimate.gasUsed ? BigInt(estimate.gasUsed) + BigInt(estimate.setupGas || 0) : null;
+    const sizes = codeSizes(estimate.contractName, artifactsDir) || {};
+    const warnings = [];
+    if (sizes.codeSize > CODE_SIZE_LIMIT) warnings.push(`code size ${sizes.codeSize} bytes exceeds ${CODE_SIZE_LIMIT}`);
+    if (sizes.initCodeSize > INIT_CODE_SIZE_LIMIT) warnings.push(`init code ${sizes.initCodeSize} bytes exceeds ${INIT_CODE_SIZE_LIMIT}`);
+    if (estimate.error) warnings.push(`not deployed: ${estimate.error}`);
+
+    return {
+      ...estimate,
+      ...sizes,
+      totalGas: gas === null ? null : gas.toString(),
+      cost: gas === null ? null : (gas * gasPrice).toString(),
+      warnings,
+    };
+  });
+
+  const totalGas = rows.reduce((sum, row) => sum + BigInt(row.totalGas || 0), 0n);
+  return {
+    gasPrice: gasPrice.toString(),
+    rows,
+    totalGas: totalGas.toString(),
+    totalCost: (totalGas * gasPrice).toString(),
+    failed: rows.filter((row) => row.error).length,
+    oversized: rows.filter((row) => row.codeSize > CODE_SIZE_LIMIT).length,
+  };
+}
+
+module.exports = {
+  CODE_SIZE_LIMIT,
+  recordEstimate,
+  readEstimates,
+  gasUsedSince,
+  codeSizes,
+  gweiToWei,
+  formatNative,
+  nativeSymbol,
+  buildReport,
+};
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const { loadSchema } = require("./params");
+const { readAddressBook } = require("./registry");
+
+const PREREQUISITES_FILE = path.join(__dirname, "..", "prerequisites.json");
+
+/**
+ * Reads the shared prerequisite contracts (tokens and vaults that catalogue contracts are built on).
+ */
+function loadPrerequisites(file = PREREQUISITES_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Lists the { param, node } pairs a catalogue entry declares through `requires` in deploy.params.json.
+ */
+function requirementsOf(entry) {
+  const schema = loadSchema(entry.dir) || {};
+  return Object.entries(schema)
+    .filter(([, spec]) => spec.requires)
+    .map(([param, spec]) => ({ param, node: spec.requires }));
+}
+
+/**
+ * Lists the prerequisite nodes referenced from a prerequisite's constructor arguments.
+ */
+function prerequisiteDependencies(spec) {
+  return (spec.args || []).filter((arg) => arg && typeof arg === "object" && arg.ref).map((arg) => arg.ref);
+}
+
+/**
+ * Works out what has to happen before `entry` can be deployed on `network`.
+ *
+ * Requirements satisfied by the network parameter file are left alone, nodes already in the
+ * address book are reused, and the remaining prerequisites are returned in dependency order.
+ */
+function planDeployment(entry, network, options = {}) {
+  const values = options.values || {};
+  const prerequisites = options.prerequisites || loadPrerequisites();
+  const addressBook = options.addressBook || readAddressBook(network);
+
+  const plan = { provided: [], reuse: {}, deploy: [] };
+  const state = new Map();
+
+  function visit(node, trail) {
+    if (state.get(node) === "done") return;
+    if (state.get(node) === "visiting") {
+      throw new Error(`Dependency cycle: ${[...trail, node].join(" -> ")}`);
+    }
+
+    if (addressBook[node]) {
+      plan.reuse[node] = addressBook[node];
+      state.set(node, "done");
+      return;
+    }
+
+    const spec = prerequisites[node];
+    if (!spec) {
+      throw new Error(
+        `${trail[0]} requires "${node}", which is not recorded on ${network} and has no prerequisite recipe`
+      );
+    }
+
+    state.set(node, "visiting");
+    for (const dependency of prerequisiteDependencies(spec)) {
+      visit(dependency, [...trail, node]);
+    }
+    state.set(node, "done");
+    plan.deploy.push(node);
+  }
+
+  for (const { param, node } of requirementsOf(entry)) {
+    if (values[param] !== undefined) {
+      plan.provided.push(param);
+      continue;
+    }
+    visit(node, [entry.id]);
+  }
+
+  return plan;
+}
+
+module.exports = {
+  PREREQUISITES_FILE,
+  loadPrerequisites,
+  requirementsOf,
+  prerequisiteDependencies,
+  planDeployment,
+};
@@ -0,0 +1,399 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { findDeployments, resolveDeployment } = require("./registry");
+const { NETTING_DIR } = require("./netting");
+const { tradesFile } = require("./orderbook");
+const { runtime, csvField } = require("./common");
+
+const INDEXER_DIR = process.env.INDEXER_DIR || path.join(ROOT, "indexer");
+const BLOCK_RANGE = 2000;
+// How far back block hashes are kept to detect reorgs.
+const REORG_DEPTH = 128;
+const DAY = 24 * 60 * 60;
+
+const asString = (value) => value.toString();
+const asStrings = (values) => Array.from(values, asString);
+
+// What each settlement contract emits, how an event moves an item and how its arguments are
+// stored. `id` is the position of the settlement, trade or batch ID among the arguments.
+const SOURCES = {
+  MultiPartySettlementContract: {
+    kind: "settlement",
+    events: {
+      SettlementInitiated: {
+        status: "open",
+        id: 0,
+        args: (args) => ({
+          participants: asStrings(args.participants),
+          tokens: asStrings(args.tokens),
+          amounts: asStrings(args.amounts),
+          expirationTime: Number(args.expirationTime),
+        }),
+      },
+      SettlementExecuted: { status: "settled", id: 0, args: (args) => ({ participants: asStrings(args.participants) }) },
+      SettlementCancelled: { status: "cancelled", id: 0, args: (args) => ({ participants: asStrings(args.participants) }) },
+      SettlementExpired: { status: "expired", id: 0, args: (args) => ({ participants: asStrings(args.participants) }) },
+    },
+  },
+  RealTimeSettlementContract: {
+    kind: "trade",
+    events: {
+      TradeSettled: {
+        status: "settled",
+        id: 4,
+        args: (args) => ({ buyer: asString(args.buyer), seller: asString(args.seller), token: asString(args.token), amount: asString(args.amount) }),
+      },
+      // The event only names who cancelled, so the trade itself is read from the contract.
+      TradeCancelled: {
+        status: "cancelled",
+        id: 1,
+        args: (args) => ({ party: asString(args.party) }),
+        enrich: async (contract, id) => {
+          const trade = await contract.trades(id);
+          return { buyer: asString(trade.buyer), seller: asString(trade.seller), token: asString(trade.token), amount: asString(trade.amount) };
+        },
+      },
+    },
+  },
+  BatchSettlementContract: {
+    kind: "batch",
+    events: {
+      BatchTradeSettled: {
+        status: "settled",
+        id: 4,
+        args: (args) => ({ seller: asString(args.seller), buyer: asString(args.buyer), tokenIds: asStrings(args.tokenIds), amounts: asStrings(args.amounts) }),
+      },
+    },
+  },
+};
+
+function databaseFile(network, dir = INDEXER_DIR) {
+  return path.join(dir, network, "settlements.json");
+}
+
+/**
+ * Reads the settlement database of a network: the indexed contracts, recent block hashes and
+ * every indexed event in chain order. Items are derived from the events with `lifecycles`.
+ */
+function loadDatabase(network, dir) {
+  const file = databaseFile(network, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { contracts: {}, blocks: {}, events: [] };
+}
+
+function saveDatabase(network, db, dir) {
+  const file = databaseFile(network, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Written to a temporary file first so a crash mid-write cannot corrupt the database.
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(db, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * The recorded settlement contracts of a network, or only those named in `only`.
+ */
+function indexedDeployments(network, only) {
+  if (only && only.length > 0) {
+    return only.map((query) => {
+      const record = resolveDeployment(network, query);
+      if (!record) {
+        throw new Error(`No deployment of "${query}" is recorded on ${network}`);
+      }
+      if (!SOURCES[record.contractName]) {
+        throw new Error(`${record.contractName} emits no settlement events (${Object.keys(SOURCES).join(", ")})`);
+      }
+      return record;
+    });
+  }
+  return findDeployments({ network }).filter((record) => SOURCES[record.contractName]);
+}
+
+// Walks back through the stored block hashes to the newest block the chain still agrees with
+// and drops every event above it. Returns the number of the first block to index again, or
+// null when there was no reorg.
+async function rewindReorg(db, provider) {
+  const numbers = Object.keys(db.blocks).map(Number).sort((a, b) => b - a);
+  if (numbers.length === 0) {
+    return null;
+  }
+  let ancestor = numbers[numbers.length - 1] - 1;
+  for (const number of numbers) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === db.blocks[number]) {
+      ancestor = number;
+      break;
+    }
+  }
+  if (ancestor === numbers[0]) {
+    return null;
+  }
+
+  db.events = db.events.filter((event) => event.blockNumber <= ancestor);
+  for (const number of numbers) {
+    if (number > ancestor) delete db.blocks[number];
+  }
+  for (const watched of Object.values(db.contracts)) {
+    watched.nextBlock = Math.min(watched.nextBlock, ancestor + 1);
+  }
+  return ancestor + 1;
+}
+
+/**
+ * Indexes the settlement events of `deployments` up to the latest block, first undoing any
+ * events a reorg has orphaned. Returns { added, rewoundTo } (rewoundTo is null without a reorg).
+ */
+async function indexSettlements(network, deployments, { dir, log = console.log } = {}) {
+  const { ethers } = runtime();
+  const provider = ethers.provider;
+  const db = loadDatabase(network, dir);
+
+  const rewoundTo = await rewindReorg(db, provider);
+  if (rewoundTo !== null) {
+    log(`Reorg detected: dropped events from block ${rewoundTo} on`);
+  }
+
+  const latest = await provider.getBlockNumber();
+  const timestamps = {};
+  const blockOf = async (number) => {
+    if (!timestamps[number]) {
+      const block = await provider.getBlock(number);
+      timestamps[number] = { hash: block.hash, timestamp: Number(block.timestamp) };
+    }
+    return timestamps[number];
+  };
+
+  let added = 0;
+  for (const record of deployments) {
+    const source = SOURCES[record.contractName];
+    const contract = await ethers.getContractAt(record.contractName, record.address);
+    const watched = (db.contracts[record.address] ||= { contractName: record.contractName, name: record.name, nextBlock: record.blockNumber || 0 });
+
+    while (watched.nextBlock <= latest) {
+      const to = Math.min(watched.nextBlock + BLOCK_RANGE - 1, latest);
+      const found = [];
+      for (const [name, spec] of Object.entries(source.events)) {
+        for (const event of await contract.queryFilter(contract.filters[name](), watched.nextBlock, to)) {
+          const id = asString(event.args[spec.id]);
+          const block = await blockOf(event.blockNumber);
+          const enriched = spec.enrich ? await spec.enrich(contract, id) : {};
+          found.push({
+            contract: record.address,
+            contractName: record.contractName,
+            event: name,
+            id,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            logIndex: event.logIndex ?? event.index,
+            tx: event.transactionHash,
+            timestamp: block.timestamp,
+            args: { ...spec.args(event.args), ...enriched },
+          });
+          db.blocks[event.blockNumber] = event.blockHash;
+        }
+      }
+      db.events.push(...found);
+      added += found.length;
+      watched.nextBlock = to + 1;
+    }
+  }
+
+  db.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  db.blocks[latest] = (await blockOf(latest)).hash;
+  for (const number of Object.keys(db.blocks)) {
+    if (Number(number) < latest - REORG_DEPTH) delete db.blocks[number];
+  }
+  db.indexedAt = new Date().toISOString();
+  db.latestBlock = latest;
+  saveDatabase(network, db, dir);
+  return { added, rewoundTo };
+}
+
+// Who is party to an item and what each of them delivers or receives.
+function legsOf(contractName, args) {
+  if (contractName === "MultiPartySettlementContract") {
+    return args.participants.map((party, index) => ({ party, token: args.tokens[index], amount: args.amounts[index] }));
+  }
+  if (contractName === "RealTimeSettlementContract") {
+    return [
+      { party: args.buyer, token: args.token, amount: args.amount },
+      { party: args.seller, token: args.token, amount: args.amount },
+    ];
+  }
+  return [
+    { party: args.seller, tokenIds: args.tokenIds, amounts: args.amounts },
+    { party: args.buyer, tokenIds: args.tokenIds, amounts: args.amounts },
+  ];
+}
+
+// Batches created by `settle-batches` on this network, which the contract creates silently.
+function createdBatches(network, netting = NETTING_DIR) {
+  if (!fs.existsSync(netting)) {
+    return [];
+  }
+  const batches = [];
+  for (const label of fs.readdirSync(netting)) {
+    const results = path.join(netting, label, `${network}.settlement.json`);
+    const planFile = path.join(netting, label, "plan.json");
+    if (!fs.existsSync(results) || !fs.existsSync(planFile)) continue;
+
+    const { contract, settledAt, batches: outcomes } = JSON.parse(fs.readFileSync(results, "utf8"));
+    const plan = JSON.parse(fs.readFileSync(planFile, "utf8"));
+    for (const outcome of outcomes.filter((item) => item.createTx)) {
+      const batch = plan.batches.find((item) => item.batchId === outcome.batchId);
+      if (batch) batches.push({ contract, batch, tx: outcome.createTx, timestamp: Math.floor(Date.parse(settledAt) / 1000) });
+    }
+  }
+  return batches;
+}
+
+// Trades the order book created on this network, which the contract also creates silently.
+function createdTrades(network, orderbook) {
+  const file = tradesFile(network, orderbook);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+/**
+ * Replays the indexed events up to `until` (unix seconds) into one lifecycle per settlement,
+ * trade or batch: { contract, contractName, kind, id, status, legs, openedAt, expiresAt,
+ * closedAt, history }. Status is open, settled, cancelled or expired. Batches created through
+ * `settle-batches` and trades created by the order book are included as open from their creation.
+ */
+function lifecycles(network, { until = Infinity, dir, netting, orderbook } = {}) {
+  const db = loadDatabase(network, dir);
+  const items = {};
+
+  const apply = ({ contract, contractName, id, status, args, tx, blockNumber, timestamp, event }) => {
+    const key = `${contract}:${id}`;
+    const item = (items[key] ||= { contract, contractName, kind: SOURCES[contractName].kind, id, status: "open", legs: [], history: [] });
+    if (args.expirationTime) item.expiresAt = args.expirationTime;
+    if (item.legs.length === 0 && (args.tokens || args.token || args.tokenIds)) {
+      item.legs = legsOf(contractName, args);
+    } else if (item.legs.length === 0 && args.participants) {
+      // Indexing started after the settlement was initiated; only the parties are known.
+      item.legs = args.participants.map((party) => ({ party }));
+    }
+    if (status === "open") {
+      item.openedAt = timestamp;
+    } else {
+      item.closedAt = timestamp;
+    }
+    item.status = status;
+    item.history.push({ status, event, tx, blockNumber, timestamp });
+  };
+
+  for (const created of createdBatches(network, netting)) {
+    const { contract, batch, tx, timestamp } = created;
+    if (timestamp > until || !db.contracts[contract]) continue;
+    apply({ contract, contractName: "BatchSettlementContract", id: batch.batchId, status: "open", args: batch, tx, timestamp, event: "createBatchTrade" });
+  }
+  for (const trade of createdTrades(network, orderbook)) {
+    const { contract, tradeId, buyer, seller, token, amount, tx, blockNumber, createdAt } = trade;
+    if (createdAt > until || !db.contracts[contract]) continue;
+    apply({ contract, contractName: "RealTimeSettlementContract", id: tradeId, status: "open", args: { buyer, seller, token, amount }, tx, blockNumber, timestamp: createdAt, event: "createTrade" });
+  }
+  for (const event of db.events) {
+    if (event.timestamp > until) continue;
+    const status = SOURCES[event.contractName].events[event.event].status;
+    apply({ ...event, status });
+  }
+
+  return Object.values(items).sort((a, b) => (a.openedAt || a.closedAt) - (b.openedAt || b.closedAt));
+}
+
+/**
+ * Filters lifecycles by status, counterparty and contract (name, address or contract name).
+ */
+function queryLifecycles(items, { status, party, contract } = {}) {
+  return items.filter(
+    (item) =>
+      (!status || item.status === status) &&
+      (!party || item.legs.some((leg) => leg.party.toLowerCase() === party.toLowerCase())) &&
+      (!contract || [item.contract, item.contractName].some((value) => value.toLowerCase() === contract.toLowerCase()))
+  );
+}
+
+/**
+ * The end-of-day reconciliation for `date` (YYYY-MM-DD, UTC), per counterparty:
+ *
+ *   unsettled  still open at the end of the day and not yet past expiry
+ *   expired    expired that day, or open and past expiry without anyone expiring it
+ *   failed     cancelled that day
+ */
+function reconciliationReport(network, date, options = {}) {
+  const start = Date.parse(`${date}T00:00:00Z`) / 1000;
+  if (Number.isNaN(start)) {
+    throw new Error(`Invalid date "${date}"; expected YYYY-MM-DD`);
+  }
+  const end = start + DAY - 1;
+  const rows = [];
+
+  for (const item of lifecycles(network, { ...options, until: end })) {
+    const closedToday = item.closedAt >= start && item.closedAt <= end;
+    let category = null;
+    if (item.status === "open") {
+      category = item.expiresAt && item.expiresAt <= end ? "expired" : "unsettled";
+    } else if (item.status === "expired" && closedToday) {
+      category = "expired";
+    } else if (item.status === "cancelled" && closedToday) {
+      category = "failed";
+    }
+    if (!category) continue;
+
+    for (const leg of item.legs) {
+      rows.push({
+        counterparty: leg.party,
+        category,
+        contract: item.contract,
+        contractName: item.contractName,
+        id: item.id,
+        status: item.status,
+        token: leg.token || "",
+        amount: leg.amount || "",
+        tokenIds: (leg.tokenIds || []).join(";"),
+        amounts: (leg.amounts || []).join(";"),
+        openedAt: item.openedAt ? new Date(item.openedAt * 1000).toISOString() : "",
+        expiresAt: item.expiresAt ? new Date(item.expiresAt * 1000).toISOString() : "",
+        closedAt: item.closedAt ? new Date(item.closedAt * 1000).toISOString() : "",
+        tx: item.history[item.history.length - 1].tx,
+      });
+    }
+  }
+  rows.sort((a, b) => a.counterparty.localeCompare(b.counterparty) || a.category.localeCompare(b.category));
+
+  const counterparties = {};
+  for (const row of rows) {
+    const totals = (counterparties[row.counterparty] ||= { unsettled: 0, expired: 0, failed: 0 });
+    totals[row.category] += 1;
+  }
+  return { network, date, generatedAt: new Date().toISOString(), counterparties, rows };
+}
+
+/**
+ * Writes indexer/<network>/reports/<date>.json and .csv and returns their paths.
+ */
+function writeReport(report, dir = INDEXER_DIR) {
+  const base = path.join(dir, report.network, "reports", report.date);
+  const columns = ["counterparty", "category", "contract", "contractName", "id", "status", "token", "amount", "tokenIds", "amounts", "openedAt", "expiresAt", "closedAt", "tx"];
+  const csv = [columns.join(","), ...report.rows.map((row) => columns.map((column) => csvField(row[column])).join(","))].join("\n") + "\n";
+
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(`${base}.csv`, csv);
+  return { jsonFile: `${base}.json`, csvFile: `${base}.csv` };
+}
+
+module.exports = {
+  INDEXER_DIR,
+  SOURCES,
+  databaseFile,
+  loadDatabase,
+  indexedDeployments,
+  indexSettlements,
+  lifecycles,
+  queryLifecycles,
+  reconciliationReport,
+  writeReport,
+};
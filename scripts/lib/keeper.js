@@ -0,0 +1,299 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { findDeployments, resolveDeployment } = require("./registry");
+const { runtime } = require("./common");
+
+const KEEPER_DIR = process.env.KEEPER_DIR || path.join(ROOT, "keeper");
+const BLOCK_RANGE = 2000;
+// A failed refund or expiry is retried after 30s, then twice as long after each failure up to
+// an hour; after MAX_ATTEMPTS the item is marked failed and left for an operator.
+const RETRY_DELAY = 30;
+const MAX_RETRY_DELAY = 3600;
+const MAX_ATTEMPTS = 8;
+
+// Contracts the keeper watches: the event that opens an item, the events that close it, how
+// its expiry is read and who may call the closing function.
+const WATCHED = {
+  TimeLockedAtomicSwap: {
+    opened: "SwapInitiated",
+    closed: ["SwapCompleted", "SwapRefunded"],
+    action: "refundSwap",
+    expiresAt: (args) => Number(args.startTime) + Number(args.timeLockDuration),
+    callers: (args) => [args.initiator],
+    isOpen: (state) => state.isInitiated && !state.isCompleted && !state.isRefunded,
+    read: (contract, id) => contract.swaps(id),
+  },
+  CrossChainNFTAtomicSwap: {
+    opened: "SwapInitiated",
+    closed: ["SwapCompleted", "SwapRefunded"],
+    action: "refundSwap",
+    expiresAt: (args) => Number(args.startTime) + Number(args.timeLockDuration),
+    callers: (args) => [args.initiator, args.operator],
+    isOpen: (state) => state.isInitiated && !state.isCompleted && !state.isRefunded,
+    read: (contract, id) => contract.swaps(id),
+  },
+  MultiPartySettlementContract: {
+    opened: "SettlementInitiated",
+    closed: ["SettlementExecuted", "SettlementCancelled", "SettlementExpired"],
+    action: "expireSettlement",
+    expiresAt: (args) => Number(args.expirationTime),
+    callers: () => null,
+    // Cancelled and expired settlements are deleted, which zeroes the expiration time.
+    isOpen: (state) => Number(state.expirationTime) !== 0 && !state.isExecuted,
+    read: (contract, id) => contract.settlements(id),
+  },
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function keeperFiles(network, dir = KEEPER_DIR) {
+  return { state: path.join(dir, network, "state.json"), audit: path.join(dir, network, "audit.log") };
+}
+
+/**
+ * Reads what the keeper has indexed on a network:
+ * { contracts: { address: { contractName, name, nextBlock } }, items: { "address:id": item } }.
+ */
+function loadState(network, dir) {
+  const { state } = keeperFiles(network, dir);
+  return fs.existsSync(state) ? JSON.parse(fs.readFileSync(state, "utf8")) : { contracts: {}, items: {} };
+}
+
+function saveState(network, state, dir) {
+  const file = keeperFiles(network, dir).state;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Written to a temporary file first so a crash mid-write cannot corrupt the state.
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Appends one entry to the network's audit log (one JSON object per line).
+ */
+function audit(network, entry, dir) {
+  const file = keeperFiles(network, dir).audit;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), network, ...entry }) + "\n");
+}
+
+function readAudit(network, dir) {
+  const file = keeperFiles(network, dir).audit;
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * The recorded deployments the keeper watches on `network`: every TimeLockedAtomicSwap,
+ * CrossChainNFTAtomicSwap and MultiPartySettlementContract, or only those named in `only`.
+ */
+function watchedDeployments(network, only) {
+  if (only && only.length > 0) {
+    return only.map((query) => {
+      const record = resolveDeployment(network, query);
+      if (!record) {
+        throw new Error(`No deployment of "${query}" is recorded on ${network}`);
+      }
+      if (!WATCHED[record.contractName]) {
+        throw new Error(`${record.contractName} has nothing for the keeper to refund or expire`);
+      }
+      return record;
+    });
+  }
+  return findDeployments({ network }).filter((record) => WATCHED[record.contractName]);
+}
+
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Connects to the watched contracts and loads the keeper's saved state. Options: network,
+ * deployments (registry records), signers, confirmations (blocks to wait before indexing an
+ * event, default 1), pollInterval (ms, default 15000), dir and log.
+ */
+async function createKeeper({ network, deployments, signers, confirmations = 1, pollInterval = 15000, maxAttempts = MAX_ATTEMPTS, dir, log = console.log }) {
+  const { ethers } = runtime();
+  const keeper = { network, signers, confirmations, pollInterval, maxAttempts, dir, log, state: loadState(network, dir), contracts: {}, stopped: false };
+
+  for (const record of deployments) {
+    keeper.contracts[record.address] = await ethers.getContractAt(record.contractName, record.address);
+    if (!keeper.state.contracts[record.address]) {
+      keeper.state.contracts[record.address] = { contractName: record.contractName, name: record.name, nextBlock: record.blockNumber || 0 };
+    }
+  }
+  return keeper;
+}
+
+// The keeper's signer allowed to close an item, or null. `callers` is null when anyone may.
+function signerFor(keeper, callers) {
+  if (callers === null) {
+    return keeper.signers[0];
+  }
+  const wanted = callers.filter(Boolean).map((address) => address.toLowerCase());
+  return keeper.signers.find((signer) => wanted.includes(signer.address.toLowerCase())) || null;
+}
+
+/**
+ * Indexes opening and closing events up to the latest confirmed block.
+ */
+async function indexEvents(keeper) {
+  const { ethers } = runtime();
+  const { network, state, dir } = keeper;
+  const safeBlock = (await ethers.provider.getBlockNumber()) - (keeper.confirmations - 1);
+
+  for (const [address, watched] of Object.entries(state.contracts)) {
+    const contract = keeper.contracts[address];
+    if (!contract) continue;
+    const spec = WATCHED[watched.contractName];
+
+    while (watched.nextBlock <= safeBlock) {
+      const to = Math.min(watched.nextBlock + BLOCK_RANGE - 1, safeBlock);
+
+      for (const event of await contract.queryFilter(contract.filters[spec.opened](), watched.nextBlock, to)) {
+        const id = event.args[0];
+        const key = `${address}:${id}`;
+        if (state.items[key]) continue;
+
+        const callers = spec.callers(event.args);
+        const item = {
+          contract: address,
+          contractName: watched.contractName,
+          id,
+          expiresAt: spec.expiresAt(event.args),
+          callers,
+          // Items none of the keeper's accounts may close are tracked but left alone.
+          status: signerFor(keeper, callers) ? "open" : "foreign",
+          attempts: 0,
+        };
+        state.items[key] = item;
+        audit(network, { action: "indexed", contract: address, id, expiresAt: item.expiresAt, status: item.status }, dir);
+      }
+
+      for (const name of spec.closed) {
+        for (const event of await contract.queryFilter(contract.filters[name](), watched.nextBlock, to)) {
+          const item = state.items[`${address}:${event.args[0]}`];
+          if (item && ["open", "foreign"].includes(item.status)) {
+            item.status = "closed";
+            item.closedBy = name;
+            audit(network, { action: "closed", contract: address, id: item.id, event: name, tx: event.transactionHash }, dir);
+          }
+        }
+      }
+
+      watched.nextBlock = to + 1;
+      saveState(network, state, dir);
+    }
+  }
+}
+
+/**
+ * Refunds or expires every open item whose timelock has run out. A failure is logged and
+ * retried with exponential backoff (`retryAt`); after `keeper.maxAttempts` failures the item is
+ * marked "failed" and no longer retried.
+ */
+async function processExpired(keeper) {
+  const { ethers } = runtime();
+  const { network, state, dir } = keeper;
+  const now = Number((await ethers.provider.getBlock("latest")).timestamp);
+
+  for (const item of Object.values(state.items)) {
+    if (item.status !== "open" || dueAt(item) > now) continue;
+    const spec = WATCHED[item.contractName];
+    const contract = keeper.contracts[item.contract];
+    if (!contract) continue;
+
+    // The closing event may not be indexed yet; the contract has the final say.
+    if (!spec.isOpen(await spec.read(contract, item.id))) {
+      item.status = "closed";
+      audit(network, { action: "closed", contract: item.contract, id: item.id, event: "state" }, dir);
+      saveState(network, state, dir);
+      continue;
+    }
+
+    const signer = signerFor(keeper, item.callers);
+    item.attempts += 1;
+    try {
+      const tx = await contract.connect(signer)[spec.action](item.id);
+      const receipt = await tx.wait();
+      item.status = "done";
+      item.tx = receipt.transactionHash || receipt.hash;
+      audit(network, { action: spec.action, contract: item.contract, id: item.id, from: signer.address, tx: item.tx, status: "ok" }, dir);
+      keeper.log(`${spec.action} ${item.id} on ${item.contract}: ${item.tx}`);
+    } catch (error) {
+      item.lastError = errorMessage(error);
+      if (item.attempts >= keeper.maxAttempts) {
+        item.status = "failed";
+      } else {
+        item.retryAt = now + Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** (item.attempts - 1));
+      }
+      audit(
+        network,
+        { action: spec.action, contract: item.contract, id: item.id, from: signer.address, status: "failed", error: item.lastError, attempt: item.attempts },
+        dir
+      );
+      keeper.log(
+        `${spec.action} ${item.id} on ${item.contract} failed: ${item.lastError}` +
+          (item.status === "failed" ? `; giving up after ${item.attempts} attempts` : `; retrying at ${new Date(item.retryAt * 1000).toISOString()}`)
+      );
+    }
+    saveState(network, state, dir);
+  }
+}
+
+// Unix time from which an item is acted on: its expiry, or the end of its backoff.
+function dueAt(item) {
+  return Math.max(item.expiresAt, item.retryAt || 0);
+}
+
+// Unix time at which the next open item is due, or Infinity.
+function nextDue(keeper) {
+  const open = Object.values(keeper.state.items).filter((item) => item.status === "open");
+  return open.length > 0 ? Math.min(...open.map(dueAt)) : Infinity;
+}
+
+/**
+ * Indexes and acts until `keeper.stopped` is set (or after one pass with `once`), waking up
+ * early when an item is about to expire.
+ */
+async function runKeeper(keeper, { once = false } = {}) {
+  const { ethers } = runtime();
+  const { network, dir } = keeper;
+  audit(network, { action: "started", contracts: Object.keys(keeper.contracts), signers: keeper.signers.map((signer) => signer.address) }, dir);
+
+  while (!keeper.stopped) {
+    try {
+      await indexEvents(keeper);
+      await processExpired(keeper);
+    } catch (error) {
+      audit(network, { action: "error", error: errorMessage(error) }, dir);
+      keeper.log(`Keeper pass failed: ${errorMessage(error)}`);
+    }
+    if (once) break;
+
+    const now = Number((await ethers.provider.getBlock("latest")).timestamp);
+    await sleep(Math.max(1000, Math.min(keeper.pollInterval, (nextDue(keeper) - now) * 1000)));
+  }
+  audit(network, { action: "stopped" }, dir);
+}
+
+module.exports = {
+  KEEPER_DIR,
+  WATCHED,
+  keeperFiles,
+  loadState,
+  readAudit,
+  watchedDeployments,
+  createKeeper,
+  indexEvents,
+  processExpired,
+  runKeeper,
+};
@@ -0,0 +1,118 @@
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { readRows } = require("./common");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Approves wallets listed in a CSV file (with an `address` column) or a JSON array, read
+ * again on every check so edits take effect without a restart. Rows may carry a `status`;
+ * only rows without one or with `approved` count.
+ */
+function createAllowlistCheck({ file }) {
+  if (!file) {
+    throw new Error('The allowlist check needs a "file"');
+  }
+  const resolved = path.resolve(ROOT, file);
+  return {
+    describe: () => `allowlist ${path.relative(ROOT, resolved)}`,
+    check({ user }) {
+      const row = readRows(resolved).find((entry) => String(entry.address).toLowerCase() === user.toLowerCase());
+      if (!row) {
+        return { approved: false, reason: "not on the allowlist" };
+      }
+      if (row.status && row.status !== "approved") {
+        return { approved: false, reason: `allowlist status is ${row.status}` };
+      }
+      return { approved: true, reference: row.reference || `allowlist:${user.toLowerCase()}` };
+    },
+  };
+}
+
+/**
+ * Asks an identity provider over HTTP. POSTs { user, contract, evidence } as JSON to `url`,
+ * with `Authorization: Bearer <token>` when the environment variable named by `tokenEnv` is
+ * set, and expects { approved, reason?, reference? } back. Anything else is a rejection.
+ */
+function createHttpCheck({ url, tokenEnv, timeout = 10000 }) {
+  if (!url) {
+    throw new Error('The http check needs a "url"');
+  }
+  return {
+    describe: () => `http ${url}`,
+    async check(request) {
+      const token = tokenEnv && process.env[tokenEnv];
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+        body: JSON.stringify(request),
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) {
+        return { approved: false, reason: `identity provider answered ${response.status}` };
+      }
+      const { approved, reason, reference } = await response.json();
+      return approved === true ? { approved: true, reference } : { approved: false, reason: reason || "rejected by the identity provider" };
+    },
+  };
+}
+
+/**
+ * Runs a check written in JS: `module` is a path (relative to the repository root) to a
+ * module exporting `check({ user, contract, evidence })`, sync or async, that returns
+ * { approved, reason?, reference? }.
+ */
+function createModuleCheck({ module: file, ...options }) {
+  if (!file) {
+    throw new Error('The module check needs a "module"');
+  }
+  const resolved = path.resolve(ROOT, file);
+  const plugin = require(resolved);
+  if (typeof plugin.check !== "function") {
+    throw new Error(`${file} does not export a check function`);
+  }
+  return {
+    describe: () => `module ${path.relative(ROOT, resolved)}`,
+    check: (request) => plugin.check(request, options),
+  };
+}
+
+const IDENTITY_CHECKS = {
+  allowlist: createAllowlistCheck,
+  http: createHttpCheck,
+  module: createModuleCheck,
+};
+
+/**
+ * Builds the identity check a config describes ({ type, ...options }). Its `check(request)`
+ * always resolves to { approved, reason, reference }; a check that throws rejects.
+ */
+function createIdentityCheck(config = {}) {
+  const factory = IDENTITY_CHECKS[config.type];
+  if (!factory) {
+    throw new Error(`Unknown identity check "${config.type}" (${Object.keys(IDENTITY_CHECKS).join(", ")})`);
+  }
+  const inner = factory(config);
+  return {
+    describe: inner.describe,
+    async check(request) {
+      if (!ADDRESS_PATTERN.test(request.user || "")) {
+        return { approved: false, reason: "user must be an address" };
+      }
+      try {
+        const result = await inner.check(request);
+        return { approved: Boolean(result && result.approved), reason: result && result.reason, reference: result && result.reference };
+      } catch (error) {
+        return { approved: false, reason: `identity check failed: ${error.message}` };
+      }
+    },
+  };
+}
+
+module.exports = {
+  IDENTITY_CHECKS,
+  createIdentityCheck,
+  createAllowlistCheck,
+  createHttpCheck,
+  createModuleCheck,
+};
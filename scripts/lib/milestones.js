@@ -0,0 +1,518 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { resolveDeployment } = require("./registry");
+const { recoverTyped, runtime, sameAddress, csvField, readRows } = require("./common");
+
+const MILESTONES_DIR = process.env.MILESTONES_DIR || path.join(ROOT, "milestones");
+const PLAN_COLUMNS = ["milestone", "contract", "amount", "releaseTime"];
+const CONTRACT_NAME = "MilestoneBasedEscrowContract";
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// What an approver signs to sign off a milestone. The escrow's address and the terms are part
+// of it, and the domain carries the escrow's chain ID, so a sign-off stops counting if a later
+// import changes the contract, amount or release time, and cannot be replayed on another chain.
+const APPROVAL_TYPES = {
+  Approval: [
+    { name: "project", type: "string" },
+    { name: "milestone", type: "string" },
+    { name: "escrow", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "releaseTime", type: "uint64" },
+  ],
+};
+const APPROVAL_DOMAIN = { name: "MilestoneApprovals", version: "1" };
+
+function projectFile(project, dir = MILESTONES_DIR) {
+  return path.join(dir, project, "project.json");
+}
+
+// Unix seconds from a unix timestamp or an ISO 8601 date.
+function toUnixTime(value) {
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : Math.floor(parsed / 1000);
+}
+
+/**
+ * Reads a milestone plan from a CSV file (with a header row) or JSON (an array, or an object
+ * with `milestones`). Each milestone has a unique `milestone` key, the escrow `contract`
+ * (deployment name or catalogue ID of a MilestoneBasedEscrowContract), the `amount` in token
+ * units, its `releaseTime` (unix seconds or an ISO date) and optionally a `description` and
+ * the `approvers` who must sign it off (a list, or addresses separated by ";" in CSV).
+ */
+function loadPlan(file) {
+  let rows = readRows(file);
+  if (!Array.isArray(rows)) rows = rows.milestones || [];
+
+  const problems = [];
+  const seen = new Set();
+  const milestones = rows.map((raw, index) => {
+    const label = raw.milestone ? `milestone ${raw.milestone}` : `row ${index + 1}`;
+    for (const column of PLAN_COLUMNS) {
+      if (raw[column] === undefined || raw[column] === "") problems.push(`${label}: "${column}" is missing`);
+    }
+    if (raw.amount !== undefined && !/^\d+$/.test(String(raw.amount))) problems.push(`${label}: "amount" must be a whole number`);
+    if (/^0+$/.test(String(raw.amount))) problems.push(`${label}: "amount" must be greater than zero`);
+    const releaseTime = toUnixTime(raw.releaseTime);
+    if (raw.releaseTime !== undefined && Number.isNaN(releaseTime)) problems.push(`${label}: "releaseTime" must be unix seconds or an ISO date`);
+    if (seen.has(String(raw.milestone))) problems.push(`${label}: duplicate milestone`);
+    seen.add(String(raw.milestone));
+
+    const approvers = (Array.isArray(raw.approvers) ? raw.approvers : String(raw.approvers || "").split(";"))
+      .map((approver) => String(approver).trim())
+      .filter(Boolean);
+    for (const approver of approvers) {
+      if (!ADDRESS_PATTERN.test(approver)) problems.push(`${label}: approver "${approver}" must be an address, since approvals are signed`);
+    }
+    return {
+      milestone: String(raw.milestone),
+      contract: String(raw.contract),
+      description: raw.description || "",
+      amount: /^\d+$/.test(String(raw.amount)) ? BigInt(raw.amount).toString() : String(raw.amount),
+      releaseTime,
+      approvers,
+    };
+  });
+
+  if (milestones.length === 0) problems.push("there are no milestones");
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return milestones;
+}
+
+/**
+ * Reads milestones/<project>/project.json, or null if the project was never imported.
+ */
+function loadProject(project, dir) {
+  const file = projectFile(project, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function requireProject(project, dir) {
+  const loaded = loadProject(project, dir);
+  if (!loaded) {
+    throw new Error(`No milestone project "${project}"; import a plan first`);
+  }
+  return loaded;
+}
+
+function saveProject(project, dir = MILESTONES_DIR) {
+  const file = projectFile(project.project, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(project, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Imports a plan into a project named after the plan file (or `project`). Importing again
+ * adds new milestones and updates planned ones; milestones already created on-chain keep
+ * their amount and release time, and changing either is an error.
+ */
+function importPlan(file, { project = path.basename(file).replace(/\.[^.]+$/, ""), dir } = {}) {
+  const planned = loadPlan(file);
+  const existing = loadProject(project, dir) || { project, network: null, milestones: [] };
+  const byKey = Object.fromEntries(existing.milestones.map((entry) => [entry.milestone, entry]));
+
+  const problems = [];
+  for (const milestone of planned) {
+    const current = byKey[milestone.milestone];
+    if (!current) {
+      existing.milestones.push({ ...milestone, status: "planned", approvals: [] });
+    } else if (current.status !== "planned") {
+      if (current.amount !== milestone.amount || current.releaseTime !== milestone.releaseTime || current.contract !== milestone.contract) {
+        problems.push(`${milestone.milestone} is already ${current.status}; its contract, amount and release time cannot change`);
+      }
+      Object.assign(current, { description: milestone.description, approvers: milestone.approvers });
+    } else {
+      Object.assign(current, milestone);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot import ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  existing.source = path.resolve(file);
+  existing.importedAt = new Date().toISOString();
+  saveProject(existing, dir);
+  return existing;
+}
+
+function findMilestone(project, key) {
+  const milestone = project.milestones.find((entry) => entry.milestone === key);
+  if (!milestone) {
+    throw new Error(`${project.project} has no milestone "${key}"`);
+  }
+  return milestone;
+}
+
+/**
+ * What an approver signs to sign off `milestone` of `project`: { domain, value }. A created
+ * milestone is bound to the escrow and chain it was created on; a planned one to the
+ * deployment its `contract` names on `network`.
+ */
+function approvalOf(project, milestone, network = project.network) {
+  let { address, chainId } = milestone;
+  if (!address) {
+    if (!network) {
+      throw new Error(`${project.project} is not on a network yet; give the network its escrow contracts are deployed on`);
+    }
+    if (project.network && project.network !== network) {
+      throw new Error(`${project.project} was created on ${project.network}, not ${network}`);
+    }
+    const record = escrowRecord(network, milestone.contract);
+    if (!record.chainId) {
+      throw new Error(`${record.name}'s deployment record on ${network} has no chain ID`);
+    }
+    ({ address, chainId } = record);
+  }
+  return {
+    domain: { ...APPROVAL_DOMAIN, chainId },
+    value: {
+      project: project.project,
+      milestone: milestone.milestone,
+      escrow: address,
+      amount: milestone.amount,
+      releaseTime: milestone.releaseTime,
+    },
+  };
+}
+
+function signedCurrentTerms(approval, milestone) {
+  const signed = approval.approval || {};
+  return (
+    approval.contract === milestone.contract &&
+    signed.amount === milestone.amount &&
+    signed.releaseTime === milestone.releaseTime &&
+    (!milestone.address || sameAddress(signed.escrow, milestone.address)) &&
+    (milestone.chainId === undefined || (approval.domain || {}).chainId === milestone.chainId)
+  );
+}
+
+/**
+ * The approvers of a milestone who have not signed off its current terms yet.
+ */
+function missingApprovals(milestone) {
+  return milestone.approvers.filter(
+    (approver) => !milestone.approvals.some((approval) => sameAddress(approval.by, approver) && signedCurrentTerms(approval, milestone))
+  );
+}
+
+/**
+ * What to sign to approve `key` on `network` (default: the project's): { domain, types, value },
+ * and the approvers still missing.
+ */
+function approvalRequest(projectName, key, { dir, network } = {}) {
+  const project = requireProject(projectName, dir);
+  const milestone = findMilestone(project, key);
+  const { domain, value } = approvalOf(project, milestone, network);
+  return { domain, types: APPROVAL_TYPES, value, missing: missingApprovals(milestone) };
+}
+
+/**
+ * Records an approver's sign-off of a milestone: an EIP-712 `signature` of what approvalOf
+ * gives on `network` by one of the milestone's approvers. Returns { milestone, by }.
+ */
+function approveMilestone(projectName, key, signature, { dir, network } = {}) {
+  const project = requireProject(projectName, dir);
+  const milestone = findMilestone(project, key);
+  if (milestone.status === "released") {
+    throw new Error(`${key} has already been released`);
+  }
+  const { domain, value } = approvalOf(project, milestone, network);
+  let by;
+  try {
+    by = recoverTyped(domain, APPROVAL_TYPES, value, signature);
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.message}`);
+  }
+  if (!milestone.approvers.some((approver) => sameAddress(approver, by))) {
+    throw new Error(`${key} was signed by ${by}, who is not an approver of it (${milestone.approvers.join(", ") || "it needs no approval"})`);
+  }
+  if (!missingApprovals(milestone).some((approver) => sameAddress(approver, by))) {
+    throw new Error(`${by} has already approved ${key}`);
+  }
+  // A sign-off of terms the plan has since changed is replaced.
+  milestone.approvals = milestone.approvals.filter((approval) => !sameAddress(approval.by, by));
+  milestone.approvals.push({ by, at: new Date().toISOString(), contract: milestone.contract, domain, approval: value, signature });
+  saveProject(project, dir);
+  return { milestone, by };
+}
+
+function escrowRecord(network, query) {
+  const record = resolveDeployment(network, query);
+  if (!record) {
+    throw new Error(`No deployment of "${query}" is recorded on ${network}`);
+  }
+  if (record.contractName !== CONTRACT_NAME) {
+    throw new Error(`${record.name} is a ${record.contractName}, not a ${CONTRACT_NAME}`);
+  }
+  return record;
+}
+
+function signerOf(signers, address, role, record) {
+  const signer = signers.find((candidate) => sameAddress(candidate.address, address));
+  if (!signer) {
+    throw new Error(`${record.name}'s ${role} ${address} is not one of the network's accounts`);
+  }
+  return signer;
+}
+
+function createdMilestoneId(contract, address, receipt) {
+  for (const log of receipt.logs.filter((entry) => sameAddress(entry.address, address))) {
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      // Not one of the escrow's events.
+    }
+    if (parsed && parsed.name === "MilestoneCreated") {
+      return Number(parsed.args.milestoneId);
+    }
+  }
+  throw new Error(`Transaction ${receipt.transactionHash || receipt.hash} emitted no MilestoneCreated event`);
+}
+
+/**
+ * Settles the milestones a previous run left "sent": it sent createMilestone but stopped before
+ * recording the result. The milestone's ID is read from the transaction's receipt. If the
+ * transaction was replaced, it comes from a MilestoneCreated event with the milestone's amount
+ * and release time emitted since it was sent. A milestone whose transaction reverted or was
+ * dropped goes back to planned. Throws while a transaction is still pending.
+ */
+async function reconcileSent(project, { dir, log }) {
+  const { ethers } = runtime();
+  for (const milestone of project.milestones.filter((entry) => entry.status === "sent")) {
+    const contract = await ethers.getContractAt(CONTRACT_NAME, milestone.address);
+    const receipt = await ethers.provider.getTransactionReceipt(milestone.createTx);
+    let milestoneId = null;
+    if (receipt && Number(receipt.status) === 1) {
+      milestoneId = createdMilestoneId(contract, milestone.address, receipt);
+    } else if (!receipt) {
+      const tx = await ethers.provider.getTransaction(milestone.createTx);
+      if (tx && tx.blockNumber == null) {
+        throw new Error(`${milestone.milestone}: createMilestone ${milestone.createTx} is still pending; run create again once it is mined`);
+      }
+      const taken = new Set(
+        project.milestones.filter((entry) => entry !== milestone && entry.milestoneId !== undefined && sameAddress(entry.address, milestone.address)).map((entry) => entry.milestoneId)
+      );
+      const created = (await contract.queryFilter(contract.filters.MilestoneCreated(), milestone.sentBlock)).find(
+        (event) =>
+          !taken.has(Number(event.args.milestoneId)) &&
+          event.args.amount.toString() === milestone.amount &&
+          Number(event.args.releaseTime) === milestone.releaseTime
+      );
+      milestoneId = created ? Number(created.args.milestoneId) : null;
+    }
+
+    if (milestoneId === null) {
+      const lastError = `createMilestone ${milestone.createTx} ${receipt ? "reverted" : "was dropped"}`;
+      for (const field of ["address", "beneficiary", "chainId", "sentBlock", "createTx"]) delete milestone[field];
+      Object.assign(milestone, { status: "planned", lastError });
+      log(`${milestone.milestone}: ${lastError}; it is planned again`);
+    } else {
+      Object.assign(milestone, { status: "created", milestoneId });
+      delete milestone.lastError;
+      log(`created ${milestone.milestone} as #${milestoneId} on ${milestone.address} (${milestone.createTx})`);
+    }
+    saveProject(project, dir);
+  }
+}
+
+/**
+ * Creates every planned milestone on its escrow contract, from the contract's depositor
+ * account. Before sending anything, it checks that each contract's unallocated deposit
+ * (totalDeposited) covers its planned milestones and that every release time is still ahead.
+ * Each milestone is saved as "sent" with its transaction hash before the transaction is
+ * waited for, so a run that stops midway is picked up by the next one (see reconcileSent).
+ */
+async function createMilestones(projectName, { network, signers, dir, log = console.log }) {
+  const { ethers } = runtime();
+  const project = requireProject(projectName, dir);
+  if (project.network && project.network !== network) {
+    throw new Error(`${projectName} was created on ${project.network}, not ${network}`);
+  }
+  await reconcileSent(project, { dir, log });
+  const planned = project.milestones.filter((milestone) => milestone.status === "planned");
+  const now = Number((await ethers.provider.getBlock("latest")).timestamp);
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const escrows = {};
+  const problems = [];
+  for (const milestone of planned) {
+    if (milestone.releaseTime <= now) problems.push(`${milestone.milestone}: release time ${new Date(milestone.releaseTime * 1000).toISOString()} has passed`);
+    if (!escrows[milestone.contract]) {
+      const record = escrowRecord(network, milestone.contract);
+      const contract = await ethers.getContractAt(CONTRACT_NAME, record.address);
+      escrows[milestone.contract] = {
+        record,
+        contract,
+        depositor: await contract.depositor(),
+        beneficiary: await contract.beneficiary(),
+        deposited: BigInt(await contract.totalDeposited()),
+        needed: 0n,
+      };
+    }
+    escrows[milestone.contract].needed += BigInt(milestone.amount);
+  }
+  for (const escrow of Object.values(escrows)) {
+    if (escrow.deposited < escrow.needed) {
+      problems.push(
+        `${escrow.record.name} has ${escrow.deposited} deposited and unallocated but the plan needs ${escrow.needed}; ` +
+          `the depositor must depositFunds(${escrow.needed - escrow.deposited}) first`
+      );
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot create the milestones of ${projectName}:\n  - ${problems.join("\n  - ")}`);
+  }
+  for (const escrow of Object.values(escrows)) {
+    escrow.signer = signerOf(signers, escrow.depositor, "depositor", escrow.record);
+  }
+
+  project.network = network;
+  for (const milestone of planned) {
+    const escrow = escrows[milestone.contract];
+    const contract = escrow.contract.connect(escrow.signer);
+    const sentBlock = await ethers.provider.getBlockNumber();
+    const tx = await contract.createMilestone(milestone.amount, milestone.releaseTime);
+    Object.assign(milestone, {
+      status: "sent",
+      address: escrow.record.address,
+      beneficiary: escrow.beneficiary,
+      chainId,
+      sentBlock,
+      createTx: tx.hash,
+    });
+    delete milestone.lastError;
+    saveProject(project, dir);
+    const receipt = await tx.wait();
+    // The ID comes from the receipt, as the depositor may create milestones elsewhere meanwhile.
+    Object.assign(milestone, { status: "created", milestoneId: createdMilestoneId(contract, escrow.record.address, receipt) });
+    saveProject(project, dir);
+    log(`created ${milestone.milestone} as #${milestone.milestoneId} on ${escrow.record.name}: ${milestone.amount} from ${new Date(milestone.releaseTime * 1000).toISOString()} (${tx.hash})`);
+  }
+  return project;
+}
+
+/**
+ * Releases every created milestone that is due and fully approved, from the beneficiary's
+ * account (releaseMilestone is beneficiary-only). Milestones released elsewhere are picked up
+ * from the contract. Returns { released, waiting: [{ milestone, reason }] }.
+ */
+async function releaseDue(projectName, { signers, dir, log = console.log }) {
+  const { ethers } = runtime();
+  const project = requireProject(projectName, dir);
+  const now = Number((await ethers.provider.getBlock("latest")).timestamp);
+  const released = [];
+  const waiting = [];
+
+  for (const milestone of project.milestones.filter((entry) => entry.status === "created")) {
+    const contract = await ethers.getContractAt(CONTRACT_NAME, milestone.address);
+    const onChain = await contract.milestones(milestone.milestoneId);
+    if (onChain.isReleased) {
+      Object.assign(milestone, { status: "released", releasedAt: milestone.releasedAt || new Date().toISOString() });
+      saveProject(project, dir);
+      continue;
+    }
+
+    const missing = missingApprovals(milestone);
+    const beneficiary = signers.find((signer) => sameAddress(signer.address, milestone.beneficiary));
+    let reason = null;
+    if (milestone.releaseTime > now) reason = `due ${new Date(milestone.releaseTime * 1000).toISOString()}`;
+    else if (missing.length > 0) reason = `awaiting approval by ${missing.join(", ")}`;
+    else if (!beneficiary) reason = `the beneficiary ${milestone.beneficiary} is not one of the network's accounts`;
+    if (reason) {
+      waiting.push({ milestone: milestone.milestone, reason });
+      continue;
+    }
+
+    try {
+      const tx = await contract.connect(beneficiary).releaseMilestone(milestone.milestoneId);
+      await tx.wait();
+      Object.assign(milestone, { status: "released", releaseTx: tx.hash, releasedAt: new Date().toISOString() });
+      delete milestone.lastError;
+      released.push(milestone.milestone);
+      log(`released ${milestone.milestone} (#${milestone.milestoneId}): ${milestone.amount} to ${milestone.beneficiary} (${tx.hash})`);
+    } catch (error) {
+      milestone.lastError = error.reason || error.shortMessage || error.message;
+      waiting.push({ milestone: milestone.milestone, reason: `release failed: ${milestone.lastError}` });
+    }
+    saveProject(project, dir);
+  }
+  return { released, waiting };
+}
+
+/**
+ * What has been paid and what is outstanding, per beneficiary. Milestones not created yet
+ * have no beneficiary and are grouped under their contract instead.
+ */
+function statement(projectName, { dir } = {}) {
+  const project = requireProject(projectName, dir);
+  const beneficiaries = {};
+  const rows = project.milestones.map((milestone) => {
+    const beneficiary = milestone.beneficiary || `(${milestone.contract}, not created)`;
+    const totals = (beneficiaries[beneficiary] ||= { total: 0n, paid: 0n, outstanding: 0n, milestones: 0 });
+    const amount = BigInt(milestone.amount);
+    totals.total += amount;
+    totals[milestone.status === "released" ? "paid" : "outstanding"] += amount;
+    totals.milestones += 1;
+    return {
+      beneficiary,
+      milestone: milestone.milestone,
+      description: milestone.description,
+      contract: milestone.address || milestone.contract,
+      milestoneId: milestone.milestoneId ?? "",
+      amount: milestone.amount,
+      status: milestone.status,
+      releaseTime: new Date(milestone.releaseTime * 1000).toISOString(),
+      approvals: `${milestone.approvers.length - missingApprovals(milestone).length}/${milestone.approvers.length}`,
+      releasedAt: milestone.releasedAt || "",
+      tx: milestone.releaseTx || milestone.createTx || "",
+    };
+  });
+  rows.sort((a, b) => a.beneficiary.localeCompare(b.beneficiary) || a.releaseTime.localeCompare(b.releaseTime));
+
+  const asStrings = (totals) => ({ ...totals, total: totals.total.toString(), paid: totals.paid.toString(), outstanding: totals.outstanding.toString() });
+  return {
+    project: project.project,
+    network: project.network,
+    generatedAt: new Date().toISOString(),
+    beneficiaries: Object.fromEntries(Object.entries(beneficiaries).map(([beneficiary, totals]) => [beneficiary, asStrings(totals)])),
+    rows,
+  };
+}
+
+/**
+ * Writes milestones/<project>/statement.json and statement.csv and returns their paths.
+ */
+function writeStatement(report, dir = MILESTONES_DIR) {
+  const base = path.join(dir, report.project, "statement");
+  const columns = ["beneficiary", "milestone", "description", "contract", "milestoneId", "amount", "status", "releaseTime", "approvals", "releasedAt", "tx"];
+  const csv = [columns.join(","), ...report.rows.map((row) => columns.map((column) => csvField(row[column])).join(","))].join("\n") + "\n";
+
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(`${base}.csv`, csv);
+  return { jsonFile: `${base}.json`, csvFile: `${base}.csv` };
+}
+
+module.exports = {
+  MILESTONES_DIR,
+  APPROVAL_TYPES,
+  APPROVAL_DOMAIN,
+  projectFile,
+  loadPlan,
+  loadProject,
+  importPlan,
+  missingApprovals,
+  approvalRequest,
+  approveMilestone,
+  createMilestones,
+  releaseDue,
+  statement,
+  writeStatement,
+};
@@ -0,0 +1,311 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { DEFAULT_MAX_GAS, runtime, csvField, readRows } = require("./common");
+
+const NETTING_DIR = process.env.NETTING_DIR || path.join(ROOT, "netting");
+const NETTING_MODES = ["bilateral", "multilateral"];
+const TRADE_COLUMNS = ["tradeId", "seller", "buyer", "tokenId", "amount"];
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Rough gas of the two calls per batch: createBatchTrade stores both arrays, settleBatchTrade
+// moves one balance pair per token ID. Measure with `estimate` before relying on tight limits.
+const GAS_MODEL = {
+  create: { base: 90000, perToken: 46000 },
+  settle: { base: 75000, perToken: 32000 },
+};
+
+/**
+ * Reads a day's gross trades from a CSV file (with a header row) or a JSON array. Each trade
+ * moves `amount` of ERC1155 `tokenId` from `seller` to `buyer` and has a unique `tradeId`;
+ * other columns are ignored. Addresses are lowercased and numbers kept as decimal strings.
+ */
+function loadTrades(file) {
+  const problems = [];
+  const seen = new Set();
+  const trades = readRows(file).map((raw, index) => {
+    const label = raw.tradeId ? `trade ${raw.tradeId}` : `row ${index + 1}`;
+    for (const column of TRADE_COLUMNS) {
+      if (raw[column] === undefined || raw[column] === "") problems.push(`${label}: "${column}" is missing`);
+    }
+    for (const column of ["seller", "buyer"]) {
+      if (raw[column] && !ADDRESS_PATTERN.test(raw[column])) problems.push(`${label}: "${column}" must be an address`);
+    }
+    for (const column of ["tokenId", "amount"]) {
+      if (raw[column] !== undefined && !/^\d+$/.test(String(raw[column]))) problems.push(`${label}: "${column}" must be a whole number`);
+    }
+    if (/^0+$/.test(String(raw.amount))) problems.push(`${label}: "amount" must be greater than zero`);
+    if (raw.seller && raw.buyer && raw.seller.toLowerCase() === raw.buyer.toLowerCase()) problems.push(`${label}: seller and buyer are the same`);
+    if (seen.has(String(raw.tradeId))) problems.push(`${label}: duplicate tradeId`);
+    seen.add(String(raw.tradeId));
+
+    return {
+      tradeId: String(raw.tradeId),
+      seller: String(raw.seller).toLowerCase(),
+      buyer: String(raw.buyer).toLowerCase(),
+      tokenId: /^\d+$/.test(String(raw.tokenId)) ? BigInt(raw.tokenId).toString() : String(raw.tokenId),
+      amount: /^\d+$/.test(String(raw.amount)) ? BigInt(raw.amount).toString() : String(raw.amount),
+    };
+  });
+
+  if (trades.length === 0) problems.push("there are no trades");
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return trades;
+}
+
+function byTokenId(a, b) {
+  return BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0;
+}
+
+/**
+ * Net position of every party in every token ID: { tokenId: { party: received - delivered } }.
+ */
+function netPositions(trades) {
+  const positions = {};
+  for (const trade of trades) {
+    const token = (positions[trade.tokenId] ||= {});
+    token[trade.seller] = (token[trade.seller] || 0n) - BigInt(trade.amount);
+    token[trade.buyer] = (token[trade.buyer] || 0n) + BigInt(trade.amount);
+  }
+  return positions;
+}
+
+/**
+ * Nets each pair of counterparties separately: per token ID, what one owes the other minus
+ * what it is owed. Returns [{ seller, buyer, tokenId, amount }] with amounts as BigInt.
+ */
+function bilateralTransfers(trades) {
+  const pairs = {};
+  for (const trade of trades) {
+    const [first, second] = [trade.seller, trade.buyer].sort();
+    const key = `${first}:${second}:${trade.tokenId}`;
+    const flow = trade.seller === first ? BigInt(trade.amount) : -BigInt(trade.amount);
+    pairs[key] = (pairs[key] || 0n) + flow;
+  }
+  return Object.entries(pairs)
+    .filter(([, amount]) => amount !== 0n)
+    .map(([key, amount]) => {
+      const [first, second, tokenId] = key.split(":");
+      return amount > 0n ? { seller: first, buyer: second, tokenId, amount } : { seller: second, buyer: first, tokenId, amount: -amount };
+    });
+}
+
+/**
+ * Nets every party against all others: per token ID, net deliverers pay net receivers in
+ * address order until every position is flat. Returns transfers like bilateralTransfers.
+ */
+function multilateralTransfers(trades) {
+  const transfers = [];
+  for (const [tokenId, parties] of Object.entries(netPositions(trades))) {
+    const sorted = Object.keys(parties).sort();
+    const payers = sorted.filter((party) => parties[party] < 0n).map((party) => ({ party, left: -parties[party] }));
+    const receivers = sorted.filter((party) => parties[party] > 0n).map((party) => ({ party, left: parties[party] }));
+
+    for (let p = 0, r = 0; p < payers.length && r < receivers.length; ) {
+      const amount = payers[p].left < receivers[r].left ? payers[p].left : receivers[r].left;
+      transfers.push({ seller: payers[p].party, buyer: receivers[r].party, tokenId, amount });
+      payers[p].left -= amount;
+      receivers[r].left -= amount;
+      if (payers[p].left === 0n) p++;
+      if (receivers[r].left === 0n) r++;
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Estimated gas of creating and of settling a batch of `tokens` token IDs.
+ */
+function batchGas(tokens) {
+  return {
+    create: GAS_MODEL.create.base + GAS_MODEL.create.perToken * tokens,
+    settle: GAS_MODEL.settle.base + GAS_MODEL.settle.perToken * tokens,
+  };
+}
+
+function maxTokensPerBatch(maxGas) {
+  const perCall = Object.values(GAS_MODEL).map(({ base, perToken }) => Math.floor((maxGas - base) / perToken));
+  const tokens = Math.min(...perCall);
+  if (tokens < 1) {
+    throw new Error(`A gas limit of ${maxGas} does not fit a batch of even one token ID`);
+  }
+  return tokens;
+}
+
+/**
+ * Groups transfers into one batch per seller and buyer, split so that neither call of a
+ * batch is estimated above `maxGas`. batchIds are keccak256(abi.encode(label, seller, buyer,
+ * part)), so netting the same trades under the same label always yields the same batches and
+ * the contract refuses to create them twice.
+ */
+function buildBatches(transfers, { label, maxGas = DEFAULT_MAX_GAS }) {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  const abiCoder = utils.defaultAbiCoder || ethers.AbiCoder.defaultAbiCoder();
+  const limit = maxTokensPerBatch(maxGas);
+
+  const pairs = {};
+  for (const transfer of transfers) {
+    (pairs[`${transfer.seller}:${transfer.buyer}`] ||= []).push(transfer);
+  }
+
+  const batches = [];
+  for (const key of Object.keys(pairs).sort()) {
+    const [seller, buyer] = key.split(":");
+    const legs = pairs[key].sort((a, b) => byTokenId(a.tokenId, b.tokenId));
+    for (let part = 0; part * limit < legs.length; part++) {
+      const chunk = legs.slice(part * limit, (part + 1) * limit);
+      batches.push({
+        batchId: utils.keccak256(abiCoder.encode(["string", "address", "address", "uint256"], [label, seller, buyer, part])),
+        seller,
+        buyer,
+        tokenIds: chunk.map((leg) => leg.tokenId),
+        amounts: chunk.map((leg) => leg.amount.toString()),
+        estimatedGas: batchGas(chunk.length),
+      });
+    }
+  }
+  return batches;
+}
+
+/**
+ * Checks that the batches move every party's holdings exactly as the gross trades would.
+ */
+function checkNetting(trades, batches) {
+  const expected = netPositions(trades);
+  const actual = {};
+  for (const batch of batches) {
+    batch.tokenIds.forEach((tokenId, index) => {
+      const token = (actual[tokenId] ||= {});
+      token[batch.seller] = (token[batch.seller] || 0n) - BigInt(batch.amounts[index]);
+      token[batch.buyer] = (token[batch.buyer] || 0n) + BigInt(batch.amounts[index]);
+    });
+  }
+
+  const mismatches = [];
+  for (const [tokenId, parties] of Object.entries(expected)) {
+    for (const [party, position] of Object.entries(parties)) {
+      const settled = (actual[tokenId] || {})[party] || 0n;
+      if (settled !== position) mismatches.push(`${party} token ${tokenId}: trades net ${position}, batches move ${settled}`);
+    }
+  }
+  if (mismatches.length > 0) {
+    throw new Error(`Batches do not match the trades:\n  - ${mismatches.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Allocates every batch leg to the trades it nets and maps each trade to those legs. A leg
+ * moving `amount` of a token ID from seller to buyer is drawn from the seller's trades of that
+ * token ID, in trade order; bilaterally only from its trades with that buyer. `settled` is how
+ * much of a trade the legs carry, `offset` the rest, which other trades cancel out. A trade no
+ * leg carries is "offset". Throws when the legs and the trades do not account for each other.
+ */
+function reconcile(trades, batches, mode) {
+  const rows = trades.map((trade) => ({ ...trade, left: BigInt(trade.amount), allocations: [] }));
+  const unbalanced = [];
+  for (const batch of batches) {
+    batch.tokenIds.forEach((tokenId, index) => {
+      let due = BigInt(batch.amounts[index]);
+      for (const row of rows) {
+        if (due === 0n) break;
+        if (row.left === 0n || row.tokenId !== tokenId || row.seller !== batch.seller) continue;
+        if (mode === "bilateral" && row.buyer !== batch.buyer) continue;
+        const amount = row.left < due ? row.left : due;
+        row.allocations.push({ batchId: batch.batchId, tokenId, amount: amount.toString() });
+        row.left -= amount;
+        due -= amount;
+      }
+      if (due !== 0n) unbalanced.push(`batch ${batch.batchId} token ${tokenId}: ${due} of ${batch.amounts[index]} is not netted by any trade`);
+    });
+  }
+  if (unbalanced.length > 0) {
+    throw new Error(`Batches do not reconcile with the trades:\n  - ${unbalanced.join("\n  - ")}`);
+  }
+
+  return rows.map(({ left, allocations, ...trade }) => ({
+    ...trade,
+    settlement: allocations.length > 0 ? "batch" : "offset",
+    settled: (BigInt(trade.amount) - left).toString(),
+    offset: left.toString(),
+    batchIds: [...new Set(allocations.map((allocation) => allocation.batchId))],
+    allocations,
+  }));
+}
+
+/**
+ * Nets a day's trades and returns the plan: net positions, batches and the reconciliation.
+ */
+function nettingPlan(trades, { label, mode = "multilateral", maxGas = DEFAULT_MAX_GAS }) {
+  if (!NETTING_MODES.includes(mode)) {
+    throw new Error(`Unknown netting mode "${mode}" (${NETTING_MODES.join(" or ")})`);
+  }
+  const transfers = mode === "bilateral" ? bilateralTransfers(trades) : multilateralTransfers(trades);
+  const batches = buildBatches(transfers, { label, maxGas });
+  checkNetting(trades, batches);
+
+  const positions = Object.fromEntries(
+    Object.entries(netPositions(trades)).map(([tokenId, parties]) => [
+      tokenId,
+      Object.fromEntries(Object.entries(parties).map(([party, position]) => [party, position.toString()])),
+    ])
+  );
+  const grossTransfers = new Set(trades.map((trade) => `${trade.seller}:${trade.buyer}:${trade.tokenId}`)).size;
+  const reconciliation = reconcile(trades, batches, mode);
+
+  return {
+    label,
+    mode,
+    maxGas,
+    createdAt: new Date().toISOString(),
+    summary: {
+      trades: trades.length,
+      grossTransfers,
+      netTransfers: transfers.length,
+      batches: batches.length,
+      offsetTrades: reconciliation.filter((row) => row.settlement === "offset").length,
+    },
+    positions,
+    batches,
+    reconciliation,
+  };
+}
+
+function reconciliationCsv(rows) {
+  const columns = [...TRADE_COLUMNS, "settlement", "settled", "offset", "allocations"];
+  const allocations = (row) => row.allocations.map((allocation) => `${allocation.batchId}:${allocation.amount}`).join(";");
+  const lines = rows.map((row) => columns.map((column) => csvField(column === "allocations" ? allocations(row) : row[column])).join(","));
+  return [columns.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Writes netting/<label>/plan.json and reconciliation.csv and returns their paths.
+ */
+function writePlan(plan, dir = path.join(NETTING_DIR, plan.label)) {
+  const planFile = path.join(dir, "plan.json");
+  const reconciliationFile = path.join(dir, "reconciliation.csv");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(planFile, JSON.stringify(plan, null, 2) + "\n");
+  fs.writeFileSync(reconciliationFile, reconciliationCsv(plan.reconciliation));
+  return { planFile, reconciliationFile };
+}
+
+module.exports = {
+  NETTING_DIR,
+  NETTING_MODES,
+  GAS_MODEL,
+  loadTrades,
+  netPositions,
+  bilateralTransfers,
+  multilateralTransfers,
+  batchGas,
+  maxTokensPerBatch,
+  buildBatches,
+  checkNetting,
+  reconcile,
+  nettingPlan,
+  reconciliationCsv,
+  writePlan,
+};
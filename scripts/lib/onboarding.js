@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { KYC_DIR } = require("./attestations");
+const { DEFAULT_MAX_GAS, runtime, csvField, readRows } = require("./common");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const KYC_STATUSES = ["approved", "revoked"];
+const FLAGS = { yes: true, true: true, "1": true, no: false, false: false, "0": false, "": null };
+
+// Rough gas of each call: the batch calls write one storage slot per wallet; restrict and
+// unrestrict write one slot and log the reason. Every batch is estimated on chain again
+// before it is sent, and split when the estimate is over the limit.
+const GAS_MODEL = {
+  batch: { base: 45000, perUser: 26000 },
+  single: 60000,
+};
+
+// Restrictions and revocations go out before approvals, so a spreadsheet that both revokes
+// and restricts a wallet never leaves it able to trade in between.
+const METHOD_ORDER = ["restrict", "revokeKYCInBatch", "approveKYCInBatch", "unrestrict"];
+
+const ONBOARDING_ABI = [
+  "function isKYCApproved(address user) view returns (bool)",
+  "function isRestricted(address user) view returns (bool)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function COMPLIANCE_OFFICER_ROLE() view returns (bytes32)",
+  "function approveKYCInBatch(address[] users)",
+  "function revokeKYCInBatch(address[] users)",
+  "function restrict(address user, string reason)",
+  "function unrestrict(address user, string reason)",
+];
+
+function onboardingDir(network, label, dir = KYC_DIR) {
+  return path.join(dir, network, "onboarding", label);
+}
+
+/**
+ * Reads a roster of investor wallets from a CSV file (with a header row) or a JSON array:
+ * `address`, `kyc` (approved or revoked), optionally `restricted` (yes or no; blank leaves
+ * the restriction as it is) and `reason`, logged with restrict and unrestrict. A wallet may
+ * only appear once. Addresses are lowercased.
+ */
+function loadRoster(file) {
+  const problems = [];
+  const seen = new Set();
+  const rows = readRows(file).map((raw, index) => {
+    const label = `row ${index + 1}${raw.address ? ` (${raw.address})` : ""}`;
+    const address = String(raw.address || "").toLowerCase();
+    const kyc = String(raw.kyc || "").toLowerCase();
+    const restricted = FLAGS[String(raw.restricted ?? "").toLowerCase()];
+    if (!ADDRESS_PATTERN.test(address)) problems.push(`${label}: "address" must be an address`);
+    if (!KYC_STATUSES.includes(kyc)) problems.push(`${label}: "kyc" must be approved or revoked`);
+    if (restricted === undefined) problems.push(`${label}: "restricted" must be yes, no or blank`);
+    if (seen.has(address)) problems.push(`${label}: the wallet is listed twice`);
+    seen.add(address);
+    return { address, kyc, restricted: restricted ?? null, reason: raw.reason || "" };
+  });
+
+  if (rows.length === 0) problems.push("there are no wallets");
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return rows;
+}
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+    toUtf8Bytes: utils.toUtf8Bytes,
+    getBytes: utils.getBytes || utils.arrayify,
+    verifyMessage: utils.verifyMessage,
+  };
+}
+
+function connect(address, runner) {
+  const { ethers } = runtime();
+  return new ethers.Contract(address, ONBOARDING_ABI, runner || ethers.provider);
+}
+
+/**
+ * Reads { approved, restricted } for each address from the contract, keyed by address.
+ */
+async function readStatuses(contract, addresses) {
+  const statuses = {};
+  for (const address of addresses) {
+    const [approved, restricted] = await Promise.all([contract.isKYCApproved(address), contract.isRestricted(address)]);
+    statuses[address] = { approved, restricted };
+  }
+  return statuses;
+}
+
+function usersPerBatch(maxGas) {
+  const users = Math.floor((maxGas - GAS_MODEL.batch.base) / GAS_MODEL.batch.perUser);
+  if (users < 1 || maxGas < GAS_MODEL.single) {
+    throw new Error(`A gas limit of ${maxGas} does not fit a call for even one wallet`);
+  }
+  return users;
+}
+
+/**
+ * Compares a roster with the wallets' on-chain statuses and returns the changes:
+ * { address, before, after, methods } for every wallet whose KYC approval or restriction
+ * differs. Wallets not in the roster are left alone.
+ */
+function diffRoster(rows, statuses) {
+  const changes = [];
+  for (const row of rows) {
+    const before = statuses[row.address];
+    const after = { approved: row.kyc === "approved", restricted: row.restricted === null ? before.restricted : row.restricted };
+    const methods = [];
+    if (after.approved !== before.approved) methods.push(after.approved ? "approveKYCInBatch" : "revokeKYCInBatch");
+    if (after.restricted !== before.restricted) methods.push(after.restricted ? "restrict" : "unrestrict");
+    if (methods.length > 0) {
+      changes.push({ address: row.address, before, after, methods, reason: row.reason });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Turns changes into steps: approvals and revocations in batches sized so that each is
+ * estimated at most `maxGas`, and one restrict or unrestrict call per wallet, in METHOD_ORDER.
+ * Every step starts out pending.
+ */
+function buildSteps(changes, { label, maxGas = DEFAULT_MAX_GAS }) {
+  const limit = usersPerBatch(maxGas);
+  const steps = [];
+  for (const method of METHOD_ORDER) {
+    const wanted = changes.filter((change) => change.methods.includes(method));
+    if (method.endsWith("InBatch")) {
+      for (let start = 0; start < wanted.length; start += limit) {
+        const users = wanted.slice(start, start + limit).map((change) => change.address);
+        steps.push({ method, users, estimatedGas: GAS_MODEL.batch.base + GAS_MODEL.batch.perUser * users.length });
+      }
+    } else {
+      for (const change of wanted) {
+        steps.push({ method, users: [change.address], reason: change.reason || `bulk onboarding ${label}`, estimatedGas: GAS_MODEL.single });
+      }
+    }
+  }
+  return steps.map((step, index) => ({ step: index + 1, ...step, status: "pending" }));
+}
+
+/**
+ * Diffs a roster against `record` (a BatchKYCAMLComplianceContract deployment) and returns an
+ * onboarding plan: { network, contract, address, label, roster, rosterHash, maxGas,
+ * plannedAt, unchanged, changes, steps }.
+ */
+async function planOnboarding(file, { network, record, label, maxGas = DEFAULT_MAX_GAS, provider }) {
+  const rows = loadRoster(file);
+  const contract = connect(record.address, provider);
+  const statuses = await readStatuses(contract, rows.map((row) => row.address));
+  const changes = diffRoster(rows, statuses);
+  return {
+    network,
+    contract: record.name,
+    address: record.address,
+    label,
+    roster: path.resolve(file),
+    rosterHash: "0x" + crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex"),
+    maxGas,
+    plannedAt: new Date().toISOString(),
+    unchanged: rows.length - changes.length,
+    changes,
+    steps: buildSteps(changes, { label, maxGas }),
+  };
+}
+
+function planFile(network, label, dir) {
+  return path.join(onboardingDir(network, label, dir), "plan.json");
+}
+
+function loadOnboarding(network, label, dir) {
+  const file = planFile(network, label, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function saveOnboarding(plan, dir) {
+  const file = planFile(plan.network, plan.label, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(plan, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Saves a new plan, unless the label already has one that was partly submitted: that one has
+ * to be finished with submitOnboarding first, so no half-applied change is forgotten.
+ */
+function savePlan(plan, dir) {
+  const existing = loadOnboarding(plan.network, plan.label, dir);
+  if (existing && existing.steps.some((step) => step.status !== "pending") && existing.steps.some((step) => step.status !== "done")) {
+    throw new Error(`Onboarding ${plan.label} on ${plan.network} is partly submitted; run submit to finish it before planning again`);
+  }
+  return saveOnboarding(plan, dir);
+}
+
+function reasonOf(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+// Whether a wallet already has what a step gives it, e.g. after a crash between the
+// transaction being mined and the plan being saved.
+function applied(method, status) {
+  return {
+    approveKYCInBatch: status.approved,
+    revokeKYCInBatch: !status.approved,
+    restrict: status.restricted,
+    unrestrict: !status.restricted,
+  }[method];
+}
+
+async function estimate(contract, method, args) {
+  return BigInt(String(contract.estimateGas ? await contract.estimateGas[method](...args) : await contract[method].estimateGas(...args)));
+}
+
+/**
+ * Sends the pending and failed steps of a saved plan from `signer`, which must hold
+ * COMPLIANCE_OFFICER_ROLE, saving the plan after each one. Before each step, wallets that
+ * already have the target status are dropped, so re-running after a failure or a crash picks
+ * up where it stopped without repeating anything. A batch estimated above the plan's `maxGas`
+ * is split in two. Stops at the first failure and returns the plan.
+ */
+async function submitOnboarding(network, label, { signer, dir, log = console.log }) {
+  const plan = loadOnboarding(network, label, dir);
+  if (!plan) {
+    throw new Error(`No onboarding plan ${label} on ${network}; run plan first`);
+  }
+  const contract = connect(plan.address, signer);
+  const officer = await signer.getAddress();
+  if (!(await contract.hasRole(await contract.COMPLIANCE_OFFICER_ROLE(), officer))) {
+    throw new Error(`${officer} does not hold COMPLIANCE_OFFICER_ROLE on ${plan.contract}`);
+  }
+
+  for (let index = 0; index < plan.steps.length; index++) {
+    const step = plan.steps[index];
+    if (step.status === "done") continue;
+    try {
+      const statuses = await readStatuses(contract, step.users);
+      const users = step.users.filter((user) => !applied(step.method, statuses[user]));
+      if (users.length === 0) {
+        Object.assign(step, { status: "done", note: "already applied" });
+        log(`skip    step ${step.step} ${step.method}: already applied`);
+        continue;
+      }
+      const args = step.method.endsWith("InBatch") ? [users] : [users[0], step.reason];
+      const gas = await estimate(contract, step.method, args);
+      if (gas > BigInt(plan.maxGas) && users.length === 1) {
+        throw new Error(`estimated ${gas} gas for one wallet, over the limit of ${plan.maxGas}`);
+      }
+      if (gas > BigInt(plan.maxGas)) {
+        const half = Math.ceil(users.length / 2);
+        plan.steps.splice(index, 1, { ...step, users: users.slice(0, half) }, { ...step, step: `${step.step}b`, users: users.slice(half) });
+        log(`split   step ${step.step} ${step.method}: estimated ${gas} gas for ${users.length} wallets`);
+        index--;
+        continue;
+      }
+      const tx = await contract[step.method](...args);
+      Object.assign(step, { status: "sent", users, txHash: tx.hash });
+      saveOnboarding(plan, dir);
+      await tx.wait();
+      Object.assign(step, { status: "done", error: undefined, doneAt: new Date().toISOString() });
+      log(`done    step ${step.step} ${step.method} for ${users.length} wallet${users.length === 1 ? "" : "s"} (${tx.hash})`);
+    } catch (error) {
+      Object.assign(step, { status: "failed", error: reasonOf(error) });
+      log(`FAIL    step ${step.step} ${step.method}: ${step.error}`);
+      break;
+    } finally {
+      saveOnboarding(plan, dir);
+    }
+  }
+  return plan;
+}
+
+function canonicalHash(report) {
+  const { keccak256, toUtf8Bytes } = lib();
+  return keccak256(toUtf8Bytes(JSON.stringify(report)));
+}
+
+/**
+ * Reads every changed wallet's status back from the contract and writes the change report,
+ * signed by `signer` (EIP-191 over the 32 bytes of the keccak256 of the report's JSON), to
+ * report.signed.json next to the plan, with report.csv for spreadsheets. Each change is
+ * `applied` when the wallet now has the status the roster asked for. Returns the paths.
+ */
+async function writeReport(network, label, { signer, dir }) {
+  const plan = loadOnboarding(network, label, dir);
+  const contract = connect(plan.address, signer);
+  const statuses = await readStatuses(contract, plan.changes.map((change) => change.address));
+  const txOf = (address, method) => {
+    const step = plan.steps.find((candidate) => candidate.method === method && candidate.users.includes(address));
+    return step ? step.txHash || step.note || step.status : null;
+  };
+  const changes = plan.changes.map((change) => ({
+    address: change.address,
+    before: change.before,
+    requested: change.after,
+    now: statuses[change.address],
+    applied: statuses[change.address].approved === change.after.approved && statuses[change.address].restricted === change.after.restricted,
+    transactions: Object.fromEntries(change.methods.map((method) => [method, txOf(change.address, method)])),
+  }));
+  const report = {
+    network,
+    contract: plan.contract,
+    address: plan.address,
+    label,
+    roster: path.basename(plan.roster),
+    rosterHash: plan.rosterHash,
+    plannedAt: plan.plannedAt,
+    reportedAt: new Date().toISOString(),
+    officer: await signer.getAddress(),
+    complete: plan.steps.every((step) => step.status === "done") && changes.every((change) => change.applied),
+    unchanged: plan.unchanged,
+    changes,
+  };
+  const hash = canonicalHash(report);
+  // Signing the hash's bytes, not its hex text, is what ECDSA.toEthSignedMessageHash checks.
+  const signature = await signer.signMessage(lib().getBytes(hash));
+
+  const base = onboardingDir(network, label, dir);
+  const reportFile = path.join(base, "report.signed.json");
+  const csvFile = path.join(base, "report.csv");
+  fs.writeFileSync(reportFile, JSON.stringify({ report, hash, signature }, null, 2) + "\n");
+  const columns = ["address", "kycBefore", "kycRequested", "kycNow", "restrictedBefore", "restrictedRequested", "restrictedNow", "applied", "transactions"];
+  const lines = changes.map((change) =>
+    [
+      change.address,
+      change.before.approved,
+      change.requested.approved,
+      change.now.approved,
+      change.before.restricted,
+      change.requested.restricted,
+      change.now.restricted,
+      change.applied,
+      Object.entries(change.transactions).map(([method, tx]) => `${method}:${tx}`).join(";"),
+    ]
+      .map(csvField)
+      .join(","),
+  );
+  fs.writeFileSync(csvFile, [columns.join(","), ...lines].join("\n") + "\n");
+  return { reportFile, csvFile, report };
+}
+
+/**
+ * Checks a report.signed.json: that its hash matches the report and that the signature
+ * recovers to the report's officer. Returns { ok, signer, report, problem }.
+ */
+function verifyReport(file) {
+  const { getBytes, verifyMessage } = lib();
+  const { report, hash, signature } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (canonicalHash(report) !== hash) {
+    return { ok: false, report, problem: "the report was changed after it was signed" };
+  }
+  const signer = verifyMessage(getBytes(hash), signature);
+  if (signer.toLowerCase() !== report.officer.toLowerCase()) {
+    return { ok: false, signer, report, problem: `signed by ${signer}, not the report's officer ${report.officer}` };
+  }
+  return { ok: true, signer, report };
+}
+
+module.exports = {
+  GAS_MODEL,
+  onboardingDir,
+  loadRoster,
+  readStatuses,
+  diffRoster,
+  buildSteps,
+  planOnboarding,
+  loadOnboarding,
+  savePlan,
+  submitOnboarding,
+  writeReport,
+  verifyReport,
+};
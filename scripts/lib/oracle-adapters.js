@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { TYPES } = require("./params");
+const { recoverTyped, readBody, send, secretMatches } = require("./common");
+
+// What delivery attestations are signed as. `subject` names the condition the attestation is
+// about, `holds` whether it is met and `issuedAt` (unix seconds) orders attestations.
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "subject", type: "string" },
+    { name: "holds", type: "bool" },
+    { name: "issuedAt", type: "uint64" },
+  ],
+};
+
+/**
+ * The EIP-712 domain delivery attestations for a chain are signed under.
+ */
+function attestationDomain(chainId) {
+  return { name: "EscrowConditionOracle", version: "1", chainId: Number(chainId) };
+}
+
+/**
+ * The `X-Oracle-Signature` value for a webhook report: the hex HMAC-SHA256, under the shared
+ * secret, of the method, path, `X-Oracle-Timestamp` (unix seconds) and body, one per line.
+ * Signing the path ties a report to its condition key, and the timestamp to when it was sent.
+ */
+function webhookSignature(secret, { method, path: route, timestamp, body }) {
+  const payload = [method.toUpperCase(), route, String(timestamp), body].join("\n");
+  return `sha256=${crypto.createHmac("sha256", secret).update(payload).digest("hex")}`;
+}
+
+/**
+ * Conditions reported over HTTP. `POST /conditions/<key>` with `{ "holds": true }` records a
+ * condition. The request carries its send time as `X-Oracle-Timestamp` (unix seconds) and
+ * `X-Oracle-Signature` from webhookSignature under `secret`. Reports older than `maxAge`
+ * (default "5m"), older than the last report accepted for the key, or already seen are refused,
+ * so a captured report cannot be replayed. `GET /conditions` lists what has been reported.
+ * Reports are kept in `context.observations`, so they survive a restart.
+ *
+ * Reads conditions of the form { source: "webhook", key }.
+ */
+function createWebhookAdapter({ port = 8090, host = "127.0.0.1", secret = process.env.ORACLE_WEBHOOK_SECRET, maxAge = "5m", now = () => Date.now() } = {}, context) {
+  if (!secret) {
+    throw new Error("The webhook adapter needs a shared secret; set ORACLE_WEBHOOK_SECRET");
+  }
+  const window = TYPES.duration(maxAge);
+  const reports = context.observations;
+  // Signatures accepted within the last `maxAge`; older ones fail the timestamp check anyway.
+  const seen = new Map();
+  let server;
+
+  function refusal(request, route, key, body) {
+    const timestamp = Number(request.headers["x-oracle-timestamp"]);
+    const expected = webhookSignature(secret, { method: request.method, path: route, timestamp: request.headers["x-oracle-timestamp"], body });
+    const signature = request.headers["x-oracle-signature"];
+    if (!Number.isInteger(timestamp) || !secretMatches(expected, signature)) {
+      return [401, "Missing or invalid X-Oracle-Timestamp or X-Oracle-Signature"];
+    }
+    const seconds = Math.floor(now() / 1000);
+    if (Math.abs(seconds - timestamp) > window) {
+      return [401, `X-Oracle-Timestamp is more than ${maxAge} away from the oracle's clock`];
+    }
+    for (const [known, at] of seen) {
+      if (at < seconds - window) seen.delete(known);
+    }
+    if (seen.has(signature) || (reports[key] && (reports[key].signature === signature || timestamp < reports[key].timestamp))) {
+      return [409, "This report was already received, or a newer one was"];
+    }
+    seen.set(signature, timestamp);
+    return null;
+  }
+
+  async function route(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+    if (request.method === "GET" && url.pathname === "/conditions") {
+      return send(response, 200, Object.fromEntries(Object.entries(reports).map(([key, { holds, at }]) => [key, { holds, at }])));
+    }
+    if (request.method === "POST" && parts[0] === "conditions" && parts.length === 2) {
+      const key = decodeURIComponent(parts[1]);
+      const body = await readBody(request);
+      const refused = refusal(request, url.pathname, key, body);
+      if (refused) {
+        return send(response, refused[0], { error: refused[1] });
+      }
+      const { holds } = JSON.parse(body || "{}");
+      if (typeof holds !== "boolean") {
+        return send(response, 400, { error: '"holds" must be true or false' });
+      }
+      reports[key] = {
+        holds,
+        at: new Date().toISOString(),
+        timestamp: Number(request.headers["x-oracle-timestamp"]),
+        signature: request.headers["x-oracle-signature"],
+      };
+      context.changed(`webhook ${key} = ${holds}`);
+      return send(response, 200, { key, holds, at: reports[key].at });
+    }
+    return send(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+  }
+
+  return {
+    start() {
+      server = http.createServer((request, response) => {
+        route(request, response).catch((error) => send(response, 400, { error: error.message }));
+      });
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          context.log(`Webhook adapter listening on http://${host}:${server.address().port}/conditions`);
+          resolve(server.address());
+        });
+      });
+    },
+    stop() {
+      return server ? new Promise((resolve) => server.close(() => resolve())) : undefined;
+    },
+    read({ key }) {
+      const report = reports[key];
+      return report ? { holds: report.holds, detail: `reported ${report.at}` } : { holds: false, detail: "not reported" };
+    },
+  };
+}
+
+/**
+ * Signed delivery attestations dropped as JSON files ({ attestation, signature }) into `dir`.
+ * The newest attestation of a subject by one of the condition's signers decides it.
+ *
+ * Reads conditions of the form { source: "attestation", subject, signers: [address...] }.
+ */
+function createAttestationAdapter({ dir }, context) {
+  if (!dir) {
+    throw new Error('The attestation adapter needs a "dir" to read attestations from');
+  }
+  return {
+    read({ subject, signers }) {
+      const wanted = signers.map((signer) => signer.toLowerCase());
+      let newest = null;
+      for (const file of fs.existsSync(dir) ? fs.readdirSync(dir).filter((name) => name.endsWith(".json")) : []) {
+        let attestation;
+        let signer;
+        try {
+          const dropped = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+          attestation = dropped.attestation;
+          signer = recoverTyped(context.attestationDomain, ATTESTATION_TYPES, attestation, dropped.signature);
+        } catch (error) {
+          context.log(`Ignoring attestation ${file}: ${error.message}`);
+          continue;
+        }
+        if (attestation.subject !== subject || !wanted.includes(signer.toLowerCase())) continue;
+        if (!newest || Number(attestation.issuedAt) > Number(newest.attestation.issuedAt)) {
+          newest = { attestation, signer, file };
+        }
+      }
+      if (!newest) {
+        return { holds: false, detail: "no attestation" };
+      }
+      return { holds: newest.attestation.holds, detail: `${newest.file} signed by ${newest.signer}` };
+    },
+  };
+}
+
+/**
+ * Local file drops: a condition holds once its file exists. With `field`, the file must be
+ * JSON and the value at that (dotted) path must be `true`.
+ *
+ * Reads conditions of the form { source: "file", path, field }. Relative paths are resolved
+ * against the adapter's `dir` (the configuration file's directory by default).
+ */
+function createFileAdapter({ dir }) {
+  return {
+    read({ path: file, field }) {
+      const resolved = path.resolve(dir, file);
+      if (!fs.existsSync(resolved)) {
+        return { holds: false, detail: `${file} not dropped` };
+      }
+      if (!field) {
+        return { holds: true, detail: `${file} dropped` };
+      }
+      const value = field.split(".").reduce((object, key) => (object == null ? undefined : object[key]), JSON.parse(fs.readFileSync(resolved, "utf8")));
+      return { holds: value === true, detail: `${file} ${field} = ${JSON.stringify(value)}` };
+    },
+  };
+}
+
+/**
+ * Conditions held in memory, for tests and dry runs. `values` seeds them, `set(key, holds)`
+ * changes them and a condition with `after` (a duration such as "10m") holds once that long
+ * has passed since the adapter was created.
+ *
+ * Reads conditions of the form { source: "simulated", key, after }.
+ */
+function createSimulatedAdapter({ values = {}, now = () => Date.now() } = {}, context) {
+  const state = { ...values };
+  const startedAt = now();
+  return {
+    set(key, holds) {
+      state[key] = holds;
+      context.changed(`simulated ${key} = ${holds}`);
+    },
+    read({ key, after }) {
+      if (after !== undefined && now() - startedAt >= TYPES.duration(after) * 1000) {
+        return { holds: true, detail: `after ${after}` };
+      }
+      return { holds: state[key] === true, detail: key in state ? `set to ${state[key]}` : "not set" };
+    },
+  };
+}
+
+// Built-in sources. Configurations can add their own as modules exporting a factory with the
+// same signature: (options, context) => ({ start?, stop?, read(condition) }).
+const ADAPTERS = {
+  webhook: createWebhookAdapter,
+  attestation: createAttestationAdapter,
+  file: createFileAdapter,
+  simulated: createSimulatedAdapter,
+};
+
+module.exports = {
+  ATTESTATION_TYPES,
+  ADAPTERS,
+  attestationDomain,
+  webhookSignature,
+  createWebhookAdapter,
+  createAttestationAdapter,
+  createFileAdapter,
+  createSimulatedAdapter,
+};
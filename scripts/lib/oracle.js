@@ -0,0 +1,418 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { resolveDeployment } = require("./registry");
+const { ADAPTERS, attestationDomain } = require("./oracle-adapters");
+const { runtime } = require("./common");
+
+const ORACLE_DIR = process.env.ORACLE_DIR || path.join(ROOT, "oracle");
+const BLOCK_RANGE = 2000;
+const CONFIG_KEYS = ["adapters", "escrows", "pollInterval"];
+const ESCROW_KEYS = ["contract", "escrowId", "conditions"];
+const BALANCE_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+// The escrows the oracle drives: how their state is read, whether the release can go through
+// and the owner-only call that sets the condition. Neither contract exposes releaseFunds;
+// setting the condition to true releases in the same transaction.
+const ESCROWS = {
+  ConditionalRealTimeEscrow: {
+    read: async (contract) => {
+      const details = await contract.getEscrowDetails();
+      return {
+        condition: details._escrowCondition,
+        closed: details._fundsReleased ? "released" : details._fundsRefunded ? "refunded" : null,
+      };
+    },
+    // Releasing sends the escrowed tokens, so it reverts until the depositor has paid in.
+    funded: async (contract, ethers) => {
+      const token = await ethers.getContractAt(BALANCE_ABI, await contract.escrowToken());
+      const address = contract.address || contract.target;
+      return BigInt(await token.balanceOf(address)) >= BigInt(await contract.escrowAmount());
+    },
+    update: (contract, escrow) => contract.updateConditionStatus(escrow.condition, true),
+  },
+  NFTEscrow: {
+    created: "EscrowCreated",
+    read: async (contract, escrowId) => {
+      const details = await contract.getEscrowDetails(escrowId);
+      if (/^0x0{40}$/i.test(details.seller)) {
+        return null;
+      }
+      return { condition: details.condition, closed: details.isComplete ? "released" : details.isRefunded ? "refunded" : null };
+    },
+    // The tokens are taken when the escrow is created.
+    funded: async () => true,
+    update: (contract, escrow) => contract.updateCondition(escrow.escrowId, true),
+  },
+};
+
+function oracleFiles(network, dir = ORACLE_DIR) {
+  return { state: path.join(dir, network, "state.json"), audit: path.join(dir, network, "audit.log") };
+}
+
+/**
+ * Reads what the oracle has seen on a network:
+ * { contracts: { address: { nextBlock } }, escrows: { key: escrow }, observations: { source: {} } }.
+ */
+function loadState(network, dir) {
+  const { state } = oracleFiles(network, dir);
+  return fs.existsSync(state) ? JSON.parse(fs.readFileSync(state, "utf8")) : { contracts: {}, escrows: {}, observations: {} };
+}
+
+function saveState(network, state, dir) {
+  const file = oracleFiles(network, dir).state;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Appends one entry to the network's audit log (one JSON object per line).
+ */
+function audit(network, entry, dir) {
+  const file = oracleFiles(network, dir).audit;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), network, ...entry }) + "\n");
+}
+
+function readAudit(network, dir) {
+  const file = oracleFiles(network, dir).audit;
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Checks an oracle configuration:
+ *
+ *   escrows       [{ contract, escrowId, conditions }]; `contract` is a deployment name,
+ *                 catalogue ID or contract name. NFTEscrow entries without `escrowId` apply to
+ *                 every escrow the contract creates.
+ *   adapters      options per source, e.g. { webhook: { port }, attestation: { dir } }; an entry
+ *                 with `module` loads a custom adapter from that file
+ *   pollInterval  milliseconds between passes (default 15000)
+ *
+ * Every condition names its `source` plus what that adapter reads. String values may use
+ * {condition}, {escrowId} and {contract}, filled in per escrow. An escrow is released once
+ * all of its conditions hold. Relative paths are resolved against `baseDir`.
+ */
+function validateOracleConfig(config, source = "oracle configuration", baseDir = process.cwd()) {
+  const problems = [];
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  const adapters = {};
+  for (const [name, options] of Object.entries(config.adapters || {})) {
+    if (!ADAPTERS[name] && !options.module) problems.push(`adapters.${name}: not a built-in source and no "module" is given`);
+    adapters[name] = { ...options };
+    for (const key of ["dir", "module"]) {
+      if (options[key]) adapters[name][key] = path.resolve(baseDir, options[key]);
+    }
+  }
+  // The file adapter resolves drops against the configuration's directory unless told otherwise.
+  adapters.file = { dir: baseDir, ...adapters.file };
+
+  if (!Array.isArray(config.escrows) || config.escrows.length === 0) {
+    problems.push('"escrows" must list at least one escrow');
+  }
+  (config.escrows || []).forEach((escrow, index) => {
+    const where = `escrows[${index}]`;
+    for (const key of Object.keys(escrow)) {
+      if (!ESCROW_KEYS.includes(key)) problems.push(`${where}: unknown key "${key}"`);
+    }
+    if (!escrow.contract) problems.push(`${where}: "contract" is missing`);
+    if (escrow.escrowId !== undefined && !/^\d+$/.test(String(escrow.escrowId))) problems.push(`${where}: "escrowId" must be a non-negative integer`);
+    if (!Array.isArray(escrow.conditions) || escrow.conditions.length === 0) {
+      problems.push(`${where}: "conditions" must list at least one condition`);
+    }
+    for (const condition of escrow.conditions || []) {
+      if (!ADAPTERS[condition.source] && !adapters[condition.source]) {
+        problems.push(`${where}: unknown source "${condition.source}" (${[...new Set([...Object.keys(ADAPTERS), ...Object.keys(adapters)])].join(", ")})`);
+      }
+      if (condition.source === "attestation" && (!Array.isArray(condition.signers) || condition.signers.length === 0)) {
+        problems.push(`${where}: attestation conditions need "signers"`);
+      }
+      if (condition.source === "attestation" && !(adapters.attestation || {}).dir) {
+        problems.push(`${where}: attestation conditions need adapters.attestation.dir`);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { ...config, adapters, pollInterval: config.pollInterval || 15000 };
+}
+
+function loadOracleConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  return validateOracleConfig(config, file, path.dirname(path.resolve(file)));
+}
+
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+// Sleeps until the next pass is due or an adapter reports a change. A change reported while
+// a pass is running makes the next sleep return at once.
+function sleep(oracle, ms) {
+  if (oracle.woken) {
+    oracle.woken = false;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      oracle.wake = () => (oracle.woken = true);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    oracle.wake = done;
+  });
+}
+
+// Fills {condition}, {escrowId} and {contract} into every string of a configured condition.
+function fill(condition, escrow) {
+  const values = { condition: escrow.condition, escrowId: escrow.escrowId, contract: escrow.contract };
+  const replace = (value) =>
+    typeof value === "string" ? value.replace(/\{(condition|escrowId|contract)\}/g, (match, key) => String(values[key] ?? match)) : value;
+  return Object.fromEntries(Object.entries(condition).map(([key, value]) => [key, Array.isArray(value) ? value.map(replace) : replace(value)]));
+}
+
+/**
+ * Resolves the configured escrows, checks the signer owns each contract and starts nothing
+ * yet. Options: network, config (as returned by loadOracleConfig), signer (the contracts'
+ * owner), adapters (extra factories by source name), dir and log.
+ */
+async function createOracle({ network, config, signer, adapters = {}, dir, log = console.log }) {
+  const { ethers } = runtime();
+  const state = loadState(network, dir);
+  const oracle = { network, config, signer, dir, log, state, contracts: {}, targets: [], adapters: {}, stopped: false, woken: false };
+  oracle.wake = () => (oracle.woken = true);
+
+  for (const entry of config.escrows) {
+    const record = resolveDeployment(network, entry.contract);
+    if (!record) {
+      throw new Error(`No deployment of "${entry.contract}" is recorded on ${network}`);
+    }
+    if (!ESCROWS[record.contractName]) {
+      throw new Error(`${record.name} is a ${record.contractName}; the oracle drives ${Object.keys(ESCROWS).join(" and ")}`);
+    }
+    if (!oracle.contracts[record.address]) {
+      const contract = await ethers.getContractAt(record.contractName, record.address, signer);
+      const owner = await contract.owner();
+      if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+        throw new Error(`Only the owner ${owner} can update conditions on ${record.name}, not ${signer.address}`);
+      }
+      oracle.contracts[record.address] = contract;
+      state.contracts[record.address] ||= { contractName: record.contractName, name: record.name, nextBlock: record.blockNumber || 0 };
+    }
+    oracle.targets.push({ record, escrowId: entry.escrowId === undefined ? undefined : String(entry.escrowId), conditions: entry.conditions });
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const factories = { ...ADAPTERS, ...adapters };
+  const sources = new Set(config.escrows.flatMap((entry) => entry.conditions.map((condition) => condition.source)));
+  for (const name of sources) {
+    const { module, ...options } = config.adapters[name] || {};
+    const factory = module ? require(module) : factories[name];
+    const context = {
+      log,
+      attestationDomain: attestationDomain(chainId),
+      observations: (state.observations[name] ||= {}),
+      // Adapters that are told about changes call this to have them acted on at once.
+      changed: (reason) => {
+        log(`Condition update: ${reason}`);
+        audit(network, { action: "observed", source: name, reason }, dir);
+        saveState(network, state, dir);
+        oracle.wake();
+      },
+    };
+    oracle.adapters[name] = factory(options, context);
+  }
+  return oracle;
+}
+
+// The configured conditions of an escrow: those given for its ID, else those for its contract.
+function conditionsFor(oracle, address, escrowId) {
+  const matching = oracle.targets.filter((target) => target.record.address === address);
+  const exact = matching.find((target) => target.escrowId === escrowId);
+  return (exact || matching.find((target) => target.escrowId === undefined) || {}).conditions;
+}
+
+function track(oracle, address, escrowId) {
+  const key = escrowId === undefined ? address : `${address}:${escrowId}`;
+  if (!oracle.state.escrows[key]) {
+    const { contractName, name } = oracle.state.contracts[address];
+    oracle.state.escrows[key] = { contract: address, contractName, name, escrowId, status: "waiting", checks: [], attempts: 0 };
+    audit(oracle.network, { action: "tracked", contract: address, escrowId }, oracle.dir);
+  }
+}
+
+/**
+ * Starts tracking the configured escrows, including every escrow an NFTEscrow configured
+ * without `escrowId` has created since it was deployed.
+ */
+async function discoverEscrows(oracle) {
+  const { ethers } = runtime();
+  const latest = await ethers.provider.getBlockNumber();
+
+  for (const target of oracle.targets) {
+    const { address, contractName } = target.record;
+    if (contractName === "ConditionalRealTimeEscrow" || target.escrowId !== undefined) {
+      track(oracle, address, target.escrowId);
+      continue;
+    }
+    const contract = oracle.contracts[address];
+    const watched = oracle.state.contracts[address];
+    while (watched.nextBlock <= latest) {
+      const to = Math.min(watched.nextBlock + BLOCK_RANGE - 1, latest);
+      for (const event of await contract.queryFilter(contract.filters[ESCROWS[contractName].created](), watched.nextBlock, to)) {
+        track(oracle, address, event.args[0].toString());
+      }
+      watched.nextBlock = to + 1;
+    }
+  }
+  saveState(oracle.network, oracle.state, oracle.dir);
+}
+
+async function readCondition(oracle, condition) {
+  try {
+    const { holds, detail } = await oracle.adapters[condition.source].read(condition);
+    return { source: condition.source, holds: holds === true, detail };
+  } catch (error) {
+    return { source: condition.source, holds: false, detail: `error: ${errorMessage(error)}` };
+  }
+}
+
+/**
+ * Reads every condition of every waiting escrow and, once all of an escrow's conditions hold,
+ * sets its on-chain condition to true, which releases it. Escrows released or refunded by
+ * anyone else are marked as such. Failures are logged and retried on the next pass.
+ */
+async function processEscrows(oracle) {
+  const { ethers } = runtime();
+  const { network, state, dir } = oracle;
+
+  for (const escrow of Object.values(state.escrows)) {
+    if (escrow.status !== "waiting") continue;
+    const contract = oracle.contracts[escrow.contract];
+    const conditions = contract && conditionsFor(oracle, escrow.contract, escrow.escrowId);
+    if (!conditions) continue;
+    const spec = ESCROWS[escrow.contractName];
+
+    const onChain = await spec.read(contract, escrow.escrowId);
+    if (!onChain) {
+      escrow.lastError = "escrow does not exist";
+      saveState(network, state, dir);
+      continue;
+    }
+    if (onChain.closed) {
+      escrow.status = onChain.closed;
+      audit(network, { action: "closed", contract: escrow.contract, escrowId: escrow.escrowId, status: onChain.closed }, dir);
+      saveState(network, state, dir);
+      continue;
+    }
+    escrow.condition = onChain.condition;
+
+    const checks = [];
+    for (const condition of conditions) {
+      checks.push(await readCondition(oracle, fill(condition, escrow)));
+    }
+    const held = checks.filter((check) => check.holds).length;
+    if (held !== escrow.checks.filter((check) => check.holds).length) {
+      audit(network, { action: "conditions", contract: escrow.contract, escrowId: escrow.escrowId, held, of: checks.length, checks }, dir);
+    }
+    escrow.checks = checks;
+    escrow.checkedAt = new Date().toISOString();
+    if (held < checks.length) {
+      saveState(network, state, dir);
+      continue;
+    }
+
+    if (!(await spec.funded(contract, ethers))) {
+      escrow.lastError = "all conditions hold but the escrow is not funded yet";
+      saveState(network, state, dir);
+      continue;
+    }
+
+    escrow.attempts += 1;
+    const label = `${escrow.name}${escrow.escrowId === undefined ? "" : ` #${escrow.escrowId}`}`;
+    try {
+      const tx = await spec.update(contract, escrow);
+      const receipt = await tx.wait();
+      escrow.status = "released";
+      escrow.tx = receipt.transactionHash || receipt.hash;
+      delete escrow.lastError;
+      audit(network, { action: "released", contract: escrow.contract, escrowId: escrow.escrowId, condition: escrow.condition, tx: escrow.tx }, dir);
+      oracle.log(`Released ${label} ("${escrow.condition}"): ${escrow.tx}`);
+    } catch (error) {
+      escrow.lastError = errorMessage(error);
+      audit(network, { action: "release", contract: escrow.contract, escrowId: escrow.escrowId, status: "failed", error: escrow.lastError, attempt: escrow.attempts }, dir);
+      oracle.log(`Releasing ${label} failed: ${escrow.lastError}`);
+    }
+    saveState(network, state, dir);
+  }
+}
+
+/**
+ * Starts the adapters and runs passes until `oracle.stopped` is set (or once with `once`).
+ * Adapters that receive updates, like the webhook, wake the oracle up early.
+ */
+async function runOracle(oracle, { once = false } = {}) {
+  const { network, dir } = oracle;
+  for (const adapter of Object.values(oracle.adapters)) {
+    if (adapter.start) await adapter.start();
+  }
+  audit(network, { action: "started", contracts: Object.keys(oracle.contracts), sources: Object.keys(oracle.adapters), signer: oracle.signer.address }, dir);
+
+  while (!oracle.stopped) {
+    try {
+      await discoverEscrows(oracle);
+      await processEscrows(oracle);
+    } catch (error) {
+      audit(network, { action: "error", error: errorMessage(error) }, dir);
+      oracle.log(`Oracle pass failed: ${errorMessage(error)}`);
+    }
+    if (once) break;
+    await sleep(oracle, oracle.config.pollInterval);
+  }
+
+  for (const adapter of Object.values(oracle.adapters)) {
+    if (adapter.stop) await adapter.stop();
+  }
+  audit(network, { action: "stopped" }, dir);
+}
+
+/**
+ * Asks a running oracle to stop after its current pass.
+ */
+function stopOracle(oracle) {
+  oracle.stopped = true;
+  oracle.wake();
+}
+
+module.exports = {
+  ORACLE_DIR,
+  ESCROWS,
+  oracleFiles,
+  loadState,
+  readAudit,
+  validateOracleConfig,
+  loadOracleConfig,
+  createOracle,
+  discoverEscrows,
+  processEscrows,
+  runOracle,
+  stopOracle,
+};
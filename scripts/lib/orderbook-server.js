@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const http = require("http");
+const { ORDER_TYPES, CANCEL_TYPES, submitOrder, cancelOrder, orderView, depth } = require("./orderbook");
+const { readJson, send: sendJson } = require("./common");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// The book is read from browser pages on other origins.
+function send(response, status, body) {
+  sendJson(response, status, body, { "Access-Control-Allow-Origin": "*" });
+}
+
+// One unmasked text frame; servers never mask what they send.
+function textFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x81;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Accepts a WebSocket connection on /stream. The stream only pushes; whatever clients send is
+ * ignored apart from close frames.
+ */
+function acceptStream(request, socket, clients) {
+  const key = request.headers["sec-websocket-key"];
+  if (!key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n")
+  );
+
+  clients.add(socket);
+  socket.on("data", (data) => {
+    // Opcode 0x8 is a close frame.
+    if ((data[0] & 0x0f) === 0x8) {
+      socket.end(Buffer.from([0x88, 0]));
+    }
+  });
+  socket.on("close", () => clients.delete(socket));
+  socket.on("error", () => clients.delete(socket));
+}
+
+async function route(book, request, response) {
+  const url = new URL(request.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (request.method === "GET" && url.pathname === "/domain") {
+    return send(response, 200, { domain: book.domain, types: { ...ORDER_TYPES, ...CANCEL_TYPES } });
+  }
+  if (request.method === "POST" && url.pathname === "/orders") {
+    return send(response, 201, submitOrder(book, await readJson(request)));
+  }
+  if (parts[0] === "orders" && parts.length === 2) {
+    if (request.method === "GET") {
+      const entry = book.orders[parts[1]];
+      return entry ? send(response, 200, orderView(entry)) : send(response, 404, { error: `Unknown order ${parts[1]}` });
+    }
+    if (request.method === "DELETE") {
+      const { signature } = await readJson(request);
+      return send(response, 200, cancelOrder(book, parts[1], signature));
+    }
+  }
+  if (request.method === "GET" && parts[0] === "book" && parts.length === 2) {
+    return send(response, 200, depth(book, parts[1]));
+  }
+  if (request.method === "GET" && url.pathname === "/trades") {
+    const token = url.searchParams.get("token");
+    return send(response, 200, book.trades.filter((trade) => !token || trade.token.toLowerCase() === token.toLowerCase()));
+  }
+  return send(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+}
+
+/**
+ * Serves the book over HTTP:
+ *
+ *   GET    /domain          EIP-712 domain and types to sign orders and cancellations with
+ *   POST   /orders          { order, signature } -> { order, trades }
+ *   GET    /orders/<hash>   one order and what is left of it
+ *   DELETE /orders/<hash>   { signature } of Cancel(orderHash) by the maker
+ *   GET    /book/<token>    open orders aggregated by price
+ *   GET    /trades          matches, optionally ?token=<address>
+ *   GET    /stream          WebSocket of { type: "order" | "trade" | "trade-update", data }
+ *
+ * Resolves with the listening server once it accepts connections.
+ */
+function startServer(book, { port = 8080, host = "127.0.0.1" } = {}) {
+  const clients = new Set();
+  const server = http.createServer((request, response) => {
+    route(book, request, response).catch((error) => send(response, 400, { error: error.message }));
+  });
+
+  server.on("upgrade", (request, socket) => {
+    if (new URL(request.url, "http://localhost").pathname === "/stream") {
+      acceptStream(request, socket, clients);
+    } else {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+    }
+  });
+  for (const type of ["order", "trade", "trade-update"]) {
+    book.events.on(type, (data) => {
+      const frame = textFrame(JSON.stringify({ type, data }));
+      for (const socket of clients) socket.write(frame);
+    });
+  }
+  server.on("close", () => {
+    for (const socket of clients) socket.destroy();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  startServer,
+};
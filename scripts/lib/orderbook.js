@@ -0,0 +1,375 @@
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+const { recoverTyped, hashTyped, runtime } = require("./common");
+
+const ORDERBOOK_DIR = process.env.ORDERBOOK_DIR || path.join(ROOT, "orderbook");
+
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+const SIDES = { buy: 0, sell: 1 };
+const ORDER_KEYS = ["maker", "side", "token", "amount", "price", "nonce", "expiry"];
+
+// What makers sign. `side` is 0 to buy and 1 to sell `amount` of `token`; `price` is in quote
+// units per token and only decides which orders match.
+const ORDER_TYPES = {
+  Order: [
+    { name: "maker", type: "address" },
+    { name: "side", type: "uint8" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint64" },
+  ],
+};
+const CANCEL_TYPES = { Cancel: [{ name: "orderHash", type: "bytes32" }] };
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+    getAddress: utils.getAddress,
+    abiCoder: utils.defaultAbiCoder || ethers.AbiCoder.defaultAbiCoder(),
+  };
+}
+
+/**
+ * The EIP-712 domain orders for one RealTimeSettlementContract are signed under.
+ */
+function orderDomain(chainId, verifyingContract) {
+  return { name: "RealTimeSettlementOrderBook", version: "1", chainId: Number(chainId), verifyingContract };
+}
+
+function toUint(value, field) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`"${field}" must be a non-negative integer`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Checks an order as received and returns it with addresses checksummed, `side` as 0 or 1
+ * ("buy" and "sell" are accepted) and numbers as decimal strings.
+ */
+function normalizeOrder(order) {
+  const problems = [];
+  for (const key of Object.keys(order)) {
+    if (!ORDER_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  const { getAddress } = lib();
+  const normalized = {};
+  for (const key of ORDER_KEYS) {
+    try {
+      if (order[key] === undefined) throw new Error(`"${key}" is missing`);
+      if (key === "maker" || key === "token") {
+        normalized[key] = getAddress(order[key]);
+      } else if (key === "side") {
+        const side = SIDES[order.side] ?? Number(order.side);
+        if (side !== 0 && side !== 1) throw new Error('"side" must be 0 (buy) or 1 (sell)');
+        normalized.side = side;
+      } else {
+        normalized[key] = toUint(order[key], key).toString();
+      }
+    } catch (error) {
+      problems.push(error.message.startsWith('"') ? error.message : `"${key}" is not an address`);
+    }
+  }
+  if (normalized.amount === "0") problems.push('"amount" must be greater than zero');
+  if (normalized.price === "0") problems.push('"price" must be greater than zero');
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid order:\n  - ${problems.join("\n  - ")}`);
+  }
+  return normalized;
+}
+
+function orderHash(domain, order) {
+  return hashTyped(domain, ORDER_TYPES, order);
+}
+
+/**
+ * The tradeId of the match between two orders and the userData both parties send with their
+ * tokens to fund it (the contract looks trades up by keccak256(userData)). A pair of orders
+ * can only match once, so the ID depends on nothing but their hashes.
+ */
+function tradeIdOf(buyHash, sellHash) {
+  const { keccak256, abiCoder } = lib();
+  const userData = abiCoder.encode(["bytes32", "bytes32"], [buyHash, sellHash]);
+  return { tradeId: keccak256(userData), userData };
+}
+
+/**
+ * An empty book for one settlement contract. `now` returns unix seconds and can be replaced
+ * in tests. The book emits "order" (an order changed), "trade" (a match) and "trade-update"
+ * (a match was submitted or failed) on `book.events`.
+ */
+function createOrderBook({ domain, now = () => Math.floor(Date.now() / 1000) }) {
+  return { domain, now, sequence: 0, orders: {}, markets: {}, trades: [], events: new EventEmitter() };
+}
+
+function marketOf(book, token) {
+  if (!book.markets[token]) {
+    book.markets[token] = { bids: [], asks: [] };
+  }
+  return book.markets[token];
+}
+
+/**
+ * An order as the API returns it.
+ */
+function orderView(entry) {
+  const { hash, order, signature, remaining, sequence, receivedAt, status } = entry;
+  return { hash, order, signature, remaining: remaining.toString(), sequence, receivedAt, status };
+}
+
+// Bids by highest price, asks by lowest, each then by arrival.
+function ranksBefore(a, b) {
+  if (a.price !== b.price) {
+    return a.order.side === SIDES.buy ? a.price > b.price : a.price < b.price;
+  }
+  return a.sequence < b.sequence;
+}
+
+function rest(book, entry) {
+  const market = marketOf(book, entry.order.token);
+  const side = entry.order.side === SIDES.buy ? market.bids : market.asks;
+  const index = side.findIndex((other) => ranksBefore(entry, other));
+  side.splice(index === -1 ? side.length : index, 0, entry);
+}
+
+function close(book, entry, status) {
+  const market = marketOf(book, entry.order.token);
+  for (const side of [market.bids, market.asks]) {
+    const index = side.indexOf(entry);
+    if (index !== -1) side.splice(index, 1);
+  }
+  entry.status = status;
+  book.events.emit("order", orderView(entry));
+}
+
+function crosses(taker, maker) {
+  return taker.order.side === SIDES.buy ? maker.price <= taker.price : maker.price >= taker.price;
+}
+
+// Fills `taker` against the other side of its market, best price first, at the resting price.
+function match(book, taker) {
+  const market = marketOf(book, taker.order.token);
+  const makers = taker.order.side === SIDES.buy ? market.asks : market.bids;
+  const trades = [];
+
+  for (let index = 0; index < makers.length && taker.remaining > 0n; ) {
+    const maker = makers[index];
+    if (Number(maker.order.expiry) <= book.now()) {
+      close(book, maker, "expired");
+      continue;
+    }
+    if (!crosses(taker, maker)) break;
+    // Orders never fill against their own maker; the next one in line gets the match.
+    if (maker.order.maker === taker.order.maker) {
+      index++;
+      continue;
+    }
+
+    const amount = taker.remaining < maker.remaining ? taker.remaining : maker.remaining;
+    const [buy, sell] = taker.order.side === SIDES.buy ? [taker, maker] : [maker, taker];
+    const trade = {
+      ...tradeIdOf(buy.hash, sell.hash),
+      buyer: buy.order.maker,
+      seller: sell.order.maker,
+      token: taker.order.token,
+      amount: amount.toString(),
+      price: maker.price.toString(),
+      buyOrder: buy.hash,
+      sellOrder: sell.hash,
+      sequence: book.trades.length + 1,
+      matchedAt: new Date(book.now() * 1000).toISOString(),
+      status: "matched",
+    };
+    book.trades.push(trade);
+    trades.push(trade);
+
+    taker.remaining -= amount;
+    maker.remaining -= amount;
+    if (maker.remaining === 0n) {
+      close(book, maker, "filled");
+    } else {
+      book.events.emit("order", orderView(maker));
+    }
+  }
+  return trades;
+}
+
+/**
+ * Verifies a signed order, matches it against the book with price-time priority and rests
+ * whatever is left. Returns { order, trades }.
+ */
+function submitOrder(book, { order, signature }) {
+  const normalized = normalizeOrder(order || {});
+  const hash = orderHash(book.domain, normalized);
+  if (book.orders[hash]) {
+    throw new Error(`Order ${hash} was already submitted`);
+  }
+
+  let signer;
+  try {
+    signer = recoverTyped(book.domain, ORDER_TYPES, normalized, signature);
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.message}`);
+  }
+  if (signer !== normalized.maker) {
+    throw new Error(`Order is signed by ${signer}, not its maker ${normalized.maker}`);
+  }
+  if (Number(normalized.expiry) <= book.now()) {
+    throw new Error("Order has expired");
+  }
+
+  const entry = {
+    hash,
+    order: normalized,
+    signature,
+    price: BigInt(normalized.price),
+    remaining: BigInt(normalized.amount),
+    sequence: ++book.sequence,
+    receivedAt: new Date(book.now() * 1000).toISOString(),
+    status: "open",
+  };
+  book.orders[hash] = entry;
+
+  const trades = match(book, entry);
+  if (entry.remaining === 0n) {
+    entry.status = "filled";
+  } else {
+    rest(book, entry);
+  }
+  book.events.emit("order", orderView(entry));
+  for (const trade of trades) {
+    book.events.emit("trade", trade);
+  }
+  return { order: orderView(entry), trades };
+}
+
+/**
+ * Cancels what is left of an order. `signature` is the maker's EIP-712 signature of
+ * Cancel(orderHash).
+ */
+function cancelOrder(book, hash, signature) {
+  const entry = book.orders[hash];
+  if (!entry) {
+    throw new Error(`Unknown order ${hash}`);
+  }
+  let signer;
+  try {
+    signer = recoverTyped(book.domain, CANCEL_TYPES, { orderHash: hash }, signature);
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.message}`);
+  }
+  if (signer !== entry.order.maker) {
+    throw new Error(`Only the maker ${entry.order.maker} can cancel ${hash}`);
+  }
+  if (entry.status !== "open") {
+    throw new Error(`Order ${hash} is ${entry.status}`);
+  }
+  close(book, entry, "cancelled");
+  return orderView(entry);
+}
+
+/**
+ * The open orders of a market aggregated by price: { bids: [{ price, amount, orders }], asks }.
+ */
+function depth(book, token) {
+  const market = marketOf(book, lib().getAddress(token));
+  const levels = (side) => {
+    const result = [];
+    for (const entry of side) {
+      if (Number(entry.order.expiry) <= book.now()) continue;
+      const last = result[result.length - 1];
+      if (last && last.price === entry.order.price) {
+        last.amount = (BigInt(last.amount) + entry.remaining).toString();
+        last.orders += 1;
+      } else {
+        result.push({ price: entry.order.price, amount: entry.remaining.toString(), orders: 1 });
+      }
+    }
+    return result;
+  };
+  return { token: lib().getAddress(token), bids: levels(market.bids), asks: levels(market.asks) };
+}
+
+/**
+ * The createTrade call that registers a match on the settlement contract.
+ */
+function createTradeCall(trade) {
+  return { function: "createTrade", args: [trade.buyer, trade.seller, trade.token, trade.amount, trade.tradeId] };
+}
+
+/**
+ * orderbook/<network>/trades.jsonl: one line per trade the book created on-chain. The
+ * contract emits nothing on createTrade, so the settlement indexer reads open trades here.
+ */
+function tradesFile(network, dir = ORDERBOOK_DIR) {
+  return path.join(dir, network, "trades.jsonl");
+}
+
+function updateTrade(book, trade, changes) {
+  Object.assign(trade, changes);
+  book.events.emit("trade-update", trade);
+}
+
+/**
+ * Sends every match to the settlement contract with createTrade, one at a time in match order.
+ * `contract` must be connected as the contract's owner. Trades already on-chain (after a
+ * restart, say) are marked "exists" instead of being sent again. With `file` (see tradesFile),
+ * every trade created is appended to it.
+ */
+function submitTrades(book, contract, { log = console.log, file } = {}) {
+  let queue = Promise.resolve();
+
+  book.events.on("trade", (trade) => {
+    queue = queue.then(async () => {
+      try {
+        const existing = await contract.trades(trade.tradeId);
+        if (existing.buyer !== ZERO_ADDRESS) {
+          updateTrade(book, trade, { status: "exists" });
+          return;
+        }
+        const { args } = createTradeCall(trade);
+        const tx = await contract.createTrade(...args);
+        updateTrade(book, trade, { status: "pending", tx: tx.hash });
+        const receipt = await tx.wait();
+        updateTrade(book, trade, { status: "submitted" });
+        if (file) {
+          const { tradeId, buyer, seller, token, amount } = trade;
+          const created = { contract: contract.target || contract.address, tradeId, buyer, seller, token, amount };
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.appendFileSync(file, JSON.stringify({ ...created, tx: tx.hash, blockNumber: receipt.blockNumber, createdAt: Math.floor(Date.now() / 1000) }) + "\n");
+        }
+        log(`createTrade ${trade.tradeId}: ${trade.amount} from ${trade.seller} to ${trade.buyer} (${tx.hash})`);
+      } catch (error) {
+        updateTrade(book, trade, { status: "failed", error: error.reason || error.shortMessage || error.message });
+        log(`createTrade ${trade.tradeId} failed: ${trade.error}`);
+      }
+    });
+  });
+  return () => queue;
+}
+
+module.exports = {
+  ORDERBOOK_DIR,
+  ORDER_TYPES,
+  CANCEL_TYPES,
+  orderDomain,
+  normalizeOrder,
+  orderHash,
+  tradeIdOf,
+  createOrderBook,
+  orderView,
+  submitOrder,
+  cancelOrder,
+  depth,
+  createTradeCall,
+  tradesFile,
+  submitTrades,
+};
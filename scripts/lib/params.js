@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("./registry");
+const { runtime } = require("./common");
+
+const SCHEMA_FILE = "deploy.params.json";
+const NETWORK_DIR = "params";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const UINT_PATTERN = /^\d+$/;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const DURATION_PATTERN = /^(\d+)\s*(s|m|h|d|w)?$/;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Stand-ins for values nobody configured, used only when estimating gas (DEPLOY_ESTIMATE_FILE).
+// Numbers are non-zero so constructors that reject zero amounts or durations still deploy.
+const ESTIMATE_PLACEHOLDER = "0x000000000000000000000000000000000000dEaD";
+const ESTIMATE_VALUES = {
+  address: ESTIMATE_PLACEHOLDER,
+  "address[]": [ESTIMATE_PLACEHOLDER],
+  bytes32: "0x" + "11".repeat(32),
+  uint: 1,
+  decimal: "1",
+  duration: 86400,
+  percentage: 10,
+  basisPoints: 100,
+  string: "estimate",
+  "string[]": ["estimate"],
+  bool: false,
+};
+
+// Each validator returns the normalised value or throws with a short reason.
+const TYPES = {
+  address(value) {
+    if (typeof value !== "string" || !ADDRESS_PATTERN.test(value)) {
+      throw new Error("expected a 0x-prefixed 20-byte address");
+    }
+    return value;
+  },
+  "address[]"(value) {
+    if (!Array.isArray(value)) {
+      throw new Error("expected an array of addresses");
+    }
+    return value.map((item, index) => {
+      try {
+        return TYPES.address(item);
+      } catch (error) {
+        throw new Error(`item ${index}: ${error.message}`);
+      }
+    });
+  },
+  bytes32(value) {
+    if (typeof value !== "string" || !BYTES32_PATTERN.test(value)) {
+      throw new Error("expected a 0x-prefixed 32-byte hex string");
+    }
+    return value;
+  },
+  uint(value) {
+    if (typeof value === "number" ? !Number.isSafeInteger(value) || value < 0 : !UINT_PATTERN.test(String(value))) {
+      throw new Error("expected a non-negative integer");
+    }
+    return typeof value === "number" ? value : String(value);
+  },
+  decimal(value) {
+    if (!DECIMAL_PATTERN.test(String(value))) {
+      throw new Error('expected a non-negative decimal amount such as "1000" or "0.01"');
+    }
+    return String(value);
+  },
+  duration(value) {
+    const match = String(value).trim().match(DURATION_PATTERN);
+    if (!match) {
+      throw new Error('expected seconds or a duration such as "7d", "12h" or "1w"');
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+  },
+  percentage(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      throw new Error("expected an integer between 0 and 100");
+    }
+    return value;
+  },
+  basisPoints(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 10000) {
+      throw new Error("expected an integer between 0 and 10000");
+    }
+    return value;
+  },
+  string(value) {
+    if (typeof value !== "string") {
+      throw new Error("expected a string");
+    }
+    return value;
+  },
+  "string[]"(value) {
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+      throw new Error("expected an array of strings");
+    }
+    return value;
+  },
+  bool(value) {
+    if (typeof value !== "boolean") {
+      throw new Error("expected true or false");
+    }
+    return value;
+  },
+};
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function currentNetwork() {
+  return runtime().network.name;
+}
+
+/**
+ * Reads the parameter schema (deploy.params.json) that sits next to a deploy script.
+ * Returns null for contracts that take no configurable parameters.
+ */
+function loadSchema(dir) {
+  const file = path.join(dir, SCHEMA_FILE);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const schema = readJson(file);
+  for (const [name, spec] of Object.entries(schema)) {
+    if (!spec || !TYPES[spec.type]) {
+      throw new Error(`${file}: parameter "${name}" has unknown type "${spec && spec.type}"`);
+    }
+    if (spec.requires && spec.type !== "address") {
+      throw new Error(`${file}: parameter "${name}" declares "requires" but is not an address`);
+    }
+  }
+  return schema;
+}
+
+/**
+ * Returns the file that holds values for a network. DEPLOY_PARAMS_FILE overrides the
+ * default of params/<network>.json inside the contract folder.
+ */
+function networkParamsFile(dir, network) {
+  return process.env.DEPLOY_PARAMS_FILE || path.join(dir, NETWORK_DIR, `${network}.json`);
+}
+
+/**
+ * Validates a set of raw values against a schema, applying defaults.
+ * Throws one error listing every missing or malformed parameter.
+ */
+function validateParams(schema, values, source = "parameters") {
+  const resolved = {};
+  const problems = [];
+
+  for (const name of Object.keys(values)) {
+    if (!schema[name]) {
+      problems.push(`${name}: not a known parameter`);
+    }
+  }
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = values[name] !== undefined ? values[name] : spec.default;
+    if (value === undefined) {
+      const hint = spec.requires ? `, and no "${spec.requires}" in the address book` : "";
+      problems.push(`${name}: missing (${spec.type}${spec.description ? `, ${spec.description}` : ""})${hint}`);
+      continue;
+    }
+    try {
+      resolved[name] = TYPES[spec.type](value);
+    } catch (error) {
+      problems.push(`${name}: ${error.message}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return resolved;
+}
+
+/**
+ * Reads the raw values configured for the contract in `dir` on `network`, or {} when none are set.
+ */
+function readNetworkValues(dir, network) {
+  const file = networkParamsFile(dir, network);
+  if (process.env.DEPLOY_PARAMS_FILE && !fs.existsSync(file)) {
+    throw new Error(`DEPLOY_PARAMS_FILE points to a missing file: ${file}`);
+  }
+  if (/\.ya?ml$/i.test(file)) {
+    throw new Error(`${file}: parameter files must be JSON, YAML is not supported`);
+  }
+  return fs.existsSync(file) ? readJson(file) : {};
+}
+
+/**
+ * Loads and validates the constructor parameters for the contract in `dir` on `network`.
+ * Address parameters that declare `requires` fall back to the address recorded for that
+ * contract in the network's address book. Call it before sending any transaction so bad
+ * input fails fast.
+ *
+ * When estimating gas, DEPLOY_PARAMS_NETWORK names the network whose values to use. Required
+ * contracts are taken from the address book of the chain the estimate runs on, where they
+ * were deployed first, and other missing values are filled with placeholders.
+ */
+function loadParams(dir, network = process.env.DEPLOY_PARAMS_NETWORK || currentNetwork()) {
+  const schema = loadSchema(dir);
+  if (!schema) {
+    throw new Error(`No ${SCHEMA_FILE} found in ${dir}`);
+  }
+
+  const estimating = Boolean(process.env.DEPLOY_ESTIMATE_FILE);
+  const values = { ...readNetworkValues(dir, network) };
+  for (const [name, spec] of Object.entries(schema)) {
+    if (spec.requires && estimating) {
+      values[name] = getAddress(currentNetwork(), spec.requires) || values[name];
+    } else if (values[name] === undefined && spec.requires) {
+      values[name] = getAddress(network, spec.requires);
+    }
+    if (values[name] === undefined && spec.default === undefined && estimating) {
+      values[name] = ESTIMATE_VALUES[spec.type];
+    }
+  }
+
+  return validateParams(schema, values, path.relative(process.cwd(), networkParamsFile(dir, network)));
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  TYPES,
+  loadSchema,
+  networkParamsFile,
+  readNetworkValues,
+  validateParams,
+  loadParams,
+};
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(ROOT, "deployments");
+const ADDRESS_BOOK = "addresses.json";
+
+function networkDir(network) {
+  return path.join(DEPLOYMENTS_DIR, network);
+}
+
+function addressBookFile(network) {
+  return path.join(networkDir(network), ADDRESS_BOOK);
+}
+
+function historyFile(network, name) {
+  return path.join(networkDir(network), `${name}.json`);
+}
+
+/**
+ * The key a deployment is filed under: its catalogue ID when it is a catalogue entry, since
+ * several entries share a contract name, and otherwise its name.
+ */
+function registryKey({ catalogueId, name }) {
+  return catalogueId || name;
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : fallback;
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+/**
+ * Returns the { name: address } map of the latest contracts recorded on a network.
+ */
+function readAddressBook(network) {
+  return readJson(addressBookFile(network), {});
+}
+
+function getAddress(network, name) {
+  return readAddressBook(network)[name];
+}
+
+function recordAddress(network, name, address) {
+  const book = readAddressBook(network);
+  book[name] = address;
+  writeJson(addressBookFile(network), book);
+}
+
+/**
+ * Returns every recorded version filed under `name` (see registryKey) on a network, oldest first.
+ */
+function readHistory(network, name) {
+  return readJson(historyFile(network, name), []);
+}
+
+/**
+ * Appends a deployment record to deployments/<network>/<key>.json and points the address
+ * book's <key> at it, where the key is the catalogue ID or else the name (see registryKey).
+ * The record's version is one more than the previous one.
+ */
+function saveDeployment(record) {
+  const key = registryKey(record);
+  const history = readHistory(record.network, key);
+  const saved = { version: history.length + 1, ...record };
+
+  writeJson(historyFile(record.network, key), [...history, saved]);
+  recordAddress(record.network, key, record.address);
+  return saved;
+}
+
+/**
+ * Merges `changes` into a saved record (matched by network, name and version) and returns it.
+ */
+function updateDeployment(record, changes) {
+  const key = registryKey(record);
+  const history = readHistory(record.network, key);
+  const index = history.findIndex((entry) => entry.version === record.version);
+  if (index === -1) {
+    throw new Error(`${record.name} v${record.version} is not recorded on ${record.network}`);
+  }
+
+  history[index] = { ...history[index], ...changes };
+  writeJson(historyFile(record.network, key), history);
+  return history[index];
+}
+
+/**
+ * Lists the networks that have a deployments folder.
+ */
+function listNetworks() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(DEPLOYMENTS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Finds deployment records matching every given field, oldest first.
+ *
+ *   findDeployments({ network: "sepolia", standard: "ERC1404" })
+ *   findDeployments({ catalogueId: "6-1X_1B" })
+ *
+ * Pass `all: true` to include superseded versions; by default only the latest version
+ * filed under each key is considered.
+ */
+function findDeployments({ network, name, contractName, catalogueId, standard, all = false } = {}) {
+  const networks = network ? [network] : listNetworks();
+  const records = [];
+
+  for (const net of networks) {
+    const dir = networkDir(net);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json") || file === ADDRESS_BOOK) continue;
+      const history = readJson(path.join(dir, file), []);
+      records.push(...(all ? history : history.slice(-1)));
+    }
+  }
+
+  return records
+    .filter(
+      (record) =>
+        (!name || record.name === name) &&
+        (!contractName || record.contractName === contractName) &&
+        (!catalogueId || record.catalogueId === catalogueId) &&
+        (!standard || (record.standard || "").toLowerCase() === standard.toLowerCase())
+    )
+    .sort((a, b) => a.deployedAt.localeCompare(b.deployedAt));
+}
+
+/**
+ * Returns the most recent deployment matching the query, e.g. the latest ERC1404 on sepolia.
+ */
+function latestDeployment(query) {
+  const matches = findDeployments(query);
+  return matches[matches.length - 1];
+}
+
+/**
+ * Returns the latest deployment on `network` whose name, catalogue ID or contract name is `query`.
+ */
+function resolveDeployment(network, query) {
+  const needle = query.toLowerCase();
+  return findDeployments({ network })
+    .filter((record) => [record.name, record.contractName, record.catalogueId].some((field) => (field || "").toLowerCase() === needle))
+    .pop();
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  readAddressBook,
+  getAddress,
+  recordAddress,
+  registryKey,
+  readHistory,
+  saveDeployment,
+  updateDeployment,
+  listNetworks,
+  findDeployments,
+  latestDeployment,
+  resolveDeployment,
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+const { runtime, sameAddress } = require("./common");
+
+const ROLES_FILE = "deploy.roles.json";
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(__dirname, "..", "accounts.json");
+const DEFAULT_ADMIN_ROLE = "DEFAULT_ADMIN_ROLE";
+const ZERO_HASH = "0x" + "00".repeat(32);
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const PLAN_KEYS = ["grant", "calls", "owner", "renounce"];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the post-deploy role plan (deploy.roles.json) next to a deploy script, or null.
+ *
+ *   grant     { ROLE: [account, ...] } granted by the deployer
+ *   calls     [{ function, args, expect: { role, account } }] for contract-specific helpers
+ *             such as addOperator; `expect` is the role the call should leave in place
+ *   owner     account that receives ownership of Ownable contracts
+ *   renounce  [ROLE, ...] roles the deployer gives up at the end
+ *
+ * Accounts are names from scripts/accounts.json, "deployer" or literal addresses.
+ */
+function loadRolePlan(dir) {
+  const file = path.join(dir, ROLES_FILE);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const plan = readJson(file);
+  const problems = [];
+  for (const key of Object.keys(plan)) {
+    if (!PLAN_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  for (const call of plan.calls || []) {
+    if (!call.function) problems.push(`call ${JSON.stringify(call)} has no function`);
+  }
+  const admins = (plan.grant || {})[DEFAULT_ADMIN_ROLE] || [];
+  if ((plan.renounce || []).includes(DEFAULT_ADMIN_ROLE) && admins.length === 0) {
+    problems.push(`renounces ${DEFAULT_ADMIN_ROLE} without granting it to anyone, which would lock the contract`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return plan;
+}
+
+/**
+ * Returns the named accounts (operator, complianceOfficer, multisig, ...) for a network, or null.
+ */
+function loadAccounts(network, file = ACCOUNTS_FILE) {
+  const accounts = fs.existsSync(file) ? readJson(file) : {};
+  return accounts[network] || null;
+}
+
+/**
+ * Turns a plan into ordered steps with every account resolved to an address: grants, calls,
+ * ownership transfer, then renounces. Throws one error listing every unknown account.
+ */
+function resolvePlan(plan, accounts, deployer) {
+  const missing = new Set();
+  const resolve = (account) => {
+    if (account === "deployer") return deployer;
+    if (ADDRESS_PATTERN.test(account)) return account;
+    if (accounts[account] && ADDRESS_PATTERN.test(accounts[account])) return accounts[account];
+    missing.add(account);
+    return null;
+  };
+  const resolveArg = (arg) => (typeof arg === "string" && !arg.startsWith("0x") && !/_ROLE$/.test(arg) ? resolve(arg) : arg);
+
+  const steps = [];
+  for (const [role, holders] of Object.entries(plan.grant || {})) {
+    for (const account of holders) {
+      steps.push({ kind: "grant", role, account, address: resolve(account) });
+    }
+  }
+  for (const call of plan.calls || []) {
+    const expect = call.expect && { ...call.expect, address: resolve(call.expect.account) };
+    steps.push({ kind: "call", function: call.function, args: (call.args || []).map(resolveArg), expect });
+  }
+  if (plan.owner) {
+    steps.push({ kind: "owner", account: plan.owner, address: resolve(plan.owner) });
+  }
+  for (const role of plan.renounce || []) {
+    steps.push({ kind: "renounce", role, account: "deployer", address: deployer });
+  }
+
+  if (missing.size > 0) {
+    throw new Error(`No address configured for: ${[...missing].join(", ")}`);
+  }
+  return steps;
+}
+
+function describeStep(step) {
+  switch (step.kind) {
+    case "grant":
+      return `grant ${step.role} to ${step.account} (${step.address})`;
+    case "call":
+      return `call ${step.function}(${step.args.join(", ")})`;
+    case "owner":
+      return `transfer ownership to ${step.account} (${step.address})`;
+    default:
+      return `renounce ${step.role} from deployer`;
+  }
+}
+
+// Reads the role id from the contract's constant getter, falling back to keccak256 of the name.
+async function roleId(contract, role) {
+  if (role === DEFAULT_ADMIN_ROLE) {
+    return ZERO_HASH;
+  }
+  const hasGetter = contract.interface.fragments.some((fragment) => fragment.type === "function" && fragment.name === role);
+  if (hasGetter) {
+    return contract[role]();
+  }
+  const { ethers } = runtime();
+  return (ethers.utils || ethers).id(role);
+}
+
+async function send(transaction) {
+  const tx = await transaction;
+  return tx.wait();
+}
+
+/**
+ * Applies resolved steps as the deployer. Steps that are already in effect are skipped, so
+ * the stage can be re-run after a partial failure.
+ */
+async function applySteps(contract, steps, { log = console.log } = {}) {
+  for (const step of steps) {
+    let done = false;
+
+    if (step.kind === "grant") {
+      const role = await roleId(contract, step.role);
+      if (!(await contract.hasRole(role, step.address))) {
+        await send(contract.grantRole(role, step.address));
+        done = true;
+      }
+    } else if (step.kind === "call") {
+      const satisfied = step.expect && (await contract.hasRole(await roleId(contract, step.expect.role), step.expect.address));
+      if (!satisfied) {
+        await send(contract[step.function](...step.args));
+        done = true;
+      }
+    } else if (step.kind === "owner") {
+      if (!sameAddress(await contract.owner(), step.address)) {
+        await send(contract.transferOwnership(step.address));
+        done = true;
+      }
+    } else {
+      const role = await roleId(contract, step.role);
+      if (await contract.hasRole(role, step.address)) {
+        await send(contract.renounceRole(role, step.address));
+        done = true;
+      }
+    }
+
+    log(`  ${done ? "done" : "skip"} ${describeStep(step)}`);
+  }
+}
+
+/**
+ * Reads back the permissions the steps should have produced:
+ * [{ check, expected, actual, ok }].
+ */
+async function readPermissionMatrix(contract, steps) {
+  const rows = [];
+  const hasRole = async (role, address) => contract.hasRole(await roleId(contract, role), address);
+
+  for (const step of steps) {
+    if (step.kind === "grant") {
+      rows.push({ check: `${step.account} has ${step.role}`, expected: true, actual: await hasRole(step.role, step.address) });
+    } else if (step.kind === "call" && step.expect) {
+      const { role, account, address } = step.expect;
+      rows.push({ check: `${account} has ${role}`, expected: true, actual: await hasRole(role, address) });
+    } else if (step.kind === "owner") {
+      const owner = await contract.owner();
+      rows.push({ check: `owner is ${step.account}`, expected: step.address, actual: owner });
+    } else if (step.kind === "renounce") {
+      rows.push({ check: `deployer has ${step.role}`, expected: false, actual: await hasRole(step.role, step.address) });
+    }
+  }
+
+  return rows.map((row) => ({
+    ...row,
+    ok: typeof row.expected === "string" ? sameAddress(row.expected, row.actual) : row.expected === row.actual,
+  }));
+}
+
+/**
+ * Runs the role plan in `dir` against a deployed contract and verifies the result on-chain.
+ * Returns the permission matrix, or null when there is no plan or no accounts for the network.
+ * Throws if any permission does not match the plan.
+ */
+async function configureRoles(contract, dir, network, { log = console.log } = {}) {
+  const plan = loadRolePlan(dir);
+  if (!plan) {
+    return null;
+  }
+  const accounts = loadAccounts(network);
+  if (!accounts) {
+    log(`No accounts configured for ${network}; skipping role configuration`);
+    return null;
+  }
+
+  const deployer = await (contract.signer || contract.runner).getAddress();
+  const steps = resolvePlan(plan, accounts, deployer);
+
+  log("Configuring roles:");
+  await applySteps(contract, steps, { log });
+
+  const matrix = await readPermissionMatrix(contract, steps);
+  log("Permission matrix:");
+  for (const row of matrix) {
+    log(`  ${row.ok ? "ok  " : "FAIL"} ${row.check}`);
+  }
+
+  const failed = matrix.filter((row) => !row.ok);
+  if (failed.length > 0) {
+    throw new Error(`Permissions do not match ${ROLES_FILE}:\n  - ${failed.map((row) => row.check).join("\n  - ")}`);
+  }
+  return matrix.map(({ check, ok }) => ({ check, ok }));
+}
+
+module.exports = {
+  ROLES_FILE,
+  ACCOUNTS_FILE,
+  loadRolePlan,
+  loadAccounts,
+  resolvePlan,
+  describeStep,
+  applySteps,
+  readPermissionMatrix,
+  configureRoles,
+};
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const { loadCatalogue, findEntry } = require("./catalogue");
+const { DEPLOYMENTS_DIR, getAddress, resolveDeployment } = require("./registry");
+const { toSalt, factoryAddress, predictAddress, handoverCalls } = require("./create2");
+const { runtime } = require("./common");
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BATCH_KEYS = ["name", "description", "network", "safe", "transactions"];
+const SAFE_BALANCE = "0x56bc75e2d63100000"; // 100 ether, enough gas money for the simulation
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads a batch of governance transactions for a Safe:
+ *
+ *   name, description   shown to the signers in the Safe Transaction Builder
+ *   network             Hardhat network the Safe lives on (or pass --network)
+ *   safe                address of the Safe that will execute the batch
+ *   transactions        in execution order, each one of
+ *     { contract, function, args, value }   call a function of a recorded deployment; `contract`
+ *                                           is its name, catalogue ID or contract name, and
+ *                                           `address` may be given for unrecorded contracts
+ *     { deploy, args, salt }                deploy a catalogue entry or contract with CREATE2,
+ *                                           owned by the Safe
+ *
+ * Arguments of the form { "ref": "<name>" } are replaced by that deployment's address.
+ */
+function loadBatch(file) {
+  const batch = readJson(file);
+  const problems = [];
+
+  for (const key of Object.keys(batch)) {
+    if (!BATCH_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+  if (!ADDRESS_PATTERN.test(batch.safe || "")) {
+    problems.push(`"safe" must be the address of the Safe`);
+  }
+  if (!Array.isArray(batch.transactions) || batch.transactions.length === 0) {
+    problems.push(`"transactions" must list at least one transaction`);
+  }
+  (batch.transactions || []).forEach((tx, index) => {
+    if (tx.deploy) {
+      if (!tx.salt) problems.push(`transaction ${index + 1} deploys ${tx.deploy} without a salt`);
+    } else if (!tx.contract || !tx.function) {
+      problems.push(`transaction ${index + 1} needs "contract" and "function", or "deploy"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${file}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return batch;
+}
+
+function formatArgs(args = []) {
+  return args.map((arg) => (arg && typeof arg === "object" && arg.ref ? `<${arg.ref}>` : JSON.stringify(arg))).join(", ");
+}
+
+/**
+ * One line per transaction of a batch, for dry runs.
+ */
+function describeBatch(batch) {
+  return batch.transactions.map((tx) =>
+    tx.deploy ? `deploy ${tx.deploy}(${formatArgs(tx.args)}) with salt "${tx.salt}"` : `${tx.contract}.${tx.function}(${formatArgs(tx.args)})`
+  );
+}
+
+function resolveArgs(args = [], network) {
+  return args.map((arg) => {
+    if (arg && typeof arg === "object" && arg.ref) {
+      const address = getAddress(network, arg.ref) || (resolveDeployment(network, arg.ref) || {}).address;
+      if (!address) {
+        throw new Error(`"${arg.ref}" has not been deployed on ${network}`);
+      }
+      return address;
+    }
+    return arg;
+  });
+}
+
+// The Transaction Builder shows string values; arrays and tuples are JSON.
+function inputValue(value) {
+  if (typeof value === "bigint" || (value && value._isBigNumber)) return value.toString();
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * A transaction in the Safe Transaction Builder format. The decoded method is kept next to
+ * the calldata so signers can review what they approve.
+ */
+function builderTransaction(to, data, { value = "0", fragment = null, args = [] } = {}) {
+  return {
+    to,
+    value: String(value),
+    data,
+    contractMethod: fragment && {
+      name: fragment.name,
+      payable: fragment.payable || fragment.stateMutability === "payable",
+      inputs: fragment.inputs.map((input, index) => ({ name: input.name || `arg${index}`, type: input.type, internalType: input.type })),
+    },
+    contractInputsValues: fragment && Object.fromEntries(fragment.inputs.map((input, index) => [input.name || `arg${index}`, inputValue(args[index])])),
+  };
+}
+
+async function hasCode(address) {
+  const { ethers } = runtime();
+  return (await ethers.provider.getCode(address)) !== "0x";
+}
+
+// ethers v5 throws for unknown functions, v6 returns null.
+function functionFragment(iface, name) {
+  try {
+    return iface.getFunction(name);
+  } catch {
+    return null;
+  }
+}
+
+async function buildCall(tx, network) {
+  const { ethers } = runtime();
+  const record = tx.address ? null : resolveDeployment(network, tx.contract);
+  if (!tx.address && !record) {
+    throw new Error(`No deployment of "${tx.contract}" is recorded on ${network}; give its "address"`);
+  }
+
+  const address = tx.address || record.address;
+  const contractName = record ? record.contractName : tx.contract;
+  const { interface: iface } = await ethers.getContractAt(contractName, address);
+  const fragment = functionFragment(iface, tx.function);
+  if (!fragment) {
+    throw new Error(`${contractName} has no function ${tx.function}`);
+  }
+
+  const args = resolveArgs(tx.args, network);
+  return {
+    description: `${contractName}.${tx.function}(${args.map(inputValue).join(", ")}) at ${address}`,
+    transaction: builderTransaction(address, iface.encodeFunctionData(fragment, args), { value: tx.value, fragment, args }),
+  };
+}
+
+// A CREATE2 deployment from the Safe, so the Safe (not the factory) ends up owning the contract.
+async function buildDeployment(tx, network, safe) {
+  const { ethers } = runtime();
+  const entry = findEntry(loadCatalogue(), tx.deploy);
+  const contractName = entry ? entry.contractName : tx.deploy;
+
+  const { Factory, address: deployerAddress } = await factoryAddress();
+  if (!(await hasCode(deployerAddress))) {
+    throw new Error(`The deterministic deployer is not on ${network} yet; deploy any contract there with --salt first`);
+  }
+
+  const factory = await ethers.getContractFactory(contractName);
+  const args = resolveArgs(tx.args, network);
+  const { data: initCode } = await factory.getDeployTransaction(...args);
+  const salt = toSalt(tx.salt);
+  const address = predictAddress(deployerAddress, safe, salt, initCode);
+  if (await hasCode(address)) {
+    throw new Error(`${contractName} with salt "${tx.salt}" is already deployed at ${address}`);
+  }
+
+  const calls = await handoverCalls(factory.interface, initCode, safe, deployerAddress);
+  const fragment = Factory.interface.getFunction("deploy");
+  const built = [
+    {
+      description: `deploy ${contractName}(${args.map(inputValue).join(", ")}) at ${address}`,
+      transaction: builderTransaction(deployerAddress, Factory.interface.encodeFunctionData(fragment, [salt, initCode, calls]), {
+        fragment,
+        args: [salt, initCode, calls],
+      }),
+      deploys: address,
+    },
+  ];
+
+  // Ownable2Step only completes the transfer once the new owner accepts it.
+  const accept = factory.interface.fragments.find((item) => item.type === "function" && item.name === "acceptOwnership");
+  if (accept) {
+    built.push({
+      description: `${contractName}.acceptOwnership() at ${address}`,
+      transaction: builderTransaction(address, factory.interface.encodeFunctionData("acceptOwnership", []), { fragment: accept }),
+    });
+  }
+  return built;
+}
+
+/**
+ * Encodes every transaction of a batch against the current (forked) chain state. Returns
+ * [{ description, transaction, deploys? }] in execution order.
+ */
+async function buildBatch(batch, network) {
+  const built = [];
+  for (const tx of batch.transactions) {
+    if (tx.deploy) {
+      built.push(...(await buildDeployment(tx, network, batch.safe)));
+    } else {
+      built.push(await buildCall(tx, network));
+    }
+  }
+  return built;
+}
+
+async function rpc(url, method, params = []) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  const { result, error } = await response.json();
+  if (error) {
+    throw new Error(`${method} failed on ${url}: ${error.message}`);
+  }
+  return result;
+}
+
+/**
+ * Points the in-process Hardhat network at a fork of `url` (at `blockNumber`, or the latest
+ * block) and returns the forked chain's ID and block.
+ */
+async function forkNetwork(url, blockNumber) {
+  const { network } = runtime();
+  const chainId = Number(await rpc(url, "eth_chainId"));
+  const block = blockNumber ? Number(blockNumber) : Number(await rpc(url, "eth_blockNumber"));
+
+  await network.provider.request({ method: "hardhat_reset", params: [{ forking: { jsonRpcUrl: url, blockNumber: block } }] });
+  return { chainId, blockNumber: block };
+}
+
+function revertReason(error) {
+  return error.reason || error.shortMessage || (error.error && error.error.message) || error.message;
+}
+
+/**
+ * Executes the built transactions one by one as the Safe on the forked network and returns
+ * [{ description, ok, gasUsed, error, address }]. The Safe executes a batch atomically, so the
+ * simulation stops at the first failure and the remaining transactions are marked as not run.
+ */
+async function simulateBatch(safe, built, { log = console.log } = {}) {
+  const { ethers, network } = runtime();
+  if (!(await hasCode(safe))) {
+    throw new Error(`${safe} has no code on the forked chain; is it the Safe's address?`);
+  }
+
+  await network.provider.request({ method: "hardhat_impersonateAccount", params: [safe] });
+  await network.provider.request({ method: "hardhat_setBalance", params: [safe, SAFE_BALANCE] });
+  const signer = await ethers.getSigner(safe);
+
+  const results = [];
+  let failed = false;
+  for (const { description, transaction, deploys } of built) {
+    if (failed) {
+      results.push({ description, ok: false, error: "not run" });
+      continue;
+    }
+
+    try {
+      const sent = await signer.sendTransaction({ to: transaction.to, data: transaction.data, value: BigInt(transaction.value) });
+      const receipt = await sent.wait();
+      if (deploys && !(await hasCode(deploys))) {
+        throw new Error(`no code at ${deploys} after deployment`);
+      }
+      results.push({ description, ok: true, gasUsed: receipt.gasUsed.toString(), ...(deploys && { address: deploys }) });
+      log(`  ok   ${description} (${receipt.gasUsed} gas)`);
+    } catch (error) {
+      failed = true;
+      results.push({ description, ok: false, error: revertReason(error) });
+      log(`  FAIL ${description}: ${revertReason(error)}`);
+    }
+  }
+
+  await network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [safe] });
+  return results;
+}
+
+/**
+ * The batch as a Safe Transaction Builder file (Safe{Wallet} > Apps > Transaction Builder > Load).
+ */
+function builderFile(batch, built, chainId) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: batch.name || "Catalogue admin batch",
+      description: batch.description || built.map((item) => item.description).join("\n"),
+      createdFromSafeAddress: batch.safe,
+    },
+    transactions: built.map((item) => item.transaction),
+  };
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Writes the Transaction Builder file and the simulation report to
+ * deployments/<network>/safe/ and returns their paths.
+ */
+function writeProposal(network, file, simulation) {
+  const dir = path.join(DEPLOYMENTS_DIR, network, "safe");
+  const base = `${new Date(file.createdAt).toISOString().replace(/[-:]|\.\d+/g, "")}-${slug(file.meta.name)}`;
+  const batchFile = path.join(dir, `${base}.json`);
+  const reportFile = path.join(dir, `${base}.simulation.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(batchFile, JSON.stringify(file, null, 2) + "\n");
+  fs.writeFileSync(reportFile, JSON.stringify(simulation, null, 2) + "\n");
+  return { batchFile, reportFile };
+}
+
+module.exports = {
+  loadBatch,
+  describeBatch,
+  builderTransaction,
+  buildBatch,
+  forkNetwork,
+  simulateBatch,
+  builderFile,
+  writeProposal,
+};
@@ -0,0 +1,637 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { TYPES } = require("./params");
+const { resolveDeployment } = require("./registry");
+const { runtime, sameAddress } = require("./common");
+
+const ZERO_HASH = "0x" + "00".repeat(32);
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const LEG_KEYS = [
+  "network",
+  "contract",
+  "address",
+  "initiator",
+  "participant",
+  "token",
+  "amount",
+  "tokenId",
+  "participantToken",
+  "participantAmount",
+  "participantTokenId",
+  "timeLock",
+  "operator",
+  "fromBlock",
+];
+const SPEC_KEYS = ["legA", "legB", "margin", "pollInterval", "allowUntimed"];
+
+// How each swap contract is called. `erc1155` legs lock token IDs and need an operator.
+const SWAP_KINDS = {
+  BasicAtomicSwap: { timeLocked: false, asset: "erc20" },
+  TimeLockedAtomicSwap: { timeLocked: true, asset: "erc20" },
+  CrossChainNFTAtomicSwap: { timeLocked: true, asset: "erc1155" },
+};
+
+const TOKEN_ABIS = {
+  erc20: [
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+  ],
+  erc1155: [
+    "function setApprovalForAll(address operator, bool approved)",
+    "function isApprovedForAll(address account, address operator) view returns (bool)",
+  ],
+};
+
+// ethers v5 keeps these helpers in `ethers.utils`; v6 exports them at the top level.
+function lib() {
+  const { ethers } = runtime();
+  const utils = ethers.utils || ethers;
+  return {
+    keccak256: utils.keccak256,
+    solidityKeccak256: utils.solidityKeccak256 || ethers.solidityPackedKeccak256,
+    JsonRpcProvider: ethers.providers ? ethers.providers.JsonRpcProvider : ethers.JsonRpcProvider,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function kindOf(contractName) {
+  const kind = SWAP_KINDS[contractName];
+  if (!kind) {
+    throw new Error(`${contractName} is not a supported swap contract (${Object.keys(SWAP_KINDS).join(", ")})`);
+  }
+  return kind;
+}
+
+/**
+ * Checks a swap description and returns it with durations in seconds:
+ *
+ *   legA          locked first, by the party that holds the secret, on legA.network
+ *   legB          locked by the counterparty once legA is seen, with the same secret hash
+ *   margin        time each side keeps in hand before a timelock runs out (default "15m")
+ *   pollInterval  milliseconds between chain reads (default 5000)
+ *   allowUntimed  allow BasicAtomicSwap legs, which their initiator can refund at any time
+ *
+ * Each leg names the swap contract (`contract` is a deployment name, catalogue ID or contract
+ * name in the registry, or a contract name with `address`), the `initiator` and `participant`,
+ * what the initiator locks (`token`, `amount`, and `tokenId` for ERC1155), what the contract
+ * takes from the participant when it completes (`participantToken`, `participantAmount`,
+ * `participantTokenId`), the `timeLock` and, for CrossChainNFTAtomicSwap, the `operator`.
+ */
+function validateSwapSpec(spec, source = "swap") {
+  const problems = [];
+  for (const key of Object.keys(spec)) {
+    if (!SPEC_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+  }
+
+  const legs = {};
+  for (const name of ["legA", "legB"]) {
+    const leg = spec[name];
+    if (!leg) {
+      problems.push(`${name} is missing`);
+      continue;
+    }
+    for (const key of Object.keys(leg)) {
+      if (!LEG_KEYS.includes(key)) problems.push(`${name}: unknown key "${key}"`);
+    }
+    for (const key of ["network", "contract", "amount", "participantAmount"]) {
+      if (leg[key] === undefined) problems.push(`${name}: "${key}" is missing`);
+    }
+    for (const key of ["initiator", "participant", "token", "participantToken"]) {
+      if (!ADDRESS_PATTERN.test(leg[key] || "")) problems.push(`${name}: "${key}" must be an address`);
+    }
+    legs[name] = { ...leg, timeLock: leg.timeLock === undefined ? undefined : TYPES.duration(leg.timeLock) };
+  }
+
+  if (legs.legA && legs.legB) {
+    if (!sameAddress(legs.legA.initiator, legs.legB.participant) || !sameAddress(legs.legA.participant, legs.legB.initiator)) {
+      problems.push("legB must be initiated by legA's participant for legA's initiator");
+    }
+    if (legs.legA.timeLock !== undefined && legs.legB.timeLock !== undefined && legs.legB.timeLock >= legs.legA.timeLock) {
+      problems.push("legB's timeLock must be shorter than legA's, or legA can be refunded after its secret is revealed");
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return {
+    ...spec,
+    ...legs,
+    margin: TYPES.duration(spec.margin || "15m"),
+    pollInterval: spec.pollInterval || 5000,
+  };
+}
+
+function loadSwapSpec(file) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  return validateSwapSpec(spec, file);
+}
+
+/**
+ * Returns a fresh 32-byte secret and the hash the swap contracts check it against.
+ */
+function generateSecret() {
+  const secret = "0x" + crypto.randomBytes(32).toString("hex");
+  return { secret, secretHash: hashSecret(secret) };
+}
+
+function hashSecret(secret) {
+  return lib().keccak256(secret);
+}
+
+/**
+ * The swap ID the contracts derive: keccak256(abi.encodePacked(initiator, participant, secretHash)).
+ */
+function swapIdOf(initiator, participant, secretHash) {
+  return lib().solidityKeccak256(["address", "address", "bytes32"], [initiator, participant, secretHash]);
+}
+
+// Providers set with useProvider, by network name.
+const providers = new Map();
+
+/**
+ * Has the legs on `network` use an already connected `provider` instead of the network's
+ * configured URL, e.g. a second in-process chain.
+ */
+function useProvider(network, provider) {
+  providers.set(network, provider);
+}
+
+function providerFor(network) {
+  if (providers.has(network)) {
+    return providers.get(network);
+  }
+  const { config, ethers, network: current } = runtime();
+  const settings = config.networks[network];
+  // The in-process Hardhat network has no URL; the tests run both legs on it.
+  if (network === "hardhat" && current.name === "hardhat") {
+    return ethers.provider;
+  }
+  if (!settings || !settings.url) {
+    throw new Error(`No RPC URL for ${network}; add it to hardhat.config.js`);
+  }
+  const { JsonRpcProvider } = lib();
+  return new JsonRpcProvider(settings.url);
+}
+
+// A wallet from the network's configured private keys, or the node's own unlocked account
+// (Hardhat and anvil nodes unlock their default accounts).
+async function signerFor(network, provider, address) {
+  const { ethers, config } = runtime();
+  const { accounts } = config.networks[network] || {};
+  for (const key of Array.isArray(accounts) ? accounts : []) {
+    const wallet = new ethers.Wallet(key.privateKey || key, provider);
+    if (sameAddress(wallet.address, address)) {
+      return wallet;
+    }
+  }
+  return provider.getSigner(address);
+}
+
+/**
+ * Connects to the swap contract of a leg as `party` (the leg's initiator or participant).
+ */
+async function connectLeg(leg, party) {
+  const { ethers, artifacts } = runtime();
+  const record = leg.address ? null : resolveDeployment(leg.network, leg.contract);
+  if (!leg.address && !record) {
+    throw new Error(`No deployment of "${leg.contract}" is recorded on ${leg.network}; give its "address"`);
+  }
+
+  const contractName = record ? record.contractName : leg.contract;
+  const kind = kindOf(contractName);
+  const provider = providerFor(leg.network);
+  const signer = await signerFor(leg.network, provider, party);
+  const { abi } = await artifacts.readArtifact(contractName);
+  const address = leg.address || record.address;
+
+  return { leg, kind, contractName, provider, signer, address, contract: new ethers.Contract(address, abi, signer) };
+}
+
+async function send(transaction) {
+  const tx = await transaction;
+  return tx.wait();
+}
+
+// Lets the swap contract move `amount` (or, for ERC1155, any) of `token` for the signer.
+async function approve(connected, token, amount) {
+  const { ethers } = runtime();
+  const owner = await connected.signer.getAddress();
+  const asset = new ethers.Contract(token, TOKEN_ABIS[connected.kind.asset], connected.signer);
+
+  if (connected.kind.asset === "erc1155") {
+    if (!(await asset.isApprovedForAll(owner, connected.address))) {
+      await send(asset.setApprovalForAll(connected.address, true));
+    }
+  } else if (BigInt((await asset.allowance(owner, connected.address)).toString()) < BigInt(amount)) {
+    await send(asset.approve(connected.address, amount));
+  }
+}
+
+function initiateArgs(kind, leg, secretHash) {
+  if (kind.asset === "erc1155") {
+    return [
+      leg.participant,
+      leg.token,
+      leg.participantToken,
+      leg.tokenId,
+      leg.participantTokenId,
+      leg.amount,
+      leg.participantAmount,
+      secretHash,
+      leg.timeLock,
+      leg.operator,
+    ];
+  }
+  const args = [leg.participant, leg.token, leg.participantToken, leg.amount, leg.participantAmount, secretHash];
+  return kind.timeLocked ? [...args, leg.timeLock] : args;
+}
+
+/**
+ * Locks the initiator's side of a leg under `secretHash` and returns its swap ID.
+ */
+async function initiateLeg(connected, secretHash) {
+  const { leg, kind } = connected;
+  await approve(connected, leg.token, leg.amount);
+  await send(connected.contract.initiateSwap(...initiateArgs(kind, leg, secretHash)));
+  return swapIdOf(leg.initiator, leg.participant, secretHash);
+}
+
+/**
+ * Claims a leg as its participant by revealing the secret.
+ */
+async function completeLeg(connected, swapId, secret) {
+  await approve(connected, connected.leg.participantToken, connected.leg.participantAmount);
+  return send(connected.contract.completeSwap(swapId, secret));
+}
+
+/**
+ * Takes back what the initiator locked in a leg once its timelock has run out.
+ */
+async function refundLeg(connected, swapId) {
+  return send(connected.contract.refundSwap(swapId));
+}
+
+async function latestTimestamp(provider) {
+  return Number((await provider.getBlock("latest")).timestamp);
+}
+
+// Seconds until a swap can be refunded, Infinity for swaps without a timelock.
+async function remainingTime(connected, swap) {
+  if (!connected.kind.timeLocked) {
+    return Infinity;
+  }
+  const expiry = Number(swap.startTime) + Number(swap.timeLockDuration);
+  return expiry - (await latestTimestamp(connected.provider));
+}
+
+/**
+ * Compares a SwapInitiated event with what the leg says should have been locked and returns
+ * the differences.
+ */
+function termMismatches(args, leg, kind) {
+  const expected = {
+    initiatorToken: leg.token,
+    participantToken: leg.participantToken,
+    initiatorAmount: leg.amount,
+    participantAmount: leg.participantAmount,
+    ...(kind.asset === "erc1155" && { initiatorId: leg.tokenId, participantId: leg.participantTokenId }),
+  };
+  return Object.entries(expected)
+    .filter(([field, value]) =>
+      ADDRESS_PATTERN.test(String(value)) ? !sameAddress(args[field], value) : String(args[field]) !== String(value)
+    )
+    .map(([field, value]) => `${field} is ${args[field]}, expected ${value}`);
+}
+
+async function startBlock(connected) {
+  if (connected.leg.fromBlock !== undefined) {
+    return Number(connected.leg.fromBlock);
+  }
+  return Math.max(0, (await connected.provider.getBlockNumber()) - 10000);
+}
+
+/**
+ * Polls a leg until its initiator locks a swap for its participant that matches the leg's
+ * terms (and `secretHash`, when known). Returns { swapId, secretHash, swap } or throws once
+ * `deadline` (unix seconds on that chain) has passed.
+ */
+async function waitForInitiation(connected, { secretHash, deadline = Infinity, pollInterval, log }) {
+  const { leg, kind, contract } = connected;
+  const filter = contract.filters.SwapInitiated(null, leg.initiator, leg.participant);
+  const rejected = new Set();
+  let fromBlock = await startBlock(connected);
+
+  for (;;) {
+    const latest = await connected.provider.getBlockNumber();
+    for (const event of await contract.queryFilter(filter, fromBlock, latest)) {
+      const { swapId } = event.args;
+      if ((secretHash && event.args.secretHash !== secretHash) || rejected.has(swapId)) continue;
+
+      const swap = await contract.swaps(swapId);
+      const problems = termMismatches(event.args, leg, kind);
+      if (swap.isCompleted || swap.isRefunded) problems.push("it is already closed");
+      if (problems.length === 0) {
+        return { swapId, secretHash: event.args.secretHash, swap };
+      }
+      rejected.add(swapId);
+      log(`Ignoring swap ${swapId} on ${leg.network}: ${problems.join("; ")}`);
+    }
+    fromBlock = latest + 1;
+
+    if ((await latestTimestamp(connected.provider)) >= deadline) {
+      throw new Error(`No matching swap was locked on ${leg.network} in time`);
+    }
+    await sleep(pollInterval);
+  }
+}
+
+/**
+ * Polls a leg until the secret of `swapId` is revealed by its completion. Throws once the swap
+ * is refunded or `deadline` has passed.
+ */
+async function waitForSecret(connected, swapId, { deadline = Infinity, pollInterval }) {
+  for (;;) {
+    const swap = await connected.contract.swaps(swapId);
+    if (swap.secret !== ZERO_HASH) {
+      return swap.secret;
+    }
+    if (swap.isRefunded || (swap.isCompleted && swap.secret === ZERO_HASH)) {
+      throw new Error(`Swap ${swapId} on ${connected.leg.network} was refunded`);
+    }
+    if ((await latestTimestamp(connected.provider)) >= deadline) {
+      throw new Error(`The secret of ${swapId} on ${connected.leg.network} was not revealed in time`);
+    }
+    await sleep(pollInterval);
+  }
+}
+
+// Unix time from which a swap can be refunded; untimed swaps can be refunded at once.
+function expiryOf(connected, swap) {
+  return connected.kind.timeLocked ? Number(swap.startTime) + Number(swap.timeLockDuration) : 0;
+}
+
+async function waitUntil(connected, timestamp, pollInterval) {
+  while ((await latestTimestamp(connected.provider)) < timestamp) {
+    await sleep(pollInterval);
+  }
+}
+
+function isClosed(swap) {
+  return swap.isCompleted || Boolean(swap.isRefunded);
+}
+
+// BasicAtomicSwap marks refunds as completed, so a claim is told apart by its revealed secret.
+function isClaimed(swap) {
+  return swap.isCompleted && swap.secret !== ZERO_HASH;
+}
+
+// Waits for a swap's timelock and refunds it, unless someone (the keeper) already has.
+async function refundWhenExpired(connected, swapId, { pollInterval, log }) {
+  const swap = await connected.contract.swaps(swapId);
+  if (!isClosed(swap)) {
+    log(`Waiting until ${new Date(expiryOf(connected, swap) * 1000).toISOString()} to refund ${swapId} on ${connected.leg.network}`);
+    await waitUntil(connected, expiryOf(connected, swap), pollInterval);
+    if (!isClosed(await connected.contract.swaps(swapId))) {
+      await refundLeg(connected, swapId);
+      log(`Refunded ${swapId} on ${connected.leg.network}`);
+    }
+  }
+}
+
+function checkTimed(spec, connected) {
+  if (connected.kind.timeLocked && !connected.leg.timeLock) {
+    throw new Error(`${connected.contractName} on ${connected.leg.network} needs a timeLock`);
+  }
+  if (!connected.kind.timeLocked && !spec.allowUntimed) {
+    throw new Error(
+      `${connected.contractName} on ${connected.leg.network} has no timelock, so its initiator can refund it at any time; set allowUntimed to accept that`
+    );
+  }
+}
+
+/**
+ * Runs the side that holds the secret: locks legA, waits for the counterparty to lock legB
+ * under the same hash, then claims legB, which reveals the secret to the counterparty.
+ *
+ * `onSecret({ secret, secretHash, swapIdA })` is awaited before anything is sent, so the
+ * secret can be stored where it survives a crash. `onProgress(stage, details)` reports
+ * "initiated", "counterparty-locked" and "claimed".
+ */
+async function runInitiator(spec, { secret, onSecret, onProgress = () => {}, log = console.log } = {}) {
+  const { legA, legB } = spec;
+  const a = await connectLeg(legA, legA.initiator);
+  const b = await connectLeg(legB, legA.initiator);
+  checkTimed(spec, a);
+  checkTimed(spec, b);
+
+  const generated = secret ? { secret, secretHash: hashSecret(secret) } : generateSecret();
+  const swapIdA = swapIdOf(legA.initiator, legA.participant, generated.secretHash);
+  if (onSecret) {
+    await onSecret({ ...generated, swapIdA });
+  }
+
+  const existing = await a.contract.swaps(swapIdA);
+  if (!existing.isInitiated) {
+    await initiateLeg(a, generated.secretHash);
+    log(`Locked ${legA.amount} of ${legA.token} on ${legA.network} (swap ${swapIdA})`);
+  }
+  await onProgress("initiated", { swapIdA });
+
+  // Waiting only makes sense while legA cannot be refunded yet.
+  const swapA = await a.contract.swaps(swapIdA);
+  const deadlineA = a.kind.timeLocked ? Number(swapA.startTime) + Number(swapA.timeLockDuration) - spec.margin : Infinity;
+  log(`Waiting for the counterparty to lock legB on ${legB.network}`);
+  const lockedB = await waitForInitiation(b, { secretHash: generated.secretHash, deadline: deadlineA, pollInterval: spec.pollInterval, log });
+
+  const left = await remainingTime(b, lockedB.swap);
+  if (left < spec.margin) {
+    throw new Error(`legB ${lockedB.swapId} expires in ${left}s, too soon to claim safely`);
+  }
+  await onProgress("counterparty-locked", { swapIdA, swapIdB: lockedB.swapId });
+
+  await completeLeg(b, lockedB.swapId, generated.secret);
+  log(`Claimed legB on ${legB.network} (swap ${lockedB.swapId})`);
+  await onProgress("claimed", { swapIdA, swapIdB: lockedB.swapId });
+
+  return { ...generated, swapIdA, swapIdB: lockedB.swapId };
+}
+
+/**
+ * Runs the counterparty: waits for legA to be locked for it, locks legB under the same hash
+ * with a shorter timelock, waits for the initiator to claim legB and claims legA with the
+ * secret that claim revealed.
+ */
+async function runParticipant(spec, { onProgress = () => {}, log = console.log } = {}) {
+  const { legA, legB } = spec;
+  const a = await connectLeg(legA, legA.participant);
+  const b = await connectLeg(legB, legA.participant);
+  checkTimed(spec, a);
+  checkTimed(spec, b);
+
+  log(`Waiting for legA to be locked on ${legA.network}`);
+  const lockedA = await waitForInitiation(a, { pollInterval: spec.pollInterval, log });
+  const leftA = await remainingTime(a, lockedA.swap);
+  const needed = b.kind.timeLocked ? legB.timeLock + spec.margin : spec.margin;
+  if (leftA < needed) {
+    throw new Error(`legA ${lockedA.swapId} expires in ${leftA}s; locking legB needs at least ${needed}s`);
+  }
+  await onProgress("counterparty-locked", { swapIdA: lockedA.swapId, secretHash: lockedA.secretHash });
+
+  const swapIdB = swapIdOf(legB.initiator, legB.participant, lockedA.secretHash);
+  if (!(await b.contract.swaps(swapIdB)).isInitiated) {
+    await initiateLeg(b, lockedA.secretHash);
+    log(`Locked ${legB.amount} of ${legB.token} on ${legB.network} (swap ${swapIdB})`);
+  }
+  await onProgress("initiated", { swapIdA: lockedA.swapId, swapIdB });
+
+  const swapB = await b.contract.swaps(swapIdB);
+  const deadlineB = b.kind.timeLocked ? Number(swapB.startTime) + Number(swapB.timeLockDuration) : Infinity;
+  log(`Waiting for the secret to be revealed on ${legB.network}`);
+  const secret = await waitForSecret(b, swapIdB, { deadline: deadlineB, pollInterval: spec.pollInterval });
+
+  await completeLeg(a, lockedA.swapId, secret);
+  log(`Claimed legA on ${legA.network} (swap ${lockedA.swapId})`);
+  await onProgress("claimed", { swapIdA: lockedA.swapId, swapIdB });
+
+  return { secret, secretHash: lockedA.secretHash, swapIdA: lockedA.swapId, swapIdB };
+}
+
+/**
+ * Resumes the initiator's side of a swap after a crash, from the stage its record reached and
+ * the secret it stored. Reads both legs from the chains and returns the final stage:
+ * "claimed" once legB is claimed, "refunded" once legA is refunded because the counterparty
+ * never locked legB or let it lapse, or "abandoned" when legA was never locked.
+ */
+async function recoverInitiator(spec, { stage, secret }, { onProgress = () => {}, log = console.log } = {}) {
+  const { legA, legB } = spec;
+  const a = await connectLeg(legA, legA.initiator);
+  const b = await connectLeg(legB, legA.initiator);
+  const secretHash = hashSecret(secret);
+  const swapIdA = swapIdOf(legA.initiator, legA.participant, secretHash);
+  const swapIdB = swapIdOf(legB.initiator, legB.participant, secretHash);
+  const options = { pollInterval: spec.pollInterval, log };
+
+  const swapA = await a.contract.swaps(swapIdA);
+  if (!swapA.isInitiated) {
+    // Nothing is at stake yet, and the counterparty may have given up long ago.
+    log(`legA ${swapIdA} was never locked; abandoning the swap`);
+    return "abandoned";
+  }
+  if (stage === "new") {
+    await onProgress("initiated", { swapIdA });
+  }
+
+  let swapB = await b.contract.swaps(swapIdB);
+  if (isClaimed(swapB)) {
+    await onProgress("counterparty-locked", { swapIdA, swapIdB });
+    await onProgress("claimed", { swapIdA, swapIdB });
+    return "claimed";
+  }
+
+  if (!swapB.isInitiated && !isClosed(swapA)) {
+    log(`Waiting for the counterparty to lock legB on ${legB.network}`);
+    try {
+      const deadline = a.kind.timeLocked ? expiryOf(a, swapA) - spec.margin : Infinity;
+      await waitForInitiation(b, { secretHash, deadline, ...options });
+      swapB = await b.contract.swaps(swapIdB);
+    } catch (error) {
+      log(error.message);
+    }
+  }
+
+  const problems = swapB.isInitiated ? termMismatches(swapB, legB, b.kind) : [];
+  if (problems.length > 0) {
+    log(`Not claiming legB ${swapIdB}: ${problems.join("; ")}`);
+  } else if (swapB.isInitiated && !isClosed(swapB) && (await remainingTime(b, swapB)) > 0) {
+    await onProgress("counterparty-locked", { swapIdA, swapIdB });
+    await completeLeg(b, swapIdB, secret);
+    log(`Claimed legB on ${legB.network} (swap ${swapIdB})`);
+    await onProgress("claimed", { swapIdA, swapIdB });
+    return "claimed";
+  }
+
+  if (isClaimed(swapA)) {
+    throw new Error(`legA ${swapIdA} was claimed but legB ${swapIdB} cannot be; the secret leaked before legB was claimed`);
+  }
+  await refundWhenExpired(a, swapIdA, options);
+  await onProgress("refunded", { swapIdA });
+  return "refunded";
+}
+
+/**
+ * Resumes the participant's side of a swap after a crash. legB is only locked if legA still
+ * leaves enough time; otherwise the participant waits for the secret, claims legA with it,
+ * or refunds legB once it expires. Returns the final stage like recoverInitiator.
+ */
+async function recoverParticipant(spec, { swapIdA, secretHash }, { onProgress = () => {}, log = console.log } = {}) {
+  const { legA, legB } = spec;
+  const a = await connectLeg(legA, legA.participant);
+  const b = await connectLeg(legB, legA.participant);
+  const swapIdB = swapIdOf(legB.initiator, legB.participant, secretHash);
+  const options = { pollInterval: spec.pollInterval, log };
+
+  const swapA = await a.contract.swaps(swapIdA);
+  if (isClaimed(swapA)) {
+    await onProgress("initiated", { swapIdB });
+    await onProgress("claimed", { swapIdB });
+    return "claimed";
+  }
+
+  if (!(await b.contract.swaps(swapIdB)).isInitiated) {
+    const needed = b.kind.timeLocked ? legB.timeLock + spec.margin : spec.margin;
+    if (isClosed(swapA) || (await remainingTime(a, swapA)) < needed) {
+      log(`legA ${swapIdA} no longer leaves time to lock legB; abandoning the swap`);
+      return "abandoned";
+    }
+    await initiateLeg(b, secretHash);
+    log(`Locked ${legB.amount} of ${legB.token} on ${legB.network} (swap ${swapIdB})`);
+  }
+  await onProgress("initiated", { swapIdB });
+
+  const swapB = await b.contract.swaps(swapIdB);
+  let secret;
+  try {
+    const deadline = b.kind.timeLocked ? expiryOf(b, swapB) : Infinity;
+    secret = await waitForSecret(b, swapIdB, { deadline, ...options });
+  } catch (error) {
+    log(error.message);
+    await refundWhenExpired(b, swapIdB, options);
+    await onProgress("refunded", { swapIdB });
+    return "refunded";
+  }
+
+  await completeLeg(a, swapIdA, secret);
+  log(`Claimed legA on ${legA.network} (swap ${swapIdA})`);
+  await onProgress("claimed", { swapIdB });
+  return "claimed";
+}
+
+module.exports = {
+  SWAP_KINDS,
+  validateSwapSpec,
+  loadSwapSpec,
+  generateSecret,
+  hashSecret,
+  swapIdOf,
+  useProvider,
+  providerFor,
+  connectLeg,
+  initiateLeg,
+  completeLeg,
+  refundLeg,
+  waitForInitiation,
+  waitForSecret,
+  runInitiator,
+  runParticipant,
+  recoverInitiator,
+  recoverParticipant,
+};
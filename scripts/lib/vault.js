@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+
+const SWAPS_DIR = process.env.SWAPS_DIR || path.join(ROOT, "swaps");
+const ROLES = ["initiator", "participant"];
+
+// The stages each side of a swap moves through. The initiator locks legA first; the
+// participant only has something at stake once it has seen legA and locks legB.
+const TRANSITIONS = {
+  initiator: {
+    new: ["initiated", "abandoned"],
+    initiated: ["counterparty-locked", "refunded"],
+    "counterparty-locked": ["claimed", "refunded"],
+  },
+  participant: {
+    "counterparty-locked": ["initiated", "abandoned"],
+    initiated: ["claimed", "refunded"],
+  },
+};
+const FINAL_STAGES = ["claimed", "refunded", "abandoned"];
+
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * The passphrase that protects swap secrets, from SWAP_VAULT_PASSPHRASE.
+ */
+function vaultPassphrase() {
+  const passphrase = process.env.SWAP_VAULT_PASSPHRASE;
+  if (!passphrase) {
+    throw new Error("Set SWAP_VAULT_PASSPHRASE to the passphrase that protects swap secrets");
+  }
+  return passphrase;
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, SCRYPT);
+}
+
+/**
+ * Encrypts a secret with AES-256-GCM under a key derived from the passphrase with scrypt.
+ */
+function encryptSecret(secret, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return {
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("hex"),
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex"),
+  };
+}
+
+function decryptSecret(box, passphrase) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(passphrase, Buffer.from(box.salt, "hex")), Buffer.from(box.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(box.tag, "hex"));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(box.ciphertext, "hex")), decipher.final()]).toString("utf8");
+  } catch {
+    throw new Error("Could not decrypt the swap secret; is SWAP_VAULT_PASSPHRASE right?");
+  }
+}
+
+function recordFile(swapIdA, role, dir = SWAPS_DIR) {
+  return path.join(dir, `${swapIdA}.${role}.json`);
+}
+
+function saveRecord(record, dir = SWAPS_DIR) {
+  const file = record.file || recordFile(record.swapIdA, record.role, dir);
+  const stored = { ...record };
+  delete stored.file;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Written to a temporary file first so a crash mid-write cannot lose the secret.
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(stored, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Starts the record of one side of a swap. The initiator's record is created before anything
+ * is locked and holds the encrypted secret; `fields` carries the swap IDs and secret hash.
+ */
+function createRecord(role, spec, fields, { secret, passphrase, dir } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown swap role "${role}"`);
+  }
+  const stage = role === "initiator" ? "new" : "counterparty-locked";
+  const now = new Date().toISOString();
+  const record = {
+    role,
+    ...fields,
+    stage,
+    spec,
+    ...(secret && { secret: encryptSecret(secret, passphrase || vaultPassphrase()) }),
+    history: [{ stage, at: now }],
+    updatedAt: now,
+  };
+  const existing = loadRecord(record.swapIdA, role, dir);
+  if (existing) {
+    throw new Error(`Swap ${record.swapIdA} already has a ${role} record at ${existing.file}; resume it with "swap recover"`);
+  }
+  return { ...record, file: saveRecord(record, dir) };
+}
+
+/**
+ * Moves a record to `stage`, merging `details` (swap IDs, transaction hashes), and saves it.
+ * Throws on transitions the state machine does not allow; repeating the current stage is a no-op.
+ */
+function advance(record, stage, details = {}, dir) {
+  if (record.stage === stage) {
+    return Object.assign(record, details);
+  }
+  const allowed = (TRANSITIONS[record.role][record.stage] || []).includes(stage);
+  if (!allowed) {
+    throw new Error(`Swap ${record.swapIdA} (${record.role}) cannot go from ${record.stage} to ${stage}`);
+  }
+  const now = new Date().toISOString();
+  Object.assign(record, details, { stage, updatedAt: now });
+  record.history.push({ stage, at: now, ...details });
+  saveRecord(record, dir);
+  return record;
+}
+
+/**
+ * Reads the record of one side of a swap, or null.
+ */
+function loadRecord(swapIdA, role, dir = SWAPS_DIR) {
+  const file = recordFile(swapIdA, role, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return { ...JSON.parse(fs.readFileSync(file, "utf8")), file };
+}
+
+/**
+ * Every swap record in the vault, oldest first.
+ */
+function listRecords(dir = SWAPS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((name) => /^0x[0-9a-fA-F]{64}\.(initiator|participant)\.json$/.test(name))
+    .map((name) => ({ ...JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")), file: path.join(dir, name) }))
+    .sort((a, b) => a.history[0].at.localeCompare(b.history[0].at));
+}
+
+function isFinal(record) {
+  return FINAL_STAGES.includes(record.stage);
+}
+
+/**
+ * The decrypted secret of an initiator's record.
+ */
+function readSecret(record, passphrase = vaultPassphrase()) {
+  if (!record.secret) {
+    throw new Error(`The ${record.role} record of ${record.swapIdA} holds no secret`);
+  }
+  return decryptSecret(record.secret, passphrase);
+}
+
+module.exports = {
+  SWAPS_DIR,
+  TRANSITIONS,
+  vaultPassphrase,
+  encryptSecret,
+  decryptSecret,
+  createRecord,
+  advance,
+  loadRecord,
+  listRecords,
+  isFinal,
+  readSecret,
+};
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./catalogue");
+
+const EXPLORERS_FILE = process.env.EXPLORERS_FILE || path.join(__dirname, "..", "explorers.json");
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(ROOT, "artifacts");
+
+// Etherscan answers with these while the contract is not indexed yet or the job is queued.
+const ETHERSCAN_NOT_READY = /unable to locate contractcode|pending in queue|in progress/i;
+const ETHERSCAN_ALREADY_VERIFIED = /already verified/i;
+// Sourcify answers with these while the node it reads from does not see the contract yet.
+// A 404 is the server itself saying the route or chain does not exist, and is never retried.
+const SOURCIFY_NOT_READY = /does not have a contract deployed|cannot fetch bytecode/i;
+
+/**
+ * Reads the explorers configured per network. Each network maps explorer names to endpoints;
+ * `sourcify` uses the Sourcify API and every other name an Etherscan-compatible API
+ * (Etherscan, Blockscout, Routescan, ...).
+ */
+function loadExplorers(file = EXPLORERS_FILE) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function notReady(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls `fn` until it succeeds, waiting `delay`, `delay * factor`, ... between attempts.
+ * Only errors marked `retryable` are retried.
+ */
+async function withBackoff(fn, { attempts = 6, delay = 5000, factor = 2, wait = sleep } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error.retryable || attempt >= attempts) {
+        throw error;
+      }
+      await wait(delay * factor ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Collects what the explorers need from the Hardhat build info of a recorded contract:
+ * the standard JSON input, compiler version and Sourcify metadata.
+ */
+function loadVerificationSource(record, artifactsDir = ARTIFACTS_DIR) {
+  if (!record.sourceName) {
+    throw new Error(`${record.name} v${record.version} on ${record.network} has no source name; redeploy it to verify`);
+  }
+  const debugFile = path.join(artifactsDir, record.sourceName, `${record.contractName}.dbg.json`);
+  if (!fs.existsSync(debugFile)) {
+    throw new Error(`No build artifacts for ${record.sourceName}:${record.contractName}; run \`npx hardhat compile\``);
+  }
+  const { buildInfo } = JSON.parse(fs.readFileSync(debugFile, "utf8"));
+  const build = JSON.parse(fs.readFileSync(path.resolve(path.dirname(debugFile), buildInfo), "utf8"));
+
+  return {
+    input: build.input,
+    compilerVersion: `v${build.solcLongVersion}`,
+    metadata: build.output.contracts[record.sourceName][record.contractName].metadata,
+  };
+}
+
+async function request(url, init) {
+  const response = await fetch(url, init);
+  const text = await response.text();
+  try {
+    return { status: response.status, body: JSON.parse(text) };
+  } catch {
+    return { status: response.status, body: { message: text } };
+  }
+}
+
+function etherscanUrl(apiUrl, query) {
+  const url = new URL(apiUrl);
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+  return url;
+}
+
+/**
+ * Verifies a contract through an Etherscan-compatible API: submits the standard JSON input,
+ * then polls the returned GUID.
+ */
+async function verifyOnEtherscan(explorer, record, source, backoff) {
+  const apiKey = explorer.apiKey || (explorer.apiKeyEnv && process.env[explorer.apiKeyEnv]) || "";
+  const common = { chainid: String(record.chainId), apikey: apiKey };
+
+  const guid = await withBackoff(async () => {
+    const { body } = await request(etherscanUrl(explorer.apiUrl, common), {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        module: "contract",
+        action: "verifysourcecode",
+        codeformat: "solidity-standard-json-input",
+        sourceCode: JSON.stringify(source.input),
+        contractaddress: record.address,
+        contractname: `${record.sourceName}:${record.contractName}`,
+        compilerversion: source.compilerVersion,
+        constructorArguements: (record.encodedConstructorArgs || "0x").replace(/^0x/, ""),
+      }),
+    });
+    if (body.status === "1") return body.result;
+    if (ETHERSCAN_ALREADY_VERIFIED.test(body.result)) return null;
+    if (ETHERSCAN_NOT_READY.test(body.result)) throw notReady(body.result);
+    throw new Error(body.result || body.message || "Verification request rejected");
+  }, backoff);
+
+  if (guid === null) {
+    return "already-verified";
+  }
+
+  return withBackoff(async () => {
+    const query = { ...common, module: "contract", action: "checkverifystatus", guid };
+    const { body } = await request(etherscanUrl(explorer.apiUrl, query));
+    if (ETHERSCAN_ALREADY_VERIFIED.test(body.result)) return "already-verified";
+    if (body.status === "1") return "verified";
+    if (ETHERSCAN_NOT_READY.test(body.result)) throw notReady(body.result);
+    throw new Error(body.result || "Verification failed");
+  }, backoff);
+}
+
+/**
+ * Verifies a contract on a Sourcify server from its metadata and sources.
+ */
+async function verifyOnSourcify(explorer, record, source, backoff) {
+  const files = { "metadata.json": source.metadata };
+  for (const [name, { content }] of Object.entries(source.input.sources)) {
+    files[name] = content;
+  }
+
+  return withBackoff(async () => {
+    const { status, body } = await request(`${explorer.serverUrl.replace(/\/$/, "")}/verify`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ address: record.address, chain: String(record.chainId), files }),
+    });
+    const result = body.result && body.result[0];
+    if (status < 300 && result) {
+      return result.storageTimestamp ? "already-verified" : "verified";
+    }
+    const message = body.error || body.message || `Sourcify responded with ${status}`;
+    if (/already (partially |fully )?verified/i.test(message)) return "already-verified";
+    if (status !== 404 && SOURCIFY_NOT_READY.test(message)) throw notReady(message);
+    throw new Error(message);
+  }, backoff);
+}
+
+/**
+ * Verifies a registry record on every explorer configured for its network and returns
+ * { explorer: "verified" | "already-verified" | "failed: <reason>" }. One explorer failing
+ * does not stop the others.
+ */
+async function verifyDeployment(record, options = {}) {
+  const explorers = options.explorers || loadExplorers()[record.network] || {};
+  const source = options.source || loadVerificationSource(record, options.artifactsDir);
+  const log = options.log || console.log;
+  const results = {};
+
+  for (const [name, explorer] of Object.entries(explorers)) {
+    const verify = name === "sourcify" ? verifyOnSourcify : verifyOnEtherscan;
+    try {
+      results[name] = await verify(explorer, record, source, options.backoff);
+      log(`${record.name} ${results[name]} on ${name}`);
+    } catch (error) {
+      results[name] = `failed: ${error.message}`;
+      log(`${record.name} could not be verified on ${name}: ${error.message}`);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  EXPLORERS_FILE,
+  ARTIFACTS_DIR,
+  loadExplorers,
+  withBackoff,
+  loadVerificationSource,
+  verifyOnEtherscan,
+  verifyOnSourcify,
+  verifyDeployment,
+};
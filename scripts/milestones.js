@@ -0,0 +1,56 @@
+// Creates the planned milestones of a milestone project (MILESTONES_ACTION=create), signs one
+// off (MILESTONES_ACTION=approve) or releases those that are due and approved
+// (MILESTONES_ACTION=release) on MilestoneBasedEscrowContract deployments. Run through
+// `npx hardhat run --network <name>`; `node scripts/cli.js milestones create|approve|release
+// <project>` does this for you.
+//
+//   MILESTONES_PROJECT    the project, as imported with `milestones import`
+//   MILESTONES_ACTION     create, approve or release
+//   MILESTONES_MILESTONE  approve: the milestone signed off
+//   MILESTONES_BY         approve: the approver's account (default: the first approver still missing
+//                         among the network's accounts)
+//
+// Milestones are created by each contract's depositor and released by its beneficiary, so the
+// network's accounts must include whichever of the two the action needs. An approval is an
+// EIP-712 signature by one of the milestone's approvers.
+const hre = require("hardhat");
+const { signTyped } = require("./lib/common");
+const { createMilestones, releaseDue, approvalRequest, approveMilestone, missingApprovals } = require("./lib/milestones");
+
+async function main() {
+  const network = hre.network.name;
+  const project = process.env.MILESTONES_PROJECT;
+  const action = process.env.MILESTONES_ACTION;
+  if (!project) {
+    throw new Error("Set MILESTONES_PROJECT to the project to work on");
+  }
+  const signers = await hre.ethers.getSigners();
+
+  if (action === "create") {
+    await createMilestones(project, { network, signers });
+  } else if (action === "approve") {
+    const key = process.env.MILESTONES_MILESTONE;
+    const { domain, types, value, missing } = approvalRequest(project, key, { network });
+    const wanted = process.env.MILESTONES_BY ? [process.env.MILESTONES_BY] : missing;
+    const signer = signers.find((account) => wanted.some((address) => account.address.toLowerCase() === address.toLowerCase()));
+    if (!signer) {
+      throw new Error(`None of the network's accounts can approve ${key}; expected ${wanted.join(" or ") || "an approver still missing"}`);
+    }
+    const { milestone, by } = approveMilestone(project, key, await signTyped(signer, domain, types, value), { network });
+    const still = missingApprovals(milestone);
+    console.log(`${by} approved ${key}${still.length > 0 ? `; still awaiting ${still.join(", ")}` : "; fully approved"}`);
+  } else if (action === "release") {
+    const { released, waiting } = await releaseDue(project, { signers });
+    for (const { milestone, reason } of waiting) {
+      console.log(`waiting  ${milestone}: ${reason}`);
+    }
+    console.log(`${released.length} milestone${released.length === 1 ? "" : "s"} released, ${waiting.length} waiting`);
+  } else {
+    throw new Error(`MILESTONES_ACTION must be create, approve or release, not "${action}"`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
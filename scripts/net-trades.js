@@ -0,0 +1,35 @@
+// Nets a day's gross ERC1155 trades (NETTING_TRADES, a CSV or JSON file) into batches for
+// BatchSettlementContract and writes netting/<label>/plan.json and reconciliation.csv. Run
+// through `npx hardhat run`; `node scripts/cli.js net <trades.csv>` does this for you.
+//
+//   NETTING_MODE     multilateral (default) or bilateral
+//   NETTING_MAX_GAS  gas either call of a batch may use (default 3000000)
+//   NETTING_LABEL    names the run and seeds the batchIds (default: the trade file's name)
+const path = require("path");
+const { DEFAULT_MAX_GAS } = require("./lib/common");
+const { loadTrades, nettingPlan, writePlan } = require("./lib/netting");
+
+async function main() {
+  const file = process.env.NETTING_TRADES || "";
+  const trades = loadTrades(file);
+  const plan = nettingPlan(trades, {
+    label: process.env.NETTING_LABEL || path.basename(file, path.extname(file)),
+    mode: process.env.NETTING_MODE || "multilateral",
+    maxGas: Number(process.env.NETTING_MAX_GAS || DEFAULT_MAX_GAS),
+  });
+  const { planFile, reconciliationFile } = writePlan(plan);
+
+  const { summary } = plan;
+  console.log(`${summary.trades} trades (${summary.grossTransfers} gross transfers) netted ${plan.mode}ly into ${summary.netTransfers} transfers`);
+  console.log(`${summary.batches} batches; ${summary.offsetTrades} trades offset completely`);
+  for (const batch of plan.batches) {
+    const gas = Math.max(batch.estimatedGas.create, batch.estimatedGas.settle);
+    console.log(`  ${batch.batchId} ${batch.seller} -> ${batch.buyer}: ${batch.tokenIds.length} token IDs, ~${gas} gas`);
+  }
+  console.log(`Plan: ${planFile}\nReconciliation: ${reconciliationFile}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+// Runs the limit order book for a RealTimeSettlementContract: accepts signed EIP-712 orders
+// over HTTP, matches them with price-time priority and registers every match on the contract
+// with createTrade. Run through `npx hardhat run --network <name>`;
+// `node scripts/cli.js orderbook` does this for you.
+//
+//   ORDERBOOK_CONTRACT  deployment name or catalogue ID (default: the latest RealTimeSettlementContract)
+//   ORDERBOOK_PORT      port to listen on (default 8080), ORDERBOOK_HOST the interface (default 127.0.0.1)
+//   ORDERBOOK_MEMORY    set to keep matches in memory without sending them, e.g. for tests
+const hre = require("hardhat");
+const { resolveDeployment } = require("./lib/registry");
+const { orderDomain, createOrderBook, submitTrades, tradesFile } = require("./lib/orderbook");
+const { startServer } = require("./lib/orderbook-server");
+
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+
+async function main() {
+  const network = hre.network.name;
+  const memory = Boolean(process.env.ORDERBOOK_MEMORY);
+  const query = process.env.ORDERBOOK_CONTRACT || "RealTimeSettlementContract";
+  const record = resolveDeployment(network, query);
+  if (!record && !memory) {
+    throw new Error(`No deployment of "${query}" is recorded on ${network}`);
+  }
+  if (record && record.contractName !== "RealTimeSettlementContract") {
+    throw new Error(`${record.name} is a ${record.contractName}, not a RealTimeSettlementContract`);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const book = createOrderBook({ domain: orderDomain(chainId, record ? record.address : ZERO_ADDRESS) });
+
+  let drained = async () => {};
+  if (memory) {
+    console.log("In-memory mode: matches are not sent to the contract");
+  } else {
+    const [owner] = await hre.ethers.getSigners();
+    const contract = await hre.ethers.getContractAt("RealTimeSettlementContract", record.address, owner);
+    drained = submitTrades(book, contract, { file: tradesFile(network) });
+  }
+
+  const server = await startServer(book, {
+    port: Number(process.env.ORDERBOOK_PORT || 8080),
+    host: process.env.ORDERBOOK_HOST || "127.0.0.1",
+  });
+  const { address, port } = server.address();
+  console.log(`Order book for ${record ? `${record.name} at ${record.address}` : "no contract"} on ${network} listening on http://${address}:${port}`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  console.log("Stopping once pending matches are sent");
+  server.close();
+  await drained();
+  process.exit();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
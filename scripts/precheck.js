@@ -0,0 +1,42 @@
+// Checks whether a KYC-gated swap or settlement contract would accept a trade between the
+// given parties, without sending anything. Run through `npx hardhat run --network <name>`;
+// `node scripts/cli.js precheck <name|id> <party>=<address> ...` does this for you.
+//
+//   PRECHECK_CONTRACT  deployment name, catalogue ID or contract name in the registry
+//   PRECHECK_PARTIES   JSON object of party to address (or, for actionId, a bytes32), e.g.
+//                      {"initiator":"0x…","participant":"0x…"}
+//   PRECHECK_JSON      print the result as JSON
+//
+// Exits with code 1 when the contract would reject the trade.
+const hre = require("hardhat");
+const { precheck } = require("./lib/compliance");
+
+async function main() {
+  const query = process.env.PRECHECK_CONTRACT;
+  if (!query) {
+    throw new Error("Set PRECHECK_CONTRACT to the deployment to check against");
+  }
+  const parties = JSON.parse(process.env.PRECHECK_PARTIES || "{}");
+  const result = await precheck(hre.network.name, query, parties);
+
+  if (process.env.PRECHECK_JSON) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const check of result.checks) {
+      const who = check.party ? ` ${check.party} ${check.address || "(missing)"}` : "";
+      console.log(`${check.ok ? "pass" : "FAIL"}  ${check.check}${who}`);
+    }
+    for (const reason of result.reasons) {
+      console.log(`${reason.code}: ${reason.message}`);
+    }
+    console.log(`${result.action} on ${result.deployment} (${result.address}) ${result.ok ? "would pass these checks" : "would revert"}`);
+  }
+  if (!result.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
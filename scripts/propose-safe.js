@@ -0,0 +1,39 @@
+// Builds the Safe batch in SAFE_BATCH for SAFE_NETWORK, simulates it as the Safe on a fork of
+// that network and writes a Safe Transaction Builder file to deployments/<network>/safe/.
+// Run through `npx hardhat run --network hardhat`; `node scripts/cli.js propose <batch>` does
+// this for you. FORK_URL and FORK_BLOCK override the RPC endpoint and block to fork from.
+const hre = require("hardhat");
+const { loadBatch, buildBatch, forkNetwork, simulateBatch, builderFile, writeProposal } = require("./lib/safe");
+
+async function main() {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Safe batches are simulated on a fork; run with --network hardhat");
+  }
+
+  const batch = loadBatch(process.env.SAFE_BATCH || "");
+  const network = process.env.SAFE_NETWORK || batch.network;
+  const target = hre.config.networks[network];
+  const url = process.env.FORK_URL || (target && target.url);
+  if (!url) {
+    throw new Error(`No RPC URL for ${network}; add it to hardhat.config.js or set FORK_URL`);
+  }
+
+  const fork = await forkNetwork(url, process.env.FORK_BLOCK);
+  console.log(`Simulating on a fork of ${network} (chain ${fork.chainId}) at block ${fork.blockNumber} as Safe ${batch.safe}`);
+
+  const built = await buildBatch(batch, network);
+  const results = await simulateBatch(batch.safe, built);
+  if (results.some((result) => !result.ok)) {
+    throw new Error("Simulation failed; no batch was written");
+  }
+
+  const file = builderFile(batch, built, fork.chainId);
+  const { batchFile, reportFile } = writeProposal(network, file, { network, ...fork, safe: batch.safe, results });
+  console.log(`Safe batch:  ${batchFile}`);
+  console.log(`Simulation:  ${reportFile}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+// Resumes every in-flight swap in the swap vault after a crash, or only those whose legA swap
+// IDs are listed in SWAP_IDS (comma-separated). Each side picks up from the stage its record
+// reached: claiming what it can, waiting for the counterparty while that is still safe and
+// refunding what has lapsed. Run through `npx hardhat run`; `node scripts/cli.js swap recover`
+// does this for you. SWAP_VAULT_PASSPHRASE decrypts the initiators' secrets.
+const { validateSwapSpec, recoverInitiator, recoverParticipant } = require("./lib/swap");
+const { listRecords, isFinal, advance, readSecret } = require("./lib/vault");
+
+function prefixed(record) {
+  return (...args) => console.log(`[${record.swapIdA.slice(0, 10)} ${record.role}]`, ...args);
+}
+
+async function recover(record) {
+  const spec = validateSwapSpec(record.spec, record.file);
+  const log = prefixed(record);
+  const onProgress = (stage, details) => advance(record, stage, details);
+  log(`Resuming from ${record.stage}`);
+
+  const stage =
+    record.role === "initiator"
+      ? await recoverInitiator(spec, { stage: record.stage, secret: readSecret(record) }, { onProgress, log })
+      : await recoverParticipant(spec, record, { onProgress, log });
+  advance(record, stage);
+  log(`Swap ${stage}`);
+}
+
+async function main() {
+  const only = (process.env.SWAP_IDS || "").split(",").filter(Boolean);
+  const records = listRecords().filter(
+    (record) => !isFinal(record) && (only.length === 0 || only.some((id) => id.toLowerCase() === record.swapIdA.toLowerCase()))
+  );
+  if (records.length === 0) {
+    console.log("No in-flight swaps to recover");
+    return;
+  }
+
+  // Swaps are independent, so they are resumed side by side.
+  const results = await Promise.allSettled(records.map(recover));
+  const failed = results.filter((result) => result.status === "rejected");
+  for (const [index, result] of results.entries()) {
+    if (result.status === "rejected") {
+      console.error(`Could not recover ${records[index].swapIdA} (${records[index].role}): ${result.reason.message}`);
+    }
+  }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+// Watches the network's time-locked swaps and multi-party settlements and refunds or expires
+// them as soon as their timelock runs out. Run through `npx hardhat run --network <name>`;
+// `node scripts/cli.js keeper` does this for you.
+//
+//   KEEPER_CONTRACTS      comma-separated deployment names or catalogue IDs (default: all recorded)
+//   KEEPER_CONFIRMATIONS  blocks an event needs before it is indexed (default 1)
+//   KEEPER_POLL_INTERVAL  milliseconds between passes (default 15000)
+//   KEEPER_MAX_ATTEMPTS   failed refunds or expiries before an item is given up on (default 8)
+//   KEEPER_ONCE           set to run a single pass, e.g. from cron
+const hre = require("hardhat");
+const { watchedDeployments, keeperFiles, createKeeper, runKeeper } = require("./lib/keeper");
+
+async function main() {
+  const network = hre.network.name;
+  const only = (process.env.KEEPER_CONTRACTS || "").split(",").filter(Boolean);
+  const deployments = watchedDeployments(network, only);
+  if (deployments.length === 0) {
+    throw new Error(`Nothing to watch on ${network}; deploy a swap or settlement contract first`);
+  }
+
+  const keeper = await createKeeper({
+    network,
+    deployments,
+    signers: await hre.ethers.getSigners(),
+    confirmations: Number(process.env.KEEPER_CONFIRMATIONS || 1),
+    pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || 15000),
+    ...(process.env.KEEPER_MAX_ATTEMPTS && { maxAttempts: Number(process.env.KEEPER_MAX_ATTEMPTS) }),
+  });
+
+  const { audit } = keeperFiles(network);
+  console.log(`Watching ${deployments.map((record) => record.name).join(", ")} on ${network}; audit log: ${audit}`);
+  process.on("SIGINT", () => {
+    console.log("Stopping after the current pass");
+    keeper.stopped = true;
+  });
+
+  await runKeeper(keeper, { once: Boolean(process.env.KEEPER_ONCE) });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
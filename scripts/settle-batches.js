@@ -0,0 +1,77 @@
+// Creates and settles the batches of a netting plan (NETTING_PLAN) on a BatchSettlementContract.
+// Run through `npx hardhat run --network <name>`; `node scripts/cli.js settle-batches <plan.json>`
+// does this for you.
+//
+// The first account must own the contract, which creates every batch. settleBatchTrade moves
+// the seller's tokens with safeBatchTransferFrom, so each batch is settled by the seller's own
+// account when it is configured, or otherwise by the first account, which the seller must have
+// approved (as well as the contract) with setApprovalForAll. Batches already created or settled
+// are skipped, so the script can be re-run. Results go to <network>.settlement.json next to the plan.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { resolveDeployment } = require("./lib/registry");
+
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+
+function reason(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+async function main() {
+  const network = hre.network.name;
+  const planFile = process.env.NETTING_PLAN || "";
+  const plan = JSON.parse(fs.readFileSync(planFile, "utf8"));
+  const query = process.env.BATCH_CONTRACT || "BatchSettlementContract";
+  const record = resolveDeployment(network, query);
+  if (!record || record.contractName !== "BatchSettlementContract") {
+    throw new Error(`No BatchSettlementContract "${query}" is recorded on ${network}`);
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("BatchSettlementContract", record.address, signers[0]);
+  const results = [];
+
+  for (const batch of plan.batches) {
+    const result = { batchId: batch.batchId, seller: batch.seller, buyer: batch.buyer };
+    try {
+      let onChain = await contract.batchTrades(batch.batchId);
+      if (onChain.seller === ZERO_ADDRESS) {
+        const tx = await contract.createBatchTrade(batch.seller, batch.buyer, batch.tokenIds, batch.amounts, batch.batchId);
+        await tx.wait();
+        result.createTx = tx.hash;
+        onChain = await contract.batchTrades(batch.batchId);
+      }
+
+      if (!onChain.isActive) {
+        // The contract does not tell settled and cancelled batches apart.
+        result.status = "closed";
+        console.log(`closed  ${batch.batchId} (settled or cancelled before)`);
+      } else {
+        const settler = signers.find((signer) => signer.address.toLowerCase() === batch.seller) || signers[0];
+        const tx = await contract.connect(settler).settleBatchTrade(batch.batchId);
+        await tx.wait();
+        result.settleTx = tx.hash;
+        result.status = "settled";
+        console.log(`settled ${batch.batchId} (${batch.tokenIds.length} token IDs ${batch.seller} -> ${batch.buyer})`);
+      }
+    } catch (error) {
+      result.status = "failed";
+      result.error = reason(error);
+      console.log(`FAIL    ${batch.batchId}: ${result.error}`);
+    }
+    results.push(result);
+  }
+
+  const file = path.join(path.dirname(planFile), `${network}.settlement.json`);
+  fs.writeFileSync(file, JSON.stringify({ network, contract: record.address, settledAt: new Date().toISOString(), batches: results }, null, 2) + "\n");
+  console.log(`Results: ${file}`);
+  if (results.some((result) => result.status === "failed")) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
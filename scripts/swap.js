@@ -0,0 +1,45 @@
+// Drives one side of a cross-chain atomic swap described in SWAP_FILE. SWAP_ROLE is "initiate"
+// (holds the secret, locks legA first) or "participate" (locks legB once legA is seen). Run
+// through `npx hardhat run`; `node scripts/cli.js swap <role> <swap.json>` does this for you.
+//
+// Each side records its progress in the swap vault (swaps/<swapIdA>.<role>.json) so
+// scripts/recover-swaps.js can resume it after a crash. The initiator's secret is stored there
+// encrypted with SWAP_VAULT_PASSPHRASE before legA is locked.
+const { loadSwapSpec, runInitiator, runParticipant } = require("./lib/swap");
+const { vaultPassphrase, createRecord, advance, loadRecord } = require("./lib/vault");
+
+async function main() {
+  const file = process.env.SWAP_FILE || "";
+  const spec = loadSwapSpec(file);
+
+  if (process.env.SWAP_ROLE === "initiate") {
+    const passphrase = vaultPassphrase();
+    let record;
+    const result = await runInitiator(spec, {
+      onSecret: ({ secret, secretHash, swapIdA }) => {
+        record = createRecord("initiator", spec, { source: file, swapIdA, secretHash }, { secret, passphrase });
+        console.log(`Secret saved to ${record.file}`);
+      },
+      onProgress: (stage, details) => advance(record, stage, details),
+    });
+    console.log(`Swap complete: legA ${result.swapIdA}, legB ${result.swapIdB}`);
+  } else if (process.env.SWAP_ROLE === "participate") {
+    let record;
+    const result = await runParticipant(spec, {
+      onProgress: (stage, { swapIdA, ...details }) => {
+        if (!record) {
+          record = loadRecord(swapIdA, "participant") || createRecord("participant", spec, { source: file, swapIdA, ...details });
+        }
+        advance(record, stage, details);
+      },
+    });
+    console.log(`Swap complete: legA ${result.swapIdA}, legB ${result.swapIdB}`);
+  } else {
+    throw new Error('SWAP_ROLE must be "initiate" or "participate"');
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,317 @@
+const assert = require("assert");
+const { scratch, deploy } = require("./helpers");
+const fs = require("fs");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { saveDeployment } = require("../scripts/lib/registry");
+const { createRule } = require("../scripts/lib/aml-rules");
+const { amlFiles, validateAmlConfig, createMonitor, observe, backtest, writeBacktest } = require("../scripts/lib/aml");
+
+const units = (amount) => BigInt(amount) * 10n ** 18n;
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+const TOKEN = "0x000000000000000000000000000000000000a11a";
+const HOUR = 3600;
+let sequence = 0;
+
+// Transfers are one second apart unless `timestamp` says otherwise.
+function transfer(from, to, amount, timestamp) {
+  sequence += 1;
+  return {
+    token: TOKEN,
+    from,
+    to,
+    amount: units(amount).toString(),
+    blockNumber: sequence,
+    logIndex: 0,
+    timestamp: timestamp ?? 1000 + sequence,
+    tx: `0x${sequence}`,
+  };
+}
+
+// Evaluates `transfers` in order and returns the findings of the last one.
+function last(rule, transfers) {
+  return rule.evaluate(transfers[transfers.length - 1], transfers);
+}
+
+describe("AML rule configuration", function () {
+  it("rejects unknown types, bad codes and out-of-range options", function () {
+    assert.throws(() => createRule({ type: "layering", code: "AML-X" }, { units }), /Unknown rule type "layering" \(structuring, velocity/);
+    assert.throws(() => createRule({ type: "velocity", code: "aml-velocity", count: 3 }, { units }), /needs a "code" of capitals/);
+    assert.throws(() => createRule({ type: "structuring", code: "AML-S" }, { units }), /structuring needs a "threshold"/);
+    assert.throws(() => createRule({ type: "structuring", code: "AML-S", threshold: 10000, margin: 1.5 }, { units }), /"margin" must be a fraction/);
+    assert.throws(() => createRule({ type: "velocity", code: "AML-V" }, { units }), /velocity needs "count", "amount" or both/);
+    assert.throws(() => createRule({ type: "fan-out", code: "AML-F", counterparties: 0 }, { units }), /"counterparties" must be a whole number/);
+    assert.throws(() => createRule({ type: "round-trip", code: "AML-R", hops: 1 }, { units }), /"hops" must be at least 2/);
+  });
+});
+
+describe("structuring rule", function () {
+  const rule = createRule({ type: "structuring", code: "AML-STRUCTURING", threshold: 10000, margin: 0.1, count: 3 }, { units });
+
+  it("finds a sender keeping several transfers just under the threshold", function () {
+    const transfers = [
+      transfer("a", "b", 9500),
+      transfer("a", "c", 9999),
+      transfer("a", "d", 10000), // at the threshold, so reported by the token anyway
+      transfer("a", "e", 8000), // more than the margin below it
+      transfer("b", "c", 9500), // someone else
+    ];
+    assert.deepStrictEqual(last(rule, transfers.slice(0, 2)), []);
+
+    transfers.push(transfer("a", "f", 9000));
+    const [finding] = last(rule, transfers);
+    assert.strictEqual(finding.user, "a");
+    assert.strictEqual(finding.code, "AML-STRUCTURING");
+    assert.strictEqual(finding.rule, "structuring");
+    assert.strictEqual(finding.amount, units(9500 + 9999 + 9000));
+    assert.strictEqual(finding.detail, "3 transfers just under 10000 within 24h");
+  });
+
+  it("only counts transfers within its window, and only when the latest one is under the threshold", function () {
+    const start = 100000;
+    const spread = [transfer("a", "b", 9500, start), transfer("a", "c", 9500, start + 12 * HOUR), transfer("a", "d", 9500, start + 24 * HOUR)];
+    assert.deepStrictEqual(last(rule, spread), []);
+
+    const close = [transfer("a", "b", 9500), transfer("a", "c", 9500), transfer("a", "d", 9500), transfer("a", "e", 12000)];
+    assert.deepStrictEqual(last(rule, close), []);
+  });
+});
+
+describe("velocity rule", function () {
+  it("finds more than `count` transfers by one sender within the window", function () {
+    const rule = createRule({ type: "velocity", code: "AML-VELOCITY", count: 3 }, { units });
+    const transfers = [transfer("a", "b", 1), transfer("a", "c", 1), transfer("b", "a", 1), transfer("a", "d", 1)];
+    assert.deepStrictEqual(last(rule, transfers), []);
+
+    transfers.push(transfer("a", "e", 1));
+    const [finding] = last(rule, transfers);
+    assert.strictEqual(finding.user, "a");
+    assert.strictEqual(finding.detail, "4 transfers within 1h");
+    assert.strictEqual(finding.amount, units(4));
+
+    const later = transfer("a", "f", 1, transfers[transfers.length - 1].timestamp + HOUR);
+    assert.deepStrictEqual(last(rule, [...transfers, later]), [], "transfers an hour old no longer count");
+  });
+
+  it("finds at least `amount` sent by one sender within the window", function () {
+    const rule = createRule({ type: "velocity", code: "AML-VELOCITY", amount: 1000, window: "30m" }, { units });
+    const start = 200000;
+    const old = transfer("a", "b", 900, start);
+    const first = transfer("a", "c", 400, start + 30 * 60);
+    const second = transfer("a", "d", 600, start + 40 * 60);
+    assert.deepStrictEqual(last(rule, [old, first]), []);
+
+    const [finding] = last(rule, [old, first, second]);
+    assert.strictEqual(finding.amount, units(1000));
+    assert.strictEqual(finding.detail, "1000 or more sent within 30m");
+  });
+});
+
+describe("fan-out and fan-in rules", function () {
+  const fanOut = createRule({ type: "fan-out", code: "AML-FAN-OUT", counterparties: 3 }, { units });
+  const fanIn = createRule({ type: "fan-in", code: "AML-FAN-IN", counterparties: 3 }, { units });
+
+  it("finds a sender paying many different recipients", function () {
+    const transfers = [transfer("a", "b", 5), transfer("a", "c", 5), transfer("a", "b", 5)];
+    assert.deepStrictEqual(last(fanOut, transfers), [], "paying the same recipient twice counts once");
+
+    transfers.push(transfer("a", "d", 5));
+    const [finding] = last(fanOut, transfers);
+    assert.strictEqual(finding.user, "a");
+    assert.strictEqual(finding.amount, units(20));
+    assert.strictEqual(finding.detail, "paid 3 recipients within 24h");
+    assert.deepStrictEqual(last(fanIn, transfers), []);
+  });
+
+  it("finds a recipient paid by many different senders", function () {
+    const transfers = [transfer("a", "e", 5), transfer("b", "e", 5), transfer("c", "d", 5), transfer("c", "e", 5)];
+    const [finding] = last(fanIn, transfers);
+    assert.strictEqual(finding.user, "e");
+    assert.strictEqual(finding.amount, units(15));
+    assert.strictEqual(finding.detail, "paid by 3 senders within 24h");
+
+    const spread = [transfer("a", "e", 5, 300000), transfer("b", "e", 5, 300000 + 24 * HOUR), transfer("c", "e", 5, 300000 + 25 * HOUR)];
+    assert.deepStrictEqual(last(fanIn, spread), []);
+  });
+});
+
+describe("round-trip rule", function () {
+  const rule = createRule({ type: "round-trip", code: "AML-ROUND-TRIP", hops: 3 }, { units });
+
+  it("finds funds that come back to their wallet within the hop limit", function () {
+    const history = [transfer("a", "b", 100), transfer("b", "c", 99)];
+    const back = transfer("c", "a", 95);
+    const [finding] = rule.evaluate(back, [...history, back]);
+    assert.strictEqual(finding.user, "a");
+    assert.strictEqual(finding.code, "AML-ROUND-TRIP");
+    assert.match(finding.detail, /through 3 transfers/);
+
+    const longer = createRule({ type: "round-trip", code: "AML-ROUND-TRIP", hops: 2 }, { units });
+    assert.deepStrictEqual(longer.evaluate(back, [...history, back]), []);
+  });
+
+  it("stays fast on a densely connected history", function () {
+    this.timeout(2000);
+    const wallets = Array.from({ length: 12 }, (_, index) => `w${index}`);
+    const history = [];
+    for (let round = 0; round < 4; round++) {
+      for (const from of wallets) {
+        for (const to of wallets) {
+          if (from !== to) history.push(transfer(from, to, 1));
+        }
+      }
+    }
+    // Nothing leads back to the outsider, so every chain from w0 has to be ruled out.
+    const last = transfer("outsider", "w0", 1);
+    const deep = createRule({ type: "round-trip", code: "AML-ROUND-TRIP", hops: 8 }, { units });
+    assert.deepStrictEqual(deep.evaluate(last, [...history, last]), []);
+  });
+});
+
+describe("observing transfers", function () {
+  // A monitor for one token, as createMonitor builds it, without a chain behind it.
+  function monitorWith(rules, { exempt = [], cooldown = null } = {}) {
+    const built = rules.map((rule) => createRule(rule, { units }));
+    return {
+      config: { exempt, cooldown },
+      tokens: { [TOKEN]: { symbol: "AMLT", rules: built, window: Math.max(...built.map((rule) => rule.window)) } },
+      state: { history: {}, flagged: {} },
+    };
+  }
+
+  function observeAll(monitor, transfers) {
+    return transfers.flatMap((entry) => observe(monitor, entry));
+  }
+
+  const velocity = { type: "velocity", code: "AML-VELOCITY", count: 2, window: "1h" };
+
+  it("reports a wallet again only once the cooldown has passed", function () {
+    const monitor = monitorWith([velocity]);
+    const start = 400000;
+    const burst = (at) => [transfer("a", "b", 1, at), transfer("a", "c", 1, at + 1), transfer("a", "d", 1, at + 2), transfer("a", "e", 1, at + 3)];
+
+    const first = observeAll(monitor, burst(start));
+    assert.deepStrictEqual(
+      first.map((finding) => [finding.user, finding.timestamp]),
+      [["a", start + 2]],
+      "the fourth transfer is within the rule's window, its default cooldown"
+    );
+    assert.strictEqual(first[0].key, `AML-VELOCITY:${TOKEN}:a:${first[0].tx}:0`);
+    assert.strictEqual(first[0].symbol, "AMLT");
+    assert.strictEqual(monitor.state.flagged[`AML-VELOCITY:${TOKEN}:a`], start + 2);
+
+    const again = observeAll(monitor, burst(start + 2 + HOUR));
+    assert.strictEqual(again.length, 1);
+    assert.strictEqual(again[0].timestamp, start + 4 + HOUR);
+  });
+
+  it("uses the configured cooldown instead of the rule's window", function () {
+    const monitor = monitorWith([velocity], { cooldown: 60 });
+    const start = 500000;
+    const findings = observeAll(monitor, [
+      transfer("a", "b", 1, start),
+      transfer("a", "c", 1, start + 1),
+      transfer("a", "d", 1, start + 2),
+      transfer("a", "e", 1, start + 30),
+      transfer("a", "f", 1, start + 62),
+    ]);
+    assert.deepStrictEqual(
+      findings.map((finding) => finding.timestamp),
+      [start + 2, start + 62]
+    );
+  });
+
+  it("leaves out exempt wallets, mints and burns", function () {
+    const monitor = monitorWith([{ type: "fan-in", code: "AML-FAN-IN", counterparties: 2 }, { type: "fan-out", code: "AML-FAN-OUT", counterparties: 2 }], {
+      exempt: ["exchange"],
+    });
+    const findings = observeAll(monitor, [
+      transfer(ZERO_ADDRESS, "exchange", 100),
+      transfer("a", "exchange", 5),
+      transfer("b", "exchange", 5),
+      transfer("exchange", "c", 5),
+      transfer("exchange", "d", 5),
+      transfer("a", "c", 5),
+      transfer("d", ZERO_ADDRESS, 5),
+    ]);
+    assert.deepStrictEqual(
+      findings.map((finding) => [finding.code, finding.user]),
+      [
+        ["AML-FAN-IN", "c"],
+        ["AML-FAN-OUT", "a"],
+      ]
+    );
+    assert.ok(
+      monitor.state.history[TOKEN].every((entry) => entry.from !== ZERO_ADDRESS && entry.to !== ZERO_ADDRESS),
+      "mints and burns stay out of the history"
+    );
+  });
+});
+
+describe("AML backtest", function () {
+  const NAME = "BacktestToken";
+  let token, alice, recipients, record;
+
+  // The contract mints nothing, so alice's balance is written into ERC20's `_balances` mapping.
+  // The mapping's slot depends on the inheritance order, so it is probed.
+  async function fund(holder, amount) {
+    const { ethers } = hre;
+    for (let slot = 0; slot < 16; slot++) {
+      const key = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [holder, slot]));
+      await hre.network.provider.send("hardhat_setStorageAt", [record.address, key, ethers.toBeHex(amount, 32)]);
+      if ((await token.balanceOf(holder)) === amount) return;
+      await hre.network.provider.send("hardhat_setStorageAt", [record.address, key, ethers.ZeroHash]);
+    }
+    throw new Error("Could not find the balances mapping");
+  }
+
+  before(async function () {
+    let officer;
+    [officer, alice, ...recipients] = await hre.ethers.getSigners();
+    // Thresholds high enough that the contract's own monitoring stays quiet.
+    token = await deploy("AMLMonitoringAndReportingContract", ["Backtest", "BKT", officer.address, units(10 ** 9), units(10 ** 9)]);
+    const receipt = await token.deploymentTransaction().wait();
+    record = { network: "hardhat", name: NAME, contractName: "AMLMonitoringAndReportingContract", address: await addressOf(token), blockNumber: receipt.blockNumber };
+    saveDeployment({ ...record, chainId: 31337, deployedAt: new Date().toISOString() });
+
+    await fund(alice.address, units(100000));
+    for (const recipient of recipients.slice(0, 3)) {
+      await (await token.connect(alice).transfer(recipient.address, units(9500))).wait();
+    }
+  });
+
+  function replay() {
+    const config = validateAmlConfig({
+      ruleSets: {
+        default: [
+          { type: "structuring", code: "AML-STRUCTURING", threshold: "10000", count: 3 },
+          { type: "fan-out", code: "AML-FAN-OUT", counterparties: 3 },
+        ],
+      },
+      contracts: [{ contract: NAME }],
+    });
+    return createMonitor({ network: "hardhat", config, replay: true, log: () => {} });
+  }
+
+  it("replays the recorded transfers through the rules without saving or reporting anything", async function () {
+    const result = await backtest(await replay(), {});
+    assert.strictEqual(result.fromBlock, record.blockNumber);
+    assert.strictEqual(result.transfers, 3);
+    assert.deepStrictEqual(result.byCode, { "AML-STRUCTURING": 1, "AML-FAN-OUT": 1 });
+    assert.ok(result.findings.every((finding) => finding.user === alice.address.toLowerCase() && finding.symbol === "BKT"));
+    assert.strictEqual(fs.existsSync(amlFiles("hardhat").state), false, "a replay keeps no state");
+    assert.strictEqual((await token.queryFilter(token.filters.SuspiciousActivityReported())).length, 0);
+
+    const { jsonFile, csvFile } = writeBacktest(result, "replay", scratch);
+    assert.strictEqual(JSON.parse(fs.readFileSync(jsonFile, "utf8")).transfers, 3);
+    const lines = fs.readFileSync(csvFile, "utf8").trim().split("\n");
+    assert.strictEqual(lines[0], "blockNumber,tx,code,symbol,user,amount,detail");
+    assert.strictEqual(lines.length, 3);
+  });
+
+  it("starts with an empty history at fromBlock", async function () {
+    const result = await backtest(await replay(), { fromBlock: record.blockNumber + 2 });
+    assert.strictEqual(result.transfers, 2);
+    assert.deepStrictEqual(result.byCode, {});
+  });
+});
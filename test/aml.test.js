@@ -0,0 +1,50 @@
+const assert = require("assert");
+const path = require("path");
+const { scratch } = require("./helpers");
+const { reportPending } = require("../scripts/lib/aml");
+
+const TOKEN = "0x000000000000000000000000000000000000a11a";
+
+describe("AML reporting", function () {
+  it("backs off a report that keeps failing and sets it aside after maxAttempts", async function () {
+    let clock = 1000;
+    const calls = [];
+    const finding = { key: "k", code: "AML-TEST", token: TOKEN, symbol: "AMLT", user: "0x01", amount: "1", detail: "test", tx: "0x02" };
+    const reporter = {
+      name: "aml",
+      contract: {
+        reportSuspiciousActivity: async () => {
+          calls.push(clock);
+          throw new Error("AccessControl: account is missing role");
+        },
+      },
+    };
+    const monitor = {
+      network: "aml-test",
+      dir: path.join(scratch, "aml-backoff"),
+      log: () => {},
+      now: () => clock,
+      config: { maxAttempts: 3 },
+      tokens: { [TOKEN]: { reporter } },
+      state: { contracts: {}, history: {}, flagged: {}, pending: [finding], failed: [] },
+    };
+
+    await reportPending(monitor);
+    assert.strictEqual(finding.retryAt, 1030);
+    await reportPending(monitor);
+    assert.strictEqual(calls.length, 1, "nothing is sent while the report backs off");
+
+    clock = 1030;
+    await reportPending(monitor);
+    assert.strictEqual(finding.retryAt, 1090, "the backoff doubles");
+
+    clock = 1090;
+    await reportPending(monitor);
+    assert.deepStrictEqual(monitor.state.pending, []);
+    assert.deepStrictEqual(monitor.state.failed.map((entry) => entry.attempts), [3]);
+
+    clock = 10000;
+    await reportPending(monitor);
+    assert.strictEqual(calls.length, 3, "a report set aside is not retried");
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { scratch, deploy, revertReason } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { saveDeployment } = require("../scripts/lib/registry");
+const { signTyped } = require("../scripts/lib/common");
+const { VERIFY_TYPES, kycDomain, createIssuer, submitAttestation } = require("../scripts/lib/attestations");
+const { startIssuerServer } = require("../scripts/lib/attestation-server");
+
+const TOKEN = "test-token";
+const NETWORK = "hardhat";
+
+async function post(server, body, token = TOKEN) {
+  const { port } = server.address();
+  const response = await fetch(`http://127.0.0.1:${port}/attestations`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("KYC attestation issuer", function () {
+  const dir = path.join(scratch, "kyc-issuer");
+  let officer, alice, bob, outsider, stranger, kyc, accredited, options, issuer;
+
+  before(async function () {
+    [officer, alice, bob, outsider, stranger] = await hre.ethers.getSigners();
+    kyc = await deploy("PrivacyPreservingKYCCompliance");
+    accredited = await deploy("AccreditedInvestorVerificationWithPrivacy");
+    for (const [name, contractName, contract] of [["kyc", "PrivacyPreservingKYCCompliance", kyc], ["accredited", "AccreditedInvestorVerificationWithPrivacy", accredited]]) {
+      saveDeployment({ network: NETWORK, name, contractName, address: await addressOf(contract), deployedAt: new Date().toISOString() });
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const allowlist = path.join(dir, "allowlist.csv");
+    fs.writeFileSync(allowlist, `address,reference\n${alice.address},case-1\n${bob.address},case-2\n`);
+    options = { network: NETWORK, contracts: ["kyc", "accredited"], check: { type: "allowlist", file: allowlist }, dir };
+    issuer = await createIssuer({ ...options, signer: officer });
+  });
+
+  it("issues an attestation the contract accepts, whoever submits it", async function () {
+    const issued = await issuer.issue({ user: alice.address, contract: "kyc", evidence: { document: "passport" } });
+    assert.ok(issued.approved);
+    assert.strictEqual(issued.attestation.nonce, "1");
+
+    await submitAttestation(issued.attestation, outsider);
+    assert.ok(await kyc.isUserCompliant(alice.address));
+    assert.strictEqual((await issuer.issue({ user: alice.address, contract: "kyc" })).attestation.nonce, "2", "the next attestation uses the next nonce");
+  });
+
+  it("refuses an attestation whose nonce was already used", async function () {
+    const issued = await issuer.issue({ user: bob.address, contract: "kyc" });
+    await submitAttestation(issued.attestation, bob);
+    const { user, nonce, signature } = issued.attestation;
+    assert.match(await revertReason(kyc.verifyUserCompliance(user, nonce, signature)), /Nonce already used/);
+  });
+
+  it("refuses an attestation signed for the other contract", async function () {
+    const issued = await issuer.issue({ user: alice.address, contract: "kyc" });
+    const { user, nonce, signature } = issued.attestation;
+    assert.match(await revertReason(accredited.verifyInvestorAccreditation(user, nonce, signature)), /Invalid signer/);
+  });
+
+  it("refuses to sign, and the contract refuses signatures, without COMPLIANCE_OFFICER_ROLE", async function () {
+    const impostor = await createIssuer({ ...options, signer: stranger });
+    await assert.rejects(impostor.issue({ user: bob.address, contract: "accredited" }), /COMPLIANCE_OFFICER_ROLE/);
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const value = { user: bob.address, nonce: "1" };
+    const signature = await signTyped(stranger, kycDomain(chainId, await addressOf(accredited)), VERIFY_TYPES, value);
+    assert.match(await revertReason(accredited.verifyInvestorAccreditation(value.user, value.nonce, signature)), /Invalid signer/);
+  });
+
+  it("serves attestations over HTTP and rejects users the identity check refuses", async function () {
+    const server = await startIssuerServer(issuer, { token: TOKEN, port: 0 });
+    try {
+      const issued = await post(server, { user: bob.address, contract: "accredited" });
+      assert.strictEqual(issued.status, 201);
+      await submitAttestation(issued.body, bob);
+      assert.ok(await accredited.isInvestorAccredited(bob.address));
+
+      const rejected = await post(server, { user: outsider.address, contract: "kyc" });
+      assert.strictEqual(rejected.status, 403);
+      assert.strictEqual(rejected.body.error, "not on the allowlist");
+      assert.strictEqual((await post(server, { user: bob.address, contract: "kyc" }, "wrong")).status, 401);
+      assert.strictEqual((await post(server, { user: bob.address })).status, 400, "the contract must be named when the issuer serves several");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("keeps evidence hashes, not evidence, in the audit log", function () {
+    const audit = fs.readFileSync(path.join(dir, NETWORK, "attestations.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+    assert.ok(audit.some((entry) => entry.action === "rejected" && entry.user === outsider.address));
+    assert.ok(audit.every((entry) => !JSON.stringify(entry).includes("passport")));
+  });
+});
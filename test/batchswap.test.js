@@ -0,0 +1,151 @@
+const assert = require("assert");
+const { deploy } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const {
+  parseBasket,
+  parseTrade,
+  validateBatchOrder,
+  connectOrder,
+  planInitiation,
+  lockedTerms,
+  termMismatches,
+  planAcceptance,
+  sendPlanned,
+} = require("../scripts/lib/batchswap");
+
+const GAME = "0x00000000000000000000000000000000000000a1";
+const ART = "0x00000000000000000000000000000000000000a0";
+const USDC = "0x00000000000000000000000000000000000000c0";
+const tokens = { GAME, ART, USDC: { address: USDC, id: 0 } };
+
+function items(basket) {
+  return basket.map((item) => [item.token, item.id, item.amount]);
+}
+
+describe("batch swap trades", function () {
+  it("reads ×, x and * and adds up repeated items", function () {
+    const basket = parseBasket("10×id 5 + 2 x id 9 + 3*id 5 + 1 x id#9", { tokens, collection: "GAME" });
+    assert.deepStrictEqual(items(basket), [
+      [GAME, "5", "13"],
+      [GAME, "9", "3"],
+    ]);
+    assert.strictEqual(basket[0].symbol, "GAME");
+  });
+
+  it("names other tokens with \"of\" and sorts by token address, then ID", function () {
+    const basket = parseBasket("4×id 10 + 1 x id 2 of ART + 1,000 USDC + 4×id 3", { tokens, collection: "GAME" });
+    assert.deepStrictEqual(items(basket), [
+      [ART, "2", "1"],
+      [GAME, "3", "4"],
+      [GAME, "10", "4"],
+      [USDC, "0", "1000"],
+    ]);
+    assert.deepStrictEqual(items(parseBasket(`2×id 1 of ${ART}`)), [[ART, "1", "2"]]);
+  });
+
+  it("refuses zero amounts, unknown symbols and items without a token", function () {
+    assert.throws(() => parseBasket("0×id 5", { tokens, collection: "GAME" }), /"0×id 5" has an amount of 0/);
+    assert.throws(() => parseBasket("5 DOGE", { tokens }), /unknown token "DOGE"; add it to "tokens"/);
+    assert.throws(() => parseBasket("2×id 1 of DOGE", { tokens }), /unknown token "DOGE"/);
+    assert.throws(() => parseBasket("2×id 1", { tokens }), /names no token/);
+    assert.throws(() => parseBasket("5 GAME", { tokens }), /needs a token ID/);
+    assert.throws(() => parseTrade("swap 1×id 1 for 1000 USDC", { tokens, collection: "GAME" }), /give <items> for <items>/);
+  });
+
+  it("compares locked terms by totals per token and ID", function () {
+    const order = validateBatchOrder({
+      network: "hardhat",
+      contract: "BatchAtomicSwap",
+      initiator: GAME,
+      participant: ART,
+      operator: USDC,
+      timeLock: "1h",
+      tokens,
+      collection: "GAME",
+      trade: "give 10×id 5 + 2×id 9 for 1000 USDC",
+    });
+    const terms = {
+      initiator: GAME,
+      participant: ART,
+      operator: USDC,
+      timeLock: 3600,
+      give: [
+        { token: GAME, id: "9", amount: "2" },
+        { token: GAME, id: "5", amount: "4" },
+        { token: GAME, id: "5", amount: "6" },
+      ],
+      take: [{ token: USDC, id: "0", amount: "1000" }],
+    };
+    assert.deepStrictEqual(termMismatches(terms, order), []);
+
+    const other = { ...terms, operator: ART, timeLock: 60, take: [{ token: USDC, id: "0", amount: "900" }] };
+    assert.deepStrictEqual(termMismatches(other, order), [
+      `operator is ${ART}, expected ${USDC}`,
+      "timeLock is 60s, expected 3600s",
+      `participant side has 900 of id 0 of ${USDC.toLowerCase()}, expected 1000`,
+    ]);
+  });
+
+  describe("on BatchAtomicSwap", function () {
+    const quiet = { log: () => {} };
+    let alice, bob, desk, game, usdc, swap, fields, order, swapId;
+
+    before(async function () {
+      [, alice, bob, desk] = await hre.ethers.getSigners();
+      game = await deploy("ERC1155TestToken", [alice.address, [5, 9], [10, 2]]);
+      usdc = await deploy("ERC1155TestToken", [bob.address, [0], [5000]]);
+      swap = await deploy("BatchAtomicSwap");
+      await (await swap.addOperator(desk.address)).wait();
+      fields = {
+        network: "hardhat",
+        contract: "BatchAtomicSwap",
+        address: await addressOf(swap),
+        initiator: alice.address,
+        participant: bob.address,
+        operator: desk.address,
+        timeLock: "1h",
+        tokens: { GAME: await addressOf(game), USDC: { address: await addressOf(usdc), id: 0 } },
+        collection: "GAME",
+        trade: "give 10×id 5 + 2×id 9 for 1000 USDC",
+      };
+      order = validateBatchOrder(fields);
+    });
+
+    it("approves the swap contract before initiating and locks the basket", async function () {
+      const contract = await connectOrder(order, alice);
+      const secretHash = hre.ethers.keccak256(hre.ethers.randomBytes(32));
+      const plan = await planInitiation(order, contract, secretHash, alice);
+
+      assert.deepStrictEqual(plan.problems, []);
+      assert.deepStrictEqual(plan.transactions.map((transaction) => [transaction.method, transaction.to]), [
+        ["setApprovalForAll", await addressOf(game)],
+        ["initiateSwap", await addressOf(swap)],
+      ]);
+      assert.deepStrictEqual(plan.warnings, [
+        `participant: ${bob.address} has not approved ${await addressOf(swap)} for ${await addressOf(usdc)} yet; completeSwap needs it`,
+      ]);
+
+      await sendPlanned(plan.transactions, { signer: alice, contract, ...quiet });
+      assert.strictEqual(await game.isApprovedForAll(alice.address, await addressOf(swap)), true);
+      assert.deepStrictEqual([...(await game.balanceOfBatch([await addressOf(swap), await addressOf(swap)], [5, 9]))], [10n, 2n]);
+
+      swapId = hre.ethers.solidityPackedKeccak256(["address", "address", "bytes32"], [alice.address, bob.address, secretHash]);
+      assert.deepStrictEqual(termMismatches(await lockedTerms(contract, swapId), order), []);
+    });
+
+    it("lets the participant accept the swap on the order's terms only", async function () {
+      const contract = await connectOrder(order, bob);
+      const accepted = await planAcceptance(order, contract, swapId, bob);
+      assert.deepStrictEqual(accepted.problems, []);
+      assert.deepStrictEqual(accepted.transactions.map((transaction) => [transaction.method, transaction.to]), [["setApprovalForAll", await addressOf(usdc)]]);
+
+      const dearer = validateBatchOrder({ ...fields, trade: "give 10×id 5 + 2×id 9 for 900 USDC" });
+      const refused = await planAcceptance(dearer, contract, swapId, bob);
+      assert.deepStrictEqual(refused.problems, [`participant side has 1000 of id 0 of ${(await addressOf(usdc)).toLowerCase()}, expected 900`]);
+
+      const unknown = await planAcceptance(order, contract, hre.ethers.ZeroHash, bob);
+      assert.match(unknown.problems[0], /no swap 0x0+ was initiated/);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { scratch } = require("./helpers");
+const fs = require("fs");
+const path = require("path");
+const { loadCatalogue, findEntry, resolveStandard } = require("../scripts/lib/catalogue");
+
+describe("catalogue", function () {
+  const entries = loadCatalogue();
+
+  it("refuses a contract name shared by several entries and lists their IDs", function () {
+    assert.throws(() => findEntry(entries, "DividendDistribution"), /1-1Z_1E, 2-1X_3B, 2-1Y_3C, 2-1Z_3B/);
+    assert.strictEqual(findEntry(entries, "2-1x_3b").id, "2-1X_3B");
+  });
+
+  it("flags a deploy.js that is a mocha test suite", function () {
+    const entry = findEntry(entries, "3-1X_7A");
+    assert.strictEqual(entry.deployScript, null);
+    assert.match(entry.deployScriptIssue, /mocha test suite/);
+  });
+
+  it("validates standards against the catalogue's list", function () {
+    assert.strictEqual(resolveStandard("erc1404"), "ERC1404");
+    assert.throws(() => resolveStandard("ERC99"), /Unknown standard "ERC99"/);
+  });
+
+  it("takes the contract named like the source file, else the last one declared", function () {
+    const root = path.join(scratch, "catalogue");
+    const standard = path.join(root, "6_Trading_and_Settlement", "6-1X_Atomic Swap", "6-1X_### 1. ERC20 Fungible Token Standard");
+    const sources = {
+      "6-1X_1A - Named Swap": ["Named_Swap_Contract.sol", "contract SwapBase {}\ncontract NamedSwapContract is SwapBase {}\ncontract SwapLens {}\n"],
+      "6-1X_1B - Helper First": ["Unrelated.sol", "library Fees {}\ncontract Escrow {}\nabstract contract Base {}\ncontract TimedSwap is Escrow {}\n"],
+      "6-1X_1C - Interface Only": ["OnlyInterface.sol", "interface IOnly {}\n"],
+    };
+    for (const [folder, [file, code]] of Object.entries(sources)) {
+      fs.mkdirSync(path.join(standard, folder), { recursive: true });
+      fs.writeFileSync(path.join(standard, folder, file), code);
+    }
+
+    assert.deepStrictEqual(
+      loadCatalogue(root).map((entry) => [entry.id, entry.contractName]),
+      [
+        ["6-1X_1A", "NamedSwapContract"],
+        ["6-1X_1B", "TimedSwap"],
+        ["6-1X_1C", "OnlyInterface"],
+      ]
+    );
+  });
+});
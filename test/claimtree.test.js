@@ -0,0 +1,90 @@
+const assert = require("assert");
+const { deploy, increaseTime, revertReason } = require("./helpers");
+const hre = require("hardhat");
+const { assignSalts, buildClaimTree, hashLeaf, verifyProof } = require("../scripts/lib/claimtree");
+
+const AMOUNT = 10n ** 18n;
+
+function addresses(count) {
+  return Array.from({ length: count }, (_, index) => ({ address: "0x" + String(index + 1).padStart(40, "0") }));
+}
+
+describe("claim tree", function () {
+  it("builds a verifiable proof for every leaf of an odd-sized tree", function () {
+    for (const count of [3, 5, 7]) {
+      const tree = buildClaimTree(assignSalts(addresses(count)));
+      assert.strictEqual(tree.layers[0].length, count);
+      for (const member of tree.beneficiaries) {
+        assert.ok(verifyProof(member.proof, tree.root, member.leaf), `${member.address} in a tree of ${count}`);
+      }
+    }
+  });
+
+  it("pairs a single beneficiary with a decoy leaf derived from their salt", function () {
+    const [member] = assignSalts(addresses(1));
+    const tree = buildClaimTree([member]);
+    assert.strictEqual(tree.layers[0].length, 2);
+    assert.notStrictEqual(tree.root, hashLeaf(tree.beneficiaries[0].address), "the root does not reveal the address");
+    assert.strictEqual(tree.beneficiaries[0].proof.length, 1);
+    assert.strictEqual(buildClaimTree([member]).root, tree.root);
+    assert.notStrictEqual(buildClaimTree(assignSalts(addresses(1))).root, tree.root, "another salt gives another decoy");
+  });
+
+  it("gives the same root for the same list and salts in any order", function () {
+    const members = assignSalts(addresses(6));
+    const tree = buildClaimTree(members);
+    assert.strictEqual(buildClaimTree([...members].reverse()).root, tree.root);
+    assert.deepStrictEqual(assignSalts(addresses(6), tree.beneficiaries).map((member) => member.salt), members.map((member) => member.salt));
+  });
+
+  describe("against PrivacyPreservingEscrowContract", function () {
+    // Deposits and approves an escrow for each member of a tree, releasable after `delay` seconds.
+    async function fund(contract, tree, delay) {
+      const now = Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+      const escrowIds = {};
+      for (const member of tree.beneficiaries) {
+        escrowIds[member.address] = Number(await contract.nextEscrowId());
+        await (await contract.depositFunds(member.hashedBeneficiary, tree.root, now + delay, { value: AMOUNT.toString() })).wait();
+        await (await contract.approveEscrow(escrowIds[member.address])).wait();
+      }
+      await increaseTime(delay + 1);
+      return escrowIds;
+    }
+
+    it("lets every member claim their escrow with the generated proof", async function () {
+      const [, alice, bob, carol] = await hre.ethers.getSigners();
+      const contract = await deploy("PrivacyPreservingEscrowContract");
+      const tree = buildClaimTree(assignSalts([alice, bob, carol].map((signer) => ({ address: signer.address }))));
+      const escrowIds = await fund(contract, tree, 3600);
+
+      for (const signer of [alice, bob, carol]) {
+        const member = tree.beneficiaries.find((candidate) => candidate.address === signer.address);
+        const found = (await contract.getUserEscrows(member.hashedBeneficiary)).map(Number);
+        assert.deepStrictEqual(found, [escrowIds[signer.address]], "getUserEscrows finds the escrow by hashed identifier");
+        await (await contract.connect(signer).claimFunds(escrowIds[signer.address], member.proof)).wait();
+        assert.ok((await contract.escrows(escrowIds[signer.address])).isClaimed);
+      }
+    });
+
+    it("refuses a proof used by an account outside the tree or by another member", async function () {
+      const [, alice, bob, outsider] = await hre.ethers.getSigners();
+      const contract = await deploy("PrivacyPreservingEscrowContract");
+      const tree = buildClaimTree(assignSalts([alice, bob].map((signer) => ({ address: signer.address }))));
+      const escrowIds = await fund(contract, tree, 60);
+      const aliceProof = tree.beneficiaries.find((member) => member.address === alice.address).proof;
+
+      assert.match(await revertReason(contract.connect(outsider).claimFunds(escrowIds[alice.address], aliceProof)), /invalid proof/);
+      assert.match(await revertReason(contract.connect(bob).claimFunds(escrowIds[alice.address], aliceProof)), /invalid proof/);
+    });
+
+    it("accepts the proof of a one-beneficiary tree with its decoy leaf", async function () {
+      const [, , , , lone] = await hre.ethers.getSigners();
+      const contract = await deploy("PrivacyPreservingEscrowContract");
+      const tree = buildClaimTree(assignSalts([{ address: lone.address }]));
+      const escrowIds = await fund(contract, tree, 60);
+
+      await (await contract.connect(lone).claimFunds(escrowIds[lone.address], tree.beneficiaries[0].proof)).wait();
+      assert.ok((await contract.escrows(escrowIds[lone.address])).isClaimed);
+    });
+  });
+});
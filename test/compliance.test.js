@@ -0,0 +1,59 @@
+const assert = require("assert");
+const { deploy } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { checkCompliance, partyType } = require("../scripts/lib/compliance");
+
+const ACTION = "0x" + "ab".repeat(32);
+
+function codes(result) {
+  return result.reasons.map((reason) => reason.code);
+}
+
+describe("compliance pre-checks", function () {
+  let desk, seller, buyer, token, settlement, address;
+
+  before(async function () {
+    [desk, seller, buyer] = await hre.ethers.getSigners();
+    token = await deploy("OperatorTestToken");
+    settlement = await deploy("CorporateActionSettlement", [await addressOf(token)]);
+    address = await addressOf(settlement);
+    for (const account of [desk, seller, buyer]) {
+      await (await settlement.addToWhitelist(account.address)).wait();
+      await (await settlement.addCompliance(account.address)).wait();
+    }
+  });
+
+  function check(actionId = ACTION) {
+    return checkCompliance("CorporateActionSettlement", address, {
+      caller: desk.address,
+      actionId,
+      seller: seller.address,
+      buyer: buyer.address,
+    });
+  }
+
+  it("takes the corporate action ID as a bytes32", async function () {
+    assert.strictEqual(partyType("CorporateActionSettlement", "actionId"), "bytes32");
+    assert.deepStrictEqual(codes(await check("0x1234")), ["PARTY_MISSING", "PARTY_MISSING", "SELLER_NOT_APPROVED"]);
+  });
+
+  it("flags a missing corporate action and an unapproved seller", async function () {
+    const result = await check();
+    assert.deepStrictEqual(codes(result), ["ACTION_NOT_FOUND", "SELLER_NOT_APPROVED"]);
+    await assert.rejects(settlement.connect(desk).createTrade(ACTION, seller.address, buyer.address, 1), /Action ID does not exist/);
+  });
+
+  it("passes once the action exists and the seller has authorized the contract", async function () {
+    await (await settlement.initiateCorporateAction("Split", 100, ACTION)).wait();
+    await (await token.connect(seller).authorizeOperator(address)).wait();
+    assert.strictEqual((await check()).ok, true);
+    await (await settlement.connect(desk).createTrade(ACTION, seller.address, buyer.address, 1)).wait();
+  });
+
+  it("flags an executed corporate action", async function () {
+    await (await settlement.executeCorporateAction(ACTION)).wait();
+    assert.deepStrictEqual(codes(await check()), ["ACTION_EXECUTED"]);
+    await assert.rejects(settlement.connect(desk).createTrade(ACTION, seller.address, buyer.address, 1), /Corporate action already executed/);
+  });
+});
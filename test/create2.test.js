@@ -0,0 +1,63 @@
+const assert = require("assert");
+const { otherChain } = require("./helpers");
+const hre = require("hardhat");
+const { toSalt, deployDeterministic, handoverCalls } = require("../scripts/lib/create2");
+
+const CONTRACT = "RoleHandoverTestContract";
+const quiet = () => {};
+
+describe("deterministic deployment", function () {
+  it("puts a contract at the same address on two chains", async function () {
+    const [deployer] = await hre.ethers.getSigners();
+    const provider = await otherChain(31338);
+    const remote = await provider.getSigner(deployer.address);
+    // The deployer's nonce differs between the chains; the address must not depend on it.
+    for (let i = 0; i < 3; i++) {
+      await (await remote.sendTransaction({ to: deployer.address, value: 0 })).wait();
+    }
+
+    const salt = toSalt("create2-test");
+    const here = await deployDeterministic(await hre.ethers.getContractFactory(CONTRACT, deployer), [], { salt, log: quiet });
+    const there = await deployDeterministic(await hre.ethers.getContractFactory(CONTRACT, remote), [], { salt, log: quiet });
+
+    assert.notStrictEqual((await provider.getNetwork()).chainId, (await hre.ethers.provider.getNetwork()).chainId);
+    assert.strictEqual(here.address, there.address);
+    assert.notStrictEqual(await provider.getCode(there.address, there.receipt.blockNumber), "0x");
+
+    const again = await deployDeterministic(await hre.ethers.getContractFactory(CONTRACT, deployer), [], { salt, log: quiet });
+    assert.strictEqual(again.address, here.address);
+    assert.strictEqual(again.receipt, null, "an existing deployment is not sent again");
+  });
+
+  it("hands over the roles the factory holds, read from the contract, not derived from their names", async function () {
+    const [deployer] = await hre.ethers.getSigners();
+    const warnings = [];
+    const { contract, factory } = await deployDeterministic(await hre.ethers.getContractFactory(CONTRACT, deployer), [], {
+      salt: toSalt("create2-roles"),
+      log: (message) => warnings.push(message),
+    });
+
+    for (const role of [await contract.MANAGER_ROLE(), await contract.AUDITOR_ROLE(), await contract.DEFAULT_ADMIN_ROLE()]) {
+      assert.ok(await contract.hasRole(role, deployer.address), `the deployer holds ${role}`);
+      assert.ok(!(await contract.hasRole(role, factory)), `the factory gave up ${role}`);
+    }
+    assert.ok(!(await contract.hasRole(await contract.PAUSER_ROLE(), deployer.address)), "a role the factory never held is not granted");
+    assert.ok(await contract.hasRole(await contract.OPERATOR_ROLE(), factory), "a role it cannot grant stays with the factory");
+    assert.ok(!(await contract.hasRole(await contract.OPERATOR_ROLE(), deployer.address)));
+    assert.deepStrictEqual(warnings, [`OPERATOR_ROLE stays with the factory at ${factory}: it does not hold its admin role`]);
+  });
+
+  it("warns that tokens the constructor mints to msg.sender stay in the factory", async function () {
+    const [deployer] = await hre.ethers.getSigners();
+    const Token = await hre.ethers.getContractFactory("PrerequisiteToken", deployer);
+    const { data: initCode } = await Token.getDeployTransaction("Stuck", "STK", 18, 1000);
+    const warnings = [];
+
+    await handoverCalls(Token.interface, initCode, deployer.address, hre.ethers.ZeroAddress, hre.ethers.provider, {
+      log: (message) => warnings.push(message),
+    });
+
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /mints 1000000000000000000000 tokens to msg\.sender; they stay in the factory/);
+  });
+});
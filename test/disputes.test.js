@@ -0,0 +1,156 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { scratch, deploy, increaseTime, installERC1820 } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { signTyped } = require("../scripts/lib/common");
+const {
+  DISPUTE_TYPES,
+  VOTE_TYPES,
+  disputeDomain,
+  loadPolicy,
+  loadDispute,
+  verifyTrail,
+  fileDispute,
+  tally,
+  castVote,
+  processDisputes,
+} = require("../scripts/lib/disputes");
+
+const quiet = { log: () => {} };
+
+async function chainTime() {
+  return Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+}
+
+describe("swap disputes", function () {
+  let alice, bob, stranger, operators, aliceToken, bobToken, swap, domain;
+
+  before(async function () {
+    let admin;
+    [admin, alice, bob, stranger, ...operators] = await hre.ethers.getSigners();
+    operators = operators.slice(0, 3);
+    await installERC1820();
+    aliceToken = await deploy("ERC777TestToken", [alice.address, 1000]);
+    bobToken = await deploy("ERC777TestToken", [bob.address, 1000]);
+    swap = await deploy("ReversibleAtomicSwap", [], admin);
+    for (const operator of operators) {
+      await (await swap.addOperator(operator.address)).wait();
+    }
+    domain = disputeDomain(31337, await addressOf(swap));
+  });
+
+  // Each test keeps its disputes, and its policy, in a directory of its own.
+  function setUp(name, window = "24h") {
+    const dir = path.join(scratch, "disputes", name);
+    fs.mkdirSync(path.join(dir, "hardhat"), { recursive: true });
+    const policy = { operators: operators.map((operator) => operator.address), threshold: 2, window };
+    fs.writeFileSync(path.join(dir, "hardhat", "policy.json"), JSON.stringify(policy));
+    const context = { network: "hardhat", contract: swap, domain, dir };
+    return { dir, context, policy: loadPolicy("hardhat", dir) };
+  }
+
+  // initiateSwap sends the initiator's amount from the contract's own balance, so alice
+  // sends it in first.
+  async function openSwap(timeLock = 7200) {
+    const secretHash = hre.ethers.keccak256(hre.ethers.randomBytes(32));
+    await (await aliceToken.connect(alice).send(await addressOf(swap), 100, "0x")).wait();
+    const args = [bob.address, await addressOf(aliceToken), await addressOf(bobToken), 100, 40, secretHash, timeLock, operators[0].address];
+    await (await swap.connect(alice).initiateSwap(...args)).wait();
+    return hre.ethers.solidityPackedKeccak256(["address", "address", "bytes32"], [alice.address, bob.address, secretHash]);
+  }
+
+  async function file(context, policy, swapId, { signer = alice, reason = "wrong token sent" } = {}) {
+    const now = await chainTime();
+    const filing = { swapId, reason, evidence: [hre.ethers.id("chat log")], filedAt: now };
+    return fileDispute({ ...context, policy, filing, signature: await signTyped(signer, domain, DISPUTE_TYPES, filing), now });
+  }
+
+  async function vote(context, dispute, operator, decision) {
+    const value = { disputeId: dispute.disputeId, decision, note: "" };
+    return castVote({ ...context, vote: value, signature: await signTyped(operator, domain, VOTE_TYPES, value), now: await chainTime() });
+  }
+
+  it("files a dispute signed by a party to the swap", async function () {
+    const { context, policy } = setUp("filing");
+    const swapId = await openSwap(3600);
+    await assert.rejects(file(context, policy, swapId, { signer: stranger }), new RegExp(`initiator or participant can file a dispute, not ${stranger.address}`));
+
+    const dispute = await file(context, policy, swapId);
+    assert.strictEqual(dispute.status, "open");
+    assert.strictEqual(dispute.role, "initiator");
+    const { startTime, timeLockDuration } = await swap.swaps(swapId);
+    assert.strictEqual(dispute.deadline, Number(startTime + timeLockDuration), "the timelock ends before the 24h window");
+    await assert.rejects(file(context, policy, swapId, { signer: bob, reason: "late delivery" }), /already has open dispute/);
+  });
+
+  it("reverses the swap once the threshold of operators votes for it", async function () {
+    const { context, policy } = setUp("reverse");
+    const swapId = await openSwap();
+    let dispute = await file(context, policy, swapId);
+
+    dispute = await vote(context, dispute, operators[0], "reverse");
+    assert.strictEqual(dispute.status, "open");
+    await assert.rejects(vote(context, dispute, operators[0], "reverse"), /has already voted/);
+    await assert.rejects(vote(context, dispute, stranger, "reverse"), /is not one of the dispute's operators/);
+    dispute = await vote(context, dispute, operators[1], "reverse");
+    assert.strictEqual(dispute.status, "approved");
+    assert.deepStrictEqual(tally(dispute), { reverse: 2, reject: 0, needed: 2, decided: "reverse" });
+
+    // reverseSwap also returns bob's amount, which the contract does not hold yet.
+    await processDisputes({ ...context, signer: operators[0], now: await chainTime(), ...quiet });
+    dispute = loadDispute("hardhat", dispute.disputeId, context.dir);
+    assert.strictEqual(dispute.status, "approved");
+    assert.match(dispute.lastError, /holds 0 of the participant token but reverseSwap returns 40/);
+
+    await (await bobToken.connect(bob).send(await addressOf(swap), 40, "0x")).wait();
+    const aliceBefore = await aliceToken.balanceOf(alice.address);
+    const [reversed] = await processDisputes({ ...context, signer: operators[0], now: await chainTime(), ...quiet });
+    assert.strictEqual(reversed.status, "reversed");
+    assert.strictEqual((await swap.swaps(swapId)).isRefunded, true);
+    assert.strictEqual(await aliceToken.balanceOf(alice.address), aliceBefore + 100n);
+    assert.strictEqual(verifyTrail(reversed), -1);
+  });
+
+  it("rejects a dispute once the threshold can no longer be met", async function () {
+    const { context, policy } = setUp("reject");
+    let dispute = await file(context, policy, await openSwap());
+
+    dispute = await vote(context, dispute, operators[0], "reject");
+    assert.strictEqual(dispute.status, "open");
+    dispute = await vote(context, dispute, operators[1], "reject");
+    assert.strictEqual(dispute.status, "rejected");
+    assert.strictEqual(tally(dispute).decided, "reject");
+    await assert.rejects(vote(context, dispute, operators[2], "reverse"), /is rejected/);
+  });
+
+  it("rejects a dispute left undecided past its deadline", async function () {
+    const { context, policy } = setUp("expiry", "1h");
+    const swapId = await openSwap();
+    let dispute = await file(context, policy, swapId);
+    dispute = await vote(context, dispute, operators[0], "reverse");
+
+    await increaseTime(3601);
+    await assert.rejects(vote(context, dispute, operators[1], "reverse"), /passed its deadline/);
+    const [expired] = await processDisputes({ ...context, signer: operators[0], now: await chainTime(), ...quiet });
+    assert.strictEqual(expired.status, "rejected");
+    assert.match(expired.trail[expired.trail.length - 1].reason, /deadline passed/);
+    assert.strictEqual((await swap.swaps(swapId)).isRefunded, false);
+  });
+
+  it("detects an edited or removed trail entry", async function () {
+    const { context, policy } = setUp("trail");
+    let dispute = await file(context, policy, await openSwap());
+    dispute = await vote(context, dispute, operators[0], "reject");
+    dispute = await vote(context, dispute, operators[1], "reverse");
+    assert.strictEqual(verifyTrail(dispute), -1);
+
+    const edited = JSON.parse(JSON.stringify(dispute));
+    edited.trail[1].vote.decision = "reverse";
+    assert.strictEqual(verifyTrail(edited), 1);
+
+    const removed = { ...dispute, trail: dispute.trail.filter((entry, index) => index !== 1) };
+    assert.strictEqual(verifyTrail(removed), 1);
+  });
+});
@@ -0,0 +1,115 @@
+// Shared by the tests, which run on the in-process Hardhat network with `npx hardhat test`.
+// Every file the tooling writes (registry, state, audit logs) goes to a scratch directory, so
+// a test run never touches the repository's own deployments/, kyc/ or aml/ folders. This
+// module must be required before any scripts/lib module, which read these paths on load.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "catalogue-tests-"));
+for (const [name, folder] of Object.entries({
+  DEPLOYMENTS_DIR: "deployments",
+  KYC_DIR: "kyc",
+  AML_DIR: "aml",
+  CLAIMS_DIR: "claims",
+  KEEPER_DIR: "keeper",
+  INDEXER_DIR: "indexer",
+  ORACLE_DIR: "oracle",
+  MILESTONES_DIR: "milestones",
+  NETTING_DIR: "netting",
+  DISPUTES_DIR: "disputes",
+  SWAPS_DIR: "swaps",
+  BATCH_SWAPS_DIR: "batch-swaps",
+  ORDERBOOK_DIR: "orderbook",
+})) {
+  process.env[name] = path.join(scratch, folder);
+}
+
+const hre = require("hardhat");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { waitForDeployment } = require("../scripts/lib/deploy");
+
+const ERC1820_REGISTRY = "0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24";
+
+/**
+ * Deploys an artifact from `signer` (default: the first account) and returns the contract.
+ */
+async function deploy(contractName, args = [], signer) {
+  const { abi, bytecode } = await hre.artifacts.readArtifact(contractName);
+  const from = signer || (await hre.ethers.getSigners())[0];
+  const contract = await new hre.ethers.ContractFactory(abi, bytecode, from).deploy(...args);
+  await waitForDeployment(contract);
+  return contract;
+}
+
+/**
+ * Moves the chain's clock forward and mines a block, on the in-process network unless another
+ * chain's `provider` is given.
+ */
+async function increaseTime(seconds, provider = hre.network.provider) {
+  await provider.send("evm_increaseTime", [seconds]);
+  await provider.send("evm_mine", []);
+}
+
+// A fresh in-process chain with its own chain ID, as an EIP-1193 provider.
+async function chainProvider(chainId) {
+  const config = { ...hre.config, networks: { ...hre.config.networks, hardhat: { ...hre.config.networks.hardhat, chainId } } };
+  return createProvider(config, "hardhat", hre.artifacts);
+}
+
+/**
+ * A second in-process chain with its own chain ID, standing in for another network.
+ */
+async function otherChain(chainId) {
+  return new hre.ethers.BrowserProvider(await chainProvider(chainId));
+}
+
+/**
+ * Like otherChain, but served over HTTP on a free local port for code that only takes an RPC
+ * URL, such as a fork. Resolves with { url, provider, close }.
+ */
+async function serveChain(chainId) {
+  const chain = await chainProvider(chainId);
+  const server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: chain });
+  const { address, port } = await server.listen();
+  return { url: `http://${address}:${port}`, provider: new hre.ethers.BrowserProvider(chain), close: server.close };
+}
+
+/**
+ * Resolves once `predicate()` holds, checking every 20ms; fails after `timeout` ms.
+ */
+async function eventually(predicate, timeout = 10000) {
+  const until = Date.now() + timeout;
+  while (!(await predicate())) {
+    if (Date.now() > until) {
+      throw new Error("Timed out waiting for a condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Resolves with the revert reason of a transaction that must fail, or throws if it succeeds.
+ */
+async function revertReason(transaction) {
+  try {
+    await (await transaction).wait();
+  } catch (error) {
+    return String(error.reason || error.shortMessage || error.message);
+  }
+  throw new Error("The transaction did not revert");
+}
+
+/**
+ * Puts ERC1820TestRegistry's code at the ERC1820 registry's address, which ERC777 tokens and
+ * their recipients call in their constructors. Safe to call more than once.
+ */
+async function installERC1820() {
+  const { deployedBytecode } = await hre.artifacts.readArtifact("ERC1820TestRegistry");
+  if ((await hre.ethers.provider.getCode(ERC1820_REGISTRY)) === "0x") {
+    await hre.network.provider.send("hardhat_setCode", [ERC1820_REGISTRY, deployedBytecode]);
+  }
+}
+
+module.exports = { scratch, deploy, increaseTime, otherChain, serveChain, eventually, revertReason, installERC1820 };
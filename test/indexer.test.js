@@ -0,0 +1,52 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+require("./helpers");
+const { createOrderBook, submitTrades, tradesFile } = require("../scripts/lib/orderbook");
+const { databaseFile, lifecycles } = require("../scripts/lib/indexer");
+
+const NETWORK = "indexer-test";
+const CONTRACT = "0x00000000000000000000000000000000000005e7";
+const TOKEN = "0x0000000000000000000000000000000000000777";
+const BUYER = "0x00000000000000000000000000000000000000b1";
+const SELLER = "0x00000000000000000000000000000000000000c5";
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+
+// A RealTimeSettlementContract that accepts every createTrade.
+function settlementContract() {
+  let sent = 0;
+  return {
+    target: CONTRACT,
+    trades: async () => ({ buyer: ZERO_ADDRESS }),
+    createTrade: async () => {
+      sent += 1;
+      return { hash: `0x${String(sent).padStart(64, "0")}`, wait: async () => ({ blockNumber: 10 + sent }) };
+    },
+  };
+}
+
+describe("settlement indexer", function () {
+  it("lists trades the order book created as open until an event closes them", async function () {
+    const book = createOrderBook({ domain: {} });
+    const drained = submitTrades(book, settlementContract(), { log: () => {}, file: tradesFile(NETWORK) });
+    const trade = (tradeId) => ({ tradeId, buyer: BUYER, seller: SELLER, token: TOKEN, amount: "100" });
+    const settledId = "0x" + "11".repeat(32);
+    const openId = "0x" + "22".repeat(32);
+    book.events.emit("trade", trade(settledId));
+    book.events.emit("trade", trade(openId));
+    await drained();
+
+    const file = databaseFile(NETWORK);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const settled = { contract: CONTRACT, contractName: "RealTimeSettlementContract", event: "TradeSettled", id: settledId, blockNumber: 20, logIndex: 0, tx: "0xfeed", timestamp: Math.floor(Date.now() / 1000) + 60 };
+    settled.args = { buyer: BUYER, seller: SELLER, token: TOKEN, amount: "100" };
+    fs.writeFileSync(file, JSON.stringify({ contracts: { [CONTRACT]: { contractName: "RealTimeSettlementContract", nextBlock: 21 } }, blocks: {}, events: [settled] }));
+
+    const items = Object.fromEntries(lifecycles(NETWORK).map((item) => [item.id, item]));
+    assert.strictEqual(items[openId].status, "open");
+    assert.deepStrictEqual(items[openId].legs.map((leg) => leg.party), [BUYER, SELLER]);
+    assert.ok(items[openId].openedAt);
+    assert.strictEqual(items[settledId].status, "settled");
+    assert.deepStrictEqual(items[settledId].history.map((step) => step.event), ["createTrade", "TradeSettled"]);
+  });
+});
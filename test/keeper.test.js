@@ -0,0 +1,67 @@
+const assert = require("assert");
+const path = require("path");
+const { scratch, increaseTime } = require("./helpers");
+const hre = require("hardhat");
+const { processExpired } = require("../scripts/lib/keeper");
+
+const CONTRACT = "0x000000000000000000000000000000000000c0de";
+
+// A swap contract whose refund always reverts, as when it is paused or refunded elsewhere.
+function revertingSwap(calls) {
+  const contract = {
+    connect: () => contract,
+    swaps: async () => ({ isInitiated: true, isCompleted: false, isRefunded: false }),
+    refundSwap: async () => {
+      calls.push(Date.now());
+      throw new Error("Pausable: paused");
+    },
+  };
+  return contract;
+}
+
+describe("refund keeper", function () {
+  it("backs off a refund that keeps reverting and gives up after maxAttempts", async function () {
+    const signers = await hre.ethers.getSigners();
+    const now = Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+    const calls = [];
+    const item = {
+      contract: CONTRACT,
+      contractName: "TimeLockedAtomicSwap",
+      id: "0x01",
+      expiresAt: now - 10,
+      callers: [signers[0].address],
+      status: "open",
+      attempts: 0,
+    };
+    const keeper = {
+      network: "hardhat",
+      signers,
+      maxAttempts: 3,
+      dir: path.join(scratch, "keeper-backoff"),
+      log: () => {},
+      state: { contracts: {}, items: { [`${CONTRACT}:0x01`]: item } },
+      contracts: { [CONTRACT]: revertingSwap(calls) },
+    };
+
+    await processExpired(keeper);
+    assert.strictEqual(item.attempts, 1);
+    assert.ok(item.retryAt > now + 25, "the first retry waits about 30 seconds");
+
+    await processExpired(keeper);
+    assert.strictEqual(calls.length, 1, "nothing is sent while the item backs off");
+
+    await increaseTime(31);
+    await processExpired(keeper);
+    assert.strictEqual(item.attempts, 2);
+    const latest = Number((await hre.ethers.provider.getBlock("latest")).timestamp);
+    assert.ok(item.retryAt >= latest + 55, "the backoff doubles");
+
+    await increaseTime(61);
+    await processExpired(keeper);
+    assert.strictEqual(item.status, "failed");
+
+    await increaseTime(3600);
+    await processExpired(keeper);
+    assert.strictEqual(calls.length, 3, "a failed item is not retried");
+  });
+});
@@ -0,0 +1,165 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { scratch, deploy, increaseTime } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { saveDeployment } = require("../scripts/lib/registry");
+const { signTyped } = require("../scripts/lib/common");
+const {
+  importPlan,
+  loadProject,
+  missingApprovals,
+  approvalRequest,
+  approveMilestone,
+  createMilestones,
+  releaseDue,
+  projectFile,
+} = require("../scripts/lib/milestones");
+
+const quiet = { log: () => {} };
+
+function writePlan(name, milestones) {
+  const file = path.join(scratch, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(milestones));
+  return file;
+}
+
+async function approve(project, key, signer) {
+  const { domain, types, value } = approvalRequest(project, key, { network: "hardhat" });
+  return approveMilestone(project, key, await signTyped(signer, domain, types, value), { network: "hardhat" });
+}
+
+// Leaves a project as a run that stopped right after sending createMilestone would.
+function markSent(project, key, fields) {
+  const saved = loadProject(project);
+  Object.assign(saved.milestones.find((milestone) => milestone.milestone === key), { status: "sent", chainId: 31337, ...fields });
+  fs.writeFileSync(projectFile(project), JSON.stringify(saved, null, 2));
+}
+
+describe("milestone projects", function () {
+  let depositor, beneficiary, alice, carol, stranger, escrow, releaseTime;
+
+  before(async function () {
+    [depositor, beneficiary, alice, carol, stranger] = await hre.ethers.getSigners();
+    const token = await deploy("SwapTestToken", ["Escrow token", "ESC", depositor.address, "1000"]);
+    escrow = await deploy("MilestoneBasedEscrowContract", [depositor.address, beneficiary.address, await addressOf(token)]);
+    await (await token.approve(await addressOf(escrow), "400")).wait();
+    await (await escrow.depositFunds("400")).wait();
+    saveDeployment({
+      network: "hardhat",
+      name: "WebsiteEscrow",
+      contractName: "MilestoneBasedEscrowContract",
+      chainId: 31337,
+      address: await addressOf(escrow),
+      deployedAt: new Date().toISOString(),
+    });
+    releaseTime = Number((await hre.ethers.provider.getBlock("latest")).timestamp) + 3600;
+  });
+
+  it("takes each milestone's ID from its MilestoneCreated event", async function () {
+    // A milestone the depositor created outside the project takes ID 0.
+    await (await escrow.createMilestone("100", releaseTime)).wait();
+    importPlan(
+      writePlan("website", [
+        { milestone: "design", contract: "WebsiteEscrow", amount: "100", releaseTime, approvers: [alice.address, carol.address] },
+        { milestone: "build", contract: "WebsiteEscrow", amount: "200", releaseTime },
+      ])
+    );
+    const signers = await hre.ethers.getSigners();
+    const project = await createMilestones("website", { network: "hardhat", signers, ...quiet });
+
+    assert.deepStrictEqual(project.milestones.map((milestone) => milestone.milestoneId), [1, 2]);
+    for (const milestone of project.milestones) {
+      assert.strictEqual((await escrow.milestones(milestone.milestoneId)).amount.toString(), milestone.amount);
+    }
+  });
+
+  it("only counts approvals signed by the milestone's approvers", async function () {
+    const { domain, types, value } = approvalRequest("website", "design");
+    assert.throws(() => approveMilestone("website", "design", "0x1234"), /Invalid signature/);
+    const forged = await signTyped(stranger, domain, types, value);
+    assert.throws(() => approveMilestone("website", "design", forged), /who is not an approver/);
+    const otherMilestone = await signTyped(alice, domain, types, { ...value, milestone: "build" });
+    assert.throws(() => approveMilestone("website", "design", otherMilestone), /who is not an approver/);
+    const otherChain = await signTyped(alice, { ...domain, chainId: 1 }, types, value);
+    assert.throws(() => approveMilestone("website", "design", otherChain), /who is not an approver/);
+    const otherEscrow = await signTyped(alice, domain, types, { ...value, escrow: stranger.address });
+    assert.throws(() => approveMilestone("website", "design", otherEscrow), /who is not an approver/);
+
+    const { by } = await approve("website", "design", alice);
+    assert.strictEqual(by, alice.address);
+    await assert.rejects(approve("website", "design", alice), /has already approved/);
+    assert.deepStrictEqual(missingApprovals(loadProject("website").milestones[0]), [carol.address]);
+  });
+
+  it("releases a due milestone once every approver has signed it off", async function () {
+    const signers = await hre.ethers.getSigners();
+    await increaseTime(3601);
+    let result = await releaseDue("website", { signers, ...quiet });
+    assert.deepStrictEqual(result.released, ["build"]);
+    assert.match(result.waiting[0].reason, new RegExp(`awaiting approval by ${carol.address}`));
+
+    await approve("website", "design", carol);
+    result = await releaseDue("website", { signers, ...quiet });
+    assert.deepStrictEqual(result.released, ["design"]);
+    assert.strictEqual((await escrow.milestones(1)).isReleased, true);
+  });
+
+  it("drops a sign-off when a later import changes the milestone's terms", async function () {
+    const plan = { milestone: "launch", contract: "WebsiteEscrow", amount: "50", releaseTime: releaseTime + 86400, approvers: [alice.address] };
+    importPlan(writePlan("launch", [plan]));
+    await approve("launch", "launch", alice);
+    assert.deepStrictEqual(missingApprovals(loadProject("launch").milestones[0]), []);
+
+    importPlan(writePlan("launch", [{ ...plan, amount: "60" }]));
+    assert.deepStrictEqual(missingApprovals(loadProject("launch").milestones[0]), [alice.address]);
+    await approve("launch", "launch", alice);
+    assert.strictEqual(loadProject("launch").milestones[0].approvals.length, 1);
+  });
+
+  it("binds a sign-off to the escrow's address and chain", function () {
+    const { domain, value } = approvalRequest("website", "design");
+    assert.deepStrictEqual(domain, { name: "MilestoneApprovals", version: "1", chainId: 31337 });
+    assert.strictEqual(value.escrow, loadProject("website").milestones[0].address);
+    importPlan(writePlan("unplaced", [{ milestone: "a", contract: "WebsiteEscrow", amount: "1", releaseTime }]));
+    assert.throws(() => approvalRequest("unplaced", "a"), /not on a network yet/);
+  });
+
+  it("picks up milestones a stopped run left sent", async function () {
+    const due = Number((await hre.ethers.provider.getBlock("latest")).timestamp) + 86400;
+    const token = await hre.ethers.getContractAt("SwapTestToken", await escrow.escrowToken());
+    await (await token.approve(await addressOf(escrow), "60")).wait();
+    await (await escrow.depositFunds("60")).wait();
+    importPlan(
+      writePlan("resume", [
+        { milestone: "mined", contract: "WebsiteEscrow", amount: "10", releaseTime: due },
+        { milestone: "replaced", contract: "WebsiteEscrow", amount: "20", releaseTime: due },
+        { milestone: "dropped", contract: "WebsiteEscrow", amount: "30", releaseTime: due },
+      ])
+    );
+    const sentBlock = await hre.ethers.provider.getBlockNumber();
+    const mined = await (await escrow.createMilestone("10", due)).wait();
+    // Sent with a higher fee under another hash; only its event tells which milestone it made.
+    await (await escrow.createMilestone("20", due)).wait();
+    const common = { address: await addressOf(escrow), beneficiary: beneficiary.address, sentBlock };
+    markSent("resume", "mined", { ...common, createTx: mined.hash });
+    markSent("resume", "replaced", { ...common, createTx: "0x" + "ab".repeat(32) });
+    markSent("resume", "dropped", { ...common, createTx: "0x" + "cd".repeat(32) });
+
+    const signers = await hre.ethers.getSigners();
+    const project = await createMilestones("resume", { network: "hardhat", signers, ...quiet });
+    const [first, second, third] = project.milestones;
+    assert.deepStrictEqual(project.milestones.map((milestone) => milestone.status), ["created", "created", "created"]);
+    assert.strictEqual((await escrow.milestones(first.milestoneId)).amount.toString(), "10");
+    assert.strictEqual((await escrow.milestones(second.milestoneId)).amount.toString(), "20");
+    assert.notStrictEqual(first.milestoneId, second.milestoneId);
+    assert.notStrictEqual(third.createTx, "0x" + "cd".repeat(32), "the dropped milestone was sent again");
+    assert.strictEqual((await escrow.milestones(third.milestoneId)).amount.toString(), "30");
+  });
+
+  it("refuses approvers that are not addresses", function () {
+    const file = writePlan("names", [{ milestone: "design", contract: "WebsiteEscrow", amount: "1", releaseTime, approvers: ["alice"] }]);
+    assert.throws(() => importPlan(file), /approver "alice" must be an address/);
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require("assert");
+require("./helpers");
+const { GAS_MODEL, batchGas, maxTokensPerBatch, nettingPlan, reconcile, reconciliationCsv } = require("../scripts/lib/netting");
+
+const A = "0x000000000000000000000000000000000000000a";
+const B = "0x000000000000000000000000000000000000000b";
+const C = "0x000000000000000000000000000000000000000c";
+
+function trade(tradeId, seller, buyer, tokenId, amount) {
+  return { tradeId, seller, buyer, tokenId: String(tokenId), amount: String(amount) };
+}
+
+function legs(plan) {
+  return plan.batches.map((batch) => [batch.seller, batch.buyer, batch.tokenIds, batch.amounts]);
+}
+
+function allocated(plan) {
+  return plan.reconciliation.map((row) => [row.tradeId, row.settled, row.offset, row.allocations.map((allocation) => allocation.amount)]);
+}
+
+describe("batch netting", function () {
+  it("nets each pair bilaterally and allocates the legs to the trades in the net direction", function () {
+    const trades = [trade("t1", A, B, 1, 10), trade("t2", B, A, 1, 4), trade("t3", A, B, 2, 3), trade("t4", B, C, 1, 5)];
+    const plan = nettingPlan(trades, { label: "bilateral", mode: "bilateral" });
+
+    assert.deepStrictEqual(legs(plan), [
+      [A, B, ["1", "2"], ["6", "3"]],
+      [B, C, ["1"], ["5"]],
+    ]);
+    assert.deepStrictEqual(allocated(plan), [
+      ["t1", "6", "4", ["6"]],
+      ["t2", "0", "4", []],
+      ["t3", "3", "0", ["3"]],
+      ["t4", "5", "0", ["5"]],
+    ]);
+    assert.strictEqual(plan.reconciliation[1].settlement, "offset");
+    assert.deepStrictEqual(plan.summary, { trades: 4, grossTransfers: 4, netTransfers: 3, batches: 2, offsetTrades: 1 });
+  });
+
+  it("nets every party multilaterally and allocates each leg to the seller's trades", function () {
+    const trades = [trade("t1", A, B, 1, 5), trade("t2", B, C, 1, 5), trade("t3", C, A, 1, 2), trade("t4", A, C, 1, 1)];
+    const plan = nettingPlan(trades, { label: "multilateral" });
+
+    assert.deepStrictEqual(plan.positions, { 1: { [A]: "-4", [B]: "0", [C]: "4" } });
+    assert.deepStrictEqual(legs(plan), [[A, C, ["1"], ["4"]]]);
+    assert.deepStrictEqual(allocated(plan), [
+      ["t1", "4", "1", ["4"]],
+      ["t2", "0", "5", []],
+      ["t3", "0", "2", []],
+      ["t4", "0", "1", []],
+    ]);
+    assert.deepStrictEqual(plan.reconciliation[0].batchIds, [plan.batches[0].batchId]);
+  });
+
+  it("spreads a trade over the legs of every batch its seller pays into", function () {
+    const trades = [trade("t1", A, B, 1, 6), trade("t2", B, C, 1, 2), trade("t3", A, C, 1, 1)];
+    const plan = nettingPlan(trades, { label: "spread" });
+
+    assert.deepStrictEqual(legs(plan), [
+      [A, B, ["1"], ["4"]],
+      [A, C, ["1"], ["3"]],
+    ]);
+    assert.deepStrictEqual(allocated(plan), [
+      ["t1", "6", "0", ["4", "2"]],
+      ["t2", "0", "2", []],
+      ["t3", "1", "0", ["1"]],
+    ]);
+    const csv = reconciliationCsv(plan.reconciliation).split("\n");
+    assert.strictEqual(csv[0], "tradeId,seller,buyer,tokenId,amount,settlement,settled,offset,allocations");
+    assert.strictEqual(csv[1], `t1,${A},${B},1,6,batch,6,0,${plan.batches[0].batchId}:4;${plan.batches[1].batchId}:2`);
+  });
+
+  it("splits a batch so that neither call is estimated above the gas limit", function () {
+    const trades = [1, 2, 3, 4, 5].map((tokenId) => trade(`t${tokenId}`, A, B, tokenId, 1));
+    const maxGas = GAS_MODEL.create.base + GAS_MODEL.create.perToken * 2;
+    assert.strictEqual(maxTokensPerBatch(maxGas), 2);
+
+    const plan = nettingPlan(trades, { label: "split", maxGas });
+    assert.deepStrictEqual(plan.batches.map((batch) => batch.tokenIds), [["1", "2"], ["3", "4"], ["5"]]);
+    assert.ok(plan.batches.every((batch) => batch.estimatedGas.create <= maxGas && batch.estimatedGas.settle <= maxGas));
+    assert.deepStrictEqual(plan.batches[2].estimatedGas, batchGas(1));
+    assert.strictEqual(new Set(plan.batches.map((batch) => batch.batchId)).size, 3);
+
+    const again = nettingPlan(trades, { label: "split", maxGas });
+    assert.deepStrictEqual(again.batches.map((batch) => batch.batchId), plan.batches.map((batch) => batch.batchId));
+    assert.notStrictEqual(nettingPlan(trades, { label: "other", maxGas }).batches[0].batchId, plan.batches[0].batchId);
+    assert.throws(() => maxTokensPerBatch(GAS_MODEL.create.base), /does not fit a batch of even one token ID/);
+  });
+
+  it("refuses batches the trades do not account for", function () {
+    const trades = [trade("t1", A, B, 1, 5), trade("t2", B, A, 1, 2)];
+    const { batches } = nettingPlan(trades, { label: "tampered", mode: "bilateral" });
+    assert.doesNotThrow(() => reconcile(trades, batches, "bilateral"));
+
+    const inflated = batches.map((batch) => ({ ...batch, amounts: ["6"] }));
+    assert.throws(() => reconcile(trades, inflated, "bilateral"), /1 of 6 is not netted by any trade/);
+    const reversed = batches.map((batch) => ({ ...batch, seller: B, buyer: A, amounts: ["3"] }));
+    assert.throws(() => reconcile(trades, reversed, "bilateral"), /1 of 3 is not netted by any trade/);
+  });
+});
@@ -0,0 +1,173 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { scratch, deploy } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const {
+  GAS_MODEL,
+  diffRoster,
+  buildSteps,
+  planOnboarding,
+  loadOnboarding,
+  savePlan,
+  submitOnboarding,
+  writeReport,
+  verifyReport,
+} = require("../scripts/lib/onboarding");
+
+const quiet = { log: () => {} };
+
+function wallets(count) {
+  return Array.from({ length: count }, () => hre.ethers.Wallet.createRandom().address.toLowerCase());
+}
+
+function writeRoster(name, rows) {
+  const file = path.join(scratch, `${name}.csv`);
+  const lines = rows.map((row) => [row.address, row.kyc, row.restricted || "", row.reason || ""].join(","));
+  fs.writeFileSync(file, ["address,kyc,restricted,reason", ...lines].join("\n") + "\n");
+  return file;
+}
+
+function planPath(dir, label) {
+  return path.join(dir, "hardhat", "onboarding", label, "plan.json");
+}
+
+describe("KYC onboarding", function () {
+  it("turns only the differences from the chain into steps, tightening first", function () {
+    const [alice, bob, carol, dave] = wallets(4);
+    const statuses = {
+      [alice]: { approved: true, restricted: false },
+      [bob]: { approved: false, restricted: true },
+      [carol]: { approved: true, restricted: false },
+      [dave]: { approved: true, restricted: true },
+    };
+    const rows = [
+      { address: alice, kyc: "approved", restricted: null, reason: "" },
+      { address: bob, kyc: "approved", restricted: false, reason: "cleared" },
+      { address: carol, kyc: "revoked", restricted: true, reason: "sanctions" },
+      { address: dave, kyc: "approved", restricted: null, reason: "" },
+    ];
+    const changes = diffRoster(rows, statuses);
+    assert.deepStrictEqual(changes.map((change) => [change.address, change.methods]), [
+      [bob, ["approveKYCInBatch", "unrestrict"]],
+      [carol, ["revokeKYCInBatch", "restrict"]],
+    ]);
+
+    const steps = buildSteps(changes, { label: "october" });
+    assert.deepStrictEqual(steps.map((step) => [step.step, step.method, step.users, step.reason]), [
+      [1, "restrict", [carol], "sanctions"],
+      [2, "revokeKYCInBatch", [carol], undefined],
+      [3, "approveKYCInBatch", [bob], undefined],
+      [4, "unrestrict", [bob], "cleared"],
+    ]);
+  });
+
+  it("chunks batches so each is modelled under the gas limit", function () {
+    const users = wallets(5);
+    const changes = users.map((address) => ({ address, methods: ["approveKYCInBatch"] }));
+    const maxGas = GAS_MODEL.batch.base + GAS_MODEL.batch.perUser * 2;
+    const steps = buildSteps(changes, { label: "chunks", maxGas });
+    assert.deepStrictEqual(steps.map((step) => step.users.length), [2, 2, 1]);
+    assert.ok(steps.every((step) => step.estimatedGas <= maxGas && step.status === "pending"));
+    assert.throws(() => buildSteps(changes, { label: "chunks", maxGas: GAS_MODEL.single - 1 }), /does not fit a call for even one wallet/);
+  });
+
+  describe("on BatchKYCAMLComplianceContract", function () {
+    let officer, contract, record;
+
+    beforeEach(async function () {
+      [, officer] = await hre.ethers.getSigners();
+      contract = await deploy("BatchKYCAMLComplianceContract", ["", officer.address]);
+      record = { name: "InvestorRegistry", address: await addressOf(contract) };
+    });
+
+    async function plan(label, rows, options = {}) {
+      const dir = path.join(scratch, "onboarding", label);
+      const planned = await planOnboarding(writeRoster(label, rows), { network: "hardhat", record, label, ...options });
+      savePlan(planned, dir);
+      return dir;
+    }
+
+    function editPlan(dir, label, change) {
+      const saved = loadOnboarding("hardhat", label, dir);
+      change(saved);
+      fs.writeFileSync(planPath(dir, label), JSON.stringify(saved, null, 2));
+    }
+
+    it("splits a batch whose on-chain estimate is over the limit", async function () {
+      const users = wallets(4);
+      const dir = await plan("split", users.map((address) => ({ address, kyc: "approved" })));
+      const estimate = (batch) => contract.connect(officer).approveKYCInBatch.estimateGas(batch);
+      const [two, four] = [await estimate(users.slice(0, 2)), await estimate(users)];
+      editPlan(dir, "split", (saved) => (saved.maxGas = Number((two + four) / 2n)));
+
+      const result = await submitOnboarding("hardhat", "split", { signer: officer, dir, ...quiet });
+      assert.deepStrictEqual(result.steps.map((step) => [step.step, step.users.length, step.status]), [
+        [1, 2, "done"],
+        ["1b", 2, "done"],
+      ]);
+      for (const user of users) {
+        assert.strictEqual(await contract.isKYCApproved(user), true);
+      }
+    });
+
+    it("resumes after a failed step without repeating the steps before it", async function () {
+      const [alice, bob, carol] = wallets(3);
+      const dir = await plan(
+        "resume",
+        [
+          { address: alice, kyc: "approved", restricted: "yes", reason: "pending review" },
+          { address: bob, kyc: "approved", restricted: "yes", reason: "x".repeat(4000) },
+          { address: carol, kyc: "approved" },
+        ],
+        { maxGas: 120000 }
+      );
+
+      let result = await submitOnboarding("hardhat", "resume", { signer: officer, dir, ...quiet });
+      assert.deepStrictEqual(result.steps.map((step) => step.status), ["done", "failed", "pending", "pending"]);
+      assert.match(result.steps[1].error, /over the limit of 120000/);
+      const firstTx = result.steps[0].txHash;
+
+      editPlan(dir, "resume", (saved) => (saved.maxGas = 3000000));
+      result = await submitOnboarding("hardhat", "resume", { signer: officer, dir, ...quiet });
+      assert.deepStrictEqual(result.steps.map((step) => step.status), ["done", "done", "done", "done"]);
+      assert.strictEqual(result.steps[0].txHash, firstTx);
+      assert.strictEqual(await contract.isRestricted(bob), true);
+      assert.strictEqual(await contract.isKYCApproved(carol), true);
+    });
+
+    it("does not send a step again when the last run stopped after sending it", async function () {
+      const users = wallets(2);
+      const dir = await plan("sent", users.map((address) => ({ address, kyc: "approved" })));
+      const tx = await contract.connect(officer).approveKYCInBatch(users);
+      await tx.wait();
+      editPlan(dir, "sent", (saved) => Object.assign(saved.steps[0], { status: "sent", txHash: tx.hash }));
+
+      const block = await hre.ethers.provider.getBlockNumber();
+      const result = await submitOnboarding("hardhat", "sent", { signer: officer, dir, ...quiet });
+      assert.deepStrictEqual([result.steps[0].status, result.steps[0].note], ["done", "already applied"]);
+      assert.strictEqual(await hre.ethers.provider.getBlockNumber(), block, "nothing was sent");
+    });
+
+    it("signs the change report over the hash's bytes and detects edits", async function () {
+      const [alice] = wallets(1);
+      const dir = await plan("report", [{ address: alice, kyc: "approved", restricted: "yes", reason: "new investor" }]);
+      await submitOnboarding("hardhat", "report", { signer: officer, dir, ...quiet });
+
+      const { reportFile, report } = await writeReport("hardhat", "report", { signer: officer, dir });
+      assert.strictEqual(report.complete, true);
+      assert.deepStrictEqual(report.changes[0].now, { approved: true, restricted: true });
+      assert.deepStrictEqual(verifyReport(reportFile), { ok: true, signer: officer.address, report });
+
+      // What a contract's ECDSA.recover(ECDSA.toEthSignedMessageHash(hash), signature) returns.
+      const { hash, signature } = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+      assert.strictEqual(hre.ethers.recoverAddress(hre.ethers.hashMessage(hre.ethers.getBytes(hash)), signature), officer.address);
+
+      const signed = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+      signed.report.changes[0].applied = false;
+      fs.writeFileSync(reportFile, JSON.stringify(signed));
+      assert.strictEqual(verifyReport(reportFile).problem, "the report was changed after it was signed");
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require("assert");
+require("./helpers");
+const { createWebhookAdapter, webhookSignature } = require("../scripts/lib/oracle-adapters");
+
+const SECRET = "test-secret";
+
+function signed(route, { timestamp = Math.floor(Date.now() / 1000), body = '{"holds":true}' } = {}) {
+  const signature = webhookSignature(SECRET, { method: "POST", path: route, timestamp, body });
+  return { timestamp, body, signature };
+}
+
+async function post(adapter, route, { timestamp, body, signature }) {
+  const response = await fetch(`http://127.0.0.1:${adapter.port}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Oracle-Timestamp": String(timestamp), "X-Oracle-Signature": signature },
+    body,
+  });
+  return response.status;
+}
+
+describe("webhook adapter", function () {
+  const observations = {};
+  const context = { observations, changed: () => {}, log: () => {} };
+  let adapter;
+
+  beforeEach(async function () {
+    adapter = createWebhookAdapter({ port: 0, secret: SECRET }, context);
+    adapter.port = (await adapter.start()).port;
+  });
+
+  afterEach(async function () {
+    await adapter.stop();
+  });
+
+  it("records a signed report", async function () {
+    assert.strictEqual(await post(adapter, "/conditions/delivery-1", signed("/conditions/delivery-1")), 200);
+    assert.strictEqual(adapter.read({ key: "delivery-1" }).holds, true);
+  });
+
+  it("refuses a report replayed to the same key, also after a restart", async function () {
+    const report = signed("/conditions/delivery-2");
+    assert.strictEqual(await post(adapter, "/conditions/delivery-2", report), 200);
+    assert.strictEqual(await post(adapter, "/conditions/delivery-2", report), 409);
+
+    await adapter.stop();
+    adapter = createWebhookAdapter({ port: 0, secret: SECRET }, context);
+    adapter.port = (await adapter.start()).port;
+    assert.strictEqual(await post(adapter, "/conditions/delivery-2", report), 409);
+  });
+
+  it("refuses a report signed for another key", async function () {
+    const report = signed("/conditions/delivery-3");
+    assert.strictEqual(await post(adapter, "/conditions/delivery-4", report), 401);
+    assert.strictEqual(adapter.read({ key: "delivery-4" }).holds, false);
+  });
+
+  it("refuses a report with a stale timestamp", async function () {
+    const report = signed("/conditions/delivery-5", { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.strictEqual(await post(adapter, "/conditions/delivery-5", report), 401);
+  });
+
+  it("refuses a report older than the last one accepted for its key", async function () {
+    const now = Math.floor(Date.now() / 1000);
+    const older = signed("/conditions/delivery-6", { timestamp: now - 10, body: '{"holds":false}' });
+    assert.strictEqual(await post(adapter, "/conditions/delivery-6", signed("/conditions/delivery-6", { timestamp: now })), 200);
+    assert.strictEqual(await post(adapter, "/conditions/delivery-6", older), 409);
+    assert.strictEqual(adapter.read({ key: "delivery-6" }).holds, true);
+  });
+});
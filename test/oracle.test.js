@@ -0,0 +1,94 @@
+const assert = require("assert");
+const path = require("path");
+const { scratch, deploy, installERC1820 } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { saveDeployment } = require("../scripts/lib/registry");
+const { validateOracleConfig, createOracle, runOracle, readAudit } = require("../scripts/lib/oracle");
+
+const quiet = () => {};
+
+async function record(name, contractName, contract) {
+  saveDeployment({
+    network: "hardhat",
+    name,
+    contractName,
+    chainId: 31337,
+    address: await addressOf(contract),
+    blockNumber: await hre.ethers.provider.getBlockNumber(),
+    deployedAt: new Date().toISOString(),
+  });
+}
+
+// An oracle with its own state directory, driving `escrows` with the simulated source.
+async function oracleFor(name, escrows, owner) {
+  const config = validateOracleConfig({ escrows });
+  const dir = path.join(scratch, "oracle", name);
+  const oracle = await createOracle({ network: "hardhat", config, signer: owner, dir, log: quiet });
+  return { oracle, dir, simulated: oracle.adapters.simulated, pass: () => runOracle(oracle, { once: true }) };
+}
+
+describe("condition oracle", function () {
+  let owner, depositor, beneficiary, seller, buyer;
+
+  before(async function () {
+    [owner, depositor, beneficiary, seller, buyer] = await hre.ethers.getSigners();
+    await installERC1820();
+  });
+
+  it("releases a ConditionalRealTimeEscrow once it is funded and every condition holds", async function () {
+    const token = await deploy("ERC777TestToken", [depositor.address, 100]);
+    const escrow = await deploy("ConditionalRealTimeEscrow", [await addressOf(token), depositor.address, beneficiary.address, 50, "delivered"]);
+    await record("DeliveryEscrow", "ConditionalRealTimeEscrow", escrow);
+    const { oracle, dir, simulated, pass } = await oracleFor(
+      "conditional",
+      [{ contract: "DeliveryEscrow", conditions: [{ source: "simulated", key: "{condition}" }, { source: "simulated", key: "inspected" }] }],
+      owner
+    );
+    const tracked = () => Object.values(oracle.state.escrows)[0];
+
+    simulated.set("delivered", true);
+    await pass();
+    assert.strictEqual(tracked().status, "waiting");
+    assert.deepStrictEqual(tracked().checks.map((check) => check.holds), [true, false]);
+
+    simulated.set("inspected", true);
+    await pass();
+    assert.strictEqual(tracked().status, "waiting");
+    assert.match(tracked().lastError, /not funded/);
+    assert.strictEqual((await escrow.getEscrowDetails())._fundsReleased, false);
+
+    await (await token.connect(depositor).send(await addressOf(escrow), 50, "0x")).wait();
+    await pass();
+    assert.strictEqual(tracked().status, "released");
+    assert.strictEqual((await escrow.getEscrowDetails())._fundsReleased, true);
+    assert.strictEqual(await token.balanceOf(beneficiary.address), 50n);
+    assert.ok(readAudit("hardhat", dir).some((entry) => entry.action === "released" && entry.tx === tracked().tx));
+  });
+
+  it("tracks every escrow an NFTEscrow creates and leaves those refunded elsewhere alone", async function () {
+    const token = await deploy("ERC1155TestToken", [seller.address, [1, 2], [10, 10]]);
+    const escrow = await deploy("NFTEscrow", [await addressOf(token)]);
+    await record("ArtEscrow", "NFTEscrow", escrow);
+    await (await token.connect(seller).setApprovalForAll(await addressOf(escrow), true)).wait();
+    await (await escrow.connect(seller).createEscrow(buyer.address, [1], [4], "shipped")).wait();
+    await (await escrow.connect(seller).createEscrow(buyer.address, [2], [6], "shipped")).wait();
+
+    const { oracle, simulated, pass } = await oracleFor(
+      "nft",
+      [{ contract: "ArtEscrow", conditions: [{ source: "simulated", key: "escrow-{escrowId}" }] }],
+      owner
+    );
+    await pass();
+    const escrows = Object.values(oracle.state.escrows);
+    assert.deepStrictEqual(escrows.map((item) => [item.escrowId, item.status]), [["0", "waiting"], ["1", "waiting"]]);
+
+    await (await escrow.connect(seller).refundFunds(1)).wait();
+    simulated.set("escrow-0", true);
+    await pass();
+    assert.deepStrictEqual(escrows.map((item) => item.status), ["released", "refunded"]);
+    assert.strictEqual(escrows[1].tx, undefined, "nothing is sent for an escrow closed elsewhere");
+    assert.strictEqual(await token.balanceOf(buyer.address, 1), 4n);
+    assert.strictEqual(await token.balanceOf(seller.address, 2), 10n);
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require("assert");
+const { deploy, installERC1820 } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { signTyped } = require("../scripts/lib/common");
+const {
+  ORDER_TYPES,
+  CANCEL_TYPES,
+  orderDomain,
+  orderHash,
+  tradeIdOf,
+  createOrderBook,
+  submitOrder,
+  cancelOrder,
+  depth,
+  submitTrades,
+} = require("../scripts/lib/orderbook");
+
+const TOKEN = "0x0000000000000000000000000000000000000777";
+const SETTLEMENT = "0x00000000000000000000000000000000000005e7";
+const quiet = { log: () => {} };
+
+describe("order book", function () {
+  let signers, nonce;
+
+  before(async function () {
+    signers = await hre.ethers.getSigners();
+    nonce = 0;
+  });
+
+  function order(maker, side, amount, price, token = TOKEN) {
+    const expiry = Math.floor(Date.now() / 1000) + 3600;
+    const fields = { amount: String(amount), price: String(price), nonce: String(++nonce), expiry: String(expiry) };
+    return { maker: maker.address, side: side === "buy" ? 0 : 1, token, ...fields };
+  }
+
+  async function place(book, maker, side, amount, price, token) {
+    const value = order(maker, side, amount, price, token);
+    return submitOrder(book, { order: value, signature: await signTyped(maker, book.domain, ORDER_TYPES, value) });
+  }
+
+  it("fills the best price first and, at one price, the earliest order", async function () {
+    const [, alice, bob, carol, dave] = signers;
+    const book = createOrderBook({ domain: orderDomain(31337, SETTLEMENT) });
+    const high = await place(book, alice, "sell", 5, 12);
+    const first = await place(book, bob, "sell", 5, 10);
+    const second = await place(book, carol, "sell", 5, 10);
+
+    const { trades, order: taker } = await place(book, dave, "buy", 12, 12);
+    assert.deepStrictEqual(
+      trades.map((trade) => [trade.sellOrder, trade.amount, trade.price]),
+      [
+        [first.order.hash, "5", "10"],
+        [second.order.hash, "5", "10"],
+        [high.order.hash, "2", "12"],
+      ]
+    );
+    assert.strictEqual(taker.status, "filled");
+    assert.ok(trades.every((trade) => trade.buyer === dave.address));
+  });
+
+  it("leaves the unfilled part of an order on the book", async function () {
+    const [, alice, bob] = signers;
+    const book = createOrderBook({ domain: orderDomain(31337, SETTLEMENT) });
+    const ask = await place(book, alice, "sell", 10, 20);
+
+    const { trades } = await place(book, bob, "buy", 4, 25);
+    assert.strictEqual(trades[0].amount, "4");
+    assert.strictEqual(trades[0].price, "20", "the trade is at the resting order's price");
+    assert.deepStrictEqual(depth(book, TOKEN).asks, [{ price: "20", amount: "6", orders: 1 }]);
+
+    const rest = await place(book, bob, "buy", 8, 20);
+    assert.strictEqual(rest.trades[0].amount, "6");
+    assert.strictEqual(book.orders[ask.order.hash].status, "filled");
+    assert.deepStrictEqual(depth(book, TOKEN), { token: TOKEN, bids: [{ price: "20", amount: "2", orders: 1 }], asks: [] });
+  });
+
+  it("refuses orders and cancellations not signed by the maker", async function () {
+    const [, alice, bob] = signers;
+    const book = createOrderBook({ domain: orderDomain(31337, SETTLEMENT) });
+    const value = order(alice, "sell", 1, 1);
+
+    assert.throws(() => submitOrder(book, { order: value, signature: "0x1234" }), /Invalid signature/);
+    const byBob = await signTyped(bob, book.domain, ORDER_TYPES, value);
+    assert.throws(() => submitOrder(book, { order: value, signature: byBob }), new RegExp(`signed by ${bob.address}, not its maker`));
+    const otherBook = await signTyped(alice, orderDomain(31337, TOKEN), ORDER_TYPES, value);
+    assert.throws(() => submitOrder(book, { order: value, signature: otherBook }), /not its maker/);
+
+    const { order: placed } = submitOrder(book, { order: value, signature: await signTyped(alice, book.domain, ORDER_TYPES, value) });
+    const cancelByBob = await signTyped(bob, book.domain, CANCEL_TYPES, { orderHash: placed.hash });
+    assert.throws(() => cancelOrder(book, placed.hash, cancelByBob), /Only the maker/);
+    const cancelled = cancelOrder(book, placed.hash, await signTyped(alice, book.domain, CANCEL_TYPES, { orderHash: placed.hash }));
+    assert.strictEqual(cancelled.status, "cancelled");
+  });
+
+  describe("against RealTimeSettlementContract", function () {
+    let owner, buyer, seller, token, settlement;
+
+    before(async function () {
+      [owner, buyer, seller] = signers;
+      await installERC1820();
+      token = await deploy("ERC777TestToken", [owner.address, 1000]);
+      await (await token.send(buyer.address, 100, "0x")).wait();
+      await (await token.send(seller.address, 100, "0x")).wait();
+      settlement = await deploy("RealTimeSettlementContract");
+    });
+
+    it("creates each match under the tradeId the contract derives from the parties' userData", async function () {
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const book = createOrderBook({ domain: orderDomain(chainId, await addressOf(settlement)) });
+      const drained = submitTrades(book, settlement.connect(owner), quiet);
+      const tokenAddress = await addressOf(token);
+
+      const ask = await place(book, seller, "sell", 30, 7, tokenAddress);
+      const { trades } = await place(book, buyer, "buy", 30, 7, tokenAddress);
+      await drained();
+      const [trade] = trades;
+      assert.strictEqual(trade.status, "submitted");
+      assert.strictEqual(trade.sellOrder, ask.order.hash);
+      assert.strictEqual(trade.tradeId, hre.ethers.keccak256(trade.userData));
+
+      const onChain = await settlement.trades(trade.tradeId);
+      assert.deepStrictEqual([onChain.buyer, onChain.seller, onChain.amount, onChain.isActive], [buyer.address, seller.address, 30n, true]);
+
+      // Each party funds the trade by sending its tokens with the userData the book gave out.
+      await (await token.connect(buyer).send(await addressOf(settlement), 30, trade.userData)).wait();
+      const receipt = await (await token.connect(seller).send(await addressOf(settlement), 30, trade.userData)).wait();
+      const settled = receipt.logs
+        .filter((log) => log.address === settlement.target)
+        .map((log) => settlement.interface.parseLog(log))
+        .find((log) => log && log.name === "TradeSettled");
+      assert.strictEqual(settled.args.tradeId, trade.tradeId);
+      assert.strictEqual((await settlement.trades(trade.tradeId)).isActive, false);
+    });
+
+    it("marks a match the contract already has as existing instead of sending it again", async function () {
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const book = createOrderBook({ domain: orderDomain(chainId, await addressOf(settlement)) });
+      const tokenAddress = await addressOf(token);
+      const sell = order(seller, "sell", 5, 3, tokenAddress);
+      const buy = order(buyer, "buy", 5, 3, tokenAddress);
+      const { tradeId } = tradeIdOf(orderHash(book.domain, buy), orderHash(book.domain, sell));
+      await (await settlement.createTrade(buyer.address, seller.address, tokenAddress, 5, tradeId)).wait();
+
+      const drained = submitTrades(book, settlement.connect(owner), quiet);
+      submitOrder(book, { order: sell, signature: await signTyped(seller, book.domain, ORDER_TYPES, sell) });
+      const { trades } = submitOrder(book, { order: buy, signature: await signTyped(buyer, book.domain, ORDER_TYPES, buy) });
+      await drained();
+      assert.strictEqual(trades[0].tradeId, tradeId);
+      assert.strictEqual(trades[0].status, "exists");
+    });
+  });
+});
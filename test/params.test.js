@@ -0,0 +1,49 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { scratch } = require("./helpers");
+const { loadCatalogue } = require("../scripts/lib/catalogue");
+const { TYPES, loadSchema, validateParams, readNetworkValues } = require("../scripts/lib/params");
+
+describe("deployment parameters", function () {
+  it("accepts only whole percentages", function () {
+    assert.strictEqual(TYPES.percentage(20), 20);
+    assert.throws(() => TYPES.percentage(12.5), /integer between 0 and 100/);
+    assert.throws(() => TYPES.percentage(101), /integer between 0 and 100/);
+  });
+
+  it("validates string lists", function () {
+    const schema = { partitions: { type: "string[]", default: ["partition1"] } };
+    assert.deepStrictEqual(validateParams(schema, {}).partitions, ["partition1"]);
+    assert.throws(() => validateParams(schema, { partitions: ["a", 1] }), /partitions: expected an array of strings/);
+  });
+
+  it("refuses YAML parameter files", function () {
+    const file = path.join(scratch, "sepolia.yaml");
+    fs.writeFileSync(file, "quorum: 20\n");
+    process.env.DEPLOY_PARAMS_FILE = file;
+    try {
+      assert.throws(() => readNetworkValues(scratch, "sepolia"), /YAML is not supported/);
+    } finally {
+      delete process.env.DEPLOY_PARAMS_FILE;
+    }
+  });
+
+  it("ships a valid default for every parameter that declares one", function () {
+    const problems = [];
+    for (const entry of loadCatalogue()) {
+      const schema = loadSchema(entry.dir);
+      for (const [name, spec] of Object.entries(schema || {})) {
+        if (spec.default === undefined) {
+          continue;
+        }
+        try {
+          TYPES[spec.type](spec.default);
+        } catch (error) {
+          problems.push(`${entry.id} ${name}: ${error.message}`);
+        }
+      }
+    }
+    assert.deepStrictEqual(problems, []);
+  });
+});
@@ -0,0 +1,28 @@
+const assert = require("assert");
+const { deploy } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { loadPrerequisites, prerequisiteDependencies } = require("../scripts/lib/graph");
+
+describe("prerequisite recipes", function () {
+  it("deploy in dependency order with the arguments in scripts/prerequisites.json", async function () {
+    const prerequisites = loadPrerequisites();
+    const deployed = {};
+    for (const [name, spec] of Object.entries(prerequisites)) {
+      for (const dependency of prerequisiteDependencies(spec)) {
+        assert.ok(deployed[dependency], `${name} is listed before ${dependency}, which it needs`);
+      }
+      const args = (spec.args || []).map((arg) => (arg && arg.ref ? deployed[arg.ref] : arg));
+      deployed[name] = await addressOf(await deploy(spec.contract || name, args));
+    }
+    assert.deepStrictEqual(Object.keys(deployed), Object.keys(prerequisites));
+  });
+
+  it("gives the equity token's holders to the contracts built on it", async function () {
+    const [owner, holder] = await hre.ethers.getSigners();
+    const token = await deploy("PrerequisiteEquityToken", ["Equity Token", "EQT", 1000]);
+    await (await token.transfer(holder.address, 10)).wait();
+    assert.strictEqual(Number(await token.holderCount()), 2);
+    assert.deepStrictEqual([await token.holderAt(0), await token.holderAt(1)], [owner.address, holder.address]);
+  });
+});
@@ -0,0 +1,31 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+require("./helpers");
+const { DEPLOYMENTS_DIR, readAddressBook, readHistory, saveDeployment, updateDeployment, resolveDeployment } = require("../scripts/lib/registry");
+
+const NETWORK = "registry-test";
+
+function record(fields) {
+  return { network: NETWORK, contractName: "DividendDistribution", deployedAt: new Date().toISOString(), ...fields };
+}
+
+describe("deployment registry", function () {
+  it("files catalogue entries that share a contract name under their own IDs", function () {
+    saveDeployment(record({ name: "DividendDistribution", catalogueId: "2-1X_3B", address: "0x" + "1".repeat(40) }));
+    const second = saveDeployment(record({ name: "DividendDistribution", catalogueId: "2-1Y_3C", address: "0x" + "2".repeat(40) }));
+    saveDeployment(record({ name: "Stablecoin", contractName: "PrerequisiteToken", catalogueId: null, address: "0x" + "3".repeat(40) }));
+
+    assert.deepStrictEqual(readAddressBook(NETWORK), {
+      "2-1X_3B": "0x" + "1".repeat(40),
+      "2-1Y_3C": "0x" + "2".repeat(40),
+      Stablecoin: "0x" + "3".repeat(40),
+    });
+    assert.deepStrictEqual(fs.readdirSync(path.join(DEPLOYMENTS_DIR, NETWORK)).sort(), ["2-1X_3B.json", "2-1Y_3C.json", "Stablecoin.json", "addresses.json"]);
+    assert.strictEqual(second.version, 1);
+    assert.strictEqual(resolveDeployment(NETWORK, "2-1x_3b").address, "0x" + "1".repeat(40));
+
+    updateDeployment(second, { verification: { etherscan: "verified" } });
+    assert.deepStrictEqual(readHistory(NETWORK, "2-1Y_3C")[0].verification, { etherscan: "verified" });
+  });
+});
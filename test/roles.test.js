@@ -0,0 +1,117 @@
+const assert = require("assert");
+const { scratch, deploy } = require("./helpers");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ROLES_FILE, loadRolePlan, loadAccounts, resolvePlan, configureRoles } = require("../scripts/lib/roles");
+
+const CONTRACT = "RolePlanTestContract";
+
+// Writes `plan` as the deploy.roles.json of a scratch deploy folder and returns the folder.
+function planDir(name, plan) {
+  const dir = path.join(scratch, "roles", name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, ROLES_FILE), JSON.stringify(plan, null, 2));
+  return dir;
+}
+
+describe("role plans", function () {
+  it("rejects plans that are malformed or would lock the contract", function () {
+    assert.strictEqual(loadRolePlan(path.join(scratch, "roles", "none")), null);
+    assert.throws(
+      () => loadRolePlan(planDir("invalid", { grants: {}, calls: [{ args: [] }], renounce: ["DEFAULT_ADMIN_ROLE"] })),
+      (error) =>
+        /unknown key "grants"/.test(error.message) &&
+        /has no function/.test(error.message) &&
+        /renounces DEFAULT_ADMIN_ROLE without granting it to anyone/.test(error.message)
+    );
+  });
+
+  it("orders grants, calls, the ownership transfer and renounces, and names every unknown account", function () {
+    const accounts = loadAccounts("hardhat");
+    const deployer = "0x" + "11".repeat(20);
+    const steps = resolvePlan(
+      {
+        renounce: ["DEFAULT_ADMIN_ROLE"],
+        owner: "multisig",
+        calls: [{ function: "addOperator", args: ["operator", "OPERATOR_ROLE"], expect: { role: "OPERATOR_ROLE", account: "operator" } }],
+        grant: { DEFAULT_ADMIN_ROLE: ["multisig"] },
+      },
+      accounts,
+      deployer
+    );
+    assert.deepStrictEqual(
+      steps.map((step) => step.kind),
+      ["grant", "call", "owner", "renounce"]
+    );
+    assert.deepStrictEqual(steps[1].args, [accounts.operator, "OPERATOR_ROLE"], "role names are passed through as they are");
+    assert.strictEqual(steps[1].expect.address, accounts.operator);
+    assert.strictEqual(steps[3].address, deployer);
+
+    assert.throws(() => resolvePlan({ grant: { AUDITOR_ROLE: ["auditor"] }, owner: "treasury" }, accounts, deployer), {
+      message: "No address configured for: auditor, treasury",
+    });
+  });
+
+  describe(`against ${CONTRACT}`, function () {
+    let deployer, operator, complianceOfficer, multisig, contract;
+    const plan = {
+      grant: { DEFAULT_ADMIN_ROLE: ["multisig"], AUDITOR_ROLE: ["complianceOfficer"] },
+      calls: [{ function: "addOperator", args: ["operator"], expect: { role: "OPERATOR_ROLE", account: "operator" } }],
+      owner: "multisig",
+      renounce: ["DEFAULT_ADMIN_ROLE"],
+    };
+
+    beforeEach(async function () {
+      [deployer, operator, complianceOfficer, multisig] = await hre.ethers.getSigners();
+      contract = await deploy(CONTRACT);
+    });
+
+    it("grants and renounces the roles, transfers ownership and skips it all on a re-run", async function () {
+      const dir = planDir("handover", plan);
+      const lines = [];
+      const matrix = await configureRoles(contract, dir, "hardhat", { log: (line) => lines.push(line) });
+      assert.ok(matrix.every((row) => row.ok));
+      assert.deepStrictEqual(
+        matrix.map((row) => row.check),
+        [
+          "multisig has DEFAULT_ADMIN_ROLE",
+          "complianceOfficer has AUDITOR_ROLE",
+          "operator has OPERATOR_ROLE",
+          "owner is multisig",
+          "deployer has DEFAULT_ADMIN_ROLE",
+        ]
+      );
+
+      const admin = await contract.DEFAULT_ADMIN_ROLE();
+      assert.strictEqual(await contract.hasRole(admin, deployer.address), false);
+      assert.strictEqual(await contract.hasRole(admin, multisig.address), true);
+      assert.strictEqual(await contract.hasRole(await contract.OPERATOR_ROLE(), operator.address), true);
+      assert.strictEqual(await contract.hasRole(await contract.AUDITOR_ROLE(), complianceOfficer.address), true);
+      assert.strictEqual(await contract.owner(), multisig.address);
+      assert.strictEqual(lines.filter((line) => /^ {2}done /.test(line)).length, 5);
+
+      // The deployer no longer holds any role, so a second run must not send anything.
+      const again = [];
+      await configureRoles(contract, dir, "hardhat", { log: (line) => again.push(line) });
+      assert.strictEqual(again.filter((line) => /^ {2}done /.test(line)).length, 0);
+    });
+
+    it("fails when a call does not leave the role it is expected to", async function () {
+      const dir = planDir("mismatch", {
+        calls: [{ function: "addOperator", args: ["operator"], expect: { role: "OPERATOR_ROLE", account: "complianceOfficer" } }],
+      });
+      await assert.rejects(configureRoles(contract, dir, "hardhat", { log: () => {} }), {
+        message: `Permissions do not match ${ROLES_FILE}:\n  - complianceOfficer has OPERATOR_ROLE`,
+      });
+      assert.strictEqual(await contract.hasRole(await contract.OPERATOR_ROLE(), operator.address), true);
+    });
+
+    it("skips the stage on networks without named accounts", async function () {
+      const lines = [];
+      assert.strictEqual(await configureRoles(contract, planDir("unnamed", plan), "mainnet", { log: (line) => lines.push(line) }), null);
+      assert.deepStrictEqual(lines, ["No accounts configured for mainnet; skipping role configuration"]);
+      assert.strictEqual(await contract.owner(), deployer.address);
+    });
+  });
+});
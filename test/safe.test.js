@@ -0,0 +1,133 @@
+const assert = require("assert");
+const { scratch, deploy, serveChain } = require("./helpers");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const { saveDeployment } = require("../scripts/lib/registry");
+const { loadBatch, describeBatch, buildBatch, forkNetwork, simulateBatch, builderFile } = require("../scripts/lib/safe");
+
+const NETWORK = "safechain";
+const CHAIN_ID = 31339;
+const CONTRACT = "RolePlanTestContract";
+// Any account with code stands in for the Safe; the simulation impersonates it.
+const SAFE = "0x5aFE000000000000000000000000000000000001";
+const TREASURY = "0x00000000000000000000000000000000000007E5";
+const quiet = { log: () => {} };
+
+function writeBatch(name, batch) {
+  const file = path.join(scratch, "safe", `${name}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2));
+  return file;
+}
+
+describe("Safe batches", function () {
+  it("rejects batches without a Safe, transactions or salts", function () {
+    const file = writeBatch("invalid", { safe: "multisig", transactions: [{ deploy: "4-1Z_4C" }, { contract: "RolePlan" }], chain: 1 });
+    assert.throws(
+      () => loadBatch(file),
+      (error) =>
+        /unknown key "chain"/.test(error.message) &&
+        /"safe" must be the address of the Safe/.test(error.message) &&
+        /transaction 1 deploys 4-1Z_4C without a salt/.test(error.message) &&
+        /transaction 2 needs "contract" and "function", or "deploy"/.test(error.message)
+    );
+    assert.throws(() => loadBatch(writeBatch("empty", { safe: SAFE, transactions: [] })), /must list at least one transaction/);
+  });
+
+  describe("simulated on a fork", function () {
+    let chain, operator, remote;
+
+    // The batch's network is a second chain served over HTTP, which the in-process network forks.
+    before(async function () {
+      let deployer;
+      [deployer, operator] = await hre.ethers.getSigners();
+      chain = await serveChain(CHAIN_ID);
+      await chain.provider.send("hardhat_setCode", [SAFE, "0x00"]);
+
+      const contract = await deploy(CONTRACT, [], await chain.provider.getSigner(deployer.address));
+      await (await contract.grantRole(await contract.DEFAULT_ADMIN_ROLE(), SAFE)).wait();
+      await (await contract.transferOwnership(SAFE)).wait();
+      remote = contract;
+      const deployedAt = new Date().toISOString();
+      saveDeployment({ network: NETWORK, name: "RolePlan", contractName: CONTRACT, chainId: CHAIN_ID, address: await addressOf(contract), deployedAt });
+      saveDeployment({ network: NETWORK, name: "Treasury", contractName: CONTRACT, chainId: CHAIN_ID, address: TREASURY, deployedAt });
+    });
+
+    after(async function () {
+      // Back to a plain in-process network for the tests that follow.
+      await hre.network.provider.request({ method: "hardhat_reset", params: [] });
+      await chain.close();
+    });
+
+    it("runs the batch as the Safe and writes it in the Transaction Builder format", async function () {
+      const batch = loadBatch(
+        writeBatch("handover", {
+          name: "Hand over RolePlan",
+          network: NETWORK,
+          safe: SAFE,
+          transactions: [
+            { contract: "RolePlan", function: "addOperator", args: [operator.address] },
+            { contract: "RolePlan", function: "transferOwnership", args: [{ ref: "Treasury" }] },
+          ],
+        })
+      );
+      assert.deepStrictEqual(describeBatch(batch), [`RolePlan.addOperator("${operator.address}")`, "RolePlan.transferOwnership(<Treasury>)"]);
+
+      const fork = await forkNetwork(chain.url);
+      assert.strictEqual(fork.chainId, CHAIN_ID);
+      const built = await buildBatch(batch, NETWORK);
+      const results = await simulateBatch(SAFE, built, quiet);
+      assert.deepStrictEqual(
+        results.map((result) => result.ok),
+        [true, true]
+      );
+
+      const forked = await hre.ethers.getContractAt(CONTRACT, remote.target);
+      assert.strictEqual(await forked.hasRole(await forked.OPERATOR_ROLE(), operator.address), true);
+      assert.strictEqual(await forked.owner(), TREASURY);
+      assert.strictEqual(await remote.owner(), SAFE, "the simulation does not touch the chain it forked");
+
+      const file = builderFile(batch, built, fork.chainId);
+      assert.strictEqual(file.version, "1.0");
+      assert.strictEqual(file.chainId, String(CHAIN_ID));
+      assert.deepStrictEqual(file.meta, {
+        name: "Hand over RolePlan",
+        description: built.map((item) => item.description).join("\n"),
+        createdFromSafeAddress: SAFE,
+      });
+      assert.deepStrictEqual(file.transactions[0], {
+        to: remote.target,
+        value: "0",
+        data: remote.interface.encodeFunctionData("addOperator", [operator.address]),
+        contractMethod: { name: "addOperator", payable: false, inputs: [{ name: "operator", type: "address", internalType: "address" }] },
+        contractInputsValues: { operator: operator.address },
+      });
+      assert.deepStrictEqual(file.transactions[1].contractInputsValues, { newOwner: TREASURY });
+    });
+
+    it("stops at the first revert and marks the rest as not run", async function () {
+      const batch = loadBatch(
+        writeBatch("reverting", {
+          network: NETWORK,
+          safe: SAFE,
+          transactions: [
+            { contract: "RolePlan", function: "renounceOwnership" },
+            { contract: "RolePlan", function: "transferOwnership", args: [TREASURY] },
+            { contract: "RolePlan", function: "addOperator", args: [operator.address] },
+          ],
+        })
+      );
+
+      await forkNetwork(chain.url);
+      const results = await simulateBatch(SAFE, await buildBatch(batch, NETWORK), quiet);
+      assert.deepStrictEqual(
+        results.map((result) => result.ok),
+        [true, false, false]
+      );
+      assert.match(results[1].error, /Ownable: caller is not the owner/);
+      assert.strictEqual(results[2].error, "not run");
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require("assert");
+const { deploy, eventually, increaseTime, otherChain } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const {
+  validateSwapSpec,
+  generateSecret,
+  swapIdOf,
+  useProvider,
+  connectLeg,
+  initiateLeg,
+  refundLeg,
+  runInitiator,
+  runParticipant,
+  recoverInitiator,
+  recoverParticipant,
+} = require("../scripts/lib/swap");
+
+const SUPPLY = 1000n * 10n ** 18n;
+const quiet = { log: () => {} };
+
+// legA runs on the in-process network and legB on a second in-process chain, each with its own
+// token, swap contract and clock.
+describe("swaps across two chains", function () {
+  let chainB;
+
+  before(async function () {
+    chainB = await otherChain(31338);
+    useProvider("chainB", chainB);
+  });
+
+  async function setUpChain(network, signer, alice, bob) {
+    const token = await deploy("SwapTestToken", [`${network} token`, "SWP", signer.address, (SUPPLY * 2n).toString()], signer);
+    for (const party of [alice, bob]) {
+      await (await token.transfer(party.address, SUPPLY.toString())).wait();
+    }
+    const swap = await deploy("TimeLockedAtomicSwap", [], signer);
+    return { network, token, address: await addressOf(swap), tokenAddress: await addressOf(token) };
+  }
+
+  async function setUp() {
+    const [deployer, alice, bob] = await hre.ethers.getSigners();
+    const a = await setUpChain("hardhat", deployer, alice, bob);
+    const b = await setUpChain("chainB", await chainB.getSigner(deployer.address), alice, bob);
+    const leg = (chain, initiator, participant, amount, timeLock) => ({
+      network: chain.network,
+      contract: "TimeLockedAtomicSwap",
+      address: chain.address,
+      initiator: initiator.address,
+      participant: participant.address,
+      token: chain.tokenAddress,
+      amount,
+      participantToken: chain.tokenAddress,
+      participantAmount: "1",
+      timeLock,
+    });
+    const spec = validateSwapSpec({
+      legA: leg(a, alice, bob, "100", "2h"),
+      legB: leg(b, bob, alice, "50", "1h"),
+      margin: "1m",
+      pollInterval: 20,
+    });
+    const balances = async () => ({
+      a: [BigInt(await a.token.balanceOf(alice.address)), BigInt(await a.token.balanceOf(bob.address))],
+      b: [BigInt(await b.token.balanceOf(alice.address)), BigInt(await b.token.balanceOf(bob.address))],
+    });
+    return { spec, alice, bob, balances };
+  }
+
+  it("claims legB on its chain first, then legA with the secret that claim revealed", async function () {
+    const { spec, balances } = await setUp();
+    const before = await balances();
+
+    const [initiator, participant] = await Promise.all([runInitiator(spec, quiet), runParticipant(spec, quiet)]);
+    assert.strictEqual(participant.secret, initiator.secret);
+    assert.strictEqual(participant.swapIdB, initiator.swapIdB);
+
+    const a = await connectLeg(spec.legA, spec.legA.initiator);
+    const b = await connectLeg(spec.legB, spec.legA.initiator);
+    assert.strictEqual((await a.contract.swaps(initiator.swapIdA)).isCompleted, true);
+    assert.strictEqual((await b.contract.swaps(initiator.swapIdB)).isCompleted, true);
+    // Each claim pays the initiator of that leg its participantAmount of 1.
+    const after = await balances();
+    assert.deepStrictEqual(after.a, [before.a[0] - 99n, before.a[1] + 99n]);
+    assert.deepStrictEqual(after.b, [before.b[0] + 49n, before.b[1] - 49n]);
+  });
+
+  it("refunds legB on its own clock while legA stays locked, then refunds legA on its own", async function () {
+    const { spec, balances } = await setUp();
+    const before = await balances();
+    const { secret, secretHash } = generateSecret();
+    const a = await connectLeg(spec.legA, spec.legA.initiator);
+    const swapIdA = await initiateLeg(a, secretHash);
+
+    // The initiator never claims legB, so the participant gets its tokens back once legB expires.
+    const participant = recoverParticipant(spec, { swapIdA, secretHash }, quiet);
+    const b = await connectLeg(spec.legB, spec.legB.initiator);
+    const swapIdB = swapIdOf(spec.legB.initiator, spec.legB.participant, secretHash);
+    await eventually(async () => (await b.contract.swaps(swapIdB)).isInitiated);
+    await increaseTime(3600, chainB);
+    assert.strictEqual(await participant, "refunded");
+    assert.strictEqual((await b.contract.swaps(swapIdB)).isRefunded, true);
+
+    // Time passed on legB's chain only; legA cannot be refunded yet.
+    await assert.rejects(refundLeg(a, swapIdA), /Time lock not expired/);
+    const initiator = recoverInitiator(spec, { stage: "initiated", secret }, quiet);
+    await increaseTime(7200);
+    assert.strictEqual(await initiator, "refunded");
+    assert.strictEqual((await a.contract.swaps(swapIdA)).isRefunded, true);
+    assert.deepStrictEqual(await balances(), before);
+  });
+
+  it("does not lock legB when legA leaves less than legB's timelock on its chain", async function () {
+    const { spec } = await setUp();
+    const { secretHash } = generateSecret();
+    const a = await connectLeg(spec.legA, spec.legA.initiator);
+    const swapIdA = await initiateLeg(a, secretHash);
+    await increaseTime(3600);
+
+    await assert.rejects(runParticipant(spec, quiet), /expires in \d+s; locking legB needs at least 3660s/);
+    assert.strictEqual(await recoverParticipant(spec, { swapIdA, secretHash }, quiet), "abandoned");
+    const b = await connectLeg(spec.legB, spec.legB.initiator);
+    const swapIdB = swapIdOf(spec.legB.initiator, spec.legB.participant, secretHash);
+    assert.strictEqual((await b.contract.swaps(swapIdB)).isInitiated, false);
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require("assert");
+const { deploy, eventually, increaseTime } = require("./helpers");
+const hre = require("hardhat");
+const { addressOf } = require("../scripts/lib/deploy");
+const {
+  validateSwapSpec,
+  generateSecret,
+  swapIdOf,
+  connectLeg,
+  initiateLeg,
+  completeLeg,
+  refundLeg,
+  waitForInitiation,
+  runInitiator,
+  runParticipant,
+  recoverInitiator,
+  recoverParticipant,
+} = require("../scripts/lib/swap");
+
+const SUPPLY = 1000n * 10n ** 18n;
+
+// Both legs run on the in-process network, each against its own swap contract.
+async function setUp(contractName, timeLocks = {}) {
+  const [deployer, alice, bob] = await hre.ethers.getSigners();
+  const token = await deploy("SwapTestToken", ["Swap token", "SWP", deployer.address, (SUPPLY * 2n).toString()]);
+  for (const party of [alice, bob]) {
+    await (await token.transfer(party.address, SUPPLY.toString())).wait();
+  }
+  const leg = async (initiator, participant, amount, timeLock) => ({
+    network: "hardhat",
+    contract: contractName,
+    address: await addressOf(await deploy(contractName)),
+    initiator: initiator.address,
+    participant: participant.address,
+    token: await addressOf(token),
+    amount,
+    participantToken: await addressOf(token),
+    participantAmount: "1",
+    ...(timeLock && { timeLock }),
+  });
+  const spec = validateSwapSpec({
+    legA: await leg(alice, bob, "100", timeLocks.legA),
+    legB: await leg(bob, alice, "50", timeLocks.legB),
+    allowUntimed: !timeLocks.legA,
+    margin: "1m",
+    pollInterval: 20,
+  });
+  return { spec, alice, bob, token };
+}
+
+const quiet = { log: () => {} };
+
+describe("timed swaps", function () {
+  const timeLocks = { legA: "2h", legB: "1h" };
+
+  it("claims both legs when each side runs to completion", async function () {
+    const { spec, alice, bob, token } = await setUp("TimeLockedAtomicSwap", timeLocks);
+    const before = { alice: await token.balanceOf(alice.address), bob: await token.balanceOf(bob.address) };
+
+    const [initiator, participant] = await Promise.all([runInitiator(spec, quiet), runParticipant(spec, quiet)]);
+    assert.strictEqual(participant.secret, initiator.secret);
+
+    const a = await connectLeg(spec.legA, alice.address);
+    const b = await connectLeg(spec.legB, alice.address);
+    assert.strictEqual((await a.contract.swaps(initiator.swapIdA)).isCompleted, true);
+    assert.strictEqual((await b.contract.swaps(initiator.swapIdB)).isCompleted, true);
+    // alice gives 100 for bob's 50, and each side pays the other its participantAmount of 1.
+    assert.strictEqual(BigInt(await token.balanceOf(alice.address)), BigInt(before.alice) - 50n);
+    assert.strictEqual(BigInt(await token.balanceOf(bob.address)), BigInt(before.bob) + 50n);
+  });
+
+  it("refunds legA once it expires when the counterparty never locks legB", async function () {
+    const { spec, alice, token } = await setUp("TimeLockedAtomicSwap", timeLocks);
+    const before = await token.balanceOf(alice.address);
+    const { secret, secretHash } = generateSecret();
+    const a = await connectLeg(spec.legA, alice.address);
+    const swapIdA = await initiateLeg(a, secretHash);
+    await assert.rejects(refundLeg(a, swapIdA), /Time lock not expired/);
+
+    const recovered = recoverInitiator(spec, { stage: "initiated", secret }, quiet);
+    await increaseTime(7200);
+    assert.strictEqual(await recovered, "refunded");
+    assert.strictEqual((await a.contract.swaps(swapIdA)).isRefunded, true);
+    assert.strictEqual(BigInt(await token.balanceOf(alice.address)), BigInt(before));
+  });
+
+  it("ignores a swap locked on terms other than the leg's", async function () {
+    const { spec, alice } = await setUp("TimeLockedAtomicSwap", timeLocks);
+    const short = await connectLeg({ ...spec.legA, amount: "99" }, alice.address);
+    await initiateLeg(short, generateSecret().secretHash);
+    const { secretHash } = generateSecret();
+    await initiateLeg(await connectLeg(spec.legA, alice.address), secretHash);
+
+    const logged = [];
+    const a = await connectLeg(spec.legA, spec.legA.participant);
+    const locked = await waitForInitiation(a, { pollInterval: 20, log: (line) => logged.push(line) });
+    assert.strictEqual(locked.secretHash, secretHash);
+    assert.match(logged.join("\n"), /Ignoring swap .*: initiatorAmount is 99, expected 100/);
+  });
+});
+
+describe("swap recovery", function () {
+  it("keeps waiting for the secret on an untimed leg instead of refunding it", async function () {
+    const { spec, alice } = await setUp("BasicAtomicSwap");
+    const { secret, secretHash } = generateSecret();
+    const swapIdA = await initiateLeg(await connectLeg(spec.legA, alice.address), secretHash);
+    const swapIdB = swapIdOf(spec.legB.initiator, spec.legB.participant, secretHash);
+
+    const recovered = recoverParticipant(spec, { swapIdA, secretHash }, { log: () => {} });
+    const b = await connectLeg(spec.legB, alice.address);
+    await eventually(async () => (await b.contract.swaps(swapIdB)).isInitiated);
+    await completeLeg(b, swapIdB, secret);
+
+    assert.strictEqual(await recovered, "claimed");
+    const a = await connectLeg(spec.legA, alice.address);
+    assert.strictEqual((await a.contract.swaps(swapIdA)).secret, secret);
+  });
+});
@@ -0,0 +1,50 @@
+const assert = require("assert");
+const { scratch } = require("./helpers");
+const path = require("path");
+const { encryptSecret, decryptSecret, createRecord, loadRecord, readSecret } = require("../scripts/lib/vault");
+
+const SECRET = "0x" + "ab".repeat(32);
+const PASSPHRASE = "correct horse battery staple";
+
+// Flips the last hex digit of one of a box's fields.
+function tampered(box, field) {
+  const value = box[field];
+  return { ...box, [field]: value.slice(0, -1) + (value.endsWith("0") ? "1" : "0") };
+}
+
+describe("swap vault", function () {
+  it("decrypts what it encrypted, under a fresh salt and IV each time", function () {
+    const box = encryptSecret(SECRET, PASSPHRASE);
+    assert.strictEqual(box.kdf, "scrypt");
+    assert.strictEqual(box.cipher, "aes-256-gcm");
+    assert.ok(!JSON.stringify(box).includes(SECRET.slice(2)), "the secret is not stored in the clear");
+    assert.strictEqual(decryptSecret(box, PASSPHRASE), SECRET);
+
+    const again = encryptSecret(SECRET, PASSPHRASE);
+    assert.notStrictEqual(again.salt, box.salt);
+    assert.notStrictEqual(again.iv, box.iv);
+    assert.notStrictEqual(again.ciphertext, box.ciphertext);
+  });
+
+  it("refuses the wrong passphrase", function () {
+    const box = encryptSecret(SECRET, PASSPHRASE);
+    assert.throws(() => decryptSecret(box, "wrong passphrase"), /Could not decrypt the swap secret; is SWAP_VAULT_PASSPHRASE right\?/);
+  });
+
+  it("refuses a box whose GCM tag or ciphertext was changed", function () {
+    const box = encryptSecret(SECRET, PASSPHRASE);
+    assert.throws(() => decryptSecret(tampered(box, "tag"), PASSPHRASE), /Could not decrypt the swap secret/);
+    assert.throws(() => decryptSecret(tampered(box, "ciphertext"), PASSPHRASE), /Could not decrypt the swap secret/);
+  });
+
+  it("keeps the initiator's secret encrypted in its record", function () {
+    const dir = path.join(scratch, "vault-test");
+    const swapIdA = "0x" + "01".repeat(32);
+    createRecord("initiator", {}, { swapIdA }, { secret: SECRET, passphrase: PASSPHRASE, dir });
+
+    const record = loadRecord(swapIdA, "initiator", dir);
+    assert.strictEqual(record.stage, "new");
+    assert.strictEqual(readSecret(record, PASSPHRASE), SECRET);
+    assert.throws(() => readSecret(record, "wrong passphrase"), /Could not decrypt/);
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require("assert");
+const http = require("http");
+require("./helpers");
+const { readBody, send } = require("../scripts/lib/common");
+const { verifyOnEtherscan, verifyOnSourcify, verifyDeployment } = require("../scripts/lib/verify");
+
+const RECORD = {
+  name: "Sample",
+  network: "sepolia",
+  chainId: 11155111,
+  address: "0x000000000000000000000000000000000000beef",
+  sourceName: "contracts/Sample.sol",
+  contractName: "Sample",
+  encodedConstructorArgs: "0x",
+};
+const SOURCE = {
+  input: { language: "Solidity", sources: { "contracts/Sample.sol": { content: "contract Sample {}" } } },
+  compilerVersion: "v0.8.19+commit.7dd6d404",
+  metadata: "{}",
+};
+const BACKOFF = { attempts: 4, wait: async () => {} };
+
+// An explorer that plays back `answers` ([status, body] per request, the last one repeating)
+// and records what it was sent.
+async function mockExplorer(answers) {
+  const requests = [];
+  const server = http.createServer(async (request, response) => {
+    requests.push({ method: request.method, url: new URL(request.url, "http://localhost"), body: await readBody(request) });
+    const [status, body] = answers[Math.min(requests.length, answers.length) - 1];
+    send(response, status, body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => server.close() };
+}
+
+describe("explorer verification", function () {
+  const servers = [];
+  async function explorer(answers) {
+    const server = await mockExplorer(answers);
+    servers.push(server);
+    return server;
+  }
+
+  afterEach(function () {
+    servers.splice(0).forEach((server) => server.close());
+  });
+
+  it("submits to an Etherscan-compatible API and polls the GUID until it passes", async function () {
+    const mock = await explorer([
+      [200, { status: "0", result: "Unable to locate ContractCode at 0x…" }],
+      [200, { status: "1", result: "guid-1" }],
+      [200, { status: "0", result: "Pending in queue" }],
+      [200, { status: "1", result: "Pass - Verified" }],
+    ]);
+    const result = await verifyOnEtherscan({ apiUrl: `${mock.url}/api`, apiKey: "key" }, RECORD, SOURCE, BACKOFF);
+
+    assert.strictEqual(result, "verified");
+    assert.strictEqual(mock.requests.length, 4);
+    const submitted = new URLSearchParams(mock.requests[1].body);
+    assert.strictEqual(submitted.get("contractname"), "contracts/Sample.sol:Sample");
+    assert.strictEqual(mock.requests[1].url.searchParams.get("chainid"), "11155111");
+    assert.strictEqual(mock.requests[3].url.searchParams.get("guid"), "guid-1");
+  });
+
+  it("retries Sourcify while the contract is not visible yet", async function () {
+    const mock = await explorer([
+      [400, { error: "Chain 11155111 does not have a contract deployed at 0x…" }],
+      [200, { result: [{ address: RECORD.address, status: "perfect" }] }],
+    ]);
+    assert.strictEqual(await verifyOnSourcify({ serverUrl: mock.url }, RECORD, SOURCE, BACKOFF), "verified");
+    assert.strictEqual(mock.requests.length, 2);
+    assert.strictEqual(JSON.parse(mock.requests[0].body).files["contracts/Sample.sol"], "contract Sample {}");
+  });
+
+  it("does not retry a Sourcify 404", async function () {
+    const mock = await explorer([[404, { message: "Not Found" }]]);
+    await assert.rejects(verifyOnSourcify({ serverUrl: mock.url }, RECORD, SOURCE, BACKOFF), /Not Found/);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it("reports each explorer separately", async function () {
+    const etherscan = await explorer([[200, { status: "0", result: "Contract source code already verified" }]]);
+    const sourcify = await explorer([[500, { error: "Internal error" }]]);
+    const results = await verifyDeployment(RECORD, {
+      explorers: { etherscan: { apiUrl: `${etherscan.url}/api` }, sourcify: { serverUrl: sourcify.url } },
+      source: SOURCE,
+      backoff: BACKOFF,
+      log: () => {},
+    });
+    assert.deepStrictEqual(results, { etherscan: "already-verified", sourcify: "failed: Internal error" });
+  });
+});